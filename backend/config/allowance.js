@@ -0,0 +1,29 @@
+/**
+ * Allowance Configuration
+ *
+ * Controls how an employee's monthlyConsumptionValue is enforced
+ * when purchases are built and closed.
+ *
+ * Policies:
+ * - hard: reject anything that takes month-to-date spend over the allowance
+ * - soft: allow it, but return a warning with the purchase
+ * - overdraft: allow going over the allowance by at most overdraftLimit
+ *
+ * Override with ALLOWANCE_POLICY and ALLOWANCE_OVERDRAFT_LIMIT.
+ */
+
+const POLICIES = {
+  HARD: 'hard',
+  SOFT: 'soft',
+  OVERDRAFT: 'overdraft',
+};
+
+module.exports = {
+  POLICIES,
+
+  // Active policy
+  policy: process.env.ALLOWANCE_POLICY || POLICIES.HARD,
+
+  // Maximum amount over the allowance (overdraft policy only)
+  overdraftLimit: parseFloat(process.env.ALLOWANCE_OVERDRAFT_LIMIT) || 0,
+};
@@ -0,0 +1,34 @@
+/**
+ * Availability Configuration
+ *
+ * Product availability windows (weekdays, times of day, date ranges) are
+ * evaluated in the cafeteria's timezone, not the server's: a breakfast
+ * window of 07:00-10:30 means local time at the counter. Monthly periods
+ * (allowance, payroll close) follow the same calendar (see utils/calendar.js).
+ *
+ * Override with CAFETERIA_TIMEZONE (IANA name, e.g. Europe/Berlin).
+ */
+
+const parseTimezone = value => {
+  const timezone = value || 'UTC';
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`CAFETERIA_TIMEZONE: ${error.message}`);
+  }
+
+  return timezone;
+};
+
+// ISO weekday numbers, Monday = 1
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+module.exports = {
+  WEEKDAYS,
+
+  timezone: parseTimezone(process.env.CAFETERIA_TIMEZONE),
+
+  // Most windows per product
+  maxWindows: 20,
+};
@@ -0,0 +1,82 @@
+/**
+ * Dietary Configuration
+ *
+ * Allergen and dietary label codes a product can declare.
+ *
+ * ALLERGENS are the 14 allergens that must be declared in the EU
+ * (Regulation (EU) No 1169/2011, Annex II). nuts means tree nuts;
+ * peanuts are listed separately.
+ *
+ * Dietary labels imply and exclude each other like this:
+ * - a vegan product is also vegetarian (matches ?diet=vegetarian)
+ * - CONFLICTS lists the allergens a labelled product cannot contain
+ *
+ * Employees declare allergies (allergen codes) and dietary restrictions
+ * (labels every product they buy must carry). Their conflict policy picks
+ * what happens when an item conflicts with that profile:
+ * - warn: save the purchase and return dietaryWarnings with it
+ * - block: reject the items with 422 DIETARY_CONFLICT
+ */
+
+const ALLERGENS = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soybeans',
+  'milk',
+  'nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+const LABELS = {
+  VEGAN: 'vegan',
+  VEGETARIAN: 'vegetarian',
+  HALAL: 'halal',
+};
+
+const CONFLICT_POLICIES = {
+  WARN: 'warn',
+  BLOCK: 'block',
+};
+
+// Kinds of dietary warning on a purchase item
+const WARNING_TYPES = {
+  ALLERGEN: 'allergen', // Contains an allergen the employee is allergic to
+  DIET: 'diet', // Lacks a label the employee requires
+  UNDECLARED: 'undeclared', // Allergens not declared, cannot be checked; never blocks
+};
+
+// Animal products declared as allergens
+const MEAT_FREE_CONFLICTS = ['fish', 'crustaceans', 'molluscs'];
+
+module.exports = {
+  ALLERGENS,
+
+  LABELS,
+
+  ALL_LABELS: Object.values(LABELS),
+
+  CONFLICT_POLICIES,
+
+  ALL_CONFLICT_POLICIES: Object.values(CONFLICT_POLICIES),
+
+  WARNING_TYPES,
+
+  // Labels that also satisfy a requested label
+  IMPLIED_BY: {
+    [LABELS.VEGETARIAN]: [LABELS.VEGAN],
+  },
+
+  // Allergens a product with the label cannot declare
+  CONFLICTS: {
+    [LABELS.VEGAN]: [...MEAT_FREE_CONFLICTS, 'eggs', 'milk'],
+    [LABELS.VEGETARIAN]: MEAT_FREE_CONFLICTS,
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Idempotency Configuration
+ *
+ * Settings for the Idempotency-Key header on purchase-creating endpoints.
+ * A stored response is replayed for retries with the same key and body
+ * until it expires.
+ *
+ * Override with IDEMPOTENCY_TTL and IDEMPOTENCY_PENDING_TTL (seconds).
+ */
+
+const HOURS = 60 * 60;
+
+module.exports = {
+  // Request header carrying the client-chosen key
+  header: 'Idempotency-Key',
+
+  // Response header set on replayed responses
+  replayHeader: 'Idempotent-Replayed',
+
+  // How long a key and its response are kept
+  ttl: parseInt(process.env.IDEMPOTENCY_TTL, 10) || 24 * HOURS,
+
+  // How long a key stays reserved while its request runs, in case it is
+  // never stored or released (e.g. the process dies)
+  pendingTtl: parseInt(process.env.IDEMPOTENCY_PENDING_TTL, 10) || 60,
+
+  // Longest accepted key
+  maxKeyLength: 255,
+};
@@ -0,0 +1,102 @@
+/**
+ * Product Image Configuration
+ *
+ * Uploaded product images are re-encoded as WebP in the SIZES below and
+ * handed to the configured storage (see storage.service.js):
+ * - local (default): files under UPLOAD_DESTINATION, served by Express
+ *   at /uploads
+ * - s3: an S3-compatible bucket (IMAGE_S3_BUCKET, IMAGE_S3_REGION,
+ *   IMAGE_S3_ENDPOINT for MinIO and the like); credentials come from the
+ *   usual AWS environment variables. Needs @aws-sdk/client-s3 installed.
+ *
+ * File names carry a hash of the upload, so a new image gets new URLs and
+ * every URL can be cached forever (CACHE_CONTROL).
+ *
+ * Override with UPLOAD_MAX_SIZE (bytes), UPLOAD_ALLOWED_TYPES (comma
+ * separated MIME types) and IMAGE_PUBLIC_URL (base URL the files are
+ * reachable at, e.g. a CDN in front of the bucket).
+ */
+
+const path = require('path');
+
+// URL path local files are served at
+const LOCAL_PATH = '/uploads';
+
+const STORAGES = {
+  LOCAL: 'local',
+  S3: 's3',
+};
+
+// MIME types of the formats the images are decoded from
+const FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const parseTypes = value => {
+  const types = (value || '').split(',').map(type => type.trim()).filter(type => FORMATS[type]);
+  return types.length > 0 ? types : Object.keys(FORMATS);
+};
+
+const storage = process.env.IMAGE_STORAGE === STORAGES.S3 ? STORAGES.S3 : STORAGES.LOCAL;
+
+const s3 = {
+  bucket: process.env.IMAGE_S3_BUCKET,
+  region: process.env.IMAGE_S3_REGION || 'us-east-1',
+  endpoint: process.env.IMAGE_S3_ENDPOINT || null,
+};
+
+// Path-style URL on custom endpoints, virtual-hosted style on AWS
+const bucketUrl = () => (s3.endpoint
+  ? `${s3.endpoint.replace(/\/$/, '')}/${s3.bucket}`
+  : `https://${s3.bucket}.s3.${s3.region}.amazonaws.com`);
+
+const defaultPublicUrl = storage === STORAGES.S3 ? bucketUrl() : LOCAL_PATH;
+
+module.exports = {
+  STORAGES,
+
+  FORMATS,
+
+  storage,
+
+  local: {
+    directory: path.resolve(process.env.UPLOAD_DESTINATION || './uploads'),
+    path: LOCAL_PATH,
+  },
+
+  s3,
+
+  // Base URL of the stored files, without a trailing slash
+  publicUrl: (process.env.IMAGE_PUBLIC_URL || defaultPublicUrl).replace(/\/$/, ''),
+
+  // Form field of the multipart upload
+  field: 'image',
+
+  maxSize: parseInt(process.env.UPLOAD_MAX_SIZE, 10) || 5 * 1024 * 1024,
+
+  allowedTypes: parseTypes(process.env.UPLOAD_ALLOWED_TYPES),
+
+  // Generated sizes; never enlarged beyond the upload
+  SIZES: {
+    thumbnail: { width: 150, height: 150, fit: 'cover' },
+    small: { width: 400, height: 400, fit: 'inside' },
+    medium: { width: 800, height: 800, fit: 'inside' },
+    large: { width: 1600, height: 1600, fit: 'inside' },
+  },
+
+  quality: 82,
+
+  CACHE_CONTROL: 'public, max-age=31536000, immutable',
+
+  /**
+   * Storage key of one size of a product image
+   *
+   * @param {number} productId - Product ID
+   * @param {string} hash - Image hash (products.imageHash)
+   * @param {string} size - Key of SIZES
+   * @returns {string}
+   */
+  imageKey: (productId, hash, size) => `products/${productId}/${hash}-${size}.webp`,
+};
@@ -0,0 +1,117 @@
+/**
+ * Payroll Configuration
+ *
+ * Monthly period close and the payroll deduction export.
+ *
+ * A closed period locks all purchases dated in it and keeps a snapshot of
+ * each employee's totals. The snapshot is exported as CSV or as a
+ * fixed-width file for the payroll system.
+ *
+ * The deduction is the employee's share of the spend; the export also
+ * reports the employer's share (see subsidy.service.js).
+ *
+ * Fixed-width layout: an ordered list of columns, each
+ *   { field, width, align: 'left' | 'right', pad: ' ' | '0', format }
+ * where format is 'text' (default), 'amount' (2 decimals) or 'cents'
+ * (amount in minor units, no decimal point). Text longer than the column
+ * is truncated; an amount that does not fit fails the export.
+ *
+ * Override with PAYROLL_CSV_DELIMITER and PAYROLL_FIXED_WIDTH_LAYOUT
+ * (JSON array of columns).
+ */
+
+const PERIOD_STATUSES = {
+  CLOSED: 'closed',
+  REOPENED: 'reopened',
+};
+
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  FIXED_WIDTH: 'fixed-width',
+};
+
+// Snapshot fields that can be exported
+const FIELDS = [
+  'period',
+  'employeeId',
+  'employeeNumber',
+  'employeeName',
+  'purchaseCount',
+  'totalSpent',
+  'totalRefunded',
+  'allowance',
+  'overage',
+  'companyShare',
+  'employeeShare',
+  'deduction',
+];
+
+// Money fields, written with two decimals in CSV
+const AMOUNT_FIELDS = [
+  'totalSpent',
+  'totalRefunded',
+  'allowance',
+  'overage',
+  'companyShare',
+  'employeeShare',
+  'deduction',
+];
+
+const COLUMN_FORMATS = ['text', 'amount', 'cents'];
+
+const DEFAULT_FIXED_WIDTH_LAYOUT = [
+  { field: 'employeeNumber', width: 12 },
+  { field: 'employeeName', width: 30 },
+  { field: 'period', width: 7 },
+  { field: 'deduction', width: 12, align: 'right', pad: '0', format: 'cents' },
+  { field: 'overage', width: 12, align: 'right', pad: '0', format: 'cents' },
+];
+
+const parseLayout = value => {
+  if (!value) {
+    return DEFAULT_FIXED_WIDTH_LAYOUT;
+  }
+
+  let layout;
+  try {
+    layout = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`PAYROLL_FIXED_WIDTH_LAYOUT is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(layout) || layout.length === 0) {
+    throw new Error('PAYROLL_FIXED_WIDTH_LAYOUT must be a non-empty array of columns');
+  }
+
+  layout.forEach(column => {
+    if (!FIELDS.includes(column.field)) {
+      throw new Error(`PAYROLL_FIXED_WIDTH_LAYOUT: unknown field '${column.field}'`);
+    }
+    if (!Number.isInteger(column.width) || column.width < 1) {
+      throw new Error(`PAYROLL_FIXED_WIDTH_LAYOUT: invalid width for '${column.field}'`);
+    }
+    if (column.format && !COLUMN_FORMATS.includes(column.format)) {
+      throw new Error(`PAYROLL_FIXED_WIDTH_LAYOUT: unknown format '${column.format}'`);
+    }
+  });
+
+  return layout;
+};
+
+module.exports = {
+  PERIOD_STATUSES,
+  EXPORT_FORMATS,
+  FIELDS,
+  AMOUNT_FIELDS,
+
+  csv: {
+    delimiter: process.env.PAYROLL_CSV_DELIMITER || ',',
+    columns: FIELDS,
+    lineEnding: '\r\n',
+  },
+
+  fixedWidth: {
+    layout: parseLayout(process.env.PAYROLL_FIXED_WIDTH_LAYOUT),
+    lineEnding: '\r\n',
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Price Change Configuration
+ *
+ * Scheduled price changes: a price list for one or more products that
+ * takes effect at a given time.
+ *
+ * - pending: waiting for its effective time, can be cancelled
+ * - applied: the worker set the new prices
+ * - cancelled: withdrawn before it was applied
+ * - failed: could not be applied in PRICE_CHANGE_MAX_ATTEMPTS runs
+ *   (default 5); the last error is kept on the change
+ *
+ * The worker checks for due changes every PRICE_CHANGE_INTERVAL seconds
+ * (default 60). Set PRICE_CHANGE_WORKER=false to run it elsewhere, e.g.
+ * on one instance only.
+ */
+
+const STATUSES = {
+  PENDING: 'pending',
+  APPLIED: 'applied',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+module.exports = {
+  STATUSES,
+
+  ALL: Object.values(STATUSES),
+
+  worker: {
+    enabled: process.env.PRICE_CHANGE_WORKER !== 'false',
+    interval: (parseInt(process.env.PRICE_CHANGE_INTERVAL, 10) || 60) * 1000,
+
+    // Runs a change may fail before it is marked failed
+    maxAttempts: parseInt(process.env.PRICE_CHANGE_MAX_ATTEMPTS, 10) || 5,
+  },
+
+  // Most products in one price list
+  maxItems: 500,
+};
@@ -0,0 +1,36 @@
+/**
+ * Promotion Configuration
+ *
+ * Discount rules evaluated whenever the items of a purchase change (see
+ * promotion.service.js).
+ *
+ * - percentage: value percent off each matching unit
+ * - fixed: value off each matching unit, never below zero
+ * - bundle: the listed products together for value, e.g. coffee and
+ *   croissant for 900
+ *
+ * A per-employee limit counts applications (discounted units, or bundles)
+ * per day or per month of the purchase date.
+ */
+
+const TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUNDLE: 'bundle',
+};
+
+const LIMIT_PERIODS = {
+  DAY: 'day',
+  MONTH: 'month',
+};
+
+module.exports = {
+  TYPES,
+
+  ALL: Object.values(TYPES),
+
+  LIMIT_PERIODS,
+
+  // Most products a promotion can list
+  maxProducts: 50,
+};
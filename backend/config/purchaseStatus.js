@@ -0,0 +1,33 @@
+/**
+ * Purchase Status Configuration
+ *
+ * Lifecycle states of a purchase. The allowed transitions between them
+ * are enforced by PurchaseService.
+ *
+ * - draft: being prepared, not yet submitted
+ * - open: submitted, items can still be changed
+ * - closed: finalized
+ * - voided: cancelled, does not count towards spending
+ * - refunded: closed purchase that was paid back
+ */
+
+const STATUSES = {
+  DRAFT: 'draft',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  VOIDED: 'voided',
+  REFUNDED: 'refunded',
+};
+
+module.exports = {
+  STATUSES,
+
+  // All statuses, in lifecycle order
+  ALL: Object.values(STATUSES),
+
+  // Statuses whose items can still be added, changed or removed
+  EDITABLE: [STATUSES.DRAFT, STATUSES.OPEN],
+
+  // Statuses left out of spending and allowance calculations
+  EXCLUDED_FROM_SPENDING: [STATUSES.VOIDED],
+};
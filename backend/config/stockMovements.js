@@ -0,0 +1,29 @@
+/**
+ * Stock Movement Configuration
+ *
+ * Every change to a product's stockQuantity is recorded as a movement with
+ * a signed quantity (positive adds stock, negative removes it).
+ *
+ * - receipt: goods received (always positive)
+ * - sale: sold through a purchase. Negative when the purchase is closed;
+ *   positive when that sale is taken back (purchase voided or reopened,
+ *   items refunded)
+ * - adjustment: stock count correction (either sign)
+ * - waste: spoiled or discarded goods (always negative)
+ */
+
+const TYPES = {
+  RECEIPT: 'receipt',
+  SALE: 'sale',
+  ADJUSTMENT: 'adjustment',
+  WASTE: 'waste',
+};
+
+module.exports = {
+  TYPES,
+
+  ALL: Object.values(TYPES),
+
+  // Types that can be recorded by hand; sales come from purchases only
+  MANUAL: [TYPES.RECEIPT, TYPES.ADJUSTMENT, TYPES.WASTE],
+};
@@ -37,6 +37,26 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description:
+            'Client-chosen key that makes the request safe to retry. A retry with the same key and body returns the stored response (with Idempotent-Replayed: true); the same key with a different body returns 422.',
+          schema: { type: 'string', maxLength: 255 },
+          example: '3f8a1c2e-6b0d-4a55-9a77-1f2e3d4c5b6a',
+        },
+        IfMatch: {
+          name: 'If-Match',
+          in: 'header',
+          required: false,
+          description:
+            'ETag of the version the change is based on. If the record was changed since, the update is rejected with 412. Without the header the update is applied regardless.',
+          schema: { type: 'string' },
+          example: '"3"',
+        },
+      },
       schemas: {
         // ==================== AUTH SCHEMAS ====================
         RegisterRequest: {
@@ -62,6 +82,12 @@ const options = {
               description: 'Min 8 chars, must contain uppercase and number',
               example: 'SecurePass123!',
             },
+            employeeNumber: {
+              type: 'string',
+              maxLength: 50,
+              description: 'Optional - links the account to this employee record',
+              example: 'EMP001',
+            },
           },
         },
 
@@ -135,6 +161,12 @@ const options = {
                   enum: ['employee', 'manager', 'admin'],
                   example: 'employee',
                 },
+                employeeId: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Employee record linked on register',
+                  example: 1,
+                },
               },
             },
             tokens: {
@@ -177,6 +209,12 @@ const options = {
                 name: { type: 'string', example: 'John Doe' },
                 email: { type: 'string', example: 'john@example.com' },
                 role: { type: 'string', example: 'employee' },
+                employeeId: {
+                  type: 'integer',
+                  nullable: true,
+                  example: 1,
+                  description: 'Linked employee record',
+                },
                 lastLogin: { type: 'string', format: 'date-time' },
                 createdAt: { type: 'string', format: 'date-time' },
               },
@@ -189,20 +227,140 @@ const options = {
           type: 'object',
           properties: {
             id: { type: 'integer', example: 1 },
+            version: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Incremented on every change; returned as the ETag header',
+              example: 3,
+            },
             name: {
               type: 'string',
               minLength: 1,
               maxLength: 255,
               example: 'Coffee',
             },
+            sku: { type: 'string', nullable: true, maxLength: 32, example: 'DRK-COFFEE' },
+            barcodes: {
+              type: 'array',
+              description: 'EAN/UPC barcodes; UPC-A is returned in its EAN-13 form',
+              items: {
+                type: 'object',
+                properties: { code: { type: 'string', example: '4006381333931' } },
+              },
+            },
             price: {
               type: 'number',
               minimum: 0,
               maximum: 999999.99,
+              description: 'Catalog price, VAT included, or the location price in the menu of a location (?location=)',
+              example: 2.5,
+            },
+            catalogPrice: {
+              type: 'number',
+              readOnly: true,
+              description: 'Catalog price, in the menu of a location (?location=) only',
               example: 2.5,
             },
+            trackStock: {
+              type: 'boolean',
+              description: 'Whether sales are limited by and deducted from stock',
+              example: true,
+            },
+            stockQuantity: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Units in stock; changed through stock movements',
+              example: 24,
+            },
+            lowStockThreshold: { type: 'integer', minimum: 0, example: 5 },
+            categoryId: { type: 'integer', nullable: true, example: 2 },
+            category: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Coffee' },
+                parentId: { type: 'integer', nullable: true, example: 1 },
+              },
+            },
+            taxRateId: { type: 'integer', nullable: true, description: 'VAT rate, null until set', example: 1 },
+            taxRate: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'Standard' },
+                rate: { type: 'number', example: 27 },
+              },
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 5 },
+                  name: { type: 'string', example: 'vegan' },
+                },
+              },
+            },
+            allergens: {
+              type: 'array',
+              nullable: true,
+              description: 'EU allergens contained; null when not declared, [] for none',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+              example: ['gluten', 'milk'],
+            },
+            dietaryLabels: {
+              type: 'array',
+              description: 'Vegan products also match the vegetarian filter',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+              example: ['vegetarian'],
+            },
+            calories: { type: 'integer', minimum: 0, nullable: true, description: 'kcal per serving', example: 350 },
+            protein: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 12.5 },
+            carbohydrates: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 40 },
+            fat: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 15.2 },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
+            imageHash: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Names the current image, changes with every new image',
+              example: '3f2a9c0d41b7e856',
+            },
+            images: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              description: 'WebP URL of each image size, null without an image (POST /products/{id}/image)',
+              properties: {
+                thumbnail: { type: 'string', description: '150x150, cropped' },
+                small: { type: 'string', description: 'Fits 400x400' },
+                medium: { type: 'string', description: 'Fits 800x800' },
+                large: { type: 'string', description: 'Fits 1600x1600' },
+              },
+              example: {
+                thumbnail: '/uploads/products/1/3f2a9c0d41b7e856-thumbnail.webp',
+                small: '/uploads/products/1/3f2a9c0d41b7e856-small.webp',
+                medium: '/uploads/products/1/3f2a9c0d41b7e856-medium.webp',
+                large: '/uploads/products/1/3f2a9c0d41b7e856-large.webp',
+              },
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+              description: 'When the product was archived, null while in the catalog',
+            },
           },
         },
 
@@ -216,12 +374,61 @@ const options = {
               maxLength: 255,
               example: 'Coffee',
             },
+            sku: {
+              type: 'string',
+              nullable: true,
+              maxLength: 32,
+              pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+              description: 'Article number, stored uppercase; unique',
+              example: 'DRK-COFFEE',
+            },
+            barcodes: {
+              type: 'array',
+              maxItems: 10,
+              description: 'EAN-8, UPC-A or EAN-13 barcodes with a valid check digit; unique across products',
+              items: { type: 'string', pattern: '^(\\d{8}|\\d{12}|\\d{13})$' },
+              example: ['4006381333931'],
+            },
             price: {
               type: 'number',
               minimum: 0,
               maximum: 999999.99,
               example: 2.5,
             },
+            trackStock: { type: 'boolean', default: false },
+            lowStockThreshold: { type: 'integer', minimum: 0, default: 0 },
+            categoryId: { type: 'integer', nullable: true, example: 2 },
+            taxRateId: { type: 'integer', nullable: true, description: 'VAT rate', example: 1 },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              description: 'Tag names; unknown tags are created',
+              items: { type: 'string', maxLength: 50 },
+              example: ['vegan', 'hot'],
+            },
+            allergens: {
+              type: 'array',
+              nullable: true,
+              description: 'EU allergens contained; null when not declared, [] for none',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+              example: ['gluten', 'milk'],
+            },
+            dietaryLabels: {
+              type: 'array',
+              description: 'Vegan products also match the vegetarian filter',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+              example: ['vegetarian'],
+            },
+            calories: { type: 'integer', minimum: 0, nullable: true, description: 'kcal per serving', example: 350 },
+            protein: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 12.5 },
+            carbohydrates: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 40 },
+            fat: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 15.2 },
           },
         },
 
@@ -235,242 +442,1737 @@ const options = {
               maxLength: 255,
               example: 'Premium Coffee',
             },
+            sku: {
+              type: 'string',
+              nullable: true,
+              maxLength: 32,
+              pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+              description: 'Article number, stored uppercase; null removes it',
+              example: 'DRK-COFFEE',
+            },
+            barcodes: {
+              type: 'array',
+              maxItems: 10,
+              description: 'Replaces the barcodes',
+              items: { type: 'string', pattern: '^(\\d{8}|\\d{12}|\\d{13})$' },
+              example: ['4006381333931'],
+            },
             price: {
               type: 'number',
               minimum: 0,
               maximum: 999999.99,
               example: 3.0,
             },
+            trackStock: { type: 'boolean' },
+            lowStockThreshold: { type: 'integer', minimum: 0 },
+            categoryId: { type: 'integer', nullable: true, description: 'null removes the category' },
+            taxRateId: { type: 'integer', nullable: true, description: 'VAT rate; null removes it' },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              description: 'Replaces the tags; unknown tags are created',
+              items: { type: 'string', maxLength: 50 },
+            },
+            allergens: {
+              type: 'array',
+              nullable: true,
+              description: 'Replaces the allergens; null when not declared, [] for none',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+            },
+            dietaryLabels: {
+              type: 'array',
+              description: 'Vegan products also match the vegetarian filter',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+            },
+            calories: { type: 'integer', minimum: 0, nullable: true, description: 'kcal per serving', example: 350 },
+            protein: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 12.5 },
+            carbohydrates: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 40 },
+            fat: { type: 'number', minimum: 0, nullable: true, description: 'Grams per serving', example: 15.2 },
           },
         },
 
-        PaginatedProducts: {
+        StockMovement: {
           type: 'object',
           properties: {
-            data: {
-              type: 'array',
-              items: { $ref: '#/components/schemas/Product' },
+            id: { type: 'integer', example: 1 },
+            productId: { type: 'integer', example: 4 },
+            type: { type: 'string', enum: ['receipt', 'sale', 'adjustment', 'waste'] },
+            quantity: {
+              type: 'integer',
+              description: 'Signed change: positive adds stock, negative removes it',
+              example: -2,
             },
-            meta: { $ref: '#/components/schemas/PaginationMeta' },
+            balanceAfter: { type: 'integer', example: 22 },
+            purchaseId: { type: 'integer', nullable: true, description: 'Purchase of a sale movement' },
+            refundId: { type: 'integer', nullable: true, description: 'Refund that returned the stock' },
+            userId: { type: 'integer', nullable: true },
+            reason: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
           },
         },
 
-        // ==================== EMPLOYEE SCHEMAS ====================
-        Employee: {
+        StockMovementCreate: {
           type: 'object',
+          required: ['type', 'quantity'],
           properties: {
-            id: { type: 'integer', example: 1 },
-            name: {
-              type: 'string',
-              minLength: 1,
-              maxLength: 255,
-              example: 'John Doe',
-            },
-            employee_number: {
-              type: 'string',
-              minLength: 1,
-              maxLength: 50,
-              example: 'EMP001',
-            },
-            monthlyConsumptionValue: {
+            type: { type: 'string', enum: ['receipt', 'adjustment', 'waste'] },
+            quantity: {
               type: 'integer',
-              minimum: 0,
-              example: 50000,
+              description: 'Units received or wasted (positive); signed correction for an adjustment',
+              example: 24,
             },
-            createdAt: { type: 'string', format: 'date-time' },
-            updatedAt: { type: 'string', format: 'date-time' },
+            reason: { type: 'string', maxLength: 500, example: 'Delivery #1042' },
           },
         },
 
-        EmployeeCreate: {
+        ProductPrice: {
           type: 'object',
-          required: ['name', 'employee_number', 'monthlyConsumptionValue'],
           properties: {
-            name: {
-              type: 'string',
-              minLength: 1,
-              maxLength: 255,
-              example: 'John Doe',
+            id: { type: 'integer', example: 12 },
+            price: { type: 'number', format: 'decimal', example: 3.2 },
+            previousPrice: {
+              type: 'number',
+              format: 'decimal',
+              nullable: true,
+              description: 'Null for the first recorded price',
+              example: 2.9,
             },
-            employee_number: {
+            effectiveFrom: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        PriceAt: {
+          type: 'object',
+          properties: {
+            productId: { type: 'integer', example: 4 },
+            at: { type: 'string', format: 'date-time' },
+            price: { type: 'number', format: 'decimal', example: 2.9 },
+            effectiveFrom: {
               type: 'string',
-              minLength: 1,
-              maxLength: 50,
-              example: 'EMP001',
-            },
-            monthlyConsumptionValue: {
-              type: 'integer',
-              minimum: 0,
-              example: 50000,
+              format: 'date-time',
+              description: 'When this price took effect',
             },
           },
         },
 
-        EmployeeUpdate: {
+        Promotion: {
           type: 'object',
-          minProperties: 1,
           properties: {
-            name: {
+            id: { type: 'integer', readOnly: true, example: 2 },
+            name: { type: 'string', maxLength: 100, example: 'Salads after 2pm' },
+            description: { type: 'string', maxLength: 500, nullable: true },
+            type: {
               type: 'string',
-              minLength: 1,
-              maxLength: 255,
-              example: 'John Doe Updated',
+              enum: ['percentage', 'fixed', 'bundle'],
+              description: 'percentage: value percent off each unit; fixed: value off each unit; bundle: the products together for value',
+              example: 'percentage',
             },
-            employee_number: {
+            value: { type: 'number', format: 'decimal', minimum: 0, example: 20 },
+            categoryId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Percentage and fixed only: also applies to the products of this category and its subcategories',
+              example: 3,
+            },
+            active: { type: 'boolean', default: true },
+            priority: { type: 'integer', default: 0, description: 'Higher is evaluated first' },
+            weekdays: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'integer', minimum: 1, maximum: 7 },
+              description: 'ISO weekday numbers (Monday = 1), null for every day',
+            },
+            startTime: {
               type: 'string',
-              minLength: 1,
-              maxLength: 50,
-              example: 'EMP002',
+              nullable: true,
+              description: 'Local HH:MM the promotion starts (inclusive), null for midnight',
+              example: '14:00',
             },
-            monthlyConsumptionValue: {
+            endTime: {
+              type: 'string',
+              nullable: true,
+              description: 'Local HH:MM the promotion ends (exclusive, up to 24:00), null for midnight',
+              example: '24:00',
+            },
+            startDate: { type: 'string', format: 'date', nullable: true, description: 'First day, inclusive' },
+            endDate: { type: 'string', format: 'date', nullable: true, description: 'Last day, inclusive' },
+            perEmployeeLimit: {
               type: 'integer',
-              minimum: 0,
-              example: 75000,
+              nullable: true,
+              minimum: 1,
+              description: 'Applications (discounted units, or bundles) per employee and limitPeriod',
             },
-          },
-        },
-
-        PaginatedEmployees: {
-          type: 'object',
-          properties: {
-            data: {
+            limitPeriod: { type: 'string', enum: ['day', 'month'], default: 'day' },
+            products: {
               type: 'array',
-              items: { $ref: '#/components/schemas/Employee' },
+              items: {
+                type: 'object',
+                required: ['productId'],
+                properties: {
+                  productId: { type: 'integer', example: 4 },
+                  quantity: {
+                    type: 'integer',
+                    minimum: 1,
+                    default: 1,
+                    description: 'Units in one bundle (bundles only)',
+                  },
+                  product: {
+                    type: 'object',
+                    readOnly: true,
+                    properties: {
+                      id: { type: 'integer' },
+                      name: { type: 'string' },
+                      price: { type: 'number', format: 'decimal' },
+                    },
+                  },
+                },
+              },
             },
-            meta: { $ref: '#/components/schemas/PaginationMeta' },
+            category: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+            updatedAt: { type: 'string', format: 'date-time', readOnly: true },
           },
         },
 
-        // ==================== PURCHASE SCHEMAS ====================
-        Purchase: {
+        PriceChange: {
           type: 'object',
           properties: {
-            id: { type: 'integer', example: 1 },
-            date: {
-              type: 'string',
-              format: 'date-time',
-              example: '2023-12-01T10:30:00.000Z',
+            id: { type: 'integer', example: 3 },
+            effectiveFrom: { type: 'string', format: 'date-time' },
+            status: { type: 'string', enum: ['pending', 'applied', 'cancelled', 'failed'], example: 'pending' },
+            note: { type: 'string', nullable: true, example: 'November supplier price list' },
+            createdBy: { type: 'integer', nullable: true, example: 2 },
+            appliedAt: { type: 'string', format: 'date-time', nullable: true },
+            cancelledAt: { type: 'string', format: 'date-time', nullable: true },
+            cancelledBy: { type: 'integer', nullable: true },
+            attempts: { type: 'integer', description: 'Failed runs of the worker', example: 0 },
+            lastError: { type: 'string', nullable: true, description: 'Why the last run failed' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 7 },
+                  productId: { type: 'integer', example: 4 },
+                  price: { type: 'number', format: 'decimal', example: 3.4 },
+                  product: {
+                    type: 'object',
+                    description: 'The product with its current price',
+                    properties: {
+                      id: { type: 'integer', example: 4 },
+                      name: { type: 'string', example: 'Latte' },
+                      price: { type: 'number', format: 'decimal', example: 3.2 },
+                    },
+                  },
+                },
+              },
             },
-            employeeId: { type: 'integer', example: 1 },
-            total: {
-              type: 'number',
-              minimum: 0,
-              maximum: 999999.99,
-              example: 15.5,
+            creator: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Manager User' },
+              },
             },
-            closed: { type: 'boolean', example: false },
-            userId: { type: 'integer', example: 1 },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
 
-        PurchaseCreate: {
+        PriceChangeCreate: {
           type: 'object',
-          required: ['date', 'employeeId'],
+          required: ['effectiveFrom', 'items'],
           properties: {
-            date: {
+            effectiveFrom: {
               type: 'string',
               format: 'date-time',
-              example: '2023-12-01T10:30:00.000Z',
+              description: 'When the new prices take effect; must be in the future',
             },
-            employeeId: { type: 'integer', example: 1 },
-            total: {
-              type: 'number',
-              minimum: 0,
-              maximum: 999999.99,
-              example: 0,
+            note: { type: 'string', maxLength: 500, nullable: true },
+            items: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 500,
+              description: 'One new price per product',
+              items: {
+                type: 'object',
+                required: ['productId', 'price'],
+                properties: {
+                  productId: { type: 'integer', minimum: 1, example: 4 },
+                  price: { type: 'number', minimum: 0, example: 3.4 },
+                },
+              },
             },
-            closed: { type: 'boolean', example: false },
           },
         },
 
-        PurchaseUpdate: {
+        UpcomingPriceChange: {
           type: 'object',
-          minProperties: 1,
           properties: {
-            date: { type: 'string', format: 'date-time' },
-            employeeId: { type: 'integer' },
-            total: { type: 'number', minimum: 0, maximum: 999999.99 },
-            closed: { type: 'boolean' },
+            priceChangeId: { type: 'integer', example: 3 },
+            price: { type: 'number', format: 'decimal', example: 3.4 },
+            effectiveFrom: { type: 'string', format: 'date-time' },
+            note: { type: 'string', nullable: true },
           },
         },
 
-        PaginatedPurchases: {
+        AvailabilityWindow: {
           type: 'object',
+          description: 'Every part is optional and narrows the window; times and dates are local to the cafeteria',
           properties: {
-            data: {
+            id: { type: 'integer', readOnly: true, example: 1 },
+            label: { type: 'string', maxLength: 100, nullable: true, example: 'Breakfast' },
+            weekdays: {
               type: 'array',
-              items: { $ref: '#/components/schemas/Purchase' },
+              nullable: true,
+              description: 'ISO weekday numbers (1 = Monday ... 7 = Sunday), null for every day',
+              items: { type: 'integer', minimum: 1, maximum: 7 },
+              example: [1, 2, 3, 4, 5],
             },
-            meta: { $ref: '#/components/schemas/PaginationMeta' },
+            startTime: {
+              type: 'string',
+              nullable: true,
+              description: 'HH:MM the window opens (inclusive), null for midnight',
+              example: '07:00',
+            },
+            endTime: {
+              type: 'string',
+              nullable: true,
+              description: 'HH:MM the window closes (exclusive, up to 24:00), null for midnight',
+              example: '10:30',
+            },
+            startDate: { type: 'string', format: 'date', nullable: true, description: 'First day, inclusive' },
+            endDate: { type: 'string', format: 'date', nullable: true, description: 'Last day, inclusive' },
           },
         },
 
-        // ==================== PURCHASE ITEM SCHEMAS ====================
-        PurchaseItem: {
+        ProductAvailability: {
           type: 'object',
           properties: {
-            id: { type: 'integer', example: 1 },
-            productId: { type: 'integer', example: 1 },
-            purchaseId: { type: 'integer', example: 1 },
-            quantity: { type: 'integer', minimum: 1, example: 2 },
-            price: { type: 'number', example: 2.5 },
-            createdAt: { type: 'string', format: 'date-time' },
-            updatedAt: { type: 'string', format: 'date-time' },
+            productId: { type: 'integer', example: 4 },
+            windows: {
+              type: 'array',
+              description: 'Available when any window matches; always available when empty',
+              items: { $ref: '#/components/schemas/AvailabilityWindow' },
+            },
           },
         },
 
-        PurchaseItemCreate: {
+        ProductAvailabilityUpdate: {
           type: 'object',
-          required: ['productId', 'purchaseId', 'quantity', 'price'],
+          required: ['windows'],
           properties: {
-            productId: { type: 'integer', example: 1 },
-            purchaseId: { type: 'integer', example: 1 },
-            quantity: { type: 'integer', minimum: 1, example: 2 },
-            price: {
-              type: 'number',
-              minimum: 0,
-              maximum: 999999.99,
-              example: 2.5,
+            windows: {
+              type: 'array',
+              maxItems: 20,
+              items: { $ref: '#/components/schemas/AvailabilityWindow' },
             },
           },
         },
 
-        PurchaseItemUpdate: {
+        AvailableProducts: {
           type: 'object',
-          minProperties: 1,
           properties: {
-            quantity: { type: 'integer', minimum: 1, example: 3 },
-            price: {
-              type: 'number',
-              minimum: 0,
-              maximum: 999999.99,
-              example: 3.0,
+            at: { type: 'string', format: 'date-time' },
+            timezone: { type: 'string', example: 'Europe/Berlin' },
+            data: {
+              type: 'array',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/Product' },
+                  {
+                    type: 'object',
+                    properties: {
+                      availabilityWindows: {
+                        type: 'array',
+                        items: { $ref: '#/components/schemas/AvailabilityWindow' },
+                      },
+                    },
+                  },
+                ],
+              },
             },
           },
         },
 
-        PaginatedPurchaseItems: {
+        PaginatedProducts: {
           type: 'object',
           properties: {
             data: {
               type: 'array',
-              items: { $ref: '#/components/schemas/PurchaseItem' },
+              items: { $ref: '#/components/schemas/Product' },
             },
             meta: { $ref: '#/components/schemas/PaginationMeta' },
+            facets: { $ref: '#/components/schemas/ProductFacets' },
           },
         },
 
-        // ==================== COMMON SCHEMAS ====================
-        PaginationMeta: {
+        ProductFacets: {
           type: 'object',
+          description: 'Counts over all products matching the filters (only with facets=true)',
           properties: {
-            page: { type: 'integer', example: 1 },
-            limit: { type: 'integer', example: 20 },
-            total: { type: 'integer', example: 150 },
-            totalPages: { type: 'integer', example: 8 },
-            hasNextPage: { type: 'boolean', example: true },
+            categories: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', nullable: true, description: 'null for uncategorized products' },
+                  name: { type: 'string', nullable: true, example: 'Coffee' },
+                  path: { type: 'array', items: { type: 'string' }, example: ['Drinks', 'Coffee'] },
+                  count: { type: 'integer', example: 7 },
+                },
+              },
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 5 },
+                  name: { type: 'string', example: 'vegan' },
+                  count: { type: 'integer', example: 3 },
+                },
+              },
+            },
+          },
+        },
+
+        ProductCategoryStats: {
+          type: 'object',
+          nullable: true,
+          description: 'Sales of the product\'s category (null when uncategorized)',
+          properties: {
+            categoryId: { type: 'integer', example: 2 },
+            categoryName: { type: 'string', example: 'Coffee' },
+            path: { type: 'array', items: { type: 'string' }, example: ['Drinks', 'Coffee'] },
+            productCount: { type: 'integer', example: 6 },
+            totalQuantitySold: { type: 'integer', example: 420 },
+            totalRevenue: { type: 'number', example: 1050.5 },
+            revenueShare: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              description: 'The product\'s share of the category revenue',
+              example: 0.3125,
+            },
+            rank: {
+              type: 'integer',
+              nullable: true,
+              description: 'Position by revenue within the category, null without sales',
+              example: 1,
+            },
+          },
+        },
+
+        PopularCategory: {
+          type: 'object',
+          properties: {
+            categoryId: { type: 'integer', nullable: true, description: 'null for uncategorized products' },
+            categoryName: { type: 'string', nullable: true, example: 'Coffee' },
+            path: { type: 'array', items: { type: 'string' }, example: ['Drinks', 'Coffee'] },
+            orderCount: { type: 'integer', example: 120 },
+            totalQuantity: { type: 'integer', example: 150 },
+            totalRevenue: { type: 'number', example: 375 },
+          },
+        },
+
+        // ==================== CATEGORY & TAG SCHEMAS ====================
+        Category: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 2 },
+            name: { type: 'string', example: 'Coffee' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+            path: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Names from the top-level category down',
+              example: ['Drinks', 'Coffee'],
+            },
+            depth: { type: 'integer', description: 'In the list only; 0 for top-level', example: 1 },
+            productCount: { type: 'integer', description: 'In the list only', example: 6 },
+            children: {
+              type: 'array',
+              description: 'Subcategories (tree=true and single category)',
+              items: { type: 'object' },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        CategoryCreate: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, example: 'Coffee' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+          },
+        },
+
+        CategoryUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            parentId: { type: 'integer', nullable: true, description: 'null moves it to the top level' },
+          },
+        },
+
+        Tag: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 5 },
+            name: { type: 'string', example: 'vegan' },
+            productCount: { type: 'integer', description: 'In the list only', example: 3 },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        TagInput: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 50, example: 'vegan' },
+          },
+        },
+
+        // ==================== DEPARTMENT & COST CENTER SCHEMAS ====================
+        Department: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 4 },
+            name: { type: 'string', example: 'Kitchen' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+            path: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Names from the top-level department down',
+              example: ['Operations', 'Kitchen'],
+            },
+            depth: { type: 'integer', description: 'In the list only; 0 for top-level', example: 1 },
+            employeeCount: { type: 'integer', description: 'In the list only; employees currently in it', example: 12 },
+            children: {
+              type: 'array',
+              description: 'Subdepartments (tree=true and single department)',
+              items: { type: 'object' },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        DepartmentCreate: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, example: 'Kitchen' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+          },
+        },
+
+        DepartmentUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            parentId: { type: 'integer', nullable: true, description: 'null moves it to the top level' },
+          },
+        },
+
+        CostCenter: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 2 },
+            code: { type: 'string', example: 'CC-4100' },
+            name: { type: 'string', example: 'Kitchen staff' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+            path: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Names from the top-level cost center down',
+              example: ['Operations', 'Kitchen staff'],
+            },
+            depth: { type: 'integer', description: 'In the list only; 0 for top-level', example: 1 },
+            employeeCount: { type: 'integer', description: 'In the list only; employees currently charged to it', example: 12 },
+            children: {
+              type: 'array',
+              description: 'Sub-cost centers (tree=true and single cost center)',
+              items: { type: 'object' },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        CostCenterCreate: {
+          type: 'object',
+          required: ['code', 'name'],
+          properties: {
+            code: {
+              type: 'string',
+              maxLength: 20,
+              pattern: '^[A-Z0-9][A-Z0-9._-]*$',
+              description: 'Unique; stored uppercase',
+              example: 'CC-4100',
+            },
+            name: { type: 'string', minLength: 1, maxLength: 100, example: 'Kitchen staff' },
+            parentId: { type: 'integer', nullable: true, example: 1 },
+          },
+        },
+
+        CostCenterUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            code: { type: 'string', maxLength: 20, pattern: '^[A-Z0-9][A-Z0-9._-]*$' },
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            parentId: { type: 'integer', nullable: true, description: 'null moves it to the top level' },
+          },
+        },
+
+        EmployeeAssignment: {
+          type: 'object',
+          description: 'Department and cost center of an employee from validFrom up to the day before validTo',
+          properties: {
+            id: { type: 'integer', example: 7 },
+            employeeId: { type: 'integer', example: 1 },
+            departmentId: { type: 'integer', nullable: true, example: 4 },
+            costCenterId: { type: 'integer', nullable: true, example: 2 },
+            validFrom: { type: 'string', format: 'date', example: '2026-10-01' },
+            validTo: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'First day after the assignment, null while current',
+            },
+            department: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+              },
+            },
+            costCenter: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer' },
+                code: { type: 'string' },
+                name: { type: 'string' },
+              },
+            },
+          },
+        },
+
+        EmployeeAssignmentCreate: {
+          type: 'object',
+          required: ['departmentId', 'costCenterId'],
+          properties: {
+            departmentId: { type: 'integer', nullable: true, description: 'null for none', example: 4 },
+            costCenterId: { type: 'integer', nullable: true, description: 'null for none', example: 2 },
+            validFrom: {
+              type: 'string',
+              format: 'date',
+              description: 'First day of the move, today by default; not in the future or before the current assignment',
+              example: '2026-10-01',
+            },
+          },
+        },
+
+        TaxRate: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            name: { type: 'string', example: 'Standard' },
+            rate: { type: 'number', description: 'VAT rate in percent', example: 27 },
+            productCount: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Products sold at the rate, archived ones included (list only)',
+              example: 42,
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        TaxRateCreate: {
+          type: 'object',
+          required: ['name', 'rate'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 50, description: 'Unique', example: 'Standard' },
+            rate: { type: 'number', minimum: 0, maximum: 100, example: 27 },
+          },
+        },
+
+        TaxRateUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 50 },
+            rate: { type: 'number', minimum: 0, maximum: 100, description: 'Applies to items added from now on' },
+          },
+        },
+
+        TaxBreakdown: {
+          type: 'object',
+          description: 'VAT by rate, rounded per rate under the currency rounding rule',
+          properties: {
+            currency: { type: 'string', example: 'HUF' },
+            rates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  taxRate: { type: 'number', nullable: true, description: 'null for items sold without a rate', example: 27 },
+                  net: { type: 'number', nullable: true, example: 701 },
+                  vat: { type: 'number', nullable: true, example: 189 },
+                  gross: { type: 'number', example: 890 },
+                },
+              },
+            },
+            net: { type: 'number', description: 'Sum of the known nets', example: 701 },
+            vat: { type: 'number', example: 189 },
+            gross: { type: 'number', example: 890 },
+          },
+        },
+
+        Location: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 2 },
+            name: { type: 'string', example: 'Building B canteen' },
+            building: { type: 'string', nullable: true, example: 'Building B' },
+            users: {
+              type: 'array',
+              description: 'Users working at the location',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 4 },
+                  name: { type: 'string', example: 'Jane Manager' },
+                  email: { type: 'string', example: 'jane@example.com' },
+                  role: { type: 'string', example: 'manager' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        LocationCreate: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, description: 'Unique', example: 'Building B canteen' },
+            building: { type: 'string', nullable: true, maxLength: 100, example: 'Building B' },
+          },
+        },
+
+        LocationUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            building: { type: 'string', nullable: true, maxLength: 100 },
+          },
+        },
+
+        LocationUsers: {
+          type: 'object',
+          required: ['userIds'],
+          properties: {
+            userIds: { type: 'array', maxItems: 100, items: { type: 'integer' }, example: [4, 7] },
+          },
+        },
+
+        LocationProduct: {
+          type: 'object',
+          description: 'Availability and price of a product at a location',
+          properties: {
+            productId: { type: 'integer', example: 3 },
+            available: { type: 'boolean', description: 'false takes the product off the menu', example: true },
+            price: { type: 'number', nullable: true, description: 'null for the catalog price', example: 4.2 },
+            product: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 3 },
+                name: { type: 'string', example: 'Lasagna' },
+                price: { type: 'number', description: 'Catalog price', example: 4.5 },
+              },
+            },
+          },
+        },
+
+        LocationProductUpdate: {
+          type: 'object',
+          properties: {
+            available: { type: 'boolean', default: true },
+            price: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              maximum: 999999.99,
+              default: null,
+              description: 'null for the catalog price',
+            },
+          },
+        },
+
+        // ==================== EMPLOYEE SCHEMAS ====================
+        Employee: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            version: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Incremented on every change; returned as the ETag header',
+              example: 3,
+            },
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 255,
+              example: 'John Doe',
+            },
+            employee_number: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 50,
+              example: 'EMP001',
+            },
+            monthlyConsumptionValue: {
+              type: 'integer',
+              minimum: 0,
+              example: 50000,
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'john.doe@example.com',
+            },
+            badgeNumber: {
+              type: 'string',
+              nullable: true,
+              maxLength: 64,
+              description: 'Identifier read from the badge or card at the terminals; unique',
+              example: '04A2249AC31F80',
+            },
+            userId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Linked user account',
+              example: 3,
+            },
+            subsidyPolicyId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Subsidy policy, null when the employee pays in full',
+              example: 1,
+            },
+            departmentId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current department; a change is recorded in the assignment history as of today',
+              example: 4,
+            },
+            costCenterId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current cost center; a change is recorded in the assignment history as of today',
+              example: 2,
+            },
+            allergies: {
+              type: 'array',
+              description: 'EU allergen codes the employee is allergic to',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+            },
+            dietaryRestrictions: {
+              type: 'array',
+              description: 'Dietary labels every product bought must carry',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+            },
+            dietaryConflictPolicy: {
+              type: 'string',
+              enum: ['warn', 'block'],
+              description: 'Warn about or block purchase items conflicting with the profile',
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        EmployeeCreate: {
+          type: 'object',
+          required: ['name', 'employee_number', 'monthlyConsumptionValue'],
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 255,
+              example: 'John Doe',
+            },
+            employee_number: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 50,
+              example: 'EMP001',
+            },
+            monthlyConsumptionValue: {
+              type: 'integer',
+              minimum: 0,
+              example: 50000,
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'john.doe@example.com',
+            },
+            badgeNumber: {
+              type: 'string',
+              nullable: true,
+              maxLength: 64,
+              description: 'Identifier read from the badge or card at the terminals; unique',
+              example: '04A2249AC31F80',
+            },
+            subsidyPolicyId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Subsidy policy, null when the employee pays in full',
+              example: 1,
+            },
+            departmentId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current department; a change is recorded in the assignment history as of today',
+              example: 4,
+            },
+            costCenterId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current cost center; a change is recorded in the assignment history as of today',
+              example: 2,
+            },
+            allergies: {
+              type: 'array',
+              description: 'EU allergen codes the employee is allergic to',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+            },
+            dietaryRestrictions: {
+              type: 'array',
+              description: 'Dietary labels every product bought must carry',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+            },
+            dietaryConflictPolicy: {
+              type: 'string',
+              enum: ['warn', 'block'],
+              description: 'Warn about or block purchase items conflicting with the profile',
+            },
+          },
+        },
+
+        EmployeeUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 255,
+              example: 'John Doe Updated',
+            },
+            employee_number: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 50,
+              example: 'EMP002',
+            },
+            monthlyConsumptionValue: {
+              type: 'integer',
+              minimum: 0,
+              example: 75000,
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              nullable: true,
+              example: 'john.doe@example.com',
+            },
+            badgeNumber: {
+              type: 'string',
+              nullable: true,
+              maxLength: 64,
+              description: 'Identifier read from the badge or card at the terminals; unique',
+              example: '04A2249AC31F80',
+            },
+            subsidyPolicyId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Subsidy policy, null when the employee pays in full',
+              example: 1,
+            },
+            departmentId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current department; a change is recorded in the assignment history as of today',
+              example: 4,
+            },
+            costCenterId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current cost center; a change is recorded in the assignment history as of today',
+              example: 2,
+            },
+            allergies: {
+              type: 'array',
+              description: 'EU allergen codes the employee is allergic to',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+            },
+            dietaryRestrictions: {
+              type: 'array',
+              description: 'Dietary labels every product bought must carry',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+            },
+            dietaryConflictPolicy: {
+              type: 'string',
+              enum: ['warn', 'block'],
+              description: 'Warn about or block purchase items conflicting with the profile',
+            },
+          },
+        },
+
+        DietaryProfile: {
+          type: 'object',
+          properties: {
+            employeeId: { type: 'integer', readOnly: true, example: 1 },
+            allergies: {
+              type: 'array',
+              description: 'EU allergen codes the employee is allergic to',
+              items: {
+                type: 'string',
+                enum: [
+                  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+                  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+                ],
+              },
+            },
+            dietaryRestrictions: {
+              type: 'array',
+              description: 'Dietary labels every product bought must carry',
+              items: { type: 'string', enum: ['vegan', 'vegetarian', 'halal'] },
+            },
+            dietaryConflictPolicy: {
+              type: 'string',
+              enum: ['warn', 'block'],
+              description: 'Warn about or block purchase items conflicting with the profile',
+            },
+          },
+        },
+
+        DietaryWarning: {
+          type: 'object',
+          description: 'Purchase item conflicting with the employee dietary profile',
+          properties: {
+            productId: { type: 'integer', example: 4 },
+            productName: { type: 'string', example: 'Cheese Pizza' },
+            type: {
+              type: 'string',
+              enum: ['allergen', 'diet', 'undeclared'],
+              description: 'allergen: contains an allergy; diet: lacks a required label; undeclared: allergens unknown (never blocks)',
+              example: 'allergen',
+            },
+            allergens: { type: 'array', items: { type: 'string' }, example: ['milk'] },
+            labels: { type: 'array', items: { type: 'string' }, example: ['vegan'] },
+            message: { type: 'string', example: 'Cheese Pizza contains milk' },
+            blocking: {
+              type: 'boolean',
+              description: 'Rejected on save under the employee block policy',
+              example: false,
+            },
+          },
+        },
+
+        SubsidyPolicy: {
+          type: 'object',
+          required: ['name', 'percentage'],
+          properties: {
+            id: { type: 'integer', readOnly: true, example: 1 },
+            name: { type: 'string', maxLength: 100, example: 'Full-time staff' },
+            description: { type: 'string', maxLength: 500, nullable: true },
+            percentage: {
+              type: 'number',
+              minimum: 0,
+              maximum: 100,
+              description: 'Percent of each purchase total paid by the employer',
+              example: 50,
+            },
+            dailyCap: {
+              type: 'number',
+              minimum: 0,
+              nullable: true,
+              description: 'Most the employer pays per employee and day, null for no cap',
+              example: 1500,
+            },
+            monthlyCap: {
+              type: 'number',
+              minimum: 0,
+              nullable: true,
+              description: 'Most the employer pays per employee and month, null for no cap',
+              example: null,
+            },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+            updatedAt: { type: 'string', format: 'date-time', readOnly: true },
+          },
+        },
+
+        PaginatedEmployees: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Employee' },
+            },
+            meta: { $ref: '#/components/schemas/PaginationMeta' },
+          },
+        },
+
+        AllowanceBalance: {
+          type: 'object',
+          properties: {
+            employeeId: { type: 'integer', example: 1 },
+            policy: {
+              type: 'string',
+              enum: ['hard', 'soft', 'overdraft'],
+              example: 'hard',
+            },
+            allowance: { type: 'number', example: 50000 },
+            spent: {
+              type: 'number',
+              description: 'Month-to-date spend from purchase item snapshots',
+              example: 12500,
+            },
+            remaining: {
+              type: 'number',
+              description: 'allowance - spent (negative once exceeded)',
+              example: 37500,
+            },
+            overdraftLimit: { type: 'number', example: 0 },
+            available: {
+              type: 'number',
+              description: 'What can still be spent before the policy blocks',
+              example: 37500,
+            },
+            period: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', format: 'date-time' },
+                to: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+        },
+
+        // ==================== PURCHASE SCHEMAS ====================
+        Purchase: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            version: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Incremented on every change; returned as the ETag header',
+              example: 3,
+            },
+            date: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+            employeeId: { type: 'integer', example: 1 },
+            total: {
+              type: 'number',
+              minimum: 0,
+              maximum: 999999.99,
+              readOnly: true,
+              description: 'Sum of the item snapshots minus the discounts, calculated by the server',
+              example: 15.5,
+            },
+            companyShare: {
+              type: 'number',
+              readOnly: true,
+              description: 'Part of the total paid by the employer under the subsidy policy',
+              example: 7.75,
+            },
+            employeeShare: {
+              type: 'number',
+              readOnly: true,
+              description: 'Part of the total paid by the employee',
+              example: 7.75,
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'open', 'closed', 'voided', 'refunded'],
+              readOnly: true,
+              example: 'open',
+            },
+            statusReason: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Reason given for the last status change',
+            },
+            statusChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+            },
+            closed: {
+              type: 'boolean',
+              readOnly: true,
+              description: 'Deprecated - true when status is closed',
+              example: false,
+            },
+            userId: { type: 'integer', example: 1 },
+            locationId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location of the purchase, null for purchases from before locations',
+              example: 2,
+            },
+            location: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Building B canteen' },
+              },
+            },
+            discounts: {
+              type: 'array',
+              readOnly: true,
+              description: 'Discount lines from promotions (single purchase responses only)',
+              items: { $ref: '#/components/schemas/PurchaseDiscount' },
+            },
+            tax: {
+              allOf: [{ $ref: '#/components/schemas/TaxBreakdown' }],
+              readOnly: true,
+              description: 'VAT by rate, net of the discounts (single purchase responses only)',
+            },
+            dietaryWarnings: {
+              type: 'array',
+              readOnly: true,
+              description: 'Added items conflicting with the employee dietary profile (responses to item changes only)',
+              items: { $ref: '#/components/schemas/DietaryWarning' },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        PurchaseDiscount: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true, example: 5 },
+            promotionId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Promotion that produced the line, null once deleted',
+              example: 2,
+            },
+            promotionName: { type: 'string', example: 'Coffee + croissant' },
+            applications: { type: 'integer', description: 'Discounted units, or bundles', example: 1 },
+            amount: { type: 'number', format: 'decimal', example: 1.2 },
+          },
+        },
+
+        PurchasePreviewRequest: {
+          type: 'object',
+          required: ['employeeId', 'items'],
+          properties: {
+            employeeId: { type: 'integer', example: 1 },
+            date: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the basket is bought (default: now)',
+            },
+            locationId: { type: 'integer', nullable: true, description: 'Price at this location', example: 2 },
+            items: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['productId'],
+                properties: {
+                  productId: { type: 'integer', example: 1 },
+                  quantity: { type: 'integer', minimum: 1, default: 1, example: 2 },
+                },
+              },
+            },
+          },
+        },
+
+        PurchasePreview: {
+          type: 'object',
+          properties: {
+            employeeId: { type: 'integer', example: 1 },
+            date: { type: 'string', format: 'date-time' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  productId: { type: 'integer', example: 1 },
+                  productName: { type: 'string', example: 'Coffee' },
+                  quantity: { type: 'integer', example: 1 },
+                  unitPrice: { type: 'number', format: 'decimal', example: 4.5 },
+                  taxRate: { type: 'number', nullable: true },
+                  lineTotal: { type: 'number', example: 4.5 },
+                  net: { type: 'number', nullable: true, description: 'Before discounts', example: 3.54 },
+                  vat: { type: 'number', nullable: true, description: 'Before discounts', example: 0.96 },
+                },
+              },
+            },
+            subtotal: { type: 'number', example: 10.2 },
+            discounts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  promotionId: { type: 'integer', example: 2 },
+                  promotionName: { type: 'string', example: 'Coffee + croissant' },
+                  applications: { type: 'integer', example: 1 },
+                  amount: { type: 'number', example: 1.2 },
+                },
+              },
+            },
+            discountTotal: { type: 'number', example: 1.2 },
+            total: { type: 'number', example: 9 },
+            tax: { $ref: '#/components/schemas/TaxBreakdown' },
+            dietaryWarnings: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/DietaryWarning' },
+            },
+          },
+        },
+
+        PosCheckout: {
+          type: 'object',
+          required: ['badgeNumber', 'items'],
+          properties: {
+            badgeNumber: { type: 'string', maxLength: 64, example: '04A2249AC31F80' },
+            locationId: {
+              type: 'integer',
+              description: 'Location of the terminal; the only location of the terminal account by default',
+              example: 2,
+            },
+            items: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 50,
+              items: {
+                type: 'object',
+                description: 'Either productId or code',
+                properties: {
+                  productId: { type: 'integer', example: 3 },
+                  code: { type: 'string', description: 'Barcode or SKU', example: '5449000000996' },
+                  quantity: { type: 'integer', minimum: 1, maximum: 99, default: 1 },
+                },
+              },
+            },
+          },
+        },
+
+        Receipt: {
+          type: 'object',
+          properties: {
+            purchaseId: { type: 'integer', example: 812 },
+            date: { type: 'string', format: 'date-time' },
+            status: { type: 'string', example: 'closed' },
+            location: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Building B canteen' },
+              },
+            },
+            employee: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'John Doe' },
+                employee_number: { type: 'string', example: 'EMP001' },
+              },
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  productId: { type: 'integer', example: 1 },
+                  productName: { type: 'string', example: 'Coffee' },
+                  quantity: { type: 'integer', example: 1 },
+                  unitPrice: { type: 'number', example: 4.5 },
+                  taxRate: { type: 'number', nullable: true },
+                  lineTotal: { type: 'number', example: 4.5 },
+                  net: { type: 'number', nullable: true, description: 'Before discounts', example: 3.54 },
+                  vat: { type: 'number', nullable: true, description: 'Before discounts', example: 0.96 },
+                },
+              },
+            },
+            subtotal: { type: 'number', example: 10.2 },
+            discounts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  promotionId: { type: 'integer', example: 2 },
+                  promotionName: { type: 'string', example: 'Coffee + croissant' },
+                  applications: { type: 'integer', example: 1 },
+                  amount: { type: 'number', example: 1.2 },
+                },
+              },
+            },
+            discountTotal: { type: 'number', example: 1.2 },
+            total: { type: 'number', example: 9 },
+            tax: { $ref: '#/components/schemas/TaxBreakdown' },
+            companyShare: { type: 'number', example: 4.5 },
+            employeeShare: { type: 'number', example: 4.5 },
+            allowance: {
+              type: 'object',
+              description: 'Monthly allowance after this purchase',
+              properties: {
+                allowance: { type: 'number', example: 200 },
+                spent: { type: 'number', example: 57.3 },
+                remaining: { type: 'number', example: 142.7 },
+              },
+            },
+            allowanceWarning: {
+              type: 'object',
+              nullable: true,
+              description: 'Set under the soft allowance policy when the purchase exceeded the allowance',
+            },
+            dietaryWarnings: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/DietaryWarning' },
+            },
+          },
+        },
+
+        PurchaseCreate: {
+          type: 'object',
+          required: ['date', 'employeeId'],
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+            employeeId: { type: 'integer', example: 1 },
+            status: {
+              type: 'string',
+              enum: ['draft', 'open', 'closed'],
+              default: 'open',
+            },
+            locationId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Location of the purchase; the only location of the user by default',
+              example: 2,
+            },
+          },
+        },
+
+        PurchaseUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            date: { type: 'string', format: 'date-time' },
+            employeeId: { type: 'integer' },
+            locationId: { type: 'integer', nullable: true },
+          },
+        },
+
+        PurchaseStatusChange: {
+          type: 'object',
+          required: ['reason'],
+          properties: {
+            reason: {
+              type: 'string',
+              minLength: 3,
+              maxLength: 500,
+              example: 'Charged to the wrong employee',
+            },
+          },
+        },
+
+        RefundCreate: {
+          type: 'object',
+          required: ['reason', 'items'],
+          properties: {
+            reason: {
+              type: 'string',
+              minLength: 3,
+              maxLength: 500,
+              example: 'Sandwich was spoiled',
+            },
+            items: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['purchaseItemId', 'quantity'],
+                properties: {
+                  purchaseItemId: { type: 'integer', example: 12 },
+                  quantity: { type: 'integer', minimum: 1, example: 1 },
+                },
+              },
+            },
+          },
+        },
+
+        Refund: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            purchaseId: { type: 'integer', example: 5 },
+            employeeId: { type: 'integer', example: 3 },
+            userId: { type: 'integer', nullable: true, description: 'User who issued the refund' },
+            date: { type: 'string', format: 'date-time' },
+            total: { type: 'number', format: 'decimal', example: 4.5 },
+            companyShare: { type: 'number', format: 'decimal', description: 'Part going back to the employer', example: 2.25 },
+            employeeShare: { type: 'number', format: 'decimal', description: 'Part going back to the employee', example: 2.25 },
+            reason: { type: 'string', example: 'Sandwich was spoiled' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  purchaseItemId: { type: 'integer' },
+                  quantity: { type: 'integer' },
+                  unitPrice: { type: 'number', format: 'decimal', description: 'Snapshot price of the purchase item' },
+                  amount: { type: 'number', format: 'decimal' },
+                },
+              },
+            },
+          },
+        },
+
+        PaginatedPurchases: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Purchase' },
+            },
+            meta: { $ref: '#/components/schemas/PaginationMeta' },
+          },
+        },
+
+        EmployeeSpendingSummary: {
+          type: 'object',
+          properties: {
+            employeeId: { type: 'integer' },
+            totalSpending: {
+              type: 'number',
+              description: 'Item spending minus refunds issued in the range',
+            },
+            totalRefunded: { type: 'number' },
+            companyShare: {
+              type: 'number',
+              description: 'Part of totalSpending paid by the employer under the subsidy policy',
+            },
+            employeeShare: {
+              type: 'number',
+              description: 'Part of totalSpending paid by the employee',
+            },
+            purchaseCount: { type: 'integer' },
+          },
+        },
+
+        UnitSpendingSummary: {
+          type: 'object',
+          description: 'Spending of a department (groupBy=department) or cost center (groupBy=costCenter)',
+          properties: {
+            departmentId: { type: 'integer', nullable: true, description: 'groupBy=department; null for spending while unassigned' },
+            costCenterId: { type: 'integer', nullable: true, description: 'groupBy=costCenter; null for spending while unassigned' },
+            code: { type: 'string', description: 'groupBy=costCenter only', example: 'CC-4100' },
+            name: { type: 'string', nullable: true, example: 'Kitchen' },
+            path: { type: 'array', items: { type: 'string' }, example: ['Operations', 'Kitchen'] },
+            totalSpending: {
+              type: 'number',
+              description: 'Spending net of discounts minus refunds issued in the range',
+            },
+            totalRefunded: { type: 'number' },
+            companyShare: { type: 'number' },
+            employeeShare: { type: 'number' },
+            purchaseCount: { type: 'integer' },
+            employeeCount: { type: 'integer', description: 'Employees with purchases or refunds counted here' },
+          },
+        },
+
+        // ==================== PURCHASE ITEM SCHEMAS ====================
+        PurchaseItem: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            productId: { type: 'integer', example: 1 },
+            purchaseId: { type: 'integer', example: 1 },
+            quantity: { type: 'integer', minimum: 1, example: 2 },
+            unitPrice: {
+              type: 'number',
+              description: 'Product price when the item was added',
+              example: 2.5,
+            },
+            productName: {
+              type: 'string',
+              description: 'Product name when the item was added',
+              example: 'Coffee',
+            },
+            taxRate: {
+              type: 'number',
+              nullable: true,
+              description: 'VAT rate (percent) of the product when the item was added',
+              example: 27,
+            },
+            net: { type: 'number', nullable: true, readOnly: true, description: 'Before discounts', example: 3.94 },
+            vat: { type: 'number', nullable: true, readOnly: true, description: 'Before discounts', example: 1.06 },
+            gross: { type: 'number', readOnly: true, description: 'Line total', example: 5 },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        PurchaseItemCreate: {
+          type: 'object',
+          required: ['productId', 'purchaseId', 'quantity', 'price'],
+          properties: {
+            productId: { type: 'integer', example: 1 },
+            purchaseId: { type: 'integer', example: 1 },
+            quantity: { type: 'integer', minimum: 1, example: 2 },
+            price: {
+              type: 'number',
+              minimum: 0,
+              maximum: 999999.99,
+              example: 2.5,
+            },
+          },
+        },
+
+        PurchaseItemUpdate: {
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            quantity: { type: 'integer', minimum: 1, example: 3 },
+            price: {
+              type: 'number',
+              minimum: 0,
+              maximum: 999999.99,
+              example: 3.0,
+            },
+          },
+        },
+
+        PaginatedPurchaseItems: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PurchaseItem' },
+            },
+            meta: { $ref: '#/components/schemas/PaginationMeta' },
+          },
+        },
+
+        // ==================== COMMON SCHEMAS ====================
+        PayrollPeriodEntry: {
+          type: 'object',
+          description: 'Per-employee totals snapshotted when the period was closed',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            payrollPeriodId: { type: 'integer', example: 1 },
+            employeeId: { type: 'integer', example: 3 },
+            employeeNumber: { type: 'string', example: 'EMP-0003' },
+            employeeName: { type: 'string', example: 'Jane Doe' },
+            purchaseCount: { type: 'integer', example: 14 },
+            totalSpent: { type: 'number', format: 'decimal', description: 'Net of refunds issued in the month', example: 162.5 },
+            totalRefunded: { type: 'number', format: 'decimal', example: 4.5 },
+            allowance: { type: 'number', format: 'decimal', example: 150 },
+            overage: { type: 'number', format: 'decimal', description: 'totalSpent above the allowance', example: 12.5 },
+            companyShare: { type: 'number', format: 'decimal', description: 'Part of totalSpent paid by the employer', example: 81.25 },
+            employeeShare: { type: 'number', format: 'decimal', description: 'Part of totalSpent paid by the employee', example: 81.25 },
+            deduction: { type: 'number', format: 'decimal', description: 'Amount deducted from the salary: the employee share', example: 81.25 },
+          },
+        },
+
+        PayrollPeriod: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            period: { type: 'string', example: '2026-09' },
+            status: { type: 'string', enum: ['closed', 'reopened'] },
+            closedAt: { type: 'string', format: 'date-time' },
+            closedBy: { type: 'integer', nullable: true },
+            reopenedAt: { type: 'string', format: 'date-time', nullable: true },
+            reopenedBy: { type: 'integer', nullable: true },
+            reopenReason: { type: 'string', nullable: true },
+            entries: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PayrollPeriodEntry' },
+            },
+          },
+        },
+
+        PaginationMeta: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer', example: 1 },
+            limit: { type: 'integer', example: 20 },
+            total: { type: 'integer', example: 150 },
+            totalPages: { type: 'integer', example: 8 },
+            hasNextPage: { type: 'boolean', example: true },
             hasPrevPage: { type: 'boolean', example: false },
           },
         },
@@ -503,6 +2205,235 @@ const options = {
           },
         },
 
+        AllowanceExceededError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'ALLOWANCE_EXCEEDED' },
+                message: {
+                  type: 'string',
+                  example: 'Monthly allowance exceeded: 60 requested, 40 available',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    employeeId: { type: 'integer', example: 1 },
+                    policy: { type: 'string', example: 'hard' },
+                    allowance: { type: 'number', example: 100 },
+                    spent: { type: 'number', example: 60 },
+                    requested: { type: 'number', example: 60 },
+                    remaining: { type: 'number', example: 40 },
+                    available: { type: 'number', example: 40 },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        DietaryConflictError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'DIETARY_CONFLICT' },
+                message: {
+                  type: 'string',
+                  example: 'Dietary conflict: Cheese Pizza contains milk',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    employeeId: { type: 'integer', example: 1 },
+                    conflicts: {
+                      type: 'array',
+                      items: { $ref: '#/components/schemas/DietaryWarning' },
+                    },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        IdempotencyKeyMismatchError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'IDEMPOTENCY_KEY_MISMATCH' },
+                message: {
+                  type: 'string',
+                  example: 'Idempotency-Key was already used for a different request',
+                },
+              },
+            },
+          },
+        },
+
+        OutOfStockError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'OUT_OF_STOCK' },
+                message: {
+                  type: 'string',
+                  example: 'Not enough stock for Sandwich: 3 requested, 1 available',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    productId: { type: 'integer', example: 4 },
+                    productName: { type: 'string', example: 'Sandwich' },
+                    requested: { type: 'integer', example: 3 },
+                    available: { type: 'integer', example: 1 },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        ProductNotAvailableError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'PRODUCT_NOT_AVAILABLE' },
+                message: {
+                  type: 'string',
+                  example: 'Breakfast Roll is not available on 2026-10-19 at 14:05 (Europe/Berlin)',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    productId: { type: 'integer', example: 4 },
+                    productName: { type: 'string', example: 'Breakfast Roll' },
+                    at: { type: 'string', format: 'date-time' },
+                    timezone: { type: 'string', example: 'Europe/Berlin' },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        PriceChangeNotPendingError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'PRICE_CHANGE_NOT_PENDING' },
+                message: { type: 'string', example: 'Cannot cancel a price change that is applied' },
+                details: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', enum: ['applied', 'cancelled', 'failed'] },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        CategoryNotEmptyError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'CATEGORY_NOT_EMPTY' },
+                message: {
+                  type: 'string',
+                  example: 'Cannot delete category "Drinks" while it has subcategories or products',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    subcategories: { type: 'integer', example: 2 },
+                    products: { type: 'integer', example: 0 },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        PreconditionFailedError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'PRECONDITION_FAILED' },
+                message: {
+                  type: 'string',
+                  example: 'The record was changed by someone else. Reload it and try again.',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    currentVersion: { type: 'integer', example: 4 },
+                    etag: { type: 'string', example: '"4"' },
+                  },
+                },
+              },
+            },
+          },
+        },
+
+        InvalidStatusTransitionError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'INVALID_STATUS_TRANSITION' },
+                message: {
+                  type: 'string',
+                  example: 'Cannot change purchase status from voided to open',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string', example: 'voided' },
+                    to: { type: 'string', example: 'open' },
+                    allowed: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      example: [],
+                    },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
         UnauthorizedError: {
           type: 'object',
           properties: {
@@ -587,6 +2518,30 @@ const options = {
           },
         },
 
+        PeriodClosedError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'PERIOD_CLOSED' },
+                message: {
+                  type: 'string',
+                  example: 'Payroll period 2026-09 is closed; its purchases cannot be changed',
+                },
+                details: {
+                  type: 'object',
+                  properties: {
+                    period: { type: 'string', example: '2026-09' },
+                  },
+                },
+              },
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+
         MessageResponse: {
           type: 'object',
           properties: {
@@ -616,9 +2571,20 @@ const options = {
         description: 'User authentication and authorization',
       },
       { name: 'Products', description: 'Product management' },
+      { name: 'Categories', description: 'Hierarchical product categories' },
+      { name: 'Departments', description: 'Hierarchical departments employees are assigned to' },
+      { name: 'Cost Centers', description: 'Hierarchical cost centers employee meals are charged to' },
+      { name: 'Locations', description: 'Canteens with their own menu, prices and managers' },
+      { name: 'Tax Rates', description: 'VAT rates products are sold at' },
+      { name: 'Tags', description: 'Free-form product tags' },
+      { name: 'Price Changes', description: 'Scheduled product price lists' },
+      { name: 'Promotions', description: 'Discount rules applied to purchases' },
       { name: 'Employees', description: 'Employee management' },
       { name: 'Purchases', description: 'Purchase management' },
       { name: 'Purchase Items', description: 'Purchase item management' },
+      { name: 'POS', description: 'Badge checkout for the cafeteria terminals' },
+      { name: 'Payroll', description: 'Monthly period close and payroll deduction export' },
+      { name: 'Subsidy Policies', description: 'Employer meal subsidy per employee group' },
       { name: 'Admin', description: 'Administrative endpoints' },
     ],
   },
@@ -0,0 +1,67 @@
+/**
+ * Tax Configuration
+ *
+ * VAT and the currency its amounts are rounded in.
+ *
+ * Prices are gross (VAT included). The VAT in a gross amount at a rate is
+ *   vat = gross * rate / (100 + rate), rounded under the currency's rule
+ *   net = gross - vat
+ * so net and VAT always add up to the amount actually charged.
+ *
+ * Rounding rules per currency:
+ * - decimals: digits kept in VAT amounts (0 for whole forints)
+ * - mode: 'half-up' (away from zero) or 'half-even' (banker's rounding)
+ *
+ * Override with CURRENCY and CURRENCY_ROUNDING (JSON object with
+ * decimals and mode) for a currency not listed here.
+ */
+
+const ROUNDING_MODES = {
+  HALF_UP: 'half-up',
+  HALF_EVEN: 'half-even',
+};
+
+const CURRENCIES = {
+  HUF: { decimals: 0, mode: ROUNDING_MODES.HALF_UP },
+  EUR: { decimals: 2, mode: ROUNDING_MODES.HALF_UP },
+  USD: { decimals: 2, mode: ROUNDING_MODES.HALF_UP },
+  GBP: { decimals: 2, mode: ROUNDING_MODES.HALF_UP },
+};
+
+const parseRounding = (currency, value) => {
+  if (!value) {
+    if (!CURRENCIES[currency]) {
+      throw new Error(`CURRENCY ${currency} has no rounding rule; set CURRENCY_ROUNDING`);
+    }
+    return CURRENCIES[currency];
+  }
+
+  let rounding;
+  try {
+    rounding = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`CURRENCY_ROUNDING is not valid JSON: ${error.message}`);
+  }
+
+  if (!Number.isInteger(rounding.decimals) || rounding.decimals < 0 || rounding.decimals > 4) {
+    throw new Error('CURRENCY_ROUNDING: decimals must be an integer from 0 to 4');
+  }
+  if (!Object.values(ROUNDING_MODES).includes(rounding.mode)) {
+    throw new Error(`CURRENCY_ROUNDING: unknown mode '${rounding.mode}'`);
+  }
+
+  return { decimals: rounding.decimals, mode: rounding.mode };
+};
+
+const currency = (process.env.CURRENCY || 'HUF').toUpperCase();
+
+module.exports = {
+  ROUNDING_MODES,
+  CURRENCIES,
+
+  // Currency prices are in
+  currency,
+
+  // Rounding rule of VAT amounts
+  rounding: parseRounding(currency, process.env.CURRENCY_ROUNDING),
+};
@@ -8,6 +8,7 @@ const { validateBody } = require('../../middleware/validation');
 const { authSchemas } = require('../../middleware/validation/schemas');
 const { authenticate } = require('../../middleware/auth');
 const { logAuthEvent } = require('../../middleware/audit');
+const employeeService = require('../../services/employee.service');
 
 const JWT_SECRET =
   process.env.JWT_SECRET || 'fallback-secret-change-in-production';
@@ -49,7 +50,7 @@ const generateTokens = user => {
  *   post:
  *     tags: [Authentication]
  *     summary: Register a new user
- *     description: Creates a new user account and returns authentication tokens
+ *     description: Creates a new user account and returns authentication tokens. The account is linked to an unlinked employee record with the same email, or with the given employeeNumber if that record has no email on file.
  *     security: []
  *     requestBody:
  *       required: true
@@ -86,7 +87,7 @@ router.post(
   validateBody(authSchemas.register),
   async (req, res, next) => {
     try {
-      const { name, email, password } = req.body;
+      const { name, email, password, employeeNumber } = req.body;
 
       const existingUser = await db.users.findByEmail(email);
       if (existingUser) {
@@ -100,6 +101,8 @@ router.post(
         role: 'employee',
       });
 
+      const employee = await employeeService.autoLinkUser(user, { employeeNumber });
+
       const tokens = generateTokens(user);
       await user.update({ refreshToken: tokens.refreshToken });
 
@@ -109,6 +112,7 @@ router.post(
           name: user.name,
           email: user.email,
           role: user.role,
+          employeeId: employee ? employee.id : null,
         },
         tokens,
       });
@@ -402,7 +406,9 @@ router.post('/logout', authenticate, async (req, res, next) => {
  */
 router.get('/me', authenticate, async (req, res, next) => {
   try {
-    const user = await db.users.findByPk(req.user.id);
+    const user = await db.users.findByPk(req.user.id, {
+      include: [{ model: db.employees, as: 'employee', attributes: ['id'] }],
+    });
 
     if (!user) {
       throw createError(404, 'User not found');
@@ -414,6 +420,7 @@ router.get('/me', authenticate, async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        employeeId: user.employee ? user.employee.id : null,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
       },
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const categoryService = require('../../services/category.service');
+const { categories } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { categorySchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+const { invalidateCache } = require('../../middleware/cache');
+
+/**
+ * Category API
+ *
+ * Hierarchical product categories. Everyone can read them; admins and
+ * managers maintain them. Products embed their category, so changes
+ * clear the product cache.
+ */
+
+// Getter for fetching category before update/delete (for audit logging)
+const getCategory = createModelGetter(categories);
+
+const categoryController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await categoryService.findAll({ tree: req.query.tree === 'true' });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const category = await categoryService.findById(req.params.id);
+      res.status(200).json(category);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const category = await categoryService.create(req.body);
+      res.status(201).json(category);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const category = await categoryService.update(req.params.id, req.body);
+      res.status(200).json(category);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await categoryService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     tags: [Categories]
+ *     summary: Get all categories
+ *     description: |
+ *       Returns all categories with their path and product count. The flat
+ *       list is in tree order (each category followed by its
+ *       subcategories); tree=true nests subcategories under children.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: tree
+ *         in: query
+ *         description: Return the categories nested
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ */
+router.get('/', authenticate, categoryController.findAll);
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     tags: [Categories]
+ *     summary: Create a category
+ *     description: Creates a top-level category or a subcategory (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryCreate'
+ *           example:
+ *             name: "Soups"
+ *             parentId: 1
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error or unknown parent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       409:
+ *         description: The parent already has a category with this name
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(categorySchemas.create),
+  auditCreate('category'),
+  categoryController.create,
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     tags: [Categories]
+ *     summary: Get category by ID
+ *     description: Returns a category with its path, parent and direct subcategories
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Category ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Category found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(idParamSchema),
+  categoryController.findOne,
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     tags: [Categories]
+ *     summary: Rename or move a category
+ *     description: |
+ *       Renames a category or moves it under another parent (null for the
+ *       top level). A category cannot be moved under itself or one of its
+ *       subcategories (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Category ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryUpdate'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error, unknown parent or a move that would create a cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The parent already has a category with this name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  validateBody(categorySchemas.update),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('category', getCategory),
+  categoryController.update,
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     tags: [Categories]
+ *     summary: Delete a category
+ *     description: Deletes a category without subcategories or products (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Category ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has subcategories or products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CategoryNotEmptyError'
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  invalidateCache(['products:*', 'product:*']),
+  auditDelete('category', getCategory),
+  categoryController.delete,
+);
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const costCenterService = require('../../services/costCenter.service');
+const { costCenters } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { costCenterSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Cost Center API
+ *
+ * Hierarchical cost centers the meals of their employees are charged to.
+ * Employees are assigned on the employee routes
+ * (POST /employees/{id}/assignments). Admins and managers can read them;
+ * only admins change them.
+ */
+
+// Getter for fetching cost center before update/delete (for audit logging)
+const getCostCenter = createModelGetter(costCenters);
+
+const costCenterController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await costCenterService.findAll({ tree: req.query.tree === 'true' });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const costCenter = await costCenterService.findById(req.params.id);
+      res.status(200).json(costCenter);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const costCenter = await costCenterService.create(req.body);
+      res.status(201).json(costCenter);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const costCenter = await costCenterService.update(req.params.id, req.body);
+      res.status(200).json(costCenter);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await costCenterService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /cost-centers:
+ *   get:
+ *     tags: [Cost Centers]
+ *     summary: Get all cost centers
+ *     description: |
+ *       Returns all cost centers with their path and the number of employees
+ *       currently charged to them. The flat list is in tree order (each cost
+ *       center followed by its sub-cost centers); tree=true nests sub-cost
+ *       centers under children (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: tree
+ *         in: query
+ *         description: Return the cost centers nested
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of cost centers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CostCenter'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.get('/', authenticate, authorize('admin', 'manager'), costCenterController.findAll);
+
+/**
+ * @swagger
+ * /cost-centers:
+ *   post:
+ *     tags: [Cost Centers]
+ *     summary: Create a cost center
+ *     description: Creates a top-level cost center or a sub-cost center (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostCenterCreate'
+ *           example:
+ *             code: "CC-4100"
+ *             name: "Kitchen staff"
+ *             parentId: 1
+ *     responses:
+ *       201:
+ *         description: Cost center created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CostCenter'
+ *       400:
+ *         description: Validation error or unknown parent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: A cost center with this code already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  validateBody(costCenterSchemas.create),
+  auditCreate('cost-center'),
+  costCenterController.create,
+);
+
+/**
+ * @swagger
+ * /cost-centers/{id}:
+ *   get:
+ *     tags: [Cost Centers]
+ *     summary: Get cost center by ID
+ *     description: Returns a cost center with its path, parent and direct sub-cost centers (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Cost center ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Cost center found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CostCenter'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Cost center not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  costCenterController.findOne,
+);
+
+/**
+ * @swagger
+ * /cost-centers/{id}:
+ *   put:
+ *     tags: [Cost Centers]
+ *     summary: Update or move a cost center
+ *     description: |
+ *       Changes the code or name of a cost center or moves it under another
+ *       parent (null for the top level). A cost center cannot be moved
+ *       under itself or one of its sub-cost centers (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Cost center ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostCenterUpdate'
+ *     responses:
+ *       200:
+ *         description: Cost center updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CostCenter'
+ *       400:
+ *         description: Validation error, unknown parent or a move that would create a cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Cost center not found
+ *       409:
+ *         description: A cost center with this code already exists
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(costCenterSchemas.update),
+  auditUpdate('cost-center', getCostCenter),
+  costCenterController.update,
+);
+
+/**
+ * @swagger
+ * /cost-centers/{id}:
+ *   delete:
+ *     tags: [Cost Centers]
+ *     summary: Delete a cost center
+ *     description: |
+ *       Deletes a cost center without sub-cost centers that no employee was
+ *       ever charged to, so past purchases keep their cost center in the
+ *       reports (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Cost center ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Cost center deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Cost center not found
+ *       409:
+ *         description: The cost center has sub-cost centers or employees (COST_CENTER_NOT_EMPTY)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  auditDelete('cost-center', getCostCenter),
+  costCenterController.delete,
+);
+
+module.exports = router;
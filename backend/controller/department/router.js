@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const departmentService = require('../../services/department.service');
+const { departments } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { departmentSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Department API
+ *
+ * Hierarchical departments for HR reporting. Employees are moved between
+ * departments on the employee routes (POST /employees/{id}/assignments).
+ * Admins and managers can read them; only admins change them.
+ */
+
+// Getter for fetching department before update/delete (for audit logging)
+const getDepartment = createModelGetter(departments);
+
+const departmentController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await departmentService.findAll({ tree: req.query.tree === 'true' });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const department = await departmentService.findById(req.params.id);
+      res.status(200).json(department);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const department = await departmentService.create(req.body);
+      res.status(201).json(department);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const department = await departmentService.update(req.params.id, req.body);
+      res.status(200).json(department);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await departmentService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /departments:
+ *   get:
+ *     tags: [Departments]
+ *     summary: Get all departments
+ *     description: |
+ *       Returns all departments with their path and the number of employees
+ *       currently in them. The flat list is in tree order (each department
+ *       followed by its subdepartments); tree=true nests subdepartments
+ *       under children (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: tree
+ *         in: query
+ *         description: Return the departments nested
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of departments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Department'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.get('/', authenticate, authorize('admin', 'manager'), departmentController.findAll);
+
+/**
+ * @swagger
+ * /departments:
+ *   post:
+ *     tags: [Departments]
+ *     summary: Create a department
+ *     description: Creates a top-level department or a subdepartment (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DepartmentCreate'
+ *           example:
+ *             name: "Kitchen"
+ *             parentId: 1
+ *     responses:
+ *       201:
+ *         description: Department created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Department'
+ *       400:
+ *         description: Validation error or unknown parent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: The parent already has a department with this name
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  validateBody(departmentSchemas.create),
+  auditCreate('department'),
+  departmentController.create,
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   get:
+ *     tags: [Departments]
+ *     summary: Get department by ID
+ *     description: Returns a department with its path, parent and direct subdepartments (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Department ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Department found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Department'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Department not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  departmentController.findOne,
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   put:
+ *     tags: [Departments]
+ *     summary: Rename or move a department
+ *     description: |
+ *       Renames a department or moves it under another parent (null for the
+ *       top level). A department cannot be moved under itself or one of its
+ *       subdepartments (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Department ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DepartmentUpdate'
+ *     responses:
+ *       200:
+ *         description: Department updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Department'
+ *       400:
+ *         description: Validation error, unknown parent or a move that would create a cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Department not found
+ *       409:
+ *         description: The parent already has a department with this name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(departmentSchemas.update),
+  auditUpdate('department', getDepartment),
+  departmentController.update,
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   delete:
+ *     tags: [Departments]
+ *     summary: Delete a department
+ *     description: |
+ *       Deletes a department without subdepartments that no employee was
+ *       ever assigned to, so past purchases keep their department in the
+ *       reports (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Department ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Department deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Department not found
+ *       409:
+ *         description: The department has subdepartments or employees (DEPARTMENT_NOT_EMPTY)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  auditDelete('department', getDepartment),
+  departmentController.delete,
+);
+
+module.exports = router;
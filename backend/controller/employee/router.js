@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const createError = require('http-errors');
 const employeeService = require('../../services/employee.service');
+const allowanceService = require('../../services/allowance.service');
+const dietaryService = require('../../services/dietary.service');
+const organizationService = require('../../services/organization.service');
 const { employees } = require('../../model');
 const { validateBody, validateParams } = require('../../middleware/validation');
 const {
@@ -8,6 +12,7 @@ const {
   idParamSchema,
 } = require('../../middleware/validation/schemas');
 const { authenticate, authorize } = require('../../middleware/auth');
+const { checkOwnership } = require('../../middleware/ownership');
 const { paginate } = require('../../middleware/pagination');
 const {
   auditCreate,
@@ -18,13 +23,18 @@ const {
 const {
   parseSort,
   parseFilters,
+  parseUnitFilters,
   paginatedResponse,
 } = require('../../utils/queryHelpers');
 const { cache, invalidateCache } = require('../../middleware/cache');
+const { etag, ifMatch } = require('../../middleware/concurrency');
 const cacheTTL = require('../../config/cache');
 
 const getEmployee = createModelGetter(employees);
 
+// Profile before it is replaced, in the shape of the response
+const getDietaryProfile = id => dietaryService.getProfile(id);
+
 const FILTER_CONFIG = {
   name: {
     operator: 'LIKE',
@@ -60,7 +70,10 @@ const ALLOWED_SORT_FIELDS = [
 const employeeController = {
   async findAll(req, res, next) {
     try {
-      const where = parseFilters(req.query, FILTER_CONFIG);
+      const where = {
+        ...parseFilters(req.query, FILTER_CONFIG),
+        ...await organizationService.employeeWhere(parseUnitFilters(req.query)),
+      };
       const order = parseSort(req.query.sort, ALLOWED_SORT_FIELDS, [
         ['id', 'ASC'],
       ]);
@@ -95,6 +108,42 @@ const employeeController = {
     }
   },
 
+  /**
+   * Get the employee's monthly allowance balance
+   * Optional ?date= selects the month (defaults to the current month)
+   */
+  async getBalance(req, res, next) {
+    try {
+      const date = req.query.date ? new Date(req.query.date) : new Date();
+      if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'Invalid date');
+      }
+
+      const balance = await allowanceService.getBalance(req.params.id, { date });
+      res.status(200).json(balance);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getDietaryProfile(req, res, next) {
+    try {
+      const profile = await dietaryService.getProfile(req.params.id);
+      res.status(200).json(profile);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateDietaryProfile(req, res, next) {
+    try {
+      const profile = await dietaryService.updateProfile(req.params.id, req.body);
+      res.status(200).json(profile);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async findRandom(req, res, next) {
     try {
       const employee = await employeeService.findRandom();
@@ -115,7 +164,7 @@ const employeeController = {
 
   async update(req, res, next) {
     try {
-      const employee = await employeeService.update(req.params.id, req.body);
+      const employee = await employeeService.update(req.params.id, req.body, { ifMatch: req.ifMatch });
       res.status(200).json(employee);
     } catch (error) {
       next(error);
@@ -131,6 +180,62 @@ const employeeController = {
     }
   },
 
+  // ============================================
+  // ASSIGNMENT CONTROLLER METHODS
+  // ============================================
+
+  /**
+   * Department and cost center history, newest first
+   */
+  async findAssignments(req, res, next) {
+    try {
+      const assignments = await organizationService.findHistory(req.params.id);
+      res.status(200).json(assignments);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Move the employee to a department and cost center (admin only)
+   */
+  async assign(req, res, next) {
+    try {
+      const employee = await organizationService.assign(req.params.id, req.body);
+      res.status(200).json(employee);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // ============================================
+  // USER LINK CONTROLLER METHODS
+  // ============================================
+
+  /**
+   * Link the employee to a user account (admin only)
+   */
+  async linkUser(req, res, next) {
+    try {
+      const employee = await employeeService.linkUser(req.params.id, req.body.userId);
+      res.status(200).json(employee);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Remove the employee's user link (admin only)
+   */
+  async unlinkUser(req, res, next) {
+    try {
+      const employee = await employeeService.unlinkUser(req.params.id);
+      res.status(200).json(employee);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   // ============================================
   // SOFT DELETE CONTROLLER METHODS
   // ============================================
@@ -361,6 +466,16 @@ router.get(
  *         description: Filter by maximum monthly consumption value
  *         schema:
  *           type: integer
+ *       - name: department
+ *         in: query
+ *         description: Only employees currently in this department or one of its subdepartments
+ *         schema:
+ *           type: integer
+ *       - name: costCenter
+ *         in: query
+ *         description: Only employees currently charged to this cost center or one of its sub-cost centers
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: List of employees
@@ -445,6 +560,344 @@ router.get(
   employeeController.findWithStats,
 );
 
+/**
+ * @swagger
+ * /employees/{id}/balance:
+ *   get:
+ *     tags: [Employees]
+ *     summary: Get employee monthly allowance balance
+ *     description: Returns the employee's month-to-date spend against their monthly allowance and what can still be spent under the active allowance policy. Used by the purchase form before submit. Admins and managers can read any employee, other users only the employee record linked to their account.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: date
+ *         in: query
+ *         description: Any date in the month to report (defaults to the current month)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Allowance balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AllowanceBalance'
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - the employee record is not linked to the user
+ *       404:
+ *         description: Employee not found
+ */
+router.get(
+  '/:id/balance',
+  authenticate,
+  validateParams(idParamSchema),
+  checkOwnership('employee'),
+  employeeController.getBalance,
+);
+
+/**
+ * @swagger
+ * /employees/{id}/dietary-profile:
+ *   get:
+ *     tags: [Employees]
+ *     summary: Get employee dietary profile
+ *     description: Returns the employee's allergies, dietary restrictions and what happens to purchase items that conflict with them. Admins and managers can read any employee, users only their own.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Dietary profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DietaryProfile'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
+ *   put:
+ *     tags: [Employees]
+ *     summary: Update employee dietary profile
+ *     description: |
+ *       Declares the employee's allergies and dietary restrictions. Items added
+ *       to their purchases from then on are checked against them: under the
+ *       warn policy purchases are returned with dietaryWarnings, under block
+ *       conflicting items are rejected with 422 DIETARY_CONFLICT. Admins and
+ *       managers can update any employee, users only their own.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DietaryProfile'
+ *           example:
+ *             allergies: [peanuts, nuts]
+ *             dietaryRestrictions: [vegetarian]
+ *             dietaryConflictPolicy: block
+ *     responses:
+ *       200:
+ *         description: Dietary profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DietaryProfile'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
+ */
+router.get(
+  '/:id/dietary-profile',
+  authenticate,
+  validateParams(idParamSchema),
+  checkOwnership('employee'),
+  employeeController.getDietaryProfile,
+);
+
+router.put(
+  '/:id/dietary-profile',
+  authenticate,
+  validateParams(idParamSchema),
+  checkOwnership('employee'),
+  validateBody(employeeSchemas.dietaryProfile),
+  invalidateCache(['employees:*', 'employee:*']),
+  auditUpdate('employee-dietary-profile', getDietaryProfile),
+  employeeController.updateDietaryProfile,
+);
+
+/**
+ * @swagger
+ * /employees/{id}/assignments:
+ *   get:
+ *     tags: [Employees]
+ *     summary: Get the department and cost center history of an employee
+ *     description: Returns the employee's assignments, newest first. The current one has no validTo (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Assignment history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EmployeeAssignment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Employee not found
+ *   post:
+ *     tags: [Employees]
+ *     summary: Move an employee to a department and cost center
+ *     description: |
+ *       Closes the current assignment the day before validFrom and starts a
+ *       new one, so purchases made before the move stay with the old
+ *       department and cost center in the reports. validFrom defaults to
+ *       today; it can be backdated, but not to before the start of the
+ *       current assignment. A move starting the same day as the current
+ *       assignment corrects it (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmployeeAssignmentCreate'
+ *           example:
+ *             departmentId: 4
+ *             costCenterId: 2
+ *             validFrom: "2026-10-01"
+ *     responses:
+ *       200:
+ *         description: Employee moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Validation error, unknown department or cost center, or a validFrom in the future or before the current assignment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Employee not found
+ */
+router.get(
+  '/:id/assignments',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  employeeController.findAssignments,
+);
+
+router.post(
+  '/:id/assignments',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(employeeSchemas.assignment),
+  invalidateCache(['employees:*', 'employee:*', 'purchases:*', 'purchase-summaries:*']),
+  auditUpdate('employee', getEmployee),
+  employeeController.assign,
+);
+
+/**
+ * @swagger
+ * /employees/{id}/user:
+ *   put:
+ *     tags: [Employees]
+ *     summary: Link an employee to a user account
+ *     description: Links the employee record to a user so the user sees purchases charged to it (admin only). A user can be linked to one employee at a time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Employee linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Employee or user not found
+ *       409:
+ *         description: Employee or user is already linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConflictError'
+ *   delete:
+ *     tags: [Employees]
+ *     summary: Unlink an employee from its user account
+ *     description: Removes the user link from the employee record (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Employee ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Employee unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
+ *       400:
+ *         description: Employee is not linked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Employee not found
+ */
+router.put(
+  '/:id/user',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(employeeSchemas.linkUser),
+  invalidateCache(['employees:*', 'employee:*']),
+  auditUpdate('employee', getEmployee),
+  employeeController.linkUser,
+);
+
+router.delete(
+  '/:id/user',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  invalidateCache(['employees:*', 'employee:*']),
+  auditUpdate('employee', getEmployee),
+  employeeController.unlinkUser,
+);
+
 /**
  * @swagger
  * /employees/{id}/restore:
@@ -557,6 +1010,11 @@ router.delete(
  *     responses:
  *       200:
  *         description: Employee found
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -584,6 +1042,7 @@ router.get(
   '/:id',
   authenticate,
   validateParams(idParamSchema),
+  etag(),
   cache('employee', cacheTTL.employees.single, { userSpecific: false }),
   async (req, res, next) => {
     if (['admin', 'manager'].includes(req.user.role)) {
@@ -617,6 +1076,7 @@ router.get(
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -630,6 +1090,11 @@ router.get(
  *     responses:
  *       200:
  *         description: Employee updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -658,6 +1123,12 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
  */
 router.put(
   '/:id',
@@ -665,6 +1136,8 @@ router.put(
   authorize('admin'),
   validateParams(idParamSchema),
   validateBody(employeeSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['employees:*', 'employee:*']),
   auditUpdate('employee', getEmployee),
   employeeController.update,
@@ -687,6 +1160,7 @@ router.put(
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -698,6 +1172,11 @@ router.put(
  *     responses:
  *       200:
  *         description: Employee updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -726,6 +1205,12 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
  */
 router.patch(
   '/:id',
@@ -733,6 +1218,8 @@ router.patch(
   authorize('admin'),
   validateParams(idParamSchema),
   validateBody(employeeSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['employees:*', 'employee:*']),
   auditUpdate('employee', getEmployee),
   employeeController.update,
@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const locationService = require('../../services/location.service');
+const { locations } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const {
+  locationSchemas,
+  idParamSchema,
+  locationProductParamSchema,
+} = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const { invalidateCache } = require('../../middleware/cache');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Location API
+ *
+ * Canteens, the products they take off their menu or sell at their own
+ * price, and the users working there. Admins manage locations; managers
+ * read them and manage the product overrides of the locations they are
+ * assigned to (all of them when they have none).
+ */
+
+// Getter for fetching location before update/delete (for audit logging)
+const getLocation = createModelGetter(locations);
+
+// Overrides before they change, in the shape of the response
+const getLocationProducts = async id => ({
+  locationId: id,
+  products: (await locationService.findProducts(id)).map(override => override.toJSON()),
+});
+
+/**
+ * 403 unless the location in the path is in the user's scope
+ */
+const inScope = async (req, res, next) => {
+  try {
+    await locationService.assertInScope(req.user, Number(req.params.id));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const locationController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await locationService.findAll({
+        locationIds: await locationService.scopeOf(req.user),
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const location = await locationService.findById(req.params.id);
+      res.status(200).json(location);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const location = await locationService.create(req.body);
+      res.status(201).json(location);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const location = await locationService.update(req.params.id, req.body);
+      res.status(200).json(location);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await locationService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async setUsers(req, res, next) {
+    try {
+      const location = await locationService.setUsers(req.params.id, req.body.userIds);
+      res.status(200).json(location);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findProducts(req, res, next) {
+    try {
+      const overrides = await locationService.findProducts(req.params.id);
+      res.status(200).json(overrides);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async setProduct(req, res, next) {
+    try {
+      const override = await locationService.setProduct(req.params.id, req.params.productId, req.body);
+      res.status(200).json(override);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async removeProduct(req, res, next) {
+    try {
+      await locationService.removeProduct(req.params.id, req.params.productId);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /locations:
+ *   get:
+ *     tags: [Locations]
+ *     summary: Get all locations
+ *     description: |
+ *       Returns the locations with their assigned users, by name. Managers
+ *       assigned to locations only get those (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Location'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.get('/', authenticate, authorize('admin', 'manager'), locationController.findAll);
+
+/**
+ * @swagger
+ * /locations:
+ *   post:
+ *     tags: [Locations]
+ *     summary: Create a location
+ *     description: Creates a location that sells the whole catalog at catalog prices (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationCreate'
+ *           example:
+ *             name: "Building B canteen"
+ *             building: "Building B"
+ *     responses:
+ *       201:
+ *         description: Location created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: A location with this name already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  validateBody(locationSchemas.create),
+  auditCreate('location'),
+  locationController.create,
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   get:
+ *     tags: [Locations]
+ *     summary: Get location by ID
+ *     description: Returns a location with its assigned users (admin/manager of the location only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Location found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role or a manager of the location
+ *       404:
+ *         description: Location not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  inScope,
+  locationController.findOne,
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   put:
+ *     tags: [Locations]
+ *     summary: Update a location
+ *     description: Renames a location or changes its building (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationUpdate'
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Location not found
+ *       409:
+ *         description: A location with this name already exists
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(locationSchemas.update),
+  auditUpdate('location', getLocation),
+  locationController.update,
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   delete:
+ *     tags: [Locations]
+ *     summary: Delete a location
+ *     description: |
+ *       Deletes a location nothing was sold at, with its product overrides
+ *       and user assignments (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Location not found
+ *       409:
+ *         description: The location has purchases (LOCATION_IN_USE)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  auditDelete('location', getLocation),
+  locationController.delete,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/users:
+ *   put:
+ *     tags: [Locations]
+ *     summary: Assign users to a location
+ *     description: |
+ *       Replaces the users working at the location. Managers assigned to
+ *       locations are restricted to them; terminal accounts assigned to a
+ *       single location sell there by default (admin only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationUsers'
+ *           example:
+ *             userIds: [4, 7]
+ *     responses:
+ *       200:
+ *         description: Location with its users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Validation error or unknown user
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Location not found
+ */
+router.put(
+  '/:id/users',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(locationSchemas.users),
+  auditUpdate('location', getLocation),
+  locationController.setUsers,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/products:
+ *   get:
+ *     tags: [Locations]
+ *     summary: Get the product overrides of a location
+ *     description: |
+ *       Lists the products the location does not sell or sells at its own
+ *       price; every other product is sold at its catalog price. The menu
+ *       of a location is GET /products?location={id} (admin/manager of the
+ *       location only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Product overrides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LocationProduct'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role or a manager of the location
+ *       404:
+ *         description: Location not found
+ */
+router.get(
+  '/:id/products',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  inScope,
+  locationController.findProducts,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/products/{productId}:
+ *   put:
+ *     tags: [Locations]
+ *     summary: Override a product at a location
+ *     description: |
+ *       Takes the product off the location's menu (available=false) or sets
+ *       its price there (price null for the catalog price). Applies to
+ *       items added from now on; existing purchases keep their prices
+ *       (admin/manager of the location only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationProductUpdate'
+ *           example:
+ *             available: true
+ *             price: 4.2
+ *     responses:
+ *       200:
+ *         description: Override saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LocationProduct'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role or a manager of the location
+ *       404:
+ *         description: Location or product not found
+ */
+router.put(
+  '/:id/products/:productId',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(locationProductParamSchema),
+  inScope,
+  validateBody(locationSchemas.product),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('location-products', getLocationProducts),
+  locationController.setProduct,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/products/{productId}:
+ *   delete:
+ *     tags: [Locations]
+ *     summary: Remove a product override
+ *     description: The location sells the product at its catalog price again (admin/manager of the location only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Location ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role or a manager of the location
+ *       404:
+ *         description: The location has no override for the product
+ */
+router.delete(
+  '/:id/products/:productId',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(locationProductParamSchema),
+  inScope,
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('location-products', getLocationProducts),
+  locationController.removeProduct,
+);
+
+module.exports = router;
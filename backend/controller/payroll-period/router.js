@@ -0,0 +1,330 @@
+const express = require('express');
+const createError = require('http-errors');
+const router = express.Router();
+const payrollService = require('../../services/payroll.service');
+const AuditService = require('../../services/audit.service');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { payrollSchemas } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const { EXPORT_FORMATS } = require('../../config/payroll');
+
+/**
+ * Payroll Period API
+ *
+ * Monthly close and the payroll deduction export. Periods are addressed
+ * by their month ('YYYY-MM').
+ *
+ * Close and reopen are awaited into the audit log (resource
+ * 'payroll-period') instead of going through the audit middleware, which
+ * keys on a numeric :id and does not wait for the write.
+ */
+
+/**
+ * Write the audit entry of a close or reopen
+ */
+const auditPeriod = (req, action, payrollPeriod, oldValue = null) =>
+  AuditService.log({
+    userId: req.user?.id,
+    action,
+    resource: 'payroll-period',
+    resourceId: payrollPeriod.id,
+    oldValue,
+    newValue: {
+      period: payrollPeriod.period,
+      status: payrollPeriod.status,
+      entries: payrollPeriod.entries?.length,
+      reopenReason: payrollPeriod.reopenReason,
+    },
+    req,
+  });
+
+const payrollPeriodController = {
+  async findAll(req, res, next) {
+    try {
+      const periods = await payrollService.findAll();
+      res.status(200).json(periods);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const payrollPeriod = await payrollService.findByPeriod(req.params.period);
+      res.status(200).json(payrollPeriod);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async close(req, res, next) {
+    try {
+      const payrollPeriod = await payrollService.close(req.params.period, req.user.id);
+
+      // A period that was reopened before is closed again
+      if (payrollPeriod.reopenedAt) {
+        await auditPeriod(req, 'UPDATE', payrollPeriod, { status: 'reopened' });
+      } else {
+        await auditPeriod(req, 'CREATE', payrollPeriod);
+      }
+
+      res.status(200).json(payrollPeriod);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async reopen(req, res, next) {
+    try {
+      const payrollPeriod = await payrollService.reopen(
+        req.params.period,
+        req.user.id,
+        req.body.reason,
+      );
+      await auditPeriod(req, 'UPDATE', payrollPeriod, { status: 'closed' });
+
+      res.status(200).json(payrollPeriod);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async export(req, res, next) {
+    try {
+      // Manual validation since validateQuery has issues with read-only query object
+      const format = req.query.format || EXPORT_FORMATS.CSV;
+      const formats = Object.values(EXPORT_FORMATS);
+
+      if (!formats.includes(format)) {
+        throw createError(400, `Invalid format: ${format}. Allowed: ${formats.join(', ')}`);
+      }
+
+      const file = await payrollService.export(req.params.period, format);
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.status(200).send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /payroll-periods:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: List payroll periods
+ *     description: Returns all closed and reopened months, newest first, without their entries (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of payroll periods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PayrollPeriod'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  payrollPeriodController.findAll,
+);
+
+/**
+ * @swagger
+ * /payroll-periods/{period}:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Get a payroll period
+ *     description: Returns the period with the per-employee totals snapshotted when it was closed (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: path
+ *         required: true
+ *         description: Month (YYYY-MM)
+ *         schema:
+ *           type: string
+ *           example: '2026-09'
+ *     responses:
+ *       200:
+ *         description: Payroll period with entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollPeriod'
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Period was never closed
+ */
+router.get(
+  '/:period',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(payrollSchemas.periodParam),
+  payrollPeriodController.findOne,
+);
+
+/**
+ * @swagger
+ * /payroll-periods/{period}/close:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Close a payroll period
+ *     description: |
+ *       Closes a month that has ended (admin only). All purchases dated in it
+ *       must be closed, voided or refunded. Closing locks those purchases
+ *       against changes (423 PERIOD_CLOSED) and snapshots each employee's
+ *       totals and allowance overage for the deduction export. Closing a
+ *       reopened period takes a fresh snapshot.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: path
+ *         required: true
+ *         description: Month (YYYY-MM)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Period closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollPeriod'
+ *       400:
+ *         description: Invalid period or the month has not ended yet
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: Already closed (PERIOD_ALREADY_CLOSED) or draft/open purchases left (PERIOD_HAS_OPEN_PURCHASES)
+ */
+router.post(
+  '/:period/close',
+  authenticate,
+  authorize('admin'),
+  validateParams(payrollSchemas.periodParam),
+  payrollPeriodController.close,
+);
+
+/**
+ * @swagger
+ * /payroll-periods/{period}/reopen:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Reopen a payroll period
+ *     description: Unlocks the purchases of a closed month so they can be corrected (admin only). The reason is kept on the period and in the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: path
+ *         required: true
+ *         description: Month (YYYY-MM)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Period reopened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollPeriod'
+ *       400:
+ *         description: Invalid period or reason missing
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Period was never closed
+ *       409:
+ *         description: Period is not closed (PERIOD_NOT_CLOSED)
+ */
+router.post(
+  '/:period/reopen',
+  authenticate,
+  authorize('admin'),
+  validateParams(payrollSchemas.periodParam),
+  validateBody(payrollSchemas.reopen),
+  payrollPeriodController.reopen,
+);
+
+/**
+ * @swagger
+ * /payroll-periods/{period}/export:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Download the payroll deduction file
+ *     description: |
+ *       Deduction file of a closed period (admin/manager only), one record
+ *       per employee with activity in the month. csv has a header row;
+ *       fixed-width follows PAYROLL_FIXED_WIDTH_LAYOUT (see config/payroll.js).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: path
+ *         required: true
+ *         description: Month (YYYY-MM)
+ *         schema:
+ *           type: string
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [csv, fixed-width]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Deduction file (attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid period or format
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Period was never closed
+ *       409:
+ *         description: Period is reopened (PERIOD_NOT_CLOSED)
+ */
+router.get(
+  '/:period/export',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(payrollSchemas.periodParam),
+  payrollPeriodController.export,
+);
+
+module.exports = router;
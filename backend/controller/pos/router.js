@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const posService = require('../../services/pos.service');
+const { validateBody } = require('../../middleware/validation');
+const { posSchemas } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const { idempotent } = require('../../middleware/idempotency');
+const { auditCreate } = require('../../middleware/audit');
+const { invalidateCache } = require('../../middleware/cache');
+
+/**
+ * POS API
+ *
+ * Endpoints for the cafeteria terminals. Terminals sign in with a manager
+ * account; the purchase belongs to the employee whose badge was read and
+ * is made at the location the account is assigned to.
+ */
+
+const posController = {
+  async checkout(req, res, next) {
+    try {
+      const receipt = await posService.checkout(req.body, { user: req.user });
+      res.status(201).json(receipt);
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /pos/checkout:
+ *   post:
+ *     tags: [POS]
+ *     summary: Check out a basket by badge
+ *     description: |
+ *       Resolves the employee from the badge read at the terminal and sells
+ *       the basket in one step: the purchase is created, priced with the
+ *       promotions in effect and closed in a single transaction, with the
+ *       same checks as any purchase (availability, stock, dietary profile,
+ *       allowance, closed payroll periods). Lines name their product by ID
+ *       or by a scanned barcode or SKU. The sale is made at locationId, or
+ *       else at the only location the terminal account is assigned to, at
+ *       that location's prices. Send an Idempotency-Key so a
+ *       terminal can retry after a timeout without charging twice
+ *       (admin/manager only).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PosCheckout'
+ *           example:
+ *             badgeNumber: "04A2249AC31F80"
+ *             items:
+ *               - code: "5449000000996"
+ *               - productId: 3
+ *                 quantity: 2
+ *     responses:
+ *       201:
+ *         description: Purchase closed; the receipt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Receipt'
+ *       400:
+ *         description: Validation error, an archived product, an unknown location, or no locationId from an account assigned to several locations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role, or a location that is not one of the manager's
+ *       404:
+ *         description: Unknown badge (UNKNOWN_BADGE) or product
+ *       409:
+ *         description: A tracked product is out of stock (OUT_OF_STOCK), a product is not available now or at the location (PRODUCT_NOT_AVAILABLE), or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Monthly allowance exceeded, item conflicting with the employee's dietary profile (block policy), or Idempotency-Key reused with a different body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AllowanceExceededError'
+ *                 - $ref: '#/components/schemas/DietaryConflictError'
+ *                 - $ref: '#/components/schemas/IdempotencyKeyMismatchError'
+ *       423:
+ *         description: The current payroll period is closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
+ */
+router.post(
+  '/checkout',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(posSchemas.checkout),
+  idempotent(),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
+  auditCreate('purchase'),
+  posController.checkout,
+);
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const createError = require('http-errors');
+const router = express.Router();
+const priceChangeService = require('../../services/priceChange.service');
+const { priceChanges } = require('../../model');
+const priceChangeConfig = require('../../config/priceChanges');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { priceChangeSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const { paginate } = require('../../middleware/pagination');
+const { invalidateCache } = require('../../middleware/cache');
+const { paginatedResponse } = require('../../utils/queryHelpers');
+const {
+  auditCreate,
+  auditUpdate,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Price Change API
+ *
+ * Scheduled price lists for admins and managers: schedule new prices for
+ * one or more products at a future time, list what is coming up and
+ * cancel a change before it is applied. The price change worker applies
+ * due changes (see priceChange.service.js).
+ */
+
+// Getter for fetching the price change before a cancel (for audit logging)
+const getPriceChange = createModelGetter(priceChanges);
+
+const priceChangeController = {
+  async findAll(req, res, next) {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !priceChangeConfig.ALL.includes(status)) {
+        throw createError(400, `Invalid status: ${status}. Allowed: ${priceChangeConfig.ALL.join(', ')}`);
+      }
+
+      const { data, count } = await priceChangeService.findAll({ status, pagination: req.pagination });
+      res.status(200).json(paginatedResponse(data, count, req.pagination));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const priceChange = await priceChangeService.findById(req.params.id);
+      res.status(200).json(priceChange);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const priceChange = await priceChangeService.schedule(req.body, { userId: req.user.id });
+      res.status(201).json(priceChange);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async cancel(req, res, next) {
+    try {
+      const priceChange = await priceChangeService.cancel(req.params.id, { userId: req.user.id });
+      res.status(200).json(priceChange);
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /price-changes:
+ *   get:
+ *     tags: [Price Changes]
+ *     summary: Get scheduled price changes
+ *     description: Returns price changes with their products, next due first (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         description: Only changes with this status, e.g. pending for the upcoming ones
+ *         schema:
+ *           type: string
+ *           enum: [pending, applied, cancelled]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Price changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceChange'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  paginate(20, 100),
+  priceChangeController.findAll,
+);
+
+/**
+ * @swagger
+ * /price-changes:
+ *   post:
+ *     tags: [Price Changes]
+ *     summary: Schedule a price change
+ *     description: |
+ *       Schedules new prices for one or more products, applied by the
+ *       price change worker at effectiveFrom (admin/manager only). Use a
+ *       product update for an immediate change.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceChangeCreate'
+ *           example:
+ *             effectiveFrom: '2026-11-01T00:00:00+01:00'
+ *             note: November supplier price list
+ *             items:
+ *               - productId: 4
+ *                 price: 3.4
+ *               - productId: 7
+ *                 price: 1.9
+ *     responses:
+ *       201:
+ *         description: Price change scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       400:
+ *         description: Validation error, effectiveFrom not in the future, or unknown products
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(priceChangeSchemas.create),
+  invalidateCache(['products:*', 'product:*']),
+  auditCreate('price-change'),
+  priceChangeController.create,
+);
+
+/**
+ * @swagger
+ * /price-changes/{id}:
+ *   get:
+ *     tags: [Price Changes]
+ *     summary: Get a price change
+ *     description: Returns a price change with its products (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Price change ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Price change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Price change not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  priceChangeController.findOne,
+);
+
+/**
+ * @swagger
+ * /price-changes/{id}/cancel:
+ *   post:
+ *     tags: [Price Changes]
+ *     summary: Cancel a price change
+ *     description: Withdraws a pending price change before it is applied (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Price change ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Price change cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Price change not found
+ *       409:
+ *         description: The price change was already applied or cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChangeNotPendingError'
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('price-change', getPriceChange),
+  priceChangeController.cancel,
+);
+
+module.exports = router;
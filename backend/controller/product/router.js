@@ -1,10 +1,17 @@
 const express = require('express');
+const createError = require('http-errors');
 const router = express.Router();
 const productService = require('../../services/product.service');
+const inventoryService = require('../../services/inventory.service');
+const availabilityService = require('../../services/availability.service');
+const priceHistoryService = require('../../services/priceHistory.service');
+const productImageService = require('../../services/productImage.service');
 const { products } = require('../../model');
 const { validateBody, validateParams } = require('../../middleware/validation');
 const {
   productSchemas,
+  stockMovementSchemas,
+  availabilitySchemas,
   idParamSchema,
 } = require('../../middleware/validation/schemas');
 const { authenticate, authorize } = require('../../middleware/auth');
@@ -12,6 +19,7 @@ const { paginate } = require('../../middleware/pagination');
 const {
   parseSort,
   parseFilters,
+  parseLocationFilter,
   paginatedResponse,
 } = require('../../utils/queryHelpers');
 const {
@@ -21,11 +29,20 @@ const {
   createModelGetter,
 } = require('../../middleware/audit');
 const { cache, invalidateCache } = require('../../middleware/cache');
+const { etag, ifMatch } = require('../../middleware/concurrency');
+const { uploadImage } = require('../../middleware/upload');
 const cacheTTL = require('../../config/cache');
+const dietaryConfig = require('../../config/dietary');
 
 // Getter for fetching product before update/delete (for audit logging)
 const getProduct = createModelGetter(products);
 
+// Windows before they are replaced, in the shape of the response
+const getProductAvailability = async id => ({
+  productId: id,
+  windows: (await availabilityService.findWindows(id)).map(window => window.toJSON()),
+});
+
 const FILTER_CONFIG = {
   name: {
     operator: 'LIKE',
@@ -43,7 +60,51 @@ const FILTER_CONFIG = {
   },
 };
 
-const ALLOWED_SORT_FIELDS = ['id', 'name', 'price'];
+const ALLOWED_SORT_FIELDS = ['id', 'name', 'price', 'stockQuantity'];
+
+/**
+ * Comma-separated list of known codes, 400 for an unknown one
+ */
+const parseCodeList = (name, value, allowed) => {
+  const codes = String(value).split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+  const unknown = codes.filter(code => !allowed.includes(code));
+
+  if (unknown.length > 0) {
+    throw createError(400, `Invalid ${name}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+
+  return codes;
+};
+
+/**
+ * Category, tag and dietary filters of the product list
+ * (?category=3 includes subcategories, ?tag=vegan,spicy requires all tags,
+ * ?excludeAllergens=gluten,nuts and ?diet=vegan)
+ */
+const parseCatalogFilters = query => {
+  const filters = {};
+
+  if (query.category !== undefined && query.category !== '') {
+    const categoryId = Number(query.category);
+    if (!Number.isInteger(categoryId) || categoryId < 1) {
+      throw createError(400, `Invalid category: ${query.category}`);
+    }
+    filters.categoryId = categoryId;
+  }
+
+  if (query.tag) {
+    filters.tags = String(query.tag).split(',').filter(tag => tag.trim());
+  }
+
+  if (query.excludeAllergens) {
+    filters.excludeAllergens = parseCodeList('excludeAllergens', query.excludeAllergens, dietaryConfig.ALLERGENS);
+  }
+  if (query.diet) {
+    filters.diet = parseCodeList('diet', query.diet, dietaryConfig.ALL_LABELS);
+  }
+
+  return filters;
+};
 
 /**
  * Product controller using optimized service layer
@@ -56,13 +117,17 @@ const productController = {
         ['id', 'ASC'],
       ]);
 
-      const { data, count } = await productService.findAll({
+      const { data, count, facets } = await productService.findAll({
         where,
         order,
         pagination: req.pagination,
+        ...parseCatalogFilters(req.query),
+        locationId: parseLocationFilter(req.query),
+        facets: req.query.facets === 'true',
       });
 
-      res.status(200).json(paginatedResponse(data, count, req.pagination));
+      const response = paginatedResponse(data, count, req.pagination);
+      res.status(200).json(facets ? { ...response, facets } : response);
     } catch (error) {
       next(error);
     }
@@ -89,6 +154,15 @@ const productController = {
   async findPopular(req, res, next) {
     try {
       const limit = parseInt(req.query.limit, 10) || 10;
+
+      if (req.query.by === 'category') {
+        const categories = await productService.findPopularCategories(limit);
+        return res.status(200).json(categories);
+      }
+      if (req.query.by !== undefined && req.query.by !== 'product') {
+        throw createError(400, `Invalid by: ${req.query.by}. Allowed: product, category`);
+      }
+
       const products = await productService.findPopular(limit);
       res.status(200).json(products);
     } catch (error) {
@@ -114,9 +188,32 @@ const productController = {
     }
   },
 
+  async bulkCreate(req, res, next) {
+    try {
+      const created = await productService.bulkCreate(req.body);
+      res.status(201).json(created);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async lookup(req, res, next) {
+    try {
+      const code = typeof req.query.code === 'string' ? req.query.code.trim() : '';
+      if (!code) {
+        throw createError(400, 'code is required');
+      }
+
+      const product = await productService.lookup(code);
+      res.status(200).json(product);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async update(req, res, next) {
     try {
-      const product = await productService.update(req.params.id, req.body);
+      const product = await productService.update(req.params.id, req.body, { ifMatch: req.ifMatch });
       res.status(200).json(product);
     } catch (error) {
       next(error);
@@ -131,6 +228,134 @@ const productController = {
       next(error);
     }
   },
+
+  /**
+   * Get all archived products (admin only)
+   */
+  async findDeleted(req, res, next) {
+    try {
+      const { data, count } = await productService.findDeleted(req.pagination);
+      res.status(200).json(paginatedResponse(data, count, req.pagination));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Restore an archived product (admin only)
+   */
+  async restore(req, res, next) {
+    try {
+      const product = await productService.restore(req.params.id);
+      res.status(200).json(product);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Permanently delete a product (admin only, never sold or promoted)
+   */
+  async hardDelete(req, res, next) {
+    try {
+      await productService.hardDelete(req.params.id);
+      res.status(200).json({ deleted: true, permanent: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findAvailable(req, res, next) {
+    try {
+      const result = await availabilityService.findAvailable(req.query.at ?? new Date());
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findAvailability(req, res, next) {
+    try {
+      const windows = await availabilityService.findWindows(req.params.id);
+      res.status(200).json({ productId: req.params.id, windows });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateAvailability(req, res, next) {
+    try {
+      const windows = await availabilityService.setWindows(req.params.id, req.body.windows);
+      res.status(200).json({ productId: req.params.id, windows });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findPriceHistory(req, res, next) {
+    try {
+      const { data, count } = await priceHistoryService.findHistory(req.params.id, req.pagination);
+      res.status(200).json(paginatedResponse(data, count, req.pagination));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findPriceAt(req, res, next) {
+    try {
+      const price = await priceHistoryService.findPriceAt(req.params.id, req.query.at ?? new Date());
+      res.status(200).json(price);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findLowStock(req, res, next) {
+    try {
+      const products = await inventoryService.findLowStock();
+      res.status(200).json(products);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findStockMovements(req, res, next) {
+    try {
+      const { data, count } = await inventoryService.findMovements(req.params.id, req.pagination);
+      res.status(200).json(paginatedResponse(data, count, req.pagination));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async recordStockMovement(req, res, next) {
+    try {
+      const movement = await inventoryService.recordMovement(req.params.id, req.body, {
+        userId: req.user.id,
+      });
+      res.status(201).json(movement);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async uploadImage(req, res, next) {
+    try {
+      const product = await productImageService.upload(req.params.id, req.file);
+      res.status(200).json(product);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async removeImage(req, res, next) {
+    try {
+      const product = await productImageService.remove(req.params.id);
+      res.status(200).json(product);
+    } catch (error) {
+      next(error);
+    }
+  },
 };
 
 /**
@@ -187,6 +412,63 @@ router.post(
   productController.create,
 );
 
+/**
+ * @swagger
+ * /products/bulk:
+ *   post:
+ *     tags: [Products]
+ *     summary: Import products
+ *     description: |
+ *       Creates several products at once (admin/manager only). Nothing is
+ *       created when one of them is invalid or clashes with an existing
+ *       name, SKU or barcode.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             minItems: 1
+ *             maxItems: 500
+ *             items:
+ *               $ref: '#/components/schemas/ProductCreate'
+ *           example:
+ *             - name: "Cola 0.33l"
+ *               price: 1.80
+ *               sku: "DRK-COLA-033"
+ *               barcodes: ["5449000000996"]
+ *             - name: "Water 0.5l"
+ *               price: 1.20
+ *     responses:
+ *       201:
+ *         description: Products created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Validation error, or a barcode listed for two products
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       409:
+ *         description: A name, SKU or barcode is already taken
+ */
+router.post(
+  '/bulk',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(productSchemas.bulkCreate),
+  invalidateCache(['products:*', 'product:*']),
+  auditCreate('product'),
+  productController.bulkCreate,
+);
+
 /**
  * @swagger
  * /products/rand:
@@ -214,130 +496,701 @@ router.post(
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/NotFoundError'
+ *               $ref: '#/components/schemas/NotFoundError'
+ */
+router.get('/rand', authenticate, productController.findRandom);
+
+/**
+ * @swagger
+ * /products/popular:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get popular products
+ *     description: Returns most ordered products (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         description: Number of products to return
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *       - name: by
+ *         in: query
+ *         description: Rank products, or categories by the sales of their products
+ *         schema:
+ *           type: string
+ *           enum: [product, category]
+ *           default: product
+ *     responses:
+ *       200:
+ *         description: List of popular products (or categories with by=category)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           orderCount:
+ *                             type: integer
+ *                           totalQuantity:
+ *                             type: integer
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PopularCategory'
+ *       400:
+ *         description: Invalid by
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/popular',
+  authenticate,
+  authorize('admin', 'manager'),
+  productController.findPopular,
+);
+
+/**
+ * @swagger
+ * /products/available:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get products available at a moment
+ *     description: |
+ *       Returns the products that can be sold at the given moment: products
+ *       without availability windows, and products with a window that
+ *       matches. Windows are evaluated in the cafeteria timezone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: at
+ *         in: query
+ *         description: ISO 8601 date-time to check (default now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         example: '2026-10-19T07:30:00+02:00'
+ *     responses:
+ *       200:
+ *         description: Available products, by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AvailableProducts'
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/available', authenticate, productController.findAvailable);
+
+/**
+ * @swagger
+ * /products/lookup:
+ *   get:
+ *     tags: [Products]
+ *     summary: Look up a product by barcode or SKU
+ *     description: |
+ *       Resolves a scanned barcode (EAN-8, UPC-A, EAN-13) or a typed SKU to
+ *       the product at the till. Archived products are not found.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: code
+ *         in: query
+ *         required: true
+ *         description: Barcode or SKU (case-insensitive)
+ *         schema:
+ *           type: string
+ *         example: '4006381333931'
+ *     responses:
+ *       200:
+ *         description: The product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Missing code
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No product with this barcode or SKU
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ */
+router.get('/lookup', authenticate, productController.lookup);
+
+/**
+ * @swagger
+ * /products/low-stock:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get low-stock products
+ *     description: Returns products with stock tracking on whose stock is at or below their low-stock threshold, emptiest first (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/low-stock',
+  authenticate,
+  authorize('admin', 'manager'),
+  productController.findLowStock,
+);
+
+/**
+ * @swagger
+ * /products/deleted:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get archived products
+ *     description: Returns a paginated list of archived (soft-deleted) products for restore functionality (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         description: Page number
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: Items per page
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of archived products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedProducts'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.get(
+  '/deleted',
+  authenticate,
+  authorize('admin'),
+  paginate(20, 100),
+  productController.findDeleted,
+);
+
+/**
+ * @swagger
+ * /products:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get all products
+ *     description: Returns a paginated list of products with optional filtering and sorting
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         description: Page number
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: Items per page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - name: sort
+ *         in: query
+ *         description: "Sort field and direction (e.g., name:asc, price:desc)"
+ *         schema:
+ *           type: string
+ *       - name: name
+ *         in: query
+ *         description: Filter by product name (partial match)
+ *         schema:
+ *           type: string
+ *       - name: minPrice
+ *         in: query
+ *         description: Filter by minimum price
+ *         schema:
+ *           type: number
+ *       - name: maxPrice
+ *         in: query
+ *         description: Filter by maximum price
+ *         schema:
+ *           type: number
+ *       - name: category
+ *         in: query
+ *         description: Filter by category ID (subcategories included)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: tag
+ *         in: query
+ *         description: Comma-separated tag names; products must carry all of them
+ *         schema:
+ *           type: string
+ *         example: vegan,spicy
+ *       - name: excludeAllergens
+ *         in: query
+ *         description: |
+ *           Comma-separated allergen codes; only products declared free of all
+ *           of them (products without declared allergens are left out)
+ *         schema:
+ *           type: string
+ *         example: gluten,nuts
+ *       - name: diet
+ *         in: query
+ *         description: Comma-separated dietary labels; products must carry all of them (vegan counts as vegetarian)
+ *         schema:
+ *           type: string
+ *         example: vegan
+ *       - name: location
+ *         in: query
+ *         description: |
+ *           Menu of a location: leaves out the products it does not sell and
+ *           returns the others at the location's price, with the catalog
+ *           price in catalogPrice (the price filters use the catalog price)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: facets
+ *         in: query
+ *         description: Also return category and tag counts over all matching products
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaginatedProducts'
+ *       400:
+ *         description: Invalid filter or unknown location
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ */
+router.get(
+  '/',
+  authenticate,
+  paginate(20, 100),
+  cache('products', cacheTTL.products.list, { userSpecific: false }),
+  productController.findAll,
+);
+
+/**
+ * @swagger
+ * /products/{id}/stats:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get product with sales statistics
+ *     description: Returns a product with aggregated sales stats (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Product with statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Product'
+ *                 - type: object
+ *                   properties:
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         totalOrders:
+ *                           type: integer
+ *                         totalQuantitySold:
+ *                           type: integer
+ *                         totalRevenue:
+ *                           type: number
+ *                     categoryStats:
+ *                       $ref: '#/components/schemas/ProductCategoryStats'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+  '/:id/stats',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  productController.findWithStats,
+);
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get the stock movements of a product
+ *     description: Returns the product's stock ledger, newest first (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+  '/:id/stock-movements',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  paginate(20, 100),
+  productController.findStockMovements,
+);
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements:
+ *   post:
+ *     tags: [Products]
+ *     summary: Record a stock movement
+ *     description: |
+ *       Records goods received (receipt), a stock count correction
+ *       (adjustment, signed) or written-off goods (waste) and updates the
+ *       product's stock (admin/manager only). Sales are recorded when
+ *       purchases are closed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockMovementCreate'
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The movement would take the stock below zero
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OutOfStockError'
+ */
+router.post(
+  '/:id/stock-movements',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  validateBody(stockMovementSchemas.create),
+  invalidateCache(['products:*', 'product:*']),
+  auditCreate('stock-movement'),
+  productController.recordStockMovement,
+);
+
+/**
+ * @swagger
+ * /products/{id}/price-history:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get a product's price history
+ *     description: Every price the product had, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Price history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductPrice'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+  '/:id/price-history',
+  authenticate,
+  validateParams(idParamSchema),
+  paginate(20, 100),
+  productController.findPriceHistory,
+);
+
+/**
+ * @swagger
+ * /products/{id}/price:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get a product's price at a moment
+ *     description: The price in effect at the given moment, from the price history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: at
+ *         in: query
+ *         description: ISO 8601 date or date-time (default now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         example: '2026-10-01T12:00:00Z'
+ *     responses:
+ *       200:
+ *         description: Price at the moment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceAt'
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found, or no price recorded at that moment
  */
-router.get('/rand', authenticate, productController.findRandom);
+router.get(
+  '/:id/price',
+  authenticate,
+  validateParams(idParamSchema),
+  productController.findPriceAt,
+);
 
 /**
  * @swagger
- * /products/popular:
+ * /products/{id}/availability:
  *   get:
  *     tags: [Products]
- *     summary: Get popular products
- *     description: Returns most ordered products (admin/manager only)
+ *     summary: Get a product's availability windows
+ *     description: A product without windows is always available
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: limit
- *         in: query
- *         description: Number of products to return
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 50
- *           default: 10
  *     responses:
  *       200:
- *         description: List of popular products
+ *         description: Availability windows
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 allOf:
- *                   - $ref: '#/components/schemas/Product'
- *                   - type: object
- *                     properties:
- *                       orderCount:
- *                         type: integer
- *                       totalQuantity:
- *                         type: integer
+ *               $ref: '#/components/schemas/ProductAvailability'
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Forbidden
+ *       404:
+ *         description: Product not found
  */
 router.get(
-  '/popular',
+  '/:id/availability',
   authenticate,
-  authorize('admin', 'manager'),
-  productController.findPopular,
+  validateParams(idParamSchema),
+  productController.findAvailability,
 );
 
 /**
  * @swagger
- * /products:
- *   get:
+ * /products/{id}/availability:
+ *   put:
  *     tags: [Products]
- *     summary: Get all products
- *     description: Returns a paginated list of products with optional filtering and sorting
+ *     summary: Replace a product's availability windows
+ *     description: |
+ *       Replaces all windows of the product (admin/manager only). The
+ *       product is available when any window matches; an empty list makes
+ *       it always available.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: page
- *         in: query
- *         description: Page number
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *       - name: limit
- *         in: query
- *         description: Items per page
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 100
- *           default: 20
- *       - name: sort
- *         in: query
- *         description: "Sort field and direction (e.g., name:asc, price:desc)"
- *         schema:
- *           type: string
- *       - name: name
- *         in: query
- *         description: Filter by product name (partial match)
- *         schema:
- *           type: string
- *       - name: minPrice
- *         in: query
- *         description: Filter by minimum price
- *         schema:
- *           type: number
- *       - name: maxPrice
- *         in: query
- *         description: Filter by maximum price
- *         schema:
- *           type: number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductAvailabilityUpdate'
+ *           example:
+ *             windows:
+ *               - label: Breakfast
+ *                 weekdays: [1, 2, 3, 4, 5]
+ *                 startTime: '07:00'
+ *                 endTime: '10:30'
  *     responses:
  *       200:
- *         description: List of products
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/PaginatedProducts'
- *       401:
- *         description: Unauthorized
+ *         description: Windows replaced
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UnauthorizedError'
+ *               $ref: '#/components/schemas/ProductAvailability'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
  */
-router.get(
-  '/',
+router.put(
+  '/:id/availability',
   authenticate,
-  paginate(20, 100),
-  cache('products', cacheTTL.products.list, { userSpecific: false }),
-  productController.findAll,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  validateBody(availabilitySchemas.update),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('product-availability', getProductAvailability),
+  productController.updateAvailability,
 );
 
 /**
  * @swagger
- * /products/{id}/stats:
- *   get:
+ * /products/{id}/image:
+ *   post:
  *     tags: [Products]
- *     summary: Get product with sales statistics
- *     description: Returns a product with aggregated sales stats (admin/manager only)
+ *     summary: Upload a product image
+ *     description: |
+ *       Sets the product's image from a multipart upload (admin/manager
+ *       only). The image is stored as WebP in several sizes, returned in
+ *       the product's images. A new image gets new URLs, so the URLs can
+ *       be cached indefinitely; the previous image is removed.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -348,38 +1201,82 @@ router.get(
  *         schema:
  *           type: integer
  *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP image (UPLOAD_MAX_SIZE, default 5 MB)
  *     responses:
  *       200:
- *         description: Product with statistics
+ *         description: Image stored
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Product'
- *                 - type: object
- *                   properties:
- *                     stats:
- *                       type: object
- *                       properties:
- *                         totalOrders:
- *                           type: integer
- *                         totalQuantitySold:
- *                           type: integer
- *                         totalRevenue:
- *                           type: number
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: No file or not a valid image
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Product not found
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Unsupported image type
+ *   delete:
+ *     tags: [Products]
+ *     summary: Remove a product image
+ *     description: Removes the product's image and its files (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found or without image
  */
-router.get(
-  '/:id/stats',
+router.post(
+  '/:id/image',
   authenticate,
   authorize('admin', 'manager'),
   validateParams(idParamSchema),
-  productController.findWithStats,
+  uploadImage(),
+  etag(),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('product', getProduct),
+  productController.uploadImage,
+);
+
+router.delete(
+  '/:id/image',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  etag(),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('product', getProduct),
+  productController.removeImage,
 );
 
 /**
@@ -388,7 +1285,7 @@ router.get(
  *   get:
  *     tags: [Products]
  *     summary: Get product by ID
- *     description: Returns a single product by its ID
+ *     description: Returns a single product by its ID, with its pending scheduled price changes
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -402,10 +1299,22 @@ router.get(
  *     responses:
  *       200:
  *         description: Product found
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Product'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Product'
+ *                 - type: object
+ *                   properties:
+ *                     upcomingPriceChanges:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UpcomingPriceChange'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -423,6 +1332,7 @@ router.get(
   '/:id',
   authenticate,
   validateParams(idParamSchema),
+  etag(),
   cache('product', cacheTTL.products.single, { userSpecific: false }),
   productController.findOne,
 );
@@ -444,6 +1354,7 @@ router.get(
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -456,6 +1367,11 @@ router.get(
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -484,6 +1400,12 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
  */
 router.put(
   '/:id',
@@ -491,6 +1413,8 @@ router.put(
   authorize('admin', 'manager'),
   validateParams(idParamSchema),
   validateBody(productSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['products:*', 'product:*']),
   auditUpdate('product', getProduct),
   productController.update,
@@ -513,6 +1437,7 @@ router.put(
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -524,6 +1449,11 @@ router.put(
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -552,6 +1482,12 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
  */
 router.patch(
   '/:id',
@@ -559,6 +1495,8 @@ router.patch(
   authorize('admin', 'manager'),
   validateParams(idParamSchema),
   validateBody(productSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['products:*', 'product:*']),
   auditUpdate('product', getProduct),
   productController.update,
@@ -569,8 +1507,8 @@ router.patch(
  * /products/{id}:
  *   delete:
  *     tags: [Products]
- *     summary: Delete a product
- *     description: Deletes a product (admin only)
+ *     summary: Archive a product
+ *     description: Archives (soft deletes) a product (admin only). It leaves the catalog and cannot be purchased anymore; past purchases keep showing it. Restore it with POST /products/{id}/restore.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -583,7 +1521,7 @@ router.patch(
  *           minimum: 1
  *     responses:
  *       200:
- *         description: Product deleted successfully
+ *         description: Product archived successfully
  *         content:
  *           application/json:
  *             schema:
@@ -622,4 +1560,96 @@ router.delete(
   productController.delete,
 );
 
+/**
+ * @swagger
+ * /products/{id}/restore:
+ *   post:
+ *     tags: [Products]
+ *     summary: Restore an archived product
+ *     description: Puts an archived product back into the catalog (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Product is not deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:id/restore',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  invalidateCache(['products:*', 'product:*']),
+  productController.restore,
+);
+
+/**
+ * @swagger
+ * /products/{id}/hard-delete:
+ *   delete:
+ *     tags: [Products]
+ *     summary: Permanently delete a product
+ *     description: Permanently removes a product from the database, archived or not. Only works if the product was never sold and is part of no promotion. Use DELETE /products/:id to archive products with purchase history. (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Product ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Product permanently deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *                 permanent:
+ *                   type: boolean
+ *             example:
+ *               deleted: true
+ *               permanent: true
+ *       400:
+ *         description: Cannot delete - product was sold or is part of a promotion
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Product not found
+ */
+router.delete(
+  '/:id/hard-delete',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  invalidateCache(['products:*', 'product:*']),
+  productController.hardDelete,
+);
+
 module.exports = router;
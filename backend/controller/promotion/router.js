@@ -0,0 +1,324 @@
+const express = require('express');
+const createError = require('http-errors');
+const router = express.Router();
+const promotionService = require('../../services/promotion.service');
+const { promotions } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { promotionSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const { paginate } = require('../../middleware/pagination');
+const { paginatedResponse } = require('../../utils/queryHelpers');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Promotion API
+ *
+ * Discount rules applied to purchases: percentage or fixed discounts,
+ * bundles, time windows and per-employee limits. Everyone can see them;
+ * admins and managers maintain them. Changes only affect purchases whose
+ * items change afterwards (see promotion.service.js).
+ */
+
+// Getter for fetching the promotion before updates/deletes (for audit logging)
+const getPromotion = createModelGetter(promotions);
+
+const promotionController = {
+  async findAll(req, res, next) {
+    try {
+      const { active } = req.query;
+      if (active !== undefined && !['true', 'false'].includes(active)) {
+        throw createError(400, 'active must be true or false');
+      }
+
+      const { data, count } = await promotionService.findAll({
+        active: active === undefined ? undefined : active === 'true',
+        pagination: req.pagination,
+      });
+      res.status(200).json(paginatedResponse(data, count, req.pagination));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const promotion = await promotionService.findById(req.params.id);
+      res.status(200).json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const promotion = await promotionService.create(req.body);
+      res.status(201).json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const promotion = await promotionService.update(req.params.id, req.body);
+      res.status(200).json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await promotionService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     tags: [Promotions]
+ *     summary: Get promotions
+ *     description: Returns promotions with their products, highest priority first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: active
+ *         in: query
+ *         description: Only active (true) or inactive (false) promotions
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid active filter
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, paginate(20, 100), promotionController.findAll);
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     tags: [Promotions]
+ *     summary: Create a promotion
+ *     description: Creates a discount rule (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *           examples:
+ *             bundle:
+ *               summary: Coffee + croissant for 900
+ *               value:
+ *                 name: Coffee + croissant
+ *                 type: bundle
+ *                 value: 900
+ *                 products:
+ *                   - productId: 1
+ *                     quantity: 1
+ *                   - productId: 2
+ *                     quantity: 1
+ *             percentage:
+ *               summary: 20% off salads after 2pm
+ *               value:
+ *                 name: Salads after 2pm
+ *                 type: percentage
+ *                 value: 20
+ *                 categoryId: 3
+ *                 startTime: '14:00'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error, or unknown products or category
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(promotionSchemas.create),
+  auditCreate('promotion'),
+  promotionController.create,
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     tags: [Promotions]
+ *     summary: Get a promotion
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Promotion ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Promotion not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(idParamSchema),
+  promotionController.findOne,
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   put:
+ *     tags: [Promotions]
+ *     summary: Update a promotion
+ *     description: |
+ *       Updates the given fields; a products list replaces the current one
+ *       (admin/manager only). Existing purchases keep their discounts.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Promotion ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error, or unknown products or category
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Promotion not found
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  validateBody(promotionSchemas.update),
+  auditUpdate('promotion', getPromotion),
+  promotionController.update,
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     tags: [Promotions]
+ *     summary: Delete a promotion
+ *     description: |
+ *       Deletes a promotion (admin/manager only). Discount lines it produced
+ *       stay on their purchases under its name. Set active to false to pause
+ *       a promotion instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Promotion ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  auditDelete('promotion', getPromotion),
+  promotionController.delete,
+);
+
+module.exports = router;
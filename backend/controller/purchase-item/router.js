@@ -8,6 +8,7 @@ const {
   idParamSchema,
 } = require('../../middleware/validation/schemas');
 const { authenticate, authorize } = require('../../middleware/auth');
+const { checkPurchaseItemScope } = require('../../middleware/ownership');
 const { paginate } = require('../../middleware/pagination');
 const {
   auditCreate,
@@ -135,14 +136,31 @@ const purchaseItemController = {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: The purchase is at a location that is not one of the manager's
  *       404:
  *         description: Purchase or product not found
+ *       409:
+ *         description: Product is out of stock, or not available at the purchase date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/OutOfStockError'
+ *                 - $ref: '#/components/schemas/ProductNotAvailableError'
+ *       422:
+ *         description: Monthly allowance exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AllowanceExceededError'
  */
 router.post(
   '/',
   authenticate,
   validateBody(purchaseItemSchemas.create),
-  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*']),
+  checkPurchaseItemScope(),
+  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*', 'purchase:*']),
   auditCreate('purchase-item'),
   purchaseItemController.create,
 );
@@ -314,19 +332,28 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: The purchase is at a location that is not one of the manager's
  *       404:
  *         description: Purchase item not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       409:
+ *         description: Product is out of stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OutOfStockError'
  */
 router.put(
   '/:id',
   authenticate,
   validateParams(idParamSchema),
   validateBody(purchaseItemSchemas.update),
-  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*']),
+  checkPurchaseItemScope(),
+  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*', 'purchase:*']),
   auditUpdate('purchase-item', getPurchaseItem),
   purchaseItemController.update,
 );
@@ -375,6 +402,8 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: The purchase is at a location that is not one of the manager's
  *       404:
  *         description: Purchase item not found
  *         content:
@@ -387,7 +416,8 @@ router.patch(
   authenticate,
   validateParams(idParamSchema),
   validateBody(purchaseItemSchemas.update),
-  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*']),
+  checkPurchaseItemScope(),
+  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*', 'purchase:*']),
   auditUpdate('purchase-item', getPurchaseItem),
   purchaseItemController.update,
 );
@@ -430,7 +460,7 @@ router.patch(
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
  *       403:
- *         description: Forbidden - requires admin or manager role
+ *         description: Forbidden - requires admin or manager role, or the purchase is at a location that is not one of the manager's
  *         content:
  *           application/json:
  *             schema:
@@ -447,7 +477,8 @@ router.delete(
   authenticate,
   authorize('admin', 'manager'),
   validateParams(idParamSchema),
-  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*']),
+  checkPurchaseItemScope(),
+  invalidateCache(['purchase-items:*', 'purchase-item:*', 'purchases:*', 'purchase:*']),
   auditDelete('purchase-item', getPurchaseItem),
   purchaseItemController.delete,
 );
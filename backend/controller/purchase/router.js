@@ -1,6 +1,13 @@
 const express = require('express');
+const createError = require('http-errors');
 const router = express.Router();
 const purchaseService = require('../../services/purchase.service');
+const refundService = require('../../services/refund.service');
+const promotionService = require('../../services/promotion.service');
+const dietaryService = require('../../services/dietary.service');
+const organizationService = require('../../services/organization.service');
+const locationService = require('../../services/location.service');
+const taxService = require('../../services/tax.service');
 const db = require('../../model');
 const { purchases } = db;
 const { validateBody, validateParams } = require('../../middleware/validation');
@@ -12,8 +19,10 @@ const { authenticate, authorize } = require('../../middleware/auth');
 const {
   checkOwnership,
   filterByOwnership,
+  filterByLocation,
 } = require('../../middleware/ownership');
 const { paginate } = require('../../middleware/pagination');
+const { idempotent } = require('../../middleware/idempotency');
 const {
   auditCreate,
   auditUpdate,
@@ -23,21 +32,40 @@ const {
 const {
   parseSort,
   parseFilters,
+  parseUnitFilters,
   paginatedResponse,
 } = require('../../utils/queryHelpers');
 const { cache, invalidateCache } = require('../../middleware/cache');
+const { etag, ifMatch } = require('../../middleware/concurrency');
 const cacheTTL = require('../../config/cache');
+const purchaseStatus = require('../../config/purchaseStatus');
 
 const getPurchase = createModelGetter(purchases);
 
+/**
+ * Parse a comma separated status list (e.g. ?status=open,closed)
+ * @param {string} value - Raw query value
+ * @returns {string[]}
+ */
+const parseStatusFilter = (value) => {
+  const statuses = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const invalid = statuses.filter(s => !purchaseStatus.ALL.includes(s));
+
+  if (invalid.length > 0) {
+    throw createError(400, `Invalid status: ${invalid.join(', ')}. Allowed: ${purchaseStatus.ALL.join(', ')}`);
+  }
+
+  return statuses;
+};
+
 const FILTER_CONFIG = {
   employeeId: {
     operator: '=',
     type: 'integer',
   },
-  closed: {
-    operator: '=',
-    type: 'boolean',
+  status: {
+    operator: 'IN',
+    transform: parseStatusFilter,
   },
   dateFrom: {
     field: 'date',
@@ -85,7 +113,7 @@ const parseMonthFilter = (monthName) => {
   return { dateFrom, dateTo };
 };
 
-const ALLOWED_SORT_FIELDS = ['id', 'date', 'total', 'closed', 'employeeId'];
+const ALLOWED_SORT_FIELDS = ['id', 'date', 'total', 'status', 'employeeId'];
 
 /**
  * Purchase controller using optimized service layer
@@ -107,6 +135,18 @@ const purchaseController = {
       }
 
       const where = { ...queryFilters, ...ownershipFilter };
+
+      // ?location=2, or the locations of a manager assigned to some
+      if (req.locationIds) {
+        where.locationId = req.locationIds;
+      }
+
+      // Department/cost center at the purchase date (e.g., ?department=3)
+      const unitFilters = parseUnitFilters(req.query);
+      if (Object.keys(unitFilters).length > 0) {
+        const { Op } = require('sequelize');
+        where[Op.and] = [await organizationService.purchaseWhere(unitFilters)];
+      }
       const order = parseSort(req.query.sort, ALLOWED_SORT_FIELDS, [
         ['date', 'DESC'],
       ]);
@@ -154,19 +194,14 @@ const purchaseController = {
         data.userId = req.user.id;
       }
 
-      // Check if items are provided
       const items = data.items || [];
       delete data.items;
 
-      let purchase;
-      if (items.length > 0) {
-        // Create purchase with items in a transaction
-        purchase = await purchaseService.createWithItems(data, items);
-      } else {
-        // Create purchase without items using model directly
-        purchase = await purchases.create(data);
-        purchase = await purchaseService.findById(purchase.id);
-      }
+      // Terminals assigned to one location sell there by default
+      data.locationId = await locationService.resolveForUser(req.user, data.locationId);
+
+      // Create purchase with items in a transaction; the total is derived from the items
+      const purchase = await purchaseService.createWithItems(data, items);
 
       res.status(201).json(purchase);
     } catch (error) {
@@ -174,29 +209,42 @@ const purchaseController = {
     }
   },
 
+  /**
+   * Price a basket with the current promotions without saving it,
+   * with the dietary warnings the purchase would get
+   */
+  async preview(req, res, next) {
+    try {
+      if (req.body.locationId !== undefined) {
+        await locationService.resolveForUser(req.user, req.body.locationId);
+      }
+
+      const preview = await promotionService.preview(req.body);
+      const dietaryWarnings = await dietaryService.findWarnings(req.body.employeeId, req.body.items);
+      res.status(200).json({ ...preview, dietaryWarnings });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async update(req, res, next) {
     try {
       const data = { ...req.body };
       const items = data.items;
       delete data.items;
 
-      let purchase;
-      if (items !== undefined) {
-        // Update with items replacement
-        purchase = await purchaseService.updateWithItems(req.params.id, data, items);
-      } else {
-        // Update purchase only
-        const existingPurchase = await purchases.findByPk(req.params.id);
-        if (!existingPurchase) {
-          return res.status(404).json({
-            success: false,
-            error: { code: 'NOT_FOUND', message: 'Purchase not found' },
-          });
-        }
-        await existingPurchase.update(data);
-        purchase = await purchaseService.findById(req.params.id);
+      if (data.locationId !== undefined) {
+        await locationService.resolveForUser(req.user, data.locationId);
       }
 
+      // Items are replaced only when provided
+      const purchase = await purchaseService.updateWithItems(
+        req.params.id,
+        data,
+        items === undefined ? null : items,
+        { ifMatch: req.ifMatch },
+      );
+
       res.status(200).json(purchase);
     } catch (error) {
       next(error);
@@ -214,15 +262,7 @@ const purchaseController = {
 
   async addItems(req, res, next) {
     try {
-      const { items } = req.body;
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: { code: 'VALIDATION_ERROR', message: 'Items array is required' },
-        });
-      }
-
-      const purchase = await purchaseService.addItems(req.params.id, items);
+      const purchase = await purchaseService.addItems(req.params.id, req.body.items);
       res.status(200).json(purchase);
     } catch (error) {
       next(error);
@@ -238,6 +278,15 @@ const purchaseController = {
     }
   },
 
+  async openPurchase(req, res, next) {
+    try {
+      const purchase = await purchaseService.openPurchase(req.params.id);
+      res.status(200).json(purchase);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async closePurchase(req, res, next) {
     try {
       const purchase = await purchaseService.closePurchase(req.params.id);
@@ -247,6 +296,44 @@ const purchaseController = {
     }
   },
 
+  async voidPurchase(req, res, next) {
+    try {
+      const purchase = await purchaseService.voidPurchase(req.params.id, req.body.reason);
+      res.status(200).json(purchase);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async reopenPurchase(req, res, next) {
+    try {
+      const purchase = await purchaseService.reopenPurchase(req.params.id, req.body.reason);
+      res.status(200).json(purchase);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findRefunds(req, res, next) {
+    try {
+      const refunds = await refundService.findByPurchase(req.params.id);
+      res.status(200).json(refunds);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async createRefund(req, res, next) {
+    try {
+      const refund = await refundService.create(req.params.id, req.body, {
+        userId: req.user?.id,
+      });
+      res.status(201).json(refund);
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async getEmployeeSummary(req, res, next) {
     try {
       const { employeeId } = req.params;
@@ -254,7 +341,7 @@ const purchaseController = {
 
       const summary = await purchaseService.getEmployeePurchaseSummary(
         employeeId,
-        { from, to },
+        { from, to, locationIds: req.locationIds },
       );
 
       res.status(200).json(summary);
@@ -266,18 +353,52 @@ const purchaseController = {
   /**
    * Get aggregated spending summaries for ALL employees
    * Optimized endpoint using SQL GROUP BY
+   * ?groupBy=department or costCenter sums them per unit instead
    */
   async getAllSummaries(req, res, next) {
     try {
-      const { from, to } = req.query;
+      const { from, to, groupBy = 'employee' } = req.query;
+      const filters = { from, to, locationIds: req.locationIds };
 
-      const summaries = await purchaseService.getAllEmployeeSummaries({ from, to });
+      const summaries = groupBy === 'employee'
+        ? await purchaseService.getAllEmployeeSummaries(filters)
+        : await organizationService.getSummaries(filters, groupBy);
 
       res.status(200).json(summaries);
     } catch (error) {
       next(error);
     }
   },
+
+  /**
+   * VAT by rate of the purchases in a range, net of the refunds issued in it
+   */
+  async getTaxSummary(req, res, next) {
+    try {
+      const { from, to } = req.query;
+
+      const summary = await taxService.getSummary({ from, to, locationIds: req.locationIds });
+
+      res.status(200).json({ from: from || null, to: to || null, ...summary });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List purchases whose stored total differs from their items
+   */
+  async getTotalMismatches(req, res, next) {
+    try {
+      const { from, to } = req.query;
+
+      const mismatches = await purchaseService.findTotalMismatches({ from, to });
+
+      res.status(200).json(mismatches);
+    } catch (error) {
+      next(error);
+    }
+  },
 };
 
 /**
@@ -286,9 +407,11 @@ const purchaseController = {
  *   post:
  *     tags: [Purchases]
  *     summary: Create a new purchase
- *     description: Creates a new purchase with optional items. Non-admin/manager users will have their userId auto-assigned.
+ *     description: Creates a new purchase with optional items. Non-admin/manager users will have their userId auto-assigned. The total is calculated from the items minus the discounts of the promotions in effect at the purchase date; sending a total is rejected. Items are priced at the location of the purchase; without a locationId, a user assigned to exactly one location (a terminal) sells there. Items conflicting with the employee's dietary profile are listed in dietaryWarnings, or rejected under the employee's block policy. Send an Idempotency-Key to make retries safe.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -323,26 +446,225 @@ const purchaseController = {
  *             schema:
  *               $ref: '#/components/schemas/Purchase'
  *       400:
- *         description: Validation error
+ *         description: Validation error, unknown location, or no locationId from a user assigned to several locations
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The location is not one of the manager's
+ *       409:
+ *         description: A tracked product is out of stock (OUT_OF_STOCK), a product is not available at the purchase date or location (PRODUCT_NOT_AVAILABLE), or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Monthly allowance exceeded, item conflicting with the employee's dietary profile (block policy), or Idempotency-Key reused with a different body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AllowanceExceededError'
+ *                 - $ref: '#/components/schemas/DietaryConflictError'
+ *                 - $ref: '#/components/schemas/IdempotencyKeyMismatchError'
+ *       423:
+ *         description: The purchase date is in a closed payroll period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
  */
 router.post(
   '/',
   authenticate,
   validateBody(purchaseSchemas.create),
-  invalidateCache(['purchases:*', 'purchase:*']),
+  idempotent(),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
   auditCreate('purchase'),
   purchaseController.create,
 );
 
+/**
+ * @swagger
+ * /purchases/preview:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Preview the price of a basket
+ *     description: |
+ *       Prices a basket at the current product prices with the promotions in
+ *       effect at the date (default: now), including the employee's
+ *       per-employee limits. Nothing is saved and stock, availability and
+ *       the allowance are not checked. dietaryWarnings lists the items that
+ *       conflict with the employee's dietary profile; blocking ones would
+ *       be rejected on save.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchasePreviewRequest'
+ *           example:
+ *             employeeId: 1
+ *             date: '2026-10-19T14:30:00+02:00'
+ *             items:
+ *               - productId: 1
+ *                 quantity: 1
+ *               - productId: 3
+ *                 quantity: 1
+ *     responses:
+ *       200:
+ *         description: Priced basket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchasePreview'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Employee or product not found
+ */
+router.post(
+  '/preview',
+  authenticate,
+  validateBody(purchaseSchemas.preview),
+  purchaseController.preview,
+);
+
 /**
  * @swagger
  * /purchases/summaries:
  *   get:
  *     tags: [Purchases]
  *     summary: Get aggregated spending summaries for all employees
- *     description: Returns total spending per employee for a date range using optimized SQL aggregation
+ *     description: |
+ *       Returns total spending per employee for a date range using optimized
+ *       SQL aggregation. groupBy=department or groupBy=costCenter returns it
+ *       per department or cost center instead: each purchase and refund
+ *       counts for the unit its employee was assigned to on its date, so
+ *       moves do not rewrite past months. Spending while unassigned is in
+ *       a row with a null ID. Managers assigned to locations only get the
+ *       spending at those.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         description: Start date filter (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         description: End date filter (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: groupBy
+ *         in: query
+ *         description: What to sum the spending per
+ *         schema:
+ *           type: string
+ *           enum: [employee, department, costCenter]
+ *           default: employee
+ *       - name: location
+ *         in: query
+ *         description: Only purchases made at this location, and refunds of those
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Array of employee, department or cost center spending summaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/EmployeeSpendingSummary'
+ *                   - $ref: '#/components/schemas/UnitSpendingSummary'
+ *       400:
+ *         description: Invalid groupBy or location
+ *       403:
+ *         description: The location is not one of the manager's
+ */
+router.get(
+  '/summaries',
+  authenticate,
+  authorize('admin', 'manager'),
+  filterByLocation(),
+  cache('purchase-summaries', cacheTTL.purchases.list, { userSpecific: true }),
+  purchaseController.getAllSummaries,
+);
+
+/**
+ * @swagger
+ * /purchases/tax-summary:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: Get the VAT of a date range by rate
+ *     description: |
+ *       Returns the net, VAT and gross per VAT rate of the purchases dated
+ *       in the range, minus the refunds issued in it; voided purchases are
+ *       left out. Discounts are spread over the rates in proportion to
+ *       their gross, and VAT is rounded per rate under the currency's
+ *       rule. Items sold without a rate are in a row with a null rate and
+ *       null net and VAT. Managers assigned to locations only get the
+ *       sales at those.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         description: Start date filter (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         description: End date filter (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: location
+ *         in: query
+ *         description: Only purchases made at this location, and refunds of those
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: VAT by rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       nullable: true
+ *                     to:
+ *                       type: string
+ *                       nullable: true
+ *                 - $ref: '#/components/schemas/TaxBreakdown'
+ *       400:
+ *         description: Invalid location
+ *       403:
+ *         description: The location is not one of the manager's
+ */
+router.get(
+  '/tax-summary',
+  authenticate,
+  authorize('admin', 'manager'),
+  filterByLocation(),
+  purchaseController.getTaxSummary,
+);
+
+/**
+ * @swagger
+ * /purchases/consistency:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: Find purchases whose total disagrees with their items
+ *     description: Lists purchases whose stored total differs from the sum of their item snapshots (admin only). Use POST /purchases/{id}/recalculate to fix one.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -360,7 +682,7 @@ router.post(
  *           format: date
  *     responses:
  *       200:
- *         description: Array of employee spending summaries
+ *         description: Array of inconsistent purchases
  *         content:
  *           application/json:
  *             schema:
@@ -368,19 +690,30 @@ router.post(
  *               items:
  *                 type: object
  *                 properties:
+ *                   id:
+ *                     type: integer
  *                   employeeId:
  *                     type: integer
- *                   totalSpending:
+ *                   date:
+ *                     type: string
+ *                     format: date-time
+ *                   storedTotal:
  *                     type: number
- *                   purchaseCount:
- *                     type: integer
+ *                   itemsTotal:
+ *                     type: number
+ *                     description: Sum of the items minus the discount lines
+ *                   difference:
+ *                     type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
  */
 router.get(
-  '/summaries',
+  '/consistency',
   authenticate,
-  authorize('admin', 'manager'),
-  cache('purchase-summaries', cacheTTL.purchases.list, { userSpecific: false }),
-  purchaseController.getAllSummaries,
+  authorize('admin'),
+  purchaseController.getTotalMismatches,
 );
 
 /**
@@ -410,14 +743,22 @@ router.get(
  *         schema:
  *           type: string
  *           format: date
+ *       - name: location
+ *         in: query
+ *         description: Only purchases made at this location, and refunds of those
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: Employee purchase summary
+ *       403:
+ *         description: The location is not one of the manager's
  */
 router.get(
   '/employee/:employeeId/summary',
   authenticate,
   authorize('admin', 'manager'),
+  filterByLocation(),
   purchaseController.getEmployeeSummary,
 );
 
@@ -427,7 +768,7 @@ router.get(
  *   get:
  *     tags: [Purchases]
  *     summary: Get all purchases
- *     description: Returns a paginated list of purchases with employee data (filtered by ownership for non-admin users)
+ *     description: Returns a paginated list of purchases with employee data (filtered by ownership for non-admin users, and to their locations for managers assigned to some)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -456,11 +797,12 @@ router.get(
  *         description: Filter by employee ID
  *         schema:
  *           type: integer
- *       - name: closed
+ *       - name: status
  *         in: query
- *         description: Filter by closed status
+ *         description: "Filter by status, comma separated (e.g., open,closed)"
  *         schema:
- *           type: boolean
+ *           type: string
+ *           example: open,closed
  *       - name: dateFrom
  *         in: query
  *         description: Filter by date (from)
@@ -483,6 +825,21 @@ router.get(
  *         description: Filter by maximum total amount
  *         schema:
  *           type: number
+ *       - name: department
+ *         in: query
+ *         description: Only purchases made while the employee was in this department or one of its subdepartments
+ *         schema:
+ *           type: integer
+ *       - name: costCenter
+ *         in: query
+ *         description: Only purchases made while the employee was charged to this cost center or one of its sub-cost centers
+ *         schema:
+ *           type: integer
+ *       - name: location
+ *         in: query
+ *         description: Only purchases made at this location. Managers assigned to locations only get the purchases of those
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: List of purchases with employee data
@@ -497,6 +854,7 @@ router.get(
   '/',
   authenticate,
   filterByOwnership('purchase'),
+  filterByLocation(),
   paginate(20, 100),
   cache('purchases', cacheTTL.purchases.list, { userSpecific: true }),
   purchaseController.findAll,
@@ -522,10 +880,15 @@ router.get(
  *     responses:
  *       200:
  *         description: Purchase with employee and items
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - not owner of this purchase
+ *         description: Forbidden - not owner of this purchase, or made at a location that is not one of the manager's
  *       404:
  *         description: Purchase not found
  */
@@ -534,6 +897,7 @@ router.get(
   authenticate,
   validateParams(idParamSchema),
   checkOwnership('purchase'),
+  etag(),
   cache('purchase', cacheTTL.purchases.single, { userSpecific: true }),
   purchaseController.findOne,
 );
@@ -544,7 +908,7 @@ router.get(
  *   post:
  *     tags: [Purchases]
  *     summary: Add items to a purchase
- *     description: Adds items to an existing open purchase
+ *     description: Adds items to an existing open purchase. The items are checked against the employee's monthly allowance; under the soft policy the response carries an allowanceWarning instead of failing. Items conflicting with the employee's dietary profile are listed in dietaryWarnings, or rejected under the employee's block policy. Send an Idempotency-Key to make retries safe.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -553,6 +917,7 @@ router.get(
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -575,15 +940,34 @@ router.get(
  *       200:
  *         description: Items added successfully
  *       400:
- *         description: Cannot add to closed purchase
+ *         description: Validation error, or cannot add to a closed purchase
  *       404:
  *         description: Purchase not found
+ *       409:
+ *         description: A tracked product is out of stock (OUT_OF_STOCK), a product is not available at the purchase date (PRODUCT_NOT_AVAILABLE), or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Monthly allowance exceeded (hard and overdraft policies), item conflicting with the employee's dietary profile (block policy), or Idempotency-Key reused with a different body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AllowanceExceededError'
+ *                 - $ref: '#/components/schemas/DietaryConflictError'
+ *                 - $ref: '#/components/schemas/IdempotencyKeyMismatchError'
+ *       423:
+ *         description: The purchase is in a closed payroll period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
  */
 router.post(
   '/:id/items',
   authenticate,
   validateParams(idParamSchema),
   checkOwnership('purchase'),
+  validateBody(purchaseSchemas.addItems),
+  idempotent(),
   invalidateCache(['purchases:*', 'purchase:*']),
   purchaseController.addItems,
 );
@@ -594,7 +978,7 @@ router.post(
  *   post:
  *     tags: [Purchases]
  *     summary: Recalculate purchase total
- *     description: Recalculates the total based on item quantities and product prices
+ *     description: Recalculates the total based on item quantities and product prices. Draft and open purchases are also split again under the employee's current subsidy policy; settled ones keep their split.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -608,6 +992,12 @@ router.post(
  *         description: Total recalculated
  *       404:
  *         description: Purchase not found
+ *       423:
+ *         description: The purchase is in a closed payroll period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
  */
 router.post(
   '/:id/recalculate',
@@ -618,13 +1008,49 @@ router.post(
   purchaseController.recalculateTotal,
 );
 
+/**
+ * @swagger
+ * /purchases/{id}/open:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Open a draft purchase
+ *     description: Moves a draft purchase to open
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase opened
+ *       404:
+ *         description: Purchase not found
+ *       409:
+ *         description: Purchase is not a draft
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvalidStatusTransitionError'
+ */
+router.post(
+  '/:id/open',
+  authenticate,
+  validateParams(idParamSchema),
+  checkOwnership('purchase'),
+  invalidateCache(['purchases:*', 'purchase:*']),
+  purchaseController.openPurchase,
+);
+
 /**
  * @swagger
  * /purchases/{id}/close:
  *   post:
  *     tags: [Purchases]
  *     summary: Close a purchase
- *     description: Marks a purchase as closed/finalized
+ *     description: Marks a draft or open purchase as closed/finalized after checking the employee's month-to-date spend against their allowance. Deducts the stock of tracked products.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -636,20 +1062,223 @@ router.post(
  *     responses:
  *       200:
  *         description: Purchase closed
- *       400:
- *         description: Purchase already closed
+ *       409:
+ *         description: Purchase cannot be closed from its current status, or a tracked product is out of stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/InvalidStatusTransitionError'
+ *                 - $ref: '#/components/schemas/OutOfStockError'
  *       404:
  *         description: Purchase not found
+ *       422:
+ *         description: Employee is over the monthly allowance (hard and overdraft policies)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AllowanceExceededError'
  */
 router.post(
   '/:id/close',
   authenticate,
   validateParams(idParamSchema),
   checkOwnership('purchase'),
-  invalidateCache(['purchases:*', 'purchase:*']),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
   purchaseController.closePurchase,
 );
 
+/**
+ * @swagger
+ * /purchases/{id}/void:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Void a purchase
+ *     description: Cancels a draft, open or closed purchase (admin/manager only). A closed purchase with refunds cannot be voided. A voided purchase stays on record but no longer counts towards spending or the allowance, and cannot change again. Stock deducted when it was closed is returned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseStatusChange'
+ *     responses:
+ *       200:
+ *         description: Purchase voided
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Forbidden - requires admin or manager role, or a location that is not one of the manager's
+ *       404:
+ *         description: Purchase not found
+ *       409:
+ *         description: Purchase cannot be voided from its current status, or has refunds (PURCHASE_HAS_REFUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvalidStatusTransitionError'
+ */
+router.post(
+  '/:id/void',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  checkOwnership('purchase'),
+  validateBody(purchaseSchemas.statusChange),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
+  auditUpdate('purchase', getPurchase),
+  purchaseController.voidPurchase,
+);
+
+/**
+ * @swagger
+ * /purchases/{id}/reopen:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Reopen a closed purchase
+ *     description: Moves a closed purchase without refunds back to open so its items can be changed (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseStatusChange'
+ *     responses:
+ *       200:
+ *         description: Purchase reopened
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Forbidden - requires admin or manager role, or a location that is not one of the manager's
+ *       404:
+ *         description: Purchase not found
+ *       409:
+ *         description: Purchase is not closed, or has refunds (PURCHASE_HAS_REFUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvalidStatusTransitionError'
+ */
+router.post(
+  '/:id/reopen',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  checkOwnership('purchase'),
+  validateBody(purchaseSchemas.statusChange),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
+  auditUpdate('purchase', getPurchase),
+  purchaseController.reopenPurchase,
+);
+
+/**
+ * @swagger
+ * /purchases/{id}/refunds:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: List refunds of a purchase
+ *     description: Returns the refunds issued against a purchase with their items, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refunds of the purchase
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Refund'
+ *       403:
+ *         description: Forbidden - not owner of this purchase
+ *       404:
+ *         description: Purchase not found
+ */
+router.get(
+  '/:id/refunds',
+  authenticate,
+  validateParams(idParamSchema),
+  checkOwnership('purchase'),
+  purchaseController.findRefunds,
+);
+
+/**
+ * @swagger
+ * /purchases/{id}/refunds:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Refund items of a closed purchase
+ *     description: |
+ *       Refunds quantities of specific purchase items at their snapshot price (admin/manager only).
+ *       The refund is stored as its own record and credited against the employee's spending in the
+ *       month it is issued. Once every item is fully refunded the purchase status becomes refunded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefundCreate'
+ *     responses:
+ *       201:
+ *         description: Refund created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Validation error, unknown purchase item or quantity above what is left to refund
+ *       403:
+ *         description: Forbidden - requires admin or manager role, or a location that is not one of the manager's
+ *       404:
+ *         description: Purchase not found
+ *       409:
+ *         description: Purchase is not closed, or has refunds (PURCHASE_HAS_REFUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvalidStatusTransitionError'
+ */
+router.post(
+  '/:id/refunds',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  checkOwnership('purchase'),
+  validateBody(purchaseSchemas.refund),
+  invalidateCache(['purchases:*', 'purchase:*', 'products:*', 'product:*']),
+  auditCreate('refund'),
+  purchaseController.createRefund,
+);
+
 /**
  * @swagger
  * /purchases/{id}:
@@ -665,6 +1294,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -680,12 +1310,37 @@ router.post(
  *     responses:
  *       200:
  *         description: Purchase updated
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *       400:
  *         description: Validation error
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Purchase not found
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
+ *       409:
+ *         description: A product is not available at the purchase date, a tracked product is out of stock, or the items of a purchase with refunds are replaced (PURCHASE_HAS_REFUNDS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ProductNotAvailableError'
+ *                 - $ref: '#/components/schemas/OutOfStockError'
+ *       423:
+ *         description: The purchase (or its new date) is in a closed payroll period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
  */
 router.put(
   '/:id',
@@ -693,6 +1348,8 @@ router.put(
   validateParams(idParamSchema),
   checkOwnership('purchase'),
   validateBody(purchaseSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['purchases:*', 'purchase:*']),
   auditUpdate('purchase', getPurchase),
   purchaseController.update,
@@ -713,6 +1370,7 @@ router.put(
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -722,12 +1380,23 @@ router.put(
  *     responses:
  *       200:
  *         description: Purchase updated
+ *         headers:
+ *           ETag:
+ *             description: Current version of the record, send it back as If-Match
+ *             schema:
+ *               type: string
  *       400:
  *         description: Validation error
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Purchase not found
+ *       412:
+ *         description: Record was changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailedError'
  */
 router.patch(
   '/:id',
@@ -735,6 +1404,8 @@ router.patch(
   validateParams(idParamSchema),
   checkOwnership('purchase'),
   validateBody(purchaseSchemas.update),
+  ifMatch(),
+  etag(),
   invalidateCache(['purchases:*', 'purchase:*']),
   auditUpdate('purchase', getPurchase),
   purchaseController.update,
@@ -762,12 +1433,21 @@ router.patch(
  *         description: Forbidden
  *       404:
  *         description: Purchase not found
+ *       409:
+ *         description: The purchase has refunds (PURCHASE_HAS_REFUNDS)
+ *       423:
+ *         description: The purchase is in a closed payroll period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PeriodClosedError'
  */
 router.delete(
   '/:id',
   authenticate,
   authorize('admin', 'manager'),
   validateParams(idParamSchema),
+  checkOwnership('purchase'),
   invalidateCache(['purchases:*', 'purchase:*']),
   auditDelete('purchase', getPurchase),
   purchaseController.delete,
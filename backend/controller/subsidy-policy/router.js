@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const subsidyService = require('../../services/subsidy.service');
+const { subsidyPolicies } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { subsidyPolicySchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+
+/**
+ * Subsidy Policy API
+ *
+ * How much of a meal the employer pays for a group of employees. Employees
+ * are assigned a policy with subsidyPolicyId on the employee routes. Like
+ * the payroll periods, admins and managers can read them; only admins
+ * change them. Changes only affect purchases priced afterwards.
+ */
+
+// Getter for fetching the policy before updates/deletes (for audit logging)
+const getSubsidyPolicy = createModelGetter(subsidyPolicies);
+
+const subsidyPolicyController = {
+  async findAll(req, res, next) {
+    try {
+      const policies = await subsidyService.findAll();
+      res.status(200).json(policies);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const policy = await subsidyService.findById(req.params.id);
+      res.status(200).json(policy);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const policy = await subsidyService.create(req.body);
+      res.status(201).json(policy);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const policy = await subsidyService.update(req.params.id, req.body);
+      res.status(200).json(policy);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await subsidyService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /subsidy-policies:
+ *   get:
+ *     tags: [Subsidy Policies]
+ *     summary: Get all subsidy policies
+ *     description: Returns all policies by name with the number of employees on each (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of subsidy policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/SubsidyPolicy'
+ *                   - type: object
+ *                     properties:
+ *                       employeeCount:
+ *                         type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  subsidyPolicyController.findAll,
+);
+
+/**
+ * @swagger
+ * /subsidy-policies:
+ *   post:
+ *     tags: [Subsidy Policies]
+ *     summary: Create a subsidy policy
+ *     description: Creates a subsidy policy (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubsidyPolicy'
+ *           example:
+ *             name: Full-time staff
+ *             percentage: 50
+ *             dailyCap: 1500
+ *     responses:
+ *       201:
+ *         description: Subsidy policy created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubsidyPolicy'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: Policy name already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  validateBody(subsidyPolicySchemas.create),
+  auditCreate('subsidy-policy'),
+  subsidyPolicyController.create,
+);
+
+/**
+ * @swagger
+ * /subsidy-policies/{id}:
+ *   get:
+ *     tags: [Subsidy Policies]
+ *     summary: Get subsidy policy by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subsidy policy ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Subsidy policy found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubsidyPolicy'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Subsidy policy not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  subsidyPolicyController.findOne,
+);
+
+/**
+ * @swagger
+ * /subsidy-policies/{id}:
+ *   put:
+ *     tags: [Subsidy Policies]
+ *     summary: Update a subsidy policy
+ *     description: |
+ *       Updates the given fields (admin only). Existing purchases keep their
+ *       company and employee shares.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subsidy policy ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubsidyPolicy'
+ *     responses:
+ *       200:
+ *         description: Subsidy policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubsidyPolicy'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Subsidy policy not found
+ *       409:
+ *         description: Policy name already exists
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(subsidyPolicySchemas.update),
+  auditUpdate('subsidy-policy', getSubsidyPolicy),
+  subsidyPolicyController.update,
+);
+
+/**
+ * @swagger
+ * /subsidy-policies/{id}:
+ *   delete:
+ *     tags: [Subsidy Policies]
+ *     summary: Delete a subsidy policy
+ *     description: |
+ *       Deletes a policy (admin only). Its employees pay in full from then
+ *       on; existing purchases keep their shares.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subsidy policy ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Subsidy policy deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Subsidy policy not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  auditDelete('subsidy-policy', getSubsidyPolicy),
+  subsidyPolicyController.delete,
+);
+
+module.exports = router;
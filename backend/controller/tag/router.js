@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const tagService = require('../../services/tag.service');
+const { tags } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { tagSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+const { invalidateCache } = require('../../middleware/cache');
+
+/**
+ * Tag API
+ *
+ * Free-form product tags. Products are tagged by name on product create
+ * and update; these routes list, rename and remove tags. Products embed
+ * their tags, so changes clear the product cache.
+ */
+
+// Getter for fetching tag before update/delete (for audit logging)
+const getTag = createModelGetter(tags);
+
+const tagController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await tagService.findAll();
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const tag = await tagService.findById(req.params.id);
+      res.status(200).json(tag);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const tag = await tagService.create(req.body);
+      res.status(201).json(tag);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const tag = await tagService.update(req.params.id, req.body);
+      res.status(200).json(tag);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await tagService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /tags:
+ *   get:
+ *     tags: [Tags]
+ *     summary: Get all tags
+ *     description: Returns all tags by name with the number of products carrying each
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Tag'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ */
+router.get('/', authenticate, tagController.findAll);
+
+/**
+ * @swagger
+ * /tags:
+ *   post:
+ *     tags: [Tags]
+ *     summary: Create a tag
+ *     description: Creates a tag; the name is stored lowercase (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *           example:
+ *             name: "vegan"
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       409:
+ *         description: Tag already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateBody(tagSchemas.create),
+  auditCreate('tag'),
+  tagController.create,
+);
+
+/**
+ * @swagger
+ * /tags/{id}:
+ *   get:
+ *     tags: [Tags]
+ *     summary: Get tag by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tag ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Tag found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(idParamSchema),
+  tagController.findOne,
+);
+
+/**
+ * @swagger
+ * /tags/{id}:
+ *   put:
+ *     tags: [Tags]
+ *     summary: Rename a tag
+ *     description: Renames a tag on all products carrying it (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tag ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: Tag renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag already has this name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  validateBody(tagSchemas.update),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('tag', getTag),
+  tagController.update,
+);
+
+/**
+ * @swagger
+ * /tags/{id}:
+ *   delete:
+ *     tags: [Tags]
+ *     summary: Delete a tag
+ *     description: Deletes a tag and removes it from all products (admin/manager only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tag ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       403:
+ *         description: Forbidden - requires admin or manager role
+ *       404:
+ *         description: Tag not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin', 'manager'),
+  validateParams(idParamSchema),
+  invalidateCache(['products:*', 'product:*']),
+  auditDelete('tag', getTag),
+  tagController.delete,
+);
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const taxRateService = require('../../services/taxRate.service');
+const { taxRates } = require('../../model');
+const { validateBody, validateParams } = require('../../middleware/validation');
+const { taxRateSchemas, idParamSchema } = require('../../middleware/validation/schemas');
+const { authenticate, authorize } = require('../../middleware/auth');
+const {
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+  createModelGetter,
+} = require('../../middleware/audit');
+const { invalidateCache } = require('../../middleware/cache');
+
+/**
+ * Tax Rate API
+ *
+ * VAT rates products are sold at. A changed percent applies to items
+ * added from then on; sold items keep theirs. Products embed their rate,
+ * so changes clear the product cache.
+ */
+
+// Getter for fetching tax rate before update/delete (for audit logging)
+const getTaxRate = createModelGetter(taxRates);
+
+const taxRateController = {
+  async findAll(req, res, next) {
+    try {
+      const result = await taxRateService.findAll();
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async findOne(req, res, next) {
+    try {
+      const taxRate = await taxRateService.findById(req.params.id);
+      res.status(200).json(taxRate);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const taxRate = await taxRateService.create(req.body);
+      res.status(201).json(taxRate);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const taxRate = await taxRateService.update(req.params.id, req.body);
+      res.status(200).json(taxRate);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      await taxRateService.delete(req.params.id);
+      res.status(200).json({ deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+/**
+ * @swagger
+ * /tax-rates:
+ *   get:
+ *     tags: [Tax Rates]
+ *     summary: Get all tax rates
+ *     description: Returns all VAT rates, lowest first, with the number of products sold at each
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of tax rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRate'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ */
+router.get('/', authenticate, taxRateController.findAll);
+
+/**
+ * @swagger
+ * /tax-rates:
+ *   post:
+ *     tags: [Tax Rates]
+ *     summary: Create a tax rate
+ *     description: Creates a VAT rate (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRateCreate'
+ *           example:
+ *             name: "Standard"
+ *             rate: 27
+ *     responses:
+ *       201:
+ *         description: Tax rate created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       409:
+ *         description: Tax rate name already exists
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  validateBody(taxRateSchemas.create),
+  auditCreate('tax-rate'),
+  taxRateController.create,
+);
+
+/**
+ * @swagger
+ * /tax-rates/{id}:
+ *   get:
+ *     tags: [Tax Rates]
+ *     summary: Get tax rate by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tax rate ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Tax rate found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tax rate not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(idParamSchema),
+  taxRateController.findOne,
+);
+
+/**
+ * @swagger
+ * /tax-rates/{id}:
+ *   put:
+ *     tags: [Tax Rates]
+ *     summary: Update a tax rate
+ *     description: |
+ *       Renames a VAT rate or changes its percent (admin only). A new
+ *       percent applies to items added from now on; sold items keep theirs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tax rate ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRateUpdate'
+ *     responses:
+ *       200:
+ *         description: Tax rate updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Tax rate not found
+ *       409:
+ *         description: Another tax rate already has this name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  validateBody(taxRateSchemas.update),
+  invalidateCache(['products:*', 'product:*']),
+  auditUpdate('tax-rate', getTaxRate),
+  taxRateController.update,
+);
+
+/**
+ * @swagger
+ * /tax-rates/{id}:
+ *   delete:
+ *     tags: [Tax Rates]
+ *     summary: Delete a tax rate
+ *     description: Deletes a VAT rate no product is sold at, archived ones included (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Tax rate ID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: boolean
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Tax rate not found
+ *       409:
+ *         description: TAX_RATE_IN_USE - products are sold at the rate
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(idParamSchema),
+  auditDelete('tax-rate', getTaxRate),
+  taxRateController.delete,
+);
+
+module.exports = router;
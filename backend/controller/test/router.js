@@ -58,7 +58,7 @@ if (process.env.NODE_ENV === 'production') {
    * Body: {
    *   products: Array<{ name: string, price: number }>,
    *   employees: Array<{ name: string, employee_number: string, monthlyConsumptionValue: number }>,
-   *   purchases: Array<{ date: string, employeeId: number, closed: boolean }>
+   *   purchases: Array<{ date: string, employeeId: number, status: string }>
    * }
    */
   router.post('/seed', async (req, res, next) => {
@@ -3,6 +3,8 @@ const logger = require('./logger/logger');
 const db = require('./model');
 const { getClient, disconnect: disconnectRedis } = require('./utils/redis');
 const { gracefulShutdown, commonHandlers } = require('./utils/graceful-shutdown');
+const priceChangeService = require('./services/priceChange.service');
+const priceChangeConfig = require('./config/priceChanges');
 
 const port = process.env.PORT || 3000;
 
@@ -33,6 +35,11 @@ const startServer = async () => {
   commonHandlers.closeServer(server);
   commonHandlers.closeDatabase(db.sequelize);
 
+  // Apply scheduled price changes when they are due
+  if (priceChangeConfig.worker.enabled) {
+    commonHandlers.cancelJobs([priceChangeService.startWorker()]);
+  }
+
   // Register Redis shutdown
   gracefulShutdown.register('redis', async () => {
     logger.info('Closing Redis connection...');
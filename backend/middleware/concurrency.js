@@ -0,0 +1,47 @@
+const { formatETag, parseIfMatch } = require('../utils/concurrency');
+
+/**
+ * Concurrency Middleware
+ *
+ * Optimistic locking over HTTP for versioned resources
+ * (products, employees, purchases).
+ *
+ * - etag(): sets ETag from the response body's version. Register it before
+ *   cache() so cached responses get the header too. Express answers a
+ *   matching If-None-Match with 304.
+ * - ifMatch(): parses If-Match into req.ifMatch for the service, which
+ *   rejects a stale version with 412 PRECONDITION_FAILED. Without the
+ *   header the update is applied as before (last write wins).
+ *
+ * Usage:
+ *   router.get('/:id', etag(), cache(...), controller.findOne);
+ *   router.put('/:id', ifMatch(), etag(), controller.update);
+ */
+
+const etag = () => {
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode >= 200 && res.statusCode < 300 && Number.isInteger(body?.version)) {
+        res.setHeader('ETag', formatETag(body.version));
+      }
+
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+const ifMatch = () => {
+  return (req, res, next) => {
+    req.ifMatch = parseIfMatch(req.get('If-Match'));
+    next();
+  };
+};
+
+module.exports = {
+  etag,
+  ifMatch,
+};
@@ -0,0 +1,121 @@
+const createError = require('http-errors');
+const idempotencyService = require('../services/idempotency.service');
+const idempotencyConfig = require('../config/idempotency');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency Middleware
+ *
+ * Makes a POST safe to retry when the client sends an Idempotency-Key header.
+ * Requests without the header are not affected.
+ *
+ * - First request: the key is reserved, the request runs and its response
+ *   is stored (5xx responses release the key so it can be retried, as do
+ *   responses not sent with res.json and requests that end without one)
+ * - Retry with the same body: the stored response is returned with
+ *   Idempotent-Replayed: true, the handler does not run again
+ * - Same key with a different body or endpoint: 422 IDEMPOTENCY_KEY_MISMATCH
+ * - Retry while the first request is still running: 409 IDEMPOTENCY_KEY_IN_USE
+ *
+ * Must run after authenticate (keys are scoped per user) and after
+ * validateBody (the fingerprint uses the validated body).
+ *
+ * Usage:
+ *   router.post('/', authenticate, validateBody(schema), idempotent(), controller.create);
+ */
+const idempotent = () => {
+  return async (req, res, next) => {
+    const key = req.get(idempotencyConfig.header);
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > idempotencyConfig.maxKeyLength) {
+      return next(
+        createError(
+          400,
+          `${idempotencyConfig.header} must be 1 to ${idempotencyConfig.maxKeyLength} characters`,
+        ),
+      );
+    }
+
+    if (!req.user) {
+      return next(createError(401, 'Authentication required'));
+    }
+
+    try {
+      const fingerprint = idempotencyService.fingerprint(req);
+      const { reservation, existing } = await idempotencyService.reserve(req.user.id, key, fingerprint);
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          const error = createError(
+            422,
+            `${idempotencyConfig.header} was already used for a different request`,
+          );
+          error.code = 'IDEMPOTENCY_KEY_MISMATCH';
+          return next(error);
+        }
+
+        if (existing.statusCode === null || existing.statusCode === undefined) {
+          const error = createError(
+            409,
+            `A request with this ${idempotencyConfig.header} is still being processed`,
+          );
+          error.code = 'IDEMPOTENCY_KEY_IN_USE';
+          return next(error);
+        }
+
+        res.setHeader(idempotencyConfig.replayHeader, 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      // Store or release the reservation exactly once, logging failures
+      let settled = false;
+      const settle = async store => {
+        settled = true;
+
+        try {
+          await store();
+        } catch (error) {
+          logger.error('Idempotency store failed', {
+            error: error.message,
+            key,
+            userId: req.user.id,
+          });
+        }
+      };
+
+      // Store the response before sending it, so a quick retry finds it
+      const originalJson = res.json.bind(res);
+
+      res.json = body => {
+        settle(() => (res.statusCode >= 500
+          ? idempotencyService.release(reservation)
+          : idempotencyService.complete(reservation, res.statusCode, body)))
+          .then(() => originalJson(body))
+          .catch(next);
+
+        return res;
+      };
+
+      // Nothing stored (res.send, crash, client gone): free the key for a retry
+      const releaseUnsettled = () => {
+        if (!settled) {
+          settle(() => idempotencyService.release(reservation));
+        }
+      };
+      res.on('finish', releaseUnsettled);
+      res.on('close', releaseUnsettled);
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotent,
+};
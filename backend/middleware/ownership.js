@@ -1,5 +1,19 @@
 const createError = require('http-errors');
+const { Op } = require('sequelize');
 const db = require('../model');
+const locationService = require('../services/location.service');
+const { parseLocationFilter } = require('../utils/queryHelpers');
+
+/**
+ * ID of the employee record linked to a user, or null
+ */
+const getLinkedEmployeeId = async userId => {
+  const employee = await db.employees.findOne({
+    where: { userId },
+    attributes: ['id'],
+  });
+  return employee ? employee.id : null;
+};
 
 const checkOwnership = resourceType => {
   return async (req, res, next) => {
@@ -8,12 +22,24 @@ const checkOwnership = resourceType => {
         return next(createError(401, 'Authentication required'));
       }
 
-      if (['admin', 'manager'].includes(req.user.role)) {
+      if (req.user.role === 'admin') {
         return next();
       }
 
       const resourceId = req.params.id;
 
+      // Managers see every purchase of the locations they are assigned to
+      if (req.user.role === 'manager') {
+        if (resourceType === 'purchase') {
+          const purchase = await db.purchases.findByPk(resourceId, { attributes: ['id', 'locationId'] });
+          if (!purchase) {
+            return next(createError(404, 'Purchase not found'));
+          }
+          await locationService.assertInScope(req.user, purchase.locationId);
+        }
+        return next();
+      }
+
       switch (resourceType) {
         case 'purchase': {
           const purchase = await db.purchases.findByPk(resourceId);
@@ -21,7 +47,13 @@ const checkOwnership = resourceType => {
             return next(createError(404, 'Purchase not found'));
           }
 
-          if (purchase.userId !== req.user.id) {
+          // Owned if created by the user or charged to their employee record
+          const linkedEmployeeId = await getLinkedEmployeeId(req.user.id);
+          const isOwner =
+            purchase.userId === req.user.id ||
+            (linkedEmployeeId !== null && purchase.employeeId === linkedEmployeeId);
+
+          if (!isOwner) {
             return next(
               createError(
                 403,
@@ -62,21 +94,92 @@ const checkOwnership = resourceType => {
   };
 };
 
-const filterByOwnership = resourceType => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(createError(401, 'Authentication required'));
+/**
+ * Keep managers assigned to locations to the items of those locations'
+ * purchases, like checkOwnership('purchase') does for the purchase. The
+ * purchase is the one of the item in req.params.id, or req.body.purchaseId
+ * for a new item. Unknown items and purchases are left to the route (404/400).
+ */
+const checkPurchaseItemScope = () => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+
+      if (req.user.role !== 'manager') {
+        return next();
+      }
+
+      let { purchaseId } = req.body || {};
+      if (req.params.id) {
+        const item = await db.purchaseItems.findByPk(req.params.id, { attributes: ['id', 'purchaseId'] });
+        purchaseId = item?.purchaseId;
+      }
+
+      const purchase = purchaseId && (await db.purchases.findByPk(purchaseId, { attributes: ['id', 'locationId'] }));
+      if (purchase) {
+        await locationService.assertInScope(req.user, purchase.locationId);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    if (['admin', 'manager'].includes(req.user.role)) {
-      return next();
+const filterByOwnership = resourceType => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+
+      if (['admin', 'manager'].includes(req.user.role)) {
+        return next();
+      }
+
+      const linkedEmployeeId =
+        resourceType === 'purchase' ? await getLinkedEmployeeId(req.user.id) : null;
+
+      // Own purchases plus those charged to the linked employee record
+      req.ownershipFilter = linkedEmployeeId
+        ? { [Op.or]: [{ userId: req.user.id }, { employeeId: linkedEmployeeId }] }
+        : { userId: req.user.id };
+
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    req.ownershipFilter = {
-      userId: req.user.id,
-    };
+/**
+ * Narrow a list to locations: ?location= and, for managers assigned to
+ * locations, theirs (403 for another one). Sets req.locationIds, left
+ * undefined when the list is not narrowed.
+ */
+const filterByLocation = () => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
 
-    next();
+      const locationId = parseLocationFilter(req.query);
+
+      if (locationId !== undefined) {
+        await locationService.assertInScope(req.user, locationId);
+        req.locationIds = [locationId];
+      } else {
+        req.locationIds = (await locationService.scopeOf(req.user)) || undefined;
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
@@ -96,6 +199,8 @@ const ensureOwnership = resourceType => {
 
 module.exports = {
   checkOwnership,
+  checkPurchaseItemScope,
   filterByOwnership,
+  filterByLocation,
   ensureOwnership,
 };
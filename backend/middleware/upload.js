@@ -0,0 +1,58 @@
+const multer = require('multer');
+const createError = require('http-errors');
+const imageConfig = require('../config/images');
+
+/**
+ * Upload Middleware
+ *
+ * Parses a multipart image upload into req.file, kept in memory for the
+ * service to process (see productImage.service.js).
+ *
+ * - 415 for a file type not in imageConfig.allowedTypes
+ * - 413 for a file over imageConfig.maxSize
+ * - 400 without a file in the imageConfig.field form field
+ *
+ * Usage:
+ *   router.post('/:id/image', uploadImage(), controller.uploadImage);
+ */
+
+const uploadImage = () => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: imageConfig.maxSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!imageConfig.allowedTypes.includes(file.mimetype)) {
+        callback(createError(
+          415,
+          `Unsupported image type ${file.mimetype}; allowed: ${imageConfig.allowedTypes.join(', ')}`,
+        ));
+        return;
+      }
+      callback(null, true);
+    },
+  }).single(imageConfig.field);
+
+  return (req, res, next) => {
+    upload(req, res, error => {
+      if (error instanceof multer.MulterError) {
+        next(error.code === 'LIMIT_FILE_SIZE'
+          ? createError(413, `Image is larger than ${imageConfig.maxSize} bytes`)
+          : createError(400, `Invalid upload: ${error.message}`));
+        return;
+      }
+      if (error) {
+        next(error);
+        return;
+      }
+      if (!req.file) {
+        next(createError(400, `An image file is required in the ${imageConfig.field} field`));
+        return;
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadImage,
+};
@@ -1,4 +1,11 @@
 const Joi = require('joi');
+const { STATUSES } = require('../../config/purchaseStatus');
+const stockMovementTypes = require('../../config/stockMovements');
+const availabilityConfig = require('../../config/availability');
+const priceChangeConfig = require('../../config/priceChanges');
+const promotionConfig = require('../../config/promotions');
+const dietaryConfig = require('../../config/dietary');
+const { isValidBarcode, normalizeBarcode } = require('../../utils/barcode');
 
 const passwordPattern = /^(?=.*[A-Z])(?=.*\d).{8,}$/;
 
@@ -28,6 +35,10 @@ const authSchemas = {
           'Password must contain at least one uppercase letter and one number',
         'any.required': 'Password is required',
       }),
+    // Optional - used to link the account to an employee record
+    employeeNumber: Joi.string().trim().min(1).max(50).messages({
+      'string.max': 'Employee number cannot exceed 50 characters',
+    }),
   }),
 
   login: Joi.object({
@@ -82,8 +93,90 @@ const patterns = {
   id: Joi.number().integer().positive(),
   price: Joi.number().precision(2).min(0).max(999999.99),
   name: Joi.string().trim().min(1).max(255),
+  email: Joi.string().trim().lowercase().email().max(255).allow(null).messages({
+    'string.email': 'Invalid email format',
+  }),
 };
 
+const subsidyPolicyId = patterns.id.allow(null).messages({
+  'number.base': 'Subsidy policy ID must be a number',
+});
+
+// Current department and cost center, null to clear
+const departmentId = patterns.id.allow(null).messages({
+  'number.base': 'Department ID must be a number',
+});
+
+const costCenterId = patterns.id.allow(null).messages({
+  'number.base': 'Cost center ID must be a number',
+});
+
+const locationId = patterns.id.allow(null).messages({
+  'number.base': 'Location ID must be a number',
+});
+
+// Calendar day, e.g. the first day of an assignment
+const day = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/).messages({
+  'string.pattern.base': 'Date must be a day in YYYY-MM-DD format',
+});
+
+// EU allergen codes; null when not declared, [] for none
+const allergens = Joi.array()
+  .items(Joi.string().trim().lowercase().valid(...dietaryConfig.ALLERGENS))
+  .unique()
+  .allow(null)
+  .messages({
+    'array.base': 'Allergens must be a list of allergen codes',
+    'any.only': `Allergens must be of: ${dietaryConfig.ALLERGENS.join(', ')}`,
+    'array.unique': 'Allergens cannot repeat',
+  });
+
+const dietaryLabels = Joi.array()
+  .items(Joi.string().trim().lowercase().valid(...dietaryConfig.ALL_LABELS))
+  .unique()
+  .messages({
+    'array.base': 'Dietary labels must be a list',
+    'any.only': `Dietary labels must be of: ${dietaryConfig.ALL_LABELS.join(', ')}`,
+    'array.unique': 'Dietary labels cannot repeat',
+  });
+
+// Per serving, null when unknown
+const calories = Joi.number().integer().min(0).max(99999).allow(null).messages({
+  'number.base': 'Calories must be a number',
+  'number.min': 'Calories cannot be negative',
+});
+
+const grams = label => Joi.number().precision(1).min(0).max(99999.9).allow(null).messages({
+  'number.base': `${label} must be a number`,
+  'number.min': `${label} cannot be negative`,
+});
+
+const nutrition = {
+  calories,
+  protein: grams('Protein'),
+  carbohydrates: grams('Carbohydrates'),
+  fat: grams('Fat'),
+};
+
+const dietaryConflictPolicy = Joi.string().valid(...dietaryConfig.ALL_CONFLICT_POLICIES).messages({
+  'any.only': `Dietary conflict policy must be one of: ${dietaryConfig.ALL_CONFLICT_POLICIES.join(', ')}`,
+});
+
+// Allergies and restrictions an employee declares
+const dietaryProfile = {
+  allergies: allergens.invalid(null).messages({
+    'any.invalid': 'Allergies cannot be null; use [] for none',
+  }),
+  dietaryRestrictions: dietaryLabels,
+  dietaryConflictPolicy,
+};
+
+// Identifier on the employee's badge or card, null to clear it
+const badgeNumber = Joi.string().trim().min(1).max(64).allow(null).messages({
+  'string.empty': 'Badge number cannot be empty',
+  'string.max': 'Badge number cannot exceed 64 characters',
+});
+
 const employeeSchemas = {
   create: Joi.object({
     name: patterns.name.required().messages({
@@ -98,35 +191,182 @@ const employeeSchemas = {
       'number.base': 'Monthly consumption value must be a number',
       'number.min': 'Monthly consumption value cannot be negative',
     }),
+    email: patterns.email,
+    badgeNumber,
+    subsidyPolicyId,
+    departmentId,
+    costCenterId,
+    ...dietaryProfile,
   }),
 
   update: Joi.object({
     name: patterns.name,
     employee_number: Joi.string().trim().min(1).max(50),
     monthlyConsumptionValue: Joi.number().integer().min(0),
+    email: patterns.email,
+    badgeNumber,
+    subsidyPolicyId,
+    departmentId,
+    costCenterId,
+    ...dietaryProfile,
   })
     .min(1)
     .messages({
       'object.min': 'At least one field is required for update',
     }),
+
+  dietaryProfile: Joi.object(dietaryProfile)
+    .min(1)
+    .messages({
+      'object.min': 'At least one field is required for update',
+    }),
+
+  linkUser: Joi.object({
+    userId: patterns.id.required().messages({
+      'number.base': 'User ID must be a number',
+      'any.required': 'User ID is required',
+    }),
+  }),
+
+  // Move to a department and cost center, from validFrom (today by default)
+  assignment: Joi.object({
+    departmentId: departmentId.required().messages({
+      'any.required': 'Department ID is required (null for none)',
+    }),
+    costCenterId: costCenterId.required().messages({
+      'any.required': 'Cost center ID is required (null for none)',
+    }),
+    validFrom: day,
+  }),
 };
 
+// Stock only changes through stock movements
+const stockManaged = Joi.any().forbidden().messages({
+  'any.unknown': 'Use the stock movements endpoint to change the stock quantity',
+});
+
+const lowStockThreshold = Joi.number().integer().min(0).messages({
+  'number.base': 'Low stock threshold must be a number',
+  'number.min': 'Low stock threshold cannot be negative',
+});
+
+// Category of a product, null to clear it
+const categoryId = patterns.id.allow(null).messages({
+  'number.base': 'Category ID must be a number',
+});
+
+// VAT rate of a product, null to clear it
+const taxRateId = patterns.id.allow(null).messages({
+  'number.base': 'Tax rate ID must be a number',
+});
+
+const tagName = Joi.string().trim().lowercase().min(1).max(50).messages({
+  'string.empty': 'Tag name is required',
+  'string.max': 'Tag name cannot exceed 50 characters',
+});
+
+// Tag names; unknown tags are created
+const productTags = Joi.array().items(tagName).max(20).messages({
+  'array.base': 'Tags must be a list of tag names',
+  'array.max': 'A product can have at most 20 tags',
+});
+
+// Article number, stored uppercase; null to clear it
+const sku = Joi.string().trim().uppercase().max(32).pattern(/^[A-Z0-9][A-Z0-9._-]*$/).allow(null).messages({
+  'string.empty': 'SKU cannot be empty',
+  'string.max': 'SKU cannot exceed 32 characters',
+  'string.pattern.base': 'SKU can only contain letters, digits, dots, dashes and underscores',
+});
+
+const barcode = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidBarcode(value) ? normalizeBarcode(value) : helpers.error('barcode.invalid')))
+  .messages({
+    'string.empty': 'Barcode cannot be empty',
+    'barcode.invalid': 'Barcode {{#value}} is not a valid EAN-8, UPC-A or EAN-13 code',
+  });
+
+// Barcodes; a given list replaces the product's barcodes
+const productBarcodes = Joi.array().items(barcode).unique().max(10).messages({
+  'array.base': 'Barcodes must be a list of codes',
+  'array.unique': 'A barcode is listed twice',
+  'array.max': 'A product can have at most 10 barcodes',
+});
+
+const productCreate = Joi.object({
+  name: patterns.name.required().messages({
+    'string.empty': 'Product name is required',
+    'string.max': 'Product name cannot exceed 255 characters',
+  }),
+  sku,
+  barcodes: productBarcodes,
+  price: patterns.price.required().messages({
+    'number.base': 'Price must be a number',
+    'number.min': 'Price cannot be negative',
+    'number.max': 'Price cannot exceed 999999.99',
+  }),
+  trackStock: Joi.boolean(),
+  stockQuantity: stockManaged,
+  lowStockThreshold,
+  categoryId,
+  taxRateId,
+  tags: productTags,
+  allergens,
+  dietaryLabels,
+  ...nutrition,
+});
+
 const productSchemas = {
+  create: productCreate,
+
+  // Bulk import, all or nothing
+  bulkCreate: Joi.array().items(productCreate).min(1).max(500).messages({
+    'array.base': 'Expected a list of products',
+    'array.min': 'At least one product is required',
+    'array.max': 'At most 500 products can be imported at once',
+  }),
+
+  update: Joi.object({
+    name: patterns.name,
+    sku,
+    barcodes: productBarcodes,
+    price: patterns.price,
+    trackStock: Joi.boolean(),
+    stockQuantity: stockManaged,
+    lowStockThreshold,
+    categoryId,
+    taxRateId,
+    tags: productTags,
+    allergens,
+    dietaryLabels,
+    ...nutrition,
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field is required for update',
+    }),
+};
+
+const categorySchemas = {
   create: Joi.object({
-    name: patterns.name.required().messages({
-      'string.empty': 'Product name is required',
-      'string.max': 'Product name cannot exceed 255 characters',
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'string.empty': 'Category name is required',
+      'string.max': 'Category name cannot exceed 100 characters',
+      'any.required': 'Category name is required',
     }),
-    price: patterns.price.required().messages({
-      'number.base': 'Price must be a number',
-      'number.min': 'Price cannot be negative',
-      'number.max': 'Price cannot exceed 999999.99',
+    parentId: categoryId.messages({
+      'number.base': 'Parent category ID must be a number',
     }),
   }),
 
   update: Joi.object({
-    name: patterns.name,
-    price: patterns.price,
+    name: Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'Category name is required',
+      'string.max': 'Category name cannot exceed 100 characters',
+    }),
+    parentId: categoryId.messages({
+      'number.base': 'Parent category ID must be a number',
+    }),
   })
     .min(1)
     .messages({
@@ -134,6 +374,175 @@ const productSchemas = {
     }),
 };
 
+const departmentSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'string.empty': 'Department name is required',
+      'string.max': 'Department name cannot exceed 100 characters',
+      'any.required': 'Department name is required',
+    }),
+    parentId: departmentId.messages({
+      'number.base': 'Parent department ID must be a number',
+    }),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'Department name is required',
+      'string.max': 'Department name cannot exceed 100 characters',
+    }),
+    parentId: departmentId.messages({
+      'number.base': 'Parent department ID must be a number',
+    }),
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field is required for update',
+    }),
+};
+
+const costCenterFields = {
+  code: Joi.string().trim().uppercase().max(20).pattern(/^[A-Z0-9][A-Z0-9._-]*$/).messages({
+    'string.empty': 'Cost center code is required',
+    'string.max': 'Cost center code cannot exceed 20 characters',
+    'string.pattern.base': 'Cost center code may only contain letters, digits, dots, dashes and underscores',
+  }),
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Cost center name is required',
+    'string.max': 'Cost center name cannot exceed 100 characters',
+  }),
+  parentId: costCenterId.messages({
+    'number.base': 'Parent cost center ID must be a number',
+  }),
+};
+
+const costCenterSchemas = {
+  create: Joi.object({
+    ...costCenterFields,
+    code: costCenterFields.code.required().messages({
+      'any.required': 'Cost center code is required',
+    }),
+    name: costCenterFields.name.required().messages({
+      'any.required': 'Cost center name is required',
+    }),
+  }),
+
+  update: Joi.object(costCenterFields).min(1).messages({
+    'object.min': 'At least one field is required for update',
+  }),
+};
+
+const locationFields = {
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Location name is required',
+    'string.max': 'Location name cannot exceed 100 characters',
+  }),
+  building: Joi.string().trim().max(100).allow(null, '').messages({
+    'string.max': 'Building cannot exceed 100 characters',
+  }),
+};
+
+const locationSchemas = {
+  create: Joi.object({
+    ...locationFields,
+    name: locationFields.name.required().messages({
+      'any.required': 'Location name is required',
+    }),
+  }),
+
+  update: Joi.object(locationFields).min(1).messages({
+    'object.min': 'At least one field is required for update',
+  }),
+
+  // Replaces the users assigned to the location
+  users: Joi.object({
+    userIds: Joi.array().items(patterns.id).max(100).required().messages({
+      'array.max': 'A location can have at most 100 users',
+      'any.required': 'userIds is required',
+    }),
+  }),
+
+  // Availability and price of a product at the location
+  product: Joi.object({
+    available: Joi.boolean().default(true),
+    price: patterns.price.allow(null).default(null).messages({
+      'number.base': 'Price must be a number',
+      'number.min': 'Price cannot be negative',
+      'number.max': 'Price cannot exceed 999999.99',
+    }),
+  }),
+};
+
+const taxRateFields = {
+  name: Joi.string().trim().min(1).max(50).messages({
+    'string.empty': 'Tax rate name is required',
+    'string.max': 'Tax rate name cannot exceed 50 characters',
+  }),
+  rate: Joi.number().precision(2).min(0).max(100).messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100',
+  }),
+};
+
+const taxRateSchemas = {
+  create: Joi.object({
+    name: taxRateFields.name.required().messages({
+      'any.required': 'Tax rate name is required',
+    }),
+    rate: taxRateFields.rate.required().messages({
+      'any.required': 'Rate is required',
+    }),
+  }),
+
+  update: Joi.object(taxRateFields).min(1).messages({
+    'object.min': 'At least one field is required for update',
+  }),
+};
+
+const tagSchemas = {
+  create: Joi.object({
+    name: tagName.required().messages({
+      'any.required': 'Tag name is required',
+    }),
+  }),
+
+  update: Joi.object({
+    name: tagName.required().messages({
+      'any.required': 'Tag name is required',
+    }),
+  }),
+};
+
+// The purchase total is always derived from the items on the server
+const serverTotal = Joi.any().forbidden().messages({
+  'any.unknown': 'Total is calculated by the server from the purchase items',
+});
+
+// Status only changes through the open/close/void/reopen endpoints
+const statusManaged = Joi.any().forbidden().messages({
+  'any.unknown': 'Use the purchase open, close, void and reopen endpoints to change the status',
+});
+
+// Reason for a status change or refund, kept with the purchase and audit log
+const reason = Joi.string().trim().min(3).max(500).required().messages({
+  'string.empty': 'Reason is required',
+  'string.min': 'Reason must be at least 3 characters',
+  'string.max': 'Reason cannot exceed 500 characters',
+  'any.required': 'Reason is required',
+});
+
+const purchaseItemLine = Joi.object({
+  productId: patterns.id.required().messages({
+    'number.base': 'Product ID must be a number',
+    'any.required': 'Product ID is required',
+  }),
+  quantity: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Quantity must be a number',
+    'number.min': 'Quantity must be at least 1',
+  }),
+});
+
 const purchaseSchemas = {
   create: Joi.object({
     date: Joi.date().iso().required().messages({
@@ -144,20 +553,81 @@ const purchaseSchemas = {
       'number.base': 'Employee ID must be a number',
       'any.required': 'Employee ID is required',
     }),
-    total: patterns.price.default(0),
-    closed: Joi.boolean().default(false),
+    total: serverTotal,
+    status: Joi.string()
+      .valid(STATUSES.DRAFT, STATUSES.OPEN, STATUSES.CLOSED)
+      .default(STATUSES.OPEN)
+      .messages({
+        'any.only': 'A new purchase must be draft, open or closed',
+      }),
+    closed: statusManaged,
+    locationId,
+    items: Joi.array().items(purchaseItemLine),
   }),
 
   update: Joi.object({
     date: Joi.date().iso(),
     employeeId: patterns.id,
-    total: patterns.price,
-    closed: Joi.boolean(),
+    locationId,
+    total: serverTotal,
+    status: statusManaged,
+    closed: statusManaged,
+    items: Joi.array().items(purchaseItemLine),
   })
     .min(1)
     .messages({
       'object.min': 'At least one field is required for update',
     }),
+
+  preview: Joi.object({
+    employeeId: patterns.id.required().messages({
+      'number.base': 'Employee ID must be a number',
+      'any.required': 'Employee ID is required',
+    }),
+    date: Joi.date().iso().messages({
+      'date.base': 'Date must be a valid ISO date',
+    }),
+    locationId,
+    items: Joi.array().items(purchaseItemLine).min(1).required().messages({
+      'array.min': 'At least one item is required',
+      'any.required': 'Items are required',
+    }),
+  }),
+
+  addItems: Joi.object({
+    items: Joi.array().items(purchaseItemLine).min(1).required().messages({
+      'array.min': 'At least one item is required',
+      'any.required': 'Items are required',
+    }),
+  }),
+
+  statusChange: Joi.object({
+    reason,
+  }),
+
+  refund: Joi.object({
+    reason,
+    items: Joi.array()
+      .items(
+        Joi.object({
+          purchaseItemId: patterns.id.required().messages({
+            'number.base': 'Purchase item ID must be a number',
+            'any.required': 'Purchase item ID is required',
+          }),
+          quantity: Joi.number().integer().min(1).required().messages({
+            'number.base': 'Quantity must be a number',
+            'number.min': 'Quantity must be at least 1',
+            'any.required': 'Quantity is required',
+          }),
+        }),
+      )
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one item is required',
+        'any.required': 'Items are required',
+      }),
+  }),
 };
 
 const purchaseItemSchemas = {
@@ -186,6 +656,255 @@ const purchaseItemSchemas = {
     }),
 };
 
+const stockMovementSchemas = {
+  create: Joi.object({
+    type: Joi.string()
+      .valid(...stockMovementTypes.MANUAL)
+      .required()
+      .messages({
+        'any.only': `Type must be one of: ${stockMovementTypes.MANUAL.join(', ')}`,
+        'any.required': 'Type is required',
+      }),
+    // Receipt and waste count units; an adjustment is the signed correction
+    quantity: Joi.when('type', {
+      is: stockMovementTypes.TYPES.ADJUSTMENT,
+      then: Joi.number().integer().invalid(0).required(),
+      otherwise: Joi.number().integer().min(1).required(),
+    }).messages({
+      'number.base': 'Quantity must be a number',
+      'number.min': 'Quantity must be at least 1',
+      'any.invalid': 'Adjustment cannot be zero',
+      'any.required': 'Quantity is required',
+    }),
+    reason: Joi.string().trim().max(500).allow('', null).messages({
+      'string.max': 'Reason cannot exceed 500 characters',
+    }),
+  }),
+};
+
+// Local HH:MM; a window may end at 24:00 (the end of the day)
+const localTime = /^([01]\d|2[0-3]):[0-5]\d$/;
+const localEndTime = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const localDate = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const availabilityWindow = Joi.object({
+  label: Joi.string().trim().max(100).allow('', null).messages({
+    'string.max': 'Label cannot exceed 100 characters',
+  }),
+  weekdays: Joi.array()
+    .items(Joi.number().integer().valid(...availabilityConfig.WEEKDAYS))
+    .min(1)
+    .unique()
+    .allow(null)
+    .messages({
+      'any.only': 'Weekdays must be ISO weekday numbers (1 = Monday ... 7 = Sunday)',
+      'array.min': 'Weekdays cannot be empty; use null for every day',
+    }),
+  startTime: Joi.string().pattern(localTime).allow(null).messages({
+    'string.pattern.base': 'Start time must be HH:MM',
+  }),
+  endTime: Joi.string().pattern(localEndTime).allow(null).messages({
+    'string.pattern.base': 'End time must be HH:MM (up to 24:00)',
+  }),
+  startDate: Joi.string().pattern(localDate).allow(null).messages({
+    'string.pattern.base': 'Start date must be YYYY-MM-DD',
+  }),
+  endDate: Joi.string().pattern(localDate).allow(null).messages({
+    'string.pattern.base': 'End date must be YYYY-MM-DD',
+  }),
+});
+
+const availabilitySchemas = {
+  update: Joi.object({
+    windows: Joi.array()
+      .items(availabilityWindow)
+      .max(availabilityConfig.maxWindows)
+      .required()
+      .messages({
+        'array.max': `A product can have at most ${availabilityConfig.maxWindows} windows`,
+        'any.required': 'Windows are required (an empty list makes the product always available)',
+      }),
+  }),
+};
+
+const priceChangeSchemas = {
+  create: Joi.object({
+    effectiveFrom: Joi.date().iso().required().messages({
+      'date.base': 'effectiveFrom must be a valid ISO date',
+      'any.required': 'effectiveFrom is required',
+    }),
+    note: Joi.string().trim().max(500).allow('', null).messages({
+      'string.max': 'Note cannot exceed 500 characters',
+    }),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          productId: patterns.id.required(),
+          price: patterns.price.required().messages({
+            'number.base': 'Price must be a number',
+            'number.precision': 'Price can have at most 2 decimal places',
+          }),
+        }),
+      )
+      .min(1)
+      .max(priceChangeConfig.maxItems)
+      .unique('productId')
+      .required()
+      .messages({
+        'array.min': 'At least one product is required',
+        'array.max': `A price change can have at most ${priceChangeConfig.maxItems} products`,
+        'array.unique': 'Each product can appear only once',
+        'any.required': 'Items are required',
+      }),
+  }),
+};
+
+// Promotions share the time window of availability windows
+const promotionFields = {
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Promotion name is required',
+    'string.max': 'Promotion name cannot exceed 100 characters',
+  }),
+  description: Joi.string().trim().max(500).allow('', null).messages({
+    'string.max': 'Description cannot exceed 500 characters',
+  }),
+  type: Joi.string()
+    .valid(...promotionConfig.ALL)
+    .messages({
+      'any.only': `Type must be one of: ${promotionConfig.ALL.join(', ')}`,
+    }),
+  value: patterns.price.messages({
+    'number.base': 'Value must be a number',
+    'number.precision': 'Value can have at most 2 decimal places',
+  }),
+  categoryId: patterns.id.allow(null),
+  active: Joi.boolean(),
+  priority: Joi.number().integer().min(-1000).max(1000),
+  weekdays: availabilityWindow.extract('weekdays'),
+  startTime: availabilityWindow.extract('startTime'),
+  endTime: availabilityWindow.extract('endTime'),
+  startDate: availabilityWindow.extract('startDate'),
+  endDate: availabilityWindow.extract('endDate'),
+  perEmployeeLimit: Joi.number().integer().min(1).allow(null).messages({
+    'number.min': 'Per-employee limit must be at least 1; use null for no limit',
+  }),
+  limitPeriod: Joi.string().valid(...Object.values(promotionConfig.LIMIT_PERIODS)),
+  products: Joi.array()
+    .items(
+      Joi.object({
+        productId: patterns.id.required(),
+        quantity: Joi.number().integer().min(1).default(1).messages({
+          'number.min': 'Quantity must be at least 1',
+        }),
+      }),
+    )
+    .max(promotionConfig.maxProducts)
+    .unique('productId')
+    .messages({
+      'array.max': `A promotion can have at most ${promotionConfig.maxProducts} products`,
+      'array.unique': 'Each product can appear only once',
+    }),
+};
+
+const promotionSchemas = {
+  create: Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    type: promotionFields.type.required(),
+    value: promotionFields.value.required(),
+  }),
+
+  update: Joi.object(promotionFields).min(1).messages({
+    'object.min': 'At least one field is required for update',
+  }),
+};
+
+const subsidyCap = Joi.number().precision(2).min(0).max(999999.99).allow(null).messages({
+  'number.base': 'Cap must be a number',
+  'number.min': 'Cap cannot be negative',
+});
+
+const subsidyPolicyFields = {
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Policy name is required',
+    'string.max': 'Policy name cannot exceed 100 characters',
+  }),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  percentage: Joi.number().precision(2).min(0).max(100).messages({
+    'number.base': 'Percentage must be a number',
+    'number.min': 'Percentage cannot be negative',
+    'number.max': 'Percentage cannot exceed 100',
+  }),
+  dailyCap: subsidyCap,
+  monthlyCap: subsidyCap,
+};
+
+const subsidyPolicySchemas = {
+  create: Joi.object({
+    ...subsidyPolicyFields,
+    name: subsidyPolicyFields.name.required(),
+    percentage: subsidyPolicyFields.percentage.required().messages({
+      'any.required': 'Percentage is required',
+    }),
+  }),
+
+  update: Joi.object(subsidyPolicyFields).min(1).messages({
+    'object.min': 'At least one field is required for update',
+  }),
+};
+
+const payrollSchemas = {
+  periodParam: Joi.object({
+    period: Joi.string()
+      .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Period must be a month in YYYY-MM format',
+      }),
+  }),
+
+  reopen: Joi.object({
+    reason,
+  }),
+};
+
+// Basket line at a terminal: the product by ID or by scanned barcode/SKU
+const posItemLine = Joi.object({
+  productId: patterns.id.messages({
+    'number.base': 'Product ID must be a number',
+  }),
+  code: Joi.string().trim().min(1).max(32).messages({
+    'string.empty': 'Code cannot be empty',
+  }),
+  quantity: Joi.number().integer().min(1).max(99).default(1).messages({
+    'number.base': 'Quantity must be a number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 99',
+  }),
+})
+  .xor('productId', 'code')
+  .messages({
+    'object.missing': 'Each item needs a productId or a code',
+    'object.xor': 'Give either a productId or a code, not both',
+  });
+
+const posSchemas = {
+  checkout: Joi.object({
+    badgeNumber: Joi.string().trim().min(1).max(64).required().messages({
+      'string.empty': 'Badge number is required',
+      'any.required': 'Badge number is required',
+    }),
+    locationId: patterns.id.messages({
+      'number.base': 'Location ID must be a number',
+    }),
+    items: Joi.array().items(posItemLine).min(1).max(50).required().messages({
+      'array.min': 'At least one item is required',
+      'array.max': 'A basket can have at most 50 lines',
+      'any.required': 'Items are required',
+    }),
+  }),
+};
+
 const idParamSchema = Joi.object({
   id: patterns.id.required().messages({
     'number.base': 'ID must be a valid number',
@@ -193,11 +912,34 @@ const idParamSchema = Joi.object({
   }),
 });
 
+const locationProductParamSchema = Joi.object({
+  id: patterns.id.required().messages({
+    'number.base': 'ID must be a valid number',
+  }),
+  productId: patterns.id.required().messages({
+    'number.base': 'Product ID must be a valid number',
+  }),
+});
+
 module.exports = {
   authSchemas,
   employeeSchemas,
   productSchemas,
+  categorySchemas,
+  departmentSchemas,
+  costCenterSchemas,
+  locationSchemas,
+  taxRateSchemas,
+  tagSchemas,
   purchaseSchemas,
   purchaseItemSchemas,
+  stockMovementSchemas,
+  availabilitySchemas,
+  priceChangeSchemas,
+  promotionSchemas,
+  subsidyPolicySchemas,
+  payrollSchemas,
+  posSchemas,
   idParamSchema,
+  locationProductParamSchema,
 };
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Add price snapshot columns to purchase_items
+ * - unitPrice
+ * - productName
+ * - taxRate
+ *
+ * Existing rows are backfilled from the current product data, which is the
+ * best information available for purchases made before this migration.
+ * taxRate is not backfilled: products carry no tax rate yet, so old rows
+ * keep NULL (rate unknown) and are reported apart from rated items rather
+ * than under a guessed rate.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding price snapshot fields to purchase_items table...');
+
+    const tableInfo = await queryInterface.describeTable('purchase_items');
+
+    if (!tableInfo.unitPrice) {
+      await queryInterface.addColumn('purchase_items', 'unitPrice', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Product price at the time the item was added',
+      });
+    }
+
+    if (!tableInfo.productName) {
+      await queryInterface.addColumn('purchase_items', 'productName', {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Product name at the time the item was added',
+      });
+    }
+
+    if (!tableInfo.taxRate) {
+      await queryInterface.addColumn('purchase_items', 'taxRate', {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true,
+        comment: 'Tax rate (percent) at the time the item was added',
+      });
+    }
+
+    // Backfill existing rows from the products table (no rate to copy, see above)
+    await queryInterface.sequelize.query(`
+      UPDATE purchase_items
+      SET
+        unitPrice = (SELECT p.price FROM products p WHERE p.id = purchase_items.productId),
+        productName = (SELECT p.name FROM products p WHERE p.id = purchase_items.productId)
+      WHERE unitPrice IS NULL OR productName IS NULL
+    `);
+
+    await queryInterface.changeColumn('purchase_items', 'unitPrice', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Product price at the time the item was added',
+    });
+
+    await queryInterface.changeColumn('purchase_items', 'productName', {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      comment: 'Product name at the time the item was added',
+    });
+
+    console.log('Price snapshot fields added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('purchase_items');
+
+    if (tableInfo.taxRate) {
+      await queryInterface.removeColumn('purchase_items', 'taxRate');
+    }
+
+    if (tableInfo.productName) {
+      await queryInterface.removeColumn('purchase_items', 'productName');
+    }
+
+    if (tableInfo.unitPrice) {
+      await queryInterface.removeColumn('purchase_items', 'unitPrice');
+    }
+  },
+};
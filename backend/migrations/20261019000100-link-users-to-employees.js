@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Link user accounts to employee records
+ * - employees.userId (unique, nullable FK to users)
+ * - employees.email (unique, nullable - used to auto-link on register)
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding user link fields to employees table...');
+
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (!tableInfo.userId) {
+      await queryInterface.addColumn('employees', 'userId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User account linked to this employee',
+      });
+
+      await queryInterface.addIndex('employees', ['userId'], {
+        name: 'idx_employees_user_id',
+        unique: true,
+      });
+    }
+
+    if (!tableInfo.email) {
+      await queryInterface.addColumn('employees', 'email', {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Work email, matched against user email on register',
+      });
+
+      await queryInterface.addIndex('employees', ['email'], {
+        name: 'idx_employees_email',
+        unique: true,
+      });
+    }
+
+    console.log('User link fields added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (tableInfo.email) {
+      await queryInterface.removeIndex('employees', 'idx_employees_email');
+      await queryInterface.removeColumn('employees', 'email');
+    }
+
+    if (tableInfo.userId) {
+      await queryInterface.removeIndex('employees', 'idx_employees_user_id');
+      await queryInterface.removeColumn('employees', 'userId');
+    }
+  },
+};
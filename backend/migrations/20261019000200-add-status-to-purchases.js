@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Replace purchases.closed with an explicit lifecycle status
+ * - status (draft, open, closed, voided, refunded), backfilled from closed
+ * - statusReason / statusChangedAt for the last status change
+ * - closed column and its indexes are dropped
+ */
+
+const CLOSED_INDEXES = ['idx_purchases_closed', 'idx_purchases_user_closed', 'idx_purchases_closed_date'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding status fields to purchases table...');
+
+    const tableInfo = await queryInterface.describeTable('purchases');
+
+    if (!tableInfo.status) {
+      await queryInterface.addColumn('purchases', 'status', {
+        type: Sequelize.ENUM('draft', 'open', 'closed', 'voided', 'refunded'),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'Lifecycle status',
+      });
+    }
+
+    if (!tableInfo.statusReason) {
+      await queryInterface.addColumn('purchases', 'statusReason', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Reason given for the last status change',
+      });
+    }
+
+    if (!tableInfo.statusChangedAt) {
+      await queryInterface.addColumn('purchases', 'statusChangedAt', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the status last changed',
+      });
+    }
+
+    if (tableInfo.closed) {
+      await queryInterface.sequelize.query(
+        'UPDATE purchases SET status = CASE WHEN closed THEN \'closed\' ELSE \'open\' END',
+      );
+
+      const indexes = await queryInterface.showIndex('purchases');
+      const indexNames = indexes.map(index => index.name);
+
+      for (const name of CLOSED_INDEXES) {
+        if (indexNames.includes(name)) {
+          await queryInterface.removeIndex('purchases', name);
+        }
+      }
+
+      await queryInterface.removeColumn('purchases', 'closed');
+    }
+
+    await queryInterface.addIndex('purchases', ['status'], {
+      name: 'idx_purchases_status',
+    });
+    await queryInterface.addIndex('purchases', ['userId', 'status'], {
+      name: 'idx_purchases_user_status',
+    });
+    await queryInterface.addIndex('purchases', ['status', 'date'], {
+      name: 'idx_purchases_status_date',
+    });
+
+    console.log('Status fields added successfully!');
+  },
+
+  async down(queryInterface, Sequelize) {
+    const tableInfo = await queryInterface.describeTable('purchases');
+
+    if (!tableInfo.closed) {
+      await queryInterface.addColumn('purchases', 'closed', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+
+    if (tableInfo.status) {
+      await queryInterface.sequelize.query(
+        'UPDATE purchases SET closed = CASE WHEN status = \'open\' OR status = \'draft\' THEN FALSE ELSE TRUE END',
+      );
+
+      await queryInterface.removeIndex('purchases', 'idx_purchases_status_date');
+      await queryInterface.removeIndex('purchases', 'idx_purchases_user_status');
+      await queryInterface.removeIndex('purchases', 'idx_purchases_status');
+      await queryInterface.removeColumn('purchases', 'status');
+    }
+
+    if (tableInfo.statusReason) {
+      await queryInterface.removeColumn('purchases', 'statusReason');
+    }
+
+    if (tableInfo.statusChangedAt) {
+      await queryInterface.removeColumn('purchases', 'statusChangedAt');
+    }
+
+    await queryInterface.addIndex('purchases', ['closed'], {
+      name: 'idx_purchases_closed',
+    });
+  },
+};
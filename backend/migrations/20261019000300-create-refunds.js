@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Refunds against closed purchases
+ * - refunds: one row per refund, linked to the original purchase
+ * - refund_items: refunded quantity per purchase item, priced from its snapshot
+ *
+ * Refund history is kept: purchases and purchase items with refunds cannot
+ * be deleted (RESTRICT).
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating refunds tables...');
+
+    await queryInterface.createTable('refunds', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      purchaseId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'purchases',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Purchase being refunded',
+      },
+      employeeId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Employee credited (copied from the purchase)',
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who issued the refund',
+      },
+      date: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'When the refund was issued',
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Refunded amount',
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: 'Why the refund was issued',
+      },
+    });
+
+    await queryInterface.addIndex('refunds', ['purchaseId'], {
+      name: 'idx_refunds_purchase_id',
+    });
+    await queryInterface.addIndex('refunds', ['employeeId', 'date'], {
+      name: 'idx_refunds_employee_date',
+    });
+
+    await queryInterface.createTable('refund_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      refundId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'refunds',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Parent refund',
+      },
+      purchaseItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'purchase_items',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Purchase item being refunded',
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Number of units refunded',
+      },
+      unitPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Unit price from the purchase item snapshot',
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'unitPrice * quantity',
+      },
+    });
+
+    await queryInterface.addIndex('refund_items', ['refundId'], {
+      name: 'idx_refund_items_refund_id',
+    });
+    await queryInterface.addIndex('refund_items', ['purchaseItemId'], {
+      name: 'idx_refund_items_purchase_item_id',
+    });
+
+    console.log('Refunds tables created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('refund_items');
+    await queryInterface.dropTable('refunds');
+  },
+};
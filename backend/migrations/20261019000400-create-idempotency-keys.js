@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Idempotency keys (database fallback when Redis is unavailable)
+ * - one row per user and Idempotency-Key with the stored response
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating idempotency_keys table...');
+
+    await queryInterface.createTable('idempotency_keys', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'User who sent the request',
+      },
+      key: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Client-chosen Idempotency-Key header value',
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of method, path and body of the first request',
+      },
+      statusCode: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Stored response status (null while in progress)',
+      },
+      responseBody: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Stored response body',
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'When the key can be reused',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    await queryInterface.addIndex('idempotency_keys', ['userId', 'key'], {
+      name: 'idx_idempotency_keys_user_key',
+      unique: true,
+    });
+    await queryInterface.addIndex('idempotency_keys', ['expiresAt'], {
+      name: 'idx_idempotency_keys_expires_at',
+    });
+
+    console.log('idempotency_keys table created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('idempotency_keys');
+  },
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Optimistic locking for products, employees and purchases
+ * - version column, incremented on every save and exposed as ETag
+ */
+
+const TABLES = ['products', 'employees', 'purchases'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding version columns...');
+
+    for (const table of TABLES) {
+      const tableInfo = await queryInterface.describeTable(table);
+
+      if (!tableInfo.version) {
+        await queryInterface.addColumn(table, 'version', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+          comment: 'Optimistic locking version',
+        });
+      }
+    }
+
+    console.log('Version columns added successfully!');
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      const tableInfo = await queryInterface.describeTable(table);
+
+      if (tableInfo.version) {
+        await queryInterface.removeColumn(table, 'version');
+      }
+    }
+  },
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Monthly payroll period close
+ * - payroll_periods: one row per closed (or reopened) month
+ * - payroll_period_entries: per-employee totals snapshotted at close
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating payroll period tables...');
+
+    await queryInterface.createTable('payroll_periods', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      period: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        comment: 'Calendar month, YYYY-MM',
+      },
+      status: {
+        type: Sequelize.ENUM('closed', 'reopened'),
+        allowNull: false,
+        defaultValue: 'closed',
+        comment: 'closed locks the purchases of the month',
+      },
+      closedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'When the period was last closed',
+      },
+      closedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who last closed the period',
+      },
+      reopenedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the period was last reopened',
+      },
+      reopenedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who last reopened the period',
+      },
+      reopenReason: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Why the period was last reopened',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('payroll_periods', ['period'], {
+      name: 'idx_payroll_periods_period',
+      unique: true,
+    });
+
+    await queryInterface.createTable('payroll_period_entries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      payrollPeriodId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'payroll_periods',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Parent payroll period',
+      },
+      employeeId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'employees',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Employee the totals belong to',
+      },
+      employeeNumber: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Employee number at close time',
+      },
+      employeeName: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Employee name at close time',
+      },
+      purchaseCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Purchases dated in the period (voided left out)',
+      },
+      totalSpent: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Spend in the period, net of refunds issued in it',
+      },
+      totalRefunded: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Refunds issued in the period',
+      },
+      allowance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Monthly allowance at close time',
+      },
+      overage: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'totalSpent above the allowance',
+      },
+      deduction: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Amount deducted from the salary',
+      },
+    });
+
+    await queryInterface.addIndex('payroll_period_entries', ['payrollPeriodId', 'employeeId'], {
+      name: 'idx_payroll_period_entries_period_employee',
+      unique: true,
+    });
+
+    console.log('Payroll period tables created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('payroll_period_entries');
+    await queryInterface.dropTable('payroll_periods');
+  },
+};
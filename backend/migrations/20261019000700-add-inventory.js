@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Product inventory
+ * - products: trackStock, stockQuantity, lowStockThreshold
+ * - stock_movements: signed ledger of every stock change
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding inventory to products...');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.trackStock) {
+      await queryInterface.addColumn('products', 'trackStock', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether sales are limited by and deducted from stock',
+      });
+    }
+
+    if (!tableInfo.stockQuantity) {
+      await queryInterface.addColumn('products', 'stockQuantity', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Units in stock, changed through stock movements only',
+      });
+    }
+
+    if (!tableInfo.lowStockThreshold) {
+      await queryInterface.addColumn('products', 'lowStockThreshold', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Listed as low stock at or below this quantity',
+      });
+    }
+
+    await queryInterface.addIndex('products', ['trackStock', 'stockQuantity'], {
+      name: 'idx_products_track_stock',
+    });
+
+    await queryInterface.createTable('stock_movements', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product whose stock changed',
+      },
+      type: {
+        type: Sequelize.ENUM('receipt', 'sale', 'adjustment', 'waste'),
+        allowNull: false,
+        comment: 'receipt, sale, adjustment or waste',
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Signed change: positive adds stock, negative removes it',
+      },
+      balanceAfter: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Stock quantity after the movement',
+      },
+      purchaseId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'purchases',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Purchase of a sale movement',
+      },
+      refundId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'refunds',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Refund that returned the stock',
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who recorded the movement',
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Note, e.g. delivery reference or why stock was written off',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('stock_movements', ['productId', 'createdAt'], {
+      name: 'idx_stock_movements_product_created',
+    });
+    await queryInterface.addIndex('stock_movements', ['purchaseId'], {
+      name: 'idx_stock_movements_purchase_id',
+    });
+
+    console.log('Inventory added successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('stock_movements');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.trackStock) {
+      await queryInterface.removeIndex('products', 'idx_products_track_stock');
+      await queryInterface.removeColumn('products', 'trackStock');
+    }
+
+    if (tableInfo.stockQuantity) {
+      await queryInterface.removeColumn('products', 'stockQuantity');
+    }
+
+    if (tableInfo.lowStockThreshold) {
+      await queryInterface.removeColumn('products', 'lowStockThreshold');
+    }
+  },
+};
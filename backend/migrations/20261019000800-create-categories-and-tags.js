@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Product categories and tags
+ * - categories: hierarchical, parentId references categories
+ * - products.categoryId
+ * - tags and the product_tags join table
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating categories...');
+
+    await queryInterface.createTable('categories', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Category name, unique among its siblings',
+      },
+      parentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Parent category, null for a top-level category',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('categories', ['parentId', 'name'], {
+      name: 'idx_categories_parent_name',
+      unique: true,
+    });
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.categoryId) {
+      await queryInterface.addColumn('products', 'categoryId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Catalog category, null when uncategorized',
+      });
+      await queryInterface.addIndex('products', ['categoryId'], {
+        name: 'idx_products_category_id',
+      });
+    }
+
+    console.log('Creating tags...');
+
+    await queryInterface.createTable('tags', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Lowercase tag name',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('tags', ['name'], {
+      name: 'idx_tags_name',
+      unique: true,
+    });
+
+    await queryInterface.createTable('product_tags', {
+      productId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Tagged product',
+      },
+      tagId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'tags',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Tag',
+      },
+    });
+
+    await queryInterface.addIndex('product_tags', ['tagId'], {
+      name: 'idx_product_tags_tag_id',
+    });
+
+    console.log('Categories and tags created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_tags');
+    await queryInterface.dropTable('tags');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.categoryId) {
+      await queryInterface.removeIndex('products', 'idx_products_category_id');
+      await queryInterface.removeColumn('products', 'categoryId');
+    }
+
+    await queryInterface.dropTable('categories');
+  },
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Product availability windows
+ * - product_availability_windows: weekdays, local time range and date
+ *   range per window; a product without windows is always available
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating product_availability_windows...');
+
+    await queryInterface.createTable('product_availability_windows', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product the window applies to',
+      },
+      label: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Display name, e.g. Breakfast',
+      },
+      weekdays: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'ISO weekday numbers (Monday = 1), null for every day',
+      },
+      startTime: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the window opens, null for midnight',
+      },
+      endTime: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the window closes (exclusive), null for midnight',
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'First local date, null for no start',
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Last local date, null for no end',
+      },
+    });
+
+    await queryInterface.addIndex('product_availability_windows', ['productId'], {
+      name: 'idx_product_availability_windows_product_id',
+    });
+
+    console.log('Product availability windows created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_availability_windows');
+  },
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Product price history
+ * - product_prices: one row per price a product had, with the moment it
+ *   took effect
+ *
+ * Existing products get their current price, effective from the time of
+ * this migration; earlier prices are not known.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating product_prices...');
+
+    await queryInterface.createTable('product_prices', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product whose price changed',
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Price from effectiveFrom on',
+      },
+      previousPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price before the change, null for the first price',
+      },
+      effectiveFrom: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'When the price took effect',
+      },
+    });
+
+    await queryInterface.addIndex('product_prices', ['productId', 'effectiveFrom'], {
+      name: 'idx_product_prices_product_effective',
+    });
+
+    // Backfill the current price of existing products
+    await queryInterface.sequelize.query(`
+      INSERT INTO product_prices (productId, price, previousPrice, effectiveFrom)
+      SELECT id, price, NULL, CURRENT_TIMESTAMP FROM products
+    `);
+
+    console.log('Product price history created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_prices');
+  },
+};
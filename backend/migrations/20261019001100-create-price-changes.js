@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Scheduled price changes
+ * - price_changes: a price list with the time it takes effect and its status
+ * - price_change_items: the new price of each product in the list
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating price change tables...');
+
+    await queryInterface.createTable('price_changes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      effectiveFrom: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'When the new prices take effect',
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'applied', 'cancelled', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'pending, applied, cancelled or failed',
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Why the prices change, e.g. supplier price list',
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who scheduled the change',
+      },
+      appliedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the worker applied the change',
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the change was cancelled',
+      },
+      cancelledBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who cancelled the change',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Failed runs of the worker',
+      },
+      lastError: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Why the last run failed',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('price_changes', ['status', 'effectiveFrom'], {
+      name: 'idx_price_changes_status_effective',
+    });
+
+    await queryInterface.createTable('price_change_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      priceChangeId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'price_changes',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Scheduled price change',
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product to reprice',
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'New price',
+      },
+    });
+
+    await queryInterface.addIndex('price_change_items', ['priceChangeId', 'productId'], {
+      name: 'idx_price_change_items_change_product',
+      unique: true,
+    });
+    await queryInterface.addIndex('price_change_items', ['productId'], {
+      name: 'idx_price_change_items_product_id',
+    });
+
+    console.log('Price change tables created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('price_change_items');
+    await queryInterface.dropTable('price_changes');
+  },
+};
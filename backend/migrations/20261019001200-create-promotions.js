@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Promotions and purchase discounts
+ * - promotions: discount rules with an optional time window and
+ *   per-employee limit
+ * - promotion_products: the products of a promotion, with the quantity
+ *   each bundle takes
+ * - purchase_discounts: the discount lines of a purchase and the
+ *   promotion that produced them
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating promotion tables...');
+
+    await queryInterface.createTable('promotions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name, shown on the discount line',
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      type: {
+        type: Sequelize.ENUM('percentage', 'fixed', 'bundle'),
+        allowNull: false,
+        comment: 'percentage, fixed or bundle',
+      },
+      value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Percent off, amount off per unit, or bundle price',
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Category (with subcategories) a percentage or fixed promotion applies to',
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Higher is evaluated first',
+      },
+      weekdays: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'ISO weekday numbers (Monday = 1), null for every day',
+      },
+      startTime: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the promotion starts, null for midnight',
+      },
+      endTime: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the promotion ends (exclusive), null for midnight',
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'First local date, null for no start',
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Last local date, null for no end',
+      },
+      perEmployeeLimit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Applications per employee and limitPeriod, null for no limit',
+      },
+      limitPeriod: {
+        type: Sequelize.ENUM('day', 'month'),
+        allowNull: false,
+        defaultValue: 'day',
+        comment: 'day or month of the purchase date',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('promotions', ['active'], {
+      name: 'idx_promotions_active',
+    });
+
+    await queryInterface.createTable('promotion_products', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      promotionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'promotions',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Units of the product in one bundle',
+      },
+    });
+
+    await queryInterface.addIndex('promotion_products', ['promotionId', 'productId'], {
+      name: 'idx_promotion_products_promotion_product',
+      unique: true,
+    });
+    await queryInterface.addIndex('promotion_products', ['productId'], {
+      name: 'idx_promotion_products_product_id',
+    });
+
+    await queryInterface.createTable('purchase_discounts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      purchaseId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'purchases',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      promotionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'promotions',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Rule that produced the discount, null once deleted',
+      },
+      promotionName: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Promotion name when the discount was applied',
+      },
+      applications: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Discounted units, or bundles',
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount taken off the purchase',
+      },
+    });
+
+    await queryInterface.addIndex('purchase_discounts', ['purchaseId'], {
+      name: 'idx_purchase_discounts_purchase_id',
+    });
+    await queryInterface.addIndex('purchase_discounts', ['promotionId'], {
+      name: 'idx_purchase_discounts_promotion_id',
+    });
+
+    console.log('Promotion tables created successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('purchase_discounts');
+    await queryInterface.dropTable('promotion_products');
+    await queryInterface.dropTable('promotions');
+  },
+};
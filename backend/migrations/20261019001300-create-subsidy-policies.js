@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Employer meal subsidy
+ * - subsidy_policies: percentage paid by the company, with optional
+ *   daily and monthly caps
+ * - employees.subsidyPolicyId
+ * - companyShare / employeeShare on purchases, refunds and payroll period
+ *   entries; existing rows are paid in full by the employee
+ */
+
+const SHARE_TABLES = ['purchases', 'refunds', 'payroll_period_entries'];
+
+// Column holding the full amount, assigned to the employee share on existing rows
+const AMOUNT_COLUMNS = {
+  purchases: 'COALESCE(total, 0)',
+  refunds: 'total',
+  payroll_period_entries: 'deduction',
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating subsidy policies...');
+
+    await queryInterface.createTable('subsidy_policies', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Policy name, e.g. the employee group it is for',
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      percentage: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        comment: 'Percent of each purchase total paid by the company',
+      },
+      dailyCap: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Most the company pays per employee and day, null for no cap',
+      },
+      monthlyCap: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Most the company pays per employee and month, null for no cap',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('subsidy_policies', ['name'], {
+      name: 'idx_subsidy_policies_name',
+      unique: true,
+    });
+
+    const employeeInfo = await queryInterface.describeTable('employees');
+
+    if (!employeeInfo.subsidyPolicyId) {
+      await queryInterface.addColumn('employees', 'subsidyPolicyId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'subsidy_policies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Subsidy policy, null when the employee pays in full',
+      });
+      await queryInterface.addIndex('employees', ['subsidyPolicyId'], {
+        name: 'idx_employees_subsidy_policy_id',
+      });
+    }
+
+    for (const table of SHARE_TABLES) {
+      const tableInfo = await queryInterface.describeTable(table);
+
+      if (!tableInfo.companyShare) {
+        await queryInterface.addColumn(table, 'companyShare', {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+          defaultValue: 0,
+          comment: 'Part paid by the employer',
+        });
+        await queryInterface.addColumn(table, 'employeeShare', {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+          defaultValue: 0,
+          comment: 'Part paid by the employee',
+        });
+
+        await queryInterface.sequelize.query(
+          `UPDATE ${table} SET employeeShare = ${AMOUNT_COLUMNS[table]}`,
+        );
+      }
+    }
+
+    console.log('Subsidy policies created successfully!');
+  },
+
+  async down(queryInterface) {
+    for (const table of SHARE_TABLES) {
+      const tableInfo = await queryInterface.describeTable(table);
+
+      if (tableInfo.companyShare) {
+        await queryInterface.removeColumn(table, 'employeeShare');
+        await queryInterface.removeColumn(table, 'companyShare');
+      }
+    }
+
+    const employeeInfo = await queryInterface.describeTable('employees');
+
+    if (employeeInfo.subsidyPolicyId) {
+      await queryInterface.removeIndex('employees', 'idx_employees_subsidy_policy_id');
+      await queryInterface.removeColumn('employees', 'subsidyPolicyId');
+    }
+
+    await queryInterface.dropTable('subsidy_policies');
+  },
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Allergens, dietary labels and nutrition on products
+ * - allergens: EU allergen codes, null (not declared) on existing rows
+ * - dietaryLabels: vegan, vegetarian, halal; [] on existing rows
+ * - calories, protein, carbohydrates, fat per serving, null when unknown
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding dietary information to products...');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.allergens) {
+      await queryInterface.addColumn('products', 'allergens', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'EU allergen codes contained, null when not declared',
+      });
+    }
+
+    if (!tableInfo.dietaryLabels) {
+      // MySQL JSON columns take no literal default: add, fill, then require
+      await queryInterface.addColumn('products', 'dietaryLabels', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Dietary labels, e.g. vegan, vegetarian, halal',
+      });
+      await queryInterface.sequelize.query("UPDATE products SET dietaryLabels = '[]'");
+      await queryInterface.changeColumn('products', 'dietaryLabels', {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Dietary labels, e.g. vegan, vegetarian, halal',
+      });
+    }
+
+    if (!tableInfo.calories) {
+      await queryInterface.addColumn('products', 'calories', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Energy per serving in kcal',
+      });
+      await queryInterface.addColumn('products', 'protein', {
+        type: Sequelize.DECIMAL(6, 1),
+        allowNull: true,
+        comment: 'Protein per serving in grams',
+      });
+      await queryInterface.addColumn('products', 'carbohydrates', {
+        type: Sequelize.DECIMAL(6, 1),
+        allowNull: true,
+        comment: 'Carbohydrates per serving in grams',
+      });
+      await queryInterface.addColumn('products', 'fat', {
+        type: Sequelize.DECIMAL(6, 1),
+        allowNull: true,
+        comment: 'Fat per serving in grams',
+      });
+    }
+
+    console.log('Dietary information added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('products');
+
+    for (const column of ['fat', 'carbohydrates', 'protein', 'calories', 'dietaryLabels', 'allergens']) {
+      if (tableInfo[column]) {
+        await queryInterface.removeColumn('products', column);
+      }
+    }
+  },
+};
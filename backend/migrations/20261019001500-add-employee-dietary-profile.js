@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Employee dietary profile
+ * - allergies: EU allergen codes; [] on existing rows
+ * - dietaryRestrictions: dietary labels required; [] on existing rows
+ * - dietaryConflictPolicy: warn (default) or block conflicting items
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding dietary profiles to employees...');
+
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    // MySQL JSON columns take no literal default: add, fill, then require
+    const jsonColumns = {
+      allergies: 'EU allergen codes the employee is allergic to',
+      dietaryRestrictions: 'Dietary labels every product bought must carry',
+    };
+
+    for (const [column, comment] of Object.entries(jsonColumns)) {
+      if (!tableInfo[column]) {
+        await queryInterface.addColumn('employees', column, {
+          type: Sequelize.JSON,
+          allowNull: true,
+          comment,
+        });
+        await queryInterface.sequelize.query(`UPDATE employees SET ${column} = '[]'`);
+        await queryInterface.changeColumn('employees', column, {
+          type: Sequelize.JSON,
+          allowNull: false,
+          comment,
+        });
+      }
+    }
+
+    if (!tableInfo.dietaryConflictPolicy) {
+      await queryInterface.addColumn('employees', 'dietaryConflictPolicy', {
+        type: Sequelize.ENUM('warn', 'block'),
+        allowNull: false,
+        defaultValue: 'warn',
+        comment: 'warn about or block items conflicting with the profile',
+      });
+    }
+
+    console.log('Dietary profiles added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    for (const column of ['dietaryConflictPolicy', 'dietaryRestrictions', 'allergies']) {
+      if (tableInfo[column]) {
+        await queryInterface.removeColumn('employees', column);
+      }
+    }
+  },
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Product soft delete
+ * - products.deletedAt: set when a product is archived, null while it is
+ *   in the catalog
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding soft delete to products...');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.deletedAt) {
+      await queryInterface.addColumn('products', 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the product was archived, null while in the catalog',
+      });
+      await queryInterface.addIndex('products', ['deletedAt'], {
+        name: 'idx_products_deleted_at',
+      });
+    }
+
+    console.log('Product soft delete added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.deletedAt) {
+      await queryInterface.removeIndex('products', 'idx_products_deleted_at');
+      await queryInterface.removeColumn('products', 'deletedAt');
+    }
+  },
+};
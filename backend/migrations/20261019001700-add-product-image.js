@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Product images
+ * - products.imageHash: names the files of the current image, null
+ *   without one
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding images to products...');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.imageHash) {
+      await queryInterface.addColumn('products', 'imageHash', {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+        comment: 'Hash of the current image, part of its file names',
+      });
+    }
+
+    console.log('Product images added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.imageHash) {
+      await queryInterface.removeColumn('products', 'imageHash');
+    }
+  },
+};
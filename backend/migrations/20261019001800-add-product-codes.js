@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Product codes for the POS lookup
+ * - products.sku: optional article number, unique
+ * - product_barcodes: EAN/UPC barcodes, each on one product
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding SKUs and barcodes to products...');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.sku) {
+      await queryInterface.addColumn('products', 'sku', {
+        type: Sequelize.STRING(32),
+        allowNull: true,
+        comment: 'Stock keeping unit, uppercase',
+      });
+      await queryInterface.addIndex('products', ['sku'], {
+        name: 'idx_products_sku',
+        unique: true,
+      });
+    }
+
+    await queryInterface.createTable('product_barcodes', {
+      code: {
+        type: Sequelize.STRING(13),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'EAN-8 or EAN-13 barcode, UPC-A stored as EAN-13',
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product the barcode is printed on',
+      },
+    });
+
+    await queryInterface.addIndex('product_barcodes', ['productId'], {
+      name: 'idx_product_barcodes_product_id',
+    });
+
+    console.log('SKUs and barcodes added successfully!');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_barcodes');
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.sku) {
+      await queryInterface.removeIndex('products', 'idx_products_sku');
+      await queryInterface.removeColumn('products', 'sku');
+    }
+  },
+};
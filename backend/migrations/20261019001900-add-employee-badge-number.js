@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Employee badges for the terminal checkout
+ * - employees.badgeNumber: identifier read from the badge or card, unique
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Adding badge numbers to employees...');
+
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (!tableInfo.badgeNumber) {
+      await queryInterface.addColumn('employees', 'badgeNumber', {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        comment: 'Badge or card identifier read at the terminals',
+      });
+      await queryInterface.addIndex('employees', ['badgeNumber'], {
+        name: 'idx_employees_badge_number',
+        unique: true,
+      });
+    }
+
+    console.log('Employee badge numbers added successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (tableInfo.badgeNumber) {
+      await queryInterface.removeIndex('employees', 'idx_employees_badge_number');
+      await queryInterface.removeColumn('employees', 'badgeNumber');
+    }
+  },
+};
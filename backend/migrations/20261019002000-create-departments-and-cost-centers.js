@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Departments and cost centers
+ * - departments and cost_centers: hierarchical, parentId references the
+ *   same table
+ * - employee_assignments: department and cost center of an employee from
+ *   validFrom until the day before validTo (null while current)
+ * - employees.departmentId and employees.costCenterId: current assignment
+ */
+
+const timestamps = Sequelize => ({
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+  },
+  updatedAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+  },
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating departments and cost centers...');
+
+    await queryInterface.createTable('departments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Department name, unique among its siblings',
+      },
+      parentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'departments',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Parent department, null for a top-level department',
+      },
+      ...timestamps(Sequelize),
+    });
+
+    await queryInterface.addIndex('departments', ['parentId', 'name'], {
+      name: 'idx_departments_parent_name',
+      unique: true,
+    });
+
+    await queryInterface.createTable('cost_centers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'Accounting code, e.g. CC-4100',
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Cost center name',
+      },
+      parentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cost_centers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Parent cost center, null for a top-level cost center',
+      },
+      ...timestamps(Sequelize),
+    });
+
+    await queryInterface.addIndex('cost_centers', ['code'], {
+      name: 'idx_cost_centers_code',
+      unique: true,
+    });
+    await queryInterface.addIndex('cost_centers', ['parentId'], {
+      name: 'idx_cost_centers_parent_id',
+    });
+
+    console.log('Creating employee assignments...');
+
+    await queryInterface.createTable('employee_assignments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      employeeId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'employees',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Assigned employee',
+      },
+      departmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'departments',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Department, null when not in a department',
+      },
+      costCenterId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cost_centers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Cost center, null when not charged to one',
+      },
+      validFrom: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'First day of the assignment',
+      },
+      validTo: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'First day after the assignment, null while current',
+      },
+      ...timestamps(Sequelize),
+    });
+
+    await queryInterface.addIndex('employee_assignments', ['employeeId', 'validFrom'], {
+      name: 'idx_employee_assignments_employee_valid_from',
+      unique: true,
+    });
+    await queryInterface.addIndex('employee_assignments', ['departmentId'], {
+      name: 'idx_employee_assignments_department_id',
+    });
+    await queryInterface.addIndex('employee_assignments', ['costCenterId'], {
+      name: 'idx_employee_assignments_cost_center_id',
+    });
+
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (!tableInfo.departmentId) {
+      await queryInterface.addColumn('employees', 'departmentId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'departments',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Current department',
+      });
+      await queryInterface.addIndex('employees', ['departmentId'], {
+        name: 'idx_employees_department_id',
+      });
+    }
+
+    if (!tableInfo.costCenterId) {
+      await queryInterface.addColumn('employees', 'costCenterId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cost_centers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Current cost center',
+      });
+      await queryInterface.addIndex('employees', ['costCenterId'], {
+        name: 'idx_employees_cost_center_id',
+      });
+    }
+
+    console.log('Departments and cost centers created successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('employees');
+
+    if (tableInfo.costCenterId) {
+      await queryInterface.removeIndex('employees', 'idx_employees_cost_center_id');
+      await queryInterface.removeColumn('employees', 'costCenterId');
+    }
+    if (tableInfo.departmentId) {
+      await queryInterface.removeIndex('employees', 'idx_employees_department_id');
+      await queryInterface.removeColumn('employees', 'departmentId');
+    }
+
+    await queryInterface.dropTable('employee_assignments');
+    await queryInterface.dropTable('cost_centers');
+    await queryInterface.dropTable('departments');
+  },
+};
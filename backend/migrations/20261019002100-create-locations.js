@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Cafeteria locations
+ * - locations: canteens, unique by name
+ * - location_products: per-location availability and price override of a
+ *   product; products without a row are sold at their catalog price
+ * - user_locations: locations a user works at (managers are restricted
+ *   to them, terminals default to their only one)
+ * - purchases.locationId: where the purchase was made, null for purchases
+ *   from before locations existed
+ */
+
+const timestamps = Sequelize => ({
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+  },
+  updatedAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+  },
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating locations...');
+
+    await queryInterface.createTable('locations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Location name, e.g. Building A canteen',
+      },
+      building: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Building the location is in',
+      },
+      ...timestamps(Sequelize),
+    });
+
+    await queryInterface.addIndex('locations', ['name'], {
+      name: 'idx_locations_name',
+      unique: true,
+    });
+
+    console.log('Creating location products...');
+
+    await queryInterface.createTable('location_products', {
+      locationId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'locations',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Location',
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Product',
+      },
+      available: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Whether the location sells the product',
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price at the location, null for the catalog price',
+      },
+      ...timestamps(Sequelize),
+    });
+
+    await queryInterface.addIndex('location_products', ['productId'], {
+      name: 'idx_location_products_product_id',
+    });
+
+    console.log('Creating user locations...');
+
+    await queryInterface.createTable('user_locations', {
+      userId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'User',
+      },
+      locationId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'locations',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Location the user works at',
+      },
+    });
+
+    await queryInterface.addIndex('user_locations', ['locationId'], {
+      name: 'idx_user_locations_location_id',
+    });
+
+    const tableInfo = await queryInterface.describeTable('purchases');
+
+    if (!tableInfo.locationId) {
+      await queryInterface.addColumn('purchases', 'locationId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'locations',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Location of the purchase',
+      });
+      await queryInterface.addIndex('purchases', ['locationId', 'date'], {
+        name: 'idx_purchases_location_date',
+      });
+    }
+
+    console.log('Locations created successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('purchases');
+
+    if (tableInfo.locationId) {
+      await queryInterface.removeIndex('purchases', 'idx_purchases_location_date');
+      await queryInterface.removeColumn('purchases', 'locationId');
+    }
+
+    await queryInterface.dropTable('user_locations');
+    await queryInterface.dropTable('location_products');
+    await queryInterface.dropTable('locations');
+  },
+};
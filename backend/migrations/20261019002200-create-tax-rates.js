@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * VAT rates
+ * - tax_rates: named VAT rates, seeded with the Hungarian rates
+ * - products.taxRateId: rate the product is sold at, null until set;
+ *   purchase items keep copying the percent into purchase_items.taxRate
+ */
+
+const HUNGARIAN_RATES = [
+  { name: 'Standard', rate: 27 },
+  { name: 'Reduced', rate: 18 },
+  { name: 'Super-reduced', rate: 5 },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log('Creating tax rates...');
+
+    await queryInterface.createTable('tax_rates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Rate name, e.g. Standard',
+      },
+      rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        comment: 'VAT rate in percent',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('tax_rates', ['name'], {
+      name: 'idx_tax_rates_name',
+      unique: true,
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert(
+      'tax_rates',
+      HUNGARIAN_RATES.map(rate => ({ ...rate, createdAt: now, updatedAt: now })),
+    );
+
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (!tableInfo.taxRateId) {
+      await queryInterface.addColumn('products', 'taxRateId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'tax_rates',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'VAT rate, null until set',
+      });
+      await queryInterface.addIndex('products', ['taxRateId'], {
+        name: 'idx_products_tax_rate_id',
+      });
+    }
+
+    console.log('Tax rates created successfully!');
+  },
+
+  async down(queryInterface) {
+    const tableInfo = await queryInterface.describeTable('products');
+
+    if (tableInfo.taxRateId) {
+      await queryInterface.removeIndex('products', 'idx_products_tax_rate_id');
+      await queryInterface.removeColumn('products', 'taxRateId');
+    }
+
+    await queryInterface.dropTable('tax_rates');
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Category Model
+ *
+ * Hierarchical product category (hot meals > soups, drinks > coffee).
+ * parentId is null for top-level categories. Filtering the product list
+ * by a category includes the products of its subcategories.
+ *
+ * Indexes:
+ * - parentId + name: Unique sibling names
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Category = sequelize.define(
+    'categories',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Category name, unique among its siblings',
+      },
+      parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Parent category, null for a top-level category',
+      },
+    },
+    {
+      tableName: 'categories',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_categories_parent_name',
+          fields: ['parentId', 'name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  Category.associate = models => {
+    Category.belongsTo(models.categories, {
+      foreignKey: 'parentId',
+      as: 'parent',
+    });
+
+    Category.hasMany(models.categories, {
+      foreignKey: 'parentId',
+      as: 'children',
+    });
+
+    Category.hasMany(models.products, {
+      foreignKey: 'categoryId',
+      as: 'products',
+    });
+  };
+
+  return Category;
+};
@@ -0,0 +1,76 @@
+/**
+ * CostCenter Model
+ *
+ * Hierarchical accounting unit the meals of its employees are charged to,
+ * identified by its code (CC-4000 > CC-4100). parentId is null for
+ * top-level cost centers. Filtering employees or purchases by a cost
+ * center includes its sub-cost centers.
+ *
+ * Employees are assigned with effective dates (see employeeAssignments).
+ *
+ * Indexes:
+ * - code: Unique
+ * - parentId: For the sub-cost centers
+ */
+module.exports = (sequelize, DataTypes) => {
+  const CostCenter = sequelize.define(
+    'costCenters',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      code: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Accounting code, e.g. CC-4100',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Cost center name',
+      },
+      parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Parent cost center, null for a top-level cost center',
+      },
+    },
+    {
+      tableName: 'cost_centers',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_cost_centers_code',
+          fields: ['code'],
+          unique: true,
+        },
+        {
+          name: 'idx_cost_centers_parent_id',
+          fields: ['parentId'],
+        },
+      ],
+    },
+  );
+
+  CostCenter.associate = models => {
+    CostCenter.belongsTo(models.costCenters, {
+      foreignKey: 'parentId',
+      as: 'parent',
+    });
+
+    CostCenter.hasMany(models.costCenters, {
+      foreignKey: 'parentId',
+      as: 'children',
+    });
+
+    CostCenter.hasMany(models.employees, {
+      foreignKey: 'costCenterId',
+      as: 'employees',
+    });
+  };
+
+  return CostCenter;
+};
@@ -0,0 +1,64 @@
+/**
+ * Department Model
+ *
+ * Hierarchical organizational unit (operations > kitchen). parentId is
+ * null for top-level departments. Filtering employees or purchases by a
+ * department includes its subdepartments.
+ *
+ * Employees are assigned with effective dates (see employeeAssignments).
+ *
+ * Indexes:
+ * - parentId + name: Unique sibling names
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Department = sequelize.define(
+    'departments',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Department name, unique among its siblings',
+      },
+      parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Parent department, null for a top-level department',
+      },
+    },
+    {
+      tableName: 'departments',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_departments_parent_name',
+          fields: ['parentId', 'name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  Department.associate = models => {
+    Department.belongsTo(models.departments, {
+      foreignKey: 'parentId',
+      as: 'parent',
+    });
+
+    Department.hasMany(models.departments, {
+      foreignKey: 'parentId',
+      as: 'children',
+    });
+
+    Department.hasMany(models.employees, {
+      foreignKey: 'departmentId',
+      as: 'employees',
+    });
+  };
+
+  return Department;
+};
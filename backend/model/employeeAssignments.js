@@ -0,0 +1,92 @@
+/**
+ * EmployeeAssignment Model
+ *
+ * Department and cost center of an employee over time. An assignment
+ * covers validFrom up to the day before validTo; the current one has no
+ * validTo. A move closes the current assignment and starts a new one, so
+ * purchases made before the move stay with the old department and cost
+ * center in the reports.
+ *
+ * employees.departmentId and employees.costCenterId mirror the current
+ * assignment (see organization.service.js).
+ *
+ * Indexes:
+ * - employeeId + validFrom: Unique, one assignment per start day
+ * - departmentId, costCenterId: For the purchases of a unit
+ */
+module.exports = (sequelize, DataTypes) => {
+  const EmployeeAssignment = sequelize.define(
+    'employeeAssignments',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      employeeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Assigned employee',
+      },
+      departmentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Department, null when not in a department',
+      },
+      costCenterId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Cost center, null when not charged to one',
+      },
+      validFrom: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'First day of the assignment',
+      },
+      validTo: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'First day after the assignment, null while current',
+      },
+    },
+    {
+      tableName: 'employee_assignments',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_employee_assignments_employee_valid_from',
+          fields: ['employeeId', 'validFrom'],
+          unique: true,
+        },
+        {
+          name: 'idx_employee_assignments_department_id',
+          fields: ['departmentId'],
+        },
+        {
+          name: 'idx_employee_assignments_cost_center_id',
+          fields: ['costCenterId'],
+        },
+      ],
+    },
+  );
+
+  EmployeeAssignment.associate = models => {
+    EmployeeAssignment.belongsTo(models.employees, {
+      foreignKey: 'employeeId',
+      as: 'employee',
+      onDelete: 'CASCADE',
+    });
+
+    EmployeeAssignment.belongsTo(models.departments, {
+      foreignKey: 'departmentId',
+      as: 'department',
+    });
+
+    EmployeeAssignment.belongsTo(models.costCenters, {
+      foreignKey: 'costCenterId',
+      as: 'costCenter',
+    });
+  };
+
+  return EmployeeAssignment;
+};
@@ -1,3 +1,5 @@
+const dietaryConfig = require('../config/dietary');
+
 /**
  * Employee Model
  *
@@ -9,11 +11,44 @@
  * - All queries auto-filter deleted records
  * - Use { paranoid: false } to include deleted records
  *
+ * USER LINK:
+ * - userId links the employee to the user account that logs in for them
+ * - One user per employee (unique); unset when the user is deleted
+ * - email is matched against the user email to auto-link on register
+ *
+ * SUBSIDY:
+ * - subsidyPolicyId is the employee's subsidy group (see subsidyPolicies)
+ * - Without one the employee pays their purchases in full
+ *
+ * DIETARY PROFILE:
+ * - allergies: EU allergen codes, dietaryRestrictions: labels every
+ *   product bought must carry (see config/dietary.js)
+ * - dietaryConflictPolicy: warn about or block conflicting items
+ *   (see dietary.service.js)
+ *
+ * ORGANIZATION:
+ * - departmentId and costCenterId are the employee's current department
+ *   and cost center; the history with effective dates is kept in
+ *   employeeAssignments (see organization.service.js)
+ *
+ * BADGE:
+ * - badgeNumber is the identifier read from the employee's badge or card
+ *   at the cafeteria terminals (POST /pos/checkout); unique, optional
+ *
+ * VERSION:
+ * - version is incremented on every save (optimistic locking)
+ * - Updates with a stale If-Match are rejected with 412
+ *
  * Indexes:
  * - employee_number: Unique identifier for lookups
  * - name: For search/filter operations
  * - monthlyConsumptionValue: For reports and sorting
  * - deletedAt: For soft delete filtering
+ * - userId: Unique, for ownership lookups
+ * - email: Unique, for auto-linking on register
+ * - badgeNumber: Unique, for the terminal checkout
+ * - subsidyPolicyId: For the employees of a subsidy policy
+ * - departmentId, costCenterId: For the employees of a unit
  */
 module.exports = (sequelize, DataTypes) => {
   const Employee = sequelize.define(
@@ -41,10 +76,81 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: 0,
         comment: 'Monthly consumption allowance',
       },
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        unique: true,
+        validate: {
+          isEmail: true,
+        },
+        comment: 'Work email, matched against user email on register',
+      },
+      badgeNumber: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true,
+        comment: 'Badge or card identifier read at the terminals',
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        comment: 'User account linked to this employee',
+      },
+      subsidyPolicyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'subsidy_policies',
+          key: 'id',
+        },
+        comment: 'Subsidy policy, null when the employee pays in full',
+      },
+      departmentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'departments',
+          key: 'id',
+        },
+        comment: 'Current department',
+      },
+      costCenterId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cost_centers',
+          key: 'id',
+        },
+        comment: 'Current cost center',
+      },
+      allergies: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'EU allergen codes the employee is allergic to',
+      },
+      dietaryRestrictions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Dietary labels every product bought must carry',
+      },
+      dietaryConflictPolicy: {
+        type: DataTypes.ENUM(...dietaryConfig.ALL_CONFLICT_POLICIES),
+        allowNull: false,
+        defaultValue: dietaryConfig.CONFLICT_POLICIES.WARN,
+        comment: 'warn about or block items conflicting with the profile',
+      },
     },
     {
       timestamps: true, // Enable createdAt and updatedAt
       paranoid: true, // Enable soft delete (adds deletedAt)
+      version: true, // Optimistic locking, exposed as ETag
       indexes: [
         {
           name: 'idx_employees_employee_number',
@@ -63,6 +169,33 @@ module.exports = (sequelize, DataTypes) => {
           name: 'idx_employees_deleted_at',
           fields: ['deletedAt'],
         },
+        {
+          name: 'idx_employees_user_id',
+          fields: ['userId'],
+          unique: true,
+        },
+        {
+          name: 'idx_employees_email',
+          fields: ['email'],
+          unique: true,
+        },
+        {
+          name: 'idx_employees_badge_number',
+          fields: ['badgeNumber'],
+          unique: true,
+        },
+        {
+          name: 'idx_employees_subsidy_policy_id',
+          fields: ['subsidyPolicyId'],
+        },
+        {
+          name: 'idx_employees_department_id',
+          fields: ['departmentId'],
+        },
+        {
+          name: 'idx_employees_cost_center_id',
+          fields: ['costCenterId'],
+        },
       ],
     },
   );
@@ -72,6 +205,39 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'employeeId',
       as: 'purchases',
     });
+
+    // Linked user account (optional)
+    Employee.belongsTo(models.users, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'SET NULL',
+    });
+
+    // Subsidy group (optional)
+    Employee.belongsTo(models.subsidyPolicies, {
+      foreignKey: 'subsidyPolicyId',
+      as: 'subsidyPolicy',
+      onDelete: 'SET NULL',
+    });
+
+    // Current department and cost center (optional)
+    Employee.belongsTo(models.departments, {
+      foreignKey: 'departmentId',
+      as: 'department',
+      onDelete: 'SET NULL',
+    });
+
+    Employee.belongsTo(models.costCenters, {
+      foreignKey: 'costCenterId',
+      as: 'costCenter',
+      onDelete: 'SET NULL',
+    });
+
+    // Department and cost center history
+    Employee.hasMany(models.employeeAssignments, {
+      foreignKey: 'employeeId',
+      as: 'assignments',
+    });
   };
 
   /**
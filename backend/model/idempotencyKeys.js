@@ -0,0 +1,73 @@
+/**
+ * IdempotencyKey Model
+ *
+ * Database fallback for idempotency keys when Redis is unavailable.
+ * One row per user and key, holding a fingerprint of the first request
+ * and, once it finished, the response that is replayed for retries.
+ *
+ * A row without statusCode is still in progress.
+ *
+ * Indexes:
+ * - userId + key: Unique, one stored request per key and user
+ * - expiresAt: For purging expired keys
+ */
+module.exports = (sequelize, DataTypes) => {
+  const IdempotencyKey = sequelize.define(
+    'idempotencyKeys',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'User who sent the request',
+      },
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Client-chosen Idempotency-Key header value',
+      },
+      fingerprint: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of method, path and body of the first request',
+      },
+      statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Stored response status (null while in progress)',
+      },
+      responseBody: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Stored response body',
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the key can be reused',
+      },
+    },
+    {
+      tableName: 'idempotency_keys',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          name: 'idx_idempotency_keys_user_key',
+          unique: true,
+          fields: ['userId', 'key'],
+        },
+        {
+          name: 'idx_idempotency_keys_expires_at',
+          fields: ['expiresAt'],
+        },
+      ],
+    },
+  );
+
+  return IdempotencyKey;
+};
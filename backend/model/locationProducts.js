@@ -0,0 +1,68 @@
+/**
+ * LocationProduct Model
+ *
+ * Override of a product at one location: whether the location sells it
+ * and the price it sells it at (null keeps the catalog price). Products
+ * without a row are sold at the location at their catalog price.
+ *
+ * Indexes:
+ * - locationId + productId: Primary key
+ * - productId: For the overrides of a product
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LocationProduct = sequelize.define(
+    'locationProducts',
+    {
+      locationId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'Location',
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'Product',
+      },
+      available: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Whether the location sells the product',
+      },
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Price at the location, null for the catalog price',
+      },
+    },
+    {
+      tableName: 'location_products',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_location_products_product_id',
+          fields: ['productId'],
+        },
+      ],
+    },
+  );
+
+  LocationProduct.associate = models => {
+    LocationProduct.belongsTo(models.locations, {
+      foreignKey: 'locationId',
+      as: 'location',
+      onDelete: 'CASCADE',
+    });
+
+    LocationProduct.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return LocationProduct;
+};
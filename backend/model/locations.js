@@ -0,0 +1,68 @@
+/**
+ * Location Model
+ *
+ * A canteen. Products are sold everywhere at their catalog price unless
+ * the location overrides their availability or price (see
+ * locationProducts). Purchases record where they were made.
+ *
+ * Users are assigned to the locations they work at (see userLocations):
+ * managers only see and change the purchases of theirs.
+ *
+ * Indexes:
+ * - name: Unique
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Location = sequelize.define(
+    'locations',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Location name, e.g. Building A canteen',
+      },
+      building: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Building the location is in',
+      },
+    },
+    {
+      tableName: 'locations',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_locations_name',
+          fields: ['name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  Location.associate = models => {
+    Location.hasMany(models.locationProducts, {
+      foreignKey: 'locationId',
+      as: 'productOverrides',
+      onDelete: 'CASCADE',
+    });
+
+    Location.hasMany(models.purchases, {
+      foreignKey: 'locationId',
+      as: 'purchases',
+    });
+
+    Location.belongsToMany(models.users, {
+      through: models.userLocations,
+      foreignKey: 'locationId',
+      otherKey: 'userId',
+      as: 'users',
+    });
+  };
+
+  return Location;
+};
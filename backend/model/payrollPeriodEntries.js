@@ -0,0 +1,121 @@
+/**
+ * PayrollPeriodEntry Model
+ *
+ * One employee's totals for a closed payroll period, snapshotted when the
+ * period was closed. Employee number and name are copied so the export
+ * stays the same if the employee is renamed or deleted later.
+ *
+ * totalSpent is net of the refunds issued in the month. overage is the
+ * part of it above the employee's allowance. totalSpent is split into the
+ * companyShare paid by the employer and the employeeShare; deduction is
+ * the amount taken from the salary, the employee share.
+ *
+ * Indexes:
+ * - payrollPeriodId + employeeId: Unique, one row per employee and period
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PayrollPeriodEntry = sequelize.define(
+    'payrollPeriodEntries',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      payrollPeriodId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Parent payroll period',
+      },
+      employeeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Employee the totals belong to',
+      },
+      employeeNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Employee number at close time',
+      },
+      employeeName: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Employee name at close time',
+      },
+      purchaseCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Purchases dated in the period (voided left out)',
+      },
+      totalSpent: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Spend in the period, net of refunds issued in it',
+      },
+      totalRefunded: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Refunds issued in the period',
+      },
+      allowance: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Monthly allowance at close time',
+      },
+      overage: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'totalSpent above the allowance',
+      },
+      companyShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of totalSpent paid by the employer',
+      },
+      employeeShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of totalSpent paid by the employee',
+      },
+      deduction: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Amount deducted from the salary',
+      },
+    },
+    {
+      tableName: 'payroll_period_entries',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_payroll_period_entries_period_employee',
+          unique: true,
+          fields: ['payrollPeriodId', 'employeeId'],
+        },
+      ],
+    },
+  );
+
+  PayrollPeriodEntry.associate = models => {
+    PayrollPeriodEntry.belongsTo(models.payrollPeriods, {
+      foreignKey: 'payrollPeriodId',
+      as: 'payrollPeriod',
+      onDelete: 'CASCADE',
+    });
+
+    PayrollPeriodEntry.belongsTo(models.employees, {
+      foreignKey: 'employeeId',
+      as: 'employee',
+    });
+  };
+
+  return PayrollPeriodEntry;
+};
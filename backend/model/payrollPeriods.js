@@ -0,0 +1,99 @@
+const payrollConfig = require('../config/payroll');
+
+/**
+ * PayrollPeriod Model
+ *
+ * A calendar month closed for payroll. While closed, purchases dated in
+ * the month can't be created, edited, deleted or change status (refunds
+ * are still possible, they are credited in the month they are issued).
+ *
+ * Closing stores a per-employee snapshot (payrollPeriodEntries) that the
+ * payroll deduction export is built from. Reopening keeps the row and
+ * records who reopened it and why; closing again replaces the snapshot.
+ *
+ * Indexes:
+ * - period: Unique, one row per month ('YYYY-MM')
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PayrollPeriod = sequelize.define(
+    'payrollPeriods',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      period: {
+        type: DataTypes.STRING(7),
+        allowNull: false,
+        unique: true,
+        validate: {
+          is: /^\d{4}-(0[1-9]|1[0-2])$/,
+        },
+        comment: 'Calendar month, YYYY-MM',
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(payrollConfig.PERIOD_STATUSES)),
+        allowNull: false,
+        defaultValue: payrollConfig.PERIOD_STATUSES.CLOSED,
+        comment: 'closed locks the purchases of the month',
+      },
+      closedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the period was last closed',
+      },
+      closedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who last closed the period',
+      },
+      reopenedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the period was last reopened',
+      },
+      reopenedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who last reopened the period',
+      },
+      reopenReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Why the period was last reopened',
+      },
+    },
+    {
+      tableName: 'payroll_periods',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_payroll_periods_period',
+          unique: true,
+          fields: ['period'],
+        },
+      ],
+    },
+  );
+
+  PayrollPeriod.associate = models => {
+    PayrollPeriod.hasMany(models.payrollPeriodEntries, {
+      foreignKey: 'payrollPeriodId',
+      as: 'entries',
+      onDelete: 'CASCADE',
+    });
+
+    PayrollPeriod.belongsTo(models.users, {
+      foreignKey: 'closedBy',
+      as: 'closedByUser',
+    });
+
+    PayrollPeriod.belongsTo(models.users, {
+      foreignKey: 'reopenedBy',
+      as: 'reopenedByUser',
+    });
+  };
+
+  return PayrollPeriod;
+};
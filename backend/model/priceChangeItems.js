@@ -0,0 +1,70 @@
+/**
+ * PriceChangeItem Model
+ *
+ * One product's new price in a scheduled price change.
+ *
+ * Indexes:
+ * - priceChangeId + productId: Unique, a product appears once per change
+ * - productId: For a product's upcoming changes
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PriceChangeItem = sequelize.define(
+    'priceChangeItems',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      priceChangeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Scheduled price change',
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Product to reprice',
+      },
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: 'New price',
+      },
+    },
+    {
+      tableName: 'price_change_items',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_price_change_items_change_product',
+          fields: ['priceChangeId', 'productId'],
+          unique: true,
+        },
+        {
+          name: 'idx_price_change_items_product_id',
+          fields: ['productId'],
+        },
+      ],
+    },
+  );
+
+  PriceChangeItem.associate = models => {
+    PriceChangeItem.belongsTo(models.priceChanges, {
+      foreignKey: 'priceChangeId',
+      as: 'priceChange',
+      onDelete: 'CASCADE',
+    });
+
+    PriceChangeItem.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return PriceChangeItem;
+};
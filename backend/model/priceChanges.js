@@ -0,0 +1,97 @@
+const priceChangeStatus = require('../config/priceChanges');
+
+/**
+ * PriceChange Model
+ *
+ * A scheduled price list: new prices for one or more products (see
+ * priceChangeItems) that take effect at effectiveFrom. The price change
+ * worker applies pending changes once they are due (see
+ * priceChange.service.js). A change that keeps failing is marked failed.
+ *
+ * Indexes:
+ * - status + effectiveFrom: For finding due and upcoming changes
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PriceChange = sequelize.define(
+    'priceChanges',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      effectiveFrom: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the new prices take effect',
+      },
+      status: {
+        type: DataTypes.ENUM(...priceChangeStatus.ALL),
+        allowNull: false,
+        defaultValue: priceChangeStatus.STATUSES.PENDING,
+        comment: 'pending, applied, cancelled or failed',
+      },
+      note: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Why the prices change, e.g. supplier price list',
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who scheduled the change',
+      },
+      appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the worker applied the change',
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the change was cancelled',
+      },
+      cancelledBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who cancelled the change',
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Failed runs of the worker',
+      },
+      lastError: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Why the last run failed',
+      },
+    },
+    {
+      tableName: 'price_changes',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_price_changes_status_effective',
+          fields: ['status', 'effectiveFrom'],
+        },
+      ],
+    },
+  );
+
+  PriceChange.associate = models => {
+    PriceChange.hasMany(models.priceChangeItems, {
+      foreignKey: 'priceChangeId',
+      as: 'items',
+      onDelete: 'CASCADE',
+    });
+
+    PriceChange.belongsTo(models.users, {
+      foreignKey: 'createdBy',
+      as: 'creator',
+    });
+  };
+
+  return PriceChange;
+};
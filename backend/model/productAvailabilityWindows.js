@@ -0,0 +1,85 @@
+/**
+ * ProductAvailabilityWindow Model
+ *
+ * When a product can be sold. A product without windows is always
+ * available; otherwise it is available when any of its windows matches.
+ *
+ * Every part of a window is optional and narrows it down:
+ * - weekdays: ISO weekday numbers (Monday = 1), null for every day
+ * - startTime / endTime: 'HH:MM' local time, start inclusive and end
+ *   exclusive; null for midnight (endTime '24:00' is the end of the day)
+ * - startDate / endDate: inclusive local dates, null for open-ended
+ *
+ * Times and dates are local to the cafeteria (see config/availability.js).
+ * A product's windows are replaced as a set, so there are no timestamps.
+ *
+ * Indexes:
+ * - productId: For a product's windows
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ProductAvailabilityWindow = sequelize.define(
+    'productAvailabilityWindows',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Product the window applies to',
+      },
+      label: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Display name, e.g. Breakfast',
+      },
+      weekdays: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'ISO weekday numbers (Monday = 1), null for every day',
+      },
+      startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the window opens, null for midnight',
+      },
+      endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the window closes (exclusive), null for midnight',
+      },
+      startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'First local date, null for no start',
+      },
+      endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Last local date, null for no end',
+      },
+    },
+    {
+      tableName: 'product_availability_windows',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_product_availability_windows_product_id',
+          fields: ['productId'],
+        },
+      ],
+    },
+  );
+
+  ProductAvailabilityWindow.associate = models => {
+    ProductAvailabilityWindow.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductAvailabilityWindow;
+};
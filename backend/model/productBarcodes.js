@@ -0,0 +1,48 @@
+/**
+ * ProductBarcode Model
+ *
+ * The EAN/UPC barcodes of a product (see utils/barcode.js). A barcode
+ * belongs to one product; products can have several, e.g. a single can
+ * and a multipack sold at the same price.
+ *
+ * Indexes:
+ * - code: Primary key, for the POS lookup
+ * - productId: For the barcodes of a product
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ProductBarcode = sequelize.define(
+    'productBarcodes',
+    {
+      code: {
+        type: DataTypes.STRING(13),
+        primaryKey: true,
+        comment: 'EAN-8 or EAN-13 barcode, UPC-A stored as EAN-13',
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Product the barcode is printed on',
+      },
+    },
+    {
+      tableName: 'product_barcodes',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_product_barcodes_product_id',
+          fields: ['productId'],
+        },
+      ],
+    },
+  );
+
+  ProductBarcode.associate = models => {
+    ProductBarcode.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductBarcode;
+};
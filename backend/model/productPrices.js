@@ -0,0 +1,67 @@
+/**
+ * ProductPrice Model
+ *
+ * Price history of a product. A row is written whenever a product gets a
+ * new price (on create and on every change, see priceHistory.service.js);
+ * the price of a product at a moment is the row with the latest
+ * effectiveFrom at or before it.
+ *
+ * Indexes:
+ * - productId + effectiveFrom: For the history and point-in-time lookups
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ProductPrice = sequelize.define(
+    'productPrices',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Product whose price changed',
+      },
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: 'Price from effectiveFrom on',
+      },
+      previousPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price before the change, null for the first price',
+      },
+      effectiveFrom: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the price took effect',
+      },
+    },
+    {
+      tableName: 'product_prices',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_product_prices_product_effective',
+          fields: ['productId', 'effectiveFrom'],
+        },
+      ],
+    },
+  );
+
+  ProductPrice.associate = models => {
+    ProductPrice.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductPrice;
+};
@@ -0,0 +1,52 @@
+/**
+ * ProductTag Model
+ *
+ * Join table between products and tags.
+ *
+ * Indexes:
+ * - productId + tagId: Primary key
+ * - tagId: For the products of a tag and the tag facet counts
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ProductTag = sequelize.define(
+    'productTags',
+    {
+      productId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'Tagged product',
+      },
+      tagId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'Tag',
+      },
+    },
+    {
+      tableName: 'product_tags',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_product_tags_tag_id',
+          fields: ['tagId'],
+        },
+      ],
+    },
+  );
+
+  ProductTag.associate = models => {
+    ProductTag.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+
+    ProductTag.belongsTo(models.tags, {
+      foreignKey: 'tagId',
+      as: 'tag',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return ProductTag;
+};
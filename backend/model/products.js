@@ -1,11 +1,67 @@
+const imageConfig = require('../config/images');
+
 /**
  * Product Model
  *
  * Represents a product available for purchase.
  *
+ * SOFT DELETE ENABLED (paranoid mode):
+ * - DELETE archives the product by setting deletedAt; products that were
+ *   ever sold cannot be removed (purchase items restrict the delete)
+ * - Archived products are hidden from the catalog and cannot be bought
+ * - Purchases keep showing them: include them with { paranoid: false }
+ *
+ * VERSION:
+ * version is incremented on every save; updates with a stale
+ * If-Match are rejected with 412 (see utils/concurrency.js). Stock
+ * movements and scheduled price changes leave it unchanged.
+ *
+ * STOCK:
+ * stockQuantity only changes through stock movements
+ * (see inventory.service.js). Items for a product with trackStock on are
+ * rejected once it is out of stock.
+ *
+ * CATALOG:
+ * A product belongs to at most one category and can carry any number of
+ * tags (see category.service.js and tag.service.js).
+ *
+ * PRICE HISTORY:
+ * Every price a product had is kept in product_prices with the moment it
+ * took effect (see priceHistory.service.js). Future prices are scheduled
+ * as price changes and applied by a worker (see priceChange.service.js).
+ *
+ * AVAILABILITY:
+ * Products with availability windows can only be sold inside one of them
+ * (see availability.service.js); products without windows always can.
+ *
+ * DIETARY:
+ * allergens lists the EU allergen codes the product contains and
+ * dietaryLabels its labels (vegan, vegetarian, halal), see
+ * config/dietary.js. allergens is null until declared; [] means the
+ * product contains none of them. Nutrition values are per serving and
+ * null when unknown.
+ *
+ * IMAGE:
+ * imageHash names the current image (null without one); images is the
+ * URL of each generated size (see productImage.service.js).
+ *
+ * CODES:
+ * sku is the product's own article number (uppercase, optional) and
+ * barcodes its EAN/UPC barcodes (see productBarcodes.js). Both are unique
+ * and resolve a scan at the till (GET /products/lookup).
+ *
+ * VAT:
+ * price is gross. taxRateId is the VAT rate the product is sold at (null
+ * until set); purchase items copy its percent (see tax.service.js).
+ *
  * Indexes:
  * - name: Unique identifier for lookups and search
+ * - sku: Unique, for the POS lookup
  * - price: For price range queries and sorting
+ * - trackStock + stockQuantity: For the low-stock list
+ * - categoryId: For the category filter and facets
+ * - taxRateId: For the rates in use
+ * - deletedAt: For soft delete filtering
  */
 module.exports = (sequelize, DataTypes) => {
   const Product = sequelize.define(
@@ -22,27 +78,154 @@ module.exports = (sequelize, DataTypes) => {
         unique: true,
         comment: 'Product name',
       },
+      sku: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+        unique: true,
+        comment: 'Stock keeping unit, uppercase',
+      },
       price: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
         validate: {
           min: 0,
         },
-        comment: 'Product price',
+        comment: 'Product price, VAT included',
+      },
+      trackStock: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether sales are limited by and deducted from stock',
+      },
+      stockQuantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0,
+        },
+        comment: 'Units in stock, changed through stock movements only',
+      },
+      lowStockThreshold: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0,
+        },
+        comment: 'Listed as low stock at or below this quantity',
+      },
+      categoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Catalog category, null when uncategorized',
+      },
+      taxRateId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'VAT rate, null until set',
+      },
+      allergens: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'EU allergen codes contained, null when not declared',
+      },
+      dietaryLabels: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Dietary labels, e.g. vegan, vegetarian, halal',
+      },
+      calories: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Energy per serving in kcal',
+      },
+      protein: {
+        type: DataTypes.DECIMAL(6, 1),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Protein per serving in grams',
+      },
+      carbohydrates: {
+        type: DataTypes.DECIMAL(6, 1),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Carbohydrates per serving in grams',
+      },
+      fat: {
+        type: DataTypes.DECIMAL(6, 1),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Fat per serving in grams',
+      },
+      imageHash: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'Hash of the current image, part of its file names',
+      },
+      images: {
+        type: DataTypes.VIRTUAL(DataTypes.JSON, ['id', 'imageHash']),
+        get() {
+          const hash = this.getDataValue('imageHash');
+          if (!hash) {
+            return null;
+          }
+          return Object.fromEntries(Object.keys(imageConfig.SIZES).map(size => [
+            size,
+            `${imageConfig.publicUrl}/${imageConfig.imageKey(this.getDataValue('id'), hash, size)}`,
+          ]));
+        },
       },
     },
     {
-      timestamps: false,
+      // Only deletedAt: paranoid needs timestamps, products never had the others
+      timestamps: true,
+      createdAt: false,
+      updatedAt: false,
+      paranoid: true, // Enable soft delete (adds deletedAt)
+      version: true, // Optimistic locking, exposed as ETag
       indexes: [
         {
           name: 'idx_products_name',
           fields: ['name'],
           unique: true,
         },
+        {
+          name: 'idx_products_sku',
+          fields: ['sku'],
+          unique: true,
+        },
         {
           name: 'idx_products_price',
           fields: ['price'],
         },
+        {
+          name: 'idx_products_track_stock',
+          fields: ['trackStock', 'stockQuantity'],
+        },
+        {
+          name: 'idx_products_category_id',
+          fields: ['categoryId'],
+        },
+        {
+          name: 'idx_products_tax_rate_id',
+          fields: ['taxRateId'],
+        },
+        {
+          name: 'idx_products_deleted_at',
+          fields: ['deletedAt'],
+        },
       ],
     },
   );
@@ -52,6 +235,62 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'productId',
       as: 'purchaseItems',
     });
+
+    Product.hasMany(models.stockMovements, {
+      foreignKey: 'productId',
+      as: 'stockMovements',
+      onDelete: 'CASCADE',
+    });
+
+    Product.hasMany(models.productPrices, {
+      foreignKey: 'productId',
+      as: 'prices',
+      onDelete: 'CASCADE',
+    });
+
+    Product.hasMany(models.priceChangeItems, {
+      foreignKey: 'productId',
+      as: 'priceChangeItems',
+      onDelete: 'CASCADE',
+    });
+
+    Product.hasMany(models.productAvailabilityWindows, {
+      foreignKey: 'productId',
+      as: 'availabilityWindows',
+      onDelete: 'CASCADE',
+    });
+
+    Product.hasMany(models.productBarcodes, {
+      foreignKey: 'productId',
+      as: 'barcodes',
+      onDelete: 'CASCADE',
+    });
+
+    // Availability and price at the locations that override them
+    Product.hasMany(models.locationProducts, {
+      foreignKey: 'productId',
+      as: 'locationOverrides',
+      onDelete: 'CASCADE',
+    });
+
+    Product.belongsTo(models.categories, {
+      foreignKey: 'categoryId',
+      as: 'category',
+      onDelete: 'SET NULL',
+    });
+
+    Product.belongsTo(models.taxRates, {
+      foreignKey: 'taxRateId',
+      as: 'taxRate',
+      onDelete: 'RESTRICT',
+    });
+
+    Product.belongsToMany(models.tags, {
+      through: models.productTags,
+      foreignKey: 'productId',
+      otherKey: 'tagId',
+      as: 'tags',
+    });
   };
 
   /**
@@ -61,7 +300,7 @@ module.exports = (sequelize, DataTypes) => {
     include: [
       {
         association: 'purchaseItems',
-        attributes: ['id', 'quantity', 'purchaseId'],
+        attributes: ['id', 'quantity', 'purchaseId', 'unitPrice'],
       },
     ],
   });
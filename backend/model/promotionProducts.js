@@ -0,0 +1,70 @@
+/**
+ * PromotionProduct Model
+ *
+ * A product a promotion applies to. For a bundle, quantity is how many of
+ * the product one bundle takes; other types ignore it.
+ *
+ * Indexes:
+ * - promotionId + productId: Unique, a product appears once per promotion
+ * - productId: For the promotions of a product
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PromotionProduct = sequelize.define(
+    'promotionProducts',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      promotionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          min: 1,
+        },
+        comment: 'Units of the product in one bundle',
+      },
+    },
+    {
+      tableName: 'promotion_products',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_promotion_products_promotion_product',
+          unique: true,
+          fields: ['promotionId', 'productId'],
+        },
+        {
+          name: 'idx_promotion_products_product_id',
+          fields: ['productId'],
+        },
+      ],
+    },
+  );
+
+  PromotionProduct.associate = models => {
+    PromotionProduct.belongsTo(models.promotions, {
+      foreignKey: 'promotionId',
+      as: 'promotion',
+      onDelete: 'CASCADE',
+    });
+
+    PromotionProduct.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return PromotionProduct;
+};
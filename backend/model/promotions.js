@@ -0,0 +1,134 @@
+const promotionConfig = require('../config/promotions');
+
+/**
+ * Promotion Model
+ *
+ * A discount rule (see config/promotions.js for the types). value is the
+ * percent off, the amount off per unit, or the bundle price.
+ *
+ * Percentage and fixed promotions apply to their listed products and to
+ * the products of their category (with its subcategories); with neither
+ * they apply to every product. A bundle needs each listed product in its
+ * quantity (see promotionProducts).
+ *
+ * The optional time window works like a product availability window,
+ * evaluated at the purchase date in the cafeteria timezone:
+ * - weekdays: ISO weekday numbers (Monday = 1), null for every day
+ * - startTime / endTime: 'HH:MM', end exclusive, null for midnight
+ * - startDate / endDate: inclusive dates, null for open-ended
+ *
+ * Promotions are evaluated by priority (highest first); a unit is
+ * discounted by one promotion at most.
+ *
+ * Indexes:
+ * - active: For the promotions to evaluate
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Promotion = sequelize.define(
+    'promotions',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Display name, shown on the discount line',
+      },
+      description: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      type: {
+        type: DataTypes.ENUM(...promotionConfig.ALL),
+        allowNull: false,
+        comment: 'percentage, fixed or bundle',
+      },
+      value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Percent off, amount off per unit, or bundle price',
+      },
+      categoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Category (with subcategories) a percentage or fixed promotion applies to',
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Higher is evaluated first',
+      },
+      weekdays: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'ISO weekday numbers (Monday = 1), null for every day',
+      },
+      startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the promotion starts, null for midnight',
+      },
+      endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Local HH:MM the promotion ends (exclusive), null for midnight',
+      },
+      startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'First local date, null for no start',
+      },
+      endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Last local date, null for no end',
+      },
+      perEmployeeLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Applications per employee and limitPeriod, null for no limit',
+      },
+      limitPeriod: {
+        type: DataTypes.ENUM(...Object.values(promotionConfig.LIMIT_PERIODS)),
+        allowNull: false,
+        defaultValue: promotionConfig.LIMIT_PERIODS.DAY,
+        comment: 'day or month of the purchase date',
+      },
+    },
+    {
+      tableName: 'promotions',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_promotions_active',
+          fields: ['active'],
+        },
+      ],
+    },
+  );
+
+  Promotion.associate = models => {
+    Promotion.hasMany(models.promotionProducts, {
+      foreignKey: 'promotionId',
+      as: 'products',
+      onDelete: 'CASCADE',
+    });
+
+    Promotion.belongsTo(models.categories, {
+      foreignKey: 'categoryId',
+      as: 'category',
+      onDelete: 'SET NULL',
+    });
+  };
+
+  return Promotion;
+};
@@ -0,0 +1,85 @@
+/**
+ * PurchaseDiscount Model
+ *
+ * A discount line of a purchase: what one promotion took off its items.
+ * The lines are rewritten whenever the items change (see
+ * promotion.service.js); the purchase total is the item total minus the
+ * discount lines.
+ *
+ * promotionName is a snapshot, so the line still reads right after the
+ * promotion is renamed or deleted.
+ *
+ * Indexes:
+ * - purchaseId: For a purchase's discounts
+ * - promotionId: For counting applications against per-employee limits
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PurchaseDiscount = sequelize.define(
+    'purchaseDiscounts',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      purchaseId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      promotionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Rule that produced the discount, null once deleted',
+      },
+      promotionName: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Promotion name when the discount was applied',
+      },
+      applications: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Discounted units, or bundles',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: 'Amount taken off the purchase',
+      },
+    },
+    {
+      tableName: 'purchase_discounts',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_purchase_discounts_purchase_id',
+          fields: ['purchaseId'],
+        },
+        {
+          name: 'idx_purchase_discounts_promotion_id',
+          fields: ['promotionId'],
+        },
+      ],
+    },
+  );
+
+  PurchaseDiscount.associate = models => {
+    PurchaseDiscount.belongsTo(models.purchases, {
+      foreignKey: 'purchaseId',
+      as: 'purchase',
+      onDelete: 'CASCADE',
+    });
+
+    PurchaseDiscount.belongsTo(models.promotions, {
+      foreignKey: 'promotionId',
+      as: 'promotion',
+      onDelete: 'SET NULL',
+    });
+  };
+
+  return PurchaseDiscount;
+};
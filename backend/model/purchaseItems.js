@@ -4,12 +4,52 @@
  * Represents a line item in a purchase.
  * Links a purchase to a product with quantity.
  *
+ * PRICE SNAPSHOT:
+ * unitPrice, productName and taxRate (the percent of the product's VAT
+ * rate) are copied from the product when the line is added. Totals and
+ * reports read these columns, so later price, name or rate changes on the
+ * product never reprice historical purchases.
+ *
  * Indexes:
  * - purchaseId: For loading items by purchase
  * - productId: For finding purchases containing a product
  * - purchaseId + productId: For duplicate checking
  */
 module.exports = (sequelize, DataTypes) => {
+  /**
+   * Fill missing snapshot fields from the referenced products
+   * Loads all products in a single query.
+   */
+  const applyProductSnapshot = async (items, options) => {
+    const missing = items.filter(
+      item => item.unitPrice === null || item.unitPrice === undefined || !item.productName || item.taxRate === undefined,
+    );
+    if (missing.length === 0) {
+      return;
+    }
+
+    const products = await sequelize.models.products.findAll({
+      where: { id: [...new Set(missing.map(item => item.productId))] },
+      include: [{ association: 'taxRate', attributes: ['rate'] }],
+      transaction: options.transaction,
+    });
+    const productsById = new Map(products.map(p => [p.id, p]));
+
+    missing.forEach(item => {
+      const product = productsById.get(item.productId);
+      if (!product) {
+        return;
+      }
+      item.unitPrice = item.unitPrice ?? product.price;
+      if (!item.productName) {
+        item.productName = product.name;
+      }
+      if (item.taxRate === undefined) {
+        item.taxRate = product.taxRate ? product.taxRate.rate : null;
+      }
+    });
+  };
+
   const PurchaseItem = sequelize.define(
     'purchaseItems',
     {
@@ -37,10 +77,40 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         comment: 'Product being purchased',
       },
+      unitPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: 'Product price at the time the item was added',
+      },
+      productName: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Product name at the time the item was added',
+      },
+      taxRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+        comment: 'Tax rate (percent) at the time the item was added',
+      },
     },
     {
       tableName: 'purchase_items', // <-- FIX: Explicit table name!
       timestamps: false,
+      hooks: {
+        // Fallback for callers that create items without going through
+        // PricingService: take the snapshot from the current product.
+        beforeValidate: async (item, options) => {
+          if (item.isNewRecord) {
+            await applyProductSnapshot([item], options);
+          }
+        },
+        beforeBulkCreate: async (items, options) => {
+          await applyProductSnapshot(items, options);
+        },
+      },
       indexes: [
         {
           name: 'idx_purchase_items_purchase_id',
@@ -70,6 +140,12 @@ module.exports = (sequelize, DataTypes) => {
       as: 'product',
       onDelete: 'RESTRICT',
     });
+
+    PurchaseItem.hasMany(models.refundItems, {
+      foreignKey: 'purchaseItemId',
+      as: 'refundItems',
+      onDelete: 'RESTRICT',
+    });
   };
 
   /**
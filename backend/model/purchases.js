@@ -1,20 +1,43 @@
+const purchaseStatus = require('../config/purchaseStatus');
+
 /**
  * Purchase Model
  *
  * Represents a purchase transaction in the system.
  * Each purchase belongs to an employee and optionally a user (for ownership tracking).
  *
+ * STATUS:
+ * - status is the lifecycle state (see config/purchaseStatus.js)
+ * - Transitions are enforced by PurchaseService, never set status directly
+ * - closed is a read-only virtual kept for clients (status === 'closed')
+ *
+ * VERSION:
+ * - version is incremented on every save and when the items change
+ * - Updates with a stale If-Match are rejected with 412
+ *
+ * TOTAL:
+ * - total is the item total minus the discount lines (see purchaseDiscounts)
+ * - companyShare + employeeShare = total: the part paid by the employer
+ *   under the employee's subsidy policy, and the rest (see subsidyPolicies)
+ *
+ * LOCATION:
+ * - locationId is the canteen the purchase was made at (see locations),
+ *   null for purchases from before locations existed
+ * - Items are priced and checked against the location's overrides
+ *
  * NOTE: Employee association uses { paranoid: false } to include soft-deleted employees
  * This ensures purchases remain visible with their employee info for audit trail.
+ * The product includes of the withItems and full scopes do the same for archived products.
  *
  * Indexes:
  * - employeeId: For filtering by employee
  * - userId: For ownership-based queries
  * - date: For date range queries (most common filter)
- * - closed: For open/closed status filtering
+ * - status: For status filtering
  * - employeeId + date: Composite for employee reports
- * - userId + closed: Composite for "my open purchases"
- * - closed + date: Composite for admin dashboards
+ * - userId + status: Composite for "my open purchases"
+ * - status + date: Composite for admin dashboards
+ * - locationId + date: Composite for location reports
  */
 module.exports = (sequelize, DataTypes) => {
   const Purchase = sequelize.define(
@@ -30,17 +53,54 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         comment: 'Purchase date and time',
       },
-      closed: {
-        type: DataTypes.BOOLEAN,
+      status: {
+        type: DataTypes.ENUM(...purchaseStatus.ALL),
         allowNull: false,
-        defaultValue: false,
-        comment: 'Whether the purchase is finalized',
+        defaultValue: purchaseStatus.STATUSES.OPEN,
+        validate: {
+          isIn: {
+            args: [purchaseStatus.ALL],
+            msg: `Status must be one of: ${purchaseStatus.ALL.join(', ')}`,
+          },
+        },
+        comment: 'Lifecycle status',
+      },
+      statusReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Reason given for the last status change',
+      },
+      statusChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the status last changed',
+      },
+      closed: {
+        type: DataTypes.VIRTUAL(DataTypes.BOOLEAN, ['status']),
+        get() {
+          return this.getDataValue('status') === purchaseStatus.STATUSES.CLOSED;
+        },
+        set() {
+          throw new Error('closed is derived from status; use the purchase status endpoints');
+        },
       },
       total: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: true,
         comment: 'Total purchase amount',
       },
+      companyShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of the total paid by the employer',
+      },
+      employeeShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of the total paid by the employee',
+      },
       employeeId: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -55,9 +115,15 @@ module.exports = (sequelize, DataTypes) => {
         },
         comment: 'User who created this purchase (for ownership)',
       },
+      locationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Location of the purchase, null for purchases from before locations',
+      },
     },
     {
       timestamps: false,
+      version: true, // Optimistic locking, exposed as ETag
       indexes: [
         // Single-column indexes for common filters
         {
@@ -73,8 +139,8 @@ module.exports = (sequelize, DataTypes) => {
           fields: ['date'],
         },
         {
-          name: 'idx_purchases_closed',
-          fields: ['closed'],
+          name: 'idx_purchases_status',
+          fields: ['status'],
         },
         // Composite indexes for common query patterns
         {
@@ -82,12 +148,16 @@ module.exports = (sequelize, DataTypes) => {
           fields: ['employeeId', 'date'],
         },
         {
-          name: 'idx_purchases_user_closed',
-          fields: ['userId', 'closed'],
+          name: 'idx_purchases_user_status',
+          fields: ['userId', 'status'],
         },
         {
-          name: 'idx_purchases_closed_date',
-          fields: ['closed', 'date'],
+          name: 'idx_purchases_status_date',
+          fields: ['status', 'date'],
+        },
+        {
+          name: 'idx_purchases_location_date',
+          fields: ['locationId', 'date'],
         },
       ],
     },
@@ -101,6 +171,20 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'CASCADE',
     });
 
+    // Discount lines from promotions, rewritten when the items change
+    Purchase.hasMany(models.purchaseDiscounts, {
+      foreignKey: 'purchaseId',
+      as: 'discounts',
+      onDelete: 'CASCADE',
+    });
+
+    // Refunds issued against a closed purchase
+    Purchase.hasMany(models.refunds, {
+      foreignKey: 'purchaseId',
+      as: 'refunds',
+      onDelete: 'RESTRICT',
+    });
+
     // A purchase belongs to an employee
     // NOTE: No onDelete - we want to keep purchase even if employee is soft-deleted
     Purchase.belongsTo(models.employees, {
@@ -113,6 +197,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'user',
     });
+
+    // Location the purchase was made at
+    Purchase.belongsTo(models.locations, {
+      foreignKey: 'locationId',
+      as: 'location',
+    });
   };
 
   /**
@@ -140,6 +230,7 @@ module.exports = (sequelize, DataTypes) => {
           {
             association: 'product',
             attributes: ['id', 'name', 'price'],
+            paranoid: false, // Archived products stay on their purchases
           },
         ],
       },
@@ -163,6 +254,7 @@ module.exports = (sequelize, DataTypes) => {
           {
             association: 'product',
             attributes: ['id', 'name', 'price'],
+            paranoid: false, // Archived products stay on their purchases
           },
         ],
       },
@@ -170,18 +262,13 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   /**
-   * Scope for open purchases only
+   * Scope for purchases in one or more statuses
+   * Usage: Purchase.scope({ method: ['status', 'open'] })
+   *        Purchase.scope({ method: ['status', ['closed', 'refunded']] })
    */
-  Purchase.addScope('open', {
-    where: { closed: false },
-  });
-
-  /**
-   * Scope for closed purchases only
-   */
-  Purchase.addScope('closed', {
-    where: { closed: true },
-  });
+  Purchase.addScope('status', statuses => ({
+    where: { status: statuses },
+  }));
 
   return Purchase;
 };
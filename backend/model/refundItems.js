@@ -0,0 +1,82 @@
+/**
+ * RefundItem Model
+ *
+ * Quantity of one purchase item paid back by a refund.
+ * unitPrice is copied from the purchase item snapshot, so a refund
+ * always credits what was actually charged. On a discounted purchase
+ * amount is the line's share of the discounted total.
+ *
+ * Indexes:
+ * - refundId: For loading items by refund
+ * - purchaseItemId: For summing already refunded quantities
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RefundItem = sequelize.define(
+    'refundItems',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      refundId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Parent refund',
+      },
+      purchaseItemId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Purchase item being refunded',
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1,
+        },
+        comment: 'Number of units refunded',
+      },
+      unitPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Unit price from the purchase item snapshot',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'unitPrice * quantity',
+      },
+    },
+    {
+      tableName: 'refund_items',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_refund_items_refund_id',
+          fields: ['refundId'],
+        },
+        {
+          name: 'idx_refund_items_purchase_item_id',
+          fields: ['purchaseItemId'],
+        },
+      ],
+    },
+  );
+
+  RefundItem.associate = models => {
+    RefundItem.belongsTo(models.refunds, {
+      foreignKey: 'refundId',
+      as: 'refund',
+      onDelete: 'CASCADE',
+    });
+
+    RefundItem.belongsTo(models.purchaseItems, {
+      foreignKey: 'purchaseItemId',
+      as: 'purchaseItem',
+      onDelete: 'RESTRICT',
+    });
+  };
+
+  return RefundItem;
+};
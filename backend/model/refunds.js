@@ -0,0 +1,112 @@
+/**
+ * Refund Model
+ *
+ * Money paid back on a closed purchase. Each refund is its own record
+ * linked to the original purchase; the purchase and its items are never
+ * changed. Refunded amounts are credited against the employee's spending
+ * in the month of the refund date.
+ *
+ * A refund is split between company and employee like the purchase it
+ * pays back (companyShare + employeeShare = total).
+ *
+ * Indexes:
+ * - purchaseId: For loading refunds by purchase
+ * - employeeId + date: For monthly spending and summaries
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Refund = sequelize.define(
+    'refunds',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      purchaseId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Purchase being refunded',
+      },
+      employeeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Employee credited (copied from the purchase)',
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who issued the refund',
+      },
+      date: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the refund was issued',
+      },
+      total: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+        comment: 'Refunded amount',
+      },
+      companyShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of the refund going back to the employer',
+      },
+      employeeShare: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Part of the refund going back to the employee',
+      },
+      reason: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'Why the refund was issued',
+      },
+    },
+    {
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_refunds_purchase_id',
+          fields: ['purchaseId'],
+        },
+        {
+          name: 'idx_refunds_employee_date',
+          fields: ['employeeId', 'date'],
+        },
+      ],
+    },
+  );
+
+  Refund.associate = models => {
+    Refund.belongsTo(models.purchases, {
+      foreignKey: 'purchaseId',
+      as: 'purchase',
+      onDelete: 'RESTRICT',
+    });
+
+    Refund.belongsTo(models.employees, {
+      foreignKey: 'employeeId',
+      as: 'employee',
+    });
+
+    Refund.belongsTo(models.users, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+
+    Refund.hasMany(models.refundItems, {
+      foreignKey: 'refundId',
+      as: 'items',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Refund;
+};
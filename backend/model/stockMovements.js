@@ -0,0 +1,113 @@
+const stockMovementTypes = require('../config/stockMovements');
+
+/**
+ * StockMovement Model
+ *
+ * Ledger of stock changes per product. quantity is signed; balanceAfter
+ * is the product's stockQuantity right after the movement, so the ledger
+ * can be read without summing it.
+ *
+ * Sale movements link the purchase (and refund) they came from.
+ *
+ * Indexes:
+ * - productId + createdAt: For a product's movement history
+ * - purchaseId: For reversing the sales of a purchase
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StockMovement = sequelize.define(
+    'stockMovements',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Product whose stock changed',
+      },
+      type: {
+        type: DataTypes.ENUM(...stockMovementTypes.ALL),
+        allowNull: false,
+        comment: 'receipt, sale, adjustment or waste',
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notZero(value) {
+            if (value === 0) {
+              throw new Error('Quantity cannot be zero');
+            }
+          },
+        },
+        comment: 'Signed change: positive adds stock, negative removes it',
+      },
+      balanceAfter: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Stock quantity after the movement',
+      },
+      purchaseId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Purchase of a sale movement',
+      },
+      refundId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Refund that returned the stock',
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'User who recorded the movement',
+      },
+      reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Note, e.g. delivery reference or why stock was written off',
+      },
+    },
+    {
+      tableName: 'stock_movements',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          name: 'idx_stock_movements_product_created',
+          fields: ['productId', 'createdAt'],
+        },
+        {
+          name: 'idx_stock_movements_purchase_id',
+          fields: ['purchaseId'],
+        },
+      ],
+    },
+  );
+
+  StockMovement.associate = models => {
+    StockMovement.belongsTo(models.products, {
+      foreignKey: 'productId',
+      as: 'product',
+    });
+
+    StockMovement.belongsTo(models.purchases, {
+      foreignKey: 'purchaseId',
+      as: 'purchase',
+    });
+
+    StockMovement.belongsTo(models.refunds, {
+      foreignKey: 'refundId',
+      as: 'refund',
+    });
+
+    StockMovement.belongsTo(models.users, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  };
+
+  return StockMovement;
+};
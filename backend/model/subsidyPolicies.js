@@ -0,0 +1,81 @@
+/**
+ * SubsidyPolicy Model
+ *
+ * How much of a meal the company pays for a group of employees. Employees
+ * are assigned a policy (employees.subsidyPolicyId); the ones without a
+ * policy pay their purchases in full.
+ *
+ * The company pays percentage of each purchase total, but never more than
+ * dailyCap per day or monthlyCap per month in total (null for no cap).
+ * E.g. 50% up to 1500 per day: percentage 50, dailyCap 1500.
+ *
+ * Indexes:
+ * - name: Unique
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SubsidyPolicy = sequelize.define(
+    'subsidyPolicies',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Policy name, e.g. the employee group it is for',
+      },
+      description: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      percentage: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+          max: 100,
+        },
+        comment: 'Percent of each purchase total paid by the company',
+      },
+      dailyCap: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Most the company pays per employee and day, null for no cap',
+      },
+      monthlyCap: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+        comment: 'Most the company pays per employee and month, null for no cap',
+      },
+    },
+    {
+      tableName: 'subsidy_policies',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_subsidy_policies_name',
+          fields: ['name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  SubsidyPolicy.associate = models => {
+    SubsidyPolicy.hasMany(models.employees, {
+      foreignKey: 'subsidyPolicyId',
+      as: 'employees',
+    });
+  };
+
+  return SubsidyPolicy;
+};
@@ -0,0 +1,53 @@
+/**
+ * Tag Model
+ *
+ * Free-form product label (vegan, spicy, seasonal). Names are stored
+ * lowercase so "Vegan" and "vegan" are the same tag.
+ *
+ * Indexes:
+ * - name: Unique tag names
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Tag = sequelize.define(
+    'tags',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        set(value) {
+          this.setDataValue('name', typeof value === 'string' ? value.trim().toLowerCase() : value);
+        },
+        comment: 'Lowercase tag name',
+      },
+    },
+    {
+      tableName: 'tags',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          name: 'idx_tags_name',
+          fields: ['name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  Tag.associate = models => {
+    Tag.belongsToMany(models.products, {
+      through: models.productTags,
+      foreignKey: 'tagId',
+      otherKey: 'productId',
+      as: 'products',
+    });
+  };
+
+  return Tag;
+};
@@ -0,0 +1,56 @@
+/**
+ * TaxRate Model
+ *
+ * A named VAT rate (Standard 27%, Reduced 18%, Super-reduced 5%).
+ * Products are sold at one rate; purchase items copy its percent when
+ * they are added, so changing a rate never changes past purchases.
+ *
+ * Indexes:
+ * - name: Unique
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TaxRate = sequelize.define(
+    'taxRates',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Rate name, e.g. Standard',
+      },
+      rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        validate: {
+          min: 0,
+          max: 100,
+        },
+        comment: 'VAT rate in percent',
+      },
+    },
+    {
+      tableName: 'tax_rates',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'idx_tax_rates_name',
+          fields: ['name'],
+          unique: true,
+        },
+      ],
+    },
+  );
+
+  TaxRate.associate = models => {
+    TaxRate.hasMany(models.products, {
+      foreignKey: 'taxRateId',
+      as: 'products',
+    });
+  };
+
+  return TaxRate;
+};
@@ -0,0 +1,52 @@
+/**
+ * UserLocation Model
+ *
+ * Join table between users and the locations they work at.
+ *
+ * Indexes:
+ * - userId + locationId: Primary key
+ * - locationId: For the users of a location
+ */
+module.exports = (sequelize, DataTypes) => {
+  const UserLocation = sequelize.define(
+    'userLocations',
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'User',
+      },
+      locationId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: 'Location the user works at',
+      },
+    },
+    {
+      tableName: 'user_locations',
+      timestamps: false,
+      indexes: [
+        {
+          name: 'idx_user_locations_location_id',
+          fields: ['locationId'],
+        },
+      ],
+    },
+  );
+
+  UserLocation.associate = models => {
+    UserLocation.belongsTo(models.users, {
+      foreignKey: 'userId',
+      as: 'user',
+      onDelete: 'CASCADE',
+    });
+
+    UserLocation.belongsTo(models.locations, {
+      foreignKey: 'locationId',
+      as: 'location',
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return UserLocation;
+};
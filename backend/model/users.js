@@ -201,6 +201,20 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'auditLogs',
     });
+
+    // Employee record this user logs in for (optional)
+    User.hasOne(models.employees, {
+      foreignKey: 'userId',
+      as: 'employee',
+    });
+
+    // Locations the user works at (managers are restricted to them)
+    User.belongsToMany(models.locations, {
+      through: models.userLocations,
+      foreignKey: 'userId',
+      otherKey: 'locationId',
+      as: 'locations',
+    });
   };
 
   return User;
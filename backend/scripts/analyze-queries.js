@@ -82,10 +82,10 @@ const QUERIES = [
     sql: `
       EXPLAIN
       SELECT * FROM purchases
-      WHERE userId = 1 AND closed = 0
+      WHERE userId = 1 AND status = 'open'
       ORDER BY date DESC
     `,
-    expectedIndex: 'idx_purchases_user_closed',
+    expectedIndex: 'idx_purchases_user_status',
   },
   {
     name: 'Get purchases by date range',
@@ -6,11 +6,13 @@ const bcrypt = require('bcrypt');
  * CONSOLIDATED SEEDER - Matches the simplified schema
  *
  * Tables populated:
- * - employees (id, name, employee_number, monthlyConsumptionValue, deletedAt)
+ * - employees (id, name, employee_number, monthlyConsumptionValue, deletedAt, userId,
+ *   empty allergies and dietaryRestrictions)
  * - users (full schema with roles)
  * - products (id, name, price ONLY)
- * - purchases (id, employeeId, userId, date, total, closed)
- * - purchase_items (id, purchaseId, productId, quantity ONLY)
+ * - product_prices (the current price, effective before the first purchase)
+ * - purchases (id, employeeId, userId, date, total, status)
+ * - purchase_items (id, purchaseId, productId, quantity + price snapshot)
  */
 
 /** @type {import('sequelize-cli').Migration} */
@@ -46,7 +48,14 @@ module.exports = {
         { id: 20, name: 'Budai Szilvia', employee_number: 'EMP020', monthlyConsumptionValue: 22000, createdAt: now, updatedAt: now },
       ];
 
-      await queryInterface.bulkInsert('employees', employees, { transaction });
+      // Dietary profiles start empty (NOT NULL JSON columns without a default)
+      const profiles = employees.map(employee => ({
+        ...employee,
+        allergies: JSON.stringify([]),
+        dietaryRestrictions: JSON.stringify([]),
+      }));
+
+      await queryInterface.bulkInsert('employees', profiles, { transaction });
 
       // ============================================
       // USERS - Demo accounts
@@ -87,6 +96,9 @@ module.exports = {
 
       await queryInterface.bulkInsert('users', users, { transaction });
 
+      // Link the demo employee account to an employee record
+      await queryInterface.bulkUpdate('employees', { userId: 3 }, { id: 1 }, { transaction });
+
       // ============================================
       // PRODUCTS - 65 Hungarian Canteen Foods (SIMPLIFIED: id, name, price only)
       // ============================================
@@ -173,6 +185,15 @@ module.exports = {
 
       await queryInterface.bulkInsert('products', products, { transaction });
 
+      const priceHistoryStart = new Date();
+      priceHistoryStart.setDate(priceHistoryStart.getDate() - 90);
+
+      await queryInterface.bulkInsert(
+        'product_prices',
+        products.map((p) => ({ productId: p.id, price: p.price, previousPrice: null, effectiveFrom: priceHistoryStart })),
+        { transaction },
+      );
+
       // ============================================
       // PURCHASES & PURCHASE_ITEMS (SIMPLIFIED SCHEMA)
       // ============================================
@@ -191,63 +212,65 @@ module.exports = {
       const purchaseItems = [];
       let purchaseItemId = 1;
 
-      // Purchase configs: employeeId, daysAgo, items array [{productId, qty}], closed (boolean)
+      // Purchase configs: employeeId, daysAgo, items array [{productId, qty}], status
       const purchaseConfigs = [
         // Recent purchases (last week)
-        { employeeId: 1, daysAgo: 1, items: [{ productId: 60, qty: 1 }, { productId: 57, qty: 1 }], closed: true },
-        { employeeId: 3, daysAgo: 1, items: [{ productId: 11, qty: 1 }, { productId: 25, qty: 1 }, { productId: 51, qty: 1 }], closed: true },
-        { employeeId: 5, daysAgo: 2, items: [{ productId: 1, qty: 1 }, { productId: 15, qty: 1 }, { productId: 29, qty: 1 }], closed: true },
-        { employeeId: 7, daysAgo: 2, items: [{ productId: 63, qty: 1 }], closed: false }, // pending!
-        { employeeId: 9, daysAgo: 3, items: [{ productId: 22, qty: 1 }, { productId: 27, qty: 1 }, { productId: 37, qty: 1 }], closed: true },
-        { employeeId: 11, daysAgo: 3, items: [{ productId: 2, qty: 1 }, { productId: 16, qty: 1 }], closed: true },
-        { employeeId: 13, daysAgo: 4, items: [{ productId: 35, qty: 1 }, { productId: 50, qty: 2 }], closed: true },
-        { employeeId: 15, daysAgo: 4, items: [{ productId: 61, qty: 1 }, { productId: 42, qty: 1 }], closed: true },
-        { employeeId: 17, daysAgo: 5, items: [{ productId: 9, qty: 1 }, { productId: 24, qty: 1 }, { productId: 33, qty: 1 }], closed: true },
-        { employeeId: 19, daysAgo: 5, items: [{ productId: 5, qty: 1 }, { productId: 20, qty: 1 }], closed: true },
+        { employeeId: 1, daysAgo: 1, items: [{ productId: 60, qty: 1 }, { productId: 57, qty: 1 }], status: 'closed' },
+        { employeeId: 3, daysAgo: 1, items: [{ productId: 11, qty: 1 }, { productId: 25, qty: 1 }, { productId: 51, qty: 1 }], status: 'closed' },
+        { employeeId: 5, daysAgo: 2, items: [{ productId: 1, qty: 1 }, { productId: 15, qty: 1 }, { productId: 29, qty: 1 }], status: 'closed' },
+        { employeeId: 7, daysAgo: 2, items: [{ productId: 63, qty: 1 }], status: 'open' }, // pending!
+        { employeeId: 9, daysAgo: 3, items: [{ productId: 22, qty: 1 }, { productId: 27, qty: 1 }, { productId: 37, qty: 1 }], status: 'closed' },
+        { employeeId: 11, daysAgo: 3, items: [{ productId: 2, qty: 1 }, { productId: 16, qty: 1 }], status: 'closed' },
+        { employeeId: 13, daysAgo: 4, items: [{ productId: 35, qty: 1 }, { productId: 50, qty: 2 }], status: 'closed' },
+        { employeeId: 15, daysAgo: 4, items: [{ productId: 61, qty: 1 }, { productId: 42, qty: 1 }], status: 'closed' },
+        { employeeId: 17, daysAgo: 5, items: [{ productId: 9, qty: 1 }, { productId: 24, qty: 1 }, { productId: 33, qty: 1 }], status: 'closed' },
+        { employeeId: 19, daysAgo: 5, items: [{ productId: 5, qty: 1 }, { productId: 20, qty: 1 }], status: 'closed' },
 
         // Last 2 weeks
-        { employeeId: 2, daysAgo: 7, items: [{ productId: 12, qty: 1 }, { productId: 26, qty: 1 }, { productId: 57, qty: 1 }], closed: true },
-        { employeeId: 4, daysAgo: 8, items: [{ productId: 3, qty: 1 }, { productId: 17, qty: 1 }], closed: true },
-        { employeeId: 6, daysAgo: 9, items: [{ productId: 62, qty: 1 }], closed: true },
-        { employeeId: 8, daysAgo: 10, items: [{ productId: 10, qty: 1 }, { productId: 25, qty: 1 }, { productId: 38, qty: 1 }, { productId: 59, qty: 1 }], closed: true },
-        { employeeId: 10, daysAgo: 11, items: [{ productId: 21, qty: 1 }, { productId: 29, qty: 1 }], closed: true },
-        { employeeId: 12, daysAgo: 12, items: [{ productId: 7, qty: 1 }, { productId: 13, qty: 1 }, { productId: 27, qty: 1 }], closed: true },
-        { employeeId: 14, daysAgo: 13, items: [{ productId: 36, qty: 1 }, { productId: 54, qty: 1 }], closed: true },
-        { employeeId: 16, daysAgo: 14, items: [{ productId: 60, qty: 1 }, { productId: 43, qty: 1 }], closed: true },
+        { employeeId: 2, daysAgo: 7, items: [{ productId: 12, qty: 1 }, { productId: 26, qty: 1 }, { productId: 57, qty: 1 }], status: 'closed' },
+        { employeeId: 4, daysAgo: 8, items: [{ productId: 3, qty: 1 }, { productId: 17, qty: 1 }], status: 'closed' },
+        { employeeId: 6, daysAgo: 9, items: [{ productId: 62, qty: 1 }], status: 'closed' },
+        { employeeId: 8, daysAgo: 10, items: [{ productId: 10, qty: 1 }, { productId: 25, qty: 1 }, { productId: 38, qty: 1 }, { productId: 59, qty: 1 }], status: 'closed' },
+        { employeeId: 10, daysAgo: 11, items: [{ productId: 21, qty: 1 }, { productId: 29, qty: 1 }], status: 'closed' },
+        { employeeId: 12, daysAgo: 12, items: [{ productId: 7, qty: 1 }, { productId: 13, qty: 1 }, { productId: 27, qty: 1 }], status: 'closed' },
+        { employeeId: 14, daysAgo: 13, items: [{ productId: 36, qty: 1 }, { productId: 54, qty: 1 }], status: 'closed' },
+        { employeeId: 16, daysAgo: 14, items: [{ productId: 60, qty: 1 }, { productId: 43, qty: 1 }], status: 'closed' },
 
         // 3-4 weeks ago
-        { employeeId: 18, daysAgo: 17, items: [{ productId: 4, qty: 1 }, { productId: 18, qty: 1 }, { productId: 31, qty: 1 }], closed: true },
-        { employeeId: 20, daysAgo: 18, items: [{ productId: 14, qty: 1 }, { productId: 28, qty: 1 }], closed: true },
-        { employeeId: 1, daysAgo: 20, items: [{ productId: 8, qty: 1 }, { productId: 19, qty: 1 }, { productId: 32, qty: 1 }], closed: true },
-        { employeeId: 3, daysAgo: 21, items: [{ productId: 65, qty: 1 }], closed: true },
-        { employeeId: 5, daysAgo: 22, items: [{ productId: 6, qty: 1 }, { productId: 23, qty: 1 }, { productId: 24, qty: 1 }], closed: true },
-        { employeeId: 7, daysAgo: 24, items: [{ productId: 44, qty: 2 }, { productId: 58, qty: 2 }], closed: true },
-        { employeeId: 9, daysAgo: 25, items: [{ productId: 61, qty: 1 }], closed: true },
+        { employeeId: 18, daysAgo: 17, items: [{ productId: 4, qty: 1 }, { productId: 18, qty: 1 }, { productId: 31, qty: 1 }], status: 'closed' },
+        { employeeId: 20, daysAgo: 18, items: [{ productId: 14, qty: 1 }, { productId: 28, qty: 1 }], status: 'closed' },
+        { employeeId: 1, daysAgo: 20, items: [{ productId: 8, qty: 1 }, { productId: 19, qty: 1 }, { productId: 32, qty: 1 }], status: 'closed' },
+        { employeeId: 3, daysAgo: 21, items: [{ productId: 65, qty: 1 }], status: 'closed' },
+        { employeeId: 5, daysAgo: 22, items: [{ productId: 6, qty: 1 }, { productId: 23, qty: 1 }, { productId: 24, qty: 1 }], status: 'closed' },
+        { employeeId: 7, daysAgo: 24, items: [{ productId: 44, qty: 2 }, { productId: 58, qty: 2 }], status: 'closed' },
+        { employeeId: 9, daysAgo: 25, items: [{ productId: 61, qty: 1 }], status: 'closed' },
 
         // 1-2 months ago
-        { employeeId: 11, daysAgo: 30, items: [{ productId: 1, qty: 1 }, { productId: 11, qty: 1 }, { productId: 25, qty: 1 }, { productId: 51, qty: 1 }], closed: true },
-        { employeeId: 13, daysAgo: 35, items: [{ productId: 2, qty: 1 }, { productId: 15, qty: 1 }, { productId: 29, qty: 1 }], closed: true },
-        { employeeId: 15, daysAgo: 40, items: [{ productId: 63, qty: 1 }, { productId: 45, qty: 1 }], closed: true },
-        { employeeId: 17, daysAgo: 42, items: [{ productId: 22, qty: 1 }, { productId: 27, qty: 1 }], closed: true },
-        { employeeId: 19, daysAgo: 45, items: [{ productId: 5, qty: 1 }, { productId: 16, qty: 1 }, { productId: 33, qty: 1 }], closed: true },
-        { employeeId: 2, daysAgo: 48, items: [{ productId: 35, qty: 1 }], closed: true },
-        { employeeId: 4, daysAgo: 50, items: [{ productId: 60, qty: 1 }, { productId: 46, qty: 1 }], closed: true },
-        { employeeId: 6, daysAgo: 52, items: [{ productId: 9, qty: 1 }, { productId: 26, qty: 1 }, { productId: 37, qty: 1 }, { productId: 57, qty: 1 }], closed: true },
+        { employeeId: 11, daysAgo: 30, items: [{ productId: 1, qty: 1 }, { productId: 11, qty: 1 }, { productId: 25, qty: 1 }, { productId: 51, qty: 1 }], status: 'closed' },
+        { employeeId: 13, daysAgo: 35, items: [{ productId: 2, qty: 1 }, { productId: 15, qty: 1 }, { productId: 29, qty: 1 }], status: 'closed' },
+        { employeeId: 15, daysAgo: 40, items: [{ productId: 63, qty: 1 }, { productId: 45, qty: 1 }], status: 'closed' },
+        { employeeId: 17, daysAgo: 42, items: [{ productId: 22, qty: 1 }, { productId: 27, qty: 1 }], status: 'closed' },
+        { employeeId: 19, daysAgo: 45, items: [{ productId: 5, qty: 1 }, { productId: 16, qty: 1 }, { productId: 33, qty: 1 }], status: 'closed' },
+        { employeeId: 2, daysAgo: 48, items: [{ productId: 35, qty: 1 }], status: 'closed' },
+        { employeeId: 4, daysAgo: 50, items: [{ productId: 60, qty: 1 }, { productId: 46, qty: 1 }], status: 'closed' },
+        { employeeId: 6, daysAgo: 52, items: [{ productId: 9, qty: 1 }, { productId: 26, qty: 1 }, { productId: 37, qty: 1 }, { productId: 57, qty: 1 }], status: 'closed' },
 
         // 2-3 months ago
-        { employeeId: 8, daysAgo: 60, items: [{ productId: 3, qty: 1 }, { productId: 12, qty: 1 }, { productId: 31, qty: 1 }], closed: true },
-        { employeeId: 10, daysAgo: 65, items: [{ productId: 62, qty: 1 }, { productId: 47, qty: 1 }], closed: true },
-        { employeeId: 12, daysAgo: 70, items: [{ productId: 7, qty: 1 }, { productId: 21, qty: 1 }, { productId: 28, qty: 1 }], closed: true },
-        { employeeId: 14, daysAgo: 75, items: [{ productId: 36, qty: 1 }, { productId: 48, qty: 1 }, { productId: 55, qty: 1 }], closed: true },
-        { employeeId: 16, daysAgo: 78, items: [{ productId: 4, qty: 1 }, { productId: 13, qty: 1 }, { productId: 24, qty: 1 }], closed: true },
-        { employeeId: 18, daysAgo: 82, items: [{ productId: 64, qty: 2 }], closed: true },
-        { employeeId: 20, daysAgo: 85, items: [{ productId: 6, qty: 1 }, { productId: 19, qty: 1 }, { productId: 29, qty: 1 }, { productId: 50, qty: 1 }], closed: true },
+        { employeeId: 8, daysAgo: 60, items: [{ productId: 3, qty: 1 }, { productId: 12, qty: 1 }, { productId: 31, qty: 1 }], status: 'closed' },
+        { employeeId: 10, daysAgo: 65, items: [{ productId: 62, qty: 1 }, { productId: 47, qty: 1 }], status: 'closed' },
+        { employeeId: 12, daysAgo: 70, items: [{ productId: 7, qty: 1 }, { productId: 21, qty: 1 }, { productId: 28, qty: 1 }], status: 'closed' },
+        { employeeId: 14, daysAgo: 75, items: [{ productId: 36, qty: 1 }, { productId: 48, qty: 1 }, { productId: 55, qty: 1 }], status: 'closed' },
+        { employeeId: 16, daysAgo: 78, items: [{ productId: 4, qty: 1 }, { productId: 13, qty: 1 }, { productId: 24, qty: 1 }], status: 'closed' },
+        { employeeId: 18, daysAgo: 82, items: [{ productId: 64, qty: 2 }], status: 'closed' },
+        { employeeId: 20, daysAgo: 85, items: [{ productId: 6, qty: 1 }, { productId: 19, qty: 1 }, { productId: 29, qty: 1 }, { productId: 50, qty: 1 }], status: 'closed' },
       ];
 
-      // Build products lookup for prices
+      // Build products lookup for prices and line item snapshots
       const productPrices = {};
+      const productNames = {};
       products.forEach((p) => {
         productPrices[p.id] = p.price;
+        productNames[p.id] = p.name;
       });
 
       // Generate purchases and purchase items
@@ -260,23 +283,25 @@ module.exports = {
           total += productPrices[item.productId] * item.qty;
         });
 
-        // Add purchase (SIMPLIFIED: id, employeeId, userId, date, total, closed)
+        // Add purchase (SIMPLIFIED: id, employeeId, userId, date, total, status)
         purchases.push({
           id: index + 1,
           employeeId: config.employeeId,
           userId: 1, // admin user created all demo purchases
           date: purchaseDate,
           total,
-          closed: config.closed,
+          status: config.status,
         });
 
-        // Add purchase items (SIMPLIFIED: id, purchaseId, productId, quantity)
+        // Add purchase items with the product price/name snapshot
         config.items.forEach((item) => {
           purchaseItems.push({
             id: purchaseItemId++,
             purchaseId: index + 1,
             productId: item.productId,
             quantity: item.qty,
+            unitPrice: productPrices[item.productId],
+            productName: productNames[item.productId],
           });
         });
       });
@@ -305,6 +330,7 @@ module.exports = {
       await queryInterface.bulkDelete('audit_logs', null, { transaction });
       await queryInterface.bulkDelete('purchase_items', null, { transaction });
       await queryInterface.bulkDelete('purchases', null, { transaction });
+      await queryInterface.bulkDelete('product_prices', null, { transaction });
       await queryInterface.bulkDelete('products', null, { transaction });
       await queryInterface.bulkDelete('users', null, { transaction });
       await queryInterface.bulkDelete('employees', null, { transaction });
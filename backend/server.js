@@ -5,6 +5,7 @@ const logger = require('./logger/logger');
 const httpErrors = require('http-errors');
 const { requestIdMiddleware, getRequestId } = require('./middleware/requestId');
 require('dotenv').config();
+const imageConfig = require('./config/images');
 
 const app = express();
 
@@ -24,8 +25,8 @@ const corsOptions = {
     : getDevOrigins(),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-  exposedHeaders: ['X-Request-ID', 'X-Total-Count', 'X-Total-Pages'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'Idempotency-Key', 'If-Match'],
+  exposedHeaders: ['X-Request-ID', 'X-Total-Count', 'X-Total-Pages', 'Idempotent-Replayed', 'ETag'],
 };
 
 app.use(cors(corsOptions));
@@ -43,6 +44,15 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static('public'));
 
+// Uploaded images on local storage; their names change with the content
+if (imageConfig.storage === imageConfig.STORAGES.LOCAL) {
+  app.use(imageConfig.local.path, express.static(imageConfig.local.directory, {
+    index: false,
+    immutable: true,
+    maxAge: '1y',
+  }));
+}
+
 // Swagger Documentation - skip in test environment to avoid YAML parsing overhead
 if (process.env.NODE_ENV !== 'test') {
   const { specs, swaggerUi, swaggerOptions } = require('./config/swagger');
@@ -60,13 +70,24 @@ const API_V1_PREFIX = '/api/v1';
 app.use(`${API_V1_PREFIX}/auth`, require('./controller/auth/router'));
 
 app.use(`${API_V1_PREFIX}/employees`, require('./controller/employee/router'));
+app.use(`${API_V1_PREFIX}/departments`, require('./controller/department/router'));
+app.use(`${API_V1_PREFIX}/cost-centers`, require('./controller/cost-center/router'));
+app.use(`${API_V1_PREFIX}/locations`, require('./controller/location/router'));
 app.use(`${API_V1_PREFIX}/products`, require('./controller/product/router'));
+app.use(`${API_V1_PREFIX}/categories`, require('./controller/category/router'));
+app.use(`${API_V1_PREFIX}/tags`, require('./controller/tag/router'));
+app.use(`${API_V1_PREFIX}/tax-rates`, require('./controller/tax-rate/router'));
+app.use(`${API_V1_PREFIX}/price-changes`, require('./controller/price-change/router'));
+app.use(`${API_V1_PREFIX}/promotions`, require('./controller/promotion/router'));
 app.use(`${API_V1_PREFIX}/purchases`, require('./controller/purchase/router'));
 app.use(`${API_V1_PREFIX}/users`, require('./controller/user/router'));
 app.use(
   `${API_V1_PREFIX}/purchase-items`,
   require('./controller/purchase-item/router'),
 );
+app.use(`${API_V1_PREFIX}/payroll-periods`, require('./controller/payroll-period/router'));
+app.use(`${API_V1_PREFIX}/subsidy-policies`, require('./controller/subsidy-policy/router'));
+app.use(`${API_V1_PREFIX}/pos`, require('./controller/pos/router'));
 app.use(`${API_V1_PREFIX}/admin/audit-logs`, require('./controller/audit/router'));
 app.use(`${API_V1_PREFIX}/admin/cache`, require('./controller/admin/router'));
 
@@ -151,6 +172,8 @@ function getErrorCode(status) {
     403: 'FORBIDDEN',
     404: 'NOT_FOUND',
     409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
     422: 'VALIDATION_ERROR',
     429: 'TOO_MANY_REQUESTS',
     500: 'INTERNAL_SERVER_ERROR',
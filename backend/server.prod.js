@@ -17,6 +17,8 @@ const app = require('./server');
 const { sequelize } = require('./model');
 const logger = require('./logger/logger');
 const { disconnect: disconnectRedis, getClient: getRedisClient } = require('./utils/redis');
+const priceChangeService = require('./services/priceChange.service');
+const priceChangeConfig = require('./config/priceChanges');
 
 // Railway provides PORT dynamically
 const PORT = process.env.PORT || 3000;
@@ -24,6 +26,9 @@ const PORT = process.env.PORT || 3000;
 // Server instance for graceful shutdown
 let server;
 
+// Price change worker, stopped on shutdown
+let priceChangeWorker;
+
 /**
  * Initialize and start the production server
  */
@@ -81,6 +86,11 @@ async function startServer() {
       process.exit(1);
     });
 
+    // Apply scheduled price changes when they are due
+    if (priceChangeConfig.worker.enabled) {
+      priceChangeWorker = priceChangeService.startWorker();
+    }
+
     return server;
 
   } catch (error) {
@@ -98,6 +108,10 @@ async function startServer() {
 async function gracefulShutdown(signal) {
   logger.info(`⚠️  Received ${signal}. Starting graceful shutdown...`);
 
+  if (priceChangeWorker) {
+    priceChangeWorker.cancel();
+  }
+
   // Stop accepting new connections
   if (server) {
     server.close(async () => {
@@ -0,0 +1,218 @@
+/**
+ * Allowance Service
+ *
+ * Evaluates an employee's month-to-date spend against their
+ * monthlyConsumptionValue using the policy from config/allowance.js.
+ */
+
+const createError = require('http-errors');
+const { Op, fn, literal } = require('sequelize');
+const db = require('../model');
+const allowanceConfig = require('../config/allowance');
+const availabilityConfig = require('../config/availability');
+const purchaseStatus = require('../config/purchaseStatus');
+const pricingService = require('./pricing.service');
+const locationService = require('./location.service');
+const { monthOf, monthRange } = require('../utils/calendar');
+
+const { POLICIES } = allowanceConfig;
+const {
+  employees: Employee,
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  purchaseDiscounts: PurchaseDiscount,
+  refunds: Refund,
+} = db;
+
+class AllowanceService {
+  /**
+   * Calendar month containing the given date, in the cafeteria timezone
+   *
+   * @param {Date|string} date - Reference date
+   * @returns {{from: Date, to: Date}}
+   */
+  getPeriod(date = new Date()) {
+    const { year, month } = monthOf(date, availabilityConfig.timezone);
+    return monthRange(year, month, availabilityConfig.timezone);
+  }
+
+  /**
+   * Net spend in the period: purchase items minus refunds issued
+   * A late refund frees allowance in the month it is issued.
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} period - { from, to }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>}
+   */
+  async getSpent(employeeId, period, { transaction } = {}) {
+    const purchased = await this.getPurchased(employeeId, period, { transaction });
+    const refunded = await this.getRefunded(employeeId, period, { transaction });
+
+    return pricingService.roundMoney(purchased - refunded);
+  }
+
+  /**
+   * Sum of the employee's purchase items in the period, net of discounts
+   * One query for the items, one for the discount lines
+   *
+   * Items are summed at their price snapshots, minus the purchase's
+   * discount lines (see promotion.service.js). Voided purchases are left out.
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} period - { from, to }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>}
+   */
+  async getPurchased(employeeId, { from, to }, { transaction } = {}) {
+    const purchaseInclude = {
+      model: Purchase,
+      as: 'purchase',
+      attributes: [],
+      where: {
+        employeeId,
+        date: { [Op.between]: [from, to] },
+        status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+      },
+    };
+
+    const result = await PurchaseItem.findOne({
+      attributes: [
+        [
+          fn('COALESCE', fn('SUM', literal('`purchaseItems`.`unitPrice` * `purchaseItems`.`quantity`')), 0),
+          'spent',
+        ],
+      ],
+      include: [purchaseInclude],
+      raw: true,
+      transaction,
+    });
+
+    const discounted = await PurchaseDiscount.findOne({
+      attributes: [[fn('COALESCE', fn('SUM', literal('`purchaseDiscounts`.`amount`')), 0), 'discount']],
+      include: [purchaseInclude],
+      raw: true,
+      transaction,
+    });
+
+    return pricingService.roundMoney(
+      (parseFloat(result?.spent) || 0) - (parseFloat(discounted?.discount) || 0),
+    );
+  }
+
+  /**
+   * Sum of the refunds issued to the employee in the period - single query
+   * Refunds of voided purchases are left out like the purchases.
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} period - { from, to }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>}
+   */
+  async getRefunded(employeeId, { from, to }, { transaction } = {}) {
+    const refunded = await Refund.sum('refunds.total', {
+      where: {
+        employeeId,
+        date: { [Op.between]: [from, to] },
+      },
+      include: [locationService.purchaseInclude()],
+      transaction,
+    });
+
+    return pricingService.roundMoney(parseFloat(refunded) || 0);
+  }
+
+  /**
+   * Get the employee's allowance balance for the month of the given date
+   *
+   * remaining is allowance - spent and goes negative once exceeded.
+   * available is what can still be spent before the policy blocks:
+   * remaining plus the overdraft limit under the overdraft policy.
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Query options
+   * @param {Date|string} options.date - Reference date (defaults to now)
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Object>}
+   */
+  async getBalance(employeeId, { date = new Date(), transaction } = {}) {
+    const employee = await Employee.findByPk(employeeId, {
+      attributes: ['id', 'monthlyConsumptionValue'],
+      transaction,
+    });
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${employeeId} not found`);
+    }
+
+    const period = this.getPeriod(date);
+    const spent = await this.getSpent(employee.id, period, { transaction });
+    const allowance = employee.monthlyConsumptionValue;
+    const { policy } = allowanceConfig;
+    const overdraftLimit = policy === POLICIES.OVERDRAFT ? allowanceConfig.overdraftLimit : 0;
+    const remaining = pricingService.roundMoney(allowance - spent);
+
+    return {
+      employeeId: employee.id,
+      policy,
+      allowance,
+      spent,
+      remaining,
+      overdraftLimit,
+      available: pricingService.roundMoney(remaining + overdraftLimit),
+      period,
+    };
+  }
+
+  /**
+   * Check that spending an additional amount is allowed by the policy
+   *
+   * - hard / overdraft: throws 422 ALLOWANCE_EXCEEDED with the balance
+   * - soft: returns a warning instead of throwing
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {number} amount - Amount about to be added (0 to validate current spend)
+   * @param {Object} options - Query options
+   * @param {Date|string} options.date - Purchase date
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<{balance: Object, warning: Object|null}>}
+   */
+  async check(employeeId, amount, { date, transaction } = {}) {
+    const balance = await this.getBalance(employeeId, { date, transaction });
+    const requested = pricingService.roundMoney(amount);
+
+    if (requested <= balance.available) {
+      return { balance, warning: null };
+    }
+
+    const details = {
+      employeeId: balance.employeeId,
+      policy: balance.policy,
+      allowance: balance.allowance,
+      spent: balance.spent,
+      requested,
+      remaining: balance.remaining,
+      available: balance.available,
+    };
+
+    if (balance.policy === POLICIES.SOFT) {
+      return {
+        balance,
+        warning: { message: 'Monthly allowance exceeded', ...details },
+      };
+    }
+
+    const error = createError(
+      422,
+      `Monthly allowance exceeded: ${requested} requested, ${Math.max(balance.available, 0)} available`,
+    );
+    error.code = 'ALLOWANCE_EXCEEDED';
+    error.details = details;
+    throw error;
+  }
+}
+
+module.exports = new AllowanceService();
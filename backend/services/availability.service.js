@@ -0,0 +1,290 @@
+/**
+ * Availability Service
+ *
+ * Time-based availability of products (breakfast only in the morning,
+ * a weekly special only on Fridays, a seasonal item only in December).
+ *
+ * A product without availability windows is always available. Otherwise
+ * it is available when any of its windows matches the moment in question,
+ * evaluated in the cafeteria timezone (see config/availability.js).
+ *
+ * Purchases check their items at the purchase date: items for a product
+ * that is not available then are rejected with 409 PRODUCT_NOT_AVAILABLE.
+ * A purchase dated by day only (midnight UTC) is checked at midnight, so
+ * clients should send the full timestamp.
+ *
+ * A location can also take a product off its menu altogether (see
+ * location.service.js); purchases made there reject it with the same
+ * 409 PRODUCT_NOT_AVAILABLE.
+ */
+
+const createError = require('http-errors');
+const db = require('../model');
+const availabilityConfig = require('../config/availability');
+const locationService = require('./location.service');
+
+const {
+  products: Product,
+  productAvailabilityWindows: AvailabilityWindow,
+  categories: Category,
+  sequelize,
+} = db;
+
+const WINDOW_ATTRIBUTES = ['id', 'label', 'weekdays', 'startTime', 'endTime', 'startDate', 'endDate'];
+
+const WEEKDAY_NUMBERS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Local date, ISO weekday and time of a moment in a timezone
+ *
+ * @param {Date} at - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {{date: string, weekday: number, time: string}}
+ */
+const localParts = (at, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+      .formatToParts(at)
+      .map(part => [part.type, part.value]),
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAY_NUMBERS[parts.weekday],
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+/**
+ * Whether a window matches a local moment
+ * Times are zero-padded HH:MM and dates YYYY-MM-DD, so they compare as strings.
+ */
+const matches = (window, local) => {
+  if (window.weekdays && !window.weekdays.includes(local.weekday)) {
+    return false;
+  }
+  if (window.startDate && local.date < window.startDate) {
+    return false;
+  }
+  if (window.endDate && local.date > window.endDate) {
+    return false;
+  }
+
+  return local.time >= (window.startTime || '00:00') && local.time < (window.endTime || '24:00');
+};
+
+/**
+ * Whether a product with these windows is available at a local moment
+ */
+const isOpen = (windows, local) => windows.length === 0 || windows.some(window => matches(window, local));
+
+/**
+ * Parse the moment to check, 400 when it is not a date
+ */
+const toDate = at => {
+  const date = at instanceof Date ? at : new Date(at);
+
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, `Invalid date: ${at}`);
+  }
+
+  return date;
+};
+
+/**
+ * 409 PRODUCT_NOT_AVAILABLE for a product outside its windows
+ */
+const notAvailable = (product, at, local, timezone) => {
+  const error = createError(
+    409,
+    `${product.name} is not available on ${local.date} at ${local.time} (${timezone})`,
+  );
+  error.code = 'PRODUCT_NOT_AVAILABLE';
+  error.details = {
+    productId: product.id,
+    productName: product.name,
+    at: at.toISOString(),
+    timezone,
+  };
+  return error;
+};
+
+/**
+ * 409 PRODUCT_NOT_AVAILABLE for a product a location does not sell
+ */
+const notSoldAt = ({ product, location }) => {
+  const error = createError(409, `${product.name} is not sold at ${location.name}`);
+  error.code = 'PRODUCT_NOT_AVAILABLE';
+  error.details = {
+    productId: product.id,
+    productName: product.name,
+    locationId: location.id,
+    locationName: location.name,
+  };
+  return error;
+};
+
+class AvailabilityService {
+  /**
+   * Get a product's availability windows
+   *
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>}
+   */
+  async findWindows(productId) {
+    const product = await Product.findByPk(productId, { attributes: ['id'] });
+
+    if (!product) {
+      throw createError(404, `Product with ID ${productId} not found`);
+    }
+
+    return AvailabilityWindow.findAll({
+      attributes: WINDOW_ATTRIBUTES,
+      where: { productId },
+      order: [['id', 'ASC']],
+    });
+  }
+
+  /**
+   * Replace a product's availability windows
+   * An empty list makes the product always available.
+   *
+   * @param {number} productId - Product ID
+   * @param {Array} windows - Array of { label, weekdays, startTime, endTime, startDate, endDate }
+   * @returns {Promise<Array>}
+   */
+  async setWindows(productId, windows) {
+    windows.forEach((window, index) => {
+      if (window.startTime && window.endTime && window.startTime >= window.endTime) {
+        throw createError(400, `Window ${index + 1}: endTime must be after startTime`);
+      }
+      if (window.startDate && window.endDate && window.startDate > window.endDate) {
+        throw createError(400, `Window ${index + 1}: endDate must not be before startDate`);
+      }
+    });
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const product = await Product.findByPk(productId, { attributes: ['id'], transaction });
+
+      if (!product) {
+        throw createError(404, `Product with ID ${productId} not found`);
+      }
+
+      await AvailabilityWindow.destroy({ where: { productId }, transaction });
+      await AvailabilityWindow.bulkCreate(
+        windows.map(window => ({ ...window, productId })),
+        { transaction, validate: true },
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to update availability: ${error.message}`);
+    }
+
+    return this.findWindows(productId);
+  }
+
+  /**
+   * Products available at a moment, by name
+   *
+   * @param {Date|string} at - Moment to check (default: now)
+   * @returns {Promise<{at: Date, timezone: string, data: Array}>}
+   */
+  async findAvailable(at = new Date()) {
+    const date = toDate(at);
+    const { timezone } = availabilityConfig;
+    const local = localParts(date, timezone);
+
+    const products = await Product.findAll({
+      include: [
+        { model: Category, as: 'category', attributes: ['id', 'name'] },
+        { model: AvailabilityWindow, as: 'availabilityWindows', attributes: WINDOW_ATTRIBUTES },
+      ],
+      order: [
+        ['name', 'ASC'],
+        [{ model: AvailabilityWindow, as: 'availabilityWindows' }, 'id', 'ASC'],
+      ],
+    });
+
+    return {
+      at: date,
+      timezone,
+      data: products.filter(product => isOpen(product.availabilityWindows, local)),
+    };
+  }
+
+  /**
+   * Whether a window matches a moment in the cafeteria timezone
+   * Also used for the time windows of promotions (see promotion.service.js).
+   *
+   * @param {Object} window - { weekdays, startTime, endTime, startDate, endDate }
+   * @param {Date|string} at - Moment to check
+   * @returns {boolean}
+   */
+  isWithinWindow(window, at) {
+    return matches(window, localParts(toDate(at), availabilityConfig.timezone));
+  }
+
+  /**
+   * Throw 409 PRODUCT_NOT_AVAILABLE when an item's product is not
+   * available at the given moment, or not sold at the given location
+   *
+   * @param {Array} items - Array of { productId }
+   * @param {Date|string} at - Moment of the purchase
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @param {number|null} options.locationId - Location of the purchase
+   */
+  async assertAvailableAt(items, at, { transaction, locationId = null } = {}) {
+    if (!items || items.length === 0) {
+      return;
+    }
+
+    const date = toDate(at);
+    const { timezone } = availabilityConfig;
+    const local = localParts(date, timezone);
+
+    const productIds = [...new Set(items.map(item => Number(item.productId)))];
+
+    const overrides = await locationService.getOverrides(locationId, productIds, { transaction });
+    const offMenu = [...overrides.values()].find(override => !override.available);
+    if (offMenu) {
+      throw notSoldAt(offMenu);
+    }
+
+    const windows = await AvailabilityWindow.findAll({
+      attributes: ['productId', ...WINDOW_ATTRIBUTES],
+      where: { productId: productIds },
+      include: [{ model: Product, as: 'product', attributes: ['id', 'name'] }],
+      transaction,
+    });
+
+    const byProduct = new Map();
+    windows.forEach(window => {
+      byProduct.set(window.productId, [...(byProduct.get(window.productId) || []), window]);
+    });
+
+    byProduct.forEach(productWindows => {
+      if (!isOpen(productWindows, local)) {
+        throw notAvailable(productWindows[0].product, date, local, timezone);
+      }
+    });
+  }
+}
+
+module.exports = new AvailabilityService();
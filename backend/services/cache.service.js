@@ -117,6 +117,34 @@ class CacheService {
     }
   }
 
+  /**
+   * Set cache value only if the key does not exist yet (SET NX)
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache (will be JSON stringified)
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean|null>} true if set, false if the key exists, null if Redis failed
+   */
+  async setIfAbsent(key, value, ttl = this.defaultTTL) {
+    const client = this.getRedisClient();
+
+    if (!client) {
+      return null;
+    }
+
+    try {
+      const result = await client.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+
+      logger.debug('Cache set if absent', { key, ttl, set: result === 'OK' });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Cache set if absent error', {
+        key,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   /**
    * Delete cache by exact key
    * @param {string} key - Cache key
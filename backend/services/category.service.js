@@ -0,0 +1,264 @@
+/**
+ * Category Service
+ *
+ * Hierarchical product categories. The tree is small (tens of rows), so it
+ * is loaded in one query and walked in memory for paths, subcategories and
+ * cycle checks.
+ *
+ * A category with subcategories or products cannot be deleted; move or
+ * delete those first.
+ */
+
+const createError = require('http-errors');
+const { Sequelize } = require('sequelize');
+const db = require('../model');
+const { pathOf, subtreeIds, buildTree, flattenTree } = require('../utils/tree');
+
+const { categories: Category, products: Product, sequelize } = db;
+
+/**
+ * 409 with a code and details
+ */
+const conflict = (message, code, details) => {
+  const error = createError(409, message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * All categories as plain rows, by name
+ */
+const loadAll = ({ transaction } = {}) =>
+  Category.findAll({
+    attributes: ['id', 'name', 'parentId'],
+    order: [['name', 'ASC']],
+    raw: true,
+    transaction,
+  });
+
+class CategoryService {
+  /**
+   * Get all categories
+   *
+   * The flat list is in tree order (each category followed by its
+   * subcategories) with depth and path, ready for an indented select.
+   *
+   * @param {Object} options - Query options
+   * @param {boolean} options.tree - Nest subcategories under children instead
+   * @returns {Promise<Array>}
+   */
+  async findAll({ tree = false } = {}) {
+    const [rows, counts] = await Promise.all([
+      loadAll(),
+      Product.findAll({
+        attributes: ['categoryId', [Sequelize.fn('COUNT', Sequelize.col('id')), 'productCount']],
+        group: ['categoryId'],
+        raw: true,
+      }),
+    ]);
+
+    const productCounts = new Map(counts.map(c => [c.categoryId, parseInt(c.productCount, 10)]));
+
+    const roots = buildTree(rows, row => ({ productCount: productCounts.get(row.id) || 0 }));
+
+    return tree ? roots : flattenTree(roots);
+  }
+
+  /**
+   * Get category by ID with its path, parent and direct subcategories
+   *
+   * @param {number} id - Category ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const category = await Category.findByPk(id, {
+      include: [
+        { model: Category, as: 'parent', attributes: ['id', 'name', 'parentId'] },
+        { model: Category, as: 'children', attributes: ['id', 'name', 'parentId'] },
+      ],
+      order: [[{ model: Category, as: 'children' }, 'name', 'ASC']],
+    });
+
+    if (!category) {
+      throw createError(404, `Category with ID ${id} not found`);
+    }
+
+    const byId = new Map((await loadAll()).map(row => [row.id, row]));
+
+    return {
+      ...category.toJSON(),
+      path: pathOf(byId, category.id),
+    };
+  }
+
+  /**
+   * IDs of a category and all of its subcategories
+   * Used by the product list's category filter.
+   *
+   * @param {number} id - Category ID
+   * @returns {Promise<number[]>}
+   */
+  async getSubtreeIds(id) {
+    return subtreeIds(await loadAll(), id);
+  }
+
+  /**
+   * Paths of all categories, e.g. 12 => ['Drinks', 'Coffee']
+   *
+   * @returns {Promise<Map<number, string[]>>}
+   */
+  async getPaths() {
+    const rows = await loadAll();
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    return new Map(rows.map(row => [row.id, pathOf(byId, row.id)]));
+  }
+
+  /**
+   * Create a category
+   *
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const parentId = data.parentId ?? null;
+      await this.assertParent(parentId, { transaction });
+      await this.assertUniqueName(data.name, parentId, null, { transaction });
+
+      const category = await Category.create({ name: data.name, parentId }, { transaction });
+
+      await transaction.commit();
+      return category;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to create category: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename or move a category
+   *
+   * @param {number} id - Category ID
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const category = await Category.findByPk(id, { transaction });
+
+      if (!category) {
+        throw createError(404, `Category with ID ${id} not found`);
+      }
+
+      const parentId = data.parentId !== undefined ? data.parentId : category.parentId;
+      const name = data.name ?? category.name;
+
+      if (parentId !== category.parentId) {
+        await this.assertParent(parentId, { transaction });
+
+        // Moving a category under itself or its own subcategory would make a cycle
+        const rows = await loadAll({ transaction });
+        if (subtreeIds(rows, category.id).includes(parentId)) {
+          throw createError(400, 'A category cannot be moved under itself or one of its subcategories');
+        }
+      }
+
+      if (name !== category.name || parentId !== category.parentId) {
+        await this.assertUniqueName(name, parentId, category.id, { transaction });
+      }
+
+      await category.update({ name, parentId }, { transaction });
+
+      await transaction.commit();
+      return category;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to update category: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an empty category
+   *
+   * @param {number} id - Category ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const category = await Category.findByPk(id);
+
+    if (!category) {
+      throw createError(404, `Category with ID ${id} not found`);
+    }
+
+    const [subcategories, products] = await Promise.all([
+      Category.count({ where: { parentId: id } }),
+      Product.count({ where: { categoryId: id } }),
+    ]);
+
+    if (subcategories > 0 || products > 0) {
+      throw conflict(
+        `Cannot delete category "${category.name}" while it has subcategories or products`,
+        'CATEGORY_NOT_EMPTY',
+        { subcategories, products },
+      );
+    }
+
+    await category.destroy();
+    return { deleted: true, id };
+  }
+
+  /**
+   * Throw 400 unless the parent category exists (null is the top level)
+   *
+   * @param {number|null} parentId - Parent category ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertParent(parentId, { transaction } = {}) {
+    if (parentId === null) {
+      return;
+    }
+
+    const parent = await Category.findByPk(parentId, { attributes: ['id'], transaction });
+    if (!parent) {
+      throw createError(400, `Parent category with ID ${parentId} not found`);
+    }
+  }
+
+  /**
+   * Throw 409 when a sibling already has the name
+   * Checked here because the unique index does not cover top-level
+   * categories (NULL parentId) on every database.
+   *
+   * @param {string} name - Category name
+   * @param {number|null} parentId - Parent category ID
+   * @param {number|null} excludeId - Category being renamed
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertUniqueName(name, parentId, excludeId, { transaction } = {}) {
+    const existing = await Category.findOne({
+      where: { name, parentId },
+      attributes: ['id'],
+      transaction,
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw createError(409, `Category "${name}" already exists here`);
+    }
+  }
+}
+
+module.exports = new CategoryService();
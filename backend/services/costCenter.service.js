@@ -0,0 +1,239 @@
+/**
+ * Cost Center Service
+ *
+ * Hierarchical cost centers, identified by their unique code and walked
+ * in memory like categories (see utils/tree.js). Employees are charged to
+ * a cost center through organization.service.js, which keeps the
+ * assignment history.
+ *
+ * A cost center with sub-cost centers or employees - current or in the
+ * assignment history - cannot be deleted, so past purchases keep their
+ * cost center in the reports.
+ */
+
+const createError = require('http-errors');
+const { Sequelize } = require('sequelize');
+const db = require('../model');
+const { pathOf, subtreeIds, buildTree, flattenTree } = require('../utils/tree');
+
+const {
+  costCenters: CostCenter,
+  employees: Employee,
+  employeeAssignments: EmployeeAssignment,
+  sequelize,
+} = db;
+
+/**
+ * All cost centers as plain rows, by code
+ */
+const loadAll = ({ transaction } = {}) =>
+  CostCenter.findAll({
+    attributes: ['id', 'code', 'name', 'parentId'],
+    order: [['code', 'ASC']],
+    raw: true,
+    transaction,
+  });
+
+/**
+ * 409 for a code that is already taken
+ */
+const codeTaken = code => createError(409, `Cost center with code ${code} already exists`);
+
+class CostCenterService {
+  /**
+   * Get all cost centers
+   *
+   * The flat list is in tree order (each cost center followed by its
+   * sub-cost centers) with depth, path and the number of employees
+   * currently charged to it.
+   *
+   * @param {Object} options - Query options
+   * @param {boolean} options.tree - Nest sub-cost centers under children instead
+   * @returns {Promise<Array>}
+   */
+  async findAll({ tree = false } = {}) {
+    const [rows, counts] = await Promise.all([
+      loadAll(),
+      Employee.findAll({
+        attributes: ['costCenterId', [Sequelize.fn('COUNT', Sequelize.col('id')), 'employeeCount']],
+        group: ['costCenterId'],
+        raw: true,
+      }),
+    ]);
+
+    const employeeCounts = new Map(counts.map(c => [c.costCenterId, parseInt(c.employeeCount, 10)]));
+
+    const roots = buildTree(rows, row => ({ employeeCount: employeeCounts.get(row.id) || 0 }));
+
+    return tree ? roots : flattenTree(roots);
+  }
+
+  /**
+   * Get cost center by ID with its path, parent and direct sub-cost centers
+   *
+   * @param {number} id - Cost center ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const attributes = ['id', 'code', 'name', 'parentId'];
+    const costCenter = await CostCenter.findByPk(id, {
+      include: [
+        { model: CostCenter, as: 'parent', attributes },
+        { model: CostCenter, as: 'children', attributes },
+      ],
+      order: [[{ model: CostCenter, as: 'children' }, 'code', 'ASC']],
+    });
+
+    if (!costCenter) {
+      throw createError(404, `Cost center with ID ${id} not found`);
+    }
+
+    const byId = new Map((await loadAll()).map(row => [row.id, row]));
+
+    return {
+      ...costCenter.toJSON(),
+      path: pathOf(byId, costCenter.id),
+    };
+  }
+
+  /**
+   * IDs of a cost center and all of its sub-cost centers
+   *
+   * @param {number} id - Cost center ID
+   * @returns {Promise<number[]>}
+   */
+  async getSubtreeIds(id) {
+    return subtreeIds(await loadAll(), id);
+  }
+
+  /**
+   * Codes, names and paths of all cost centers
+   *
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async getPaths() {
+    const rows = await loadAll();
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    return new Map(rows.map(row => [row.id, { code: row.code, name: row.name, path: pathOf(byId, row.id) }]));
+  }
+
+  /**
+   * Create a cost center
+   *
+   * @param {Object} data - { code, name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    const parentId = data.parentId ?? null;
+    await this.assertExists(parentId, { label: 'Parent cost center' });
+
+    try {
+      return await CostCenter.create({ code: data.code, name: data.name, parentId });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw codeTaken(data.code);
+      }
+      throw createError(500, `Failed to create cost center: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the code or name of a cost center, or move it
+   *
+   * @param {number} id - Cost center ID
+   * @param {Object} data - { code, name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const costCenter = await CostCenter.findByPk(id, { transaction });
+
+      if (!costCenter) {
+        throw createError(404, `Cost center with ID ${id} not found`);
+      }
+
+      const parentId = data.parentId !== undefined ? data.parentId : costCenter.parentId;
+
+      if (parentId !== costCenter.parentId) {
+        await this.assertExists(parentId, { transaction, label: 'Parent cost center' });
+
+        // Moving a cost center under itself or its own sub-cost center would make a cycle
+        const rows = await loadAll({ transaction });
+        if (subtreeIds(rows, costCenter.id).includes(parentId)) {
+          throw createError(400, 'A cost center cannot be moved under itself or one of its sub-cost centers');
+        }
+      }
+
+      await costCenter.update({ ...data, parentId }, { transaction });
+
+      await transaction.commit();
+      return costCenter;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw codeTaken(data.code);
+      }
+      throw createError(500, `Failed to update cost center: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a cost center nobody was ever charged to
+   *
+   * @param {number} id - Cost center ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const costCenter = await CostCenter.findByPk(id);
+
+    if (!costCenter) {
+      throw createError(404, `Cost center with ID ${id} not found`);
+    }
+
+    const [subCostCenters, employees, assignments] = await Promise.all([
+      CostCenter.count({ where: { parentId: id } }),
+      Employee.count({ where: { costCenterId: id }, paranoid: false }),
+      EmployeeAssignment.count({ where: { costCenterId: id } }),
+    ]);
+
+    if (subCostCenters > 0 || employees > 0 || assignments > 0) {
+      const error = createError(
+        409,
+        `Cannot delete cost center ${costCenter.code} while it has sub-cost centers or employees`,
+      );
+      error.code = 'COST_CENTER_NOT_EMPTY';
+      error.details = { subCostCenters, employees, assignments };
+      throw error;
+    }
+
+    await costCenter.destroy();
+    return { deleted: true, id };
+  }
+
+  /**
+   * Throw 400 unless the cost center exists (null is none)
+   *
+   * @param {number|null|undefined} id - Cost center ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @param {string} options.label - What the ID is, for the message
+   */
+  async assertExists(id, { transaction, label = 'Cost center' } = {}) {
+    if (id === null || id === undefined) {
+      return;
+    }
+
+    const costCenter = await CostCenter.findByPk(id, { attributes: ['id'], transaction });
+    if (!costCenter) {
+      throw createError(400, `${label} with ID ${id} not found`);
+    }
+  }
+}
+
+module.exports = new CostCenterService();
@@ -0,0 +1,264 @@
+/**
+ * Department Service
+ *
+ * Hierarchical departments, walked in memory like categories (see
+ * utils/tree.js). Employees are moved between departments through
+ * organization.service.js, which keeps the assignment history.
+ *
+ * A department with subdepartments or employees - current or in the
+ * assignment history - cannot be deleted, so past purchases keep their
+ * department in the reports.
+ */
+
+const createError = require('http-errors');
+const { Sequelize } = require('sequelize');
+const db = require('../model');
+const { pathOf, subtreeIds, buildTree, flattenTree } = require('../utils/tree');
+
+const {
+  departments: Department,
+  employees: Employee,
+  employeeAssignments: EmployeeAssignment,
+  sequelize,
+} = db;
+
+/**
+ * All departments as plain rows, by name
+ */
+const loadAll = ({ transaction } = {}) =>
+  Department.findAll({
+    attributes: ['id', 'name', 'parentId'],
+    order: [['name', 'ASC']],
+    raw: true,
+    transaction,
+  });
+
+class DepartmentService {
+  /**
+   * Get all departments
+   *
+   * The flat list is in tree order (each department followed by its
+   * subdepartments) with depth, path and the number of employees
+   * currently in it.
+   *
+   * @param {Object} options - Query options
+   * @param {boolean} options.tree - Nest subdepartments under children instead
+   * @returns {Promise<Array>}
+   */
+  async findAll({ tree = false } = {}) {
+    const [rows, counts] = await Promise.all([
+      loadAll(),
+      Employee.findAll({
+        attributes: ['departmentId', [Sequelize.fn('COUNT', Sequelize.col('id')), 'employeeCount']],
+        group: ['departmentId'],
+        raw: true,
+      }),
+    ]);
+
+    const employeeCounts = new Map(counts.map(c => [c.departmentId, parseInt(c.employeeCount, 10)]));
+
+    const roots = buildTree(rows, row => ({ employeeCount: employeeCounts.get(row.id) || 0 }));
+
+    return tree ? roots : flattenTree(roots);
+  }
+
+  /**
+   * Get department by ID with its path, parent and direct subdepartments
+   *
+   * @param {number} id - Department ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const department = await Department.findByPk(id, {
+      include: [
+        { model: Department, as: 'parent', attributes: ['id', 'name', 'parentId'] },
+        { model: Department, as: 'children', attributes: ['id', 'name', 'parentId'] },
+      ],
+      order: [[{ model: Department, as: 'children' }, 'name', 'ASC']],
+    });
+
+    if (!department) {
+      throw createError(404, `Department with ID ${id} not found`);
+    }
+
+    const byId = new Map((await loadAll()).map(row => [row.id, row]));
+
+    return {
+      ...department.toJSON(),
+      path: pathOf(byId, department.id),
+    };
+  }
+
+  /**
+   * IDs of a department and all of its subdepartments
+   *
+   * @param {number} id - Department ID
+   * @returns {Promise<number[]>}
+   */
+  async getSubtreeIds(id) {
+    return subtreeIds(await loadAll(), id);
+  }
+
+  /**
+   * Names and paths of all departments, e.g. 4 => { name: 'Kitchen', path: ['Operations', 'Kitchen'] }
+   *
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async getPaths() {
+    const rows = await loadAll();
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    return new Map(rows.map(row => [row.id, { name: row.name, path: pathOf(byId, row.id) }]));
+  }
+
+  /**
+   * Create a department
+   *
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const parentId = data.parentId ?? null;
+      await this.assertExists(parentId, { transaction, label: 'Parent department' });
+      await this.assertUniqueName(data.name, parentId, null, { transaction });
+
+      const department = await Department.create({ name: data.name, parentId }, { transaction });
+
+      await transaction.commit();
+      return department;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to create department: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename or move a department
+   *
+   * @param {number} id - Department ID
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const department = await Department.findByPk(id, { transaction });
+
+      if (!department) {
+        throw createError(404, `Department with ID ${id} not found`);
+      }
+
+      const parentId = data.parentId !== undefined ? data.parentId : department.parentId;
+      const name = data.name ?? department.name;
+
+      if (parentId !== department.parentId) {
+        await this.assertExists(parentId, { transaction, label: 'Parent department' });
+
+        // Moving a department under itself or its own subdepartment would make a cycle
+        const rows = await loadAll({ transaction });
+        if (subtreeIds(rows, department.id).includes(parentId)) {
+          throw createError(400, 'A department cannot be moved under itself or one of its subdepartments');
+        }
+      }
+
+      if (name !== department.name || parentId !== department.parentId) {
+        await this.assertUniqueName(name, parentId, department.id, { transaction });
+      }
+
+      await department.update({ name, parentId }, { transaction });
+
+      await transaction.commit();
+      return department;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to update department: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a department nobody was ever assigned to
+   *
+   * @param {number} id - Department ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const department = await Department.findByPk(id);
+
+    if (!department) {
+      throw createError(404, `Department with ID ${id} not found`);
+    }
+
+    const [subdepartments, employees, assignments] = await Promise.all([
+      Department.count({ where: { parentId: id } }),
+      Employee.count({ where: { departmentId: id }, paranoid: false }),
+      EmployeeAssignment.count({ where: { departmentId: id } }),
+    ]);
+
+    if (subdepartments > 0 || employees > 0 || assignments > 0) {
+      const error = createError(
+        409,
+        `Cannot delete department "${department.name}" while it has subdepartments or employees`,
+      );
+      error.code = 'DEPARTMENT_NOT_EMPTY';
+      error.details = { subdepartments, employees, assignments };
+      throw error;
+    }
+
+    await department.destroy();
+    return { deleted: true, id };
+  }
+
+  /**
+   * Throw 400 unless the department exists (null is none)
+   *
+   * @param {number|null|undefined} id - Department ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @param {string} options.label - What the ID is, for the message
+   */
+  async assertExists(id, { transaction, label = 'Department' } = {}) {
+    if (id === null || id === undefined) {
+      return;
+    }
+
+    const department = await Department.findByPk(id, { attributes: ['id'], transaction });
+    if (!department) {
+      throw createError(400, `${label} with ID ${id} not found`);
+    }
+  }
+
+  /**
+   * Throw 409 when a sibling already has the name
+   * Checked here because the unique index does not cover top-level
+   * departments (NULL parentId) on every database.
+   *
+   * @param {string} name - Department name
+   * @param {number|null} parentId - Parent department ID
+   * @param {number|null} excludeId - Department being renamed
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertUniqueName(name, parentId, excludeId, { transaction } = {}) {
+    const existing = await Department.findOne({
+      where: { name, parentId },
+      attributes: ['id'],
+      transaction,
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw createError(409, `Department "${name}" already exists here`);
+    }
+  }
+}
+
+module.exports = new DepartmentService();
@@ -0,0 +1,215 @@
+/**
+ * Dietary Service
+ *
+ * Checks the products of a basket against the employee's dietary profile
+ * (allergies and dietary restrictions, see the employees model).
+ *
+ * An item conflicts with the profile when its product
+ * - declares an allergen the employee is allergic to (allergen)
+ * - lacks a dietary label the employee requires (diet); vegan products
+ *   satisfy a vegetarian restriction
+ * A product that has not declared its allergens cannot be checked against
+ * the allergies; it is reported as undeclared but never blocked.
+ *
+ * Under the employee's block policy conflicting items are rejected with
+ * 422 DIETARY_CONFLICT; under warn the purchase is saved and returned with
+ * dietaryWarnings, like the soft allowance policy.
+ *
+ * Employees keep their own profile through getProfile() / updateProfile().
+ */
+
+const createError = require('http-errors');
+const db = require('../model');
+const dietaryConfig = require('../config/dietary');
+
+const {
+  employees: Employee,
+  products: Product,
+} = db;
+
+const { CONFLICT_POLICIES, WARNING_TYPES } = dietaryConfig;
+
+const PROFILE_ATTRIBUTES = ['id', 'allergies', 'dietaryRestrictions', 'dietaryConflictPolicy'];
+
+/**
+ * Profile fields of an employee
+ */
+const toProfile = employee => ({
+  employeeId: employee.id,
+  allergies: employee.allergies,
+  dietaryRestrictions: employee.dietaryRestrictions,
+  dietaryConflictPolicy: employee.dietaryConflictPolicy,
+});
+
+// The label itself and the labels implying it
+const satisfyingLabels = label => [label, ...(dietaryConfig.IMPLIED_BY[label] || [])];
+
+/**
+ * Warnings for one product against an employee's profile
+ */
+const productWarnings = (employee, product, satisfies) => {
+  const allergies = employee.allergies || [];
+  const warnings = [];
+  const base = { productId: product.id, productName: product.name };
+
+  if (allergies.length > 0 && !product.allergens) {
+    warnings.push({
+      ...base,
+      type: WARNING_TYPES.UNDECLARED,
+      message: `${product.name} has no declared allergens`,
+    });
+  } else {
+    const allergens = allergies.filter(allergen => product.allergens.includes(allergen));
+    if (allergens.length > 0) {
+      warnings.push({
+        ...base,
+        type: WARNING_TYPES.ALLERGEN,
+        allergens,
+        message: `${product.name} contains ${allergens.join(', ')}`,
+      });
+    }
+  }
+
+  const labels = (employee.dietaryRestrictions || []).filter(label => !satisfies(product.dietaryLabels, label));
+  if (labels.length > 0) {
+    warnings.push({
+      ...base,
+      type: WARNING_TYPES.DIET,
+      labels,
+      message: `${product.name} is not ${labels.join(', ')}`,
+    });
+  }
+
+  return warnings;
+};
+
+class DietaryService {
+  /**
+   * Get an employee's dietary profile
+   *
+   * @param {number} employeeId - Employee ID
+   * @returns {Promise<Object>}
+   */
+  async getProfile(employeeId) {
+    const employee = await Employee.findByPk(employeeId, { attributes: PROFILE_ATTRIBUTES });
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${employeeId} not found`);
+    }
+
+    return toProfile(employee);
+  }
+
+  /**
+   * Update an employee's dietary profile
+   * Only purchases changed afterwards are checked against it.
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} data - { allergies, dietaryRestrictions, dietaryConflictPolicy }
+   * @returns {Promise<Object>}
+   */
+  async updateProfile(employeeId, data) {
+    const employee = await Employee.findByPk(employeeId);
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${employeeId} not found`);
+    }
+
+    try {
+      await employee.update(data);
+      return toProfile(employee);
+    } catch (error) {
+      throw createError(500, `Failed to update dietary profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a product's dietary labels satisfy a required label
+   *
+   * @param {string[]|null} labels - Product dietary labels
+   * @param {string} label - Required label
+   * @returns {boolean}
+   */
+  satisfies(labels, label) {
+    return satisfyingLabels(label).some(l => (labels || []).includes(l));
+  }
+
+  /**
+   * Labels that satisfy a required label: the label and those implying it
+   *
+   * @param {string} label - Required label
+   * @returns {string[]}
+   */
+  satisfyingLabels(label) {
+    return satisfyingLabels(label);
+  }
+
+  /**
+   * Dietary warnings for the items of a basket
+   * One entry per product and kind of conflict; blocking is set when the
+   * employee's policy rejects the item.
+   *
+   * @param {number} employeeId - Employee buying
+   * @param {Array} items - Items with productId
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array>}
+   */
+  async findWarnings(employeeId, items, { transaction } = {}) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const employee = await Employee.findByPk(employeeId, {
+      attributes: PROFILE_ATTRIBUTES,
+      paranoid: false,
+      transaction,
+    });
+
+    if (!employee || (employee.allergies.length === 0 && employee.dietaryRestrictions.length === 0)) {
+      return [];
+    }
+
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await Product.findAll({
+      attributes: ['id', 'name', 'allergens', 'dietaryLabels'],
+      where: { id: productIds },
+      transaction,
+    });
+    const byId = new Map(products.map(product => [product.id, product]));
+    const blocks = employee.dietaryConflictPolicy === CONFLICT_POLICIES.BLOCK;
+
+    return productIds
+      .filter(id => byId.has(id))
+      .flatMap(id => productWarnings(employee, byId.get(id), this.satisfies))
+      .map(warning => ({ ...warning, blocking: blocks && warning.type !== WARNING_TYPES.UNDECLARED }));
+  }
+
+  /**
+   * Check the items of a basket against the employee's dietary profile
+   *
+   * - block: throws 422 DIETARY_CONFLICT listing the conflicts
+   * - warn: returns the warnings instead of throwing
+   *
+   * @param {number} employeeId - Employee buying
+   * @param {Array} items - Items with productId
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Warnings that do not block
+   */
+  async check(employeeId, items, { transaction } = {}) {
+    const warnings = await this.findWarnings(employeeId, items, { transaction });
+    const conflicts = warnings.filter(warning => warning.blocking);
+
+    if (conflicts.length > 0) {
+      const error = createError(422, `Dietary conflict: ${conflicts.map(c => c.message).join('; ')}`);
+      error.code = 'DIETARY_CONFLICT';
+      error.details = { employeeId, conflicts };
+      throw error;
+    }
+
+    return warnings;
+  }
+}
+
+module.exports = new DietaryService();
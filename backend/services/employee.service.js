@@ -6,13 +6,28 @@
  *
  * SOFT DELETE: Employees are never physically deleted.
  * The paranoid mode in Sequelize handles this automatically.
+ *
+ * USER LINK: An employee can be linked to one user account (employees.userId).
+ * Admins link/unlink explicitly; register auto-links by email or employee number.
+ *
+ * SUBSIDY: employees.subsidyPolicyId must name an existing policy (400
+ * otherwise, see subsidy.service.js).
+ *
+ * ORGANIZATION: setting departmentId or costCenterId moves the employee as
+ * of today and is recorded in the assignment history (see
+ * organization.service.js).
  */
 
 const createError = require('http-errors');
 const { Sequelize, Op } = require('sequelize');
 const db = require('../model');
+const purchaseStatus = require('../config/purchaseStatus');
+const subsidyService = require('./subsidy.service');
+const organizationService = require('./organization.service');
+const locationService = require('./location.service');
+const { assertVersion, isOptimisticLockError, preconditionFailed } = require('../utils/concurrency');
 
-const { employees: Employee, purchases: Purchase, sequelize } = db;
+const { employees: Employee, purchases: Purchase, refunds: Refund, users: User, sequelize } = db;
 
 /**
  * Include configurations for eager loading
@@ -22,19 +37,41 @@ const INCLUDES = {
   purchases: {
     model: Purchase,
     as: 'purchases',
-    attributes: ['id', 'date', 'total', 'closed'],
+    attributes: ['id', 'date', 'total', 'status'],
   },
 
-  // Include only open purchases
+  // Include only open (draft or open) purchases
   openPurchases: {
     model: Purchase,
     as: 'purchases',
     attributes: ['id', 'date', 'total'],
-    where: { closed: false },
+    where: { status: purchaseStatus.EDITABLE },
     required: false,
   },
 };
 
+/**
+ * Whether the data changes the employee's department or cost center
+ */
+const movesEmployee = (employee, data) =>
+  (data.departmentId !== undefined && data.departmentId !== employee.departmentId) ||
+  (data.costCenterId !== undefined && data.costCenterId !== employee.costCenterId);
+
+/**
+ * 409 message for a unique constraint violation (employee number, email or badge)
+ */
+const uniqueConflictMessage = error => {
+  const fields = [...Object.keys(error.fields || {}), ...(error.errors || []).map(e => e.path)];
+
+  if (fields.some(field => String(field).includes('email'))) {
+    return 'Employee with this email already exists';
+  }
+  if (fields.some(field => String(field).includes('badge'))) {
+    return 'Employee with this badge number already exists';
+  }
+  return 'Employee with this employee number already exists';
+};
+
 class EmployeeService {
   /**
    * Get paginated employees (excludes soft-deleted by default)
@@ -120,18 +157,24 @@ class EmployeeService {
       throw createError(404, `Employee with ID ${id} not found`);
     }
 
-    // Calculate stats
+    const totalRefunded = parseFloat(await Refund.sum('refunds.total', {
+      where: { employeeId: id },
+      include: [locationService.purchaseInclude()],
+    })) || 0;
+
+    // Calculate stats - voided purchases are not spending, refunds are credited back
     const purchases = employee.purchases || [];
+    const open = purchases.filter(p => purchaseStatus.EDITABLE.includes(p.status));
+    const counted = purchases.filter(p => !purchaseStatus.EXCLUDED_FROM_SPENDING.includes(p.status));
     const stats = {
       totalPurchases: purchases.length,
-      openPurchases: purchases.filter(p => !p.closed).length,
+      openPurchases: open.length,
       closedPurchases: purchases.filter(p => p.closed).length,
-      totalSpent: purchases.reduce((sum, p) => sum + parseFloat(p.total || 0), 0),
+      totalSpent: counted.reduce((sum, p) => sum + parseFloat(p.total || 0), 0) - totalRefunded,
+      totalRefunded,
       remainingAllowance:
         employee.monthlyConsumptionValue -
-        purchases
-          .filter(p => !p.closed)
-          .reduce((sum, p) => sum + parseFloat(p.total || 0), 0),
+        open.reduce((sum, p) => sum + parseFloat(p.total || 0), 0),
     };
 
     return {
@@ -186,12 +229,24 @@ class EmployeeService {
    * @returns {Promise<Object>}
    */
   async create(data) {
+    await subsidyService.assertExists(data.subsidyPolicyId);
+    await organizationService.assertUnits(data);
+
+    const transaction = await sequelize.transaction();
+
     try {
-      const employee = await Employee.create(data);
+      const employee = await Employee.create(data, { transaction });
+      await organizationService.recordHistory(employee, { transaction });
+
+      await transaction.commit();
       return employee;
     } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
       if (error.name === 'SequelizeUniqueConstraintError') {
-        throw createError(409, 'Employee with this employee number already exists');
+        throw createError(409, uniqueConflictMessage(error));
       }
       if (error.name === 'SequelizeValidationError') {
         const messages = error.errors.map(e => e.message).join(', ');
@@ -206,21 +261,43 @@ class EmployeeService {
    *
    * @param {number} id - Employee ID
    * @param {Object} data - Updated data
+   * @param {Object} options - Update options
+   * @param {Object|null} options.ifMatch - Parsed If-Match (412 when the version is stale)
    * @returns {Promise<Object>}
    */
-  async update(id, data) {
+  async update(id, data, { ifMatch = null } = {}) {
     const employee = await Employee.findByPk(id);
 
     if (!employee) {
       throw createError(404, `Employee with ID ${id} not found`);
     }
 
+    assertVersion(employee, ifMatch);
+    await subsidyService.assertExists(data.subsidyPolicyId);
+    await organizationService.assertUnits(data);
+
+    const moved = movesEmployee(employee, data);
+    const transaction = await sequelize.transaction();
+
     try {
-      await employee.update(data);
+      await employee.update(data, { transaction });
+      if (moved) {
+        await organizationService.recordHistory(employee, { transaction });
+      }
+
+      await transaction.commit();
       return employee;
     } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      if (isOptimisticLockError(error)) {
+        await employee.reload();
+        throw preconditionFailed(employee.version);
+      }
       if (error.name === 'SequelizeUniqueConstraintError') {
-        throw createError(409, 'Employee with this employee number already exists');
+        throw createError(409, uniqueConflictMessage(error));
       }
       if (error.name === 'SequelizeValidationError') {
         const messages = error.errors.map(e => e.message).join(', ');
@@ -303,6 +380,111 @@ class EmployeeService {
     return { deleted: true, id, hardDeleted: true };
   }
 
+  /**
+   * Get the employee linked to a user account
+   *
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} - Linked employee or null
+   */
+  async findByUserId(userId) {
+    return Employee.findOne({ where: { userId } });
+  }
+
+  /**
+   * Link an employee to a user account
+   * A user can be linked to at most one employee and vice versa.
+   *
+   * @param {number} id - Employee ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async linkUser(id, userId) {
+    const employee = await Employee.findByPk(id);
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${id} not found`);
+    }
+
+    const user = await User.findByPk(userId, { attributes: ['id'] });
+
+    if (!user) {
+      throw createError(404, `User with ID ${userId} not found`);
+    }
+
+    if (employee.userId === user.id) {
+      return employee;
+    }
+
+    if (employee.userId) {
+      throw createError(409, `Employee with ID ${id} is already linked to user ${employee.userId}`);
+    }
+
+    // Include soft-deleted employees - the unique index still applies to them
+    const linked = await Employee.findOne({ where: { userId: user.id }, paranoid: false });
+    if (linked) {
+      throw createError(409, `User with ID ${userId} is already linked to employee ${linked.id}`);
+    }
+
+    await employee.update({ userId: user.id });
+    return employee;
+  }
+
+  /**
+   * Remove the user link from an employee
+   *
+   * @param {number} id - Employee ID
+   * @returns {Promise<Object>}
+   */
+  async unlinkUser(id) {
+    const employee = await Employee.findByPk(id);
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${id} not found`);
+    }
+
+    if (!employee.userId) {
+      throw createError(400, `Employee with ID ${id} is not linked to a user`);
+    }
+
+    await employee.update({ userId: null });
+    return employee;
+  }
+
+  /**
+   * Link a newly registered user to their employee record
+   *
+   * Matches an unlinked employee by email first. An employee number only
+   * matches when that employee has no different email on file, so a known
+   * employee number alone cannot claim someone else's record.
+   *
+   * @param {Object} user - User instance
+   * @param {Object} options - Match options
+   * @param {string} options.employeeNumber - Employee number given on register
+   * @returns {Promise<Object|null>} - Linked employee or null
+   */
+  async autoLinkUser(user, { employeeNumber } = {}) {
+    const email = user.email.toLowerCase();
+    const candidates = [{ email }];
+    if (employeeNumber) {
+      candidates.push({ employee_number: employeeNumber });
+    }
+
+    const employees = await Employee.findAll({
+      where: { userId: null, [Op.or]: candidates },
+    });
+
+    const employee =
+      employees.find(e => e.email === email) ||
+      employees.find(e => e.employee_number === employeeNumber && !e.email);
+
+    if (!employee) {
+      return null;
+    }
+
+    await employee.update({ userId: user.id });
+    return employee;
+  }
+
   /**
    * Bulk create employees
    *
@@ -0,0 +1,188 @@
+/**
+ * Idempotency Service
+ *
+ * Stores the first response for an Idempotency-Key so retried requests
+ * can be answered without running them again.
+ *
+ * Keys are scoped per user. Redis (via cache.service) is used when it is
+ * available; otherwise the idempotency_keys table is the fallback.
+ *
+ * A key is reserved before the request runs (SET NX / unique index), so a
+ * retry arriving while the first request is still running is detected
+ * instead of creating a second purchase. A reservation expires after the
+ * short pending TTL; the stored response is kept for the full TTL.
+ */
+
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const db = require('../model');
+const cacheService = require('./cache.service');
+const idempotencyConfig = require('../config/idempotency');
+
+const { idempotencyKeys: IdempotencyKey } = db;
+
+const STORES = {
+  REDIS: 'redis',
+  DB: 'db',
+};
+
+/**
+ * JSON.stringify with sorted object keys, so equal bodies hash equally
+ */
+const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+class IdempotencyService {
+  /**
+   * Fingerprint of a request: method, path and body
+   *
+   * @param {Object} req - Express request
+   * @returns {string} - SHA-256 hex digest
+   */
+  fingerprint(req) {
+    return crypto
+      .createHash('sha256')
+      .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body ?? {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Cache key for a user's idempotency key
+   *
+   * @param {number} userId - User ID
+   * @param {string} key - Idempotency-Key header value
+   * @returns {string}
+   */
+  cacheKey(userId, key) {
+    return cacheService.generateKey('idempotency', { userId, key });
+  }
+
+  /**
+   * Reserve a key for a request that is about to run
+   *
+   * Returns the stored record instead when the key was already used:
+   * { fingerprint, statusCode, body } - statusCode is null while the
+   * first request is still running.
+   *
+   * @param {number} userId - User ID
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<{reservation: Object|null, existing: Object|null}>}
+   */
+  async reserve(userId, key, fingerprint) {
+    const { pendingTtl } = idempotencyConfig;
+
+    if (cacheService.isAvailable()) {
+      const cacheKey = this.cacheKey(userId, key);
+      const set = await cacheService.setIfAbsent(cacheKey, { fingerprint, statusCode: null, body: null }, pendingTtl);
+
+      if (set === true) {
+        return { reservation: { userId, key, fingerprint, store: STORES.REDIS }, existing: null };
+      }
+
+      if (set === false) {
+        const existing = await cacheService.get(cacheKey);
+        if (existing) {
+          return { reservation: null, existing };
+        }
+      }
+
+      // Redis failed or the key expired in between - use the database
+    }
+
+    // Expired keys of this user can be reused
+    await IdempotencyKey.destroy({
+      where: { userId, expiresAt: { [Op.lt]: new Date() } },
+    });
+
+    // A conflicting key can be released or expire before it is read - try once more
+    for (let attempt = 1; attempt <= 2; attempt += 1) {
+      try {
+        await IdempotencyKey.create({
+          userId,
+          key,
+          fingerprint,
+          expiresAt: new Date(Date.now() + pendingTtl * 1000),
+        });
+
+        return { reservation: { userId, key, fingerprint, store: STORES.DB }, existing: null };
+      } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) {
+          throw error;
+        }
+
+        const row = await IdempotencyKey.findOne({ where: { userId, key } });
+
+        if (row) {
+          return {
+            reservation: null,
+            existing: {
+              fingerprint: row.fingerprint,
+              statusCode: row.statusCode,
+              body: row.responseBody,
+            },
+          };
+        }
+      }
+    }
+
+    // Still contended: report the key as in use
+    return { reservation: null, existing: { fingerprint, statusCode: null, body: null } };
+  }
+
+  /**
+   * Store the response of a reserved request for replay
+   * Kept for the full TTL from now.
+   *
+   * @param {Object} reservation - From reserve()
+   * @param {number} statusCode - Response status
+   * @param {any} body - Response body
+   * @returns {Promise<void>}
+   */
+  async complete(reservation, statusCode, body) {
+    const { userId, key, fingerprint, store } = reservation;
+
+    if (store === STORES.REDIS) {
+      await cacheService.set(
+        this.cacheKey(userId, key),
+        { fingerprint, statusCode, body },
+        idempotencyConfig.ttl,
+      );
+      return;
+    }
+
+    await IdempotencyKey.update(
+      { statusCode, responseBody: body, expiresAt: new Date(Date.now() + idempotencyConfig.ttl * 1000) },
+      { where: { userId, key } },
+    );
+  }
+
+  /**
+   * Drop a reservation so the key can be retried (request failed)
+   *
+   * @param {Object} reservation - From reserve()
+   * @returns {Promise<void>}
+   */
+  async release(reservation) {
+    const { userId, key, store } = reservation;
+
+    if (store === STORES.REDIS) {
+      await cacheService.del(this.cacheKey(userId, key));
+      return;
+    }
+
+    await IdempotencyKey.destroy({ where: { userId, key } });
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -9,16 +9,60 @@
  * - Bulk operations support
  */
 
+const allowanceService = require('./allowance.service');
+const availabilityService = require('./availability.service');
+const categoryService = require('./category.service');
+const costCenterService = require('./costCenter.service');
+const departmentService = require('./department.service');
 const employeeService = require('./employee.service');
+const inventoryService = require('./inventory.service');
+const locationService = require('./location.service');
+const organizationService = require('./organization.service');
+const payrollService = require('./payroll.service');
+const periodLockService = require('./periodLock.service');
+const posService = require('./pos.service');
+const priceChangeService = require('./priceChange.service');
+const priceHistoryService = require('./priceHistory.service');
+const pricingService = require('./pricing.service');
 const productService = require('./product.service');
+const productImageService = require('./productImage.service');
+const promotionService = require('./promotion.service');
 const purchaseService = require('./purchase.service');
 const purchaseItemService = require('./purchaseItem.service');
+const refundService = require('./refund.service');
+const subsidyService = require('./subsidy.service');
+const dietaryService = require('./dietary.service');
+const tagService = require('./tag.service');
+const taxService = require('./tax.service');
+const taxRateService = require('./taxRate.service');
 const userService = require('./user.service');
 
 module.exports = {
+  allowanceService,
+  availabilityService,
+  categoryService,
+  costCenterService,
+  departmentService,
   employeeService,
+  inventoryService,
+  locationService,
+  organizationService,
+  payrollService,
+  periodLockService,
+  posService,
+  priceChangeService,
+  priceHistoryService,
+  pricingService,
   productService,
+  productImageService,
+  promotionService,
   purchaseService,
   purchaseItemService,
+  refundService,
+  subsidyService,
+  dietaryService,
+  tagService,
+  taxService,
+  taxRateService,
   userService,
 };
@@ -0,0 +1,354 @@
+/**
+ * Inventory Service
+ *
+ * Stock per product and the stock movement ledger.
+ *
+ * Every change to products.stockQuantity goes through applyMovement(),
+ * which writes the ledger row in the same transaction and never lets the
+ * stock drop below zero.
+ *
+ * Purchases only affect products with trackStock on:
+ * - items for such a product are rejected with 409 OUT_OF_STOCK when the
+ *   requested quantity is not in stock (stock is not reserved by open
+ *   purchases, so the check is repeated when the purchase is closed)
+ * - closing a purchase records a negative sale movement per product
+ * - voiding or reopening a closed purchase, and refunding its items,
+ *   return the stock with positive sale movements. Reversals are computed
+ *   from the purchase's own sale movements, so only stock that was actually
+ *   deducted comes back.
+ */
+
+const createError = require('http-errors');
+const { Op, fn, col } = require('sequelize');
+const db = require('../model');
+const stockMovementTypes = require('../config/stockMovements');
+const { updateUnversioned } = require('../utils/concurrency');
+
+const { TYPES } = stockMovementTypes;
+const {
+  products: Product,
+  purchaseItems: PurchaseItem,
+  stockMovements: StockMovement,
+  users: User,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  user: {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'name'],
+  },
+};
+
+/**
+ * 409 OUT_OF_STOCK for a product without enough stock
+ */
+const outOfStock = (product, requested) => {
+  const error = createError(
+    409,
+    `Not enough stock for ${product.name}: ${requested} requested, ${product.stockQuantity} available`,
+  );
+  error.code = 'OUT_OF_STOCK';
+  error.details = {
+    productId: product.id,
+    productName: product.name,
+    requested,
+    available: product.stockQuantity,
+  };
+  return error;
+};
+
+/**
+ * Sum requested quantities per product
+ *
+ * @param {Array} items - Array of { productId, quantity }
+ * @returns {Map<number, number>}
+ */
+const sumByProduct = items => {
+  const quantities = new Map();
+  items.forEach(item => {
+    const productId = Number(item.productId);
+    quantities.set(productId, (quantities.get(productId) || 0) + (item.quantity || 1));
+  });
+  return quantities;
+};
+
+/**
+ * Change a product's stock and record the movement
+ *
+ * @param {Object} product - Product instance (loaded in the transaction)
+ * @param {Object} movement - { type, quantity, purchaseId, refundId, userId, reason }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - The created movement
+ */
+const applyMovement = async (product, movement, transaction) => {
+  const balanceAfter = product.stockQuantity + movement.quantity;
+
+  if (balanceAfter < 0) {
+    throw outOfStock(product, -movement.quantity);
+  }
+
+  // Not an edit of the product: an open edit form must not get a 412
+  await updateUnversioned(product, { stockQuantity: balanceAfter }, { transaction });
+
+  return StockMovement.create(
+    { ...movement, productId: product.id, balanceAfter },
+    { transaction },
+  );
+};
+
+/**
+ * Stock still deducted by a purchase's sales, per product - single GROUP BY query
+ *
+ * @param {number} purchaseId - Purchase ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Map<number, number>>}
+ */
+const getOutstandingSales = async (purchaseId, transaction) => {
+  const rows = await StockMovement.findAll({
+    attributes: ['productId', [fn('SUM', col('quantity')), 'quantity']],
+    where: { purchaseId, type: TYPES.SALE },
+    group: ['productId'],
+    raw: true,
+    transaction,
+  });
+
+  return new Map(
+    rows
+      .map(row => [row.productId, -(parseInt(row.quantity, 10) || 0)])
+      .filter(([, quantity]) => quantity > 0),
+  );
+};
+
+/**
+ * Load products for a stock change, locked against concurrent changes
+ */
+const lockProducts = async (productIds, transaction) => {
+  const products = await Product.findAll({
+    where: { id: productIds },
+    paranoid: false, // Stock of archived products still moves on void and refund
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+  return new Map(products.map(product => [product.id, product]));
+};
+
+class InventoryService {
+  /**
+   * Get a product's stock movements, newest first
+   *
+   * @param {number} productId - Product ID
+   * @param {Object} pagination - { limit, skip }
+   * @returns {Promise<{data: Array, count: number}>}
+   */
+  async findMovements(productId, pagination) {
+    const product = await Product.findByPk(productId, { attributes: ['id'] });
+
+    if (!product) {
+      throw createError(404, `Product with ID ${productId} not found`);
+    }
+
+    const { rows, count } = await StockMovement.findAndCountAll({
+      where: { productId },
+      include: [INCLUDES.user],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.skip,
+    });
+
+    return { data: rows, count };
+  }
+
+  /**
+   * Tracked products at or below their low-stock threshold, emptiest first
+   *
+   * @returns {Promise<Array>}
+   */
+  async findLowStock() {
+    return Product.findAll({
+      where: {
+        trackStock: true,
+        stockQuantity: { [Op.lte]: col('lowStockThreshold') },
+      },
+      order: [['stockQuantity', 'ASC'], ['name', 'ASC']],
+    });
+  }
+
+  /**
+   * Record a receipt, adjustment or waste movement
+   *
+   * Receipt and waste take a positive quantity (added / removed);
+   * an adjustment takes the signed correction.
+   *
+   * @param {number} productId - Product ID
+   * @param {Object} data - { type, quantity, reason }
+   * @param {Object} options - Movement options
+   * @param {number} options.userId - User recording the movement
+   * @returns {Promise<Object>} - The movement with the product's new stock
+   */
+  async recordMovement(productId, { type, quantity, reason }, { userId } = {}) {
+    if (!stockMovementTypes.MANUAL.includes(type)) {
+      throw createError(400, `Stock movements of type ${type} cannot be recorded by hand`);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const products = await lockProducts([productId], transaction);
+      const product = products.get(Number(productId));
+
+      if (!product) {
+        throw createError(404, `Product with ID ${productId} not found`);
+      }
+
+      const movement = await applyMovement(
+        product,
+        {
+          type,
+          quantity: type === TYPES.WASTE ? -Math.abs(quantity) : quantity,
+          userId: userId || null,
+          reason: reason || null,
+        },
+        transaction,
+      );
+
+      await transaction.commit();
+      return movement;
+    } catch (error) {
+      await transaction.rollback();
+
+      if (error.status) {
+        throw error;
+      }
+
+      throw createError(500, `Failed to record stock movement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject items for tracked products that are not in stock
+   *
+   * @param {Array} items - Array of { productId, quantity }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertAvailable(items, { transaction } = {}) {
+    if (!items || items.length === 0) {
+      return;
+    }
+
+    const requested = sumByProduct(items);
+    const products = await Product.findAll({
+      attributes: ['id', 'name', 'stockQuantity'],
+      where: { id: [...requested.keys()], trackStock: true },
+      transaction,
+    });
+
+    products.forEach(product => {
+      if (requested.get(product.id) > product.stockQuantity) {
+        throw outOfStock(product, requested.get(product.id));
+      }
+    });
+  }
+
+  /**
+   * Deduct the stock sold by a purchase that is being closed
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (required)
+   */
+  async recordSale(purchaseId, { transaction }) {
+    const items = await PurchaseItem.findAll({
+      attributes: ['productId', 'quantity'],
+      where: { purchaseId },
+      include: [{ model: Product, as: 'product', attributes: [], where: { trackStock: true }, paranoid: false }],
+      transaction,
+    });
+
+    if (items.length === 0) {
+      return;
+    }
+
+    const sold = sumByProduct(items);
+    const products = await lockProducts([...sold.keys()], transaction);
+
+    for (const [productId, quantity] of sold) {
+      await applyMovement(
+        products.get(productId),
+        { type: TYPES.SALE, quantity: -quantity, purchaseId },
+        transaction,
+      );
+    }
+  }
+
+  /**
+   * Return everything a purchase still has deducted (void / reopen)
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - Query options
+   * @param {string} options.reason - Why the sale is taken back
+   * @param {Object} options.transaction - Sequelize transaction (required)
+   */
+  async reverseSale(purchaseId, { reason, transaction }) {
+    const outstanding = await getOutstandingSales(purchaseId, transaction);
+
+    if (outstanding.size === 0) {
+      return;
+    }
+
+    const products = await lockProducts([...outstanding.keys()], transaction);
+
+    for (const [productId, quantity] of outstanding) {
+      await applyMovement(
+        products.get(productId),
+        { type: TYPES.SALE, quantity, purchaseId, reason: reason || null },
+        transaction,
+      );
+    }
+  }
+
+  /**
+   * Return the stock of refunded items
+   * Capped at what the purchase actually deducted.
+   *
+   * @param {Object} refund - Refund instance (purchaseId, id, reason, userId)
+   * @param {Array} items - Refunded quantities as { productId, quantity }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (required)
+   */
+  async recordReturn(refund, items, { transaction }) {
+    const outstanding = await getOutstandingSales(refund.purchaseId, transaction);
+    const returned = [...sumByProduct(items)]
+      .map(([productId, quantity]) => [productId, Math.min(quantity, outstanding.get(productId) || 0)])
+      .filter(([, quantity]) => quantity > 0);
+
+    if (returned.length === 0) {
+      return;
+    }
+
+    const products = await lockProducts(returned.map(([productId]) => productId), transaction);
+
+    for (const [productId, quantity] of returned) {
+      await applyMovement(
+        products.get(productId),
+        {
+          type: TYPES.SALE,
+          quantity,
+          purchaseId: refund.purchaseId,
+          refundId: refund.id,
+          userId: refund.userId,
+          reason: refund.reason,
+        },
+        transaction,
+      );
+    }
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,432 @@
+/**
+ * Location Service
+ *
+ * Canteens, what they sell and who works there.
+ *
+ * Every product is sold at every location at its catalog price unless the
+ * location overrides it (location_products): a product can be taken off
+ * a location's menu or given a location price. Purchases are priced and
+ * checked against the overrides of their location (see pricing.service.js
+ * and availability.service.js).
+ *
+ * Users are assigned to the locations they work at. A manager with
+ * assigned locations only sees and changes the purchases, summaries and
+ * product overrides of those; a manager without any keeps the global view
+ * of a single-site installation. Purchases created by a user with exactly
+ * one location (a terminal) are made at that location by default.
+ */
+
+const createError = require('http-errors');
+const { Op } = require('sequelize');
+const db = require('../model');
+const purchaseStatus = require('../config/purchaseStatus');
+
+const {
+  locations: Location,
+  locationProducts: LocationProduct,
+  userLocations: UserLocation,
+  products: Product,
+  purchases: Purchase,
+  users: User,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  users: {
+    model: User,
+    as: 'users',
+    attributes: ['id', 'name', 'email', 'role'],
+    through: { attributes: [] },
+  },
+  product: {
+    model: Product,
+    as: 'product',
+    attributes: ['id', 'name', 'price'],
+  },
+};
+
+/**
+ * 409 for a name that is already taken
+ */
+const nameTaken = name => createError(409, `Location with name ${name} already exists`);
+
+/**
+ * 403 for a location outside the user's scope
+ */
+const outOfScope = locationId =>
+  createError(403, `Access denied. You are not assigned to location ${locationId}.`);
+
+class LocationService {
+  /**
+   * Get all locations with their assigned users, by name
+   *
+   * @param {Object} options - Query options
+   * @param {number[]|null} options.locationIds - Only these locations (null for all)
+   * @returns {Promise<Array>}
+   */
+  async findAll({ locationIds = null } = {}) {
+    return Location.findAll({
+      where: locationIds ? { id: locationIds } : {},
+      include: [INCLUDES.users],
+      order: [['name', 'ASC'], [{ model: User, as: 'users' }, 'name', 'ASC']],
+    });
+  }
+
+  /**
+   * Get location by ID with its assigned users
+   *
+   * @param {number} id - Location ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const location = await Location.findByPk(id, { include: [INCLUDES.users] });
+
+    if (!location) {
+      throw createError(404, `Location with ID ${id} not found`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Create a location
+   *
+   * @param {Object} data - { name, building }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      return await Location.create({ name: data.name, building: data.building ?? null });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to create location: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a location or change its building
+   *
+   * @param {number} id - Location ID
+   * @param {Object} data - { name, building }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const location = await Location.findByPk(id);
+
+    if (!location) {
+      throw createError(404, `Location with ID ${id} not found`);
+    }
+
+    try {
+      return await location.update(data);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to update location: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a location nothing was ever sold at
+   * Its product overrides and user assignments go with it.
+   *
+   * @param {number} id - Location ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const location = await Location.findByPk(id);
+
+    if (!location) {
+      throw createError(404, `Location with ID ${id} not found`);
+    }
+
+    const purchases = await Purchase.count({ where: { locationId: id } });
+
+    if (purchases > 0) {
+      const error = createError(409, `Cannot delete location ${location.name} while it has purchases`);
+      error.code = 'LOCATION_IN_USE';
+      error.details = { purchases };
+      throw error;
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await LocationProduct.destroy({ where: { locationId: id }, transaction });
+      await UserLocation.destroy({ where: { locationId: id }, transaction });
+      await location.destroy({ transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw createError(500, `Failed to delete location: ${error.message}`);
+    }
+
+    return { deleted: true, id };
+  }
+
+  /**
+   * Replace the users assigned to a location
+   *
+   * @param {number} id - Location ID
+   * @param {number[]} userIds - User IDs
+   * @returns {Promise<Object>} - Location with its users
+   */
+  async setUsers(id, userIds) {
+    const ids = [...new Set(userIds)];
+    const transaction = await sequelize.transaction();
+
+    try {
+      const location = await Location.findByPk(id, { attributes: ['id'], transaction });
+
+      if (!location) {
+        throw createError(404, `Location with ID ${id} not found`);
+      }
+
+      const users = await User.findAll({ where: { id: ids }, attributes: ['id'], transaction });
+      const missing = ids.filter(userId => !users.some(user => user.id === userId));
+      if (missing.length > 0) {
+        throw createError(400, `Users not found: ${missing.join(', ')}`);
+      }
+
+      await UserLocation.destroy({ where: { locationId: id }, transaction });
+      await UserLocation.bulkCreate(ids.map(userId => ({ userId, locationId: id })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to assign users: ${error.message}`);
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Product overrides of a location, by product name
+   *
+   * @param {number} id - Location ID
+   * @returns {Promise<Array>}
+   */
+  async findProducts(id) {
+    await this.findById(id);
+
+    return LocationProduct.findAll({
+      where: { locationId: id },
+      attributes: ['productId', 'available', 'price'],
+      include: [INCLUDES.product],
+      order: [[{ model: Product, as: 'product' }, 'name', 'ASC']],
+    });
+  }
+
+  /**
+   * Set whether a location sells a product and at what price
+   *
+   * @param {number} id - Location ID
+   * @param {number} productId - Product ID
+   * @param {Object} data - { available, price } (price null for the catalog price)
+   * @returns {Promise<Object>} - Override with its product
+   */
+  async setProduct(id, productId, { available = true, price = null }) {
+    await this.findById(id);
+
+    const product = await Product.findByPk(productId, { attributes: ['id'] });
+    if (!product) {
+      throw createError(404, `Product with ID ${productId} not found`);
+    }
+
+    await LocationProduct.upsert({ locationId: id, productId, available, price });
+
+    return LocationProduct.findOne({
+      where: { locationId: id, productId },
+      attributes: ['productId', 'available', 'price'],
+      include: [INCLUDES.product],
+    });
+  }
+
+  /**
+   * Remove a product override: the location sells it at its catalog price again
+   *
+   * @param {number} id - Location ID
+   * @param {number} productId - Product ID
+   * @returns {Promise<{deleted: boolean}>}
+   */
+  async removeProduct(id, productId) {
+    const deleted = await LocationProduct.destroy({ where: { locationId: id, productId } });
+
+    if (deleted === 0) {
+      throw createError(404, `Location ${id} has no override for product ${productId}`);
+    }
+
+    return { deleted: true };
+  }
+
+  /**
+   * Overrides of some products at a location, by product ID
+   *
+   * @param {number|null} locationId - Location ID (null for none)
+   * @param {number[]} productIds - Product IDs
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async getOverrides(locationId, productIds, { transaction } = {}) {
+    if (!locationId || productIds.length === 0) {
+      return new Map();
+    }
+
+    const overrides = await LocationProduct.findAll({
+      where: { locationId, productId: productIds },
+      include: [
+        { model: Location, as: 'location', attributes: ['id', 'name'] },
+        { model: Product, as: 'product', attributes: ['id', 'name'], paranoid: false },
+      ],
+      transaction,
+    });
+
+    return new Map(overrides.map(override => [override.productId, override]));
+  }
+
+  /**
+   * IDs of the products a location does not sell
+   *
+   * @param {number} locationId - Location ID
+   * @returns {Promise<number[]>}
+   */
+  async findUnavailableProductIds(locationId) {
+    const rows = await LocationProduct.findAll({
+      where: { locationId, available: false },
+      attributes: ['productId'],
+      raw: true,
+    });
+
+    return rows.map(row => row.productId);
+  }
+
+  /**
+   * Locations a user is restricted to, null when unrestricted
+   * Only managers with assigned locations are restricted.
+   *
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @returns {Promise<number[]|null>}
+   */
+  async scopeOf(user) {
+    if (!user || user.role !== 'manager') {
+      return null;
+    }
+
+    const ids = await this.findAssignedIds(user.id);
+    return ids.length > 0 ? ids : null;
+  }
+
+  /**
+   * IDs of the locations a user is assigned to
+   *
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number[]>}
+   */
+  async findAssignedIds(userId, { transaction } = {}) {
+    const rows = await UserLocation.findAll({
+      where: { userId },
+      attributes: ['locationId'],
+      order: [['locationId', 'ASC']],
+      raw: true,
+      transaction,
+    });
+
+    return rows.map(row => row.locationId);
+  }
+
+  /**
+   * Throw 403 unless the user may work with a location
+   *
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @param {number|null} locationId - Location ID
+   */
+  async assertInScope(user, locationId) {
+    const scope = await this.scopeOf(user);
+
+    if (scope && !scope.includes(locationId)) {
+      throw outOfScope(locationId);
+    }
+  }
+
+  /**
+   * Location a user makes a purchase at
+   *
+   * A given location must exist (400) and be in the user's scope (403).
+   * Without one, a user assigned to exactly one location (a terminal)
+   * sells there; a user assigned to several has to choose (400); anyone
+   * else sells without a location.
+   *
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @param {number|null|undefined} locationId - Requested location
+   * @returns {Promise<number|null>}
+   */
+  async resolveForUser(user, locationId) {
+    if (locationId !== undefined) {
+      await this.assertExists(locationId);
+      await this.assertInScope(user, locationId);
+      return locationId;
+    }
+
+    const assigned = user ? await this.findAssignedIds(user.id) : [];
+
+    if (assigned.length > 1) {
+      throw createError(400, 'locationId is required for users assigned to several locations');
+    }
+
+    return assigned[0] ?? null;
+  }
+
+  /**
+   * Throw 400 unless the location exists (null is none)
+   *
+   * @param {number|null|undefined} id - Location ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertExists(id, { transaction } = {}) {
+    if (id === null || id === undefined) {
+      return;
+    }
+
+    const location = await Location.findByPk(id, { attributes: ['id'], transaction });
+    if (!location) {
+      throw createError(400, `Location with ID ${id} not found`);
+    }
+  }
+
+  /**
+   * Include narrowing refunds to the purchases that count as spending,
+   * made at some locations when given
+   * Refunds of voided purchases are not credited: the purchase no longer
+   * counts itself.
+   *
+   * @param {number[]} [locationIds] - Location IDs (all when not given)
+   * @returns {Object}
+   */
+  purchaseInclude(locationIds) {
+    return {
+      model: Purchase,
+      as: 'purchase',
+      attributes: [],
+      where: {
+        status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+        ...(locationIds && { locationId: locationIds }),
+      },
+    };
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,405 @@
+/**
+ * Organization Service
+ *
+ * Department and cost center assignments of employees, with effective
+ * dates, and the reports built on them.
+ *
+ * employees.departmentId and employees.costCenterId hold the current
+ * assignment; employee_assignments keeps one row per period, from
+ * validFrom up to the day before validTo (null while current). A move
+ * closes the current row and opens a new one, so the purchases an
+ * employee made before the move stay with the old department and cost
+ * center. A move can be backdated, but not to before the start of the
+ * current assignment and not into the future.
+ *
+ * Purchases and refunds are attributed to the assignment in effect on
+ * their date in the cafeteria timezone (see utils/calendar.js). Filtering by a department or cost center includes
+ * its sub-units.
+ */
+
+const createError = require('http-errors');
+const { Op, fn, col, literal } = require('sequelize');
+const db = require('../model');
+const pricingService = require('./pricing.service');
+const departmentService = require('./department.service');
+const costCenterService = require('./costCenter.service');
+const locationService = require('./location.service');
+const purchaseStatus = require('../config/purchaseStatus');
+const availabilityConfig = require('../config/availability');
+const calendar = require('../utils/calendar');
+
+const {
+  employees: Employee,
+  employeeAssignments: EmployeeAssignment,
+  departments: Department,
+  costCenters: CostCenter,
+  purchases: Purchase,
+  refunds: Refund,
+  sequelize,
+} = db;
+
+/**
+ * Units the summaries can be grouped by, with the assignment column
+ */
+const GROUPS = {
+  department: 'departmentId',
+  costCenter: 'costCenterId',
+};
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  department: {
+    model: Department,
+    as: 'department',
+    attributes: ['id', 'name'],
+  },
+  costCenter: {
+    model: CostCenter,
+    as: 'costCenter',
+    attributes: ['id', 'code', 'name'],
+  },
+};
+
+/**
+ * Calendar day of a date in the cafeteria timezone as YYYY-MM-DD
+ */
+const toDay = date => calendar.dayKey(date, availabilityConfig.timezone);
+
+/**
+ * Midnight in the cafeteria timezone starting a YYYY-MM-DD day
+ */
+const startOfDay = day => {
+  const [year, month, date] = day.split('-').map(Number);
+  return calendar.startOfDay(year, month, date, availabilityConfig.timezone);
+};
+
+/**
+ * SQL CASE giving the ID of the assignment in effect on each row's date,
+ * NULL while unassigned
+ *
+ * @param {string} table - Alias of the table with employeeId and date
+ * @param {Array} assignments - Assignment rows
+ * @returns {Object} Sequelize literal
+ */
+const assignmentCase = (table, assignments) => {
+  if (assignments.length === 0) {
+    return literal('NULL');
+  }
+
+  const employeeId = `\`${table}\`.\`employeeId\``;
+  const date = `\`${table}\`.\`date\``;
+  const whens = assignments.map(assignment => {
+    const conditions = [
+      `${employeeId} = ${sequelize.escape(assignment.employeeId)}`,
+      `${date} >= ${sequelize.escape(startOfDay(assignment.validFrom))}`,
+    ];
+    if (assignment.validTo) {
+      conditions.push(`${date} < ${sequelize.escape(startOfDay(assignment.validTo))}`);
+    }
+    return `WHEN ${conditions.join(' AND ')} THEN ${sequelize.escape(assignment.id)}`;
+  });
+
+  return literal(`CASE ${whens.join(' ')} END`);
+};
+
+/**
+ * Whether the employee's current assignment already matches the unit IDs
+ */
+const isCurrent = (assignment, { departmentId, costCenterId }) =>
+  assignment.departmentId === departmentId && assignment.costCenterId === costCenterId;
+
+class OrganizationService {
+  /**
+   * Department and cost center history of an employee, newest first
+   *
+   * @param {number} employeeId - Employee ID
+   * @returns {Promise<Array>}
+   */
+  async findHistory(employeeId) {
+    const employee = await Employee.findByPk(employeeId, { attributes: ['id'], paranoid: false });
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${employeeId} not found`);
+    }
+
+    return EmployeeAssignment.findAll({
+      where: { employeeId },
+      include: [INCLUDES.department, INCLUDES.costCenter],
+      order: [['validFrom', 'DESC']],
+    });
+  }
+
+  /**
+   * Move an employee to a department and cost center
+   *
+   * @param {number} employeeId - Employee ID
+   * @param {Object} data - Assignment data
+   * @param {number|null} data.departmentId - Department, null for none
+   * @param {number|null} data.costCenterId - Cost center, null for none
+   * @param {string} [data.validFrom] - First day (YYYY-MM-DD), today by default
+   * @returns {Promise<Object>} - Employee with its department and cost center
+   */
+  async assign(employeeId, { departmentId, costCenterId, validFrom = toDay(new Date()) }) {
+    await this.assertUnits({ departmentId, costCenterId });
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const employee = await Employee.findByPk(employeeId, { transaction });
+
+      if (!employee) {
+        throw createError(404, `Employee with ID ${employeeId} not found`);
+      }
+
+      await employee.update({ departmentId, costCenterId }, { transaction });
+      await this.recordHistory(employee, { validFrom, transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to assign employee: ${error.message}`);
+    }
+
+    return Employee.findByPk(employeeId, { include: [INCLUDES.department, INCLUDES.costCenter] });
+  }
+
+  /**
+   * Record the employee's current department and cost center in the history
+   * Called after employees.departmentId or costCenterId was written. The
+   * current row is closed the day before validFrom, or corrected when it
+   * started that same day.
+   *
+   * @param {Object} employee - Employee instance, already updated
+   * @param {Object} options - Options
+   * @param {string} [options.validFrom] - First day (YYYY-MM-DD), today by default
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Object|null>} - Current assignment, null when unassigned
+   */
+  async recordHistory(employee, { validFrom = toDay(new Date()), transaction } = {}) {
+    const units = {
+      departmentId: employee.departmentId ?? null,
+      costCenterId: employee.costCenterId ?? null,
+    };
+    const unassigned = units.departmentId === null && units.costCenterId === null;
+
+    if (validFrom > toDay(new Date())) {
+      throw createError(400, 'An assignment cannot start in the future');
+    }
+
+    const current = await EmployeeAssignment.findOne({
+      where: { employeeId: employee.id, validTo: null },
+      transaction,
+    });
+
+    if (current && validFrom < current.validFrom) {
+      throw createError(400, `An assignment cannot start before the current one (${current.validFrom})`);
+    }
+
+    if (current && isCurrent(current, units)) {
+      return current;
+    }
+
+    if (current && current.validFrom === validFrom) {
+      if (unassigned) {
+        await current.destroy({ transaction });
+        return null;
+      }
+      return current.update(units, { transaction });
+    }
+
+    if (current) {
+      await current.update({ validTo: validFrom }, { transaction });
+    }
+
+    if (unassigned) {
+      return null;
+    }
+
+    return EmployeeAssignment.create({ employeeId: employee.id, ...units, validFrom }, { transaction });
+  }
+
+  /**
+   * Throw 400 unless the department and cost center exist (null is none)
+   *
+   * @param {Object} units - { departmentId, costCenterId }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertUnits({ departmentId, costCenterId }, { transaction } = {}) {
+    await departmentService.assertExists(departmentId, { transaction });
+    await costCenterService.assertExists(costCenterId, { transaction });
+  }
+
+  /**
+   * Where clause for the employees currently in a department and/or cost
+   * center, sub-units included
+   *
+   * @param {Object} filters - { departmentId, costCenterId }
+   * @returns {Promise<Object>}
+   */
+  async employeeWhere({ departmentId, costCenterId } = {}) {
+    const where = {};
+
+    if (departmentId !== undefined) {
+      where.departmentId = await departmentService.getSubtreeIds(departmentId);
+    }
+    if (costCenterId !== undefined) {
+      where.costCenterId = await costCenterService.getSubtreeIds(costCenterId);
+    }
+
+    return where;
+  }
+
+  /**
+   * Where clause for the purchases made while their employee was in a
+   * department and/or cost center, sub-units included
+   *
+   * @param {Object} filters - { departmentId, costCenterId }
+   * @returns {Promise<Object>}
+   */
+  async purchaseWhere(filters = {}) {
+    const periods = await EmployeeAssignment.findAll({
+      where: await this.employeeWhere(filters),
+      attributes: ['employeeId', 'validFrom', 'validTo'],
+      raw: true,
+    });
+
+    if (periods.length === 0) {
+      return { id: { [Op.in]: [] } };
+    }
+
+    return {
+      [Op.or]: periods.map(period => ({
+        employeeId: period.employeeId,
+        date: {
+          [Op.gte]: startOfDay(period.validFrom),
+          ...(period.validTo && { [Op.lt]: startOfDay(period.validTo) }),
+        },
+      })),
+    };
+  }
+
+  /**
+   * Spending summaries per department or cost center
+   *
+   * Purchases and refunds count for the unit their employee was assigned
+   * to on their date; the ones made while unassigned are in a row with a
+   * null ID. Totals are net of discounts and of the refunds issued in the
+   * range, like the employee summaries. Narrowed to some locations, a
+   * refund counts for the location of its purchase.
+   *
+   * @param {Object} filters - { from, to, locationIds }
+   * @param {string} groupBy - 'department' or 'costCenter'
+   * @returns {Promise<Array>}
+   */
+  async getSummaries({ from, to, locationIds } = {}, groupBy) {
+    const key = GROUPS[groupBy];
+    if (!key) {
+      throw createError(400, `Invalid groupBy: ${groupBy}. Allowed: employee, ${Object.keys(GROUPS).join(', ')}`);
+    }
+
+    const dateWhere = {};
+    if (from || to) {
+      dateWhere.date = {};
+      if (from) { dateWhere.date[Op.gte] = from; }
+      if (to) { dateWhere.date[Op.lte] = to; }
+    }
+
+    // Only the assignments overlapping the range can match
+    const assignments = await EmployeeAssignment.findAll({
+      where: {
+        ...(to && { validFrom: { [Op.lte]: toDay(to) } }),
+        ...(from && { [Op.or]: [{ validTo: null }, { validTo: { [Op.gt]: toDay(from) } }] }),
+      },
+      attributes: ['id', 'employeeId', 'departmentId', 'costCenterId', 'validFrom', 'validTo'],
+      raw: true,
+    });
+    const unitByAssignment = new Map(assignments.map(assignment => [assignment.id, assignment[key]]));
+
+    // Summed in SQL per employee and assignment, then mapped to the units
+    const [purchases, refunds] = await Promise.all([
+      Purchase.findAll({
+        attributes: [
+          'employeeId',
+          [assignmentCase('purchases', assignments), 'assignmentId'],
+          [fn('SUM', col('total')), 'total'],
+          [fn('SUM', col('companyShare')), 'companyShare'],
+          [fn('COUNT', col('id')), 'purchaseCount'],
+        ],
+        where: {
+          ...dateWhere,
+          ...(locationIds && { locationId: locationIds }),
+          status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+        },
+        group: ['employeeId', 'assignmentId'],
+        raw: true,
+      }),
+      Refund.findAll({
+        attributes: [
+          [col('refunds.employeeId'), 'employeeId'],
+          [assignmentCase('refunds', assignments), 'assignmentId'],
+          [fn('SUM', col('refunds.total')), 'total'],
+          [fn('SUM', col('refunds.companyShare')), 'companyShare'],
+        ],
+        where: dateWhere,
+        include: [locationService.purchaseInclude(locationIds)],
+        group: ['refunds.employeeId', 'assignmentId'],
+        raw: true,
+      }),
+    ]);
+
+    const groups = new Map();
+    const groupOf = row => {
+      const id = row.assignmentId === null ? null : unitByAssignment.get(Number(row.assignmentId)) ?? null;
+      if (!groups.has(id)) {
+        groups.set(id, { spending: 0, refunded: 0, companyShare: 0, purchaseCount: 0, employees: new Set() });
+      }
+      const group = groups.get(id);
+      group.employees.add(row.employeeId);
+      return group;
+    };
+
+    purchases.forEach(row => {
+      const group = groupOf(row);
+      group.spending += parseFloat(row.total) || 0;
+      group.companyShare += parseFloat(row.companyShare) || 0;
+      group.purchaseCount += parseInt(row.purchaseCount, 10) || 0;
+    });
+    refunds.forEach(row => {
+      const group = groupOf(row);
+      group.refunded += parseFloat(row.total) || 0;
+      group.companyShare -= parseFloat(row.companyShare) || 0;
+    });
+
+    const units = groupBy === 'department'
+      ? await departmentService.getPaths()
+      : await costCenterService.getPaths();
+
+    return [...groups.entries()]
+      .map(([id, group]) => {
+        const totalRefunded = pricingService.roundMoney(group.refunded);
+        const totalSpending = pricingService.roundMoney(group.spending - group.refunded);
+        const companyShare = pricingService.roundMoney(group.companyShare);
+
+        return {
+          [key]: id,
+          ...(units.get(id) || { name: null, path: [] }),
+          totalSpending,
+          totalRefunded,
+          companyShare,
+          employeeShare: pricingService.roundMoney(totalSpending - companyShare),
+          purchaseCount: group.purchaseCount,
+          employeeCount: group.employees.size,
+        };
+      })
+      // Tree order, unassigned last
+      .sort((a, b) => (a[key] === null) - (b[key] === null) || a.path.join('\u0000').localeCompare(b.path.join('\u0000')));
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,316 @@
+/**
+ * Payroll Service
+ *
+ * Monthly period close and the payroll deduction export. Months follow
+ * the cafeteria timezone (see utils/calendar.js).
+ *
+ * Closing a month (admin):
+ * - only once the month has ended and none of its purchases is still
+ *   draft or open
+ * - locks its purchases (see periodLock.service.js)
+ * - snapshots each employee's totals into payroll_period_entries, so the
+ *   export never changes after the fact
+ *
+ * Snapshot totals follow the employee report: spend from the purchase item
+ * price snapshots, voided purchases left out, refunds credited in the month
+ * they were issued. The net spend is split into the part paid by the
+ * employer under the employee's subsidy policy and the employee's part
+ * (see subsidy.service.js); the deduction is the employee's part. The
+ * overage is the part of the net spend above the monthly allowance.
+ *
+ * Reopening (admin, with a reason) unlocks the month; closing it again
+ * takes a fresh snapshot.
+ */
+
+const createError = require('http-errors');
+const { Op } = require('sequelize');
+const db = require('../model');
+const payrollConfig = require('../config/payroll');
+const availabilityConfig = require('../config/availability');
+const purchaseStatus = require('../config/purchaseStatus');
+const pricingService = require('./pricing.service');
+const purchaseService = require('./purchase.service');
+const { toCsv, toFixedWidth } = require('../utils/payrollExport');
+const { monthRange } = require('../utils/calendar');
+
+const { PERIOD_STATUSES, EXPORT_FORMATS } = payrollConfig;
+const {
+  payrollPeriods: PayrollPeriod,
+  payrollPeriodEntries: PayrollPeriodEntry,
+  employees: Employee,
+  purchases: Purchase,
+  users: User,
+  sequelize,
+} = db;
+
+// At most this many open purchase IDs are listed in a rejected close
+const MAX_LISTED_PURCHASES = 20;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  entries: {
+    model: PayrollPeriodEntry,
+    as: 'entries',
+  },
+
+  closedByUser: {
+    model: User,
+    as: 'closedByUser',
+    attributes: ['id', 'name', 'email'],
+  },
+
+  reopenedByUser: {
+    model: User,
+    as: 'reopenedByUser',
+    attributes: ['id', 'name', 'email'],
+  },
+};
+
+/**
+ * Calendar month of a 'YYYY-MM' period key, in the cafeteria timezone
+ *
+ * @param {string} period - Period key
+ * @returns {{from: Date, to: Date}}
+ */
+const getRange = period => {
+  const [year, month] = period.split('-').map(Number);
+  return monthRange(year, month, availabilityConfig.timezone);
+};
+
+/**
+ * 409 with a code and details
+ */
+const conflict = (message, code, details) => {
+  const error = createError(409, message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Plain export row for an entry
+ */
+const toRow = (period, entry) => ({
+  period,
+  employeeId: entry.employeeId,
+  employeeNumber: entry.employeeNumber,
+  employeeName: entry.employeeName,
+  purchaseCount: entry.purchaseCount,
+  totalSpent: parseFloat(entry.totalSpent) || 0,
+  totalRefunded: parseFloat(entry.totalRefunded) || 0,
+  allowance: parseFloat(entry.allowance) || 0,
+  overage: parseFloat(entry.overage) || 0,
+  companyShare: parseFloat(entry.companyShare) || 0,
+  employeeShare: parseFloat(entry.employeeShare) || 0,
+  deduction: parseFloat(entry.deduction) || 0,
+});
+
+class PayrollService {
+  /**
+   * List all closed and reopened periods, newest first (without entries)
+   *
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    return PayrollPeriod.findAll({
+      include: [INCLUDES.closedByUser, INCLUDES.reopenedByUser],
+      order: [['period', 'DESC']],
+    });
+  }
+
+  /**
+   * Get a period with its snapshot entries
+   *
+   * @param {string} period - Period key (YYYY-MM)
+   * @returns {Promise<Object>}
+   */
+  async findByPeriod(period) {
+    const payrollPeriod = await PayrollPeriod.findOne({
+      where: { period },
+      include: [INCLUDES.entries, INCLUDES.closedByUser, INCLUDES.reopenedByUser],
+      order: [[{ model: PayrollPeriodEntry, as: 'entries' }, 'employeeName', 'ASC']],
+    });
+
+    if (!payrollPeriod) {
+      throw createError(404, `Payroll period ${period} not found`);
+    }
+
+    return payrollPeriod;
+  }
+
+  /**
+   * Close a month and snapshot the per-employee totals
+   *
+   * @param {string} period - Period key (YYYY-MM)
+   * @param {number} userId - Closing user
+   * @returns {Promise<Object>} - The closed period with its entries
+   */
+  async close(period, userId) {
+    const range = getRange(period);
+
+    if (range.to >= new Date()) {
+      throw createError(400, `Payroll period ${period} has not ended yet`);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const existing = await PayrollPeriod.findOne({ where: { period }, transaction });
+
+      if (existing && existing.status === PERIOD_STATUSES.CLOSED) {
+        throw conflict(`Payroll period ${period} is already closed`, 'PERIOD_ALREADY_CLOSED', {
+          period,
+        });
+      }
+
+      // Every purchase of the month must be settled first
+      const { count, rows: openPurchases } = await Purchase.findAndCountAll({
+        attributes: ['id'],
+        where: {
+          date: { [Op.between]: [range.from, range.to] },
+          status: { [Op.in]: purchaseStatus.EDITABLE },
+        },
+        order: [['id', 'ASC']],
+        limit: MAX_LISTED_PURCHASES,
+        transaction,
+      });
+
+      if (count > 0) {
+        throw conflict(
+          `Payroll period ${period} has ${count} draft or open purchase(s)`,
+          'PERIOD_HAS_OPEN_PURCHASES',
+          { period, count, purchaseIds: openPurchases.map(p => p.id) },
+        );
+      }
+
+      const summaries = await purchaseService.getAllEmployeeSummaries(range, { transaction });
+
+      // Employees deleted since still get deducted
+      const employees = await Employee.findAll({
+        attributes: ['id', 'name', 'employee_number', 'monthlyConsumptionValue'],
+        where: { id: summaries.map(s => s.employeeId) },
+        paranoid: false,
+        transaction,
+      });
+      const employeesById = new Map(employees.map(e => [e.id, e]));
+
+      const payrollPeriod = existing
+        ? await existing.update(
+          { status: PERIOD_STATUSES.CLOSED, closedAt: new Date(), closedBy: userId },
+          { transaction },
+        )
+        : await PayrollPeriod.create(
+          { period, status: PERIOD_STATUSES.CLOSED, closedAt: new Date(), closedBy: userId },
+          { transaction },
+        );
+
+      // Closing again after a reopen replaces the snapshot
+      await PayrollPeriodEntry.destroy({
+        where: { payrollPeriodId: payrollPeriod.id },
+        transaction,
+      });
+
+      const entries = summaries.map(summary => {
+        const employee = employeesById.get(summary.employeeId);
+        const allowance = parseFloat(employee.monthlyConsumptionValue) || 0;
+
+        return {
+          payrollPeriodId: payrollPeriod.id,
+          employeeId: summary.employeeId,
+          employeeNumber: employee.employee_number,
+          employeeName: employee.name,
+          purchaseCount: summary.purchaseCount,
+          totalSpent: summary.totalSpending,
+          totalRefunded: summary.totalRefunded,
+          allowance,
+          overage: pricingService.roundMoney(Math.max(0, summary.totalSpending - allowance)),
+          companyShare: summary.companyShare,
+          employeeShare: summary.employeeShare,
+          deduction: summary.employeeShare,
+        };
+      });
+
+      await PayrollPeriodEntry.bulkCreate(entries, { transaction, validate: true });
+
+      await transaction.commit();
+      return this.findByPeriod(period);
+    } catch (error) {
+      await transaction.rollback();
+
+      if (error.status) {
+        throw error;
+      }
+
+      throw createError(500, `Failed to close payroll period: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reopen a closed month so its purchases can be corrected
+   *
+   * @param {string} period - Period key (YYYY-MM)
+   * @param {number} userId - Reopening user
+   * @param {string} reason - Why the period is reopened
+   * @returns {Promise<Object>}
+   */
+  async reopen(period, userId, reason) {
+    if (!reason) {
+      throw createError(400, 'A reason is required to reopen a payroll period');
+    }
+
+    const payrollPeriod = await PayrollPeriod.findOne({ where: { period } });
+
+    if (!payrollPeriod) {
+      throw createError(404, `Payroll period ${period} not found`);
+    }
+
+    if (payrollPeriod.status !== PERIOD_STATUSES.CLOSED) {
+      throw conflict(`Payroll period ${period} is not closed`, 'PERIOD_NOT_CLOSED', { period });
+    }
+
+    await payrollPeriod.update({
+      status: PERIOD_STATUSES.REOPENED,
+      reopenedAt: new Date(),
+      reopenedBy: userId,
+      reopenReason: reason,
+    });
+
+    return this.findByPeriod(period);
+  }
+
+  /**
+   * Build the payroll deduction file of a closed period
+   *
+   * @param {string} period - Period key (YYYY-MM)
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {Promise<{filename: string, contentType: string, content: string}>}
+   */
+  async export(period, format = EXPORT_FORMATS.CSV) {
+    const payrollPeriod = await this.findByPeriod(period);
+
+    // A reopened period may still change; export it once it is closed again
+    if (payrollPeriod.status !== PERIOD_STATUSES.CLOSED) {
+      throw conflict(`Payroll period ${period} is not closed`, 'PERIOD_NOT_CLOSED', { period });
+    }
+
+    const rows = payrollPeriod.entries.map(entry => toRow(period, entry));
+
+    if (format === EXPORT_FORMATS.FIXED_WIDTH) {
+      return {
+        filename: `payroll-${period}.txt`,
+        contentType: 'text/plain; charset=utf-8',
+        content: toFixedWidth(rows, payrollConfig.fixedWidth),
+      };
+    }
+
+    return {
+      filename: `payroll-${period}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: toCsv(rows, payrollConfig.csv),
+    };
+  }
+}
+
+module.exports = new PayrollService();
@@ -0,0 +1,75 @@
+/**
+ * Period Lock Service
+ *
+ * A closed payroll period (see payroll.service.js) locks every purchase
+ * dated in it: creating, editing, deleting or changing the status of such a
+ * purchase is rejected with 423 PERIOD_CLOSED until an admin reopens the
+ * period.
+ *
+ * Refunds stay possible - they are credited in the month they are issued,
+ * not in the month of the purchase.
+ *
+ * Kept apart from payroll.service.js so purchase.service.js can use it
+ * without a circular require.
+ */
+
+const createError = require('http-errors');
+const db = require('../model');
+const { PERIOD_STATUSES } = require('../config/payroll');
+const availabilityConfig = require('../config/availability');
+const { monthOf } = require('../utils/calendar');
+
+const { payrollPeriods: PayrollPeriod } = db;
+
+class PeriodLockService {
+  /**
+   * Period key (YYYY-MM) of the calendar month containing the date
+   *
+   * Uses the cafeteria timezone, like allowanceService.getPeriod().
+   *
+   * @param {Date|string} date - Reference date
+   * @returns {string}
+   */
+  periodKey(date) {
+    const { year, month } = monthOf(date, availabilityConfig.timezone);
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether the month containing the date is closed
+   *
+   * @param {Date|string} date - Purchase date
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<boolean>}
+   */
+  async isClosed(date, { transaction } = {}) {
+    const count = await PayrollPeriod.count({
+      where: { period: this.periodKey(date), status: PERIOD_STATUSES.CLOSED },
+      transaction,
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Throw 423 PERIOD_CLOSED if the month containing the date is closed
+   *
+   * @param {Date|string} date - Purchase date
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertOpen(date, { transaction } = {}) {
+    if (!(await this.isClosed(date, { transaction }))) {
+      return;
+    }
+
+    const period = this.periodKey(date);
+    const error = createError(423, `Payroll period ${period} is closed; its purchases cannot be changed`);
+    error.code = 'PERIOD_CLOSED';
+    error.details = { period };
+    throw error;
+  }
+}
+
+module.exports = new PeriodLockService();
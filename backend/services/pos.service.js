@@ -0,0 +1,155 @@
+/**
+ * POS Service
+ *
+ * Express checkout for the cafeteria terminals: one request takes the
+ * badge read at the till and the basket, and returns the receipt.
+ *
+ * The badge resolves the employee (employees.badgeNumber); basket lines
+ * name their product by ID or by a scanned barcode or SKU (see
+ * product.service.js lookup()). The purchase is then created as closed
+ * through purchaseService.createWithItems(), so the same checks run as for
+ * any sale, in its one transaction: period lock, availability, stock,
+ * dietary profile, promotions, allowance and subsidy split.
+ *
+ * The receipt shows the net and VAT of each line and the VAT by rate
+ * (see tax.service.js).
+ *
+ * The sale is made at the terminal's location: the one in the request, or
+ * else the only location its user is assigned to (see location.service.js).
+ */
+
+const createError = require('http-errors');
+const db = require('../model');
+const purchaseService = require('./purchase.service');
+const productService = require('./product.service');
+const allowanceService = require('./allowance.service');
+const pricingService = require('./pricing.service');
+const taxService = require('./tax.service');
+const locationService = require('./location.service');
+const { STATUSES } = require('../config/purchaseStatus');
+
+const { employees: Employee } = db;
+
+/**
+ * Employee carrying a badge, 404 for an unknown badge
+ *
+ * @param {string} badgeNumber - Identifier read from the badge
+ * @returns {Promise<Object>}
+ */
+const findEmployeeByBadge = async badgeNumber => {
+  const employee = await Employee.findOne({
+    where: { badgeNumber },
+    attributes: ['id', 'name', 'employee_number'],
+  });
+
+  if (!employee) {
+    const error = createError(404, 'Unknown badge');
+    error.code = 'UNKNOWN_BADGE';
+    throw error;
+  }
+
+  return employee;
+};
+
+/**
+ * Basket lines as purchase items: scanned codes become product IDs
+ *
+ * @param {Array} items - Array of { productId | code, quantity }
+ * @returns {Promise<Array>} - Array of { productId, quantity }
+ */
+const resolveItems = items =>
+  Promise.all(items.map(async ({ productId, code, quantity }) => ({
+    productId: code !== undefined ? (await productService.lookup(code)).id : productId,
+    quantity,
+  })));
+
+/**
+ * Receipt payload of a closed purchase, in the shape of the purchase preview
+ *
+ * @param {Object} purchase - Purchase with employee, items and discount lines
+ * @param {Object} balance - Allowance balance after the purchase
+ * @returns {Object}
+ */
+const toReceipt = (purchase, balance) => {
+  const discounts = purchase.discounts.map(discount => ({
+    promotionId: discount.promotionId,
+    promotionName: discount.promotionName,
+    applications: discount.applications,
+    amount: Number(discount.amount),
+  }));
+
+  const lineTax = item => {
+    const { net, vat } = taxService.lineTax(item);
+    return { net, vat };
+  };
+
+  return {
+    purchaseId: purchase.id,
+    date: purchase.date,
+    status: purchase.status,
+    location: purchase.location ? { id: purchase.location.id, name: purchase.location.name } : null,
+    employee: {
+      id: purchase.employee.id,
+      name: purchase.employee.name,
+      employee_number: purchase.employee.employee_number,
+    },
+    items: purchase.purchaseItems.map(item => ({
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      unitPrice: Number(item.unitPrice),
+      taxRate: item.taxRate === null ? null : Number(item.taxRate),
+      lineTotal: pricingService.lineTotal(item),
+      ...lineTax(item),
+    })),
+    subtotal: pricingService.calculateTotal(purchase.purchaseItems),
+    discounts,
+    discountTotal: pricingService.roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0)),
+    total: Number(purchase.total),
+    tax: taxService.forPurchase(purchase.purchaseItems, purchase.discounts),
+    companyShare: Number(purchase.companyShare),
+    employeeShare: Number(purchase.employeeShare),
+    allowance: {
+      allowance: balance.allowance,
+      spent: balance.spent,
+      remaining: balance.remaining,
+    },
+    allowanceWarning: purchase.getDataValue('allowanceWarning') || null,
+    dietaryWarnings: purchase.getDataValue('dietaryWarnings') || [],
+  };
+};
+
+class PosService {
+  /**
+   * Sell a basket to the employee carrying a badge
+   *
+   * @param {Object} checkout - Checkout data
+   * @param {string} checkout.badgeNumber - Identifier read from the badge
+   * @param {Array} checkout.items - Array of { productId | code, quantity }
+   * @param {number} [checkout.locationId] - Location of the terminal
+   * @param {Object} options - Checkout options
+   * @param {Object} options.user - Terminal user ({ id, role }), owner of the purchase
+   * @returns {Promise<Object>} - Receipt
+   */
+  async checkout({ badgeNumber, items, locationId }, { user } = {}) {
+    const employee = await findEmployeeByBadge(badgeNumber);
+    const purchaseItems = await resolveItems(items);
+    const date = new Date();
+
+    const purchase = await purchaseService.createWithItems(
+      {
+        employeeId: employee.id,
+        date,
+        status: STATUSES.CLOSED,
+        userId: user?.id,
+        locationId: await locationService.resolveForUser(user, locationId),
+      },
+      purchaseItems,
+    );
+    const balance = await allowanceService.getBalance(employee.id, { date });
+
+    return toReceipt(purchase, balance);
+  }
+}
+
+module.exports = new PosService();
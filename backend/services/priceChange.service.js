@@ -0,0 +1,376 @@
+/**
+ * Price Change Service
+ *
+ * Scheduled price lists. A manager schedules new prices for one or more
+ * products with the time they take effect; a worker started with the
+ * server applies each pending change once it is due. Pending changes can
+ * be cancelled until then.
+ *
+ * Applying a change sets the product prices in one transaction, records
+ * them in the price history (see priceHistory.service.js) and writes an
+ * audit entry per repriced product, attributed to the user who scheduled
+ * it. The change is claimed with a conditional status update, so two
+ * workers never apply it twice. A change that fails to apply stays pending
+ * and is retried on the next runs until it has failed maxAttempts times;
+ * it is then marked failed with its last error and no longer retried.
+ */
+
+const createError = require('http-errors');
+const { Op } = require('sequelize');
+const db = require('../model');
+const priceHistoryService = require('./priceHistory.service');
+const AuditService = require('./audit.service');
+const cacheService = require('./cache.service');
+const priceChangeConfig = require('../config/priceChanges');
+const logger = require('../utils/logger');
+const { updateUnversioned } = require('../utils/concurrency');
+
+const { STATUSES } = priceChangeConfig;
+const {
+  products: Product,
+  priceChanges: PriceChange,
+  priceChangeItems: PriceChangeItem,
+  users: User,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  items: {
+    model: PriceChangeItem,
+    as: 'items',
+    attributes: ['id', 'productId', 'price'],
+    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'price'], paranoid: false }],
+  },
+  creator: {
+    model: User,
+    as: 'creator',
+    attributes: ['id', 'name'],
+  },
+};
+
+/**
+ * Drop cached product responses after the worker changed prices
+ * Fire and forget, like the invalidateCache middleware the routes use.
+ */
+const invalidateProducts = () => {
+  Promise.all(['products:*', 'product:*'].map(pattern => cacheService.delPattern(pattern))).catch(error => {
+    logger.error('Cache invalidation error', { error: error.message });
+  });
+};
+
+/**
+ * Count a failed run of a pending change; mark it failed after maxAttempts
+ *
+ * @param {number} id - Price change ID
+ * @param {Error} error - Why the run failed
+ */
+const recordFailure = async (id, error) => {
+  const priceChange = await PriceChange.findByPk(id, { attributes: ['id', 'attempts'] });
+  const attempts = priceChange.attempts + 1;
+  const failed = attempts >= priceChangeConfig.worker.maxAttempts;
+
+  await PriceChange.update(
+    {
+      attempts,
+      lastError: String(error.message).slice(0, 500),
+      ...(failed && { status: STATUSES.FAILED }),
+    },
+    { where: { id, status: STATUSES.PENDING } },
+  );
+
+  if (failed) {
+    logger.error('Price change failed, giving up', { priceChangeId: id, attempts, error: error.message });
+  } else {
+    logger.warn('Failed to apply price change, will retry', { priceChangeId: id, attempts, error: error.message });
+  }
+};
+
+/**
+ * 409 with a code and details
+ */
+const conflict = (message, code, details) => {
+  const error = createError(409, message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+class PriceChangeService {
+  /**
+   * Get price changes, next due first
+   *
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only changes with this status
+   * @param {Object} options.pagination - Pagination options
+   * @returns {Promise<{data: Array, count: number}>}
+   */
+  async findAll({ status, pagination }) {
+    const { rows, count } = await PriceChange.findAndCountAll({
+      where: status ? { status } : {},
+      include: [INCLUDES.items, INCLUDES.creator],
+      order: [
+        ['effectiveFrom', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit: pagination.limit,
+      offset: pagination.skip,
+      distinct: true,
+    });
+
+    return { data: rows, count };
+  }
+
+  /**
+   * Get a price change with its items
+   *
+   * @param {number} id - Price change ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const priceChange = await PriceChange.findByPk(id, {
+      include: [INCLUDES.items, INCLUDES.creator],
+    });
+
+    if (!priceChange) {
+      throw createError(404, `Price change with ID ${id} not found`);
+    }
+
+    return priceChange;
+  }
+
+  /**
+   * Pending price changes of a product, next due first
+   *
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array<{priceChangeId: number, price: number, effectiveFrom: Date, note: string}>>}
+   */
+  async findUpcoming(productId) {
+    const items = await PriceChangeItem.findAll({
+      attributes: ['priceChangeId', 'price'],
+      where: { productId },
+      include: [
+        {
+          model: PriceChange,
+          as: 'priceChange',
+          attributes: ['effectiveFrom', 'note'],
+          where: { status: STATUSES.PENDING },
+        },
+      ],
+      order: [
+        [{ model: PriceChange, as: 'priceChange' }, 'effectiveFrom', 'ASC'],
+        ['priceChangeId', 'ASC'],
+      ],
+    });
+
+    return items.map(item => ({
+      priceChangeId: item.priceChangeId,
+      price: item.price,
+      effectiveFrom: item.priceChange.effectiveFrom,
+      note: item.priceChange.note,
+    }));
+  }
+
+  /**
+   * Schedule a price list
+   *
+   * @param {Object} data - { effectiveFrom, note, items: [{ productId, price }] }
+   * @param {Object} context - Request context
+   * @param {number} context.userId - User scheduling the change
+   * @returns {Promise<Object>}
+   */
+  async schedule({ effectiveFrom, note = null, items }, { userId = null } = {}) {
+    if (new Date(effectiveFrom) <= new Date()) {
+      throw createError(400, 'effectiveFrom must be in the future; use a product update for an immediate change');
+    }
+
+    const transaction = await sequelize.transaction();
+    let priceChange;
+
+    try {
+      const productIds = items.map(item => item.productId);
+      const found = await Product.findAll({ attributes: ['id'], where: { id: productIds }, transaction });
+      const missing = productIds.filter(id => !found.some(product => product.id === id));
+
+      if (missing.length > 0) {
+        throw createError(400, `Products not found: ${missing.join(', ')}`);
+      }
+
+      priceChange = await PriceChange.create(
+        { effectiveFrom, note, createdBy: userId },
+        { transaction },
+      );
+      await PriceChangeItem.bulkCreate(
+        items.map(item => ({ priceChangeId: priceChange.id, productId: item.productId, price: item.price })),
+        { transaction, validate: true },
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to schedule price change: ${error.message}`);
+    }
+
+    return this.findById(priceChange.id);
+  }
+
+  /**
+   * Cancel a pending price change
+   *
+   * @param {number} id - Price change ID
+   * @param {Object} context - Request context
+   * @param {number} context.userId - User cancelling the change
+   * @returns {Promise<Object>}
+   */
+  async cancel(id, { userId = null } = {}) {
+    const priceChange = await PriceChange.findByPk(id);
+
+    if (!priceChange) {
+      throw createError(404, `Price change with ID ${id} not found`);
+    }
+
+    const [claimed] = await PriceChange.update(
+      { status: STATUSES.CANCELLED, cancelledAt: new Date(), cancelledBy: userId },
+      { where: { id, status: STATUSES.PENDING } },
+    );
+
+    if (claimed === 0) {
+      const { status } = await priceChange.reload();
+      throw conflict(`Cannot cancel a price change that is ${status}`, 'PRICE_CHANGE_NOT_PENDING', { status });
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Apply every pending price change that is due, oldest first
+   *
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<number[]>} IDs of the applied changes
+   */
+  async applyDue(now = new Date()) {
+    const due = await PriceChange.findAll({
+      attributes: ['id'],
+      where: { status: STATUSES.PENDING, effectiveFrom: { [Op.lte]: now } },
+      order: [
+        ['effectiveFrom', 'ASC'],
+        ['id', 'ASC'],
+      ],
+    });
+
+    const applied = [];
+    for (const { id } of due) {
+      if (await this.apply(id)) {
+        applied.push(id);
+      }
+    }
+
+    if (applied.length > 0) {
+      invalidateProducts();
+    }
+
+    return applied;
+  }
+
+  /**
+   * Apply one pending price change
+   *
+   * @param {number} id - Price change ID
+   * @returns {Promise<boolean>} false when it was no longer pending
+   */
+  async apply(id) {
+    const transaction = await sequelize.transaction();
+    let priceChange;
+    const changes = [];
+
+    try {
+      const [claimed] = await PriceChange.update(
+        { status: STATUSES.APPLIED, appliedAt: new Date() },
+        { where: { id, status: STATUSES.PENDING }, transaction },
+      );
+
+      if (claimed === 0) {
+        await transaction.rollback();
+        return false;
+      }
+
+      priceChange = await PriceChange.findByPk(id, { include: [INCLUDES.items], transaction });
+
+      for (const item of priceChange.items) {
+        const product = await Product.findByPk(item.productId, { paranoid: false, transaction });
+        const previousPrice = product.price;
+
+        if (Number(previousPrice) !== Number(item.price)) {
+          // Applied by the worker, not an edit: an open edit form must not get a 412
+          await updateUnversioned(product, { price: item.price }, { transaction });
+          changes.push({ productId: product.id, price: product.price, previousPrice });
+        }
+      }
+
+      await priceHistoryService.record(changes, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      await recordFailure(id, error);
+      return false;
+    }
+
+    await Promise.all(
+      changes.map(change =>
+        AuditService.log({
+          userId: priceChange.createdBy,
+          action: 'UPDATE',
+          resource: 'product',
+          resourceId: change.productId,
+          oldValue: { price: change.previousPrice },
+          newValue: { price: change.price, priceChangeId: id },
+        }),
+      ),
+    );
+
+    logger.info('Price change applied', { priceChangeId: id, products: changes.length });
+    return true;
+  }
+
+  /**
+   * Start the worker that applies due price changes
+   * Returns a job with cancel(), for the graceful shutdown.
+   *
+   * @param {Object} options - Worker options
+   * @param {number} options.interval - Milliseconds between runs
+   * @returns {{cancel: Function}}
+   */
+  startWorker({ interval = priceChangeConfig.worker.interval } = {}) {
+    let running = false;
+
+    const run = async () => {
+      // Skip a tick while the previous run is still applying
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.applyDue();
+      } catch (error) {
+        logger.error('Price change worker failed', { error: error.message });
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(run, interval);
+    timer.unref();
+    run();
+
+    logger.info('Price change worker started', { interval });
+    return { cancel: () => clearInterval(timer) };
+  }
+}
+
+module.exports = new PriceChangeService();
@@ -0,0 +1,124 @@
+/**
+ * Price History Service
+ *
+ * Every price a product had, kept in product_prices so reports and
+ * disputes can show what an item cost on a given day.
+ *
+ * product.service.js records a row in the same transaction as every price
+ * change: on create, on update and in bulkUpdatePrices. Saving a product
+ * with an unchanged price records nothing.
+ *
+ * Purchases do not read from here: each purchase item keeps its own unit
+ * price snapshot (see pricing.service.js).
+ */
+
+const createError = require('http-errors');
+const { Op } = require('sequelize');
+const db = require('../model');
+
+const { products: Product, productPrices: ProductPrice } = db;
+
+const ATTRIBUTES = ['id', 'price', 'previousPrice', 'effectiveFrom'];
+
+/**
+ * 404 unless the product exists
+ */
+const assertProduct = async productId => {
+  const product = await Product.findByPk(productId, { attributes: ['id'] });
+
+  if (!product) {
+    throw createError(404, `Product with ID ${productId} not found`);
+  }
+};
+
+class PriceHistoryService {
+  /**
+   * Record new prices
+   * Changes recorded together share one effectiveFrom.
+   *
+   * @param {Array} changes - Array of { productId, price, previousPrice }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array>}
+   */
+  async record(changes, { transaction } = {}) {
+    if (changes.length === 0) {
+      return [];
+    }
+
+    const effectiveFrom = new Date();
+
+    return ProductPrice.bulkCreate(
+      changes.map(({ productId, price, previousPrice = null }) => ({
+        productId,
+        price,
+        previousPrice,
+        effectiveFrom,
+      })),
+      { transaction, validate: true },
+    );
+  }
+
+  /**
+   * Get a product's price history, newest first
+   *
+   * @param {number} productId - Product ID
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<{data: Array, count: number}>}
+   */
+  async findHistory(productId, pagination) {
+    await assertProduct(productId);
+
+    const { rows, count } = await ProductPrice.findAndCountAll({
+      attributes: ATTRIBUTES,
+      where: { productId },
+      order: [
+        ['effectiveFrom', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit: pagination.limit,
+      offset: pagination.skip,
+    });
+
+    return { data: rows, count };
+  }
+
+  /**
+   * Get the price a product had at a moment
+   *
+   * @param {number} productId - Product ID
+   * @param {Date|string} at - Moment (default: now)
+   * @returns {Promise<{productId: number, at: Date, price: number, effectiveFrom: Date}>}
+   */
+  async findPriceAt(productId, at = new Date()) {
+    const date = at instanceof Date ? at : new Date(at);
+
+    if (Number.isNaN(date.getTime())) {
+      throw createError(400, `Invalid date: ${at}`);
+    }
+
+    await assertProduct(productId);
+
+    const row = await ProductPrice.findOne({
+      attributes: ATTRIBUTES,
+      where: { productId, effectiveFrom: { [Op.lte]: date } },
+      order: [
+        ['effectiveFrom', 'DESC'],
+        ['id', 'DESC'],
+      ],
+    });
+
+    if (!row) {
+      throw createError(404, `No price recorded for product ${productId} at ${date.toISOString()}`);
+    }
+
+    return {
+      productId,
+      at: date,
+      price: row.price,
+      effectiveFrom: row.effectiveFrom,
+    };
+  }
+}
+
+module.exports = new PriceHistoryService();
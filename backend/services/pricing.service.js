@@ -0,0 +1,143 @@
+/**
+ * Pricing Service
+ *
+ * Single place where purchase line items get their price.
+ *
+ * Line items carry a snapshot of the product (unitPrice, productName and
+ * the percent of its VAT rate) taken when they are added. Every total,
+ * summary and report is computed from that snapshot, never from the
+ * product's current price. Archived products cannot be added. At a
+ * location that overrides a product's price, the snapshot takes the
+ * location price (see location.service.js).
+ *
+ * purchases.total is server-authoritative: it is rewritten from the items
+ * whenever they change and is never accepted from the client. It is the
+ * item total minus the purchase's discount lines (see promotion.service.js).
+ */
+
+const createError = require('http-errors');
+const db = require('../model');
+const locationService = require('./location.service');
+
+const {
+  products: Product,
+  taxRates: TaxRate,
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  purchaseDiscounts: PurchaseDiscount,
+} = db;
+
+class PricingService {
+  /**
+   * Round a monetary amount to 2 decimals
+   *
+   * @param {number} amount - Amount to round
+   * @returns {number}
+   */
+  roundMoney(amount) {
+    return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Build purchase item rows with a price snapshot of their products
+   * Loads all referenced products in a single query; archived products
+   * are rejected with 400.
+   *
+   * @param {Array} items - Array of { productId, quantity }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @param {number|null} options.locationId - Location whose price overrides apply
+   * @returns {Promise<Array>} - Items with unitPrice, productName and taxRate
+   */
+  async snapshotItems(items, { transaction, locationId = null } = {}) {
+    if (!items || items.length === 0) {
+      return [];
+    }
+
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await Product.findAll({
+      where: { id: productIds },
+      include: [{ model: TaxRate, as: 'taxRate', attributes: ['rate'] }],
+      paranoid: false,
+      transaction,
+    });
+    const productsById = new Map(products.map(p => [p.id, p]));
+    const overrides = await locationService.getOverrides(locationId, productIds, { transaction });
+
+    return items.map(item => {
+      const product = productsById.get(Number(item.productId));
+
+      if (!product) {
+        throw createError(404, `Product with ID ${item.productId} not found`);
+      }
+      if (product.deletedAt) {
+        throw createError(400, `Product "${product.name}" is archived and cannot be purchased`);
+      }
+
+      return {
+        productId: product.id,
+        quantity: item.quantity || 1,
+        unitPrice: overrides.get(product.id)?.price ?? product.price,
+        productName: product.name,
+        taxRate: product.taxRate ? Number(product.taxRate.rate) : null,
+      };
+    });
+  }
+
+  /**
+   * Line total from the snapshot price
+   *
+   * @param {Object} item - Purchase item with unitPrice and quantity
+   * @returns {number}
+   */
+  lineTotal(item) {
+    return this.roundMoney(parseFloat(item.unitPrice || 0) * item.quantity);
+  }
+
+  /**
+   * Sum of line totals, minus the discount lines if given
+   *
+   * @param {Array} items - Purchase items
+   * @param {Array} discounts - Purchase discounts with amount
+   * @returns {number}
+   */
+  calculateTotal(items = [], discounts = []) {
+    return this.roundMoney(
+      items.reduce((sum, item) => sum + this.lineTotal(item), 0) -
+        discounts.reduce((sum, discount) => sum + parseFloat(discount.amount || 0), 0),
+    );
+  }
+
+  /**
+   * Recompute a purchase's stored total from its items and discount lines
+   * Call inside the transaction that changed the items.
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>} - The new total
+   */
+  async syncPurchaseTotal(purchaseId, { transaction } = {}) {
+    const items = await PurchaseItem.findAll({
+      where: { purchaseId },
+      attributes: ['unitPrice', 'quantity'],
+      transaction,
+    });
+    const discounts = await PurchaseDiscount.findAll({
+      where: { purchaseId },
+      attributes: ['amount'],
+      transaction,
+    });
+    const total = this.calculateTotal(items, discounts);
+
+    // Item changes are changes to the purchase: bump its version (ETag)
+    await Purchase.update(
+      { total, version: db.sequelize.literal('version + 1') },
+      { where: { id: purchaseId }, transaction },
+    );
+
+    return total;
+  }
+}
+
+module.exports = new PricingService();
@@ -3,13 +3,70 @@
  *
  * Handles all product-related database operations
  * with proper eager loading for purchase item data.
+ *
+ * Products are returned with their category, tags and VAT rate. The list
+ * can be narrowed to a category (including its subcategories) and to
+ * products carrying all of the given tags, with facet counts over the
+ * filtered set.
+ *
+ * The dietary filters keep products that declare none of the excluded
+ * allergens and carry all of the requested dietary labels. Products that
+ * have not declared their allergens never pass an allergen filter. A
+ * product cannot carry a label that its allergens contradict, e.g. vegan
+ * with milk (see config/dietary.js).
+ *
+ * Every price change, including the bulk CASE update, is recorded in the
+ * price history in the same transaction (see priceHistory.service.js).
+ * A single product is returned with its pending scheduled price changes
+ * (see priceChange.service.js).
+ *
+ * Products can carry a SKU and several EAN/UPC barcodes, unique across
+ * all products including archived ones; lookup() resolves a scan to a
+ * product in the catalog.
+ *
+ * The list can show the menu of a location: the products it does not sell
+ * are left out and the others carry the location's price, with the
+ * catalog price in catalogPrice (see location.service.js).
+ *
+ * Deleting a product archives it (soft delete, like employees): it leaves
+ * the catalog but purchases keep showing it. Only products that were never
+ * sold or promoted can be deleted permanently, together with their image.
  */
 
 const createError = require('http-errors');
 const { Sequelize, Op } = require('sequelize');
 const db = require('../model');
+const categoryService = require('./category.service');
+const priceChangeService = require('./priceChange.service');
+const priceHistoryService = require('./priceHistory.service');
+const pricingService = require('./pricing.service');
+const tagService = require('./tag.service');
+const taxRateService = require('./taxRate.service');
+const dietaryService = require('./dietary.service');
+const productImageService = require('./productImage.service');
+const locationService = require('./location.service');
+const dietaryConfig = require('../config/dietary');
+const { assertVersion, isOptimisticLockError, preconditionFailed } = require('../utils/concurrency');
+const { isValidBarcode, normalizeBarcode } = require('../utils/barcode');
+
+const {
+  products: Product,
+  purchaseItems: PurchaseItem,
+  categories: Category,
+  tags: Tag,
+  taxRates: TaxRate,
+  productTags: ProductTag,
+  productBarcodes: ProductBarcode,
+  promotionProducts: PromotionProduct,
+  sequelize,
+} = db;
 
-const { products: Product, purchaseItems: PurchaseItem, sequelize } = db;
+// Revenue of purchase items at the price they were sold at
+const ITEM_REVENUE = Sequelize.fn(
+  'COALESCE',
+  Sequelize.fn('SUM', Sequelize.literal('`purchaseItems`.`unitPrice` * `purchaseItems`.`quantity`')),
+  0,
+);
 
 /**
  * Include configurations for eager loading
@@ -19,8 +76,313 @@ const INCLUDES = {
   purchaseItems: {
     model: PurchaseItem,
     as: 'purchaseItems',
-    attributes: ['id', 'quantity', 'purchaseId'],
+    attributes: ['id', 'quantity', 'purchaseId', 'unitPrice'],
+  },
+
+  category: {
+    model: Category,
+    as: 'category',
+    attributes: ['id', 'name', 'parentId'],
   },
+
+  tags: {
+    model: Tag,
+    as: 'tags',
+    attributes: ['id', 'name'],
+    through: { attributes: [] },
+  },
+
+  barcodes: {
+    model: ProductBarcode,
+    as: 'barcodes',
+    attributes: ['code'],
+  },
+
+  taxRate: {
+    model: TaxRate,
+    as: 'taxRate',
+    attributes: ['id', 'name', 'rate'],
+  },
+};
+
+// Returned with every product
+const DEFAULT_INCLUDES = [INCLUDES.category, INCLUDES.tags, INCLUDES.barcodes, INCLUDES.taxRate];
+
+/**
+ * Throw 400 unless the category exists (null and undefined pass)
+ *
+ * @param {number|null|undefined} categoryId - Category ID
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Sequelize transaction
+ */
+const assertCategory = async (categoryId, { transaction } = {}) => {
+  if (categoryId === null || categoryId === undefined) {
+    return;
+  }
+
+  const category = await Category.findByPk(categoryId, { attributes: ['id'], transaction });
+  if (!category) {
+    throw createError(400, `Category with ID ${categoryId} not found`);
+  }
+};
+
+/**
+ * Throw 409 when a barcode already belongs to another product
+ * Archived products keep their barcodes for restore.
+ *
+ * @param {string[]} codes - Normalized barcodes
+ * @param {Object} options - Query options
+ * @param {number} [options.productId] - Product the barcodes are for
+ * @param {Object} options.transaction - Sequelize transaction
+ */
+const assertBarcodesFree = async (codes, { productId, transaction } = {}) => {
+  if (codes.length === 0) {
+    return;
+  }
+
+  const taken = await ProductBarcode.findOne({
+    where: productId ? { code: codes, productId: { [Op.ne]: productId } } : { code: codes },
+    include: [{ model: Product, as: 'product', attributes: ['name', 'deletedAt'], paranoid: false }],
+    transaction,
+  });
+
+  if (taken) {
+    const archived = taken.product.deletedAt ? ' (archived)' : '';
+    throw createError(409, `Barcode ${taken.code} already belongs to product "${taken.product.name}"${archived}`);
+  }
+};
+
+/**
+ * Replace the barcodes of a product
+ *
+ * @param {Object} product - Product instance
+ * @param {string[]} codes - Normalized barcodes
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Sequelize transaction
+ */
+const setBarcodes = async (product, codes, { transaction }) => {
+  await assertBarcodesFree(codes, { productId: product.id, transaction });
+  await ProductBarcode.destroy({ where: { productId: product.id }, transaction });
+  await ProductBarcode.bulkCreate(codes.map(code => ({ code, productId: product.id })), { transaction });
+};
+
+/**
+ * 409 for a unique constraint violation, naming the clashing field
+ */
+const uniqueConflict = error => {
+  const fields = [...Object.keys(error.fields || {}), ...(error.errors || []).map(e => e.path)];
+
+  if (fields.some(field => String(field).includes('sku'))) {
+    return createError(409, 'Product with this SKU already exists');
+  }
+  if (fields.some(field => String(field).includes('code'))) {
+    return createError(409, 'One of the barcodes already belongs to another product');
+  }
+  return createError(409, 'Product with this name already exists');
+};
+
+/**
+ * IDs of the products that carry all of the given tags
+ *
+ * @param {string[]} names - Tag names
+ * @returns {Promise<number[]>}
+ */
+const productIdsWithAllTags = async names => {
+  const wanted = tagService.normalizeNames(names);
+  const tagIds = await tagService.findIdsByNames(wanted);
+
+  // An unknown tag matches nothing
+  if (tagIds.length < wanted.length) {
+    return [];
+  }
+
+  const rows = await ProductTag.findAll({
+    attributes: ['productId'],
+    where: { tagId: tagIds },
+    group: ['productId'],
+    having: Sequelize.where(Sequelize.fn('COUNT', Sequelize.col('tagId')), tagIds.length),
+    raw: true,
+  });
+
+  return rows.map(row => row.productId);
+};
+
+/**
+ * Condition on whether a JSON array column of products holds a value
+ * MySQL has JSON_CONTAINS; SQLite (tests) reads the array with json_each.
+ *
+ * @param {string} column - JSON column of the products table
+ * @param {string} value - Array element
+ * @param {boolean} contains - false to match arrays without the value
+ * @returns {Object} Sequelize where condition
+ */
+const jsonContains = (column, value, contains = true) => {
+  let test = Sequelize.fn('JSON_CONTAINS', Sequelize.col(`products.${column}`), JSON.stringify(value));
+
+  if (sequelize.getDialect() === 'sqlite') {
+    test = Sequelize.literal(
+      `EXISTS (SELECT 1 FROM json_each(\`products\`.\`${column}\`) WHERE json_each.value = ${sequelize.escape(value)})`,
+    );
+  }
+
+  return Sequelize.where(test, contains ? 1 : 0);
+};
+
+/**
+ * IDs of the products free of the given allergens and carrying all of the
+ * given dietary labels - single query, the JSON columns are matched in SQL
+ *
+ * @param {string[]} excludeAllergens - Allergen codes
+ * @param {string[]} diet - Dietary labels
+ * @returns {Promise<number[]>}
+ */
+const productIdsMatchingDiet = async (excludeAllergens, diet) => {
+  const conditions = [
+    ...diet.map(label => ({
+      [Op.or]: dietaryService.satisfyingLabels(label).map(l => jsonContains('dietaryLabels', l)),
+    })),
+  ];
+
+  if (excludeAllergens.length > 0) {
+    conditions.push(
+      { allergens: { [Op.ne]: null } },
+      ...excludeAllergens.map(allergen => jsonContains('allergens', allergen, false)),
+    );
+  }
+
+  const products = await Product.findAll({ attributes: ['id'], where: { [Op.and]: conditions }, raw: true });
+
+  return products.map(product => product.id);
+};
+
+/**
+ * Throw 400 when a dietary label contradicts the declared allergens
+ *
+ * @param {string[]|null} allergens - Allergen codes
+ * @param {string[]|null} dietaryLabels - Dietary labels
+ */
+const assertDietary = (allergens, dietaryLabels) => {
+  for (const label of dietaryLabels || []) {
+    const conflicting = (dietaryConfig.CONFLICTS[label] || []).filter(a => (allergens || []).includes(a));
+
+    if (conflicting.length > 0) {
+      throw createError(400, `A ${label} product cannot contain ${conflicting.join(', ')}`);
+    }
+  }
+};
+
+/**
+ * Add the category, tag and dietary filters to a where clause
+ *
+ * @param {Object} where - Sequelize where clause from the list filters
+ * @param {Object} filters - Catalog filters
+ * @param {number} [filters.categoryId] - Category, subcategories included
+ * @param {string[]} [filters.tags] - Tag names, all required
+ * @param {string[]} [filters.excludeAllergens] - Allergen codes, none allowed
+ * @param {string[]} [filters.diet] - Dietary labels, all required
+ * @returns {Promise<Object>}
+ */
+const catalogWhere = async (where, { categoryId, tags = [], excludeAllergens = [], diet = [] }) => {
+  const conditions = { ...where };
+  const idSets = [];
+
+  if (categoryId !== undefined) {
+    conditions.categoryId = await categoryService.getSubtreeIds(categoryId);
+  }
+  if (tags.length > 0) {
+    idSets.push(await productIdsWithAllTags(tags));
+  }
+  if (excludeAllergens.length > 0 || diet.length > 0) {
+    idSets.push(await productIdsMatchingDiet(excludeAllergens, diet));
+  }
+  if (idSets.length > 0) {
+    conditions.id = idSets.reduce((ids, other) => ids.filter(id => other.includes(id)));
+  }
+
+  return conditions;
+};
+
+/**
+ * Leave out the products a location does not sell
+ *
+ * @param {Object} where - Sequelize where clause
+ * @param {number} locationId - Location ID
+ * @returns {Promise<Object>}
+ */
+const locationWhere = async (where, locationId) => {
+  await locationService.assertExists(locationId);
+
+  const unavailable = await locationService.findUnavailableProductIds(locationId);
+  if (unavailable.length === 0) {
+    return where;
+  }
+
+  return { ...where, [Op.and]: [...(where[Op.and] || []), { id: { [Op.notIn]: unavailable } }] };
+};
+
+/**
+ * Show products at their price at a location, keeping the catalog price
+ *
+ * @param {Array} products - Product instances
+ * @param {number} locationId - Location ID
+ * @returns {Promise<Array>}
+ */
+const withLocationPrices = async (products, locationId) => {
+  const overrides = await locationService.getOverrides(locationId, products.map(product => product.id));
+
+  products.forEach(product => {
+    product.setDataValue('catalogPrice', product.price);
+    product.setDataValue('price', overrides.get(product.id)?.price ?? product.price);
+  });
+
+  return products;
+};
+
+/**
+ * Category and tag counts over the products matching a where clause
+ *
+ * @param {Object} where - Sequelize where clause
+ * @returns {Promise<{categories: Array, tags: Array}>}
+ */
+const getFacets = async where => {
+  const [categoryRows, tagRows, paths] = await Promise.all([
+    Product.findAll({
+      where,
+      attributes: ['categoryId', [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']],
+      group: ['categoryId'],
+      raw: true,
+    }),
+    ProductTag.findAll({
+      attributes: ['tagId', [Sequelize.fn('COUNT', Sequelize.col('productTags.productId')), 'count']],
+      include: [
+        { model: Product, as: 'product', attributes: [], where },
+        { model: Tag, as: 'tag', attributes: ['name'] },
+      ],
+      group: ['tagId', 'tag.id', 'tag.name'],
+      raw: true,
+    }),
+    categoryService.getPaths(),
+  ]);
+
+  const byCount = (a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name));
+
+  return {
+    // Uncategorized products are counted under id null
+    categories: categoryRows
+      .map(row => {
+        const path = paths.get(row.categoryId) || [];
+        return {
+          id: row.categoryId,
+          name: path[path.length - 1] || null,
+          path,
+          count: parseInt(row.count, 10),
+        };
+      })
+      .sort(byCount),
+    tags: tagRows
+      .map(row => ({ id: row.tagId, name: row['tag.name'], count: parseInt(row.count, 10) }))
+      .sort(byCount),
+  };
 };
 
 class ProductService {
@@ -31,11 +393,33 @@ class ProductService {
    * @param {Object} options.where - Sequelize where clause
    * @param {Array} options.order - Sequelize order clause
    * @param {Object} options.pagination - { page, limit, skip }
-   * @returns {Promise<{data: Array, count: number}>}
+   * @param {number} options.categoryId - Only this category and its subcategories
+   * @param {string[]} options.tags - Only products carrying all of these tags
+   * @param {string[]} options.excludeAllergens - Only products declared free of these allergens
+   * @param {string[]} options.diet - Only products carrying all of these dietary labels
+   * @param {number} options.locationId - Only products sold at this location, at its prices
+   * @param {boolean} options.facets - Also count the matches per category and tag
+   * @returns {Promise<{data: Array, count: number, facets?: Object}>}
    */
-  async findAll({ where = {}, order = [['id', 'ASC']], pagination }) {
+  async findAll({
+    where = {},
+    order = [['id', 'ASC']],
+    pagination,
+    categoryId,
+    tags = [],
+    excludeAllergens = [],
+    diet = [],
+    locationId,
+    facets = false,
+  }) {
+    let conditions = await catalogWhere(where, { categoryId, tags, excludeAllergens, diet });
+    if (locationId !== undefined) {
+      conditions = await locationWhere(conditions, locationId);
+    }
+
     const { rows, count } = await Product.findAndCountAll({
-      where,
+      where: conditions,
+      include: DEFAULT_INCLUDES,
       order,
       limit: pagination.limit,
       offset: pagination.skip,
@@ -43,7 +427,15 @@ class ProductService {
       col: 'id',
     });
 
-    return { data: rows, count };
+    if (locationId !== undefined) {
+      await withLocationPrices(rows, locationId);
+    }
+
+    if (!facets) {
+      return { data: rows, count };
+    }
+
+    return { data: rows, count, facets: await getFacets(conditions) };
   }
 
   /**
@@ -55,7 +447,10 @@ class ProductService {
    * @returns {Promise<Object>}
    */
   async findById(id, { includeStats = false } = {}) {
-    const include = includeStats ? [INCLUDES.purchaseItems] : [];
+    const include = [...DEFAULT_INCLUDES];
+    if (includeStats) {
+      include.push(INCLUDES.purchaseItems);
+    }
 
     const product = await Product.findByPk(id, { include });
 
@@ -63,6 +458,7 @@ class ProductService {
       throw createError(404, `Product with ID ${id} not found`);
     }
 
+    product.setDataValue('upcomingPriceChanges', await priceChangeService.findUpcoming(product.id));
     return product;
   }
 
@@ -84,35 +480,126 @@ class ProductService {
     return product;
   }
 
+  /**
+   * Resolve a scanned or typed code to a product in the catalog
+   * A valid EAN/UPC barcode is looked up by barcode first, anything else
+   * (and an unknown barcode) by SKU. Both are matched in a single query;
+   * a barcode match wins over another product's SKU.
+   *
+   * @param {string} code - Barcode or SKU
+   * @returns {Promise<Object>}
+   */
+  async lookup(code) {
+    const value = String(code).trim();
+    const barcode = isValidBarcode(value) ? normalizeBarcode(value) : null;
+    const matches = [{ sku: value.toUpperCase() }];
+
+    if (barcode) {
+      matches.push({
+        id: {
+          [Op.in]: Sequelize.literal(
+            `(SELECT \`productId\` FROM \`product_barcodes\` WHERE \`code\` = ${sequelize.escape(barcode)})`,
+          ),
+        },
+      });
+    }
+
+    const products = await Product.findAll({
+      where: { [Op.or]: matches },
+      include: [INCLUDES.category, INCLUDES.barcodes],
+    });
+
+    const product = products.find(p => barcode && p.barcodes.some(b => b.code === barcode)) || products[0];
+
+    if (!product) {
+      throw createError(404, `No product with barcode or SKU ${value}`);
+    }
+
+    return product;
+  }
+
   /**
    * Get product with sales statistics
    *
+   * categoryStats compares the product with the other products of its
+   * category (null when uncategorized). Archived products keep their stats.
+   *
    * @param {number} id - Product ID
    * @returns {Promise<Object>}
    */
   async findWithStats(id) {
     const product = await Product.findByPk(id, {
-      include: [INCLUDES.purchaseItems],
+      include: [INCLUDES.purchaseItems, ...DEFAULT_INCLUDES],
+      paranoid: false,
     });
 
     if (!product) {
       throw createError(404, `Product with ID ${id} not found`);
     }
 
-    // Calculate stats
+    // Calculate stats (revenue uses the price each item was sold at)
     const items = product.purchaseItems || [];
     const stats = {
       totalOrders: items.length,
       totalQuantitySold: items.reduce((sum, item) => sum + item.quantity, 0),
-      totalRevenue: items.reduce(
-        (sum, item) => sum + item.quantity * parseFloat(product.price),
-        0,
-      ),
+      totalRevenue: pricingService.calculateTotal(items),
     };
 
     return {
       ...product.toJSON(),
       stats,
+      categoryStats: product.categoryId
+        ? await this.getCategoryStats(product.categoryId, product.id)
+        : null,
+    };
+  }
+
+  /**
+   * Sales of a category and a product's share of them
+   * Sales of archived products count; productCount is the catalog's.
+   *
+   * @param {number} categoryId - Category ID
+   * @param {number} productId - Product to rank within the category
+   * @returns {Promise<Object>}
+   */
+  async getCategoryStats(categoryId, productId) {
+    const [rows, productCount, paths] = await Promise.all([
+      PurchaseItem.findAll({
+        attributes: [
+          'productId',
+          [Sequelize.fn('SUM', Sequelize.col('purchaseItems.quantity')), 'quantity'],
+          [ITEM_REVENUE, 'revenue'],
+        ],
+        include: [{ model: Product, as: 'product', attributes: [], where: { categoryId }, paranoid: false }],
+        group: ['productId'],
+        raw: true,
+      }),
+      Product.count({ where: { categoryId } }),
+      categoryService.getPaths(),
+    ]);
+
+    const sales = rows
+      .map(row => ({
+        productId: row.productId,
+        quantity: parseInt(row.quantity, 10) || 0,
+        revenue: pricingService.roundMoney(parseFloat(row.revenue) || 0),
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const totalRevenue = pricingService.roundMoney(sales.reduce((sum, s) => sum + s.revenue, 0));
+    const own = sales.find(s => s.productId === productId);
+    const path = paths.get(categoryId) || [];
+
+    return {
+      categoryId,
+      categoryName: path[path.length - 1] || null,
+      path,
+      productCount,
+      totalQuantitySold: sales.reduce((sum, s) => sum + s.quantity, 0),
+      totalRevenue,
+      // Share of the category's revenue (0-1) and position by revenue
+      revenueShare: own && totalRevenue > 0 ? Math.round((own.revenue / totalRevenue) * 10000) / 10000 : 0,
+      rank: own ? sales.indexOf(own) + 1 : null,
     };
   }
 
@@ -166,16 +653,40 @@ class ProductService {
   /**
    * Create a new product
    *
-   * @param {Object} data - Product data
+   * @param {Object} data - Product data; tags is a list of tag names,
+   *   barcodes a list of normalized barcodes
    * @returns {Promise<Object>}
    */
   async create(data) {
+    const { tags, barcodes, ...fields } = data;
+    const transaction = await sequelize.transaction();
+
     try {
-      const product = await Product.create(data);
+      await assertCategory(fields.categoryId, { transaction });
+      await taxRateService.assertExists([fields.taxRateId], { transaction });
+      assertDietary(fields.allergens, fields.dietaryLabels);
+
+      const product = await Product.create(fields, { transaction });
+      await priceHistoryService.record([{ productId: product.id, price: product.price }], { transaction });
+      if (tags) {
+        await product.setTags(await tagService.findOrCreateByNames(tags, { transaction }), { transaction });
+      }
+      if (barcodes) {
+        await setBarcodes(product, barcodes, { transaction });
+      }
+
+      await product.reload({ include: DEFAULT_INCLUDES, transaction });
+
+      await transaction.commit();
       return product;
     } catch (error) {
+      await transaction.rollback();
+
+      if (error.status) {
+        throw error;
+      }
       if (error.name === 'SequelizeUniqueConstraintError') {
-        throw createError(409, 'Product with this name already exists');
+        throw uniqueConflict(error);
       }
       if (error.name === 'SequelizeValidationError') {
         const messages = error.errors.map(e => e.message).join(', ');
@@ -187,24 +698,65 @@ class ProductService {
 
   /**
    * Update a product
+   * Given tags and barcodes lists replace the product's tags and barcodes.
    *
    * @param {number} id - Product ID
    * @param {Object} data - Updated data
+   * @param {Object} options - Update options
+   * @param {Object|null} options.ifMatch - Parsed If-Match (412 when the version is stale)
    * @returns {Promise<Object>}
    */
-  async update(id, data) {
+  async update(id, data, { ifMatch = null } = {}) {
     const product = await Product.findByPk(id);
 
     if (!product) {
       throw createError(404, `Product with ID ${id} not found`);
     }
 
+    assertVersion(product, ifMatch);
+
+    const { tags, barcodes, ...fields } = data;
+    const transaction = await sequelize.transaction();
+
     try {
-      await product.update(data);
+      await assertCategory(fields.categoryId, { transaction });
+      await taxRateService.assertExists([fields.taxRateId], { transaction });
+      assertDietary(
+        fields.allergens !== undefined ? fields.allergens : product.allergens,
+        fields.dietaryLabels !== undefined ? fields.dietaryLabels : product.dietaryLabels,
+      );
+
+      const previousPrice = product.price;
+      await product.update(fields, { transaction });
+      if (Number(product.price) !== Number(previousPrice)) {
+        await priceHistoryService.record(
+          [{ productId: product.id, price: product.price, previousPrice }],
+          { transaction },
+        );
+      }
+      if (tags) {
+        await product.setTags(await tagService.findOrCreateByNames(tags, { transaction }), { transaction });
+      }
+      if (barcodes) {
+        await setBarcodes(product, barcodes, { transaction });
+      }
+
+      await product.reload({ include: DEFAULT_INCLUDES, transaction });
+
+      await transaction.commit();
       return product;
     } catch (error) {
+      await transaction.rollback();
+
+      if (error.status) {
+        throw error;
+      }
+      if (isOptimisticLockError(error)) {
+        await product.reload();
+        throw preconditionFailed(product.version);
+      }
       if (error.name === 'SequelizeUniqueConstraintError') {
-        throw createError(409, 'Product with this name already exists');
+        throw uniqueConflict(error);
       }
       if (error.name === 'SequelizeValidationError') {
         const messages = error.errors.map(e => e.message).join(', ');
@@ -215,7 +767,33 @@ class ProductService {
   }
 
   /**
-   * Delete a product
+   * Get all archived products (for admin restore functionality)
+   *
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<{data: Array, count: number}>}
+   */
+  async findDeleted(pagination) {
+    const { rows, count } = await Product.findAndCountAll({
+      where: {
+        deletedAt: { [Op.ne]: null },
+      },
+      paranoid: false,
+      order: [['deletedAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.skip,
+    });
+
+    return { data: rows, count };
+  }
+
+  /**
+   * Archive a product
+   *
+   * NOTE: This is a SOFT DELETE. The product record is NOT physically deleted.
+   * - Sets deletedAt timestamp
+   * - Product leaves the catalog and cannot be added to purchases
+   * - Purchase items keep their product for the purchase history
+   * - Can be restored with restore() method
    *
    * @param {number} id - Product ID
    * @returns {Promise<{deleted: boolean, id: number}>}
@@ -227,42 +805,119 @@ class ProductService {
       throw createError(404, `Product with ID ${id} not found`);
     }
 
-    // Check if product is in any purchase items
-    const itemCount = await PurchaseItem.count({ where: { productId: id } });
+    // Soft delete - Sequelize paranoid mode handles this
+    await product.destroy();
+
+    return { deleted: true, id, softDeleted: true };
+  }
+
+  /**
+   * Restore an archived product
+   *
+   * @param {number} id - Product ID
+   * @returns {Promise<Object>}
+   */
+  async restore(id) {
+    const product = await Product.findByPk(id, { paranoid: false });
+
+    if (!product) {
+      throw createError(404, `Product with ID ${id} not found`);
+    }
+
+    if (!product.deletedAt) {
+      throw createError(400, `Product with ID ${id} is not deleted`);
+    }
+
+    await product.restore();
+    return product;
+  }
+
+  /**
+   * Permanently delete a product and its image (DANGER - use with caution)
+   * Only works if the product was never sold and is in no promotion
+   *
+   * @param {number} id - Product ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async hardDelete(id) {
+    const product = await Product.findByPk(id, { paranoid: false });
+
+    if (!product) {
+      throw createError(404, `Product with ID ${id} not found`);
+    }
+
+    // Purchase items restrict the delete, promotions would silently lose the product
+    const [itemCount, promotionCount] = await Promise.all([
+      PurchaseItem.count({ where: { productId: id } }),
+      PromotionProduct.count({ where: { productId: id } }),
+    ]);
     if (itemCount > 0) {
       throw createError(
         400,
-        `Cannot delete product that appears in ${itemCount} purchase items`,
+        `Cannot permanently delete product that appears in ${itemCount} purchase items. Use soft delete instead.`,
+      );
+    }
+    if (promotionCount > 0) {
+      throw createError(
+        400,
+        `Cannot permanently delete product that is part of ${promotionCount} promotions. Remove it from them first.`,
       );
     }
 
-    await product.destroy();
-    return { deleted: true, id };
+    await product.destroy({ force: true });
+    await productImageService.removeFiles(product);
+
+    return { deleted: true, id, hardDeleted: true };
   }
 
   /**
-   * Bulk create products
+   * Bulk create products (import), all or nothing
    *
-   * @param {Array} products - Array of product data
+   * @param {Array} products - Array of product data; barcodes is a list of
+   *   normalized barcodes
    * @returns {Promise<Array>}
    */
   async bulkCreate(products) {
+    const codes = products.flatMap(product => product.barcodes || []);
+    const repeated = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (repeated) {
+      throw createError(400, `Barcode ${repeated} is listed for more than one product`);
+    }
+
     const transaction = await sequelize.transaction();
 
     try {
-      const created = await Product.bulkCreate(products, {
-        transaction,
-        validate: true,
-        individualHooks: false,
-      });
+      await assertBarcodesFree(codes, { transaction });
+      await taxRateService.assertExists(products.map(product => product.taxRateId), { transaction });
+
+      const created = await Product.bulkCreate(
+        products.map(({ tags: _tags, barcodes: _barcodes, ...fields }) => fields),
+        {
+          transaction,
+          validate: true,
+          individualHooks: false,
+        },
+      );
+      await priceHistoryService.record(
+        created.map(product => ({ productId: product.id, price: product.price })),
+        { transaction },
+      );
+      await ProductBarcode.bulkCreate(
+        created.flatMap((product, index) =>
+          (products[index].barcodes || []).map(code => ({ code, productId: product.id }))),
+        { transaction },
+      );
 
       await transaction.commit();
       return created;
     } catch (error) {
       await transaction.rollback();
 
+      if (error.status) {
+        throw error;
+      }
       if (error.name === 'SequelizeUniqueConstraintError') {
-        throw createError(409, 'One or more product names already exist');
+        throw createError(409, 'One or more product names or SKUs already exist');
       }
       throw createError(500, `Failed to bulk create products: ${error.message}`);
     }
@@ -283,24 +938,39 @@ class ProductService {
     const transaction = await sequelize.transaction();
 
     try {
-      const ids = updates.map(u => u.id);
+      const ids = updates.map(u => parseInt(u.id, 10));
+
+      // Prices before the update, for the history
+      const before = await Product.findAll({
+        attributes: ['id', 'price'],
+        where: { id: ids },
+        transaction,
+      });
+      const previousPrices = new Map(before.map(p => [p.id, p.price]));
 
       // Build CASE statement for batch update - single query instead of N queries
       const caseStatements = updates
-        .map(u => `WHEN ${parseInt(u.id)} THEN ${parseFloat(u.price)}`)
+        .map(u => `WHEN ${parseInt(u.id, 10)} THEN ${parseFloat(u.price)}`)
         .join(' ');
 
       await sequelize.query(
-        `UPDATE products SET price = CASE id ${caseStatements} END, updatedAt = NOW() WHERE id IN (${ids.join(',')})`,
-        { transaction }
+        `UPDATE products SET price = CASE id ${caseStatements} END, version = version + 1 WHERE id IN (${ids.join(',')})`,
+        { transaction },
       );
 
       // Fetch all updated products in single query
       const results = await Product.findAll({
         where: { id: ids },
-        transaction
+        transaction,
       });
 
+      await priceHistoryService.record(
+        results
+          .filter(p => Number(p.price) !== Number(previousPrices.get(p.id)))
+          .map(p => ({ productId: p.id, price: p.price, previousPrice: previousPrices.get(p.id) })),
+        { transaction },
+      );
+
       await transaction.commit();
       return results;
     } catch (error) {
@@ -343,6 +1013,7 @@ class ProductService {
           as: 'purchaseItems',
           attributes: [],
         },
+        INCLUDES.category,
       ],
       attributes: {
         include: [
@@ -356,7 +1027,7 @@ class ProductService {
           ],
         ],
       },
-      group: ['products.id'],
+      group: ['products.id', 'category.id'],
       order: [[Sequelize.literal('orderCount'), 'DESC']],
       limit,
       subQuery: false,
@@ -364,6 +1035,45 @@ class ProductService {
 
     return products;
   }
+
+  /**
+   * Get the most purchased categories
+   * Sales count towards the product's own category, not its parents.
+   * Uncategorized products are grouped under categoryId null.
+   *
+   * @param {number} limit - Number of categories to return
+   * @returns {Promise<Array>}
+   */
+  async findPopularCategories(limit = 10) {
+    const [rows, paths] = await Promise.all([
+      PurchaseItem.findAll({
+        attributes: [
+          [Sequelize.col('product.categoryId'), 'categoryId'],
+          [Sequelize.fn('COUNT', Sequelize.col('purchaseItems.id')), 'orderCount'],
+          [Sequelize.fn('SUM', Sequelize.col('purchaseItems.quantity')), 'totalQuantity'],
+          [ITEM_REVENUE, 'totalRevenue'],
+        ],
+        include: [{ model: Product, as: 'product', attributes: [], paranoid: false }],
+        group: ['product.categoryId'],
+        order: [[Sequelize.literal('orderCount'), 'DESC']],
+        limit,
+        raw: true,
+      }),
+      categoryService.getPaths(),
+    ]);
+
+    return rows.map(row => {
+      const path = paths.get(row.categoryId) || [];
+      return {
+        categoryId: row.categoryId,
+        categoryName: path[path.length - 1] || null,
+        path,
+        orderCount: parseInt(row.orderCount, 10),
+        totalQuantity: parseInt(row.totalQuantity, 10) || 0,
+        totalRevenue: pricingService.roundMoney(parseFloat(row.totalRevenue) || 0),
+      };
+    });
+  }
 }
 
 module.exports = new ProductService();
@@ -0,0 +1,143 @@
+/**
+ * Product Image Service
+ *
+ * Turns an uploaded picture into the sizes of config/images.js (WebP,
+ * EXIF orientation applied) and stores them (see storage.service.js).
+ *
+ * The files of an image are named after a hash of the upload, kept in
+ * products.imageHash. Replacing the image stores the new files before the
+ * product points to them and removes the old ones afterwards, so a URL
+ * never shows a different picture and can be cached forever.
+ *
+ * Images of archived products are kept for restore; they are removed
+ * with the product on hard delete.
+ */
+
+const crypto = require('crypto');
+const createError = require('http-errors');
+const sharp = require('sharp');
+const db = require('../model');
+const imageConfig = require('../config/images');
+const storageService = require('./storage.service');
+
+const { products: Product } = db;
+
+const CONTENT_TYPE = 'image/webp';
+
+/**
+ * Storage keys of every size of an image
+ */
+const imageKeys = (productId, hash) =>
+  Object.keys(imageConfig.SIZES).map(size => imageConfig.imageKey(productId, hash, size));
+
+/**
+ * 400 unless the upload decodes as an image of an allowed type
+ * The declared MIME type is only checked by the upload middleware.
+ */
+const assertImage = async buffer => {
+  const allowed = imageConfig.allowedTypes.map(type => imageConfig.FORMATS[type]);
+  const metadata = await sharp(buffer).metadata().catch(() => null);
+
+  if (!metadata || !allowed.includes(metadata.format)) {
+    throw createError(400, 'The uploaded file is not a valid image');
+  }
+};
+
+/**
+ * Render every size of an image
+ *
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<Array>} - [size, WebP buffer] pairs
+ */
+const renderSizes = buffer =>
+  Promise.all(Object.entries(imageConfig.SIZES).map(async ([size, { width, height, fit }]) => [
+    size,
+    await sharp(buffer)
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: true })
+      .webp({ quality: imageConfig.quality })
+      .toBuffer(),
+  ]));
+
+class ProductImageService {
+  /**
+   * Set a product's image from an upload
+   * Uploading the current image again changes nothing.
+   *
+   * @param {number} productId - Product ID
+   * @param {Object} file - Uploaded file ({ buffer })
+   * @returns {Promise<Object>} - The product
+   */
+  async upload(productId, file) {
+    const product = await Product.findByPk(productId);
+
+    if (!product) {
+      throw createError(404, `Product with ID ${productId} not found`);
+    }
+
+    await assertImage(file.buffer);
+
+    const hash = crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 16);
+    const previous = product.imageHash;
+
+    if (hash === previous) {
+      return product;
+    }
+
+    try {
+      const rendered = await renderSizes(file.buffer);
+      await Promise.all(rendered.map(([size, body]) =>
+        storageService.put(imageConfig.imageKey(product.id, hash, size), body, CONTENT_TYPE),
+      ));
+
+      await product.update({ imageHash: hash });
+    } catch (error) {
+      await storageService.remove(imageKeys(product.id, hash));
+      throw createError(500, `Failed to store product image: ${error.message}`);
+    }
+
+    if (previous) {
+      await storageService.remove(imageKeys(product.id, previous));
+    }
+
+    return product;
+  }
+
+  /**
+   * Remove a product's image
+   *
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object>} - The product
+   */
+  async remove(productId) {
+    const product = await Product.findByPk(productId);
+
+    if (!product) {
+      throw createError(404, `Product with ID ${productId} not found`);
+    }
+
+    if (!product.imageHash) {
+      throw createError(404, `Product with ID ${productId} has no image`);
+    }
+
+    const hash = product.imageHash;
+    await product.update({ imageHash: null });
+    await storageService.remove(imageKeys(product.id, hash));
+
+    return product;
+  }
+
+  /**
+   * Remove the files of a product's image (product hard delete)
+   *
+   * @param {Object} product - Product instance with id and imageHash
+   * @returns {Promise<void>}
+   */
+  async removeFiles(product) {
+    if (product.imageHash) {
+      await storageService.remove(imageKeys(product.id, product.imageHash));
+    }
+  }
+}
+
+module.exports = new ProductImageService();
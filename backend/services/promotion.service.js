@@ -0,0 +1,580 @@
+/**
+ * Promotion Service
+ *
+ * Promotion definitions and the rules engine that prices a basket with
+ * them (see config/promotions.js for the types).
+ *
+ * evaluate() runs the active promotions whose time window matches the
+ * purchase date, highest priority first (bundles before unit discounts on
+ * a tie). Each unit of an item is discounted by one promotion at most, and
+ * a promotion never takes a unit below zero or makes a bundle dearer than
+ * its items. A per-employee limit counts the applications already on the
+ * employee's other purchases in the day or month (voided ones excluded),
+ * in the cafeteria timezone like the time windows.
+ *
+ * The purchase and purchase item services rewrite a purchase's discount
+ * lines with applyToPurchase() whenever its items or date change, before
+ * the total is synced (see pricing.service.js). Lines of existing
+ * purchases are kept when a promotion changes or is deleted.
+ */
+
+const createError = require('http-errors');
+const { Op, fn, literal } = require('sequelize');
+const db = require('../model');
+const pricingService = require('./pricing.service');
+const taxService = require('./tax.service');
+const availabilityService = require('./availability.service');
+const categoryService = require('./category.service');
+const promotionConfig = require('../config/promotions');
+const purchaseStatus = require('../config/purchaseStatus');
+const availabilityConfig = require('../config/availability');
+const { dayOf, dayRange, monthRange } = require('../utils/calendar');
+
+const { TYPES, LIMIT_PERIODS } = promotionConfig;
+const {
+  promotions: Promotion,
+  promotionProducts: PromotionProduct,
+  purchaseDiscounts: PurchaseDiscount,
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  products: Product,
+  categories: Category,
+  employees: Employee,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  products: {
+    model: PromotionProduct,
+    as: 'products',
+    attributes: ['id', 'productId', 'quantity'],
+    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'price'], paranoid: false }],
+  },
+  category: {
+    model: Category,
+    as: 'category',
+    attributes: ['id', 'name'],
+  },
+};
+
+/**
+ * Throw 400 for a promotion that cannot be evaluated
+ */
+const assertValid = promotion => {
+  const value = Number(promotion.value);
+  const products = promotion.products || [];
+
+  if (promotion.type === TYPES.PERCENTAGE && value > 100) {
+    throw createError(400, 'A percentage promotion cannot take more than 100% off');
+  }
+  if (promotion.type === TYPES.BUNDLE && products.length === 0) {
+    throw createError(400, 'A bundle needs at least one product');
+  }
+  if (promotion.type === TYPES.BUNDLE && promotion.categoryId) {
+    throw createError(400, 'A bundle is made of products, not a category');
+  }
+  if (promotion.startTime && promotion.endTime && promotion.startTime >= promotion.endTime) {
+    throw createError(400, 'endTime must be after startTime');
+  }
+  if (promotion.startDate && promotion.endDate && promotion.startDate > promotion.endDate) {
+    throw createError(400, 'endDate must not be before startDate');
+  }
+};
+
+/**
+ * Throw 400 unless the referenced products and category exist
+ */
+const assertReferences = async ({ products = [], categoryId }, { transaction }) => {
+  if (products.length > 0) {
+    const productIds = products.map(item => item.productId);
+    const found = await Product.findAll({ attributes: ['id'], where: { id: productIds }, transaction });
+    const missing = productIds.filter(id => !found.some(product => product.id === id));
+
+    if (missing.length > 0) {
+      throw createError(400, `Products not found: ${missing.join(', ')}`);
+    }
+  }
+
+  if (categoryId && !(await Category.findByPk(categoryId, { attributes: ['id'], transaction }))) {
+    throw createError(400, `Category with ID ${categoryId} not found`);
+  }
+};
+
+/**
+ * Day or month of a purchase date that a per-employee limit counts in,
+ * in the cafeteria timezone
+ */
+const limitPeriodOf = (limitPeriod, date) => {
+  const { timezone } = availabilityConfig;
+  const { year, month, day } = dayOf(date, timezone);
+
+  return limitPeriod === LIMIT_PERIODS.MONTH
+    ? monthRange(year, month, timezone)
+    : dayRange(year, month, day, timezone);
+};
+
+/**
+ * Applications of a promotion on the employee's other purchases in the period
+ */
+const usedApplications = async (promotion, employeeId, date, purchaseId, transaction) => {
+  const { from, to } = limitPeriodOf(promotion.limitPeriod, date);
+  const where = { promotionId: promotion.id };
+  if (purchaseId) {
+    where.purchaseId = { [Op.ne]: purchaseId };
+  }
+
+  const result = await PurchaseDiscount.findOne({
+    attributes: [[fn('COALESCE', fn('SUM', literal('`purchaseDiscounts`.`applications`')), 0), 'used']],
+    where,
+    include: [
+      {
+        model: Purchase,
+        as: 'purchase',
+        attributes: [],
+        where: {
+          employeeId,
+          date: { [Op.between]: [from, to] },
+          status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+        },
+      },
+    ],
+    raw: true,
+    transaction,
+  });
+
+  return parseInt(result?.used, 10) || 0;
+};
+
+/**
+ * Price of the next count units of a product, without taking them
+ */
+const peekPrice = (lines, productId, count) => {
+  let price = 0;
+  let left = count;
+
+  for (const line of lines) {
+    if (left === 0) {
+      break;
+    }
+    if (line.productId === productId && line.remaining > 0) {
+      const n = Math.min(line.remaining, left);
+      price += line.unitPrice * n;
+      left -= n;
+    }
+  }
+
+  return price;
+};
+
+/**
+ * Take count units of a product
+ */
+const takeUnits = (lines, productId, count) => {
+  let left = count;
+
+  for (const line of lines) {
+    if (left === 0) {
+      break;
+    }
+    if (line.productId === productId && line.remaining > 0) {
+      const n = Math.min(line.remaining, left);
+      line.remaining -= n;
+      left -= n;
+    }
+  }
+};
+
+const remainingOf = (lines, productId) =>
+  lines.filter(line => line.productId === productId).reduce((sum, line) => sum + line.remaining, 0);
+
+/**
+ * As many bundles as the units (and the limit) allow
+ */
+const applyBundle = (promotion, lines, limit) => {
+  const components = promotion.products;
+  const bundles = Math.min(
+    limit,
+    ...components.map(component => Math.floor(remainingOf(lines, component.productId) / component.quantity)),
+  );
+
+  if (bundles <= 0) {
+    return null;
+  }
+
+  const regular = components.reduce(
+    (sum, component) => sum + peekPrice(lines, component.productId, component.quantity * bundles),
+    0,
+  );
+  const amount = regular - Number(promotion.value) * bundles;
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  components.forEach(component => takeUnits(lines, component.productId, component.quantity * bundles));
+  return { applications: bundles, amount };
+};
+
+/**
+ * Percent or amount off each matching unit, up to the limit
+ */
+const applyUnitDiscount = (promotion, lines, limit, matchesProduct) => {
+  const value = Number(promotion.value);
+  let left = limit;
+  let applications = 0;
+  let amount = 0;
+
+  for (const line of lines) {
+    if (left === 0) {
+      break;
+    }
+    if (line.remaining === 0 || !matchesProduct(line.productId)) {
+      continue;
+    }
+
+    const off = promotion.type === TYPES.PERCENTAGE
+      ? (line.unitPrice * value) / 100
+      : Math.min(value, line.unitPrice);
+    if (off <= 0) {
+      continue;
+    }
+
+    const n = Math.min(line.remaining, left);
+    line.remaining -= n;
+    left -= n;
+    applications += n;
+    amount += off * n;
+  }
+
+  return applications > 0 ? { applications, amount } : null;
+};
+
+class PromotionService {
+  /**
+   * Get promotions, highest priority first
+   *
+   * @param {Object} options - Query options
+   * @param {boolean} options.active - Only active or only inactive promotions
+   * @param {Object} options.pagination - Pagination options
+   * @returns {Promise<{data: Array, count: number}>}
+   */
+  async findAll({ active, pagination }) {
+    const { rows, count } = await Promotion.findAndCountAll({
+      where: active === undefined ? {} : { active },
+      include: [INCLUDES.products, INCLUDES.category],
+      order: [
+        ['priority', 'DESC'],
+        ['id', 'ASC'],
+      ],
+      limit: pagination.limit,
+      offset: pagination.skip,
+      distinct: true,
+    });
+
+    return { data: rows, count };
+  }
+
+  /**
+   * Get a promotion with its products
+   *
+   * @param {number} id - Promotion ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const promotion = await Promotion.findByPk(id, {
+      include: [INCLUDES.products, INCLUDES.category],
+    });
+
+    if (!promotion) {
+      throw createError(404, `Promotion with ID ${id} not found`);
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Create a promotion
+   *
+   * @param {Object} data - Promotion fields and products: [{ productId, quantity }]
+   * @returns {Promise<Object>}
+   */
+  async create({ products = [], ...fields }) {
+    assertValid({ ...fields, products });
+
+    const transaction = await sequelize.transaction();
+    let promotion;
+
+    try {
+      await assertReferences({ products, categoryId: fields.categoryId }, { transaction });
+
+      promotion = await Promotion.create(fields, { transaction });
+      await PromotionProduct.bulkCreate(
+        products.map(item => ({ ...item, promotionId: promotion.id })),
+        { transaction, validate: true },
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to create promotion: ${error.message}`);
+    }
+
+    return this.findById(promotion.id);
+  }
+
+  /**
+   * Update a promotion
+   * A products list replaces the current one.
+   *
+   * @param {number} id - Promotion ID
+   * @param {Object} data - Changed fields and optionally products
+   * @returns {Promise<Object>}
+   */
+  async update(id, { products, ...fields }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const promotion = await Promotion.findByPk(id, { include: [INCLUDES.products], transaction });
+
+      if (!promotion) {
+        throw createError(404, `Promotion with ID ${id} not found`);
+      }
+
+      assertValid({ ...promotion.get({ plain: true }), ...fields, products: products ?? promotion.products });
+      await assertReferences({ products, categoryId: fields.categoryId }, { transaction });
+
+      await promotion.update(fields, { transaction });
+
+      if (products !== undefined) {
+        await PromotionProduct.destroy({ where: { promotionId: id }, transaction });
+        await PromotionProduct.bulkCreate(
+          products.map(item => ({ ...item, promotionId: id })),
+          { transaction, validate: true },
+        );
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to update promotion: ${error.message}`);
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a promotion
+   * Discount lines it produced keep its name.
+   *
+   * @param {number} id - Promotion ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const promotion = await Promotion.findByPk(id);
+
+    if (!promotion) {
+      throw createError(404, `Promotion with ID ${id} not found`);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await PurchaseDiscount.update({ promotionId: null }, { where: { promotionId: id }, transaction });
+      await promotion.destroy({ transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw createError(500, `Failed to delete promotion: ${error.message}`);
+    }
+
+    return { deleted: true, id };
+  }
+
+  /**
+   * Price a basket with the promotions in effect at its date
+   *
+   * @param {Object} basket - Basket to price
+   * @param {number} basket.employeeId - Employee buying (for per-employee limits)
+   * @param {Date|string} basket.date - Purchase date
+   * @param {Array} basket.items - Item snapshots: [{ productId, quantity, unitPrice }]
+   * @param {number|null} basket.purchaseId - Purchase being repriced, left out of the limits
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<{subtotal: number, discounts: Array, discountTotal: number, total: number}>}
+   */
+  async evaluate({ employeeId, date, items, purchaseId = null }, { transaction } = {}) {
+    const subtotal = pricingService.calculateTotal(items);
+    const discounts = [];
+
+    if (items.length > 0) {
+      const lines = items.map(item => ({
+        productId: Number(item.productId),
+        unitPrice: parseFloat(item.unitPrice || 0),
+        remaining: item.quantity,
+      }));
+      const productIds = [...new Set(lines.map(line => line.productId))];
+
+      const promotions = (
+        await Promotion.findAll({
+          where: { active: true },
+          include: [{ model: PromotionProduct, as: 'products', attributes: ['productId', 'quantity'] }],
+          order: [
+            ['priority', 'DESC'],
+            ['id', 'ASC'],
+          ],
+          transaction,
+        })
+      )
+        .filter(promotion => availabilityService.isWithinWindow(promotion, date))
+        // Bundles first on equal priority, so a unit discount does not break them up
+        .sort((a, b) => b.priority - a.priority || (b.type === TYPES.BUNDLE) - (a.type === TYPES.BUNDLE));
+
+      // Categories of the basket's products, only loaded when a promotion targets one
+      const categoryOf = new Map(
+        promotions.some(promotion => promotion.categoryId)
+          ? (
+            await Product.findAll({ attributes: ['id', 'categoryId'], where: { id: productIds }, transaction })
+          ).map(product => [product.id, product.categoryId])
+          : [],
+      );
+
+      for (const promotion of promotions) {
+        let limit = Infinity;
+        if (promotion.perEmployeeLimit) {
+          limit = promotion.perEmployeeLimit - (await usedApplications(promotion, employeeId, date, purchaseId, transaction));
+          if (limit <= 0) {
+            continue;
+          }
+        }
+
+        let applied;
+        if (promotion.type === TYPES.BUNDLE) {
+          applied = applyBundle(promotion, lines, limit);
+        } else {
+          const targets = new Set(promotion.products.map(item => item.productId));
+          const categories = promotion.categoryId
+            ? new Set(await categoryService.getSubtreeIds(promotion.categoryId))
+            : new Set();
+          const everything = targets.size === 0 && !promotion.categoryId;
+
+          applied = applyUnitDiscount(
+            promotion,
+            lines,
+            limit,
+            productId => everything || targets.has(productId) || categories.has(categoryOf.get(productId)),
+          );
+        }
+
+        if (applied) {
+          discounts.push({
+            promotionId: promotion.id,
+            promotionName: promotion.name,
+            applications: applied.applications,
+            amount: pricingService.roundMoney(applied.amount),
+          });
+        }
+      }
+    }
+
+    const discountTotal = pricingService.roundMoney(discounts.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      subtotal,
+      discounts,
+      discountTotal,
+      total: pricingService.roundMoney(subtotal - discountTotal),
+    };
+  }
+
+  /**
+   * Replace the discount lines of a purchase
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Array} discounts - Lines from evaluate()
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async saveDiscounts(purchaseId, discounts, { transaction } = {}) {
+    await PurchaseDiscount.destroy({ where: { purchaseId }, transaction });
+
+    if (discounts.length > 0) {
+      await PurchaseDiscount.bulkCreate(
+        discounts.map(line => ({ ...line, purchaseId })),
+        { transaction, validate: true },
+      );
+    }
+  }
+
+  /**
+   * Re-evaluate the promotions of a purchase from its current items
+   * Call inside the transaction that changed the items, before
+   * pricingService.syncPurchaseTotal().
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array>} - The new discount lines
+   */
+  async applyToPurchase(purchaseId, { transaction } = {}) {
+    const purchase = await Purchase.findByPk(purchaseId, {
+      attributes: ['id', 'employeeId', 'date'],
+      transaction,
+    });
+    const items = await PurchaseItem.findAll({
+      attributes: ['productId', 'quantity', 'unitPrice'],
+      where: { purchaseId },
+      order: [['id', 'ASC']],
+      transaction,
+    });
+
+    const { discounts } = await this.evaluate(
+      { employeeId: purchase.employeeId, date: purchase.date, items, purchaseId },
+      { transaction },
+    );
+    await this.saveDiscounts(purchaseId, discounts, { transaction });
+
+    return discounts;
+  }
+
+  /**
+   * Price a basket without saving anything
+   * Uses the current product prices, like a new purchase would, at the
+   * location's prices when one is given. Lines carry their net and VAT,
+   * the basket its VAT by rate.
+   *
+   * @param {Object} basket - { employeeId, date, locationId, items: [{ productId, quantity }] }
+   * @returns {Promise<Object>}
+   */
+  async preview({ employeeId, date = new Date(), locationId = null, items }) {
+    const employee = await Employee.findByPk(employeeId, { attributes: ['id'] });
+
+    if (!employee) {
+      throw createError(404, `Employee with ID ${employeeId} not found`);
+    }
+
+    const snapshots = await pricingService.snapshotItems(items, { locationId });
+    const priced = await this.evaluate({ employeeId, date, items: snapshots });
+
+    return {
+      employeeId,
+      date: new Date(date),
+      items: snapshots.map(item => {
+        const { net, vat } = taxService.lineTax(item);
+        return { ...item, lineTotal: pricingService.lineTotal(item), net, vat };
+      }),
+      ...priced,
+      tax: taxService.forPurchase(snapshots, priced.discounts),
+    };
+  }
+}
+
+module.exports = new PromotionService();
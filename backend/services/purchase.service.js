@@ -9,12 +9,54 @@
  * - Bulk operations with transactions
  * - Selective attribute loading
  * - Proper use of findAndCountAll for pagination
+ *
+ * Status changes go through transition(). Purchases dated in a closed
+ * payroll period are locked (423 PERIOD_CLOSED, see periodLock.service.js).
  */
 
 const createError = require('http-errors');
+const { Op } = require('sequelize');
 const db = require('../model');
+const pricingService = require('./pricing.service');
+const allowanceService = require('./allowance.service');
+const inventoryService = require('./inventory.service');
+const availabilityService = require('./availability.service');
+const promotionService = require('./promotion.service');
+const subsidyService = require('./subsidy.service');
+const dietaryService = require('./dietary.service');
+const periodLockService = require('./periodLock.service');
+const locationService = require('./location.service');
+const taxService = require('./tax.service');
+const purchaseStatus = require('../config/purchaseStatus');
+const { assertVersion, isOptimisticLockError, preconditionFailed } = require('../utils/concurrency');
+
+const { STATUSES } = purchaseStatus;
+const {
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  employees: Employee,
+  products: Product,
+  locations: Location,
+  refunds: Refund,
+  purchaseDiscounts: PurchaseDiscount,
+  sequelize,
+} = db;
 
-const { purchases: Purchase, purchaseItems: PurchaseItem, employees: Employee, products: Product, sequelize } = db;
+/**
+ * Allowed status transitions: from -> [to]
+ * voided and refunded are final. A closed purchase with refunds can only
+ * move on to refunded (see assertNoRefunds).
+ */
+const TRANSITIONS = {
+  [STATUSES.DRAFT]: [STATUSES.OPEN, STATUSES.CLOSED, STATUSES.VOIDED],
+  [STATUSES.OPEN]: [STATUSES.CLOSED, STATUSES.VOIDED],
+  [STATUSES.CLOSED]: [STATUSES.OPEN, STATUSES.VOIDED, STATUSES.REFUNDED],
+  [STATUSES.VOIDED]: [],
+  [STATUSES.REFUNDED]: [],
+};
+
+// Transitions into these statuses must give a reason
+const REASON_REQUIRED = [STATUSES.VOIDED, STATUSES.REFUNDED];
 
 /**
  * Include configurations for eager loading
@@ -28,11 +70,18 @@ const INCLUDES = {
     attributes: ['id', 'name', 'employee_number'],
   },
 
+  // Location the purchase was made at
+  location: {
+    model: Location,
+    as: 'location',
+    attributes: ['id', 'name'],
+  },
+
   // Include purchase items without product details
   itemsOnly: {
     model: PurchaseItem,
     as: 'purchaseItems',
-    attributes: ['id', 'quantity', 'productId'],
+    attributes: ['id', 'quantity', 'productId', 'unitPrice', 'productName', 'taxRate'],
   },
 
   // Include purchase items with product details
@@ -44,9 +93,100 @@ const INCLUDES = {
         model: Product,
         as: 'product',
         attributes: ['id', 'name', 'price'],
+        paranoid: false, // Archived products stay on past purchases
       },
     ],
   },
+
+  // Discount lines from promotions
+  discounts: {
+    model: PurchaseDiscount,
+    as: 'discounts',
+    attributes: ['id', 'promotionId', 'promotionName', 'applications', 'amount'],
+  },
+};
+
+/**
+ * 409 INVALID_STATUS_TRANSITION unless TRANSITIONS allows the move
+ */
+const assertTransition = (purchase, status) => {
+  if ((TRANSITIONS[purchase.status] || []).includes(status)) {
+    return;
+  }
+
+  const error = createError(
+    409,
+    `Cannot change purchase status from ${purchase.status} to ${status}`,
+  );
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.details = {
+    from: purchase.status,
+    to: status,
+    allowed: TRANSITIONS[purchase.status] || [],
+  };
+  throw error;
+};
+
+/**
+ * 409 PURCHASE_HAS_REFUNDS when the purchase has refunds
+ * Their credit stands, so voiding or reopening the purchase would pay the
+ * refunded items back twice; its items and refund history are kept.
+ */
+const assertNoRefunds = async (purchase, action, { transaction } = {}) => {
+  const refunds = await Refund.count({ where: { purchaseId: purchase.id }, transaction });
+
+  if (refunds === 0) {
+    return;
+  }
+
+  const error = createError(409, `Cannot ${action} purchase ${purchase.id}: it has refunds`);
+  error.code = 'PURCHASE_HAS_REFUNDS';
+  error.details = { purchaseId: purchase.id, refunds };
+  throw error;
+};
+
+/**
+ * 400 unless the purchase's items can still be changed
+ */
+const assertEditable = (purchase, message) => {
+  if (!purchaseStatus.EDITABLE.includes(purchase.status)) {
+    throw createError(400, `${message} a ${purchase.status} purchase`);
+  }
+};
+
+/**
+ * Attach a soft-policy allowance warning to a purchase response
+ */
+const withAllowanceWarning = (purchase, warning) => {
+  if (warning) {
+    purchase.setDataValue('allowanceWarning', warning);
+  }
+  return purchase;
+};
+
+/**
+ * Attach the dietary warnings of the added items to a purchase response
+ */
+const withDietaryWarnings = (purchase, warnings) => {
+  if (warnings.length > 0) {
+    purchase.setDataValue('dietaryWarnings', warnings);
+  }
+  return purchase;
+};
+
+/**
+ * Attach the net, VAT and gross of each item and the VAT by rate to a
+ * purchase response
+ */
+const withTax = purchase => {
+  purchase.purchaseItems.forEach(item => {
+    const { net, vat, gross } = taxService.lineTax(item);
+    item.setDataValue('net', net);
+    item.setDataValue('vat', vat);
+    item.setDataValue('gross', gross);
+  });
+  purchase.setDataValue('tax', taxService.forPurchase(purchase.purchaseItems, purchase.discounts));
+  return purchase;
 };
 
 class PurchaseService {
@@ -66,6 +206,7 @@ class PurchaseService {
       order,
       limit: pagination.limit,
       offset: pagination.skip,
+      include: [INCLUDES.location],
       // Use distinct for accurate count with includes
       distinct: true,
       col: 'id',
@@ -73,7 +214,7 @@ class PurchaseService {
 
     // Add employee include if requested
     if (includeEmployee) {
-      queryOptions.include = [INCLUDES.employee];
+      queryOptions.include.unshift(INCLUDES.employee);
     }
 
     const { rows, count } = await Purchase.findAndCountAll(queryOptions);
@@ -83,6 +224,8 @@ class PurchaseService {
 
   /**
    * Get a single purchase by ID with full details
+   * With items, each carries its net, VAT and gross and the purchase its VAT
+   * by rate (see tax.service.js).
    *
    * @param {number} id - Purchase ID
    * @param {Object} options - Query options
@@ -91,14 +234,14 @@ class PurchaseService {
    * @returns {Promise<Object>} - Purchase with related data
    */
   async findById(id, { includeItems = true, includeEmployee = true } = {}) {
-    const include = [];
+    const include = [INCLUDES.location];
 
     if (includeEmployee) {
       include.push(INCLUDES.employee);
     }
 
     if (includeItems) {
-      include.push(INCLUDES.itemsWithProducts);
+      include.push(INCLUDES.itemsWithProducts, INCLUDES.discounts);
     }
 
     const purchase = await Purchase.findByPk(id, { include });
@@ -107,7 +250,7 @@ class PurchaseService {
       throw createError(404, `Purchase with ID ${id} not found`);
     }
 
-    return purchase;
+    return includeItems ? withTax(purchase) : purchase;
   }
 
   /**
@@ -119,14 +262,14 @@ class PurchaseService {
    */
   async findWithItems(id) {
     const purchase = await Purchase.findByPk(id, {
-      include: [INCLUDES.employee, INCLUDES.itemsWithProducts],
+      include: [INCLUDES.employee, INCLUDES.location, INCLUDES.itemsWithProducts, INCLUDES.discounts],
     });
 
     if (!purchase) {
       throw createError(404, `Purchase with ID ${id} not found`);
     }
 
-    return purchase;
+    return withTax(purchase);
   }
 
   /**
@@ -137,6 +280,10 @@ class PurchaseService {
    * - Bulk insert for items
    * - Automatic rollback on failure
    *
+   * The total is calculated from the item snapshots and the promotions
+   * before the purchase is inserted, so no extra update is needed; a total
+   * passed in purchaseData is ignored. Items are checked like in addItems().
+   *
    * @param {Object} purchaseData - Purchase data (date, employeeId, userId, etc.)
    * @param {Array} items - Array of { productId, quantity }
    * @returns {Promise<Object>} - Created purchase with items
@@ -145,16 +292,42 @@ class PurchaseService {
     const transaction = await sequelize.transaction();
 
     try {
+      await periodLockService.assertOpen(purchaseData.date, { transaction });
+
+      // Snapshot the current product prices
+      const { locationId = null } = purchaseData;
+      const snapshots = await pricingService.snapshotItems(items, { transaction, locationId });
+      await availabilityService.assertAvailableAt(snapshots, purchaseData.date, { transaction, locationId });
+      await inventoryService.assertAvailable(snapshots, { transaction });
+      const dietaryWarnings = await dietaryService.check(purchaseData.employeeId, snapshots, { transaction });
+      const { discounts, total } = await promotionService.evaluate(
+        { employeeId: purchaseData.employeeId, date: purchaseData.date, items: snapshots },
+        { transaction },
+      );
+      let allowanceWarning = null;
+
+      if (snapshots.length > 0) {
+        ({ warning: allowanceWarning } = await allowanceService.check(
+          purchaseData.employeeId,
+          total,
+          { date: purchaseData.date, transaction },
+        ));
+      }
+
+      const shares = await subsidyService.split(
+        { employeeId: purchaseData.employeeId, date: purchaseData.date, total },
+        { transaction },
+      );
+
       // Create the purchase
-      const purchase = await Purchase.create(purchaseData, { transaction });
+      const purchase = await Purchase.create({ ...purchaseData, total, ...shares }, { transaction });
 
       // If items provided, bulk create them
-      if (items.length > 0) {
+      if (snapshots.length > 0) {
         // Prepare items with purchaseId
-        const itemsToCreate = items.map(item => ({
+        const itemsToCreate = snapshots.map(item => ({
+          ...item,
           purchaseId: purchase.id,
-          productId: item.productId,
-          quantity: item.quantity || 1,
         }));
 
         // Bulk insert - single query for all items
@@ -162,17 +335,33 @@ class PurchaseService {
           transaction,
           validate: true,
         });
+
+        if (discounts.length > 0) {
+          await promotionService.saveDiscounts(purchase.id, discounts, { transaction });
+        }
+      }
+
+      // Created as closed: the sale happened now
+      if (purchase.status === STATUSES.CLOSED) {
+        await inventoryService.recordSale(purchase.id, { transaction });
       }
 
       // Commit transaction
       await transaction.commit();
 
       // Return the complete purchase with items
-      return this.findWithItems(purchase.id);
+      return withDietaryWarnings(
+        withAllowanceWarning(await this.findWithItems(purchase.id), allowanceWarning),
+        dietaryWarnings,
+      );
     } catch (error) {
       // Rollback on any error
       await transaction.rollback();
 
+      if (error.status) {
+        throw error;
+      }
+
       if (error.name === 'SequelizeValidationError') {
         const messages = error.errors.map(e => e.message).join(', ');
         throw createError(400, `Validation failed: ${messages}`);
@@ -188,25 +377,77 @@ class PurchaseService {
 
   /**
    * Update purchase and its items in a transaction
+   * The total is recalculated when items are replaced. Kept items follow a
+   * new date, employee or location: they are checked against their
+   * availability windows again and, while the purchase is draft or open,
+   * repriced with the promotions and the subsidy split.
    *
    * @param {number} id - Purchase ID
    * @param {Object} purchaseData - Updated purchase data
    * @param {Array|null} items - New items array (replaces existing if provided)
+   * @param {Object} options - Update options
+   * @param {Object|null} options.ifMatch - Parsed If-Match (412 when the version is stale)
    * @returns {Promise<Object>}
    */
-  async updateWithItems(id, purchaseData, items = null) {
+  async updateWithItems(id, purchaseData, items = null, { ifMatch = null } = {}) {
     const transaction = await sequelize.transaction();
 
     try {
       const purchase = await Purchase.findByPk(id, { transaction });
 
       if (!purchase) {
-        await transaction.rollback();
         throw createError(404, `Purchase with ID ${id} not found`);
       }
 
-      // Update purchase fields
-      await purchase.update(purchaseData, { transaction });
+      assertVersion(purchase, ifMatch);
+
+      // Moving a purchase into or out of a closed period is a change to both
+      await periodLockService.assertOpen(purchase.date, { transaction });
+      if (purchaseData.date !== undefined) {
+        await periodLockService.assertOpen(purchaseData.date, { transaction });
+      }
+
+      if (items !== null) {
+        assertEditable(purchase, 'Cannot change items of');
+        // Replacing the items would drop the refunded lines but keep the credit
+        await assertNoRefunds(purchase, 'replace the items of', { transaction });
+      }
+
+      // Update purchase fields - the total and status are never taken from the caller
+      const { total: _clientTotal, status: _status, ...fields } = purchaseData;
+
+      // Kept items follow the purchase to its new date, employee or location
+      const keptItems = items === null
+        && (fields.date !== undefined || fields.employeeId !== undefined || fields.locationId !== undefined)
+        ? await PurchaseItem.findAll({
+          attributes: ['productId', 'quantity', 'unitPrice'],
+          where: { purchaseId: id },
+          order: [['id', 'ASC']],
+          transaction,
+        })
+        : null;
+
+      // Promotions and the subsidy split depend on both, so reprice in the same save;
+      // settled purchases keep their discounts and split
+      if (keptItems && purchaseStatus.EDITABLE.includes(purchase.status)) {
+        const basket = {
+          employeeId: fields.employeeId ?? purchase.employeeId,
+          date: fields.date ?? purchase.date,
+          purchaseId: id,
+        };
+        const { discounts, total } = await promotionService.evaluate(
+          { ...basket, items: keptItems },
+          { transaction },
+        );
+        await promotionService.saveDiscounts(id, discounts, { transaction });
+        fields.total = total;
+        Object.assign(fields, await subsidyService.split({ ...basket, total }, { transaction }));
+      }
+
+      await purchase.update(fields, { transaction });
+
+      let allowanceWarning = null;
+      let dietaryWarnings = [];
 
       // If items array is provided, replace all items
       if (items !== null) {
@@ -218,10 +459,21 @@ class PurchaseService {
 
         // Create new items
         if (items.length > 0) {
-          const itemsToCreate = items.map(item => ({
+          const { locationId } = purchase;
+          const snapshots = await pricingService.snapshotItems(items, { transaction, locationId });
+          await availabilityService.assertAvailableAt(snapshots, purchase.date, { transaction, locationId });
+          await inventoryService.assertAvailable(snapshots, { transaction });
+          dietaryWarnings = await dietaryService.check(purchase.employeeId, snapshots, { transaction });
+
+          ({ warning: allowanceWarning } = await allowanceService.check(
+            purchase.employeeId,
+            pricingService.calculateTotal(snapshots),
+            { date: purchase.date, transaction },
+          ));
+
+          const itemsToCreate = snapshots.map(item => ({
+            ...item,
             purchaseId: id,
-            productId: item.productId,
-            quantity: item.quantity || 1,
           }));
 
           await PurchaseItem.bulkCreate(itemsToCreate, {
@@ -229,10 +481,23 @@ class PurchaseService {
             validate: true,
           });
         }
+
+        await promotionService.applyToPurchase(id, { transaction });
+        await pricingService.syncPurchaseTotal(id, { transaction });
+        await subsidyService.applyToPurchase(id, { transaction });
+      } else if (fields.date !== undefined || fields.locationId !== undefined) {
+        // The kept items must also be available at the new date and location
+        await availabilityService.assertAvailableAt(keptItems, purchase.date, {
+          transaction,
+          locationId: purchase.locationId,
+        });
       }
 
       await transaction.commit();
-      return this.findWithItems(id);
+      return withDietaryWarnings(
+        withAllowanceWarning(await this.findWithItems(id), allowanceWarning),
+        dietaryWarnings,
+      );
     } catch (error) {
       await transaction.rollback();
 
@@ -240,12 +505,28 @@ class PurchaseService {
         throw error;
       }
 
+      if (isOptimisticLockError(error)) {
+        const current = await Purchase.findByPk(id, { attributes: ['id', 'version'] });
+        throw preconditionFailed(current.version);
+      }
+
       throw createError(500, `Failed to update purchase: ${error.message}`);
     }
   }
 
   /**
    * Add items to an existing purchase
+   * Only while it is draft or open. The items are priced with the overrides
+   * of the purchase's location and checked against:
+   * - the stock of tracked products (see inventory.service.js)
+   * - their availability windows at the purchase date (see availability.service.js)
+   * - the employee's allowance; under the soft policy the returned purchase
+   *   carries an allowanceWarning instead (see allowance.service.js)
+   * - the employee's dietary profile; the returned purchase carries
+   *   dietaryWarnings, or 422 DIETARY_CONFLICT under the block policy
+   *   (see dietary.service.js)
+   * Promotions are evaluated again and the total split under the subsidy
+   * policy (see promotion.service.js, subsidy.service.js).
    *
    * @param {number} purchaseId - Purchase ID
    * @param {Array} items - Items to add
@@ -262,15 +543,24 @@ class PurchaseService {
         throw createError(404, `Purchase with ID ${purchaseId} not found`);
       }
 
-      if (purchase.closed) {
-        await transaction.rollback();
-        throw createError(400, 'Cannot add items to a closed purchase');
-      }
+      assertEditable(purchase, 'Cannot add items to');
+      await periodLockService.assertOpen(purchase.date, { transaction });
+
+      const { locationId } = purchase;
+      const snapshots = await pricingService.snapshotItems(items, { transaction, locationId });
+      await availabilityService.assertAvailableAt(snapshots, purchase.date, { transaction, locationId });
+      await inventoryService.assertAvailable(snapshots, { transaction });
+      const dietaryWarnings = await dietaryService.check(purchase.employeeId, snapshots, { transaction });
+
+      const { warning } = await allowanceService.check(
+        purchase.employeeId,
+        pricingService.calculateTotal(snapshots),
+        { date: purchase.date, transaction },
+      );
 
-      const itemsToCreate = items.map(item => ({
+      const itemsToCreate = snapshots.map(item => ({
+        ...item,
         purchaseId,
-        productId: item.productId,
-        quantity: item.quantity || 1,
       }));
 
       await PurchaseItem.bulkCreate(itemsToCreate, {
@@ -278,8 +568,15 @@ class PurchaseService {
         validate: true,
       });
 
+      await promotionService.applyToPurchase(purchaseId, { transaction });
+      await pricingService.syncPurchaseTotal(purchaseId, { transaction });
+      await subsidyService.applyToPurchase(purchaseId, { transaction });
+
       await transaction.commit();
-      return this.findWithItems(purchaseId);
+      return withDietaryWarnings(
+        withAllowanceWarning(await this.findWithItems(purchaseId), warning),
+        dietaryWarnings,
+      );
     } catch (error) {
       await transaction.rollback();
 
@@ -293,7 +590,10 @@ class PurchaseService {
 
   /**
    * Calculate and update purchase total
-   * Based on sum of (item quantity * product price)
+   * Based on sum of (item quantity * snapshot unit price), so later product
+   * price changes never reprice an existing purchase. Only draft and open
+   * purchases are split again under the current subsidy policy; settled
+   * ones keep their split. 423 in a closed payroll period.
    *
    * @param {number} purchaseId - Purchase ID
    * @returns {Promise<Object>}
@@ -302,25 +602,20 @@ class PurchaseService {
     const transaction = await sequelize.transaction();
 
     try {
-      // Get purchase with items and products in one query
-      const purchase = await Purchase.findByPk(purchaseId, {
-        include: [INCLUDES.itemsWithProducts],
-        transaction,
-      });
+      const purchase = await Purchase.findByPk(purchaseId, { transaction });
 
       if (!purchase) {
         await transaction.rollback();
         throw createError(404, `Purchase with ID ${purchaseId} not found`);
       }
 
-      // Calculate total
-      const total = purchase.purchaseItems.reduce((sum, item) => {
-        const price = parseFloat(item.product?.price || 0);
-        return sum + price * item.quantity;
-      }, 0);
+      await periodLockService.assertOpen(purchase.date, { transaction });
 
-      // Update purchase total
-      await purchase.update({ total: total.toFixed(2) }, { transaction });
+      // Calculate total from the price snapshot on each line
+      await pricingService.syncPurchaseTotal(purchaseId, { transaction });
+      if (purchaseStatus.EDITABLE.includes(purchase.status)) {
+        await subsidyService.applyToPurchase(purchaseId, { transaction });
+      }
 
       await transaction.commit();
       return this.findWithItems(purchaseId);
@@ -335,8 +630,107 @@ class PurchaseService {
     }
   }
 
+  /**
+   * Whether a purchase may move from one status to another
+   *
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move a purchase to a new status
+   * Rejects transitions missing from TRANSITIONS with 409 INVALID_STATUS_TRANSITION,
+   * leaving closed for open or voided once refunded with 409 PURCHASE_HAS_REFUNDS,
+   * and any transition but a refund in a closed payroll period with 423.
+   *
+   * Closing deducts the stock of tracked products; leaving closed for open
+   * or voided returns it. Runs in its own transaction unless one is given.
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {string} status - Target status
+   * @param {Object} options - Transition options
+   * @param {string} options.reason - Why (required for void and refund)
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Object>} - The updated purchase instance
+   */
+  async transition(purchaseId, status, { reason, transaction } = {}) {
+    // Stock changes must commit together with the status
+    if (!transaction) {
+      const ownTransaction = await sequelize.transaction();
+
+      try {
+        const purchase = await this.transition(purchaseId, status, {
+          reason,
+          transaction: ownTransaction,
+        });
+        await ownTransaction.commit();
+        return purchase;
+      } catch (error) {
+        await ownTransaction.rollback();
+        throw error;
+      }
+    }
+
+    const purchase = await Purchase.findByPk(purchaseId, { transaction });
+
+    if (!purchase) {
+      throw createError(404, `Purchase with ID ${purchaseId} not found`);
+    }
+
+    assertTransition(purchase, status);
+
+    if (purchase.status === STATUSES.CLOSED && status !== STATUSES.REFUNDED) {
+      await assertNoRefunds(purchase, status === STATUSES.OPEN ? 'reopen' : 'void', { transaction });
+    }
+
+    if (status !== STATUSES.REFUNDED) {
+      await periodLockService.assertOpen(purchase.date, { transaction });
+    }
+
+    if (REASON_REQUIRED.includes(status) && !reason) {
+      throw createError(400, `A reason is required to mark a purchase as ${status}`);
+    }
+
+    const from = purchase.status;
+
+    await purchase.update(
+      {
+        status,
+        statusReason: reason || null,
+        statusChangedAt: new Date(),
+      },
+      { transaction },
+    );
+
+    // Refunds return their own items (see refund.service.js)
+    if (status === STATUSES.CLOSED) {
+      await inventoryService.recordSale(purchase.id, { transaction });
+    } else if (from === STATUSES.CLOSED && status !== STATUSES.REFUNDED) {
+      await inventoryService.reverseSale(purchase.id, { reason, transaction });
+    }
+
+    return purchase;
+  }
+
+  /**
+   * Open a draft purchase
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @returns {Promise<Object>}
+   */
+  async openPurchase(purchaseId) {
+    await this.transition(purchaseId, STATUSES.OPEN);
+    return this.findWithItems(purchaseId);
+  }
+
   /**
    * Close a purchase (mark as finalized)
+   * Fails if the employee's month-to-date spend is over the allowance
+   * (hard and overdraft policies).
    *
    * @param {number} purchaseId - Purchase ID
    * @returns {Promise<Object>}
@@ -348,11 +742,43 @@ class PurchaseService {
       throw createError(404, `Purchase with ID ${purchaseId} not found`);
     }
 
-    if (purchase.closed) {
-      throw createError(400, 'Purchase is already closed');
+    // Reject illegal transitions and locked periods before checking the allowance
+    assertTransition(purchase, STATUSES.CLOSED);
+    await periodLockService.assertOpen(purchase.date);
+
+    const { warning } = await allowanceService.check(purchase.employeeId, 0, {
+      date: purchase.date,
+    });
+
+    await this.transition(purchaseId, STATUSES.CLOSED);
+    return withAllowanceWarning(await this.findWithItems(purchaseId), warning);
+  }
+
+  /**
+   * Void a purchase - it stays on record but no longer counts as spending
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {string} reason - Why the purchase is voided
+   * @returns {Promise<Object>}
+   */
+  async voidPurchase(purchaseId, reason) {
+    await this.transition(purchaseId, STATUSES.VOIDED, { reason });
+    return this.findWithItems(purchaseId);
+  }
+
+  /**
+   * Reopen a closed purchase so its items can be changed again
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {string} reason - Why the purchase is reopened
+   * @returns {Promise<Object>}
+   */
+  async reopenPurchase(purchaseId, reason) {
+    if (!reason) {
+      throw createError(400, 'A reason is required to reopen a purchase');
     }
 
-    await purchase.update({ closed: true });
+    await this.transition(purchaseId, STATUSES.OPEN, { reason });
     return this.findWithItems(purchaseId);
   }
 
@@ -360,34 +786,74 @@ class PurchaseService {
    * Get purchases by employee with aggregations
    * Useful for employee reports
    *
+   * Totals are net of the discount lines and of the refunds issued in the
+   * range, credited by refund date (see refund.service.js), and split into
+   * the employer's and the employee's share, with the VAT by rate.
+   * locationIds narrows them to some locations; a refund counts for the
+   * location of its purchase.
+   *
    * @param {number} employeeId - Employee ID
-   * @param {Object} dateRange - { from, to }
+   * @param {Object} filters - { from, to, locationIds }
    * @returns {Promise<Object>}
    */
-  async getEmployeePurchaseSummary(employeeId, { from, to } = {}) {
+  async getEmployeePurchaseSummary(employeeId, { from, to, locationIds } = {}) {
     const where = { employeeId };
 
     if (from || to) {
-      const { Op } = require('sequelize');
       where.date = {};
       if (from) {where.date[Op.gte] = from;}
       if (to) {where.date[Op.lte] = to;}
     }
+    if (locationIds) {
+      where.locationId = locationIds;
+    }
 
     // Get purchases with items in a single query
     const purchases = await Purchase.findAll({
       where,
-      include: [INCLUDES.itemsWithProducts],
+      include: [INCLUDES.itemsWithProducts, INCLUDES.discounts],
       order: [['date', 'DESC']],
     });
 
-    // Calculate aggregations
+    // Refunds issued in the same range, by refund date
+    const refundWhere = { employeeId };
+    if (where.date) {refundWhere.date = where.date;}
+    const refunds = await Refund.findAll({
+      attributes: ['total', 'companyShare'],
+      where: refundWhere,
+      include: [locationService.purchaseInclude(locationIds)],
+    });
+    const totalRefunded = pricingService.roundMoney(
+      refunds.reduce((sum, r) => sum + (parseFloat(r.total) || 0), 0),
+    );
+    const companyRefunded = refunds.reduce((sum, r) => sum + (parseFloat(r.companyShare) || 0), 0);
+
+    // Calculate aggregations (amounts come from the line item price snapshots, net of discounts)
+    const counted = purchases.filter(p => !purchaseStatus.EXCLUDED_FROM_SPENDING.includes(p.status));
+    const totalAmount = pricingService.roundMoney(
+      counted.reduce(
+        (sum, p) => sum + pricingService.calculateTotal(p.purchaseItems, p.discounts),
+        0,
+      ),
+    );
+    const companyShare = pricingService.roundMoney(
+      counted.reduce((sum, p) => sum + (parseFloat(p.companyShare) || 0), 0) - companyRefunded,
+    );
+    const netAmount = pricingService.roundMoney(totalAmount - totalRefunded);
     const summary = {
       totalPurchases: purchases.length,
-      openPurchases: purchases.filter(p => !p.closed).length,
-      closedPurchases: purchases.filter(p => p.closed).length,
-      totalAmount: purchases.reduce((sum, p) => sum + parseFloat(p.total || 0), 0),
-      totalItems: purchases.reduce(
+      openPurchases: purchases.filter(p => purchaseStatus.EDITABLE.includes(p.status)).length,
+      closedPurchases: purchases.filter(p => p.status === STATUSES.CLOSED).length,
+      voidedPurchases: purchases.filter(p => p.status === STATUSES.VOIDED).length,
+      refundedPurchases: purchases.filter(p => p.status === STATUSES.REFUNDED).length,
+      totalAmount,
+      totalRefunded,
+      netAmount,
+      companyShare,
+      employeeShare: pricingService.roundMoney(netAmount - companyShare),
+      // VAT in netAmount by rate
+      tax: await taxService.getSummary({ from, to, employeeId, locationIds }),
+      totalItems: counted.reduce(
         (sum, p) =>
           sum + p.purchaseItems.reduce((itemSum, item) => itemSum + item.quantity, 0),
         0,
@@ -400,6 +866,7 @@ class PurchaseService {
 
   /**
    * Delete a purchase and its items (cascade)
+   * A purchase with refunds is kept for its refund history (409).
    *
    * @param {number} id - Purchase ID
    * @returns {Promise<{deleted: boolean, id: number}>}
@@ -411,6 +878,10 @@ class PurchaseService {
       throw createError(404, `Purchase with ID ${id} not found`);
     }
 
+    await periodLockService.assertOpen(purchase.date);
+    // Refund history is kept
+    await assertNoRefunds(purchase, 'delete');
+
     // PurchaseItems will be deleted via CASCADE
     await purchase.destroy();
 
@@ -421,40 +892,187 @@ class PurchaseService {
    * Get aggregated spending summaries for ALL employees
    * Uses SQL GROUP BY for O(1) database operation instead of N+1 queries
    *
+   * Spending is summed from the line item price snapshots, not purchases.total,
+   * so it always matches the items that were actually bought, minus their
+   * discount lines (second GROUP BY query). totalSpending is net of the
+   * refunds issued in the range (third GROUP BY query). companyShare is the
+   * part of it paid by the employer (fourth GROUP BY query, minus the
+   * company part of the refunds); employeeShare is the rest.
+   *
+   * locationIds narrows the sums to some locations; a refund counts for
+   * the location of its purchase.
+   *
    * This is the optimized endpoint for the Employee Report page
    *
-   * @param {Object} dateRange - { from, to }
-   * @returns {Promise<Array<{employeeId: number, totalSpending: number}>>}
+   * @param {Object} filters - { from, to, locationIds }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array<{employeeId: number, totalSpending: number, totalRefunded: number, companyShare: number, employeeShare: number}>>}
    */
-  async getAllEmployeeSummaries({ from, to } = {}) {
-    const { Op, fn, col, literal } = require('sequelize');
+  async getAllEmployeeSummaries({ from, to, locationIds } = {}, { transaction } = {}) {
+    const { fn, col, literal } = require('sequelize');
 
-    const where = {};
+    // Voided purchases are not spending
+    const where = { status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING } };
     if (from || to) {
       where.date = {};
       if (from) { where.date[Op.gte] = from; }
       if (to) { where.date[Op.lte] = to; }
     }
+    if (locationIds) {
+      where.locationId = locationIds;
+    }
 
-    // Use raw SQL aggregation with GROUP BY for maximum performance
+    // Use SQL aggregation with GROUP BY for maximum performance
     // This is a single query that returns all employee summaries
     const summaries = await Purchase.findAll({
       attributes: [
         'employeeId',
-        [fn('COALESCE', fn('SUM', col('total')), 0), 'totalSpending'],
-        [fn('COUNT', col('id')), 'purchaseCount']
+        [
+          fn('COALESCE', fn('SUM', literal('`purchaseItems`.`unitPrice` * `purchaseItems`.`quantity`')), 0),
+          'totalSpending',
+        ],
+        [fn('COUNT', fn('DISTINCT', col('purchases.id'))), 'purchaseCount'],
+      ],
+      include: [
+        {
+          model: PurchaseItem,
+          as: 'purchaseItems',
+          attributes: [],
+        },
       ],
       where,
       group: ['employeeId'],
-      raw: true
+      raw: true,
+      transaction,
     });
 
-    // Convert to a map format for easy frontend consumption
-    return summaries.map(s => ({
+    const discounts = await PurchaseDiscount.findAll({
+      attributes: [
+        [col('purchase.employeeId'), 'employeeId'],
+        [fn('SUM', col('purchaseDiscounts.amount')), 'totalDiscount'],
+      ],
+      include: [{ model: Purchase, as: 'purchase', attributes: [], where }],
+      group: ['purchase.employeeId'],
+      raw: true,
+      transaction,
+    });
+    const discountByEmployee = new Map(
+      discounts.map(d => [d.employeeId, parseFloat(d.totalDiscount) || 0]),
+    );
+
+    const shares = await Purchase.findAll({
+      attributes: ['employeeId', [fn('SUM', col('companyShare')), 'companyShare']],
+      where,
+      group: ['employeeId'],
+      raw: true,
+      transaction,
+    });
+    const companyShareByEmployee = new Map(
+      shares.map(s => [s.employeeId, parseFloat(s.companyShare) || 0]),
+    );
+
+    const refundWhere = where.date ? { date: where.date } : {};
+    const refunds = await Refund.findAll({
+      attributes: [
+        'employeeId',
+        [fn('SUM', col('refunds.total')), 'totalRefunded'],
+        [fn('SUM', col('refunds.companyShare')), 'companyRefunded'],
+      ],
+      where: refundWhere,
+      include: [locationService.purchaseInclude(locationIds)],
+      group: ['refunds.employeeId'],
+      raw: true,
+      transaction,
+    });
+    const refundedByEmployee = new Map(
+      refunds.map(r => [r.employeeId, pricingService.roundMoney(parseFloat(r.totalRefunded) || 0)]),
+    );
+    const companyRefundedByEmployee = new Map(
+      refunds.map(r => [r.employeeId, parseFloat(r.companyRefunded) || 0]),
+    );
+
+    // Employees with only refunds in the range still get a row
+    const rows = summaries.map(s => ({
       employeeId: s.employeeId,
-      totalSpending: parseFloat(s.totalSpending) || 0,
-      purchaseCount: parseInt(s.purchaseCount) || 0
+      spending: (parseFloat(s.totalSpending) || 0) - (discountByEmployee.get(s.employeeId) || 0),
+      purchaseCount: parseInt(s.purchaseCount, 10) || 0,
     }));
+    refundedByEmployee.forEach((_, employeeId) => {
+      if (!rows.some(row => row.employeeId === employeeId)) {
+        rows.push({ employeeId, spending: 0, purchaseCount: 0 });
+      }
+    });
+
+    // Convert to a map format for easy frontend consumption
+    return rows.map(row => {
+      const totalRefunded = refundedByEmployee.get(row.employeeId) || 0;
+      const totalSpending = pricingService.roundMoney(row.spending - totalRefunded);
+      const companyShare = pricingService.roundMoney(
+        (companyShareByEmployee.get(row.employeeId) || 0) - (companyRefundedByEmployee.get(row.employeeId) || 0),
+      );
+
+      return {
+        employeeId: row.employeeId,
+        totalSpending,
+        totalRefunded,
+        companyShare,
+        employeeShare: pricingService.roundMoney(totalSpending - companyShare),
+        purchaseCount: row.purchaseCount,
+      };
+    });
+  }
+
+  /**
+   * Find purchases whose stored total differs from the sum of their items
+   * minus their discount lines
+   * Single GROUP BY query; the comparison happens in the database.
+   *
+   * @param {Object} dateRange - { from, to }
+   * @returns {Promise<Array<{id: number, employeeId: number, date: Date, storedTotal: number, itemsTotal: number, difference: number}>>}
+   */
+  async findTotalMismatches({ from, to } = {}) {
+    const { fn, literal } = require('sequelize');
+
+    const where = {};
+    if (from || to) {
+      where.date = {};
+      if (from) { where.date[Op.gte] = from; }
+      if (to) { where.date[Op.lte] = to; }
+    }
+
+    const itemsTotal = 'COALESCE(SUM(`purchaseItems`.`unitPrice` * `purchaseItems`.`quantity`), 0)' +
+      ' - COALESCE((SELECT SUM(`amount`) FROM `purchase_discounts` WHERE `purchaseId` = `purchases`.`id`), 0)';
+
+    const rows = await Purchase.findAll({
+      attributes: ['id', 'employeeId', 'date', 'total', [fn('ROUND', literal(itemsTotal), 2), 'itemsTotal']],
+      include: [
+        {
+          model: PurchaseItem,
+          as: 'purchaseItems',
+          attributes: [],
+        },
+      ],
+      where,
+      group: ['purchases.id'],
+      having: literal(`ROUND(${itemsTotal}, 2) <> ROUND(COALESCE(\`purchases\`.\`total\`, 0), 2)`),
+      order: [['date', 'DESC']],
+      raw: true,
+    });
+
+    return rows.map(row => {
+      const storedTotal = pricingService.roundMoney(parseFloat(row.total) || 0);
+      const computed = pricingService.roundMoney(parseFloat(row.itemsTotal) || 0);
+
+      return {
+        id: row.id,
+        employeeId: row.employeeId,
+        date: row.date,
+        storedTotal,
+        itemsTotal: computed,
+        difference: pricingService.roundMoney(storedTotal - computed),
+      };
+    });
   }
 }
 
@@ -3,11 +3,28 @@
  *
  * Handles all purchase item-related database operations
  * with proper eager loading for product data.
+ *
+ * Adding items (or raising a quantity) is checked against the employee's
+ * monthly allowance, the product's stock and its availability at the
+ * purchase date, the same way as in purchase.service.js. Added items are
+ * also checked against the employee's dietary profile; only its block
+ * policy has an effect here, no warnings are returned.
+ * Every change re-evaluates the promotions of the parent purchase and
+ * re-derives its total and its company/employee split.
+ * Items can only change while the purchase is draft or open.
  */
 
 const createError = require('http-errors');
 const { Sequelize } = require('sequelize');
 const db = require('../model');
+const pricingService = require('./pricing.service');
+const allowanceService = require('./allowance.service');
+const inventoryService = require('./inventory.service');
+const availabilityService = require('./availability.service');
+const promotionService = require('./promotion.service');
+const subsidyService = require('./subsidy.service');
+const dietaryService = require('./dietary.service');
+const purchaseStatus = require('../config/purchaseStatus');
 
 const {
   purchaseItems: PurchaseItem,
@@ -25,13 +42,14 @@ const INCLUDES = {
     model: Product,
     as: 'product',
     attributes: ['id', 'name', 'price'],
+    paranoid: false, // Archived products stay on past purchases
   },
 
   // Include purchase details
   purchase: {
     model: Purchase,
     as: 'purchase',
-    attributes: ['id', 'date', 'closed', 'employeeId'],
+    attributes: ['id', 'date', 'status', 'employeeId'],
   },
 
   // Full include
@@ -40,11 +58,12 @@ const INCLUDES = {
       model: Product,
       as: 'product',
       attributes: ['id', 'name', 'price'],
+      paranoid: false,
     },
     {
       model: Purchase,
       as: 'purchase',
-      attributes: ['id', 'date', 'closed', 'employeeId'],
+      attributes: ['id', 'date', 'status', 'employeeId'],
     },
   ],
 };
@@ -162,22 +181,36 @@ class PurchaseItemService {
     const transaction = await sequelize.transaction();
 
     try {
-      // Verify purchase exists and is not closed
+      // Verify purchase exists and is still editable
       const purchase = await Purchase.findByPk(data.purchaseId, { transaction });
       if (!purchase) {
         throw createError(404, `Purchase with ID ${data.purchaseId} not found`);
       }
-      if (purchase.closed) {
-        throw createError(400, 'Cannot add items to a closed purchase');
+      if (!purchaseStatus.EDITABLE.includes(purchase.status)) {
+        throw createError(400, `Cannot add items to a ${purchase.status} purchase`);
       }
 
-      // Verify product exists
-      const product = await Product.findByPk(data.productId, { transaction });
-      if (!product) {
-        throw createError(404, `Product with ID ${data.productId} not found`);
-      }
+      // Verify product exists and snapshot its current price
+      const { locationId } = purchase;
+      const [snapshot] = await pricingService.snapshotItems([data], { transaction, locationId });
+      await availabilityService.assertAvailableAt([snapshot], purchase.date, { transaction, locationId });
+      await inventoryService.assertAvailable([snapshot], { transaction });
+      await dietaryService.check(purchase.employeeId, [snapshot], { transaction });
+
+      await allowanceService.check(purchase.employeeId, pricingService.lineTotal(snapshot), {
+        date: purchase.date,
+        transaction,
+      });
+
+      const item = await PurchaseItem.create(
+        { ...snapshot, purchaseId: data.purchaseId },
+        { transaction },
+      );
 
-      const item = await PurchaseItem.create(data, { transaction });
+      await promotionService.applyToPurchase(data.purchaseId, { transaction });
+
+      await pricingService.syncPurchaseTotal(data.purchaseId, { transaction });
+      await subsidyService.applyToPurchase(data.purchaseId, { transaction });
 
       await transaction.commit();
 
@@ -219,12 +252,31 @@ class PurchaseItemService {
         throw createError(404, `Purchase item with ID ${id} not found`);
       }
 
-      // Check if purchase is closed
-      if (item.purchase && item.purchase.closed) {
-        throw createError(400, 'Cannot modify items in a closed purchase');
+      // Check if purchase is still editable
+      if (item.purchase && !purchaseStatus.EDITABLE.includes(item.purchase.status)) {
+        throw createError(400, `Cannot modify items in a ${item.purchase.status} purchase`);
+      }
+
+      // Only a quantity increase adds to the employee's spend and needs stock
+      if (data.quantity > item.quantity) {
+        await inventoryService.assertAvailable(
+          [{ productId: item.productId, quantity: data.quantity }],
+          { transaction },
+        );
+
+        if (item.purchase) {
+          await allowanceService.check(
+            item.purchase.employeeId,
+            pricingService.lineTotal({ unitPrice: item.unitPrice, quantity: data.quantity - item.quantity }),
+            { date: item.purchase.date, transaction },
+          );
+        }
       }
 
       await item.update(data, { transaction });
+      await promotionService.applyToPurchase(item.purchaseId, { transaction });
+      await pricingService.syncPurchaseTotal(item.purchaseId, { transaction });
+      await subsidyService.applyToPurchase(item.purchaseId, { transaction });
 
       await transaction.commit();
 
@@ -259,12 +311,15 @@ class PurchaseItemService {
         throw createError(404, `Purchase item with ID ${id} not found`);
       }
 
-      // Check if purchase is closed
-      if (item.purchase && item.purchase.closed) {
-        throw createError(400, 'Cannot delete items from a closed purchase');
+      // Check if purchase is still editable
+      if (item.purchase && !purchaseStatus.EDITABLE.includes(item.purchase.status)) {
+        throw createError(400, `Cannot delete items from a ${item.purchase.status} purchase`);
       }
 
       await item.destroy({ transaction });
+      await promotionService.applyToPurchase(item.purchaseId, { transaction });
+      await pricingService.syncPurchaseTotal(item.purchaseId, { transaction });
+      await subsidyService.applyToPurchase(item.purchaseId, { transaction });
 
       await transaction.commit();
 
@@ -291,26 +346,41 @@ class PurchaseItemService {
     const transaction = await sequelize.transaction();
 
     try {
-      // Verify purchase exists and is open
+      // Verify purchase exists and is still editable
       const purchase = await Purchase.findByPk(purchaseId, { transaction });
       if (!purchase) {
         throw createError(404, `Purchase with ID ${purchaseId} not found`);
       }
-      if (purchase.closed) {
-        throw createError(400, 'Cannot add items to a closed purchase');
+      if (!purchaseStatus.EDITABLE.includes(purchase.status)) {
+        throw createError(400, `Cannot add items to a ${purchase.status} purchase`);
       }
 
-      const itemsToCreate = items.map(item => ({
+      const { locationId } = purchase;
+      const snapshots = await pricingService.snapshotItems(items, { transaction, locationId });
+      await availabilityService.assertAvailableAt(snapshots, purchase.date, { transaction, locationId });
+      await inventoryService.assertAvailable(snapshots, { transaction });
+      await dietaryService.check(purchase.employeeId, snapshots, { transaction });
+
+      await allowanceService.check(purchase.employeeId, pricingService.calculateTotal(snapshots), {
+        date: purchase.date,
+        transaction,
+      });
+
+      const itemsToCreate = snapshots.map(item => ({
+        ...item,
         purchaseId,
-        productId: item.productId,
-        quantity: item.quantity || 1,
       }));
 
-      const created = await PurchaseItem.bulkCreate(itemsToCreate, {
+      await PurchaseItem.bulkCreate(itemsToCreate, {
         transaction,
         validate: true,
       });
 
+      await promotionService.applyToPurchase(purchaseId, { transaction });
+
+      await pricingService.syncPurchaseTotal(purchaseId, { transaction });
+      await subsidyService.applyToPurchase(purchaseId, { transaction });
+
       await transaction.commit();
 
       // Return with products included
@@ -0,0 +1,238 @@
+/**
+ * Refund Service
+ *
+ * Refunds pay back specific line items of a closed purchase. Each refund
+ * is stored as its own record linked to the original purchase; the
+ * purchase items are left untouched.
+ *
+ * Amounts come from the purchase item price snapshot. On a purchase with
+ * discount lines (see promotion.service.js) every line is refunded at its
+ * share of the discounted total, so the discount is not paid out. A line
+ * can be refunded in several steps but never beyond the purchased quantity.
+ * Once every line is fully refunded the purchase moves to 'refunded'.
+ *
+ * Refunds are credited against the employee's spending in the month of
+ * the refund date (see allowance.service.js). Stock deducted for the
+ * refunded items is returned (see inventory.service.js). A refund is split
+ * between company and employee like its purchase (see subsidy.service.js).
+ */
+
+const createError = require('http-errors');
+const { fn, col } = require('sequelize');
+const db = require('../model');
+const inventoryService = require('./inventory.service');
+const pricingService = require('./pricing.service');
+const purchaseService = require('./purchase.service');
+const subsidyService = require('./subsidy.service');
+const purchaseStatus = require('../config/purchaseStatus');
+
+const { STATUSES } = purchaseStatus;
+const {
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  refunds: Refund,
+  refundItems: RefundItem,
+  purchaseDiscounts: PurchaseDiscount,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  items: {
+    model: RefundItem,
+    as: 'items',
+    include: [
+      {
+        model: PurchaseItem,
+        as: 'purchaseItem',
+        attributes: ['id', 'productId', 'productName', 'quantity'],
+      },
+    ],
+  },
+};
+
+/**
+ * Quantities already refunded per purchase item - single GROUP BY query
+ *
+ * @param {Array<number>} purchaseItemIds - Purchase item IDs
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Map<number, number>>}
+ */
+const getRefundedQuantities = async (purchaseItemIds, transaction) => {
+  const rows = await RefundItem.findAll({
+    attributes: ['purchaseItemId', [fn('SUM', col('quantity')), 'quantity']],
+    where: { purchaseItemId: purchaseItemIds },
+    group: ['purchaseItemId'],
+    raw: true,
+    transaction,
+  });
+
+  return new Map(rows.map(row => [row.purchaseItemId, parseInt(row.quantity, 10) || 0]));
+};
+
+class RefundService {
+  /**
+   * Get all refunds of a purchase with their items
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @returns {Promise<Array>}
+   */
+  async findByPurchase(purchaseId) {
+    const purchase = await Purchase.findByPk(purchaseId, { attributes: ['id'] });
+
+    if (!purchase) {
+      throw createError(404, `Purchase with ID ${purchaseId} not found`);
+    }
+
+    return Refund.findAll({
+      where: { purchaseId },
+      include: [INCLUDES.items],
+      order: [['date', 'DESC'], ['id', 'DESC']],
+    });
+  }
+
+  /**
+   * Get a refund by ID with its items
+   *
+   * @param {number} id - Refund ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const refund = await Refund.findByPk(id, {
+      include: [INCLUDES.items],
+    });
+
+    if (!refund) {
+      throw createError(404, `Refund with ID ${id} not found`);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Refund line items of a closed purchase
+   * Uses transaction; the purchase moves to 'refunded' when nothing is left.
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} refundData - { reason, items: [{ purchaseItemId, quantity }] }
+   * @param {Object} options - Refund options
+   * @param {number} options.userId - User issuing the refund
+   * @returns {Promise<Object>} - The created refund with items
+   */
+  async create(purchaseId, { reason, items = [] }, { userId } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const purchase = await Purchase.findByPk(purchaseId, {
+        include: [
+          { model: PurchaseItem, as: 'purchaseItems' },
+          { model: PurchaseDiscount, as: 'discounts', attributes: ['amount'] },
+        ],
+        transaction,
+      });
+
+      if (!purchase) {
+        throw createError(404, `Purchase with ID ${purchaseId} not found`);
+      }
+
+      if (purchase.status !== STATUSES.CLOSED) {
+        const error = createError(409, `Cannot refund a ${purchase.status} purchase`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        error.details = { from: purchase.status, to: STATUSES.REFUNDED };
+        throw error;
+      }
+
+      const lines = purchase.purchaseItems;
+      const linesById = new Map(lines.map(line => [line.id, line]));
+
+      // Share of the item price that was actually paid
+      const gross = pricingService.calculateTotal(lines);
+      const paidShare = purchase.discounts.length > 0 && gross > 0
+        ? pricingService.calculateTotal(lines, purchase.discounts) / gross
+        : 1;
+      const refunded = await getRefundedQuantities(lines.map(line => line.id), transaction);
+
+      // Merge repeated lines so they are checked against the remainder once
+      const requested = new Map();
+      items.forEach(item => {
+        const id = Number(item.purchaseItemId);
+        requested.set(id, (requested.get(id) || 0) + item.quantity);
+      });
+
+      const refundItems = [...requested].map(([purchaseItemId, quantity]) => {
+        const line = linesById.get(purchaseItemId);
+
+        if (!line) {
+          throw createError(400, `Purchase item ${purchaseItemId} does not belong to purchase ${purchaseId}`);
+        }
+
+        const refundable = line.quantity - (refunded.get(purchaseItemId) || 0);
+        if (quantity > refundable) {
+          const error = createError(
+            400,
+            `Cannot refund ${quantity} of purchase item ${purchaseItemId}: ${refundable} refundable`,
+          );
+          error.details = { purchaseItemId, requested: quantity, refundable };
+          throw error;
+        }
+
+        return {
+          purchaseItemId,
+          productId: line.productId,
+          quantity,
+          unitPrice: line.unitPrice,
+          amount: pricingService.roundMoney(
+            pricingService.lineTotal({ unitPrice: line.unitPrice, quantity }) * paidShare,
+          ),
+        };
+      });
+
+      const total = pricingService.roundMoney(
+        refundItems.reduce((sum, item) => sum + item.amount, 0),
+      );
+
+      const refund = await Refund.create(
+        {
+          purchaseId: purchase.id,
+          employeeId: purchase.employeeId,
+          userId: userId || null,
+          date: new Date(),
+          total,
+          ...subsidyService.splitRefund(purchase, total),
+          reason,
+        },
+        { transaction },
+      );
+
+      await RefundItem.bulkCreate(
+        refundItems.map(item => ({ ...item, refundId: refund.id })),
+        { transaction },
+      );
+
+      await inventoryService.recordReturn(refund, refundItems, { transaction });
+
+      const fullyRefunded = lines.every(
+        line => (refunded.get(line.id) || 0) + (requested.get(line.id) || 0) >= line.quantity,
+      );
+      if (fullyRefunded) {
+        await purchaseService.transition(purchase.id, STATUSES.REFUNDED, { reason, transaction });
+      }
+
+      await transaction.commit();
+
+      return this.findById(refund.id);
+    } catch (error) {
+      await transaction.rollback();
+
+      if (error.status) {
+        throw error;
+      }
+
+      throw createError(500, `Failed to create refund: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RefundService();
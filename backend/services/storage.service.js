@@ -0,0 +1,132 @@
+/**
+ * Storage Service
+ *
+ * Stores uploaded files under a key (a relative path such as
+ * products/3/ab12cd-thumbnail.webp). Files are public at the key below
+ * imageConfig.publicUrl.
+ *
+ * The driver is picked by config/images.js:
+ * - LocalStorage writes below a directory that Express serves
+ * - S3Storage puts objects into an S3-compatible bucket
+ *
+ * Every driver implements put(key, body, contentType) and remove(keys);
+ * removing a missing key is not an error.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const createError = require('http-errors');
+const imageConfig = require('../config/images');
+const logger = require('../utils/logger');
+
+class LocalStorage {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  /**
+   * Absolute path of a key, never outside the storage directory
+   */
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw createError(500, `Invalid storage key ${key}`);
+    }
+
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+  }
+
+  async remove(keys) {
+    await Promise.all(keys.map(key => fs.rm(this.resolve(key), { force: true })));
+  }
+}
+
+class S3Storage {
+  constructor({ bucket, region, endpoint }) {
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint;
+    this.client = null;
+  }
+
+  /**
+   * S3 client, created on first use so the SDK is only needed with s3
+   */
+  getClient() {
+    if (!this.client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      this.client = new S3Client({
+        region: this.region,
+        ...(this.endpoint && { endpoint: this.endpoint, forcePathStyle: true }),
+      });
+    }
+    return this.client;
+  }
+
+  async put(key, body, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: imageConfig.CACHE_CONTROL,
+    }));
+  }
+
+  async remove(keys) {
+    if (keys.length === 0) {
+      return;
+    }
+
+    const { DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+    await this.getClient().send(new DeleteObjectsCommand({
+      Bucket: this.bucket,
+      Delete: { Objects: keys.map(Key => ({ Key })), Quiet: true },
+    }));
+  }
+}
+
+class StorageService {
+  constructor(config) {
+    this.driver = config.storage === imageConfig.STORAGES.S3
+      ? new S3Storage(config.s3)
+      : new LocalStorage(config.local);
+  }
+
+  /**
+   * Store a file
+   *
+   * @param {string} key - Storage key
+   * @param {Buffer} body - File content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, body, contentType) {
+    await this.driver.put(key, body, contentType);
+  }
+
+  /**
+   * Remove files; failures are logged, not thrown, as the records
+   * pointing to them are already gone
+   *
+   * @param {string[]} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  async remove(keys) {
+    try {
+      await this.driver.remove(keys);
+    } catch (error) {
+      logger.error('Failed to remove stored files', { keys, error: error.message });
+    }
+  }
+}
+
+module.exports = new StorageService(imageConfig);
@@ -0,0 +1,292 @@
+/**
+ * Subsidy Service
+ *
+ * Employer meal subsidy policies and the split of each purchase into the
+ * part the company pays and the part the employee pays.
+ *
+ * The company pays the policy percentage of the purchase total, capped so
+ * that its share of the employee's purchases never exceeds the daily or
+ * monthly cap. Caps are counted over the employee's other purchases in the
+ * same day or calendar month of the cafeteria timezone (voided ones left
+ * out), so whichever purchase reaches a cap first gets the subsidy. Refunds
+ * do not free the cap.
+ *
+ * The purchase and purchase item services rewrite a purchase's split with
+ * applyToPurchase() whenever its total is synced (see pricing.service.js).
+ * Existing purchases keep their split when a policy changes or an employee
+ * moves to another policy. A refund is split like its purchase.
+ */
+
+const createError = require('http-errors');
+const { Op, fn, col } = require('sequelize');
+const db = require('../model');
+const pricingService = require('./pricing.service');
+const allowanceService = require('./allowance.service');
+const purchaseStatus = require('../config/purchaseStatus');
+const availabilityConfig = require('../config/availability');
+const { dayOf, dayRange } = require('../utils/calendar');
+
+const {
+  subsidyPolicies: SubsidyPolicy,
+  employees: Employee,
+  purchases: Purchase,
+  sequelize,
+} = db;
+
+/**
+ * Include configurations for eager loading
+ */
+const INCLUDES = {
+  policy: {
+    model: SubsidyPolicy,
+    as: 'subsidyPolicy',
+    attributes: ['id', 'percentage', 'dailyCap', 'monthlyCap'],
+  },
+};
+
+/**
+ * Calendar day containing the given date, in the cafeteria timezone
+ */
+const getDay = date => {
+  const { year, month, day } = dayOf(date, availabilityConfig.timezone);
+  return dayRange(year, month, day, availabilityConfig.timezone);
+};
+
+/**
+ * Company share of the employee's other purchases in the period
+ */
+const usedCompanyShare = async (employeeId, { from, to }, purchaseId, transaction) => {
+  const where = {
+    employeeId,
+    date: { [Op.between]: [from, to] },
+    status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+  };
+  if (purchaseId) {
+    where.id = { [Op.ne]: purchaseId };
+  }
+
+  return parseFloat(await Purchase.sum('companyShare', { where, transaction })) || 0;
+};
+
+/**
+ * 409 for a policy name that is already taken
+ */
+const nameTaken = name => createError(409, `Subsidy policy "${name}" already exists`);
+
+class SubsidyService {
+  /**
+   * Get all policies by name, with the number of employees on each
+   *
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    const [policies, counts] = await Promise.all([
+      SubsidyPolicy.findAll({ order: [['name', 'ASC']] }),
+      Employee.findAll({
+        attributes: ['subsidyPolicyId', [fn('COUNT', col('id')), 'employeeCount']],
+        where: { subsidyPolicyId: { [Op.ne]: null } },
+        group: ['subsidyPolicyId'],
+        raw: true,
+      }),
+    ]);
+
+    const employeeCounts = new Map(counts.map(c => [c.subsidyPolicyId, parseInt(c.employeeCount, 10)]));
+
+    return policies.map(policy => ({
+      ...policy.toJSON(),
+      employeeCount: employeeCounts.get(policy.id) || 0,
+    }));
+  }
+
+  /**
+   * Get a policy by ID
+   *
+   * @param {number} id - Policy ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const policy = await SubsidyPolicy.findByPk(id);
+
+    if (!policy) {
+      throw createError(404, `Subsidy policy with ID ${id} not found`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Throw 400 when an employee is assigned a policy that does not exist
+   *
+   * @param {number|null|undefined} id - Policy ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async assertExists(id, { transaction } = {}) {
+    if (id === null || id === undefined) {
+      return;
+    }
+
+    const policy = await SubsidyPolicy.findByPk(id, { attributes: ['id'], transaction });
+    if (!policy) {
+      throw createError(400, `Subsidy policy with ID ${id} not found`);
+    }
+  }
+
+  /**
+   * Create a policy
+   *
+   * @param {Object} data - { name, description, percentage, dailyCap, monthlyCap }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      return await SubsidyPolicy.create(data);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to create subsidy policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a policy
+   * Only purchases priced afterwards use the new terms.
+   *
+   * @param {number} id - Policy ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const policy = await this.findById(id);
+
+    try {
+      await policy.update(data);
+      return policy;
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to update subsidy policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a policy; its employees pay in full from then on
+   *
+   * @param {number} id - Policy ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const policy = await this.findById(id);
+    const transaction = await sequelize.transaction();
+
+    try {
+      await Employee.update(
+        { subsidyPolicyId: null },
+        { where: { subsidyPolicyId: id }, paranoid: false, transaction },
+      );
+      await policy.destroy({ transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw createError(500, `Failed to delete subsidy policy: ${error.message}`);
+    }
+
+    return { deleted: true, id };
+  }
+
+  /**
+   * Split a purchase total between company and employee
+   *
+   * @param {Object} purchase - Purchase to split
+   * @param {number} purchase.employeeId - Employee buying
+   * @param {Date|string} purchase.date - Purchase date (picks the day and month of the caps)
+   * @param {number} purchase.total - Purchase total
+   * @param {number|null} purchase.purchaseId - Purchase being repriced, left out of the caps
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<{companyShare: number, employeeShare: number}>}
+   */
+  async split({ employeeId, date, total, purchaseId = null }, { transaction } = {}) {
+    const amount = pricingService.roundMoney(parseFloat(total) || 0);
+    const employee = await Employee.findByPk(employeeId, {
+      attributes: ['id', 'subsidyPolicyId'],
+      include: [INCLUDES.policy],
+      paranoid: false,
+      transaction,
+    });
+    const policy = employee?.subsidyPolicy;
+
+    let companyShare = 0;
+
+    if (policy && amount > 0) {
+      companyShare = pricingService.roundMoney((amount * parseFloat(policy.percentage)) / 100);
+
+      const caps = [
+        [policy.dailyCap, getDay(date)],
+        [policy.monthlyCap, allowanceService.getPeriod(date)],
+      ];
+
+      for (const [cap, period] of caps) {
+        if (cap === null || companyShare === 0) {
+          continue;
+        }
+
+        const used = await usedCompanyShare(employeeId, period, purchaseId, transaction);
+        companyShare = Math.min(companyShare, pricingService.roundMoney(Math.max(0, parseFloat(cap) - used)));
+      }
+    }
+
+    return {
+      companyShare,
+      employeeShare: pricingService.roundMoney(amount - companyShare),
+    };
+  }
+
+  /**
+   * Rewrite a purchase's split from its stored total
+   * Call after pricingService.syncPurchaseTotal(), in the same transaction.
+   *
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<{companyShare: number, employeeShare: number}>}
+   */
+  async applyToPurchase(purchaseId, { transaction } = {}) {
+    const purchase = await Purchase.findByPk(purchaseId, {
+      attributes: ['id', 'employeeId', 'date', 'total'],
+      transaction,
+    });
+
+    const shares = await this.split(
+      { employeeId: purchase.employeeId, date: purchase.date, total: purchase.total, purchaseId },
+      { transaction },
+    );
+    await Purchase.update(shares, { where: { id: purchaseId }, transaction });
+
+    return shares;
+  }
+
+  /**
+   * Split a refund like the purchase it pays back
+   *
+   * @param {Object} purchase - Purchase with total and companyShare
+   * @param {number} amount - Refunded amount
+   * @returns {{companyShare: number, employeeShare: number}}
+   */
+  splitRefund(purchase, amount) {
+    const total = parseFloat(purchase.total) || 0;
+    const companyShare = total > 0
+      ? pricingService.roundMoney((amount * (parseFloat(purchase.companyShare) || 0)) / total)
+      : 0;
+
+    return {
+      companyShare,
+      employeeShare: pricingService.roundMoney(amount - companyShare),
+    };
+  }
+}
+
+module.exports = new SubsidyService();
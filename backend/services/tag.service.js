@@ -0,0 +1,177 @@
+/**
+ * Tag Service
+ *
+ * Free-form product tags. Products are tagged by name (see
+ * product.service.js); unknown names are created on the fly, so the tag
+ * routes are mainly for listing, renaming and cleaning up.
+ *
+ * Tag names are lowercase; "Vegan" and "vegan" are the same tag.
+ */
+
+const createError = require('http-errors');
+const { Sequelize } = require('sequelize');
+const db = require('../model');
+
+const { tags: Tag, productTags: ProductTag, sequelize } = db;
+
+class TagService {
+  /**
+   * Trimmed, lowercased and de-duplicated tag names
+   *
+   * @param {string[]} names - Tag names
+   * @returns {string[]}
+   */
+  normalizeNames(names) {
+    return [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Get all tags by name, with the number of products carrying each
+   *
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    const [tags, counts] = await Promise.all([
+      Tag.findAll({ order: [['name', 'ASC']] }),
+      ProductTag.findAll({
+        attributes: ['tagId', [Sequelize.fn('COUNT', Sequelize.col('productId')), 'productCount']],
+        group: ['tagId'],
+        raw: true,
+      }),
+    ]);
+
+    const productCounts = new Map(counts.map(c => [c.tagId, parseInt(c.productCount, 10)]));
+
+    return tags.map(tag => ({
+      ...tag.toJSON(),
+      productCount: productCounts.get(tag.id) || 0,
+    }));
+  }
+
+  /**
+   * Get tag by ID
+   *
+   * @param {number} id - Tag ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const tag = await Tag.findByPk(id);
+
+    if (!tag) {
+      throw createError(404, `Tag with ID ${id} not found`);
+    }
+
+    return tag;
+  }
+
+  /**
+   * Find tags by name, creating the ones that do not exist yet
+   *
+   * @param {string[]} names - Tag names
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<Array>}
+   */
+  async findOrCreateByNames(names, { transaction } = {}) {
+    const normalized = this.normalizeNames(names);
+    if (normalized.length === 0) {
+      return [];
+    }
+
+    const existing = await Tag.findAll({ where: { name: normalized }, transaction });
+    const existingNames = new Set(existing.map(tag => tag.name));
+    const missing = normalized.filter(name => !existingNames.has(name));
+
+    const created = missing.length
+      ? await Tag.bulkCreate(missing.map(name => ({ name })), { transaction })
+      : [];
+
+    return [...existing, ...created];
+  }
+
+  /**
+   * IDs of the tags with the given names (unknown names are left out)
+   *
+   * @param {string[]} names - Tag names
+   * @returns {Promise<number[]>}
+   */
+  async findIdsByNames(names) {
+    const tags = await Tag.findAll({
+      where: { name: this.normalizeNames(names) },
+      attributes: ['id'],
+      raw: true,
+    });
+
+    return tags.map(tag => tag.id);
+  }
+
+  /**
+   * Create a tag
+   *
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      return await Tag.create(data);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw createError(409, `Tag "${data.name.trim().toLowerCase()}" already exists`);
+      }
+      throw createError(500, `Failed to create tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a tag
+   *
+   * @param {number} id - Tag ID
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const tag = await this.findById(id);
+
+    try {
+      await tag.update(data);
+      return tag;
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw createError(409, `Tag "${data.name.trim().toLowerCase()}" already exists`);
+      }
+      throw createError(500, `Failed to update tag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from all products
+   *
+   * @param {number} id - Tag ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const tag = await Tag.findByPk(id, { transaction });
+
+      if (!tag) {
+        throw createError(404, `Tag with ID ${id} not found`);
+      }
+
+      await ProductTag.destroy({ where: { tagId: id }, transaction });
+      await tag.destroy({ transaction });
+
+      await transaction.commit();
+      return { deleted: true, id };
+    } catch (error) {
+      await transaction.rollback();
+      if (error.status) {
+        throw error;
+      }
+      throw createError(500, `Failed to delete tag: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,282 @@
+/**
+ * Tax Service
+ *
+ * VAT contained in purchases, split by rate.
+ *
+ * Prices and totals are gross. Every purchase item carries the percent of
+ * its product's VAT rate at the time it was added (purchase_items.taxRate),
+ * so the VAT of a sale never changes when a rate does. The VAT in a gross
+ * amount is rounded under the currency's rule and the net is the rest
+ * (see config/tax.js).
+ *
+ * Per line, net and VAT are taken from the line total before discounts.
+ * Per purchase, the discount lines are spread over the rates in
+ * proportion to their gross, the same share of every line that refunds
+ * pay back (see refund.service.js); each rate's VAT is then rounded once,
+ * on its discounted gross. Items without a rate (sold before their
+ * product had one) are grouped under a null rate with null net and VAT.
+ *
+ * The VAT summary of a range counts the purchases dated in it, minus the
+ * refunds issued in it, like the spending summaries. It is summed by rate
+ * in SQL; only purchases with discount lines are summed per purchase, so
+ * their discounts are spread like forPurchase() does.
+ */
+
+const { Op, fn, col, literal } = require('sequelize');
+const db = require('../model');
+const pricingService = require('./pricing.service');
+const locationService = require('./location.service');
+const taxConfig = require('../config/tax');
+const purchaseStatus = require('../config/purchaseStatus');
+
+const {
+  purchases: Purchase,
+  purchaseItems: PurchaseItem,
+  purchaseDiscounts: PurchaseDiscount,
+  refunds: Refund,
+  refundItems: RefundItem,
+} = db;
+
+/**
+ * Round half away from zero, or half to even, to some decimals
+ * Scaled values are cut to 9 decimals first so 0.285 * 100 rounds like 28.5.
+ */
+const roundTo = (amount, { decimals, mode }) => {
+  const factor = 10 ** decimals;
+  const scaled = Number((Math.abs(Number(amount)) * factor).toFixed(9));
+  const floor = Math.floor(scaled);
+  const fraction = scaled - floor;
+
+  let rounded;
+  if (fraction > 0.5) {
+    rounded = floor + 1;
+  } else if (fraction < 0.5) {
+    rounded = floor;
+  } else {
+    rounded = mode === taxConfig.ROUNDING_MODES.HALF_EVEN && floor % 2 === 0 ? floor : floor + 1;
+  }
+
+  return (Math.sign(Number(amount)) * rounded) / factor || 0;
+};
+
+// Gross of the purchase items before discounts
+const ITEM_GROSS = fn('SUM', literal('`purchaseItems`.`unitPrice` * `purchaseItems`.`quantity`'));
+
+// Purchases with discount lines
+const DISCOUNTED_PURCHASE_IDS = literal('(SELECT `purchaseId` FROM `purchase_discounts`)');
+
+/**
+ * Rate of an item as a number, null when it has none
+ */
+const rateOf = item => (item.taxRate === null || item.taxRate === undefined ? null : Number(item.taxRate));
+
+/**
+ * Gross per rate of some lines ({ taxRate, gross }), lowest rate first,
+ * no rate last
+ */
+const groupByRate = lines => {
+  const groups = new Map();
+
+  lines.forEach(line => {
+    const rate = rateOf(line);
+    groups.set(rate, (groups.get(rate) || 0) + line.gross);
+  });
+
+  return [...groups.entries()]
+    .map(([taxRate, gross]) => ({ taxRate, gross: pricingService.roundMoney(gross) }))
+    .sort((a, b) => (a.taxRate === null) - (b.taxRate === null) || a.taxRate - b.taxRate);
+};
+
+class TaxService {
+  /**
+   * Round a VAT amount under the currency's rule
+   *
+   * @param {number} amount - Amount to round
+   * @returns {number}
+   */
+  round(amount) {
+    return roundTo(amount, taxConfig.rounding);
+  }
+
+  /**
+   * Split a gross amount into net and VAT
+   *
+   * @param {number} gross - Amount, VAT included
+   * @param {number|string|null} taxRate - VAT rate in percent (null when unknown)
+   * @returns {{net: number|null, vat: number|null, gross: number}}
+   */
+  split(gross, taxRate) {
+    const amount = pricingService.roundMoney(gross);
+
+    if (taxRate === null || taxRate === undefined) {
+      return { net: null, vat: null, gross: amount };
+    }
+
+    const rate = Number(taxRate);
+    const vat = this.round((amount * rate) / (100 + rate));
+
+    return { net: pricingService.roundMoney(amount - vat), vat, gross: amount };
+  }
+
+  /**
+   * Net, VAT and gross of a purchase item's line total, before discounts
+   *
+   * @param {Object} item - Purchase item with unitPrice, quantity and taxRate
+   * @returns {{net: number|null, vat: number|null, gross: number}}
+   */
+  lineTax(item) {
+    return this.split(pricingService.lineTotal(item), rateOf(item));
+  }
+
+  /**
+   * Gross per rate of a purchase, net of its discount lines
+   * The discounts are spread in proportion to each rate's gross; the
+   * largest rate group takes the rounding difference.
+   *
+   * @param {Array} items - Purchase items with unitPrice, quantity and taxRate
+   * @param {Array} discounts - Discount lines with amount
+   * @returns {Array} - Array of { taxRate, gross }
+   */
+  paidByRate(items = [], discounts = []) {
+    const groups = groupByRate(items.map(item => ({ taxRate: item.taxRate, gross: pricingService.lineTotal(item) })));
+    const subtotal = pricingService.calculateTotal(items);
+    const total = pricingService.calculateTotal(items, discounts);
+
+    if (discounts.length === 0 || subtotal <= 0) {
+      return groups;
+    }
+
+    const largest = groups.reduce((max, group) => (group.gross > max.gross ? group : max), groups[0]);
+    const paid = groups.map(group => ({
+      taxRate: group.taxRate,
+      gross: pricingService.roundMoney((group.gross * total) / subtotal),
+    }));
+    const difference = total - paid.reduce((sum, group) => sum + group.gross, 0);
+    const index = groups.indexOf(largest);
+    paid[index].gross = pricingService.roundMoney(paid[index].gross + difference);
+
+    return paid;
+  }
+
+  /**
+   * VAT breakdown of some gross amounts by rate
+   *
+   * @param {Array} lines - Array of { taxRate, gross }
+   * @returns {Object} - { currency, rates: [{ taxRate, net, vat, gross }], net, vat, gross }
+   */
+  breakdown(lines) {
+    const rates = groupByRate(lines).map(group => ({ taxRate: group.taxRate, ...this.split(group.gross, group.taxRate) }));
+    const sum = field => pricingService.roundMoney(rates.reduce((total, rate) => total + (rate[field] || 0), 0));
+
+    return {
+      currency: taxConfig.currency,
+      rates,
+      net: sum('net'),
+      vat: sum('vat'),
+      gross: sum('gross'),
+    };
+  }
+
+  /**
+   * VAT breakdown of a purchase, net of its discount lines
+   *
+   * @param {Array} items - Purchase items with unitPrice, quantity and taxRate
+   * @param {Array} discounts - Discount lines with amount
+   * @returns {Object} - See breakdown()
+   */
+  forPurchase(items = [], discounts = []) {
+    return this.breakdown(this.paidByRate(items, discounts));
+  }
+
+  /**
+   * VAT by rate of the purchases in a range, minus the refunds issued in it
+   * Voided purchases are left out.
+   *
+   * @param {Object} filters - Filters
+   * @param {Date|string} [filters.from] - Start of the range
+   * @param {Date|string} [filters.to] - End of the range
+   * @param {number} [filters.employeeId] - Only this employee
+   * @param {number[]} [filters.locationIds] - Only these locations
+   * @returns {Promise<Object>} - See breakdown()
+   */
+  async getSummary({ from, to, employeeId, locationIds } = {}) {
+    const where = {};
+    if (from || to) {
+      where.date = {};
+      if (from) { where.date[Op.gte] = from; }
+      if (to) { where.date[Op.lte] = to; }
+    }
+    if (employeeId !== undefined) {
+      where.employeeId = employeeId;
+    }
+
+    const purchaseInclude = {
+      model: Purchase,
+      as: 'purchase',
+      attributes: [],
+      where: {
+        ...where,
+        ...(locationIds && { locationId: locationIds }),
+        status: { [Op.notIn]: purchaseStatus.EXCLUDED_FROM_SPENDING },
+      },
+    };
+
+    const [undiscounted, discountedItems, discounts, refunded] = await Promise.all([
+      PurchaseItem.findAll({
+        attributes: ['taxRate', [ITEM_GROSS, 'gross']],
+        where: { purchaseId: { [Op.notIn]: DISCOUNTED_PURCHASE_IDS } },
+        include: [purchaseInclude],
+        group: ['purchaseItems.taxRate'],
+        raw: true,
+      }),
+      PurchaseItem.findAll({
+        attributes: ['purchaseId', 'taxRate', [ITEM_GROSS, 'gross']],
+        where: { purchaseId: { [Op.in]: DISCOUNTED_PURCHASE_IDS } },
+        include: [purchaseInclude],
+        group: ['purchaseItems.purchaseId', 'purchaseItems.taxRate'],
+        raw: true,
+      }),
+      PurchaseDiscount.findAll({
+        attributes: ['purchaseId', [fn('SUM', col('purchaseDiscounts.amount')), 'amount']],
+        include: [purchaseInclude],
+        group: ['purchaseDiscounts.purchaseId'],
+        raw: true,
+      }),
+      RefundItem.findAll({
+        attributes: [[col('purchaseItem.taxRate'), 'taxRate'], [fn('SUM', col('refundItems.amount')), 'gross']],
+        include: [
+          { model: PurchaseItem, as: 'purchaseItem', attributes: [] },
+          {
+            model: Refund,
+            as: 'refund',
+            attributes: [],
+            where,
+            include: [locationService.purchaseInclude(locationIds)],
+          },
+        ],
+        group: ['purchaseItem.taxRate'],
+        raw: true,
+      }),
+    ]);
+
+    // Each discounted purchase's rates as one line each, spread like forPurchase()
+    const discountsByPurchase = new Map(discounts.map(row => [row.purchaseId, [{ amount: row.amount }]]));
+    const linesByPurchase = new Map();
+    discountedItems.forEach(row => {
+      const lines = linesByPurchase.get(row.purchaseId) || [];
+      lines.push({ taxRate: row.taxRate, unitPrice: row.gross, quantity: 1 });
+      linesByPurchase.set(row.purchaseId, lines);
+    });
+
+    const sold = [
+      ...undiscounted.map(row => ({ taxRate: row.taxRate, gross: parseFloat(row.gross) || 0 })),
+      ...[...linesByPurchase.entries()].flatMap(([purchaseId, lines]) =>
+        this.paidByRate(lines, discountsByPurchase.get(purchaseId))),
+    ];
+    const returned = refunded.map(row => ({ taxRate: row.taxRate, gross: -(parseFloat(row.gross) || 0) }));
+
+    return this.breakdown([...sold, ...returned]);
+  }
+}
+
+module.exports = new TaxService();
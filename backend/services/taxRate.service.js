@@ -0,0 +1,143 @@
+/**
+ * Tax Rate Service
+ *
+ * Named VAT rates products are sold at. Changing a rate's percent applies
+ * to the items added from then on; items already sold keep the percent
+ * they were sold at (see tax.service.js).
+ */
+
+const createError = require('http-errors');
+const { Sequelize } = require('sequelize');
+const db = require('../model');
+
+const { taxRates: TaxRate, products: Product } = db;
+
+/**
+ * 409 for a name that is already taken
+ */
+const nameTaken = name => createError(409, `Tax rate with name ${name} already exists`);
+
+class TaxRateService {
+  /**
+   * Get all tax rates, lowest first, with the number of products at each
+   * Archived products count: they keep their rate for restore.
+   *
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    const [rates, counts] = await Promise.all([
+      TaxRate.findAll({ order: [['rate', 'ASC'], ['name', 'ASC']] }),
+      Product.findAll({
+        attributes: ['taxRateId', [Sequelize.fn('COUNT', Sequelize.col('id')), 'productCount']],
+        where: { taxRateId: { [Sequelize.Op.ne]: null } },
+        group: ['taxRateId'],
+        paranoid: false,
+        raw: true,
+      }),
+    ]);
+
+    const productCounts = new Map(counts.map(c => [c.taxRateId, parseInt(c.productCount, 10)]));
+
+    return rates.map(rate => ({
+      ...rate.toJSON(),
+      productCount: productCounts.get(rate.id) || 0,
+    }));
+  }
+
+  /**
+   * Get tax rate by ID
+   *
+   * @param {number} id - Tax rate ID
+   * @returns {Promise<Object>}
+   */
+  async findById(id) {
+    const taxRate = await TaxRate.findByPk(id);
+
+    if (!taxRate) {
+      throw createError(404, `Tax rate with ID ${id} not found`);
+    }
+
+    return taxRate;
+  }
+
+  /**
+   * Create a tax rate
+   *
+   * @param {Object} data - { name, rate }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      return await TaxRate.create(data);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to create tax rate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a tax rate or change its percent
+   *
+   * @param {number} id - Tax rate ID
+   * @param {Object} data - { name, rate }
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    const taxRate = await this.findById(id);
+
+    try {
+      return await taxRate.update(data);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw nameTaken(data.name);
+      }
+      throw createError(500, `Failed to update tax rate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a tax rate no product is sold at
+   *
+   * @param {number} id - Tax rate ID
+   * @returns {Promise<{deleted: boolean, id: number}>}
+   */
+  async delete(id) {
+    const taxRate = await this.findById(id);
+    const products = await Product.count({ where: { taxRateId: id }, paranoid: false });
+
+    if (products > 0) {
+      const error = createError(409, `Cannot delete tax rate ${taxRate.name} while products are sold at it`);
+      error.code = 'TAX_RATE_IN_USE';
+      error.details = { products };
+      throw error;
+    }
+
+    await taxRate.destroy();
+
+    return { deleted: true, id };
+  }
+
+  /**
+   * Throw 400 unless the tax rates exist (null and undefined pass)
+   *
+   * @param {Array<number|null|undefined>} ids - Tax rate IDs
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction
+   */
+  async assertExists(ids, { transaction } = {}) {
+    const wanted = [...new Set(ids.filter(id => id !== null && id !== undefined))];
+    if (wanted.length === 0) {
+      return;
+    }
+
+    const found = await TaxRate.findAll({ where: { id: wanted }, attributes: ['id'], transaction });
+    const missing = wanted.find(id => !found.some(rate => rate.id === id));
+    if (missing !== undefined) {
+      throw createError(400, `Tax rate with ID ${missing} not found`);
+    }
+  }
+}
+
+module.exports = new TaxRateService();
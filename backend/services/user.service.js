@@ -8,6 +8,7 @@
 const createError = require('http-errors');
 const { Op } = require('sequelize');
 const db = require('../model');
+const purchaseStatus = require('../config/purchaseStatus');
 
 const { users: User, purchases: Purchase, sequelize } = db;
 
@@ -19,7 +20,7 @@ const INCLUDES = {
   purchases: {
     model: Purchase,
     as: 'purchases',
-    attributes: ['id', 'date', 'total', 'closed', 'employeeId'],
+    attributes: ['id', 'date', 'total', 'status', 'employeeId'],
   },
 };
 
@@ -108,7 +109,7 @@ class UserService {
     const purchases = user.purchases || [];
     const stats = {
       totalPurchases: purchases.length,
-      openPurchases: purchases.filter(p => !p.closed).length,
+      openPurchases: purchases.filter(p => purchaseStatus.EDITABLE.includes(p.status)).length,
       closedPurchases: purchases.filter(p => p.closed).length,
       totalValue: purchases.reduce((sum, p) => sum + parseFloat(p.total || 0), 0),
     };
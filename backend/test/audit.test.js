@@ -53,7 +53,7 @@ describe('Audit Logging System', () => {
       await db.audit_logs.destroy({ where: {} });
     }
     if (db.products) {
-      await db.products.destroy({ where: {} });
+      await db.products.destroy({ where: {}, force: true });
     }
   });
 
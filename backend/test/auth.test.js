@@ -131,6 +131,61 @@ describe('Auth API', () => {
 
       expect(res.body).toHaveProperty('success', false);
     });
+
+    describe('employee auto-link', () => {
+      beforeEach(async () => {
+        await db.employees.destroy({ where: {}, force: true });
+      });
+
+      it('should link the employee with a matching email', async () => {
+        const employee = await db.employees.create({
+          name: 'Test User',
+          employee_number: 'AUTO001',
+          email: validUser.email,
+          monthlyConsumptionValue: 500,
+        });
+
+        const res = await request(app)
+          .post(`${API_BASE}/register`)
+          .send(validUser)
+          .expect(201);
+
+        expect(res.body.user).toHaveProperty('employeeId', employee.id);
+        await employee.reload();
+        expect(employee.userId).toBe(res.body.user.id);
+      });
+
+      it('should link by employee number when the employee has no email', async () => {
+        const employee = await db.employees.create({
+          name: 'Test User',
+          employee_number: 'AUTO002',
+          monthlyConsumptionValue: 500,
+        });
+
+        const res = await request(app)
+          .post(`${API_BASE}/register`)
+          .send({ ...validUser, employeeNumber: 'AUTO002' })
+          .expect(201);
+
+        expect(res.body.user).toHaveProperty('employeeId', employee.id);
+      });
+
+      it('should not link by employee number when the email on file differs', async () => {
+        await db.employees.create({
+          name: 'Someone Else',
+          employee_number: 'AUTO003',
+          email: 'someone.else@example.com',
+          monthlyConsumptionValue: 500,
+        });
+
+        const res = await request(app)
+          .post(`${API_BASE}/register`)
+          .send({ ...validUser, employeeNumber: 'AUTO003' })
+          .expect(201);
+
+        expect(res.body.user.employeeId).toBeNull();
+      });
+    });
   });
 
   describe(`POST ${API_BASE}/login`, () => {
@@ -0,0 +1,279 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const availabilityConfig = require('../config/availability');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product Availability API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let employee, roll, coffee;
+  let originalTimezone;
+
+  // Monday 2026-10-19; Berlin is UTC+2 until the end of October
+  const MONDAY_0730 = '2026-10-19T05:30:00.000Z';
+  const MONDAY_1030 = '2026-10-19T08:30:00.000Z';
+  const MONDAY_1400 = '2026-10-19T12:00:00.000Z';
+  const SATURDAY_0800 = '2026-10-24T06:00:00.000Z';
+
+  const BREAKFAST = { label: 'Breakfast', weekdays: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '10:30' };
+
+  const setWindows = (product, windows, token = managerToken) =>
+    request(app)
+      .put(`${API_BASE}/products/${product.id}/availability`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ windows });
+
+  const findAvailable = at =>
+    request(app)
+      .get(`${API_BASE}/products/available`)
+      .query(at ? { at } : {})
+      .set('Authorization', `Bearer ${employeeToken}`);
+
+  const createPurchase = (date, items) =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date, employeeId: employee.id, items });
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+
+    originalTimezone = availabilityConfig.timezone;
+    availabilityConfig.timezone = 'Europe/Berlin';
+  });
+
+  afterAll(() => {
+    availabilityConfig.timezone = originalTimezone;
+  });
+
+  beforeEach(async () => {
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.productAvailabilityWindows.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Test Employee',
+      employee_number: `TEST${Date.now()}`,
+      monthlyConsumptionValue: 1000,
+    });
+    roll = await db.products.create({ name: 'Breakfast Roll', price: 3.5 });
+    coffee = await db.products.create({ name: 'Coffee', price: 2 });
+
+    await db.productAvailabilityWindows.create({ productId: roll.id, ...BREAKFAST });
+  });
+
+  describe(`PUT ${API_BASE}/products/:id/availability`, () => {
+    it('should replace the windows of a product', async () => {
+      const windows = [
+        { ...BREAKFAST, weekdays: [1, 2, 3, 4, 5] },
+        { label: 'Weekend brunch', weekdays: [6, 7], startTime: '09:00', endTime: '13:00' },
+      ];
+
+      const res = await setWindows(roll, windows).expect(200);
+
+      expect(res.body.productId).toBe(roll.id);
+      expect(res.body.windows).toHaveLength(2);
+      expect(res.body.windows[1]).toMatchObject({
+        label: 'Weekend brunch',
+        weekdays: [6, 7],
+        startTime: '09:00',
+        endTime: '13:00',
+        startDate: null,
+        endDate: null,
+      });
+
+      const get = await request(app)
+        .get(`${API_BASE}/products/${roll.id}/availability`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(get.body.windows.map(w => w.label)).toEqual(['Breakfast', 'Weekend brunch']);
+    });
+
+    it('should make a product always available with an empty list', async () => {
+      await setWindows(roll, []).expect(200);
+
+      const res = await findAvailable(MONDAY_1400).expect(200);
+      expect(res.body.data.map(p => p.name)).toContain('Breakfast Roll');
+    });
+
+    it('should reject invalid windows', async () => {
+      await setWindows(roll, [{ startTime: '7:00' }]).expect(400);
+      await setWindows(roll, [{ weekdays: [0] }]).expect(400);
+      await setWindows(roll, [{ weekdays: [] }]).expect(400);
+      await setWindows(roll, [{ startDate: '2026-13-01' }]).expect(400);
+
+      const res = await setWindows(roll, [{ startTime: '11:00', endTime: '10:00' }]).expect(400);
+      expect(res.body.error.message).toContain('endTime must be after startTime');
+
+      await setWindows(roll, [{ startDate: '2026-12-31', endDate: '2026-12-01' }]).expect(400);
+    });
+
+    it('should keep the windows when the update is rejected', async () => {
+      await setWindows(roll, [{ startTime: '11:00', endTime: '10:00' }]).expect(400);
+
+      expect(await db.productAvailabilityWindows.count({ where: { productId: roll.id } })).toBe(1);
+    });
+
+    it('should not be available to employees', async () => {
+      await setWindows(roll, [], employeeToken).expect(403);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      await setWindows({ id: 99999 }, []).expect(404);
+      await request(app)
+        .get(`${API_BASE}/products/99999/availability`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(404);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/available`, () => {
+    it('should include a product inside its window', async () => {
+      const res = await findAvailable(MONDAY_0730).expect(200);
+
+      expect(res.body.timezone).toBe('Europe/Berlin');
+      expect(res.body.at).toBe(MONDAY_0730);
+      expect(res.body.data.map(p => p.name)).toEqual(['Breakfast Roll', 'Coffee']);
+      expect(res.body.data[0].availabilityWindows[0].label).toBe('Breakfast');
+    });
+
+    it('should exclude a product outside its window', async () => {
+      const afternoon = await findAvailable(MONDAY_1400).expect(200);
+      expect(afternoon.body.data.map(p => p.name)).toEqual(['Coffee']);
+
+      const weekend = await findAvailable(SATURDAY_0800).expect(200);
+      expect(weekend.body.data.map(p => p.name)).toEqual(['Coffee']);
+    });
+
+    it('should treat the end time as exclusive', async () => {
+      const res = await findAvailable(MONDAY_1030).expect(200);
+      expect(res.body.data.map(p => p.name)).toEqual(['Coffee']);
+    });
+
+    it('should evaluate the window in the cafeteria timezone', async () => {
+      // 06:00 UTC is 08:00 in Berlin
+      const berlin = await findAvailable('2026-10-19T06:00:00Z').expect(200);
+      expect(berlin.body.data.map(p => p.name)).toContain('Breakfast Roll');
+
+      availabilityConfig.timezone = 'UTC';
+      try {
+        const utc = await findAvailable('2026-10-19T06:00:00Z').expect(200);
+        expect(utc.body.data.map(p => p.name)).not.toContain('Breakfast Roll');
+      } finally {
+        availabilityConfig.timezone = 'Europe/Berlin';
+      }
+    });
+
+    it('should honour date ranges', async () => {
+      await setWindows(coffee, [{ label: 'Pumpkin season', startDate: '2026-10-01', endDate: '2026-10-31' }])
+        .expect(200);
+
+      const october = await findAvailable('2026-10-31T21:00:00Z').expect(200);
+      expect(october.body.data.map(p => p.name)).toContain('Coffee');
+
+      // 23:00 UTC on the 31st is already November 1st in Berlin
+      const november = await findAvailable('2026-10-31T23:00:00Z').expect(200);
+      expect(november.body.data.map(p => p.name)).not.toContain('Coffee');
+    });
+
+    it('should default to now', async () => {
+      const res = await findAvailable().expect(200);
+
+      expect(Math.abs(new Date(res.body.at) - Date.now())).toBeLessThan(60000);
+      expect(res.body.data.map(p => p.name)).toContain('Coffee');
+    });
+
+    it('should reject an invalid date', async () => {
+      await findAvailable('not-a-date').expect(400);
+    });
+  });
+
+  describe('Purchases', () => {
+    it('should accept items available at the purchase date', async () => {
+      const res = await createPurchase(MONDAY_0730, [{ productId: roll.id, quantity: 1 }]).expect(201);
+
+      expect(res.body.purchaseItems).toHaveLength(1);
+    });
+
+    it('should reject items not available at the purchase date', async () => {
+      const res = await createPurchase(MONDAY_1400, [
+        { productId: coffee.id, quantity: 1 },
+        { productId: roll.id, quantity: 1 },
+      ]).expect(409);
+
+      expect(res.body.error.code).toBe('PRODUCT_NOT_AVAILABLE');
+      expect(res.body.error.message).toBe(
+        'Breakfast Roll is not available on 2026-10-19 at 14:00 (Europe/Berlin)',
+      );
+      expect(res.body.error.details).toEqual({
+        productId: roll.id,
+        productName: 'Breakfast Roll',
+        at: MONDAY_1400,
+        timezone: 'Europe/Berlin',
+      });
+      expect(await db.purchases.count()).toBe(0);
+    });
+
+    it('should check added items at the purchase date', async () => {
+      const purchase = await createPurchase(MONDAY_1400, [{ productId: coffee.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: roll.id, quantity: 1 }] })
+        .expect(409);
+
+      expect(res.body.error.code).toBe('PRODUCT_NOT_AVAILABLE');
+    });
+
+    it('should check single purchase items at the purchase date', async () => {
+      const purchase = await createPurchase(MONDAY_1400, [{ productId: coffee.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchase-items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ purchaseId: purchase.body.id, productId: roll.id, quantity: 1 })
+        .expect(409);
+
+      expect(res.body.error.code).toBe('PRODUCT_NOT_AVAILABLE');
+    });
+
+    it('should check replaced items at the new purchase date', async () => {
+      const purchase = await createPurchase(MONDAY_0730, [{ productId: coffee.id, quantity: 1 }]).expect(201);
+
+      await request(app)
+        .put(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: MONDAY_1400, items: [{ productId: roll.id, quantity: 1 }] })
+        .expect(409);
+    });
+
+    it('should not move a purchase to a date its items are not available', async () => {
+      const purchase = await createPurchase(MONDAY_0730, [{ productId: roll.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .put(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: MONDAY_1400 })
+        .expect(409);
+
+      expect(res.body.error.code).toBe('PRODUCT_NOT_AVAILABLE');
+      expect(new Date((await db.purchases.findByPk(purchase.body.id)).date).toISOString()).toBe(MONDAY_0730);
+    });
+
+    it('should not limit products without windows', async () => {
+      await createPurchase(SATURDAY_0800, [{ productId: coffee.id, quantity: 2 }]).expect(201);
+    });
+  });
+});
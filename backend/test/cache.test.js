@@ -15,6 +15,13 @@ jest.mock('../utils/redis', () => {
         mockData.set(key, value);
         return 'OK';
       }),
+      set: jest.fn(async (key, value, ...options) => {
+        if (options.includes('NX') && mockData.has(key)) {
+          return null;
+        }
+        mockData.set(key, value);
+        return 'OK';
+      }),
       del: jest.fn(async (...keys) => {
         let deleted = 0;
         keys.forEach(key => {
@@ -101,6 +108,15 @@ describe('Cache Service', () => {
     });
   });
 
+  describe('setIfAbsent', () => {
+    it('should only set a key that does not exist yet', async () => {
+      expect(await cacheService.setIfAbsent('nx-key', { n: 1 }, 60)).toBe(true);
+      expect(await cacheService.setIfAbsent('nx-key', { n: 2 }, 60)).toBe(false);
+
+      expect(await cacheService.get('nx-key')).toEqual({ n: 1 });
+    });
+  });
+
   describe('delete operations', () => {
     it('should delete single key', async () => {
       await cacheService.set('delete-test', { data: 'test' });
@@ -245,7 +261,7 @@ describe('Cache Integration', () => {
 
   beforeEach(async () => {
     _clearMockData();
-    await db.products.destroy({ where: {}, truncate: true });
+    await db.products.destroy({ where: {}, truncate: true, force: true });
     await db.employees.destroy({ where: {}, truncate: true });
     await db.purchases.destroy({ where: {}, truncate: true });
   });
@@ -432,7 +448,7 @@ describe('Cache Integration', () => {
         userId: 3, // employeeToken's user
         total: 100,
         date: new Date(),
-        closed: false,
+        status: 'open',
       });
 
       // First request - MISS
@@ -467,7 +483,7 @@ describe('Cache Integration', () => {
         userId: 3,
         total: 100,
         date: new Date(),
-        closed: false,
+        status: 'open',
       });
 
       // User 1 request
@@ -489,6 +505,33 @@ describe('Cache Integration', () => {
     });
   });
 
+  describe('Idempotency keys in Redis', () => {
+    it('should replay a retried purchase create from Redis', async () => {
+      const employee = await db.employees.create({
+        name: 'Idempotency Test',
+        employee_number: 'IK001',
+        monthlyConsumptionValue: 5000,
+      });
+
+      const create = () =>
+        request(app)
+          .post(`${API_BASE}/purchases`)
+          .set('Authorization', `Bearer ${employeeToken}`)
+          .set('Idempotency-Key', 'terminal-42')
+          .send({ employeeId: employee.id, date: '2024-06-15T10:00:00Z' })
+          .expect(201);
+
+      const first = await create();
+      const retry = await create();
+
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(await db.purchases.count()).toBe(1);
+      // Stored in Redis, the database fallback is not used
+      expect(await db.idempotencyKeys.count()).toBe(0);
+    });
+  });
+
   describe('Graceful degradation', () => {
     it('should work when Redis is unavailable', async () => {
       // Even with Redis mocked, requests should work
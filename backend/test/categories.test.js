@@ -0,0 +1,428 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Categories and Tags API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let drinks, coffee, snacks;
+
+  const listProducts = (query = '') =>
+    request(app)
+      .get(`${API_BASE}/products${query}`)
+      .set('Authorization', `Bearer ${employeeToken}`);
+
+  const createProduct = body =>
+    request(app)
+      .post(`${API_BASE}/products`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(body);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.productTags.destroy({ where: {} });
+    await db.tags.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.categories.update({ parentId: null }, { where: {} });
+    await db.categories.destroy({ where: {} });
+
+    drinks = await db.categories.create({ name: 'Drinks' });
+    coffee = await db.categories.create({ name: 'Coffee', parentId: drinks.id });
+    snacks = await db.categories.create({ name: 'Snacks' });
+  });
+
+  describe(`GET ${API_BASE}/categories`, () => {
+    it('should list categories in tree order with path and depth', async () => {
+      await db.products.create({ name: 'Espresso', price: 2, categoryId: coffee.id });
+
+      const res = await request(app)
+        .get(`${API_BASE}/categories`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.map(c => c.name)).toEqual(['Drinks', 'Coffee', 'Snacks']);
+      expect(res.body[1]).toMatchObject({
+        parentId: drinks.id,
+        depth: 1,
+        path: ['Drinks', 'Coffee'],
+        productCount: 1,
+      });
+    });
+
+    it('should nest subcategories with tree=true', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/categories?tree=true`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveLength(2);
+      expect(res.body[0].children.map(c => c.name)).toEqual(['Coffee']);
+    });
+
+    it('should return a category with its parent and children', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/categories/${drinks.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.path).toEqual(['Drinks']);
+      expect(res.body.parent).toBeNull();
+      expect(res.body.children.map(c => c.id)).toEqual([coffee.id]);
+    });
+  });
+
+  describe(`POST/PUT/DELETE ${API_BASE}/categories`, () => {
+    it('should create a subcategory', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/categories`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Tea', parentId: drinks.id })
+        .expect(201);
+
+      expect(res.body).toMatchObject({ name: 'Tea', parentId: drinks.id });
+    });
+
+    it('should reject a duplicate name under the same parent', async () => {
+      await request(app)
+        .post(`${API_BASE}/categories`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Snacks' })
+        .expect(409);
+    });
+
+    it('should reject an unknown parent', async () => {
+      await request(app)
+        .post(`${API_BASE}/categories`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Tea', parentId: 99999 })
+        .expect(400);
+    });
+
+    it('should not let employees create categories', async () => {
+      await request(app)
+        .post(`${API_BASE}/categories`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ name: 'Tea' })
+        .expect(403);
+    });
+
+    it('should move a category to another parent', async () => {
+      const res = await request(app)
+        .put(`${API_BASE}/categories/${coffee.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ parentId: snacks.id })
+        .expect(200);
+
+      expect(res.body.parentId).toBe(snacks.id);
+    });
+
+    it('should reject moving a category under its own subcategory', async () => {
+      const res = await request(app)
+        .put(`${API_BASE}/categories/${drinks.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ parentId: coffee.id })
+        .expect(400);
+
+      expect(res.body.error.message).toMatch(/subcategories/);
+    });
+
+    it('should reject moving a category under itself', async () => {
+      await request(app)
+        .put(`${API_BASE}/categories/${drinks.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ parentId: drinks.id })
+        .expect(400);
+    });
+
+    it('should not delete a category with subcategories or products', async () => {
+      await db.products.create({ name: 'Chips', price: 1.5, categoryId: snacks.id });
+
+      const withChildren = await request(app)
+        .delete(`${API_BASE}/categories/${drinks.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+      expect(withChildren.body.error.code).toBe('CATEGORY_NOT_EMPTY');
+      expect(withChildren.body.error.details).toEqual({ subcategories: 1, products: 0 });
+
+      const withProducts = await request(app)
+        .delete(`${API_BASE}/categories/${snacks.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+      expect(withProducts.body.error.details).toEqual({ subcategories: 0, products: 1 });
+    });
+
+    it('should delete an empty category', async () => {
+      await request(app)
+        .delete(`${API_BASE}/categories/${coffee.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await db.categories.findByPk(coffee.id)).toBeNull();
+    });
+  });
+
+  describe('Product category and tags', () => {
+    it('should create a product with a category and tags', async () => {
+      const res = await createProduct({
+        name: 'Oat Latte',
+        price: 3.2,
+        categoryId: coffee.id,
+        tags: ['Vegan', 'hot', 'vegan'],
+      }).expect(201);
+
+      expect(res.body.category).toMatchObject({ id: coffee.id, name: 'Coffee' });
+      expect(res.body.tags.map(t => t.name).sort()).toEqual(['hot', 'vegan']);
+      expect(await db.tags.count()).toBe(2);
+    });
+
+    it('should reject an unknown category', async () => {
+      await createProduct({ name: 'Mystery', price: 1, categoryId: 99999 }).expect(400);
+      expect(await db.products.count()).toBe(0);
+    });
+
+    it('should replace the tags and clear the category on update', async () => {
+      const created = await createProduct({
+        name: 'Oat Latte',
+        price: 3.2,
+        categoryId: coffee.id,
+        tags: ['vegan', 'hot'],
+      }).expect(201);
+
+      const res = await request(app)
+        .patch(`${API_BASE}/products/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ categoryId: null, tags: ['cold'] })
+        .expect(200);
+
+      expect(res.body.categoryId).toBeNull();
+      expect(res.body.tags.map(t => t.name)).toEqual(['cold']);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products filters and facets`, () => {
+    beforeEach(async () => {
+      await createProduct({ name: 'Espresso', price: 2, categoryId: coffee.id, tags: ['hot'] });
+      await createProduct({ name: 'Oat Latte', price: 3.2, categoryId: coffee.id, tags: ['hot', 'vegan'] });
+      await createProduct({ name: 'Lemonade', price: 2.5, categoryId: drinks.id, tags: ['vegan', 'cold'] });
+      await createProduct({ name: 'Chips', price: 1.5, categoryId: snacks.id, tags: ['vegan'] });
+      await createProduct({ name: 'Mystery Box', price: 5 });
+    });
+
+    it('should include products of subcategories in the category filter', async () => {
+      const res = await listProducts(`?category=${drinks.id}&sort=name`).expect(200);
+
+      expect(res.body.data.map(p => p.name)).toEqual(['Espresso', 'Lemonade', 'Oat Latte']);
+      expect(res.body.meta.total).toBe(3);
+    });
+
+    it('should require all tags in the tag filter', async () => {
+      const res = await listProducts('?tag=vegan,HOT').expect(200);
+
+      expect(res.body.data.map(p => p.name)).toEqual(['Oat Latte']);
+    });
+
+    it('should return nothing for an unknown tag', async () => {
+      const res = await listProducts('?tag=vegan,unknown').expect(200);
+
+      expect(res.body.data).toEqual([]);
+      expect(res.body.meta.total).toBe(0);
+    });
+
+    it('should reject an invalid category', async () => {
+      await listProducts('?category=abc').expect(400);
+    });
+
+    it('should return facet counts over the filtered products', async () => {
+      const res = await listProducts('?tag=vegan&facets=true&limit=1').expect(200);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.facets.categories).toEqual([
+        { id: coffee.id, name: 'Coffee', path: ['Drinks', 'Coffee'], count: 1 },
+        { id: drinks.id, name: 'Drinks', path: ['Drinks'], count: 1 },
+        { id: snacks.id, name: 'Snacks', path: ['Snacks'], count: 1 },
+      ]);
+      expect(res.body.facets.tags.map(t => [t.name, t.count])).toEqual([
+        ['vegan', 3],
+        ['cold', 1],
+        ['hot', 1],
+      ]);
+    });
+
+    it('should count uncategorized products under a null category', async () => {
+      const res = await listProducts('?facets=true').expect(200);
+
+      expect(res.body.facets.categories).toContainEqual({ id: null, name: null, path: [], count: 1 });
+    });
+
+    it('should leave facets out unless requested', async () => {
+      const res = await listProducts().expect(200);
+
+      expect(res.body.facets).toBeUndefined();
+      expect(res.body.data[0]).toHaveProperty('tags');
+    });
+  });
+
+  describe('Category sales breakdowns', () => {
+    let espresso, latte, chips;
+
+    beforeEach(async () => {
+      espresso = await db.products.create({ name: 'Espresso', price: 2, categoryId: coffee.id });
+      latte = await db.products.create({ name: 'Latte', price: 3, categoryId: coffee.id });
+      chips = await db.products.create({ name: 'Chips', price: 1.5, categoryId: snacks.id });
+
+      const employee = await db.employees.create({
+        name: 'Test Employee',
+        employee_number: `TEST${Date.now()}`,
+        monthlyConsumptionValue: 1000,
+      });
+      const purchase = await db.purchases.create({ date: new Date(), employeeId: employee.id, total: 0 });
+
+      await db.purchaseItems.bulkCreate([
+        { purchaseId: purchase.id, productId: espresso.id, quantity: 1, unitPrice: 2 },
+        { purchaseId: purchase.id, productId: latte.id, quantity: 2, unitPrice: 3 },
+        { purchaseId: purchase.id, productId: latte.id, quantity: 1, unitPrice: 3 },
+        { purchaseId: purchase.id, productId: chips.id, quantity: 2, unitPrice: 1.5 },
+      ]);
+    });
+
+    it('should rank categories with by=category', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/products/popular?by=category`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body[0]).toEqual({
+        categoryId: coffee.id,
+        categoryName: 'Coffee',
+        path: ['Drinks', 'Coffee'],
+        orderCount: 3,
+        totalQuantity: 4,
+        totalRevenue: 11,
+      });
+      expect(res.body[1]).toMatchObject({ categoryId: snacks.id, orderCount: 1, totalRevenue: 3 });
+    });
+
+    it('should include the category on popular products', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/products/popular`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body[0].name).toBe('Latte');
+      expect(res.body[0].category).toMatchObject({ id: coffee.id, name: 'Coffee' });
+    });
+
+    it('should reject an unknown breakdown', async () => {
+      await request(app)
+        .get(`${API_BASE}/products/popular?by=tag`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+    });
+
+    it('should add category stats to the product stats', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/products/${espresso.id}/stats`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body.categoryStats).toEqual({
+        categoryId: coffee.id,
+        categoryName: 'Coffee',
+        path: ['Drinks', 'Coffee'],
+        productCount: 2,
+        totalQuantitySold: 4,
+        totalRevenue: 11,
+        revenueShare: 0.1818,
+        rank: 2,
+      });
+    });
+
+    it('should return null category stats for an uncategorized product', async () => {
+      const other = await db.products.create({ name: 'Mystery Box', price: 5 });
+
+      const res = await request(app)
+        .get(`${API_BASE}/products/${other.id}/stats`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body.categoryStats).toBeNull();
+    });
+  });
+
+  describe(`${API_BASE}/tags`, () => {
+    it('should list tags with their product counts', async () => {
+      await createProduct({ name: 'Chips', price: 1.5, tags: ['vegan', 'salty'] });
+
+      const res = await request(app)
+        .get(`${API_BASE}/tags`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.map(t => [t.name, t.productCount])).toEqual([
+        ['salty', 1],
+        ['vegan', 1],
+      ]);
+    });
+
+    it('should create tags lowercase and reject duplicates', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/tags`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: ' Spicy ' })
+        .expect(201);
+      expect(res.body.name).toBe('spicy');
+
+      await request(app)
+        .post(`${API_BASE}/tags`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'SPICY' })
+        .expect(409);
+    });
+
+    it('should rename a tag', async () => {
+      const tag = await db.tags.create({ name: 'veggie' });
+
+      const res = await request(app)
+        .put(`${API_BASE}/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'vegetarian' })
+        .expect(200);
+
+      expect(res.body.name).toBe('vegetarian');
+    });
+
+    it('should delete a tag and untag its products', async () => {
+      const product = await createProduct({ name: 'Chips', price: 1.5, tags: ['salty'] }).expect(201);
+      const tag = await db.tags.findOne({ where: { name: 'salty' } });
+
+      await request(app)
+        .delete(`${API_BASE}/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await db.productTags.count({ where: { productId: product.body.id } })).toBe(0);
+    });
+
+    it('should not let employees change tags', async () => {
+      await request(app)
+        .post(`${API_BASE}/tags`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ name: 'spicy' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product Dietary Information API', () => {
+  const API_BASE = '/api/v1';
+  let managerToken, employeeToken;
+
+  const listProducts = (query = '') =>
+    request(app)
+      .get(`${API_BASE}/products${query}`)
+      .set('Authorization', `Bearer ${employeeToken}`);
+
+  const createProduct = body =>
+    request(app)
+      .post(`${API_BASE}/products`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(body);
+
+  const names = res => res.body.data.map(p => p.name);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.productTags.destroy({ where: {} });
+    await db.tags.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+  });
+
+  describe('Product fields', () => {
+    it('should create a product with allergens, labels and nutrition', async () => {
+      const res = await createProduct({
+        name: 'Lentil Curry',
+        price: 6.5,
+        allergens: ['celery', 'mustard'],
+        dietaryLabels: ['vegan', 'halal'],
+        calories: 520,
+        protein: 21.5,
+        carbohydrates: 68,
+        fat: 14.2,
+      }).expect(201);
+
+      expect(res.body).toMatchObject({
+        allergens: ['celery', 'mustard'],
+        dietaryLabels: ['vegan', 'halal'],
+        calories: 520,
+      });
+      expect(Number(res.body.protein)).toBe(21.5);
+      expect(Number(res.body.fat)).toBe(14.2);
+    });
+
+    it('should leave allergens undeclared by default', async () => {
+      const created = await createProduct({ name: 'Soup of the Day', price: 4 }).expect(201);
+
+      const res = await request(app)
+        .get(`${API_BASE}/products/${created.body.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.allergens).toBeNull();
+      expect(res.body.dietaryLabels).toEqual([]);
+      expect(res.body.calories).toBeNull();
+    });
+
+    it('should reject unknown codes and negative nutrition values', async () => {
+      await createProduct({ name: 'Pie', price: 4, allergens: ['chocolate'] }).expect(400);
+      await createProduct({ name: 'Pie', price: 4, allergens: ['milk', 'milk'] }).expect(400);
+      await createProduct({ name: 'Pie', price: 4, dietaryLabels: ['kosher'] }).expect(400);
+      await createProduct({ name: 'Pie', price: 4, calories: -1 }).expect(400);
+      await createProduct({ name: 'Pie', price: 4, fat: -0.5 }).expect(400);
+    });
+
+    it('should reject labels contradicted by the allergens', async () => {
+      const res = await createProduct({
+        name: 'Cheese Pizza',
+        price: 8,
+        allergens: ['gluten', 'milk'],
+        dietaryLabels: ['vegan'],
+      }).expect(400);
+      expect(res.body.error.message).toContain('milk');
+
+      const pizza = await createProduct({
+        name: 'Cheese Pizza',
+        price: 8,
+        allergens: ['gluten', 'milk'],
+        dietaryLabels: ['vegetarian'],
+      }).expect(201);
+
+      // Checked against the stored allergens too
+      await request(app)
+        .patch(`${API_BASE}/products/${pizza.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ dietaryLabels: ['vegan'] })
+        .expect(400);
+    });
+
+    it('should update and clear the dietary information', async () => {
+      const created = await createProduct({
+        name: 'Falafel Wrap',
+        price: 5.5,
+        allergens: ['gluten', 'sesame'],
+        calories: 610,
+      }).expect(201);
+
+      const res = await request(app)
+        .patch(`${API_BASE}/products/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ allergens: null, dietaryLabels: ['vegan'], calories: null })
+        .expect(200);
+
+      expect(res.body.allergens).toBeNull();
+      expect(res.body.dietaryLabels).toEqual(['vegan']);
+      expect(res.body.calories).toBeNull();
+    });
+  });
+
+  describe(`GET ${API_BASE}/products dietary filters`, () => {
+    beforeEach(async () => {
+      await createProduct({ name: 'Apple', price: 1, allergens: [], dietaryLabels: ['vegan'], tags: ['fruit'] });
+      await createProduct({ name: 'Bagel', price: 2, allergens: ['gluten', 'sesame'], dietaryLabels: ['vegan'] });
+      await createProduct({ name: 'Cheesecake', price: 3, allergens: ['gluten', 'milk', 'eggs'], dietaryLabels: ['vegetarian'] });
+      await createProduct({ name: 'Lamb Kebab', price: 7, allergens: ['gluten'], dietaryLabels: ['halal'] });
+      await createProduct({ name: 'Nut Mix', price: 2.5, allergens: ['nuts', 'peanuts'], dietaryLabels: ['vegan'], tags: ['snack'] });
+      await createProduct({ name: 'Daily Special', price: 6 });
+    });
+
+    it('should leave out products with excluded or undeclared allergens', async () => {
+      const res = await listProducts('?excludeAllergens=gluten,nuts&sort=name').expect(200);
+
+      expect(names(res)).toEqual(['Apple']);
+      expect(res.body.meta.total).toBe(1);
+    });
+
+    it('should require all requested dietary labels', async () => {
+      const res = await listProducts('?diet=vegan&sort=name').expect(200);
+
+      expect(names(res)).toEqual(['Apple', 'Bagel', 'Nut Mix']);
+    });
+
+    it('should count vegan products as vegetarian', async () => {
+      const res = await listProducts('?diet=vegetarian&sort=name').expect(200);
+
+      expect(names(res)).toEqual(['Apple', 'Bagel', 'Cheesecake', 'Nut Mix']);
+    });
+
+    it('should combine the dietary filters with the tag filter', async () => {
+      const res = await listProducts('?excludeAllergens=GLUTEN&diet=vegan&tag=snack').expect(200);
+
+      expect(names(res)).toEqual(['Nut Mix']);
+    });
+
+    it('should reject unknown allergens and labels', async () => {
+      const res = await listProducts('?excludeAllergens=gluten,chocolate').expect(400);
+      expect(res.body.error.message).toContain('chocolate');
+
+      await listProducts('?diet=kosher').expect(400);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Employee Dietary Profiles API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, employeeToken;
+  let alice, bob, pizza, salad, soup;
+
+  const createPurchase = (employee, items) =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ employeeId: employee.id, date: new Date().toISOString(), items });
+
+  const setProfile = (employee, body, token = adminToken) =>
+    request(app)
+      .put(`${API_BASE}/employees/${employee.id}/dietary-profile`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {}, force: true });
+
+    // Alice is allergic to milk and vegetarian; Bob has no profile
+    alice = await db.employees.create({
+      name: 'Alice',
+      employee_number: 'DIET-001',
+      monthlyConsumptionValue: 1000,
+      userId: 3,
+      allergies: ['milk'],
+      dietaryRestrictions: ['vegetarian'],
+    });
+    bob = await db.employees.create({
+      name: 'Bob',
+      employee_number: 'DIET-002',
+      monthlyConsumptionValue: 1000,
+    });
+
+    pizza = await db.products.create({
+      name: 'Cheese Pizza',
+      price: 8,
+      allergens: ['gluten', 'milk'],
+      dietaryLabels: ['vegetarian'],
+    });
+    salad = await db.products.create({
+      name: 'Green Salad',
+      price: 5,
+      allergens: [],
+      dietaryLabels: ['vegan'],
+    });
+    soup = await db.products.create({ name: 'Chicken Soup', price: 4 });
+  });
+
+  describe(`${API_BASE}/employees/:id/dietary-profile`, () => {
+    it('should let employees read and update their own profile', async () => {
+      const res = await setProfile(
+        alice,
+        { allergies: ['peanuts', 'nuts'], dietaryConflictPolicy: 'block' },
+        employeeToken,
+      ).expect(200);
+
+      expect(res.body).toEqual({
+        employeeId: alice.id,
+        allergies: ['peanuts', 'nuts'],
+        dietaryRestrictions: ['vegetarian'],
+        dietaryConflictPolicy: 'block',
+      });
+
+      const profile = await request(app)
+        .get(`${API_BASE}/employees/${alice.id}/dietary-profile`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(profile.body.allergies).toEqual(['peanuts', 'nuts']);
+    });
+
+    it('should not let employees change someone else\'s profile', async () => {
+      await setProfile(bob, { allergies: ['milk'] }, employeeToken).expect(403);
+    });
+
+    it('should reject unknown codes and policies', async () => {
+      await setProfile(alice, { allergies: ['chocolate'] }).expect(400);
+      await setProfile(alice, { allergies: null }).expect(400);
+      await setProfile(alice, { dietaryRestrictions: ['kosher'] }).expect(400);
+      await setProfile(alice, { dietaryConflictPolicy: 'ignore' }).expect(400);
+      await setProfile(alice, {}).expect(400);
+    });
+
+    it('should default to an empty profile that warns', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/employees/${bob.id}/dietary-profile`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body).toMatchObject({ allergies: [], dietaryRestrictions: [], dietaryConflictPolicy: 'warn' });
+    });
+  });
+
+  describe('Checkout warnings', () => {
+    it('should return structured warnings with the purchase', async () => {
+      const res = await createPurchase(alice, [
+        { productId: pizza.id },
+        { productId: salad.id },
+        { productId: soup.id },
+      ]).expect(201);
+
+      expect(res.body.dietaryWarnings).toEqual([
+        {
+          productId: pizza.id,
+          productName: 'Cheese Pizza',
+          type: 'allergen',
+          allergens: ['milk'],
+          message: 'Cheese Pizza contains milk',
+          blocking: false,
+        },
+        expect.objectContaining({ productId: soup.id, type: 'undeclared', blocking: false }),
+        expect.objectContaining({ productId: soup.id, type: 'diet', labels: ['vegetarian'] }),
+      ]);
+    });
+
+    it('should leave warnings out when nothing conflicts', async () => {
+      const res = await createPurchase(bob, [{ productId: pizza.id }]).expect(201);
+
+      expect(res.body.dietaryWarnings).toBeUndefined();
+    });
+
+    it('should block conflicting items under the block policy', async () => {
+      await alice.update({ dietaryConflictPolicy: 'block' });
+
+      const res = await createPurchase(alice, [{ productId: pizza.id }, { productId: salad.id }]).expect(422);
+
+      expect(res.body.error.code).toBe('DIETARY_CONFLICT');
+      expect(res.body.error.details.conflicts).toEqual([
+        expect.objectContaining({ productId: pizza.id, type: 'allergen', blocking: true }),
+      ]);
+      expect(await db.purchases.count()).toBe(0);
+    });
+
+    it('should not block products without declared allergens', async () => {
+      await alice.update({ dietaryConflictPolicy: 'block', dietaryRestrictions: [] });
+
+      const res = await createPurchase(alice, [{ productId: soup.id }]).expect(201);
+
+      expect(res.body.dietaryWarnings).toEqual([
+        expect.objectContaining({ productId: soup.id, type: 'undeclared', blocking: false }),
+      ]);
+    });
+
+    it('should check items added to a purchase', async () => {
+      const purchase = await createPurchase(alice, [{ productId: salad.id }]).expect(201);
+      expect(purchase.body.dietaryWarnings).toBeUndefined();
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: pizza.id }] })
+        .expect(200);
+      expect(res.body.dietaryWarnings).toEqual([
+        expect.objectContaining({ productId: pizza.id, type: 'allergen' }),
+      ]);
+
+      await alice.update({ dietaryConflictPolicy: 'block' });
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: pizza.id }] })
+        .expect(422);
+    });
+
+    it('should include the warnings in the basket preview', async () => {
+      await alice.update({ dietaryConflictPolicy: 'block' });
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/preview`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: alice.id, items: [{ productId: pizza.id }] })
+        .expect(200);
+
+      expect(Number(res.body.total)).toBe(8);
+      expect(res.body.dietaryWarnings).toEqual([
+        expect.objectContaining({ productId: pizza.id, type: 'allergen', blocking: true }),
+      ]);
+    });
+  });
+});
@@ -332,6 +332,53 @@ describe('Employees API', () => {
       expect(res.body).toHaveProperty('name', 'Test Employee');
       expect(res.body.monthlyConsumptionValue).toBe(500);
     });
+
+    it('should honor If-Match with the ETag from GET', async () => {
+      const employee = await db.employees.create({
+        name: 'Versioned Employee',
+        employee_number: 'EMP410',
+        monthlyConsumptionValue: 100,
+      });
+
+      const read = await request(app)
+        .get(`${API_BASE}/employees/${employee.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(read.headers.etag).toBe(`"${employee.version}"`);
+
+      const res = await request(app)
+        .put(`${API_BASE}/employees/${employee.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', read.headers.etag)
+        .send({ monthlyConsumptionValue: 150 })
+        .expect(200);
+
+      expect(res.headers.etag).toBe(`"${employee.version + 1}"`);
+    });
+
+    it('should return 412 for a stale If-Match', async () => {
+      const employee = await db.employees.create({
+        name: 'Versioned Employee',
+        employee_number: 'EMP411',
+        monthlyConsumptionValue: 100,
+      });
+
+      await employee.update({ monthlyConsumptionValue: 120 });
+
+      const res = await request(app)
+        .patch(`${API_BASE}/employees/${employee.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', `"${employee.version - 1}"`)
+        .send({ monthlyConsumptionValue: 300 })
+        .expect(412);
+
+      expect(res.body.error).toHaveProperty('code', 'PRECONDITION_FAILED');
+      expect(res.body.error.details.currentVersion).toBe(employee.version);
+
+      await employee.reload();
+      expect(employee.monthlyConsumptionValue).toBe(120);
+    });
   });
 
   describe(`DELETE ${API_BASE}/employees/:id`, () => {
@@ -393,6 +440,162 @@ describe('Employees API', () => {
     });
   });
 
+  describe(`GET ${API_BASE}/employees/:id/balance`, () => {
+    it('should return the monthly allowance balance', async () => {
+      const employee = await db.employees.create({
+        name: 'Balance Employee',
+        employee_number: `BAL${Date.now()}`,
+        monthlyConsumptionValue: 500,
+      });
+      const product = await db.products.create({ name: 'Balance Product', price: 120 });
+      const purchase = await db.purchases.create({
+        employeeId: employee.id,
+        date: new Date(),
+        status: 'open',
+      });
+      await db.purchaseItems.create({
+        purchaseId: purchase.id,
+        productId: product.id,
+        quantity: 2,
+      });
+
+      const res = await request(app)
+        .get(`${API_BASE}/employees/${employee.id}/balance`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body).toMatchObject({
+        employeeId: employee.id,
+        allowance: 500,
+        spent: 240,
+        remaining: 260,
+      });
+      expect(res.body).toHaveProperty('policy');
+      expect(res.body).toHaveProperty('available');
+      expect(res.body.period).toHaveProperty('from');
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      const employee = await db.employees.create({
+        name: 'Balance Employee',
+        employee_number: `BAL${Date.now()}`,
+        monthlyConsumptionValue: 500,
+      });
+
+      await request(app)
+        .get(`${API_BASE}/employees/${employee.id}/balance?date=not-a-date`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should return 404 for non-existent employee', async () => {
+      await request(app)
+        .get(`${API_BASE}/employees/99999/balance`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe(`PUT/DELETE ${API_BASE}/employees/:id/user`, () => {
+    beforeEach(async () => {
+      // Soft-deleted employees keep their link, so remove them for good
+      await db.employees.destroy({ where: {}, force: true });
+    });
+
+    const createEmployee = (suffix = '') =>
+      db.employees.create({
+        name: `Linked Employee${suffix}`,
+        employee_number: `LNK${Date.now()}${suffix}`,
+        monthlyConsumptionValue: 500,
+      });
+
+    it('should link an employee to a user', async () => {
+      const employee = await createEmployee();
+
+      const res = await request(app)
+        .put(`${API_BASE}/employees/${employee.id}/user`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: 3 })
+        .expect(200);
+
+      expect(res.body).toHaveProperty('userId', 3);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const employee = await createEmployee();
+
+      await request(app)
+        .put(`${API_BASE}/employees/${employee.id}/user`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ userId: 3 })
+        .expect(403);
+    });
+
+    it('should return 404 for a non-existent user', async () => {
+      const employee = await createEmployee();
+
+      await request(app)
+        .put(`${API_BASE}/employees/${employee.id}/user`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: 99999 })
+        .expect(404);
+    });
+
+    it('should return 409 when the user is linked to another employee', async () => {
+      const first = await createEmployee('A');
+      const second = await createEmployee('B');
+      await first.update({ userId: 3 });
+
+      const res = await request(app)
+        .put(`${API_BASE}/employees/${second.id}/user`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: 3 })
+        .expect(409);
+
+      expect(res.body).toHaveProperty('success', false);
+    });
+
+    it('should unlink an employee', async () => {
+      const employee = await createEmployee();
+      await employee.update({ userId: 3 });
+
+      const res = await request(app)
+        .delete(`${API_BASE}/employees/${employee.id}/user`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.userId).toBeNull();
+    });
+
+    it('should return 400 when unlinking an employee that is not linked', async () => {
+      const employee = await createEmployee();
+
+      await request(app)
+        .delete(`${API_BASE}/employees/${employee.id}/user`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should let a linked user read their own balance', async () => {
+      const own = await createEmployee('A');
+      const other = await createEmployee('B');
+      await own.update({ userId: 3 });
+
+      await request(app)
+        .get(`${API_BASE}/employees/${own.id}/balance`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`${API_BASE}/employees/${other.id}/balance`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+
   describe('Business Logic', () => {
     it('should handle zero consumption value', async () => {
       const res = await request(app)
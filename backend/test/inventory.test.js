@@ -0,0 +1,306 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Inventory API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let employee, sandwich, coffee;
+
+  const recordMovement = (product, body, token = managerToken) =>
+    request(app)
+      .post(`${API_BASE}/products/${product.id}/stock-movements`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const createPurchase = (items, status = 'open') =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date: new Date().toISOString(), employeeId: employee.id, status, items });
+
+  const changeStatus = (purchaseId, action, reason) =>
+    request(app)
+      .post(`${API_BASE}/purchases/${purchaseId}/${action}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(reason ? { reason } : {});
+
+  const stockOf = async product => (await db.products.findByPk(product.id)).stockQuantity;
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.stockMovements.destroy({ where: {} });
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {} });
+
+    employee = await db.employees.create({
+      name: 'Test Employee',
+      employee_number: `TEST${Date.now()}`,
+      monthlyConsumptionValue: 1000,
+    });
+    sandwich = await db.products.create({
+      name: 'Sandwich',
+      price: 4.5,
+      trackStock: true,
+      stockQuantity: 5,
+      lowStockThreshold: 2,
+    });
+    coffee = await db.products.create({ name: 'Coffee', price: 2 });
+  });
+
+  describe(`POST ${API_BASE}/products/:id/stock-movements`, () => {
+    it('should record a receipt and update the stock', async () => {
+      const res = await recordMovement(sandwich, { type: 'receipt', quantity: 10, reason: 'Delivery #1042' })
+        .expect(201);
+
+      expect(res.body).toMatchObject({
+        productId: sandwich.id,
+        type: 'receipt',
+        quantity: 10,
+        balanceAfter: 15,
+        userId: 2,
+        reason: 'Delivery #1042',
+      });
+      expect(await stockOf(sandwich)).toBe(15);
+    });
+
+    it('should record waste as a negative movement', async () => {
+      const res = await recordMovement(sandwich, { type: 'waste', quantity: 2 }).expect(201);
+
+      expect(res.body).toMatchObject({ quantity: -2, balanceAfter: 3 });
+    });
+
+    it('should record a signed adjustment', async () => {
+      await recordMovement(sandwich, { type: 'adjustment', quantity: -4 }).expect(201);
+
+      expect(await stockOf(sandwich)).toBe(1);
+    });
+
+    it('should not take the stock below zero', async () => {
+      const res = await recordMovement(sandwich, { type: 'waste', quantity: 6 }).expect(409);
+
+      expect(res.body.error.code).toBe('OUT_OF_STOCK');
+      expect(await stockOf(sandwich)).toBe(5);
+      expect(await db.stockMovements.count()).toBe(0);
+    });
+
+    it('should reject sales and zero adjustments', async () => {
+      await recordMovement(sandwich, { type: 'sale', quantity: 1 }).expect(400);
+      await recordMovement(sandwich, { type: 'adjustment', quantity: 0 }).expect(400);
+      await recordMovement(sandwich, { type: 'receipt', quantity: -1 }).expect(400);
+    });
+
+    it('should not be available to employees', async () => {
+      await recordMovement(sandwich, { type: 'receipt', quantity: 1 }, employeeToken).expect(403);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      await recordMovement({ id: 999999 }, { type: 'receipt', quantity: 1 }).expect(404);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/:id/stock-movements`, () => {
+    it('should list the ledger newest first', async () => {
+      await recordMovement(sandwich, { type: 'receipt', quantity: 10 }).expect(201);
+      await recordMovement(sandwich, { type: 'waste', quantity: 1 }).expect(201);
+
+      const res = await request(app)
+        .get(`${API_BASE}/products/${sandwich.id}/stock-movements`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body.data.map(m => m.type)).toEqual(['waste', 'receipt']);
+      expect(res.body.data[0].user).toMatchObject({ id: 2 });
+    });
+  });
+
+  it('should not change the stock through a product update', async () => {
+    await request(app)
+      .put(`${API_BASE}/products/${sandwich.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stockQuantity: 100 })
+      .expect(400);
+  });
+
+  describe('Purchases', () => {
+    it('should reject items for an out-of-stock tracked product', async () => {
+      const res = await createPurchase([{ productId: sandwich.id, quantity: 6 }]).expect(409);
+
+      expect(res.body.error).toMatchObject({
+        code: 'OUT_OF_STOCK',
+        details: { productId: sandwich.id, requested: 6, available: 5 },
+      });
+    });
+
+    it('should not limit products without stock tracking', async () => {
+      await createPurchase([{ productId: coffee.id, quantity: 50 }]).expect(201);
+    });
+
+    it('should reject adding out-of-stock items to a purchase', async () => {
+      const { body: purchase } = await createPurchase([]).expect(201);
+
+      await request(app)
+        .post(`${API_BASE}/purchase-items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ purchaseId: purchase.id, productId: sandwich.id, quantity: 6 })
+        .expect(409);
+    });
+
+    it('should deduct the stock when a purchase is closed', async () => {
+      const { body: purchase } = await createPurchase([
+        { productId: sandwich.id, quantity: 2 },
+        { productId: coffee.id, quantity: 1 },
+      ]).expect(201);
+
+      expect(await stockOf(sandwich)).toBe(5);
+
+      await changeStatus(purchase.id, 'close').expect(200);
+
+      expect(await stockOf(sandwich)).toBe(3);
+      const movements = await db.stockMovements.findAll();
+      expect(movements).toHaveLength(1);
+      expect(movements[0]).toMatchObject({
+        productId: sandwich.id,
+        type: 'sale',
+        quantity: -2,
+        balanceAfter: 3,
+        purchaseId: purchase.id,
+      });
+    });
+
+    it('should not fail an open product edit when stock moves', async () => {
+      const read = await request(app)
+        .get(`${API_BASE}/products/${sandwich.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await createPurchase([{ productId: sandwich.id, quantity: 1 }], 'closed').expect(201);
+      await recordMovement(sandwich, { type: 'receipt', quantity: 4 }).expect(201);
+
+      await request(app)
+        .put(`${API_BASE}/products/${sandwich.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', read.headers.etag)
+        .send({ name: 'Club sandwich' })
+        .expect(200);
+      expect(await stockOf(sandwich)).toBe(8);
+    });
+
+    it('should deduct the stock of a purchase created as closed', async () => {
+      await createPurchase([{ productId: sandwich.id, quantity: 1 }], 'closed').expect(201);
+
+      expect(await stockOf(sandwich)).toBe(4);
+    });
+
+    it('should reject closing when the stock ran out in the meantime', async () => {
+      const { body: purchase } = await createPurchase([{ productId: sandwich.id, quantity: 4 }]).expect(201);
+      await recordMovement(sandwich, { type: 'waste', quantity: 3 }).expect(201);
+
+      const res = await changeStatus(purchase.id, 'close').expect(409);
+
+      expect(res.body.error.code).toBe('OUT_OF_STOCK');
+      expect((await db.purchases.findByPk(purchase.id)).status).toBe('open');
+      expect(await stockOf(sandwich)).toBe(2);
+    });
+
+    it('should return the stock when a closed purchase is voided', async () => {
+      const { body: purchase } = await createPurchase([{ productId: sandwich.id, quantity: 2 }], 'closed')
+        .expect(201);
+
+      await changeStatus(purchase.id, 'void', 'Charged to the wrong employee').expect(200);
+
+      expect(await stockOf(sandwich)).toBe(5);
+    });
+
+    it('should return the stock on reopen and deduct it again on close', async () => {
+      const { body: purchase } = await createPurchase([{ productId: sandwich.id, quantity: 2 }], 'closed')
+        .expect(201);
+
+      await changeStatus(purchase.id, 'reopen', 'Wrong quantity').expect(200);
+      expect(await stockOf(sandwich)).toBe(5);
+
+      await changeStatus(purchase.id, 'close').expect(200);
+      expect(await stockOf(sandwich)).toBe(3);
+    });
+
+    it('should not return stock when an open purchase is voided', async () => {
+      const { body: purchase } = await createPurchase([{ productId: sandwich.id, quantity: 2 }]).expect(201);
+
+      await changeStatus(purchase.id, 'void', 'Never picked up').expect(200);
+
+      expect(await stockOf(sandwich)).toBe(5);
+      expect(await db.stockMovements.count()).toBe(0);
+    });
+
+    it('should return refunded items and keep the rest sold', async () => {
+      const { body: purchase } = await createPurchase([{ productId: sandwich.id, quantity: 3 }], 'closed')
+        .expect(201);
+      const [line] = purchase.purchaseItems;
+
+      const { body: refund } = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/refunds`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Sandwich was spoiled', items: [{ purchaseItemId: line.id, quantity: 1 }] })
+        .expect(201);
+
+      expect(await stockOf(sandwich)).toBe(3);
+      const returned = await db.stockMovements.findOne({ where: { refundId: refund.id } });
+      expect(returned).toMatchObject({ type: 'sale', quantity: 1, purchaseId: purchase.id });
+
+      // A refunded purchase cannot be voided, so the rest stays sold
+      await changeStatus(purchase.id, 'void', 'Charged to the wrong employee').expect(409);
+
+      expect(await stockOf(sandwich)).toBe(3);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/low-stock`, () => {
+    it('should list tracked products at or below their threshold', async () => {
+      const tea = await db.products.create({
+        name: 'Tea',
+        price: 1.5,
+        trackStock: true,
+        stockQuantity: 0,
+        lowStockThreshold: 0,
+      });
+      await db.products.create({ name: 'Soup', price: 3, trackStock: true, stockQuantity: 10, lowStockThreshold: 2 });
+
+      const before = await request(app)
+        .get(`${API_BASE}/products/low-stock`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(before.body.map(p => p.id)).toEqual([tea.id]);
+
+      await recordMovement(sandwich, { type: 'waste', quantity: 3 }).expect(201);
+
+      const after = await request(app)
+        .get(`${API_BASE}/products/low-stock`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(after.body.map(p => p.id)).toEqual([tea.id, sandwich.id]);
+    });
+
+    it('should not be available to employees', async () => {
+      await request(app)
+        .get(`${API_BASE}/products/low-stock`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(403);
+    });
+  });
+});
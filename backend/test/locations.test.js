@@ -0,0 +1,235 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Locations', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let employee, lasagna, salad, north, south;
+
+  const send = (method, path, body, token = adminToken) =>
+    request(app)[method](`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const get = (path, token = adminToken) =>
+    request(app)
+      .get(`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const buy = (locationId, items, token = adminToken) =>
+    send('post', '/purchases', {
+      employeeId: employee.id,
+      date: new Date().toISOString(),
+      status: 'closed',
+      locationId,
+      items,
+    }, token);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.idempotencyKeys.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.locationProducts.destroy({ where: {} });
+    await db.userLocations.destroy({ where: {} });
+    await db.locations.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Hungry Worker',
+      employee_number: 'LOC-001',
+      monthlyConsumptionValue: 100,
+      badgeNumber: '04A2249AC31F81',
+    });
+    lasagna = await db.products.create({ name: 'Lasagna', price: 4.5 });
+    salad = await db.products.create({ name: 'Salad', price: 3 });
+    north = await db.locations.create({ name: 'North canteen', building: 'Building A' });
+    south = await db.locations.create({ name: 'South canteen', building: 'Building B' });
+  });
+
+  describe('CRUD', () => {
+    it('should create, rename and list locations with their users', async () => {
+      const created = await send('post', '/locations', { name: 'Rooftop bar' }).expect(201);
+      expect(created.body).toMatchObject({ name: 'Rooftop bar', building: null });
+
+      await send('put', `/locations/${created.body.id}`, { building: 'Building C' }).expect(200);
+      await send('put', `/locations/${created.body.id}/users`, { userIds: [2, 2] }).expect(200);
+
+      const res = await get('/locations').expect(200);
+      expect(res.body.map(location => location.name)).toEqual(['North canteen', 'Rooftop bar', 'South canteen']);
+      expect(res.body[1]).toMatchObject({
+        building: 'Building C',
+        users: [expect.objectContaining({ id: 2, role: 'manager' })],
+      });
+
+      // An assigned manager only sees their own locations
+      const scoped = await get('/locations', managerToken).expect(200);
+      expect(scoped.body.map(location => location.name)).toEqual(['Rooftop bar']);
+    });
+
+    it('should reject a duplicate name with 409', async () => {
+      const res = await send('post', '/locations', { name: 'North canteen' }).expect(409);
+
+      expect(res.body.error.message).toBe('Location with name North canteen already exists');
+    });
+
+    it('should reject unknown users with 400', async () => {
+      const res = await send('put', `/locations/${north.id}/users`, { userIds: [2, 999] }).expect(400);
+
+      expect(res.body.error.message).toBe('Users not found: 999');
+    });
+
+    it('should only let admins manage locations', async () => {
+      await send('post', '/locations', { name: 'Kiosk' }, managerToken).expect(403);
+      await get('/locations', employeeToken).expect(403);
+    });
+
+    it('should refuse to delete a location with purchases', async () => {
+      await buy(north.id, [{ productId: salad.id, quantity: 1 }]).expect(201);
+
+      const res = await send('delete', `/locations/${north.id}`).expect(409);
+      expect(res.body.error.code).toBe('LOCATION_IN_USE');
+      expect(res.body.error.details).toEqual({ purchases: 1 });
+
+      await send('put', `/locations/${south.id}/products/${salad.id}`, { available: false }).expect(200);
+      await send('delete', `/locations/${south.id}`).expect(200);
+      expect(await db.locationProducts.count()).toBe(0);
+    });
+  });
+
+  describe('Menus and prices', () => {
+    it('should price purchases at the location price', async () => {
+      const override = await send('put', `/locations/${north.id}/products/${lasagna.id}`, { price: 4.2 }).expect(200);
+      expect(override.body).toMatchObject({ productId: lasagna.id, available: true, price: 4.2 });
+
+      const atNorth = await buy(north.id, [{ productId: lasagna.id, quantity: 2 }]).expect(201);
+      const atSouth = await buy(south.id, [{ productId: lasagna.id, quantity: 2 }]).expect(201);
+
+      expect(parseFloat(atNorth.body.total)).toBe(8.4);
+      expect(atNorth.body.location).toEqual({ id: north.id, name: 'North canteen' });
+      expect(parseFloat(atSouth.body.total)).toBe(9);
+    });
+
+    it('should reject products a location does not sell', async () => {
+      await send('put', `/locations/${south.id}/products/${salad.id}`, { available: false }).expect(200);
+
+      const res = await buy(south.id, [{ productId: salad.id, quantity: 1 }]).expect(409);
+
+      expect(res.body.error.code).toBe('PRODUCT_NOT_AVAILABLE');
+      expect(res.body.error.details).toMatchObject({ productId: salad.id, locationId: south.id });
+      await buy(north.id, [{ productId: salad.id, quantity: 1 }]).expect(201);
+    });
+
+    it('should list the menu of a location with its prices', async () => {
+      await send('put', `/locations/${north.id}/products/${salad.id}`, { available: false }).expect(200);
+      await send('put', `/locations/${north.id}/products/${lasagna.id}`, { price: 4.2 }).expect(200);
+
+      const res = await get(`/products?location=${north.id}`).expect(200);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({ name: 'Lasagna', price: 4.2, catalogPrice: 4.5 });
+
+      const catalog = await get('/products').expect(200);
+      expect(catalog.body.data).toHaveLength(2);
+    });
+
+    it('should sell at the only location of the terminal account', async () => {
+      await send('put', `/locations/${south.id}/users`, { userIds: [2] }).expect(200);
+      await send('put', `/locations/${south.id}/products/${salad.id}`, { price: 2.5 }).expect(200);
+
+      const res = await send('post', '/pos/checkout', {
+        badgeNumber: '04A2249AC31F81',
+        items: [{ productId: salad.id, quantity: 1 }],
+      }, managerToken).expect(201);
+
+      expect(res.body.location).toEqual({ id: south.id, name: 'South canteen' });
+      expect(res.body.total).toBe(2.5);
+    });
+  });
+
+  describe('Manager scope', () => {
+    beforeEach(async () => {
+      await send('put', `/locations/${north.id}/users`, { userIds: [2] }).expect(200);
+    });
+
+    it('should only show the purchases of the assigned locations', async () => {
+      await buy(north.id, [{ productId: salad.id, quantity: 1 }]).expect(201);
+      await buy(south.id, [{ productId: lasagna.id, quantity: 1 }]).expect(201);
+
+      const res = await get('/purchases', managerToken).expect(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].locationId).toBe(north.id);
+
+      const all = await get('/purchases').expect(200);
+      expect(all.body.data).toHaveLength(2);
+
+      await get(`/purchases?location=${south.id}`, managerToken).expect(403);
+    });
+
+    it('should filter the summaries by location', async () => {
+      await buy(north.id, [{ productId: salad.id, quantity: 1 }]).expect(201);
+      await buy(south.id, [{ productId: lasagna.id, quantity: 1 }]).expect(201);
+
+      const scoped = await get('/purchases/summaries', managerToken).expect(200);
+      expect(scoped.body).toEqual([expect.objectContaining({ employeeId: employee.id, totalSpending: 3, purchaseCount: 1 })]);
+
+      const atSouth = await get(`/purchases/summaries?location=${south.id}`).expect(200);
+      expect(atSouth.body).toEqual([expect.objectContaining({ totalSpending: 4.5 })]);
+    });
+
+    it('should not let the manager change purchases of other locations', async () => {
+      const purchase = await buy(south.id, [{ productId: lasagna.id, quantity: 1 }]).expect(201);
+
+      const res = await send('delete', `/purchases/${purchase.body.id}`, undefined, managerToken).expect(403);
+      expect(res.body.error.message).toBe(`Access denied. You are not assigned to location ${south.id}.`);
+
+      await buy(south.id, [{ productId: salad.id, quantity: 1 }], managerToken).expect(403);
+      await send('put', `/locations/${south.id}/products/${salad.id}`, { price: 1 }, managerToken).expect(403);
+      await send('put', `/locations/${north.id}/products/${salad.id}`, { price: 1 }, managerToken).expect(200);
+    });
+
+    it('should not let the manager change items of purchases at other locations', async () => {
+      const { body: purchase } = await send('post', '/purchases', {
+        employeeId: employee.id,
+        date: new Date().toISOString(),
+        locationId: south.id,
+        items: [{ productId: lasagna.id, quantity: 1 }],
+      }).expect(201);
+      const [line] = purchase.purchaseItems;
+
+      await send('post', '/purchase-items', { purchaseId: purchase.id, productId: salad.id, quantity: 1 }, managerToken)
+        .expect(403);
+      await send('put', `/purchase-items/${line.id}`, { quantity: 3 }, managerToken).expect(403);
+      await send('patch', `/purchase-items/${line.id}`, { quantity: 3 }, managerToken).expect(403);
+      await send('delete', `/purchase-items/${line.id}`, undefined, managerToken).expect(403);
+
+      const items = await db.purchaseItems.findAll({ where: { purchaseId: purchase.id } });
+      expect(items).toHaveLength(1);
+      expect(items[0].quantity).toBe(1);
+
+      // The items of their own location's purchases stay editable
+      const { body: own } = await send('post', '/purchases', {
+        employeeId: employee.id,
+        date: new Date().toISOString(),
+        locationId: north.id,
+      }, managerToken).expect(201);
+      await send('post', '/purchase-items', { purchaseId: own.id, productId: salad.id, quantity: 1 }, managerToken)
+        .expect(201);
+    });
+  });
+});
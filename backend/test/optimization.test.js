@@ -116,8 +116,8 @@ describe('Database Optimization', () => {
         expect(exists).toBe(true);
       });
 
-      it('should have closed index', async () => {
-        const exists = await indexExists('purchases', 'idx_purchases_closed');
+      it('should have status index', async () => {
+        const exists = await indexExists('purchases', 'idx_purchases_status');
         expect(exists).toBe(true);
       });
 
@@ -126,8 +126,8 @@ describe('Database Optimization', () => {
         expect(exists).toBe(true);
       });
 
-      it('should have composite user_closed index', async () => {
-        const exists = await indexExists('purchases', 'idx_purchases_user_closed');
+      it('should have composite user_status index', async () => {
+        const exists = await indexExists('purchases', 'idx_purchases_user_status');
         expect(exists).toBe(true);
       });
     });
@@ -214,7 +214,7 @@ describe('Database Optimization', () => {
       // Create a purchase with items for testing
       purchaseWithItems = await Purchase.create({
         date: new Date(),
-        closed: false,
+        status: 'open',
         total: 30.0,
         employeeId: testEmployee.id,
         userId: testUser.id,
@@ -303,7 +303,7 @@ describe('Database Optimization', () => {
     it('should create purchase with items in single transaction', async () => {
       const purchaseData = {
         date: new Date(),
-        closed: false,
+        status: 'open',
         employeeId: testEmployee.id,
         userId: testUser.id,
       };
@@ -326,7 +326,7 @@ describe('Database Optimization', () => {
     it('should rollback transaction on error', async () => {
       const purchaseData = {
         date: new Date(),
-        closed: false,
+        status: 'open',
         employeeId: testEmployee.id,
         userId: testUser.id,
       };
@@ -355,7 +355,7 @@ describe('Database Optimization', () => {
 
       const purchaseData = {
         date: new Date(),
-        closed: false,
+        status: 'open',
         employeeId: testEmployee.id,
         userId: testUser.id,
       };
@@ -375,8 +375,10 @@ describe('Database Optimization', () => {
       sequelize.options.logging = originalLogging;
 
       // Should NOT be 1 + 5 queries (individual inserts)
-      // Should be ~3-4 queries (begin, insert purchase, bulk insert items, commit)
-      expect(queryCount.count).toBeLessThanOrEqual(6);
+      // Should be a fixed number of queries (begin, period lock check, load products,
+      // availability check, stock check, dietary profile, promotions, allowance check incl.
+      // discounts and refunds, subsidy policy, insert purchase, bulk insert items, commit, reload)
+      expect(queryCount.count).toBeLessThanOrEqual(16);
 
       // Cleanup
       await result.destroy();
@@ -448,7 +450,7 @@ describe('Database Optimization', () => {
     beforeAll(async () => {
       testPurchase = await Purchase.create({
         date: new Date(),
-        closed: false,
+        status: 'open',
         employeeId: testEmployee.id,
         userId: testUser.id,
       });
@@ -472,21 +474,17 @@ describe('Database Optimization', () => {
       expect(Purchase.options.scopes).toHaveProperty('full');
     });
 
-    it('should have open scope defined', () => {
-      expect(Purchase.options.scopes).toHaveProperty('open');
+    it('should have status scope defined', () => {
+      expect(Purchase.options.scopes).toHaveProperty('status');
     });
 
-    it('should have closed scope defined', () => {
-      expect(Purchase.options.scopes).toHaveProperty('closed');
-    });
-
-    it('open scope should filter correctly', async () => {
-      const openPurchases = await Purchase.scope('open').findAll({
+    it('status scope should filter correctly', async () => {
+      const openPurchases = await Purchase.scope({ method: ['status', 'open'] }).findAll({
         where: { userId: testUser.id },
       });
 
       openPurchases.forEach(p => {
-        expect(p.closed).toBe(false);
+        expect(p.status).toBe('open');
       });
     });
   });
@@ -0,0 +1,322 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const availabilityConfig = require('../config/availability');
+const { startOfDay } = require('../utils/calendar');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Departments and Cost Centers', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+
+  // Local YYYY-MM-DD n days ago, and noon on that day
+  const daysAgo = n => {
+    const date = new Date();
+    date.setDate(date.getDate() - n);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+  const noon = day => new Date(`${day}T12:00:00`);
+
+  const post = (path, body, token = adminToken) =>
+    request(app)
+      .post(`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const get = (path, token = adminToken) =>
+    request(app)
+      .get(`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.refunds.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.employeeAssignments.destroy({ where: {} });
+    await db.employees.destroy({ where: {}, force: true });
+    await db.departments.destroy({ where: { parentId: { [db.Sequelize.Op.ne]: null } } });
+    await db.departments.destroy({ where: {} });
+    await db.costCenters.destroy({ where: { parentId: { [db.Sequelize.Op.ne]: null } } });
+    await db.costCenters.destroy({ where: {} });
+  });
+
+  describe('Departments', () => {
+    it('should list the hierarchy in tree order with paths', async () => {
+      const operations = (await post('/departments', { name: 'Operations' }).expect(201)).body;
+      const kitchen = (await post('/departments', { name: 'Kitchen', parentId: operations.id }).expect(201)).body;
+      await post('/departments', { name: 'Admin' }).expect(201);
+      await db.employees.create({ name: 'Cook', employee_number: 'ORG-001', departmentId: kitchen.id });
+
+      const res = await get('/departments', managerToken).expect(200);
+
+      expect(res.body.map(d => d.path)).toEqual([['Admin'], ['Operations'], ['Operations', 'Kitchen']]);
+      expect(res.body[2]).toMatchObject({ depth: 1, employeeCount: 1 });
+
+      const tree = await get('/departments?tree=true').expect(200);
+      expect(tree.body[1].children.map(d => d.name)).toEqual(['Kitchen']);
+    });
+
+    it('should reject cycles and sibling names that exist', async () => {
+      const operations = (await post('/departments', { name: 'Operations' }).expect(201)).body;
+      const kitchen = (await post('/departments', { name: 'Kitchen', parentId: operations.id }).expect(201)).body;
+
+      await post('/departments', { name: 'Kitchen', parentId: operations.id }).expect(409);
+      await request(app)
+        .put(`${API_BASE}/departments/${operations.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentId: kitchen.id })
+        .expect(400);
+    });
+
+    it('should keep departments that employees were assigned to', async () => {
+      const kitchen = (await post('/departments', { name: 'Kitchen' }).expect(201)).body;
+      const employee = await db.employees.create({ name: 'Cook', employee_number: 'ORG-001' });
+      await post(`/employees/${employee.id}/assignments`, {
+        departmentId: kitchen.id,
+        costCenterId: null,
+        validFrom: daysAgo(5),
+      }).expect(200);
+      await post(`/employees/${employee.id}/assignments`, { departmentId: null, costCenterId: null }).expect(200);
+
+      const res = await request(app)
+        .delete(`${API_BASE}/departments/${kitchen.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.error.code).toBe('DEPARTMENT_NOT_EMPTY');
+    });
+
+    it('should only let admins change departments', async () => {
+      await get('/departments', employeeToken).expect(403);
+      await post('/departments', { name: 'Kitchen' }, managerToken).expect(403);
+    });
+  });
+
+  describe('Cost centers', () => {
+    it('should store codes uppercase and keep them unique', async () => {
+      const res = await post('/cost-centers', { code: ' cc-4100 ', name: 'Kitchen staff' }).expect(201);
+      expect(res.body.code).toBe('CC-4100');
+
+      const taken = await post('/cost-centers', { code: 'CC-4100', name: 'Other' }).expect(409);
+      expect(taken.body.error.message).toBe('Cost center with code CC-4100 already exists');
+    });
+  });
+
+  describe('Employee assignments', () => {
+    let operations, kitchen, service, cc1, cc2;
+
+    beforeEach(async () => {
+      operations = (await post('/departments', { name: 'Operations' }).expect(201)).body;
+      kitchen = (await post('/departments', { name: 'Kitchen', parentId: operations.id }).expect(201)).body;
+      service = (await post('/departments', { name: 'Service', parentId: operations.id }).expect(201)).body;
+      cc1 = (await post('/cost-centers', { code: 'CC-1', name: 'Kitchen staff' }).expect(201)).body;
+      cc2 = (await post('/cost-centers', { code: 'CC-2', name: 'Service staff' }).expect(201)).body;
+    });
+
+    it('should record the assignment of a new employee as of today', async () => {
+      const created = await post('/employees', {
+        name: 'Cook',
+        employee_number: 'ORG-001',
+        monthlyConsumptionValue: 100,
+        departmentId: kitchen.id,
+        costCenterId: cc1.id,
+      }).expect(201);
+
+      const history = await get(`/employees/${created.body.id}/assignments`, managerToken).expect(200);
+
+      expect(history.body).toHaveLength(1);
+      expect(history.body[0]).toMatchObject({
+        validFrom: daysAgo(0),
+        validTo: null,
+        department: { id: kitchen.id, name: 'Kitchen' },
+        costCenter: { id: cc1.id, code: 'CC-1' },
+      });
+
+      await post('/employees', { name: 'X', employee_number: 'ORG-002', monthlyConsumptionValue: 1, departmentId: 9999 })
+        .expect(400);
+    });
+
+    it('should close the current assignment when an employee moves', async () => {
+      const employee = await db.employees.create({ name: 'Cook', employee_number: 'ORG-001' });
+
+      await post(`/employees/${employee.id}/assignments`, {
+        departmentId: kitchen.id,
+        costCenterId: cc1.id,
+        validFrom: daysAgo(30),
+      }).expect(200);
+      const moved = await post(`/employees/${employee.id}/assignments`, {
+        departmentId: service.id,
+        costCenterId: cc2.id,
+        validFrom: daysAgo(10),
+      }).expect(200);
+
+      expect(moved.body).toMatchObject({ departmentId: service.id, costCenterId: cc2.id });
+
+      const history = await get(`/employees/${employee.id}/assignments`).expect(200);
+      expect(history.body.map(a => [a.departmentId, a.validFrom, a.validTo])).toEqual([
+        [service.id, daysAgo(10), null],
+        [kitchen.id, daysAgo(30), daysAgo(10)],
+      ]);
+
+      const early = await post(`/employees/${employee.id}/assignments`, {
+        departmentId: kitchen.id,
+        costCenterId: cc1.id,
+        validFrom: daysAgo(20),
+      }).expect(400);
+      expect(early.body.error.message).toContain(`before the current one (${daysAgo(10)})`);
+
+      await post(`/employees/${employee.id}/assignments`, {
+        departmentId: kitchen.id,
+        costCenterId: cc1.id,
+        validFrom: daysAgo(-1),
+      }).expect(400);
+    });
+
+    it('should filter employees by their current department and cost center', async () => {
+      const cook = await db.employees.create({ name: 'Cook', employee_number: 'ORG-001' });
+      const waiter = await db.employees.create({ name: 'Waiter', employee_number: 'ORG-002' });
+      await post(`/employees/${cook.id}/assignments`, { departmentId: kitchen.id, costCenterId: cc1.id }).expect(200);
+      await post(`/employees/${waiter.id}/assignments`, { departmentId: service.id, costCenterId: cc2.id }).expect(200);
+
+      const all = await get(`/employees?department=${operations.id}`).expect(200);
+      expect(all.body.data.map(e => e.name).sort()).toEqual(['Cook', 'Waiter']);
+
+      const kitchenOnly = await get(`/employees?department=${kitchen.id}`).expect(200);
+      expect(kitchenOnly.body.data.map(e => e.name)).toEqual(['Cook']);
+
+      const byCostCenter = await get(`/employees?costCenter=${cc2.id}`).expect(200);
+      expect(byCostCenter.body.data.map(e => e.name)).toEqual(['Waiter']);
+
+      await get('/employees?department=abc').expect(400);
+    });
+  });
+
+  describe('Purchases by department and cost center', () => {
+    let operations, kitchen, service, cc1, cc2, cook, guest;
+
+    beforeEach(async () => {
+      operations = (await post('/departments', { name: 'Operations' }).expect(201)).body;
+      kitchen = (await post('/departments', { name: 'Kitchen', parentId: operations.id }).expect(201)).body;
+      service = (await post('/departments', { name: 'Service', parentId: operations.id }).expect(201)).body;
+      cc1 = (await post('/cost-centers', { code: 'CC-1', name: 'Kitchen staff' }).expect(201)).body;
+      cc2 = (await post('/cost-centers', { code: 'CC-2', name: 'Service staff' }).expect(201)).body;
+
+      cook = await db.employees.create({ name: 'Cook', employee_number: 'ORG-001' });
+      guest = await db.employees.create({ name: 'Guest', employee_number: 'ORG-002' });
+
+      // Kitchen for 30 days, then moved to service 10 days ago
+      await post(`/employees/${cook.id}/assignments`, {
+        departmentId: kitchen.id,
+        costCenterId: cc1.id,
+        validFrom: daysAgo(30),
+      }).expect(200);
+      await post(`/employees/${cook.id}/assignments`, {
+        departmentId: service.id,
+        costCenterId: cc2.id,
+        validFrom: daysAgo(10),
+      }).expect(200);
+
+      await db.purchases.bulkCreate([
+        { employeeId: cook.id, date: noon(daysAgo(20)), status: 'closed', total: 10, companyShare: 4, employeeShare: 6 },
+        { employeeId: cook.id, date: noon(daysAgo(5)), status: 'closed', total: 6, companyShare: 0, employeeShare: 6 },
+        { employeeId: cook.id, date: noon(daysAgo(4)), status: 'voided', total: 50, companyShare: 0, employeeShare: 50 },
+        { employeeId: guest.id, date: noon(daysAgo(5)), status: 'closed', total: 3, companyShare: 0, employeeShare: 3 },
+      ]);
+    });
+
+    it('should filter purchases by the department at the purchase date', async () => {
+      const kitchenPurchases = await get(`/purchases?department=${kitchen.id}`).expect(200);
+      expect(kitchenPurchases.body.data.map(p => Number(p.total))).toEqual([10]);
+
+      const operationsPurchases = await get(`/purchases?department=${operations.id}&status=closed`).expect(200);
+      expect(operationsPurchases.body.data.map(p => Number(p.total))).toEqual([6, 10]);
+
+      const serviceCostCenter = await get(`/purchases?costCenter=${cc2.id}&status=closed`).expect(200);
+      expect(serviceCostCenter.body.data.map(p => Number(p.total))).toEqual([6]);
+    });
+
+    it('should sum spending per department at the purchase date', async () => {
+      const res = await get('/purchases/summaries?groupBy=department').expect(200);
+
+      expect(res.body).toEqual([
+        expect.objectContaining({ departmentId: kitchen.id, path: ['Operations', 'Kitchen'], totalSpending: 10, purchaseCount: 1 }),
+        expect.objectContaining({ departmentId: service.id, path: ['Operations', 'Service'], totalSpending: 6, purchaseCount: 1 }),
+        expect.objectContaining({ departmentId: null, name: null, totalSpending: 3, employeeCount: 1 }),
+      ]);
+    });
+
+    it('should credit refunds to the department at the refund date', async () => {
+      const kitchenPurchase = await db.purchases.findOne({ where: { employeeId: cook.id, total: 10 } });
+      await db.refunds.create({
+        purchaseId: kitchenPurchase.id,
+        employeeId: cook.id,
+        date: noon(daysAgo(2)),
+        total: 1.5,
+        companyShare: 0.5,
+        employeeShare: 1,
+        reason: 'Cold soup',
+      });
+
+      const res = await get('/purchases/summaries?groupBy=department').expect(200);
+
+      expect(res.body.find(row => row.departmentId === kitchen.id)).toMatchObject({ totalSpending: 10, companyShare: 4 });
+      expect(res.body.find(row => row.departmentId === service.id)).toMatchObject({
+        totalSpending: 4.5,
+        totalRefunded: 1.5,
+        companyShare: -0.5,
+        employeeCount: 1,
+      });
+    });
+
+    it('should sum spending and shares per cost center', async () => {
+      const res = await get(`/purchases/summaries?groupBy=costCenter&from=${daysAgo(25)}`).expect(200);
+
+      expect(res.body[0]).toEqual({
+        costCenterId: cc1.id,
+        code: 'CC-1',
+        name: 'Kitchen staff',
+        path: ['Kitchen staff'],
+        totalSpending: 10,
+        totalRefunded: 0,
+        companyShare: 4,
+        employeeShare: 6,
+        purchaseCount: 1,
+        employeeCount: 1,
+      });
+      expect(res.body.map(row => row.costCenterId)).toEqual([cc1.id, cc2.id, null]);
+
+      await get('/purchases/summaries?groupBy=location').expect(400);
+    });
+
+    it('should attribute purchases by the day in the cafeteria timezone', async () => {
+      const originalTimezone = availabilityConfig.timezone;
+      availabilityConfig.timezone = 'Europe/Berlin';
+
+      try {
+        // Half past midnight in Berlin on the day of the move is the day before in UTC
+        const [year, month, day] = daysAgo(10).split('-').map(Number);
+        const date = new Date(startOfDay(year, month, day, 'Europe/Berlin').getTime() + 30 * 60 * 1000);
+        await db.purchases.create({ employeeId: cook.id, date, status: 'closed', total: 2, companyShare: 0, employeeShare: 2 });
+
+        const res = await get(`/purchases/summaries?groupBy=department&from=${daysAgo(12)}`).expect(200);
+
+        expect(res.body.find(row => row.departmentId === service.id)).toMatchObject({ totalSpending: 8, purchaseCount: 2 });
+        expect(res.body.find(row => row.departmentId === kitchen.id)).toBeUndefined();
+      } finally {
+        availabilityConfig.timezone = originalTimezone;
+      }
+    });
+  });
+});
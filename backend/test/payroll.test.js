@@ -0,0 +1,415 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const availabilityConfig = require('../config/availability');
+const { monthRange } = require('../utils/calendar');
+const { toCsv, toFixedWidth } = require('../utils/payrollExport');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Payroll Periods API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let alice, bob, product;
+
+  // Mid last month, so the month has ended and can be closed
+  const now = new Date();
+  const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 15, 12);
+  const period = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+  const currentPeriod = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+  const createPurchase = async (employee, items, { status = 'closed', date = lastMonth } = {}) => {
+    const purchase = await db.purchases.create({ employeeId: employee.id, date, status, userId: 1 });
+    await db.purchaseItems.bulkCreate(
+      items.map(([quantity, unitPrice]) => ({
+        purchaseId: purchase.id,
+        productId: product.id,
+        quantity,
+        unitPrice,
+        productName: 'Sandwich',
+      })),
+    );
+    return purchase;
+  };
+
+  const close = (token = adminToken, key = period) =>
+    request(app)
+      .post(`${API_BASE}/payroll-periods/${key}/close`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const reopen = (reason, token = adminToken) =>
+    request(app)
+      .post(`${API_BASE}/payroll-periods/${period}/reopen`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason });
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.payrollPeriodEntries.destroy({ where: {} });
+    await db.payrollPeriods.destroy({ where: {} });
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    // Hard delete so the employee numbers can be reused
+    await db.employees.destroy({ where: {}, force: true });
+    await db.audit_logs.destroy({ where: {} });
+
+    product = await db.products.create({ name: 'Sandwich', price: 4.5 });
+    alice = await db.employees.create({
+      name: 'Alice, "Al" Smith',
+      employee_number: 'EMP-001',
+      monthlyConsumptionValue: 10,
+    });
+    bob = await db.employees.create({
+      name: 'Bob Jones',
+      employee_number: 'EMP-002',
+      monthlyConsumptionValue: 50,
+    });
+  });
+
+  describe(`POST ${API_BASE}/payroll-periods/:period/close`, () => {
+    it('should snapshot per-employee totals and overage', async () => {
+      await createPurchase(alice, [[2, 4.5], [1, 3.25]]);
+      await createPurchase(alice, [[1, 2]]);
+      await createPurchase(bob, [[1, 4.5]]);
+      // Voided purchases are not deducted
+      await createPurchase(bob, [[5, 4.5]], { status: 'voided' });
+
+      const res = await close().expect(200);
+
+      expect(res.body).toMatchObject({ period, status: 'closed', closedBy: 1 });
+      expect(res.body.entries).toHaveLength(2);
+
+      const [aliceEntry, bobEntry] = res.body.entries;
+      expect(aliceEntry).toMatchObject({ employeeId: alice.id, employeeNumber: 'EMP-001', purchaseCount: 2 });
+      expect(parseFloat(aliceEntry.totalSpent)).toBe(14.25);
+      expect(parseFloat(aliceEntry.overage)).toBe(4.25);
+      expect(parseFloat(aliceEntry.deduction)).toBe(14.25);
+      expect(bobEntry).toMatchObject({ employeeId: bob.id, purchaseCount: 1 });
+      expect(parseFloat(bobEntry.overage)).toBe(0);
+      expect(parseFloat(bobEntry.deduction)).toBe(4.5);
+    });
+
+    it('should include employees deleted since', async () => {
+      await createPurchase(alice, [[1, 4.5]]);
+      await alice.destroy();
+
+      const res = await close().expect(200);
+
+      expect(res.body.entries).toHaveLength(1);
+      expect(res.body.entries[0]).toMatchObject({ employeeId: alice.id, employeeName: 'Alice, "Al" Smith' });
+    });
+
+    it('should reject a month that has not ended', async () => {
+      await close(adminToken, currentPeriod).expect(400);
+
+      expect(await db.payrollPeriods.count()).toBe(0);
+    });
+
+    it('should reject a month with draft or open purchases', async () => {
+      const open = await createPurchase(alice, [[1, 4.5]], { status: 'open' });
+
+      const res = await close().expect(409);
+
+      expect(res.body.error.code).toBe('PERIOD_HAS_OPEN_PURCHASES');
+      expect(res.body.error.details).toMatchObject({ period, count: 1, purchaseIds: [open.id] });
+      expect(await db.payrollPeriods.count()).toBe(0);
+    });
+
+    it('should reject closing twice', async () => {
+      await close().expect(200);
+
+      const res = await close().expect(409);
+
+      expect(res.body.error.code).toBe('PERIOD_ALREADY_CLOSED');
+    });
+
+    it('should reject an invalid period', async () => {
+      await close(adminToken, '2026-13').expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await close(managerToken).expect(403);
+      await close(employeeToken).expect(403);
+    });
+
+    it('should write an audit entry', async () => {
+      const res = await close().expect(200);
+
+      const log = await db.audit_logs.findOne({ where: { resource: 'payroll-period' } });
+      expect(log).toMatchObject({ action: 'CREATE', resourceId: res.body.id, userId: 1 });
+    });
+  });
+
+  describe('Purchase lock', () => {
+    let purchase;
+
+    beforeEach(async () => {
+      purchase = await createPurchase(alice, [[1, 4.5]]);
+      await close().expect(200);
+    });
+
+    it('should reject editing a purchase in a closed period', async () => {
+      const res = await request(app)
+        .put(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: bob.id })
+        .expect(423);
+
+      expect(res.body.error).toMatchObject({ code: 'PERIOD_CLOSED', details: { period } });
+      expect((await db.purchases.findByPk(purchase.id)).employeeId).toBe(alice.id);
+    });
+
+    it('should reject moving a purchase into a closed period', async () => {
+      const current = await createPurchase(bob, [[1, 4.5]], { status: 'open', date: new Date() });
+
+      await request(app)
+        .put(`${API_BASE}/purchases/${current.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: lastMonth.toISOString() })
+        .expect(423);
+    });
+
+    it('should reject creating a purchase in a closed period', async () => {
+      await request(app)
+        .post(`${API_BASE}/purchases`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: lastMonth.toISOString(), employeeId: alice.id })
+        .expect(423);
+    });
+
+    it('should reject deleting or reopening a purchase in a closed period', async () => {
+      await request(app)
+        .delete(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(423);
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/reopen`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Wrong employee' })
+        .expect(423);
+
+      expect((await db.purchases.findByPk(purchase.id)).status).toBe('closed');
+    });
+
+    it('should still allow refunds', async () => {
+      const [item] = await db.purchaseItems.findAll({ where: { purchaseId: purchase.id } });
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/refunds`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Sandwich was spoiled', items: [{ purchaseItemId: item.id, quantity: 1 }] })
+        .expect(201);
+    });
+
+    it('should unlock the purchases when the period is reopened', async () => {
+      await reopen('Charged to the wrong employee').expect(200);
+
+      await request(app)
+        .put(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: bob.id })
+        .expect(200);
+    });
+  });
+
+  describe('Cafeteria timezone', () => {
+    let originalTimezone;
+
+    beforeEach(() => {
+      originalTimezone = availabilityConfig.timezone;
+      availabilityConfig.timezone = 'Europe/Berlin';
+    });
+
+    afterEach(() => {
+      availabilityConfig.timezone = originalTimezone;
+    });
+
+    it('should count and lock a purchase by the month at the counter', async () => {
+      // Half past midnight on the 1st in Berlin is still the previous day in UTC
+      const { from } = monthRange(lastMonth.getFullYear(), lastMonth.getMonth() + 1, 'Europe/Berlin');
+      const purchase = await createPurchase(alice, [[1, 4.5]], { date: new Date(from.getTime() + 30 * 60 * 1000) });
+
+      const res = await close().expect(200);
+
+      expect(res.body.entries).toHaveLength(1);
+      expect(res.body.entries[0]).toMatchObject({ employeeId: alice.id, purchaseCount: 1 });
+
+      const locked = await request(app)
+        .delete(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(423);
+      expect(locked.body.error.details).toMatchObject({ period });
+    });
+  });
+
+  describe(`POST ${API_BASE}/payroll-periods/:period/reopen`, () => {
+    beforeEach(async () => {
+      await createPurchase(alice, [[1, 4.5]]);
+      await close().expect(200);
+    });
+
+    it('should reopen with a reason and write an audit entry', async () => {
+      const res = await reopen('Charged to the wrong employee').expect(200);
+
+      expect(res.body).toMatchObject({
+        status: 'reopened',
+        reopenedBy: 1,
+        reopenReason: 'Charged to the wrong employee',
+      });
+
+      const log = await db.audit_logs.findOne({ where: { resource: 'payroll-period', action: 'UPDATE' } });
+      expect(log).not.toBeNull();
+      expect(log.resourceId).toBe(res.body.id);
+      expect(log.newValue).toMatchObject({ status: 'reopened', reopenReason: 'Charged to the wrong employee' });
+    });
+
+    it('should require a reason', async () => {
+      await reopen(undefined).expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await reopen('Charged to the wrong employee', managerToken).expect(403);
+    });
+
+    it('should reject reopening a period that is not closed', async () => {
+      await reopen('Charged to the wrong employee').expect(200);
+
+      const res = await reopen('Charged to the wrong employee').expect(409);
+
+      expect(res.body.error.code).toBe('PERIOD_NOT_CLOSED');
+    });
+
+    it('should take a fresh snapshot when closed again', async () => {
+      await reopen('Missing purchase').expect(200);
+      await createPurchase(bob, [[2, 4.5]]);
+
+      const res = await close().expect(200);
+
+      expect(res.body.entries).toHaveLength(2);
+      expect(await db.payrollPeriodEntries.count()).toBe(2);
+    });
+  });
+
+  describe(`GET ${API_BASE}/payroll-periods/:period/export`, () => {
+    const exportFile = (format, token = managerToken) =>
+      request(app)
+        .get(`${API_BASE}/payroll-periods/${period}/export${format ? `?format=${format}` : ''}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+      await createPurchase(alice, [[2, 4.5], [1, 3.25]]);
+      await createPurchase(bob, [[1, 4.5]]);
+      await close().expect(200);
+    });
+
+    it('should export CSV by default', async () => {
+      const res = await exportFile().expect(200);
+
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toBe(`attachment; filename="payroll-${period}.csv"`);
+
+      const lines = res.text.split('\r\n');
+      expect(lines[0]).toBe(
+        'period,employeeId,employeeNumber,employeeName,purchaseCount,totalSpent,totalRefunded,allowance,overage,companyShare,employeeShare,deduction',
+      );
+      expect(lines[1]).toBe(`${period},${alice.id},EMP-001,"Alice, ""Al"" Smith",1,12.25,0.00,10.00,2.25,0.00,12.25,12.25`);
+      expect(lines[2]).toBe(`${period},${bob.id},EMP-002,Bob Jones,1,4.50,0.00,50.00,0.00,0.00,4.50,4.50`);
+    });
+
+    it('should export the fixed-width layout', async () => {
+      const res = await exportFile('fixed-width').expect(200);
+
+      expect(res.headers['content-type']).toMatch(/text\/plain/);
+      expect(res.headers['content-disposition']).toBe(`attachment; filename="payroll-${period}.txt"`);
+
+      const [first] = res.text.split('\r\n');
+      expect(first).toHaveLength(73);
+      expect(first).toBe(
+        `${'EMP-001'.padEnd(12)}${'Alice, "Al" Smith'.padEnd(30)}${period}000000001225000000000225`,
+      );
+    });
+
+    it('should reject an unknown format', async () => {
+      await exportFile('xml').expect(400);
+    });
+
+    it('should reject a reopened period', async () => {
+      await reopen('Missing purchase').expect(200);
+
+      const res = await exportFile().expect(409);
+
+      expect(res.body.error.code).toBe('PERIOD_NOT_CLOSED');
+    });
+
+    it('should return 404 for a period that was never closed', async () => {
+      await request(app)
+        .get(`${API_BASE}/payroll-periods/2001-01/export`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should not be available to employees', async () => {
+      await exportFile('csv', employeeToken).expect(403);
+    });
+  });
+
+  describe(`GET ${API_BASE}/payroll-periods`, () => {
+    it('should list periods without entries', async () => {
+      await close().expect(200);
+
+      const res = await request(app)
+        .get(`${API_BASE}/payroll-periods`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({ period, status: 'closed' });
+      expect(res.body[0].entries).toBeUndefined();
+    });
+  });
+});
+
+describe('Payroll export formatters', () => {
+  const row = {
+    period: '2026-09',
+    employeeNumber: 'EMP-1',
+    employeeName: 'A very long employee name',
+    deduction: -3.5,
+  };
+
+  it('should truncate text and keep the sign in front of zero padding', () => {
+    const layout = [
+      { field: 'employeeName', width: 6 },
+      { field: 'deduction', width: 8, align: 'right', pad: '0', format: 'cents' },
+      { field: 'deduction', width: 8, align: 'right', format: 'amount' },
+    ];
+
+    expect(toFixedWidth([row], { layout, lineEnding: '\n' })).toBe('A very-0000350   -3.50\n');
+  });
+
+  it('should fail when an amount does not fit', () => {
+    const layout = [{ field: 'deduction', width: 2, format: 'cents' }];
+
+    expect(() => toFixedWidth([row], { layout, lineEnding: '\n' })).toThrow(/does not fit/);
+  });
+
+  it('should honour the CSV delimiter', () => {
+    const csv = toCsv([row], { delimiter: ';', columns: ['period', 'deduction'], lineEnding: '\n' });
+
+    expect(csv).toBe('period;deduction\n2026-09;-3.50\n');
+  });
+});
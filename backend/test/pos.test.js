@@ -0,0 +1,147 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('POS Checkout API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let employee, coffee, cola;
+
+  const checkout = (body, headers = {}) =>
+    request(app)
+      .post(`${API_BASE}/pos/checkout`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .set(headers)
+      .send(body);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.idempotencyKeys.destroy({ where: {} });
+    await db.stockMovements.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.productBarcodes.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Badge Holder',
+      employee_number: 'POS-001',
+      monthlyConsumptionValue: 20,
+      badgeNumber: '04A2249AC31F80',
+    });
+    coffee = await db.products.create({ name: 'Espresso', price: 2.5 });
+    cola = await db.products.create({ name: 'Cola', price: 1.8, trackStock: true, stockQuantity: 5 });
+    await db.productBarcodes.create({ code: '5449000000996', productId: cola.id });
+  });
+
+  describe(`POST ${API_BASE}/pos/checkout`, () => {
+    it('should sell the basket and return the receipt', async () => {
+      const res = await checkout({
+        badgeNumber: '04A2249AC31F80',
+        items: [{ productId: coffee.id, quantity: 2 }, { code: '5449000000996' }],
+      }).expect(201);
+
+      expect(res.body).toMatchObject({
+        status: 'closed',
+        employee: { id: employee.id, name: 'Badge Holder', employee_number: 'POS-001' },
+        subtotal: 6.8,
+        discounts: [],
+        total: 6.8,
+        employeeShare: 6.8,
+        allowance: { allowance: 20, spent: 6.8, remaining: 13.2 },
+        allowanceWarning: null,
+        dietaryWarnings: [],
+      });
+      expect(res.body.items).toEqual([
+        expect.objectContaining({ productName: 'Espresso', quantity: 2, unitPrice: 2.5, lineTotal: 5 }),
+        expect.objectContaining({ productName: 'Cola', quantity: 1, unitPrice: 1.8, lineTotal: 1.8 }),
+      ]);
+
+      const purchase = await db.purchases.findByPk(res.body.purchaseId);
+      expect(purchase.status).toBe('closed');
+      expect(purchase.employeeId).toBe(employee.id);
+
+      await cola.reload();
+      expect(cola.stockQuantity).toBe(4);
+    });
+
+    it('should reject unknown badges and badges of removed employees', async () => {
+      const unknown = await checkout({ badgeNumber: 'NOPE', items: [{ productId: coffee.id }] }).expect(404);
+      expect(unknown.body.error.code).toBe('UNKNOWN_BADGE');
+
+      await employee.destroy();
+      await checkout({ badgeNumber: '04A2249AC31F80', items: [{ productId: coffee.id }] }).expect(404);
+    });
+
+    it('should sell nothing when the basket exceeds the allowance', async () => {
+      const res = await checkout({
+        badgeNumber: '04A2249AC31F80',
+        items: [{ productId: coffee.id, quantity: 8 }, { code: '5449000000996' }],
+      }).expect(422);
+
+      expect(res.body.error.code).toBe('ALLOWANCE_EXCEEDED');
+      expect(await db.purchases.count()).toBe(0);
+      await cola.reload();
+      expect(cola.stockQuantity).toBe(5);
+    });
+
+    it('should reject unknown codes and lines without a product', async () => {
+      await checkout({ badgeNumber: '04A2249AC31F80', items: [{ code: '4006381333931' }] }).expect(404);
+
+      const invalid = await checkout({ badgeNumber: '04A2249AC31F80', items: [{ quantity: 2 }] }).expect(400);
+      expect(invalid.body.error.message).toContain('Each item needs a productId or a code');
+
+      await checkout({ badgeNumber: '04A2249AC31F80', items: [] }).expect(400);
+    });
+
+    it('should charge a retried checkout once', async () => {
+      const body = { badgeNumber: '04A2249AC31F80', items: [{ productId: coffee.id }] };
+      const headers = { 'Idempotency-Key': 'terminal-1-0001' };
+
+      const first = await checkout(body, headers).expect(201);
+      const retry = await checkout(body, headers).expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.purchaseId).toBe(first.body.purchaseId);
+      expect(await db.purchases.count()).toBe(1);
+    });
+
+    it('should only let admins and managers check out', async () => {
+      await request(app)
+        .post(`${API_BASE}/pos/checkout`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ badgeNumber: '04A2249AC31F80', items: [{ productId: coffee.id }] })
+        .expect(403);
+    });
+  });
+
+  describe('Employee badge numbers', () => {
+    it('should keep badge numbers unique', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/employees`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Second Holder',
+          employee_number: 'POS-002',
+          monthlyConsumptionValue: 20,
+          badgeNumber: '04A2249AC31F80',
+        })
+        .expect(409);
+
+      expect(res.body.error.message).toBe('Employee with this badge number already exists');
+    });
+  });
+});
@@ -0,0 +1,323 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const priceChangeService = require('../services/priceChange.service');
+const priceHistoryService = require('../services/priceHistory.service');
+const priceChangeConfig = require('../config/priceChanges');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Price Change API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let latte, espresso;
+
+  const HOUR = 60 * 60 * 1000;
+  const inHours = hours => new Date(Date.now() + hours * HOUR).toISOString();
+
+  const schedule = (body, token = managerToken) =>
+    request(app)
+      .post(`${API_BASE}/price-changes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  // Insert a change directly so it can already be due
+  const createDue = async (items, { effectiveFrom = new Date(Date.now() - HOUR), status = 'pending' } = {}) => {
+    const priceChange = await db.priceChanges.create({ effectiveFrom, status, createdBy: 2 });
+    await db.priceChangeItems.bulkCreate(items.map(item => ({ priceChangeId: priceChange.id, ...item })));
+    return priceChange;
+  };
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.priceChangeItems.destroy({ where: {} });
+    await db.priceChanges.destroy({ where: {} });
+    await db.productPrices.destroy({ where: {} });
+    await db.audit_logs.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+
+    latte = await db.products.create({ name: 'Latte', price: 2.9 });
+    espresso = await db.products.create({ name: 'Espresso', price: 1.8 });
+  });
+
+  describe(`POST ${API_BASE}/price-changes`, () => {
+    it('should schedule a price list', async () => {
+      const effectiveFrom = inHours(24);
+
+      const res = await schedule({
+        effectiveFrom,
+        note: 'Supplier price list',
+        items: [
+          { productId: latte.id, price: 3.2 },
+          { productId: espresso.id, price: 1.9 },
+        ],
+      }).expect(201);
+
+      expect(res.body).toMatchObject({ status: 'pending', note: 'Supplier price list', createdBy: 2 });
+      expect(new Date(res.body.effectiveFrom).toISOString()).toBe(effectiveFrom);
+      expect(res.body.creator.id).toBe(2);
+      expect(res.body.items.map(item => [item.product.name, Number(item.price)])).toEqual([
+        ['Latte', 3.2],
+        ['Espresso', 1.9],
+      ]);
+
+      // Nothing changes until the change is due
+      expect(Number((await db.products.findByPk(latte.id)).price)).toBe(2.9);
+    });
+
+    it('should reject a change that is not in the future', async () => {
+      const res = await schedule({
+        effectiveFrom: inHours(-1),
+        items: [{ productId: latte.id, price: 3.2 }],
+      }).expect(400);
+
+      expect(res.body.error.message).toContain('must be in the future');
+    });
+
+    it('should reject unknown products', async () => {
+      const res = await schedule({
+        effectiveFrom: inHours(1),
+        items: [
+          { productId: latte.id, price: 3.2 },
+          { productId: 99999, price: 1 },
+        ],
+      }).expect(400);
+
+      expect(res.body.error.message).toBe('Products not found: 99999');
+      expect(await db.priceChanges.count()).toBe(0);
+    });
+
+    it('should reject invalid price lists', async () => {
+      await schedule({ effectiveFrom: inHours(1), items: [] }).expect(400);
+      await schedule({ effectiveFrom: 'tomorrow', items: [{ productId: latte.id, price: 3.2 }] }).expect(400);
+      await schedule({ effectiveFrom: inHours(1), items: [{ productId: latte.id, price: -1 }] }).expect(400);
+      await schedule({
+        effectiveFrom: inHours(1),
+        items: [
+          { productId: latte.id, price: 3.2 },
+          { productId: latte.id, price: 3.3 },
+        ],
+      }).expect(400);
+    });
+
+    it('should not be available to employees', async () => {
+      await schedule({ effectiveFrom: inHours(1), items: [{ productId: latte.id, price: 3.2 }] }, employeeToken)
+        .expect(403);
+    });
+  });
+
+  describe(`GET ${API_BASE}/price-changes`, () => {
+    it('should list changes next due first and filter by status', async () => {
+      const later = await schedule({ effectiveFrom: inHours(48), items: [{ productId: latte.id, price: 3.4 }] });
+      const sooner = await schedule({ effectiveFrom: inHours(24), items: [{ productId: latte.id, price: 3.2 }] });
+      await createDue([{ productId: espresso.id, price: 2 }], { status: 'applied' });
+
+      const all = await request(app)
+        .get(`${API_BASE}/price-changes`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(all.body.meta.total).toBe(3);
+
+      const pending = await request(app)
+        .get(`${API_BASE}/price-changes`)
+        .query({ status: 'pending' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(pending.body.data.map(change => change.id)).toEqual([sooner.body.id, later.body.id]);
+    });
+
+    it('should reject an unknown status', async () => {
+      await request(app)
+        .get(`${API_BASE}/price-changes`)
+        .query({ status: 'done' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should return 404 for an unknown change', async () => {
+      await request(app)
+        .get(`${API_BASE}/price-changes/99999`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/:id`, () => {
+    it('should list the pending changes of the product', async () => {
+      const effectiveFrom = inHours(24);
+      const scheduled = await schedule({
+        effectiveFrom,
+        note: 'Autumn prices',
+        items: [{ productId: latte.id, price: 3.2 }],
+      }).expect(201);
+      await createDue([{ productId: latte.id, price: 9 }], { status: 'cancelled' });
+
+      const res = await request(app)
+        .get(`${API_BASE}/products/${latte.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.upcomingPriceChanges).toHaveLength(1);
+      expect(res.body.upcomingPriceChanges[0]).toMatchObject({ priceChangeId: scheduled.body.id, note: 'Autumn prices' });
+      expect(Number(res.body.upcomingPriceChanges[0].price)).toBe(3.2);
+
+      const other = await request(app)
+        .get(`${API_BASE}/products/${espresso.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(other.body.upcomingPriceChanges).toEqual([]);
+    });
+  });
+
+  describe(`POST ${API_BASE}/price-changes/:id/cancel`, () => {
+    it('should cancel a pending change', async () => {
+      const scheduled = await schedule({ effectiveFrom: inHours(1), items: [{ productId: latte.id, price: 3.2 }] });
+
+      const res = await request(app)
+        .post(`${API_BASE}/price-changes/${scheduled.body.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body).toMatchObject({ status: 'cancelled', cancelledBy: 1 });
+      expect(res.body.cancelledAt).toBeTruthy();
+    });
+
+    it('should not cancel a change that is no longer pending', async () => {
+      const applied = await createDue([{ productId: latte.id, price: 3.2 }], { status: 'applied' });
+
+      const res = await request(app)
+        .post(`${API_BASE}/price-changes/${applied.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(res.body.error.code).toBe('PRICE_CHANGE_NOT_PENDING');
+      expect(res.body.error.details).toEqual({ status: 'applied' });
+    });
+
+    it('should return 404 for an unknown change', async () => {
+      await request(app)
+        .post(`${API_BASE}/price-changes/99999/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Applying', () => {
+    it('should apply due changes with price history and audit entries', async () => {
+      const due = await createDue([
+        { productId: latte.id, price: 3.2 },
+        { productId: espresso.id, price: 1.8 },
+      ]);
+
+      expect(await priceChangeService.applyDue()).toEqual([due.id]);
+
+      expect(Number((await db.products.findByPk(latte.id)).price)).toBe(3.2);
+      expect(Number((await db.products.findByPk(espresso.id)).price)).toBe(1.8);
+
+      const applied = await db.priceChanges.findByPk(due.id);
+      expect(applied.status).toBe('applied');
+      expect(applied.appliedAt).toBeTruthy();
+
+      // Only the product whose price moved is recorded and audited
+      const history = await db.productPrices.findAll({ raw: true });
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ productId: latte.id });
+      expect(Number(history[0].previousPrice)).toBe(2.9);
+
+      const audits = await db.audit_logs.findAll({ where: { resource: 'product' } });
+      expect(audits).toHaveLength(1);
+      expect(audits[0]).toMatchObject({ action: 'UPDATE', resourceId: latte.id, userId: 2 });
+      expect(audits[0].newValue).toMatchObject({ priceChangeId: due.id });
+    });
+
+    it('should leave the product version alone', async () => {
+      const { version } = latte;
+      await createDue([{ productId: latte.id, price: 3.2 }]);
+
+      await priceChangeService.applyDue();
+
+      expect((await db.products.findByPk(latte.id)).version).toBe(version);
+    });
+
+    it('should apply a change only once', async () => {
+      const due = await createDue([{ productId: latte.id, price: 3.2 }]);
+
+      expect(await priceChangeService.applyDue()).toEqual([due.id]);
+      expect(await priceChangeService.applyDue()).toEqual([]);
+      expect(await priceChangeService.apply(due.id)).toBe(false);
+
+      expect(await db.productPrices.count()).toBe(1);
+    });
+
+    it('should apply due changes in order of effective time', async () => {
+      await createDue([{ productId: latte.id, price: 3.4 }], { effectiveFrom: new Date(Date.now() - HOUR) });
+      await createDue([{ productId: latte.id, price: 3.2 }], { effectiveFrom: new Date(Date.now() - 2 * HOUR) });
+
+      await priceChangeService.applyDue();
+
+      expect(Number((await db.products.findByPk(latte.id)).price)).toBe(3.4);
+    });
+
+    it('should skip cancelled and future changes', async () => {
+      await createDue([{ productId: latte.id, price: 3.2 }], { status: 'cancelled' });
+      const future = await createDue([{ productId: espresso.id, price: 2 }], { effectiveFrom: new Date(Date.now() + HOUR) });
+
+      expect(await priceChangeService.applyDue()).toEqual([]);
+
+      expect(Number((await db.products.findByPk(latte.id)).price)).toBe(2.9);
+      expect((await db.priceChanges.findByPk(future.id)).status).toBe('pending');
+    });
+
+    it('should mark a change failed after repeated errors', async () => {
+      const due = await createDue([{ productId: latte.id, price: 3.2 }]);
+      const record = jest.spyOn(priceHistoryService, 'record').mockRejectedValue(new Error('History unavailable'));
+
+      try {
+        await priceChangeService.applyDue();
+        expect(await db.priceChanges.findByPk(due.id)).toMatchObject({
+          status: 'pending',
+          attempts: 1,
+          lastError: 'History unavailable',
+        });
+
+        for (let i = 1; i < priceChangeConfig.worker.maxAttempts; i++) {
+          expect(await priceChangeService.applyDue()).toEqual([]);
+        }
+      } finally {
+        record.mockRestore();
+      }
+
+      expect(await db.priceChanges.findByPk(due.id)).toMatchObject({
+        status: 'failed',
+        attempts: priceChangeConfig.worker.maxAttempts,
+      });
+      expect(await priceChangeService.applyDue()).toEqual([]);
+      expect(Number((await db.products.findByPk(latte.id)).price)).toBe(2.9);
+    });
+
+    it('should apply due changes from the worker', async () => {
+      const due = await createDue([{ productId: latte.id, price: 3.2 }]);
+
+      const worker = priceChangeService.startWorker({ interval: 60000 });
+      try {
+        for (let i = 0; i < 50 && (await db.priceChanges.findByPk(due.id)).status === 'pending'; i++) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      } finally {
+        worker.cancel();
+      }
+
+      expect((await db.priceChanges.findByPk(due.id)).status).toBe('applied');
+    });
+  });
+});
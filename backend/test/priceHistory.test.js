@@ -0,0 +1,183 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const productService = require('../services/product.service');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product Price History API', () => {
+  const API_BASE = '/api/v1';
+  let managerToken, employeeToken;
+
+  const historyOf = async productId =>
+    (
+      await db.productPrices.findAll({
+        where: { productId },
+        order: [['id', 'ASC']],
+        raw: true,
+      })
+    ).map(row => ({ price: Number(row.price), previousPrice: row.previousPrice === null ? null : Number(row.previousPrice) }));
+
+  const updateProduct = (product, body) =>
+    request(app)
+      .put(`${API_BASE}/products/${product.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(body);
+
+  const priceAt = (product, at) =>
+    request(app)
+      .get(`${API_BASE}/products/${product.id}/price`)
+      .query(at ? { at } : {})
+      .set('Authorization', `Bearer ${employeeToken}`);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.productPrices.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+  });
+
+  describe('Recording', () => {
+    it('should record the first price when a product is created', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/products`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Latte', price: 2.9 })
+        .expect(201);
+
+      expect(await historyOf(res.body.id)).toEqual([{ price: 2.9, previousPrice: null }]);
+    });
+
+    it('should record a price change with the previous price', async () => {
+      const product = await productService.create({ name: 'Latte', price: 2.9 });
+
+      await updateProduct(product, { price: 3.2 }).expect(200);
+
+      expect(await historyOf(product.id)).toEqual([
+        { price: 2.9, previousPrice: null },
+        { price: 3.2, previousPrice: 2.9 },
+      ]);
+    });
+
+    it('should not record an update that keeps the price', async () => {
+      const product = await productService.create({ name: 'Latte', price: 2.9 });
+
+      await updateProduct(product, { name: 'Caffe Latte' }).expect(200);
+      await updateProduct(product, { price: 2.9 }).expect(200);
+
+      expect(await historyOf(product.id)).toHaveLength(1);
+    });
+
+    it('should not record a rejected update', async () => {
+      const product = await productService.create({ name: 'Latte', price: 2.9 });
+      await productService.create({ name: 'Espresso', price: 1.8 });
+
+      await updateProduct(product, { name: 'Espresso', price: 3.2 }).expect(409);
+
+      expect(await historyOf(product.id)).toHaveLength(1);
+    });
+
+    it('should record bulk created products', async () => {
+      const [latte, espresso] = await productService.bulkCreate([
+        { name: 'Latte', price: 2.9 },
+        { name: 'Espresso', price: 1.8 },
+      ]);
+
+      expect(await historyOf(latte.id)).toEqual([{ price: 2.9, previousPrice: null }]);
+      expect(await historyOf(espresso.id)).toEqual([{ price: 1.8, previousPrice: null }]);
+    });
+
+    it('should record the changed prices of a bulk price update', async () => {
+      const latte = await productService.create({ name: 'Latte', price: 2.9 });
+      const espresso = await productService.create({ name: 'Espresso', price: 1.8 });
+
+      const results = await productService.bulkUpdatePrices([
+        { id: latte.id, price: 3.1 },
+        { id: espresso.id, price: 1.8 },
+      ]);
+
+      expect(results.map(p => Number(p.price)).sort()).toEqual([1.8, 3.1]);
+      expect(await historyOf(latte.id)).toEqual([
+        { price: 2.9, previousPrice: null },
+        { price: 3.1, previousPrice: 2.9 },
+      ]);
+      expect(await historyOf(espresso.id)).toHaveLength(1);
+      expect((await db.products.findByPk(latte.id)).version).toBe(latte.version + 1);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/:id/price-history`, () => {
+    it('should list the prices newest first', async () => {
+      const product = await productService.create({ name: 'Latte', price: 2.9 });
+      await updateProduct(product, { price: 3.1 }).expect(200);
+      await updateProduct(product, { price: 3.2 }).expect(200);
+
+      const res = await request(app)
+        .get(`${API_BASE}/products/${product.id}/price-history`)
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.meta.total).toBe(3);
+      expect(res.body.data.map(row => Number(row.price))).toEqual([3.2, 3.1]);
+      expect(Number(res.body.data[0].previousPrice)).toBe(3.1);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      await request(app)
+        .get(`${API_BASE}/products/99999/price-history`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(404);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/:id/price`, () => {
+    let product;
+
+    beforeEach(async () => {
+      product = await db.products.create({ name: 'Latte', price: 3.2 });
+      await db.productPrices.bulkCreate([
+        { productId: product.id, price: 2.9, previousPrice: null, effectiveFrom: new Date('2026-09-01T00:00:00Z') },
+        { productId: product.id, price: 3.2, previousPrice: 2.9, effectiveFrom: new Date('2026-10-01T06:00:00Z') },
+      ]);
+    });
+
+    it('should return the price in effect at the moment', async () => {
+      const september = await priceAt(product, '2026-09-30T12:00:00Z').expect(200);
+      expect(Number(september.body.price)).toBe(2.9);
+      expect(september.body.effectiveFrom).toBe('2026-09-01T00:00:00.000Z');
+
+      const october = await priceAt(product, '2026-10-01T06:00:00Z').expect(200);
+      expect(Number(october.body.price)).toBe(3.2);
+      expect(october.body).toMatchObject({ productId: product.id, at: '2026-10-01T06:00:00.000Z' });
+    });
+
+    it('should default to now', async () => {
+      const res = await priceAt(product).expect(200);
+
+      expect(Number(res.body.price)).toBe(3.2);
+    });
+
+    it('should return 404 before the first recorded price', async () => {
+      const res = await priceAt(product, '2026-08-31').expect(404);
+
+      expect(res.body.error.message).toContain('No price recorded');
+    });
+
+    it('should reject an invalid date', async () => {
+      await priceAt(product, 'yesterday').expect(400);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      await priceAt({ id: 99999 }, '2026-10-01').expect(404);
+    });
+  });
+});
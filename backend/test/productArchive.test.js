@@ -0,0 +1,196 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product Archive API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken;
+  let employee, coffee, tea;
+
+  const archive = product =>
+    request(app)
+      .delete(`${API_BASE}/products/${product.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+  const createPurchase = (items, status = 'open') =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ employeeId: employee.id, date: new Date().toISOString(), status, items });
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+  });
+
+  beforeEach(async () => {
+    await db.stockMovements.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.promotions.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.categories.destroy({ where: {} });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Archive Tester',
+      employee_number: 'ARC-001',
+      monthlyConsumptionValue: 1000,
+    });
+    coffee = await db.products.create({ name: 'Filter Coffee', price: 2 });
+    tea = await db.products.create({ name: 'Green Tea', price: 1.5 });
+  });
+
+  describe(`DELETE ${API_BASE}/products/:id`, () => {
+    it('should archive a product that was sold', async () => {
+      await createPurchase([{ productId: coffee.id }]).expect(201);
+
+      await archive(coffee).expect(200);
+
+      const list = await request(app)
+        .get(`${API_BASE}/products`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(list.body.data.map(p => p.name)).toEqual(['Green Tea']);
+
+      await request(app)
+        .get(`${API_BASE}/products/${coffee.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+
+    it('should keep archived products on past purchases', async () => {
+      const purchase = await createPurchase([{ productId: coffee.id, quantity: 2 }]).expect(201);
+      await archive(coffee).expect(200);
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.purchaseItems[0].product).toMatchObject({ id: coffee.id, name: 'Filter Coffee' });
+      expect(Number(res.body.total)).toBe(4);
+    });
+
+    it('should keep the sales of archived products in the stats', async () => {
+      const drinks = await db.categories.create({ name: 'Drinks' });
+      await coffee.update({ categoryId: drinks.id });
+      await tea.update({ categoryId: drinks.id });
+      await createPurchase([{ productId: coffee.id, quantity: 3 }, { productId: tea.id, quantity: 2 }], 'closed')
+        .expect(201);
+      await archive(coffee).expect(200);
+
+      const stats = await request(app)
+        .get(`${API_BASE}/products/${coffee.id}/stats`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(stats.body.stats).toMatchObject({ totalQuantitySold: 3, totalRevenue: 6 });
+      expect(stats.body.categoryStats).toMatchObject({ totalQuantitySold: 5, totalRevenue: 9, rank: 1 });
+
+      const popular = await request(app)
+        .get(`${API_BASE}/products/popular?by=category`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(popular.body).toEqual([expect.objectContaining({ categoryId: drinks.id, totalQuantity: 5, totalRevenue: 9 })]);
+    });
+
+    it('should not let archived products be purchased', async () => {
+      const purchase = await createPurchase([{ productId: tea.id }]).expect(201);
+      await archive(coffee).expect(200);
+
+      const res = await createPurchase([{ productId: coffee.id }]).expect(400);
+      expect(res.body.error.message).toContain('archived');
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: coffee.id }] })
+        .expect(400);
+    });
+
+    it('should return the stock of archived products when a purchase is voided', async () => {
+      await coffee.update({ trackStock: true, stockQuantity: 5 });
+      const purchase = await createPurchase([{ productId: coffee.id, quantity: 2 }], 'closed').expect(201);
+      await archive(coffee).expect(200);
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/void`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Test' })
+        .expect(200);
+
+      await coffee.reload({ paranoid: false });
+      expect(coffee.stockQuantity).toBe(5);
+    });
+  });
+
+  describe(`${API_BASE}/products/deleted and restore`, () => {
+    it('should list and restore archived products', async () => {
+      await archive(coffee).expect(200);
+
+      const deleted = await request(app)
+        .get(`${API_BASE}/products/deleted`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(deleted.body.data.map(p => p.id)).toEqual([coffee.id]);
+      expect(deleted.body.data[0].deletedAt).toBeTruthy();
+
+      const res = await request(app)
+        .post(`${API_BASE}/products/${coffee.id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.deletedAt).toBeNull();
+
+      await createPurchase([{ productId: coffee.id }]).expect(201);
+    });
+
+    it('should only restore archived products', async () => {
+      await request(app)
+        .post(`${API_BASE}/products/${coffee.id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      await request(app)
+        .get(`${API_BASE}/products/deleted`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe(`DELETE ${API_BASE}/products/:id/hard-delete`, () => {
+    const hardDelete = product =>
+      request(app)
+        .delete(`${API_BASE}/products/${product.id}/hard-delete`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+    it('should permanently delete unused products, archived or not', async () => {
+      await archive(coffee).expect(200);
+
+      await hardDelete(coffee).expect(200);
+      await hardDelete(tea).expect(200);
+
+      expect(await db.products.count({ paranoid: false })).toBe(0);
+    });
+
+    it('should refuse products that were sold or promoted', async () => {
+      await createPurchase([{ productId: coffee.id }]).expect(201);
+      const promotion = await db.promotions.create({ name: 'Tea Bundle', type: 'bundle', value: 2 });
+      await db.promotionProducts.create({ promotionId: promotion.id, productId: tea.id, quantity: 2 });
+
+      const sold = await hardDelete(coffee).expect(400);
+      expect(sold.body.error.message).toContain('1 purchase items');
+
+      const promoted = await hardDelete(tea).expect(400);
+      expect(promoted.body.error.message).toContain('1 promotions');
+
+      expect(await db.products.count({ paranoid: false })).toBe(2);
+    });
+  });
+});
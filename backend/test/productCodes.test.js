@@ -0,0 +1,211 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const { isValidBarcode, normalizeBarcode } = require('../utils/barcode');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product SKUs and Barcodes', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+
+  const createProduct = body =>
+    request(app)
+      .post(`${API_BASE}/products`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(body);
+
+  const lookup = code =>
+    request(app)
+      .get(`${API_BASE}/products/lookup`)
+      .query({ code })
+      .set('Authorization', `Bearer ${employeeToken}`);
+
+  const codesOf = product => product.barcodes.map(barcode => barcode.code).sort();
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+  });
+
+  beforeEach(async () => {
+    await db.productBarcodes.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+  });
+
+  describe('Barcode checksum', () => {
+    it('should accept EAN-8, UPC-A and EAN-13 codes with a valid check digit', () => {
+      expect(isValidBarcode('96385074')).toBe(true);
+      expect(isValidBarcode('036000291452')).toBe(true);
+      expect(isValidBarcode('4006381333931')).toBe(true);
+
+      expect(isValidBarcode('4006381333932')).toBe(false);
+      expect(isValidBarcode('400638133393')).toBe(false);
+      expect(isValidBarcode('40063813339a1')).toBe(false);
+    });
+
+    it('should store UPC-A codes in their EAN-13 form', () => {
+      expect(normalizeBarcode('036000291452')).toBe('0036000291452');
+      expect(normalizeBarcode('96385074')).toBe('96385074');
+    });
+  });
+
+  describe(`POST ${API_BASE}/products`, () => {
+    it('should create a product with a SKU and barcodes', async () => {
+      const res = await createProduct({
+        name: 'Cola',
+        price: 1.8,
+        sku: ' drk-cola ',
+        barcodes: ['5449000000996', '036000291452'],
+      }).expect(201);
+
+      expect(res.body.sku).toBe('DRK-COLA');
+      expect(codesOf(res.body)).toEqual(['0036000291452', '5449000000996']);
+    });
+
+    it('should reject invalid and repeated barcodes', async () => {
+      const invalid = await createProduct({ name: 'Cola', price: 1.8, barcodes: ['5449000000997'] }).expect(400);
+      expect(invalid.body.error.message).toContain('Barcode 5449000000997 is not a valid');
+
+      // Same code as UPC-A and EAN-13
+      await createProduct({ name: 'Cola', price: 1.8, barcodes: ['036000291452', '0036000291452'] }).expect(400);
+    });
+
+    it('should keep SKUs and barcodes unique across products', async () => {
+      await createProduct({ name: 'Cola', price: 1.8, sku: 'DRK-COLA', barcodes: ['5449000000996'] }).expect(201);
+
+      const sku = await createProduct({ name: 'Cola Zero', price: 1.8, sku: 'drk-cola' }).expect(409);
+      expect(sku.body.error.message).toBe('Product with this SKU already exists');
+
+      const barcode = await createProduct({ name: 'Cola Zero', price: 1.8, barcodes: ['5449000000996'] }).expect(409);
+      expect(barcode.body.error.message).toBe('Barcode 5449000000996 already belongs to product "Cola"');
+    });
+  });
+
+  describe(`PUT ${API_BASE}/products/:id`, () => {
+    it('should replace the barcodes and clear the SKU', async () => {
+      const created = await createProduct({
+        name: 'Cola',
+        price: 1.8,
+        sku: 'DRK-COLA',
+        barcodes: ['5449000000996'],
+      }).expect(201);
+
+      const res = await request(app)
+        .put(`${API_BASE}/products/${created.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ sku: null, barcodes: ['96385074', '5449000000996'] })
+        .expect(200);
+
+      expect(res.body.sku).toBeNull();
+      expect(codesOf(res.body)).toEqual(['5449000000996', '96385074']);
+    });
+  });
+
+  describe(`GET ${API_BASE}/products/lookup`, () => {
+    let cola;
+
+    beforeEach(async () => {
+      cola = (await createProduct({
+        name: 'Cola',
+        price: 1.8,
+        sku: 'DRK-COLA',
+        barcodes: ['5449000000996', '036000291452'],
+      }).expect(201)).body;
+    });
+
+    it('should find a product by barcode with all its barcodes', async () => {
+      const res = await lookup('5449000000996').expect(200);
+
+      expect(res.body.id).toBe(cola.id);
+      expect(Number(res.body.price)).toBe(1.8);
+      expect(codesOf(res.body)).toEqual(['0036000291452', '5449000000996']);
+    });
+
+    it('should find UPC-A codes in either form', async () => {
+      expect((await lookup('036000291452').expect(200)).body.id).toBe(cola.id);
+      expect((await lookup('0036000291452').expect(200)).body.id).toBe(cola.id);
+    });
+
+    it('should prefer a barcode over another product\'s SKU', async () => {
+      await createProduct({ name: 'Tea', price: 1.5, sku: '5449000000996' }).expect(201);
+      await createProduct({ name: 'Water', price: 1, sku: '4006381333931' }).expect(201);
+
+      expect((await lookup('5449000000996').expect(200)).body.id).toBe(cola.id);
+      expect((await lookup('4006381333931').expect(200)).body.name).toBe('Water');
+    });
+
+    it('should find a product by SKU regardless of case', async () => {
+      const res = await lookup('drk-cola').expect(200);
+
+      expect(res.body.id).toBe(cola.id);
+    });
+
+    it('should not find unknown codes and archived products', async () => {
+      await lookup('4006381333931').expect(404);
+      await lookup('').expect(400);
+
+      await request(app)
+        .delete(`${API_BASE}/products/${cola.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await lookup('5449000000996').expect(404);
+      await lookup('DRK-COLA').expect(404);
+
+      // Still reserved for the archived product
+      const res = await createProduct({ name: 'Cola New', price: 2, barcodes: ['5449000000996'] }).expect(409);
+      expect(res.body.error.message).toContain('"Cola" (archived)');
+    });
+  });
+
+  describe(`POST ${API_BASE}/products/bulk`, () => {
+    it('should import products with their SKUs and barcodes', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/products/bulk`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send([
+          { name: 'Cola', price: 1.8, sku: 'DRK-COLA', barcodes: ['5449000000996'] },
+          { name: 'Water', price: 1.2 },
+        ])
+        .expect(201);
+
+      expect(res.body).toHaveLength(2);
+      expect((await lookup('5449000000996').expect(200)).body.name).toBe('Cola');
+    });
+
+    it('should import nothing when a barcode clashes', async () => {
+      await createProduct({ name: 'Cola', price: 1.8, barcodes: ['5449000000996'] }).expect(201);
+
+      const send = body => request(app)
+        .post(`${API_BASE}/products/bulk`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(body);
+
+      await send([
+        { name: 'Water', price: 1.2, barcodes: ['96385074'] },
+        { name: 'Juice', price: 2.2, barcodes: ['96385074'] },
+      ]).expect(400);
+      await send([
+        { name: 'Water', price: 1.2 },
+        { name: 'Cola Zero', price: 1.8, barcodes: ['5449000000996'] },
+      ]).expect(409);
+
+      expect(await db.products.count()).toBe(1);
+    });
+
+    it('should only let admins and managers import', async () => {
+      await request(app)
+        .post(`${API_BASE}/products/bulk`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send([{ name: 'Water', price: 1.2 }])
+        .expect(403);
+    });
+  });
+});
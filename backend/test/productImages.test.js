@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+
+// Read by config/images.js when the app is loaded
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feastfrenzy-images-'));
+process.env.UPLOAD_DESTINATION = uploadDir;
+process.env.UPLOAD_MAX_SIZE = '100000';
+
+const app = require('../server');
+const db = require('../model');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Product Images API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let product, png, jpeg;
+
+  const upload = (body, options = { filename: 'photo.png', contentType: 'image/png' }, token = managerToken) =>
+    request(app)
+      .post(`${API_BASE}/products/${product.id}/image`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('image', body, options);
+
+  const files = () => {
+    const dir = path.join(uploadDir, 'products', String(product.id));
+    return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+  };
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+
+    const image = { create: { width: 300, height: 200, channels: 3, background: '#c0392b' } };
+    png = await sharp(image).png().toBuffer();
+    jpeg = await sharp(image).jpeg().toBuffer();
+  });
+
+  beforeEach(async () => {
+    await db.products.destroy({ where: {}, force: true });
+    fs.rmSync(path.join(uploadDir, 'products'), { recursive: true, force: true });
+
+    product = await db.products.create({ name: 'Tomato Soup', price: 4 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe(`POST ${API_BASE}/products/:id/image`, () => {
+    it('should store the image in every size', async () => {
+      const res = await upload(png).expect(200);
+
+      const hash = res.body.imageHash;
+      expect(hash).toMatch(/^[0-9a-f]{16}$/);
+      expect(res.body.images).toEqual({
+        thumbnail: `/uploads/products/${product.id}/${hash}-thumbnail.webp`,
+        small: `/uploads/products/${product.id}/${hash}-small.webp`,
+        medium: `/uploads/products/${product.id}/${hash}-medium.webp`,
+        large: `/uploads/products/${product.id}/${hash}-large.webp`,
+      });
+      expect(files()).toHaveLength(4);
+
+      const thumbnail = await sharp(path.join(uploadDir, 'products', String(product.id), `${hash}-thumbnail.webp`)).metadata();
+      expect(thumbnail).toMatchObject({ format: 'webp', width: 150, height: 150 });
+
+      // Never enlarged
+      const large = await sharp(path.join(uploadDir, 'products', String(product.id), `${hash}-large.webp`)).metadata();
+      expect(large).toMatchObject({ width: 300, height: 200 });
+    });
+
+    it('should serve the files with long-lived cache headers', async () => {
+      const uploaded = await upload(png).expect(200);
+
+      const res = await request(app).get(uploaded.body.images.small).expect(200);
+
+      expect(res.headers['content-type']).toBe('image/webp');
+      expect(res.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+    });
+
+    it('should replace the previous image and its files', async () => {
+      const first = await upload(png).expect(200);
+      const second = await upload(jpeg, { filename: 'photo.jpg', contentType: 'image/jpeg' }).expect(200);
+
+      expect(second.body.imageHash).not.toBe(first.body.imageHash);
+      expect(files().every(file => file.startsWith(second.body.imageHash))).toBe(true);
+      expect(files()).toHaveLength(4);
+
+      const single = await request(app)
+        .get(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(single.body.images.large).toBe(second.body.images.large);
+    });
+
+    it('should reject unsupported, invalid, oversized and missing files', async () => {
+      await upload(Buffer.from('GIF89a'), { filename: 'photo.gif', contentType: 'image/gif' }).expect(415);
+
+      const invalid = await upload(Buffer.from('not really a png')).expect(400);
+      expect(invalid.body.error.message).toContain('not a valid image');
+
+      const oversized = await sharp({ create: { width: 800, height: 800, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 60 } } })
+        .png()
+        .toBuffer();
+      const tooLarge = await upload(oversized).expect(413);
+      expect(tooLarge.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+
+      await request(app)
+        .post(`${API_BASE}/products/${product.id}/image`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(400);
+
+      expect(files()).toHaveLength(0);
+    });
+
+    it('should only let admins and managers upload', async () => {
+      await upload(png, undefined, employeeToken).expect(403);
+
+      await request(app)
+        .post(`${API_BASE}/products/99999/image`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .attach('image', png, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(404);
+    });
+  });
+
+  describe('Removing images', () => {
+    it('should remove the image and its files', async () => {
+      await upload(png).expect(200);
+
+      const res = await request(app)
+        .delete(`${API_BASE}/products/${product.id}/image`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body.images).toBeNull();
+      expect(files()).toHaveLength(0);
+
+      await request(app)
+        .delete(`${API_BASE}/products/${product.id}/image`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+    });
+
+    it('should keep the image of archived products and remove it on hard delete', async () => {
+      await upload(png).expect(200);
+
+      await request(app)
+        .delete(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(files()).toHaveLength(4);
+
+      await request(app)
+        .delete(`${API_BASE}/products/${product.id}/hard-delete`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(files()).toHaveLength(0);
+    });
+  });
+});
@@ -20,7 +20,7 @@ describe('Products API', () => {
   });
 
   beforeEach(async () => {
-    await db.products.destroy({ where: {}, truncate: true });
+    await db.products.destroy({ where: {}, truncate: true, force: true });
   });
 
   describe(`GET ${API_BASE}/products`, () => {
@@ -275,6 +275,7 @@ describe('Products API', () => {
       expect(res.body).toHaveProperty('id', product.id);
       expect(res.body).toHaveProperty('name', 'Test Product');
       expect(parseFloat(res.body.price)).toBe(15.5);
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
     });
 
     it('should return 404 for non-existent product', async () => {
@@ -437,6 +438,73 @@ describe('Products API', () => {
     });
   });
 
+  describe('Optimistic concurrency (If-Match)', () => {
+    it('should update when If-Match has the current version', async () => {
+      const product = await db.products.create({ name: 'Tea', price: 2.0 });
+
+      const read = await request(app)
+        .get(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .put(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', read.headers.etag)
+        .send({ price: 2.5 })
+        .expect(200);
+
+      expect(res.body.version).toBe(read.body.version + 1);
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    });
+
+    it('should return 412 when the product changed since it was read', async () => {
+      const product = await db.products.create({ name: 'Tea', price: 2.0 });
+      const staleETag = `"${product.version}"`;
+
+      await request(app)
+        .patch(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .set('If-Match', staleETag)
+        .send({ price: 2.2 })
+        .expect(200);
+
+      const res = await request(app)
+        .patch(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', staleETag)
+        .send({ price: 3.0 })
+        .expect(412);
+
+      expect(res.body.error).toHaveProperty('code', 'PRECONDITION_FAILED');
+      expect(res.body.error.details).toEqual({
+        currentVersion: product.version + 1,
+        etag: `"${product.version + 1}"`,
+      });
+
+      const current = await db.products.findByPk(product.id);
+      expect(parseFloat(current.price)).toBe(2.2);
+    });
+
+    it('should accept weak and wildcard If-Match values', async () => {
+      const product = await db.products.create({ name: 'Tea', price: 2.0 });
+
+      await request(app)
+        .patch(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', `W/"${product.version}"`)
+        .send({ price: 2.1 })
+        .expect(200);
+
+      await request(app)
+        .patch(`${API_BASE}/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', '*')
+        .send({ price: 2.2 })
+        .expect(200);
+    });
+  });
+
   describe(`DELETE ${API_BASE}/products/:id`, () => {
     it('should return 403 when employee tries to delete', async () => {
       const product = await db.products.create({
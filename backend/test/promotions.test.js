@@ -0,0 +1,455 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const allowanceService = require('../services/allowance.service');
+const availabilityConfig = require('../config/availability');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Promotions API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken, employeeToken;
+  let employee, otherEmployee, coffee, croissant, salad, soup, salads;
+  let originalTimezone;
+
+  // Monday 2026-10-19, cafeteria timezone UTC
+  const MONDAY_0900 = '2026-10-19T09:00:00.000Z';
+  const MONDAY_1500 = '2026-10-19T15:00:00.000Z';
+  const MONDAY_1600 = '2026-10-19T16:00:00.000Z';
+
+  const createPromotion = (body, token = managerToken) =>
+    request(app)
+      .post(`${API_BASE}/promotions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const createPurchase = (date, items, employeeId = employee.id) =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ date, employeeId, items });
+
+  const breakfastBundle = () =>
+    createPromotion({
+      name: 'Coffee + croissant',
+      type: 'bundle',
+      value: 9,
+      products: [{ productId: coffee.id }, { productId: croissant.id }],
+    }).expect(201);
+
+  const afternoonSalads = (fields = {}) =>
+    createPromotion({
+      name: 'Salads after 2pm',
+      type: 'percentage',
+      value: 20,
+      categoryId: salads.id,
+      startTime: '14:00',
+      ...fields,
+    }).expect(201);
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+    employeeToken = generateTestToken('employee');
+
+    originalTimezone = availabilityConfig.timezone;
+    availabilityConfig.timezone = 'UTC';
+  });
+
+  afterAll(() => {
+    availabilityConfig.timezone = originalTimezone;
+  });
+
+  beforeEach(async () => {
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseDiscounts.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.promotionProducts.destroy({ where: {} });
+    await db.promotions.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.categories.destroy({ where: {} });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Test Employee',
+      employee_number: 'PROMO1',
+      monthlyConsumptionValue: 1000,
+    });
+    otherEmployee = await db.employees.create({
+      name: 'Other Employee',
+      employee_number: 'PROMO2',
+      monthlyConsumptionValue: 1000,
+    });
+
+    salads = await db.categories.create({ name: 'Salads' });
+    const greenSalads = await db.categories.create({ name: 'Green salads', parentId: salads.id });
+
+    coffee = await db.products.create({ name: 'Coffee', price: 4.5 });
+    croissant = await db.products.create({ name: 'Croissant', price: 5.7 });
+    salad = await db.products.create({ name: 'Garden Salad', price: 10, categoryId: greenSalads.id });
+    soup = await db.products.create({ name: 'Soup', price: 6 });
+  });
+
+  describe(`${API_BASE}/promotions`, () => {
+    it('should create a promotion with its products', async () => {
+      const res = await breakfastBundle();
+
+      expect(res.body).toMatchObject({ name: 'Coffee + croissant', type: 'bundle', active: true, priority: 0 });
+      expect(Number(res.body.value)).toBe(9);
+      expect(res.body.products.map(item => [item.product.name, item.quantity])).toEqual([
+        ['Coffee', 1],
+        ['Croissant', 1],
+      ]);
+    });
+
+    it('should reject promotions that cannot be evaluated', async () => {
+      await createPromotion({ name: 'Too much', type: 'percentage', value: 120 }).expect(400);
+      await createPromotion({ name: 'Empty bundle', type: 'bundle', value: 5 }).expect(400);
+      await createPromotion({ name: 'Odd', type: 'free', value: 5 }).expect(400);
+      await createPromotion({ name: 'Late', type: 'fixed', value: 1, startTime: '15:00', endTime: '14:00' }).expect(400);
+
+      const res = await createPromotion({
+        name: 'Ghost',
+        type: 'fixed',
+        value: 1,
+        products: [{ productId: 99999 }],
+      }).expect(400);
+      expect(res.body.error.message).toBe('Products not found: 99999');
+
+      await createPromotion({ name: 'Ghost category', type: 'fixed', value: 1, categoryId: 99999 }).expect(400);
+    });
+
+    it('should only let admins and managers change promotions', async () => {
+      await createPromotion({ name: 'Mine', type: 'fixed', value: 1 }, employeeToken).expect(403);
+
+      const list = await request(app)
+        .get(`${API_BASE}/promotions`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(list.body.data).toEqual([]);
+    });
+
+    it('should list promotions by priority and filter by active', async () => {
+      await breakfastBundle();
+      await afternoonSalads({ priority: 5 });
+      await createPromotion({ name: 'Paused', type: 'fixed', value: 1, active: false }).expect(201);
+
+      const all = await request(app)
+        .get(`${API_BASE}/promotions`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(all.body.data.map(promotion => promotion.name)).toEqual(['Salads after 2pm', 'Coffee + croissant', 'Paused']);
+
+      const inactive = await request(app)
+        .get(`${API_BASE}/promotions`)
+        .query({ active: false })
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+      expect(inactive.body.data.map(promotion => promotion.name)).toEqual(['Paused']);
+
+      await request(app)
+        .get(`${API_BASE}/promotions`)
+        .query({ active: 'maybe' })
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(400);
+    });
+
+    it('should replace the products on update', async () => {
+      const bundle = await breakfastBundle();
+
+      const res = await request(app)
+        .put(`${API_BASE}/promotions/${bundle.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ value: 8, products: [{ productId: coffee.id, quantity: 2 }] })
+        .expect(200);
+
+      expect(Number(res.body.value)).toBe(8);
+      expect(res.body.products.map(item => [item.productId, item.quantity])).toEqual([[coffee.id, 2]]);
+
+      await request(app)
+        .put(`${API_BASE}/promotions/${bundle.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ products: [] })
+        .expect(400);
+    });
+
+    it('should keep the discount lines of a deleted promotion', async () => {
+      const bundle = await breakfastBundle();
+      const purchase = await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 1 },
+        { productId: croissant.id, quantity: 1 },
+      ]).expect(201);
+
+      await request(app)
+        .delete(`${API_BASE}/promotions/${bundle.body.id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.discounts).toHaveLength(1);
+      expect(res.body.discounts[0]).toMatchObject({ promotionId: null, promotionName: 'Coffee + croissant' });
+      expect(Number(res.body.total)).toBe(9);
+    });
+  });
+
+  describe('Purchases', () => {
+    it('should price a bundle and store the discount line with its rule', async () => {
+      const bundle = await breakfastBundle();
+
+      const res = await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 2 },
+        { productId: croissant.id, quantity: 1 },
+      ]).expect(201);
+
+      expect(Number(res.body.total)).toBe(13.5);
+      expect(res.body.discounts).toHaveLength(1);
+      expect(res.body.discounts[0]).toMatchObject({
+        promotionId: bundle.body.id,
+        promotionName: 'Coffee + croissant',
+        applications: 1,
+      });
+      expect(Number(res.body.discounts[0].amount)).toBe(1.2);
+    });
+
+    it('should apply a percentage to a category and its subcategories in the time window', async () => {
+      await afternoonSalads();
+
+      const afternoon = await createPurchase(MONDAY_1500, [
+        { productId: salad.id, quantity: 2 },
+        { productId: soup.id, quantity: 1 },
+      ]).expect(201);
+      expect(Number(afternoon.body.total)).toBe(22);
+      expect(afternoon.body.discounts[0]).toMatchObject({ promotionName: 'Salads after 2pm', applications: 2 });
+
+      const morning = await createPurchase(MONDAY_0900, [{ productId: salad.id, quantity: 1 }]).expect(201);
+      expect(Number(morning.body.total)).toBe(10);
+      expect(morning.body.discounts).toEqual([]);
+    });
+
+    it('should never take a unit below zero', async () => {
+      await createPromotion({ name: 'Free coffee', type: 'fixed', value: 10, products: [{ productId: coffee.id }] })
+        .expect(201);
+
+      const res = await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 1 },
+        { productId: soup.id, quantity: 1 },
+      ]).expect(201);
+
+      expect(Number(res.body.total)).toBe(6);
+    });
+
+    it('should discount each unit once, bundles first', async () => {
+      await createPromotion({ name: 'Cheap coffee', type: 'fixed', value: 1, products: [{ productId: coffee.id }] })
+        .expect(201);
+      await breakfastBundle();
+
+      const res = await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 2 },
+        { productId: croissant.id, quantity: 1 },
+      ]).expect(201);
+
+      expect(res.body.discounts.map(line => [line.promotionName, line.applications])).toEqual([
+        ['Coffee + croissant', 1],
+        ['Cheap coffee', 1],
+      ]);
+      expect(Number(res.body.total)).toBe(12.5);
+    });
+
+    it('should ignore inactive promotions', async () => {
+      await afternoonSalads({ active: false });
+
+      const res = await createPurchase(MONDAY_1500, [{ productId: salad.id, quantity: 1 }]).expect(201);
+
+      expect(res.body.discounts).toEqual([]);
+    });
+
+    it('should enforce per-employee limits across purchases', async () => {
+      await afternoonSalads({ perEmployeeLimit: 1 });
+
+      const first = await createPurchase(MONDAY_1500, [{ productId: salad.id, quantity: 2 }]).expect(201);
+      expect(first.body.discounts[0].applications).toBe(1);
+      expect(Number(first.body.total)).toBe(18);
+
+      const second = await createPurchase(MONDAY_1600, [{ productId: salad.id, quantity: 1 }]).expect(201);
+      expect(second.body.discounts).toEqual([]);
+
+      const other = await createPurchase(MONDAY_1600, [{ productId: salad.id, quantity: 1 }], otherEmployee.id)
+        .expect(201);
+      expect(other.body.discounts).toHaveLength(1);
+
+      // Repricing a purchase does not count its own discount against the limit
+      const again = await request(app)
+        .post(`${API_BASE}/purchases/${first.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: soup.id, quantity: 1 }] })
+        .expect(200);
+      expect(again.body.discounts[0].applications).toBe(1);
+    });
+
+    it('should reset daily limits at midnight in the cafeteria timezone', async () => {
+      await createPromotion({
+        name: 'Coffee + croissant',
+        type: 'bundle',
+        value: 9,
+        perEmployeeLimit: 1,
+        products: [{ productId: coffee.id }, { productId: croissant.id }],
+      }).expect(201);
+      const bundle = [{ productId: coffee.id, quantity: 1 }, { productId: croissant.id, quantity: 1 }];
+      availabilityConfig.timezone = 'Europe/Berlin';
+
+      try {
+        // 23:30 on Monday and 00:30 on Tuesday in Berlin, both Monday in UTC
+        const late = await createPurchase('2026-10-19T21:30:00.000Z', bundle).expect(201);
+        const early = await createPurchase('2026-10-19T22:30:00.000Z', bundle).expect(201);
+
+        expect(late.body.discounts).toHaveLength(1);
+        expect(early.body.discounts).toHaveLength(1);
+      } finally {
+        availabilityConfig.timezone = 'UTC';
+      }
+    });
+
+    it('should re-evaluate when items are added or removed', async () => {
+      await breakfastBundle();
+      const purchase = await createPurchase(MONDAY_0900, [{ productId: coffee.id, quantity: 1 }]).expect(201);
+      expect(purchase.body.discounts).toEqual([]);
+
+      const added = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: croissant.id, quantity: 1 }] })
+        .expect(200);
+      expect(Number(added.body.total)).toBe(9);
+
+      const croissantLine = added.body.purchaseItems.find(item => item.productId === croissant.id);
+      await request(app)
+        .delete(`${API_BASE}/purchase-items/${croissantLine.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const after = await db.purchases.findByPk(purchase.body.id, { include: ['discounts'] });
+      expect(after.discounts).toEqual([]);
+      expect(Number(after.total)).toBe(4.5);
+    });
+
+    it('should re-evaluate when the purchase moves to another time', async () => {
+      await afternoonSalads();
+      const purchase = await createPurchase(MONDAY_1500, [{ productId: salad.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .patch(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: MONDAY_0900 })
+        .expect(200);
+
+      expect(res.body.discounts).toEqual([]);
+      expect(Number(res.body.total)).toBe(10);
+      expect(res.body.version).toBe(purchase.body.version + 1);
+    });
+
+    it('should count spending net of discounts', async () => {
+      await breakfastBundle();
+      await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 1 },
+        { productId: croissant.id, quantity: 1 },
+      ]).expect(201);
+
+      const summaries = await request(app)
+        .get(`${API_BASE}/purchases/summaries`)
+        .query({ from: '2026-10-01', to: '2026-10-31' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(summaries.body.find(row => row.employeeId === employee.id).totalSpending).toBe(9);
+
+      const { spent } = await allowanceService.getBalance(employee.id, { date: MONDAY_0900 });
+      expect(spent).toBe(9);
+
+      const mismatches = await request(app)
+        .get(`${API_BASE}/purchases/consistency`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(mismatches.body).toEqual([]);
+    });
+
+    it('should refund a line at its share of the discounted total', async () => {
+      await breakfastBundle();
+      const purchase = await createPurchase(MONDAY_0900, [
+        { productId: coffee.id, quantity: 1 },
+        { productId: croissant.id, quantity: 1 },
+      ]).expect(201);
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/close`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const coffeeLine = purchase.body.purchaseItems.find(item => item.productId === coffee.id);
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/refunds`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Coffee was cold', items: [{ purchaseItemId: coffeeLine.id, quantity: 1 }] })
+        .expect(201);
+
+      // 4.50 of 10.20 paid as 9.00
+      expect(Number(res.body.total)).toBe(3.97);
+    });
+  });
+
+  describe(`POST ${API_BASE}/purchases/preview`, () => {
+    const preview = (body, token = employeeToken) =>
+      request(app)
+        .post(`${API_BASE}/purchases/preview`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('should price a basket without saving it', async () => {
+      await breakfastBundle();
+      await afternoonSalads();
+
+      const res = await preview({
+        employeeId: employee.id,
+        date: MONDAY_1500,
+        items: [
+          { productId: coffee.id, quantity: 1 },
+          { productId: croissant.id, quantity: 1 },
+          { productId: salad.id, quantity: 1 },
+        ],
+      }).expect(200);
+
+      expect(res.body).toMatchObject({ employeeId: employee.id, subtotal: 20.2, discountTotal: 3.2, total: 17 });
+      expect(res.body.items.map(item => item.lineTotal)).toEqual([4.5, 5.7, 10]);
+      expect(res.body.discounts.map(line => [line.promotionName, line.amount])).toEqual([
+        ['Coffee + croissant', 1.2],
+        ['Salads after 2pm', 2],
+      ]);
+      expect(await db.purchases.count()).toBe(0);
+      expect(await db.purchaseDiscounts.count()).toBe(0);
+    });
+
+    it('should default to now and apply per-employee limits', async () => {
+      await afternoonSalads({ startTime: null, perEmployeeLimit: 1 });
+      await createPurchase(new Date().toISOString(), [{ productId: salad.id, quantity: 1 }]).expect(201);
+
+      const res = await preview({ employeeId: employee.id, items: [{ productId: salad.id }] }).expect(200);
+
+      expect(Math.abs(new Date(res.body.date) - Date.now())).toBeLessThan(60000);
+      expect(res.body.discounts).toEqual([]);
+      expect(res.body.total).toBe(10);
+    });
+
+    it('should reject unknown employees and products', async () => {
+      await preview({ employeeId: 99999, items: [{ productId: coffee.id }] }).expect(404);
+      await preview({ employeeId: employee.id, items: [{ productId: 99999 }] }).expect(404);
+      await preview({ employeeId: employee.id, items: [] }).expect(400);
+    });
+  });
+});
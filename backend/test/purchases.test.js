@@ -22,6 +22,8 @@ describe('Purchases API', () => {
 
   beforeEach(async () => {
     // Delete in correct order due to foreign key constraints
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
     await db.purchaseItems.destroy({ where: {} });
     await db.purchases.destroy({ where: {} });
     await db.employees.destroy({ where: {} });
@@ -56,14 +58,14 @@ describe('Purchases API', () => {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 25.5,
-          closed: false,
+          status: 'open',
           userId: 1,
         },
         {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 15.0,
-          closed: true,
+          status: 'closed',
           userId: 2,
         },
       ]);
@@ -83,13 +85,13 @@ describe('Purchases API', () => {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 25.5,
-          closed: false,
+          status: 'open',
         },
         {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 15.0,
-          closed: true,
+          status: 'closed',
         },
       ]);
 
@@ -107,7 +109,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 25.5,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -115,7 +117,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 15.0,
-        closed: true,
+        status: 'closed',
         userId: 1,
       });
 
@@ -128,6 +130,44 @@ describe('Purchases API', () => {
       expect(res.body.data).toHaveLength(1);
       expect(parseFloat(res.body.data[0].total)).toBe(25.5);
     });
+
+    it('should include purchases charged to the employee linked to the user', async () => {
+      const linkedEmployee = await db.employees.create({
+        name: 'Linked Employee',
+        employee_number: `LINK${Date.now()}`,
+        monthlyConsumptionValue: 1000,
+        userId: 3,
+      });
+
+      const charged = await db.purchases.create({
+        employeeId: linkedEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 1,
+      });
+      await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 1,
+      });
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].id).toBe(charged.id);
+
+      await request(app)
+        .get(`${API_BASE}/purchases/${charged.id}`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      await db.purchases.destroy({ where: {} });
+      await linkedEmployee.destroy({ force: true });
+    });
   });
 
   describe(`GET ${API_BASE}/purchases/:id`, () => {
@@ -136,7 +176,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date('2024-01-15'),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 1,
       });
 
@@ -153,7 +193,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date('2024-01-15'),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -171,7 +211,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date('2024-01-15'),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -199,8 +239,7 @@ describe('Purchases API', () => {
       const newPurchase = {
         employeeId: testEmployee.id,
         date: '2024-06-15T10:00:00Z',
-        total: 75.5,
-        closed: false,
+        status: 'open',
       };
 
       const res = await request(app)
@@ -211,7 +250,7 @@ describe('Purchases API', () => {
 
       expect(res.body).toHaveProperty('id');
       expect(res.body).toHaveProperty('employeeId', testEmployee.id);
-      expect(parseFloat(res.body.total)).toBe(75.5);
+      expect(parseFloat(res.body.total)).toBe(0);
       expect(res.body).toHaveProperty('closed', false);
 
       const dbPurchase = await db.purchases.findByPk(res.body.id);
@@ -222,8 +261,7 @@ describe('Purchases API', () => {
       const newPurchase = {
         employeeId: testEmployee.id,
         date: '2024-06-15T10:00:00Z',
-        total: 50.0,
-        closed: false,
+        status: 'open',
       };
 
       const res = await request(app)
@@ -246,27 +284,45 @@ describe('Purchases API', () => {
         .send({
           employeeId: testEmployee.id,
           date: new Date().toISOString(),
-          total: 100.0,
-          closed: true,
+          status: 'closed',
         })
         .expect(201);
 
       expect(res.body).toHaveProperty('closed', true);
     });
 
-    it('should handle zero total purchase', async () => {
+    it('should derive the total from the items', async () => {
+      const product = await db.products.create({ name: 'Sandwich', price: 4.5 });
+
       const res = await request(app)
         .post(`${API_BASE}/purchases`)
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
           employeeId: testEmployee.id,
           date: new Date().toISOString(),
-          total: 0,
-          closed: false,
+          items: [{ productId: product.id, quantity: 3 }],
         })
         .expect(201);
 
-      expect(parseFloat(res.body.total)).toBe(0);
+      expect(parseFloat(res.body.total)).toBe(13.5);
+      expect(res.body.purchaseItems).toHaveLength(1);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: res.body.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should reject a client-supplied total', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/purchases`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          employeeId: testEmployee.id,
+          date: new Date().toISOString(),
+          total: 99,
+        })
+        .expect(400);
+
+      expect(res.body.error.message).toContain('Total is calculated by the server');
     });
   });
 
@@ -276,14 +332,14 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 30.0,
-        closed: false,
+        status: 'open',
         userId: 1,
       });
 
       const res = await request(app)
         .put(`${API_BASE}/purchases/${purchase.id}`)
         .set('Authorization', `Bearer ${employeeToken}`)
-        .send({ total: 45.0, closed: true })
+        .send({ date: '2024-06-16T10:00:00Z' })
         .expect(403);
 
       expect(res.body).toHaveProperty('error');
@@ -294,18 +350,18 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 30.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
       const res = await request(app)
         .put(`${API_BASE}/purchases/${purchase.id}`)
         .set('Authorization', `Bearer ${employeeToken}`)
-        .send({ total: 45.0, closed: true })
+        .send({ date: '2024-06-16T10:00:00Z' })
         .expect(200);
 
-      expect(parseFloat(res.body.total)).toBe(45.0);
-      expect(res.body).toHaveProperty('closed', true);
+      expect(new Date(res.body.date).toISOString()).toBe('2024-06-16T10:00:00.000Z');
+      expect(res.body).toHaveProperty('status', 'open');
     });
 
     it('should update any purchase for admin', async () => {
@@ -313,46 +369,662 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 30.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
+      const product = await db.products.create({ name: 'Soup', price: 15 });
+
       const res = await request(app)
         .put(`${API_BASE}/purchases/${purchase.id}`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({ total: 45.0, closed: true })
+        .send({ items: [{ productId: product.id, quantity: 3 }] })
         .expect(200);
 
       expect(parseFloat(res.body.total)).toBe(45.0);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should reject a client-supplied total on update', async () => {
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        total: 30.0,
+        status: 'open',
+      });
+
+      await request(app)
+        .put(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ total: 45.0 })
+        .expect(400);
     });
 
     it('should return 404 when updating non-existent purchase', async () => {
       const res = await request(app)
         .put(`${API_BASE}/purchases/99999`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({ total: 100.0 })
+        .send({ date: '2024-06-16T10:00:00Z' })
         .expect(404);
 
       expect(res.body).toHaveProperty('success', false);
     });
 
-    it('should allow closing a purchase', async () => {
+    it('should reject status changes through update', async () => {
       const purchase = await db.purchases.create({
         employeeId: testEmployee.id,
         date: new Date(),
-        total: 50.0,
-        closed: false,
+        status: 'closed',
         userId: 2,
       });
 
+      for (const body of [{ status: 'open' }, { closed: false }]) {
+        const res = await request(app)
+          .patch(`${API_BASE}/purchases/${purchase.id}`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send(body)
+          .expect(400);
+
+        expect(res.body.error.message).toContain('to change the status');
+      }
+
+      await purchase.reload();
+      expect(purchase.status).toBe('closed');
+    });
+
+    it('should return 412 for a stale If-Match', async () => {
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 3,
+      });
+      const staleETag = `"${purchase.version}"`;
+
+      await request(app)
+        .patch(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', staleETag)
+        .send({ date: '2024-06-16T10:00:00Z' })
+        .expect(200);
+
       const res = await request(app)
+        .patch(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', staleETag)
+        .send({ date: '2024-06-17T10:00:00Z' })
+        .expect(412);
+
+      expect(res.body.error).toHaveProperty('code', 'PRECONDITION_FAILED');
+      expect(res.body.error.details.etag).toBe(`"${purchase.version + 1}"`);
+    });
+
+    it('should change the ETag when items are added', async () => {
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 3,
+      });
+      const product = await db.products.create({ name: 'Bagel', price: 3 });
+
+      const before = await request(app)
+        .get(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(200);
+
+      const after = await request(app)
+        .get(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(after.headers.etag).not.toBe(before.headers.etag);
+
+      await request(app)
         .put(`${API_BASE}/purchases/${purchase.id}`)
-        .set('Authorization', `Bearer ${managerToken}`)
-        .send({ closed: true })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', before.headers.etag)
+        .send({ date: '2024-06-16T10:00:00Z' })
+        .expect(412);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+  });
+
+  describe('Purchase status lifecycle', () => {
+    const createPurchase = (status, userId = 3) =>
+      db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status,
+        userId,
+      });
+
+    it('should open a draft purchase', async () => {
+      const purchase = await createPurchase('draft');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/open`)
+        .set('Authorization', `Bearer ${employeeToken}`)
         .expect(200);
 
+      expect(res.body).toHaveProperty('status', 'open');
+    });
+
+    it('should close an open purchase', async () => {
+      const purchase = await createPurchase('open');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/close`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveProperty('status', 'closed');
       expect(res.body).toHaveProperty('closed', true);
     });
+
+    it('should return 409 when closing an already closed purchase', async () => {
+      const purchase = await createPurchase('closed');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/close`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(409);
+
+      expect(res.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(res.body.error.details).toMatchObject({ from: 'closed', to: 'closed' });
+    });
+
+    it('should void a purchase with a reason', async () => {
+      const purchase = await createPurchase('closed');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/void`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Charged to the wrong employee' })
+        .expect(200);
+
+      expect(res.body).toHaveProperty('status', 'voided');
+      expect(res.body).toHaveProperty('statusReason', 'Charged to the wrong employee');
+      expect(res.body.statusChangedAt).toBeTruthy();
+    });
+
+    it('should return 400 when voiding without a reason', async () => {
+      const purchase = await createPurchase('open');
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/void`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should return 403 when an employee voids a purchase', async () => {
+      const purchase = await createPurchase('open');
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/void`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ reason: 'Not needed' })
+        .expect(403);
+    });
+
+    it('should reopen a closed purchase with a reason', async () => {
+      const purchase = await createPurchase('closed');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/reopen`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Missing item' })
+        .expect(200);
+
+      expect(res.body).toHaveProperty('status', 'open');
+      expect(res.body).toHaveProperty('statusReason', 'Missing item');
+    });
+
+    it('should return 409 when reopening a voided purchase', async () => {
+      const purchase = await createPurchase('voided');
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/reopen`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Undo void' })
+        .expect(409);
+
+      expect(res.body.error.details).toMatchObject({ from: 'voided', to: 'open', allowed: [] });
+    });
+
+    it('should not add items to a voided purchase', async () => {
+      const purchase = await createPurchase('voided');
+      const product = await db.products.create({ name: 'Tea', price: 2 });
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(400);
+
+      await product.destroy({ force: true });
+    });
+
+    it('should filter purchases by status', async () => {
+      await createPurchase('open');
+      await createPurchase('closed');
+      await createPurchase('voided');
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases?status=open,voided`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(res.body.data.map(p => p.status).sort()).toEqual(['open', 'voided']);
+    });
+
+    it('should return 400 for an unknown status filter', async () => {
+      await request(app)
+        .get(`${API_BASE}/purchases?status=pending`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe(`${API_BASE}/purchases/:id/refunds`, () => {
+    let product, purchase, sandwich, coffee;
+
+    beforeEach(async () => {
+      product = await db.products.create({ name: 'Sandwich', price: 4.5 });
+      purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'closed',
+        userId: 3,
+      });
+      [sandwich, coffee] = await db.purchaseItems.bulkCreate([
+        { purchaseId: purchase.id, productId: product.id, quantity: 2, unitPrice: 4.5, productName: 'Sandwich' },
+        { purchaseId: purchase.id, productId: product.id, quantity: 1, unitPrice: 2.2, productName: 'Coffee' },
+      ]);
+    });
+
+    afterEach(async () => {
+      await db.refundItems.destroy({ where: {} });
+      await db.refunds.destroy({ where: {} });
+      await db.purchaseItems.destroy({ where: {} });
+      await product.destroy({ force: true });
+    });
+
+    const refund = (items, token = managerToken) =>
+      request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/refunds`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Sandwich was spoiled', items });
+
+    it('should refund part of a line at its snapshot price', async () => {
+      await product.update({ price: 9 });
+
+      const res = await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+
+      expect(res.body).toMatchObject({
+        purchaseId: purchase.id,
+        employeeId: testEmployee.id,
+        reason: 'Sandwich was spoiled',
+      });
+      expect(parseFloat(res.body.total)).toBe(4.5);
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.items[0]).toMatchObject({ purchaseItemId: sandwich.id, quantity: 1 });
+
+      // A partial refund leaves the purchase closed and its items unchanged
+      const updated = await db.purchases.findByPk(purchase.id);
+      expect(updated.status).toBe('closed');
+      expect((await db.purchaseItems.findByPk(sandwich.id)).quantity).toBe(2);
+    });
+
+    it('should mark the purchase refunded once every line is refunded', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+      await refund([
+        { purchaseItemId: sandwich.id, quantity: 1 },
+        { purchaseItemId: coffee.id, quantity: 1 },
+      ]).expect(201);
+
+      const updated = await db.purchases.findByPk(purchase.id);
+      expect(updated.status).toBe('refunded');
+      expect(updated.statusReason).toBe('Sandwich was spoiled');
+    });
+
+    it('should reject refunding more than is left on a line', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+
+      const res = await refund([{ purchaseItemId: sandwich.id, quantity: 2 }]).expect(400);
+
+      expect(res.body.error.details).toMatchObject({ requested: 2, refundable: 1 });
+      expect(await db.refunds.count()).toBe(1);
+    });
+
+    it('should reject items from another purchase', async () => {
+      const other = await db.purchases.create({ employeeId: testEmployee.id, date: new Date(), status: 'closed' });
+      const otherItem = await db.purchaseItems.create({
+        purchaseId: other.id,
+        productId: product.id,
+        quantity: 1,
+        unitPrice: 4.5,
+        productName: 'Sandwich',
+      });
+
+      await refund([{ purchaseItemId: otherItem.id, quantity: 1 }]).expect(400);
+    });
+
+    it('should return 409 for a purchase that is not closed', async () => {
+      await purchase.update({ status: 'open' });
+
+      const res = await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(409);
+
+      expect(res.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    it('should return 403 when an employee issues a refund', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }], employeeToken).expect(403);
+    });
+
+    it('should require a reason and at least one item', async () => {
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/refunds`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ items: [] })
+        .expect(400);
+    });
+
+    it('should list refunds of a purchase for its owner', async () => {
+      await refund([{ purchaseItemId: coffee.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/${purchase.id}/refunds`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveLength(1);
+      expect(parseFloat(res.body[0].total)).toBe(2.2);
+    });
+
+    it('should credit refunds in the employee summaries', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/summaries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const summary = res.body.find(s => s.employeeId === testEmployee.id);
+      expect(summary).toMatchObject({ totalSpending: 6.7, totalRefunded: 4.5 });
+    });
+
+    it('should not void or reopen a purchase after a partial refund', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+
+      for (const action of ['void', 'reopen']) {
+        const res = await request(app)
+          .post(`${API_BASE}/purchases/${purchase.id}/${action}`)
+          .set('Authorization', `Bearer ${managerToken}`)
+          .send({ reason: 'Rang up twice' })
+          .expect(409);
+
+        expect(res.body.error.code).toBe('PURCHASE_HAS_REFUNDS');
+      }
+
+      expect((await db.purchases.findByPk(purchase.id)).status).toBe('closed');
+
+      const balance = await request(app)
+        .get(`${API_BASE}/employees/${testEmployee.id}/balance`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(balance.body.spent).toBe(6.7);
+    });
+
+    it('should not credit refunds of voided purchases', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+      // Voided before refunds blocked it
+      await purchase.update({ status: 'voided' });
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/summaries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(res.body.find(s => s.employeeId === testEmployee.id)).toBeUndefined();
+
+      const balance = await request(app)
+        .get(`${API_BASE}/employees/${testEmployee.id}/balance`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(balance.body.spent).toBe(0);
+    });
+
+    it('should keep the refund history of a purchase', async () => {
+      await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+      // Reopened before refunds blocked it
+      await purchase.update({ status: 'open' });
+
+      const replaced = await request(app)
+        .put(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(409);
+      expect(replaced.body.error.code).toBe('PURCHASE_HAS_REFUNDS');
+
+      await request(app)
+        .delete(`${API_BASE}/purchases/${purchase.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      await expect(db.purchaseItems.destroy({ where: { id: sandwich.id } })).rejects.toThrow();
+      expect(await db.refundItems.count()).toBe(1);
+      expect(await db.purchaseItems.count({ where: { purchaseId: purchase.id } })).toBe(2);
+    });
+
+    it('should write a refund audit log entry', async () => {
+      const res = await refund([{ purchaseItemId: sandwich.id, quantity: 1 }]).expect(201);
+
+      // Audit logging is fire-and-forget
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const log = await db.audit_logs.findOne({
+        where: { resource: 'refund', resourceId: res.body.id },
+      });
+      expect(log).not.toBeNull();
+      expect(log.action).toBe('CREATE');
+    });
+  });
+
+  describe('Idempotency-Key', () => {
+    const newPurchase = () => ({
+      employeeId: testEmployee.id,
+      date: '2024-06-15T10:00:00Z',
+      status: 'open',
+    });
+
+    const createPurchase = (key, body = newPurchase(), token = employeeToken) =>
+      request(app)
+        .post(`${API_BASE}/purchases`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Idempotency-Key', key)
+        .send(body);
+
+    beforeEach(async () => {
+      await db.idempotencyKeys.destroy({ where: {} });
+    });
+
+    it('should replay the stored response for a retried create', async () => {
+      const first = await createPurchase('create-1').expect(201);
+      const retry = await createPurchase('create-1').expect(201);
+
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+      expect(await db.purchases.count()).toBe(1);
+    });
+
+    it('should return 422 when a key is reused with a different body', async () => {
+      await createPurchase('create-2').expect(201);
+
+      const res = await createPurchase('create-2', { ...newPurchase(), status: 'draft' }).expect(422);
+
+      expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+      expect(await db.purchases.count()).toBe(1);
+    });
+
+    it('should scope keys per user', async () => {
+      await createPurchase('shared-key', newPurchase(), employeeToken).expect(201);
+      const res = await createPurchase('shared-key', newPurchase(), managerToken).expect(201);
+
+      expect(res.headers['idempotent-replayed']).toBeUndefined();
+      expect(await db.purchases.count()).toBe(2);
+    });
+
+    it('should not add items twice for a retried request', async () => {
+      const product = await db.products.create({ name: 'Soup', price: 3 });
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 3,
+      });
+
+      const addItems = () =>
+        request(app)
+          .post(`${API_BASE}/purchases/${purchase.id}/items`)
+          .set('Authorization', `Bearer ${employeeToken}`)
+          .set('Idempotency-Key', 'items-1')
+          .send({ items: [{ productId: product.id, quantity: 2 }] })
+          .expect(200);
+
+      await addItems();
+      const retry = await addItems();
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(await db.purchaseItems.count({ where: { purchaseId: purchase.id } })).toBe(1);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should return 409 while the first request is still running', async () => {
+      const idempotencyService = require('../services/idempotency.service');
+      const fingerprint = idempotencyService.fingerprint({
+        method: 'POST',
+        baseUrl: `${API_BASE}/purchases`,
+        path: '/',
+        // Validated body, as the middleware sees it
+        body: { ...newPurchase(), date: new Date('2024-06-15T10:00:00Z') },
+      });
+      await idempotencyService.reserve(3, 'in-flight', fingerprint);
+
+      const res = await createPurchase('in-flight').expect(409);
+
+      expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    });
+
+    it('should retry a reservation whose conflicting key was released in between', async () => {
+      const { UniqueConstraintError } = require('sequelize');
+      const create = jest.spyOn(db.idempotencyKeys, 'create').mockRejectedValueOnce(new UniqueConstraintError({}));
+      const findOne = jest.spyOn(db.idempotencyKeys, 'findOne').mockResolvedValueOnce(null);
+
+      try {
+        await createPurchase('released-1').expect(201);
+        expect(create).toHaveBeenCalledTimes(2);
+      } finally {
+        create.mockRestore();
+        findOne.mockRestore();
+      }
+    });
+
+    it('should return 409 when the conflicting key keeps disappearing', async () => {
+      const idempotencyService = require('../services/idempotency.service');
+      await idempotencyService.reserve(3, 'released-2', 'fingerprint');
+      const findOne = jest.spyOn(db.idempotencyKeys, 'findOne').mockResolvedValue(null);
+
+      try {
+        const res = await createPurchase('released-2').expect(409);
+        expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+      } finally {
+        findOne.mockRestore();
+      }
+    });
+
+    it('should not reserve a key for a malformed add-items body', async () => {
+      const product = await db.products.create({ name: 'Soup', price: 3 });
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+        userId: 3,
+      });
+
+      const addItems = items =>
+        request(app)
+          .post(`${API_BASE}/purchases/${purchase.id}/items`)
+          .set('Authorization', `Bearer ${employeeToken}`)
+          .set('Idempotency-Key', 'items-2')
+          .send({ items });
+
+      await addItems([]).expect(400);
+      const res = await addItems([{ productId: product.id }]).expect(200);
+
+      expect(res.headers['idempotent-replayed']).toBeUndefined();
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should release a key when nothing was stored for it', async () => {
+      const express = require('express');
+      const { idempotent } = require('../middleware/idempotency');
+      let runs = 0;
+
+      // A handler answering with res.send instead of res.json
+      const plain = express();
+      plain.use(express.json());
+      plain.post('/', (req, res, next) => { req.user = { id: 3 }; next(); }, idempotent(), (req, res) => {
+        runs += 1;
+        res.send('ok');
+      });
+
+      await request(plain).post('/').set('Idempotency-Key', 'plain-1').send({}).expect(200);
+      // The release runs after the response is sent
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await request(plain).post('/').set('Idempotency-Key', 'plain-1').send({}).expect(200);
+
+      expect(runs).toBe(2);
+    });
+
+    it('should hold a reservation only for the pending TTL', async () => {
+      const idempotencyService = require('../services/idempotency.service');
+      const { pendingTtl } = require('../config/idempotency');
+
+      await idempotencyService.reserve(3, 'pending-1', 'fingerprint');
+
+      const row = await db.idempotencyKeys.findOne({ where: { userId: 3, key: 'pending-1' } });
+      expect(row.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + pendingTtl * 1000);
+    });
+
+    it('should reject an over-long key', async () => {
+      await createPurchase('k'.repeat(256)).expect(400);
+    });
+
+    it('should accept the same body with keys in a different order', async () => {
+      const body = newPurchase();
+      await createPurchase('order-1', body).expect(201);
+
+      const reordered = { status: body.status, date: body.date, employeeId: body.employeeId };
+      await createPurchase('order-1', reordered).expect(201);
+
+      expect(await db.purchases.count()).toBe(1);
+    });
   });
 
   describe(`DELETE ${API_BASE}/purchases/:id`, () => {
@@ -361,7 +1033,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 20.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -378,7 +1050,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 20.0,
-        closed: false,
+        status: 'open',
       });
 
       const res = await request(app)
@@ -397,7 +1069,7 @@ describe('Purchases API', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 20.0,
-        closed: false,
+        status: 'open',
       });
 
       const res = await request(app)
@@ -419,34 +1091,85 @@ describe('Purchases API', () => {
   });
 
   describe('Business Logic', () => {
-    it('should handle large purchase amounts', async () => {
+    it('should handle decimal precision correctly', async () => {
+      const product = await db.products.create({ name: 'Pastry', price: 1.15 });
+
       const res = await request(app)
         .post(`${API_BASE}/purchases`)
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
           employeeId: testEmployee.id,
           date: new Date().toISOString(),
-          total: 99999.99,
-          closed: false,
+          items: [{ productId: product.id, quantity: 7 }],
         })
         .expect(201);
 
-      expect(parseFloat(res.body.total)).toBe(99999.99);
+      expect(parseFloat(res.body.total)).toBe(8.05);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: res.body.id } });
+      await product.destroy({ force: true });
     });
 
-    it('should handle decimal precision correctly', async () => {
+    it('should keep the total in sync when items are added', async () => {
+      const product = await db.products.create({ name: 'Coffee', price: 2.5 });
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        total: 0,
+        status: 'open',
+      });
+
       const res = await request(app)
-        .post(`${API_BASE}/purchases`)
+        .post(`${API_BASE}/purchases/${purchase.id}/items`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({
-          employeeId: testEmployee.id,
-          date: new Date().toISOString(),
-          total: 123.45,
-          closed: false,
-        })
-        .expect(201);
+        .send({ items: [{ productId: product.id, quantity: 2 }] })
+        .expect(200);
+
+      expect(parseFloat(res.body.total)).toBe(5);
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
+
+    it('should list purchases whose total disagrees with their items', async () => {
+      const product = await db.products.create({ name: 'Salad', price: 6 });
+      const consistent = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        total: 12,
+        status: 'open',
+      });
+      const drifted = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        total: 20,
+        status: 'open',
+      });
+      await db.purchaseItems.bulkCreate([
+        { purchaseId: consistent.id, productId: product.id, quantity: 2 },
+        { purchaseId: drifted.id, productId: product.id, quantity: 1 },
+      ]);
+
+      await request(app)
+        .get(`${API_BASE}/purchases/consistency`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/consistency`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
 
-      expect(parseFloat(res.body.total)).toBe(123.45);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({
+        id: drifted.id,
+        storedTotal: 20,
+        itemsTotal: 6,
+        difference: 14,
+      });
+
+      await db.purchaseItems.destroy({ where: {} });
+      await product.destroy({ force: true });
     });
 
     it('should track open vs closed purchases', async () => {
@@ -455,19 +1178,19 @@ describe('Purchases API', () => {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 10,
-          closed: false,
+          status: 'open',
         },
         {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 20,
-          closed: true,
+          status: 'closed',
         },
         {
           employeeId: testEmployee.id,
           date: new Date(),
           total: 30,
-          closed: false,
+          status: 'open',
         },
       ]);
 
@@ -476,11 +1199,43 @@ describe('Purchases API', () => {
         .set('Authorization', `Bearer ${adminToken}`)
         .expect(200);
 
-      const openPurchases = res.body.data.filter(p => !p.closed);
-      const closedPurchases = res.body.data.filter(p => p.closed);
+      const openPurchases = res.body.data.filter(p => p.status === 'open');
+      const closedPurchases = res.body.data.filter(p => p.status === 'closed');
 
       expect(openPurchases).toHaveLength(2);
       expect(closedPurchases).toHaveLength(1);
     });
+
+    it('should return 422 with the remaining balance when items exceed the allowance', async () => {
+      const product = await db.products.create({ name: 'Expensive Lunch', price: 600 });
+      const purchase = await db.purchases.create({
+        employeeId: testEmployee.id,
+        date: new Date(),
+        status: 'open',
+      });
+
+      await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(422);
+
+      expect(res.body.error.code).toBe('ALLOWANCE_EXCEEDED');
+      expect(res.body.error.details).toMatchObject({
+        allowance: 1000,
+        spent: 600,
+        requested: 600,
+        remaining: 400,
+      });
+
+      await db.purchaseItems.destroy({ where: { purchaseId: purchase.id } });
+      await product.destroy({ force: true });
+    });
   });
 });
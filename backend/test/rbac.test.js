@@ -29,7 +29,7 @@ describe('RBAC (Role-Based Access Control)', () => {
     await db.purchaseItems.destroy({ where: {} });
     await db.purchases.destroy({ where: {} });
     await db.employees.destroy({ where: {} });
-    await db.products.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
   });
 
   describe('Authentication', () => {
@@ -221,7 +221,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -229,7 +229,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 100.0,
-        closed: false,
+        status: 'open',
         userId: 1,
       });
 
@@ -247,7 +247,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -264,7 +264,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 50.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -281,7 +281,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 75.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -298,7 +298,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 100.0,
-        closed: false,
+        status: 'open',
         userId: 1,
       });
 
@@ -315,7 +315,7 @@ describe('RBAC (Role-Based Access Control)', () => {
         employeeId: testEmployee.id,
         date: new Date(),
         total: 100.0,
-        closed: false,
+        status: 'open',
         userId: 3,
       });
 
@@ -9,11 +9,14 @@
  */
 
 const db = require('../model');
+const allowanceConfig = require('../config/allowance');
 const {
+  allowanceService,
   employeeService,
   productService,
   purchaseService,
   purchaseItemService,
+  refundService,
   userService,
 } = require('../services');
 
@@ -158,7 +161,7 @@ describe('Service Layer Tests', () => {
 
       afterAll(async () => {
         if (testProduct) {
-          await testProduct.destroy();
+          await testProduct.destroy({ force: true });
         }
       });
 
@@ -212,7 +215,7 @@ describe('Service Layer Tests', () => {
         await db.purchases.destroy({ where: { employeeId: testEmployee.id } });
       }
       if (testUser) {await testUser.destroy();}
-      if (testProduct) {await testProduct.destroy();}
+      if (testProduct) {await testProduct.destroy({ force: true });}
       if (testEmployee) {await testEmployee.destroy();}
     });
 
@@ -247,7 +250,7 @@ describe('Service Layer Tests', () => {
             userId: testUser.id,
             date: new Date(),
             total: 0,
-            closed: false,
+            status: 'open',
           },
           [{ productId: testProduct.id, quantity: 2 }],
         );
@@ -266,7 +269,7 @@ describe('Service Layer Tests', () => {
               userId: testUser.id,
               date: new Date(),
               total: 0,
-              closed: false,
+              status: 'open',
             },
             [{ productId: 999999, quantity: 1 }],
           ),
@@ -286,7 +289,7 @@ describe('Service Layer Tests', () => {
             userId: testUser.id,
             date: new Date(),
             total: 0,
-            closed: false,
+            status: 'open',
           },
           [{ productId: testProduct.id, quantity: 3 }], // 3 x 25.00 = 75.00
         );
@@ -306,6 +309,296 @@ describe('Service Layer Tests', () => {
       });
     });
 
+    describe('price snapshot', () => {
+      let snapshotPurchase;
+
+      afterEach(async () => {
+        await testProduct.update({ price: 25.0 });
+        if (snapshotPurchase) {
+          await db.purchaseItems.destroy({ where: { purchaseId: snapshotPurchase.id } });
+          await db.purchases.destroy({ where: { id: snapshotPurchase.id } });
+          snapshotPurchase = null;
+        }
+      });
+
+      it('should store unit price and product name on each item', async () => {
+        snapshotPurchase = await purchaseService.createWithItems(
+          {
+            employeeId: testEmployee.id,
+            userId: testUser.id,
+            date: new Date(),
+            status: 'open',
+          },
+          [{ productId: testProduct.id, quantity: 2 }],
+        );
+
+        const [item] = snapshotPurchase.purchaseItems;
+        expect(parseFloat(item.unitPrice)).toBe(25.0);
+        expect(item.productName).toBe(testProduct.name);
+      });
+
+      it('should not reprice existing items when the product price changes', async () => {
+        snapshotPurchase = await purchaseService.createWithItems(
+          {
+            employeeId: testEmployee.id,
+            userId: testUser.id,
+            date: new Date(),
+            status: 'open',
+          },
+          [{ productId: testProduct.id, quantity: 2 }],
+        );
+
+        await testProduct.update({ price: 40.0 });
+
+        const recalculated = await purchaseService.recalculateTotal(snapshotPurchase.id);
+        expect(parseFloat(recalculated.total)).toBe(50.0);
+
+        const summary = await purchaseService.getEmployeePurchaseSummary(testEmployee.id);
+        const summarized = summary.purchases.find(p => p.id === snapshotPurchase.id);
+        expect(summarized).toBeDefined();
+        expect(summary.totalAmount).toBeGreaterThanOrEqual(50.0);
+      });
+
+      it('should use the new price only for items added after the change', async () => {
+        snapshotPurchase = await purchaseService.createWithItems(
+          {
+            employeeId: testEmployee.id,
+            userId: testUser.id,
+            date: new Date(),
+            status: 'open',
+          },
+          [{ productId: testProduct.id, quantity: 1 }],
+        );
+
+        await testProduct.update({ price: 30.0 });
+        await purchaseService.addItems(snapshotPurchase.id, [
+          { productId: testProduct.id, quantity: 1 },
+        ]);
+
+        const recalculated = await purchaseService.recalculateTotal(snapshotPurchase.id);
+        expect(parseFloat(recalculated.total)).toBe(55.0);
+      });
+
+      it('should throw 404 for an unknown product', async () => {
+        await expect(
+          purchaseService.createWithItems(
+            {
+              employeeId: testEmployee.id,
+              userId: testUser.id,
+              date: new Date(),
+              status: 'open',
+            },
+            [{ productId: 999999, quantity: 1 }],
+          ),
+        ).rejects.toMatchObject({ status: 404 });
+      });
+    });
+
+    describe('monthly allowance', () => {
+      let allowanceEmployee;
+      const originalPolicy = allowanceConfig.policy;
+      const originalOverdraft = allowanceConfig.overdraftLimit;
+
+      const createPurchase = (quantity, date = new Date()) =>
+        purchaseService.createWithItems(
+          { employeeId: allowanceEmployee.id, date, status: 'open' },
+          [{ productId: testProduct.id, quantity }],
+        );
+
+      beforeAll(async () => {
+        allowanceEmployee = await db.employees.create({
+          name: 'Allowance Employee',
+          employee_number: `ALW${Date.now()}`,
+          monthlyConsumptionValue: 100,
+        });
+      });
+
+      afterEach(async () => {
+        allowanceConfig.policy = originalPolicy;
+        allowanceConfig.overdraftLimit = originalOverdraft;
+        const purchases = await db.purchases.findAll({
+          where: { employeeId: allowanceEmployee.id },
+        });
+        const ids = purchases.map(p => p.id);
+        await db.refunds.destroy({ where: { purchaseId: ids } });
+        await db.purchaseItems.destroy({ where: { purchaseId: ids } });
+        await db.purchases.destroy({ where: { id: ids } });
+      });
+
+      afterAll(async () => {
+        await allowanceEmployee.destroy({ force: true });
+      });
+
+      it('should report month-to-date spend and remaining balance', async () => {
+        await createPurchase(2); // 2 x 25.00
+
+        const balance = await allowanceService.getBalance(allowanceEmployee.id);
+
+        expect(balance).toMatchObject({
+          allowance: 100,
+          spent: 50,
+          remaining: 50,
+          available: 50,
+        });
+      });
+
+      it('should not count purchases from other months', async () => {
+        const lastMonth = new Date();
+        lastMonth.setDate(1);
+        lastMonth.setMonth(lastMonth.getMonth() - 1);
+        await createPurchase(3, lastMonth);
+
+        const balance = await allowanceService.getBalance(allowanceEmployee.id);
+
+        expect(balance.spent).toBe(0);
+      });
+
+      it('should reject adding items over the allowance with a hard policy', async () => {
+        allowanceConfig.policy = allowanceConfig.POLICIES.HARD;
+        const purchase = await createPurchase(3); // 75.00
+
+        await expect(
+          purchaseService.addItems(purchase.id, [{ productId: testProduct.id, quantity: 2 }]),
+        ).rejects.toMatchObject({
+          status: 422,
+          code: 'ALLOWANCE_EXCEEDED',
+          details: { requested: 50, remaining: 25, available: 25 },
+        });
+
+        const items = await db.purchaseItems.count({ where: { purchaseId: purchase.id } });
+        expect(items).toBe(1);
+      });
+
+      it('should reject creating a purchase over the allowance with a hard policy', async () => {
+        allowanceConfig.policy = allowanceConfig.POLICIES.HARD;
+
+        await expect(createPurchase(5)).rejects.toMatchObject({ status: 422 });
+
+        const count = await db.purchases.count({ where: { employeeId: allowanceEmployee.id } });
+        expect(count).toBe(0);
+      });
+
+      it('should allow exceeding the allowance with a warning under a soft policy', async () => {
+        allowanceConfig.policy = allowanceConfig.POLICIES.SOFT;
+
+        const purchase = await createPurchase(5);
+        const json = purchase.toJSON();
+
+        expect(json.purchaseItems).toHaveLength(1);
+        expect(json.allowanceWarning).toMatchObject({ requested: 125, remaining: 100 });
+      });
+
+      it('should allow an overdraft up to the configured limit', async () => {
+        allowanceConfig.policy = allowanceConfig.POLICIES.OVERDRAFT;
+        allowanceConfig.overdraftLimit = 30;
+
+        const purchase = await createPurchase(5); // 125.00 <= 100 + 30
+        expect(purchase.purchaseItems).toHaveLength(1);
+
+        await expect(
+          purchaseService.addItems(purchase.id, [{ productId: testProduct.id, quantity: 1 }]),
+        ).rejects.toMatchObject({ status: 422, details: { available: 5 } });
+      });
+
+      it('should refuse to close a purchase while over the allowance', async () => {
+        allowanceConfig.policy = allowanceConfig.POLICIES.SOFT;
+        const purchase = await createPurchase(5);
+
+        allowanceConfig.policy = allowanceConfig.POLICIES.HARD;
+
+        await expect(purchaseService.closePurchase(purchase.id)).rejects.toMatchObject({
+          status: 422,
+        });
+      });
+
+      it('should not count voided purchases as spend', async () => {
+        const purchase = await createPurchase(3);
+        await purchaseService.voidPurchase(purchase.id, 'Entered twice');
+
+        const balance = await allowanceService.getBalance(allowanceEmployee.id);
+
+        expect(balance.spent).toBe(0);
+      });
+
+      it('should count the purchases of the summary by status', async () => {
+        await purchaseService.voidPurchase((await createPurchase(1)).id, 'Entered twice');
+        await purchaseService.closePurchase((await createPurchase(1)).id);
+        await createPurchase(1);
+
+        const summary = await purchaseService.getEmployeePurchaseSummary(allowanceEmployee.id);
+
+        expect(summary).toMatchObject({ totalPurchases: 3, openPurchases: 1, closedPurchases: 1, voidedPurchases: 1 });
+      });
+
+      it('should credit refunds back to the month they are issued in', async () => {
+        const purchase = await createPurchase(3);
+        await purchaseService.closePurchase(purchase.id);
+        const [item] = await db.purchaseItems.findAll({ where: { purchaseId: purchase.id } });
+
+        const refund = await refundService.create(purchase.id, {
+          reason: 'Wrong order',
+          items: [{ purchaseItemId: item.id, quantity: 2 }],
+        });
+
+        expect(parseFloat(refund.total)).toBe(50);
+
+        const balance = await allowanceService.getBalance(allowanceEmployee.id);
+        expect(balance).toMatchObject({ spent: 25, remaining: 75 });
+
+        const summary = await purchaseService.getEmployeePurchaseSummary(allowanceEmployee.id);
+        expect(summary).toMatchObject({ totalAmount: 75, totalRefunded: 50, netAmount: 25 });
+      });
+    });
+
+    describe('status transitions', () => {
+      it('should follow the transition table', () => {
+        expect(purchaseService.canTransition('draft', 'open')).toBe(true);
+        expect(purchaseService.canTransition('open', 'closed')).toBe(true);
+        expect(purchaseService.canTransition('closed', 'open')).toBe(true);
+        expect(purchaseService.canTransition('closed', 'refunded')).toBe(true);
+        expect(purchaseService.canTransition('open', 'refunded')).toBe(false);
+        expect(purchaseService.canTransition('voided', 'open')).toBe(false);
+        expect(purchaseService.canTransition('refunded', 'voided')).toBe(false);
+      });
+
+      it('should reject an illegal transition with 409', async () => {
+        const purchase = await db.purchases.create({
+          employeeId: testEmployee.id,
+          date: new Date(),
+          status: 'open',
+        });
+
+        await expect(
+          purchaseService.transition(purchase.id, 'refunded', { reason: 'Test' }),
+        ).rejects.toMatchObject({
+          status: 409,
+          code: 'INVALID_STATUS_TRANSITION',
+          details: { from: 'open', to: 'refunded', allowed: ['closed', 'voided'] },
+        });
+
+        await purchase.destroy();
+      });
+
+      it('should require a reason to void or reopen', async () => {
+        const purchase = await db.purchases.create({
+          employeeId: testEmployee.id,
+          date: new Date(),
+          status: 'closed',
+        });
+
+        await expect(purchaseService.voidPurchase(purchase.id)).rejects.toMatchObject({ status: 400 });
+        await expect(purchaseService.reopenPurchase(purchase.id)).rejects.toMatchObject({ status: 400 });
+
+        await purchase.reload();
+        expect(purchase.status).toBe('closed');
+        await purchase.destroy();
+      });
+
+      it('should not allow setting closed directly on the model', () => {
+        expect(() => db.purchases.build({ employeeId: testEmployee.id, date: new Date(), closed: true })).toThrow();
+      });
+    });
+
     describe('addItems', () => {
       let openPurchase;
 
@@ -316,7 +609,7 @@ describe('Service Layer Tests', () => {
             userId: testUser.id,
             date: new Date(),
             total: 0,
-            closed: false,
+            status: 'open',
           },
           [],
         );
@@ -338,7 +631,7 @@ describe('Service Layer Tests', () => {
       });
 
       it('should prevent adding items to a closed purchase', async () => {
-        await db.purchases.update({ closed: true }, { where: { id: openPurchase.id } });
+        await db.purchases.update({ status: 'closed' }, { where: { id: openPurchase.id } });
 
         await expect(
           purchaseService.addItems(openPurchase.id, [
@@ -347,7 +640,7 @@ describe('Service Layer Tests', () => {
         ).rejects.toThrow();
 
         // Reopen for cleanup
-        await db.purchases.update({ closed: false }, { where: { id: openPurchase.id } });
+        await db.purchases.update({ status: 'open' }, { where: { id: openPurchase.id } });
       });
     });
   });
@@ -575,7 +868,7 @@ describe('Service Layer Tests', () => {
         userId: testUser.id,
         date: new Date(),
         total: 0,
-        closed: false,
+        status: 'open',
       });
     });
 
@@ -583,7 +876,7 @@ describe('Service Layer Tests', () => {
       await db.purchaseItems.destroy({ where: { purchaseId: testPurchase?.id } });
       if (testPurchase) {await testPurchase.destroy();}
       if (testUser) {await testUser.destroy();}
-      if (testProduct) {await testProduct.destroy();}
+      if (testProduct) {await testProduct.destroy({ force: true });}
       if (testEmployee) {await testEmployee.destroy();}
     });
 
@@ -623,6 +916,37 @@ describe('Service Layer Tests', () => {
         expect(createdItem.product.name).toContain('PurchaseItem Test Product');
       });
 
+      it('should snapshot the product price on create', async () => {
+        createdItem = await purchaseItemService.create({
+          purchaseId: testPurchase.id,
+          productId: testProduct.id,
+          quantity: 1,
+        });
+
+        expect(parseFloat(createdItem.unitPrice)).toBe(15.0);
+        expect(createdItem.productName).toBe(testProduct.name);
+      });
+
+      it('should keep the purchase total in sync with its items', async () => {
+        createdItem = await purchaseItemService.create({
+          purchaseId: testPurchase.id,
+          productId: testProduct.id,
+          quantity: 2,
+        });
+
+        await testPurchase.reload();
+        expect(parseFloat(testPurchase.total)).toBe(30.0);
+
+        await purchaseItemService.update(createdItem.id, { quantity: 4 });
+        await testPurchase.reload();
+        expect(parseFloat(testPurchase.total)).toBe(60.0);
+
+        await purchaseItemService.delete(createdItem.id);
+        createdItem = null;
+        await testPurchase.reload();
+        expect(parseFloat(testPurchase.total)).toBe(0);
+      });
+
       it('should throw 404 for non-existent purchase', async () => {
         await expect(
           purchaseItemService.create({
@@ -644,7 +968,7 @@ describe('Service Layer Tests', () => {
       });
 
       it('should throw 400 for closed purchase', async () => {
-        await testPurchase.update({ closed: true });
+        await testPurchase.update({ status: 'closed' });
 
         await expect(
           purchaseItemService.create({
@@ -655,7 +979,7 @@ describe('Service Layer Tests', () => {
         ).rejects.toMatchObject({ status: 400 });
 
         // Reopen for other tests
-        await testPurchase.update({ closed: false });
+        await testPurchase.update({ status: 'open' });
       });
     });
 
@@ -728,13 +1052,15 @@ describe('Service Layer Tests', () => {
       });
 
       it('should throw 400 when updating item in closed purchase', async () => {
-        await testPurchase.update({ closed: true });
+        // Item changes re-synced the purchase total, which bumped its version
+        await testPurchase.reload();
+        await testPurchase.update({ status: 'closed' });
 
         await expect(
           purchaseItemService.update(testItem.id, { quantity: 10 }),
         ).rejects.toMatchObject({ status: 400 });
 
-        await testPurchase.update({ closed: false });
+        await testPurchase.update({ status: 'open' });
       });
     });
 
@@ -761,13 +1087,15 @@ describe('Service Layer Tests', () => {
           quantity: 1,
         });
 
-        await testPurchase.update({ closed: true });
+        // Item changes re-synced the purchase total, which bumped its version
+        await testPurchase.reload();
+        await testPurchase.update({ status: 'closed' });
 
         await expect(purchaseItemService.delete(itemToDelete.id)).rejects.toMatchObject({
           status: 400,
         });
 
-        await testPurchase.update({ closed: false });
+        await testPurchase.update({ status: 'open' });
         await itemToDelete.destroy();
       });
     });
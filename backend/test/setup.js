@@ -100,7 +100,7 @@ global.testUtils = {
     const purchaseData = {
       employeeId,
       total: 25.5,
-      closed: true,
+      status: 'closed',
       date: new Date(),
       ...overrides,
     };
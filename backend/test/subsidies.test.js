@@ -0,0 +1,308 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const availabilityConfig = require('../config/availability');
+const { startOfDay } = require('../utils/calendar');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('Subsidy Policies API', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken;
+  let alice, bob, meal, feast, policy;
+
+  // Last month, so it can be closed for payroll at the end
+  const now = new Date();
+  const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 15, 12);
+  const period = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+  const at = (day, hour = 12) =>
+    new Date(lastMonth.getFullYear(), lastMonth.getMonth(), day, hour).toISOString();
+
+  const createPolicy = (body, token = adminToken) =>
+    request(app)
+      .post(`${API_BASE}/subsidy-policies`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const createPurchase = (employee, date, items, status = 'closed') =>
+    request(app)
+      .post(`${API_BASE}/purchases`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ employeeId: employee.id, date, status, items })
+      .expect(201);
+
+  const shares = purchase => [Number(purchase.companyShare), Number(purchase.employeeShare)];
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+  });
+
+  beforeEach(async () => {
+    await db.payrollPeriodEntries.destroy({ where: {} });
+    await db.payrollPeriods.destroy({ where: {} });
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.employees.destroy({ where: {}, force: true });
+    await db.subsidyPolicies.destroy({ where: {} });
+
+    // 50% up to 15 a day and 40 a month
+    policy = await db.subsidyPolicies.create({
+      name: 'Full-time staff',
+      percentage: 50,
+      dailyCap: 15,
+      monthlyCap: 40,
+    });
+
+    alice = await db.employees.create({
+      name: 'Alice',
+      employee_number: 'SUB-001',
+      monthlyConsumptionValue: 1000,
+      subsidyPolicyId: policy.id,
+    });
+    bob = await db.employees.create({
+      name: 'Bob',
+      employee_number: 'SUB-002',
+      monthlyConsumptionValue: 1000,
+    });
+
+    meal = await db.products.create({ name: 'Meal', price: 10 });
+    feast = await db.products.create({ name: 'Feast', price: 30 });
+  });
+
+  describe(`${API_BASE}/subsidy-policies`, () => {
+    it('should create a policy (admin only)', async () => {
+      const res = await createPolicy({ name: 'Interns', percentage: 25, monthlyCap: 100 }).expect(201);
+
+      expect(res.body.name).toBe('Interns');
+      expect(Number(res.body.percentage)).toBe(25);
+      expect(Number(res.body.monthlyCap)).toBe(100);
+
+      await createPolicy({ name: 'Managers', percentage: 10 }, managerToken).expect(403);
+    });
+
+    it('should reject invalid and duplicate policies', async () => {
+      await createPolicy({ name: 'Too generous', percentage: 120 }).expect(400);
+      await createPolicy({ name: 'Negative', percentage: 10, dailyCap: -1 }).expect(400);
+      await createPolicy({ percentage: 10 }).expect(400);
+
+      await createPolicy({ name: 'Full-time staff', percentage: 10 }).expect(409);
+    });
+
+    it('should list policies with their employee count', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/subsidy-policies`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({ id: policy.id, employeeCount: 1 });
+    });
+
+    it('should update a policy without repricing existing purchases', async () => {
+      const purchase = await createPurchase(alice, at(10), [{ productId: meal.id }]);
+
+      await request(app)
+        .put(`${API_BASE}/subsidy-policies/${policy.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ percentage: 100 })
+        .expect(200);
+
+      const stored = await db.purchases.findByPk(purchase.body.id);
+      expect(shares(stored)).toEqual([5, 5]);
+    });
+
+    it('should unassign the employees of a deleted policy', async () => {
+      await request(app)
+        .delete(`${API_BASE}/subsidy-policies/${policy.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await alice.reload();
+      expect(alice.subsidyPolicyId).toBeNull();
+
+      const res = await createPurchase(alice, at(10), [{ productId: meal.id }]);
+      expect(shares(res.body)).toEqual([0, 10]);
+    });
+  });
+
+  describe('Employee assignment', () => {
+    it('should assign an existing policy only', async () => {
+      await request(app)
+        .patch(`${API_BASE}/employees/${bob.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subsidyPolicyId: 99999 })
+        .expect(400);
+
+      const res = await request(app)
+        .patch(`${API_BASE}/employees/${bob.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subsidyPolicyId: policy.id })
+        .expect(200);
+      expect(res.body.subsidyPolicyId).toBe(policy.id);
+    });
+  });
+
+  describe('Purchase split', () => {
+    it('should let employees without a policy pay in full', async () => {
+      const res = await createPurchase(bob, at(10), [{ productId: meal.id }]);
+
+      expect(shares(res.body)).toEqual([0, 10]);
+    });
+
+    it('should cap the company share per day and per month', async () => {
+      const first = await createPurchase(alice, at(10, 9), [{ productId: meal.id }]);
+      expect(shares(first.body)).toEqual([5, 5]);
+
+      // 15 of 30, but only 10 left of the daily cap
+      const second = await createPurchase(alice, at(10, 13), [{ productId: feast.id }]);
+      expect(shares(second.body)).toEqual([10, 20]);
+
+      const nextDay = await createPurchase(alice, at(11), [{ productId: feast.id }]);
+      expect(shares(nextDay.body)).toEqual([15, 15]);
+
+      // 30 of the monthly 40 used
+      const third = await createPurchase(alice, at(12), [{ productId: feast.id }]);
+      expect(shares(third.body)).toEqual([10, 20]);
+    });
+
+    it('should start the daily cap at midnight in the cafeteria timezone', async () => {
+      const originalTimezone = availabilityConfig.timezone;
+      availabilityConfig.timezone = 'Europe/Berlin';
+
+      try {
+        // Either side of midnight in Berlin, the same day in UTC
+        const midnight = startOfDay(lastMonth.getFullYear(), lastMonth.getMonth() + 1, 11, 'Europe/Berlin').getTime();
+        const halfHour = 30 * 60 * 1000;
+
+        const before = await createPurchase(alice, new Date(midnight - halfHour).toISOString(), [{ productId: feast.id }]);
+        const after = await createPurchase(alice, new Date(midnight + halfHour).toISOString(), [{ productId: feast.id }]);
+
+        expect(shares(before.body)).toEqual([15, 15]);
+        expect(shares(after.body)).toEqual([15, 15]);
+      } finally {
+        availabilityConfig.timezone = originalTimezone;
+      }
+    });
+
+    it('should re-split when the items change', async () => {
+      const purchase = await createPurchase(alice, at(10), [{ productId: meal.id }], 'open');
+      expect(shares(purchase.body)).toEqual([5, 5]);
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ productId: feast.id }] })
+        .expect(200);
+
+      expect(Number(res.body.total)).toBe(40);
+      expect(shares(res.body)).toEqual([15, 25]);
+    });
+
+    it('should re-split when the purchase moves to another employee', async () => {
+      const purchase = await createPurchase(bob, at(10), [{ productId: meal.id }], 'open');
+
+      const res = await request(app)
+        .patch(`${API_BASE}/purchases/${purchase.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: alice.id })
+        .expect(200);
+
+      expect(shares(res.body)).toEqual([5, 5]);
+    });
+
+    it('should keep the split of a settled purchase on recalculate', async () => {
+      const purchase = await createPurchase(alice, at(10), [{ productId: meal.id }]);
+      await policy.update({ percentage: 100 });
+
+      const recalculate = () =>
+        request(app)
+          .post(`${API_BASE}/purchases/${purchase.body.id}/recalculate`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+      const res = await recalculate().expect(200);
+      expect(shares(res.body)).toEqual([5, 5]);
+
+      await request(app)
+        .post(`${API_BASE}/payroll-periods/${period}/close`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const locked = await recalculate().expect(423);
+      expect(locked.body.error.code).toBe('PERIOD_CLOSED');
+    });
+
+    it('should free the cap of a voided purchase', async () => {
+      const voided = await createPurchase(alice, at(10, 9), [{ productId: feast.id }]);
+      await request(app)
+        .post(`${API_BASE}/purchases/${voided.body.id}/void`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Entered twice' })
+        .expect(200);
+
+      const res = await createPurchase(alice, at(10, 13), [{ productId: feast.id }]);
+      expect(shares(res.body)).toEqual([15, 15]);
+    });
+
+    it('should split a refund like its purchase', async () => {
+      const purchase = await createPurchase(alice, at(10), [{ productId: meal.id, quantity: 2 }]);
+      const line = purchase.body.purchaseItems[0];
+
+      const res = await request(app)
+        .post(`${API_BASE}/purchases/${purchase.body.id}/refunds`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ reason: 'Meal was cold', items: [{ purchaseItemId: line.id, quantity: 1 }] })
+        .expect(201);
+
+      expect(Number(res.body.total)).toBe(10);
+      expect(shares(res.body)).toEqual([5, 5]);
+    });
+  });
+
+  describe('Reporting', () => {
+    beforeEach(async () => {
+      await createPurchase(alice, at(10), [{ productId: meal.id, quantity: 2 }]);
+      await createPurchase(alice, at(11), [{ productId: feast.id }]);
+      await createPurchase(bob, at(10), [{ productId: meal.id }]);
+    });
+
+    it('should report both shares in the summaries', async () => {
+      const res = await request(app)
+        .get(`${API_BASE}/purchases/summaries`)
+        .query({ from: at(1, 0), to: at(28, 23) })
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      const byEmployee = new Map(res.body.map(row => [row.employeeId, row]));
+      expect(byEmployee.get(alice.id)).toMatchObject({ totalSpending: 50, companyShare: 25, employeeShare: 25 });
+      expect(byEmployee.get(bob.id)).toMatchObject({ totalSpending: 10, companyShare: 0, employeeShare: 10 });
+    });
+
+    it('should deduct only the employee share in payroll', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/payroll-periods/${period}/close`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const entry = res.body.entries.find(e => e.employeeId === alice.id);
+      expect(Number(entry.totalSpent)).toBe(50);
+      expect(Number(entry.companyShare)).toBe(25);
+      expect(Number(entry.employeeShare)).toBe(25);
+      expect(Number(entry.deduction)).toBe(25);
+
+      const csv = await request(app)
+        .get(`${API_BASE}/payroll-periods/${period}/export`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(csv.text).toContain(`${period},${alice.id},SUB-001,Alice,2,50.00,0.00,1000.00,0.00,25.00,25.00,25.00`);
+    });
+  });
+});
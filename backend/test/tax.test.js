@@ -0,0 +1,262 @@
+const request = require('supertest');
+
+const app = require('../server');
+const db = require('../model');
+const taxService = require('../services/tax.service');
+const taxConfig = require('../config/tax');
+const { generateTestToken, createTestUsers } = require('./test_helper');
+
+describe('VAT', () => {
+  const API_BASE = '/api/v1';
+  let adminToken, managerToken;
+  let employee, standard, reduced, superReduced, soup, coffee, bread;
+
+  const send = (method, path, body, token = adminToken) =>
+    request(app)[method](`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const get = (path, token = adminToken) =>
+    request(app)
+      .get(`${API_BASE}${path}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const buy = items =>
+    send('post', '/purchases', {
+      employeeId: employee.id,
+      date: new Date().toISOString(),
+      status: 'closed',
+      items,
+    });
+
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.sequelize.sync({ force: true });
+
+    await createTestUsers(db);
+
+    adminToken = generateTestToken('admin');
+    managerToken = generateTestToken('manager');
+  });
+
+  beforeEach(async () => {
+    await db.purchaseDiscounts.destroy({ where: {} });
+    await db.refundItems.destroy({ where: {} });
+    await db.refunds.destroy({ where: {} });
+    await db.purchaseItems.destroy({ where: {} });
+    await db.purchases.destroy({ where: {} });
+    await db.products.destroy({ where: {}, force: true });
+    await db.taxRates.destroy({ where: {} });
+    await db.employees.destroy({ where: {}, force: true });
+
+    employee = await db.employees.create({
+      name: 'Tax Payer',
+      employee_number: 'VAT-001',
+      monthlyConsumptionValue: 100000,
+    });
+    standard = await db.taxRates.create({ name: 'Standard', rate: 27 });
+    reduced = await db.taxRates.create({ name: 'Reduced', rate: 18 });
+    superReduced = await db.taxRates.create({ name: 'Super-reduced', rate: 5 });
+    soup = await db.products.create({ name: 'Gulyásleves', price: 890, taxRateId: standard.id });
+    coffee = await db.products.create({ name: 'Espresso', price: 450, taxRateId: reduced.id });
+    bread = await db.products.create({ name: 'Kifli', price: 300, taxRateId: superReduced.id });
+  });
+
+  describe('Tax rates', () => {
+    it('should list the rates lowest first with their product counts', async () => {
+      await db.products.create({ name: 'Pogácsa', price: 250, taxRateId: superReduced.id });
+
+      const res = await get('/tax-rates', managerToken).expect(200);
+
+      expect(res.body.map(rate => [rate.name, Number(rate.rate), rate.productCount])).toEqual([
+        ['Super-reduced', 5, 2],
+        ['Reduced', 18, 1],
+        ['Standard', 27, 1],
+      ]);
+    });
+
+    it('should reject a duplicate name and a rate over 100', async () => {
+      const duplicate = await send('post', '/tax-rates', { name: 'Standard', rate: 20 }).expect(409);
+      expect(duplicate.body.error.message).toBe('Tax rate with name Standard already exists');
+
+      await send('post', '/tax-rates', { name: 'Wrong', rate: 127 }).expect(400);
+      await send('post', '/tax-rates', { name: 'Zero', rate: 0 }, managerToken).expect(403);
+    });
+
+    it('should refuse to delete a rate products are sold at', async () => {
+      const res = await send('delete', `/tax-rates/${standard.id}`).expect(409);
+
+      expect(res.body.error.code).toBe('TAX_RATE_IN_USE');
+      expect(res.body.error.details).toEqual({ products: 1 });
+
+      const unused = await db.taxRates.create({ name: 'Exempt', rate: 0 });
+      await send('delete', `/tax-rates/${unused.id}`).expect(200);
+    });
+
+    it('should return products with their rate and reject unknown rates', async () => {
+      const res = await send('post', '/products', { name: 'Túrós csusza', price: 1290, taxRateId: standard.id }).expect(201);
+      expect(res.body.taxRate).toMatchObject({ id: standard.id, name: 'Standard' });
+
+      const unknown = await send('post', '/products', { name: 'Lángos', price: 990, taxRateId: 999 }).expect(400);
+      expect(unknown.body.error.message).toBe('Tax rate with ID 999 not found');
+    });
+  });
+
+  describe('Purchases', () => {
+    it('should split each line and the purchase by rate', async () => {
+      const created = await buy([
+        { productId: soup.id, quantity: 1 },
+        { productId: coffee.id, quantity: 1 },
+        { productId: bread.id, quantity: 2 },
+      ]).expect(201);
+
+      const res = await get(`/purchases/${created.body.id}`).expect(200);
+
+      const soupLine = res.body.purchaseItems.find(item => item.productId === soup.id);
+      expect(soupLine).toMatchObject({ net: 701, vat: 189, gross: 890 });
+      expect(Number(soupLine.taxRate)).toBe(27);
+      expect(res.body.tax).toEqual({
+        currency: 'HUF',
+        rates: [
+          { taxRate: 5, net: 571, vat: 29, gross: 600 },
+          { taxRate: 18, net: 381, vat: 69, gross: 450 },
+          { taxRate: 27, net: 701, vat: 189, gross: 890 },
+        ],
+        net: 1653,
+        vat: 287,
+        gross: 1940,
+      });
+    });
+
+    it('should keep the rate items were sold at', async () => {
+      const created = await buy([{ productId: soup.id, quantity: 1 }]).expect(201);
+
+      await send('put', `/tax-rates/${standard.id}`, { rate: 18 }).expect(200);
+
+      const res = await get(`/purchases/${created.body.id}`).expect(200);
+      expect(res.body.tax.rates).toEqual([{ taxRate: 27, net: 701, vat: 189, gross: 890 }]);
+
+      const later = await buy([{ productId: soup.id, quantity: 1 }]).expect(201);
+      expect(Number(later.body.purchaseItems[0].taxRate)).toBe(18);
+    });
+
+    it('should copy the rate onto items created with only a price and name', async () => {
+      const purchase = await db.purchases.create({ employeeId: employee.id, date: new Date(), status: 'open' });
+
+      const item = await db.purchaseItems.create({
+        purchaseId: purchase.id,
+        productId: soup.id,
+        quantity: 1,
+        unitPrice: 890,
+        productName: 'Gulyásleves',
+      });
+
+      expect(Number(item.taxRate)).toBe(27);
+    });
+
+    it('should group items sold without a rate apart', async () => {
+      const unrated = await db.products.create({ name: 'Ásványvíz', price: 200 });
+
+      const created = await buy([{ productId: unrated.id, quantity: 1 }, { productId: soup.id, quantity: 1 }]).expect(201);
+
+      expect(created.body.tax.rates).toEqual([
+        { taxRate: 27, net: 701, vat: 189, gross: 890 },
+        { taxRate: null, net: null, vat: null, gross: 200 },
+      ]);
+      expect(created.body.tax).toMatchObject({ net: 701, vat: 189, gross: 1090 });
+    });
+  });
+
+  describe('Summaries', () => {
+    it('should sum the VAT of the range by rate, net of refunds', async () => {
+      const created = await buy([{ productId: soup.id, quantity: 1 }, { productId: bread.id, quantity: 2 }]).expect(201);
+      const breadLine = created.body.purchaseItems.find(item => item.productId === bread.id);
+      await send('post', `/purchases/${created.body.id}/refunds`, {
+        reason: 'Stale bread',
+        items: [{ purchaseItemId: breadLine.id, quantity: 1 }],
+      }).expect(201);
+
+      const res = await get('/purchases/tax-summary', managerToken).expect(200);
+
+      expect(res.body).toEqual({
+        from: null,
+        to: null,
+        currency: 'HUF',
+        rates: [
+          { taxRate: 5, net: 286, vat: 14, gross: 300 },
+          { taxRate: 27, net: 701, vat: 189, gross: 890 },
+        ],
+        net: 987,
+        vat: 203,
+        gross: 1190,
+      });
+
+      const summary = await get(`/purchases/employee/${employee.id}/summary`).expect(200);
+      expect(summary.body.netAmount).toBe(1190);
+      expect(summary.body.tax).toEqual(expect.objectContaining({ vat: 203, gross: 1190 }));
+    });
+
+    it('should spread discounts like the purchases they belong to', async () => {
+      const discounted = await buy([{ productId: soup.id, quantity: 1 }, { productId: bread.id, quantity: 1 }])
+        .expect(201);
+      await db.purchaseDiscounts.create({ purchaseId: discounted.body.id, promotionName: 'Lunch deal', amount: 119 });
+      await buy([{ productId: coffee.id, quantity: 1 }, { productId: soup.id, quantity: 1 }]).expect(201);
+
+      const { body: detail } = await get(`/purchases/${discounted.body.id}`).expect(200);
+      expect(detail.tax.gross).toBe(1071);
+
+      const res = await get('/purchases/tax-summary').expect(200);
+
+      const grossOf = rates => Object.fromEntries(rates.map(rate => [rate.taxRate, rate.gross]));
+      const perPurchase = grossOf(detail.tax.rates);
+      expect(grossOf(res.body.rates)).toEqual({ 5: perPurchase[5], 18: 450, 27: perPurchase[27] + 890 });
+      expect(res.body.gross).toBe(1071 + 450 + 890);
+    });
+
+    it('should leave voided purchases out', async () => {
+      const created = await buy([{ productId: soup.id, quantity: 1 }]).expect(201);
+      await send('post', `/purchases/${created.body.id}/void`, { reason: 'Rang up twice' }).expect(200);
+
+      const res = await get('/purchases/tax-summary').expect(200);
+
+      expect(res.body).toMatchObject({ rates: [], net: 0, vat: 0, gross: 0 });
+    });
+  });
+
+  describe('Rounding', () => {
+    const rounding = taxConfig.rounding;
+
+    afterEach(() => {
+      taxConfig.rounding = rounding;
+    });
+
+    it('should round VAT under the currency rule', () => {
+      expect(taxService.split(890, 27)).toEqual({ net: 701, vat: 189, gross: 890 });
+
+      taxConfig.rounding = { decimals: 2, mode: 'half-up' };
+      expect(taxService.split(890, 27)).toEqual({ net: 700.79, vat: 189.21, gross: 890 });
+      expect(taxService.round(0.125)).toBe(0.13);
+      expect(taxService.round(-0.125)).toBe(-0.13);
+
+      taxConfig.rounding = { decimals: 2, mode: 'half-even' };
+      expect(taxService.round(0.125)).toBe(0.12);
+      expect(taxService.round(0.135)).toBe(0.14);
+    });
+
+    it('should spread discounts over the rates by their gross', () => {
+      const items = [
+        { unitPrice: 890, quantity: 1, taxRate: 27 },
+        { unitPrice: 300, quantity: 1, taxRate: 5 },
+      ];
+
+      const tax = taxService.forPurchase(items, [{ amount: 119 }]);
+
+      // 10% off: 801 at 27% and 270 at 5%
+      expect(tax.rates).toEqual([
+        { taxRate: 5, net: 257, vat: 13, gross: 270 },
+        { taxRate: 27, net: 631, vat: 170, gross: 801 },
+      ]);
+      expect(tax.gross).toBe(1071);
+    });
+  });
+});
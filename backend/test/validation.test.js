@@ -190,16 +190,36 @@ describe('Validation Middleware', () => {
     });
 
     it('should accept purchase with default values', async () => {
+      const employee = await db.employees.create({
+        name: 'Validation Employee',
+        employee_number: `VAL${Date.now()}`,
+        monthlyConsumptionValue: 1000,
+      });
+
       const res = await request(app)
         .post(`${API_BASE}/purchases`)
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
           date: new Date().toISOString(),
-          employeeId: 1,
+          employeeId: employee.id,
         });
 
       expect(res.status).not.toBe(400);
     });
+
+    it('should reject a client-supplied total', async () => {
+      const res = await request(app)
+        .post(`${API_BASE}/purchases`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          date: new Date().toISOString(),
+          employeeId: 1,
+          total: 100,
+        })
+        .expect(400);
+
+      expect(res.body.error.message).toContain('Total is calculated by the server');
+    });
   });
 
   describe('ID Parameter Validation', () => {
@@ -0,0 +1,49 @@
+/**
+ * Barcode helpers
+ *
+ * Products carry EAN-8, UPC-A (12 digits) and EAN-13 barcodes. UPC-A codes
+ * are stored in their EAN-13 form (a leading 0), so a scanner reporting
+ * either form finds the product.
+ */
+
+const LENGTHS = [8, 12, 13];
+
+/**
+ * Whether the last digit is the GS1 check digit of the others
+ * Weights alternate 3 and 1 from the right, the check digit excluded.
+ *
+ * @param {string} code - Digits only
+ * @returns {boolean}
+ */
+const hasValidCheckDigit = code => {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+/**
+ * Whether a code is an EAN-8, UPC-A or EAN-13 barcode with a valid check digit
+ *
+ * @param {string} code - Scanned or entered code
+ * @returns {boolean}
+ */
+const isValidBarcode = code =>
+  typeof code === 'string' && /^\d+$/.test(code) && LENGTHS.includes(code.length) && hasValidCheckDigit(code);
+
+/**
+ * Stored form of a barcode: UPC-A becomes EAN-13
+ *
+ * @param {string} code - Valid barcode
+ * @returns {string}
+ */
+const normalizeBarcode = code => (code.length === 12 ? `0${code}` : code);
+
+module.exports = {
+  isValidBarcode,
+  normalizeBarcode,
+};
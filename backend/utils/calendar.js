@@ -0,0 +1,133 @@
+/**
+ * Calendar helpers
+ *
+ * Days and months (allowance, payroll close, subsidy caps, promotion limits,
+ * department assignments) follow the calendar of the cafeteria timezone
+ * (CAFETERIA_TIMEZONE, see config/availability.js), not the server's: a
+ * purchase at 00:30 on the 1st in Berlin belongs to the new month even on a
+ * server running in UTC.
+ */
+
+/**
+ * Wall-clock fields of a moment in a timezone
+ *
+ * @param {Date} at - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const zonedFields = (at, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(at);
+
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+};
+
+/**
+ * Offset of a timezone from UTC at a moment, in milliseconds
+ */
+const offsetAt = (at, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedFields(at, timeZone);
+  const seconds = Math.floor(at.getTime() / 1000) * 1000;
+
+  return Date.UTC(year, month - 1, day, hour, minute, second) - seconds;
+};
+
+/**
+ * Moment a day starts in a timezone
+ * The offset is taken twice so a DST change near midnight is honoured.
+ * Days and months past the end roll over, like Date.UTC.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const startOfDay = (year, month, day, timeZone) => {
+  const utc = Date.UTC(year, month - 1, day);
+  const guess = utc - offsetAt(new Date(utc), timeZone);
+
+  return new Date(utc - offsetAt(new Date(guess), timeZone));
+};
+
+/**
+ * Calendar day of a moment in a timezone
+ *
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number}}
+ */
+const dayOf = (date, timeZone) => {
+  const { year, month, day } = zonedFields(new Date(date), timeZone);
+  return { year, month, day };
+};
+
+/**
+ * Calendar day of a moment in a timezone as YYYY-MM-DD
+ *
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {string}
+ */
+const dayKey = (date, timeZone) => {
+  const { year, month, day } = dayOf(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * First and last moment of a calendar day in a timezone
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @param {string} timeZone - IANA timezone
+ * @returns {{from: Date, to: Date}}
+ */
+const dayRange = (year, month, day, timeZone) => ({
+  from: startOfDay(year, month, day, timeZone),
+  to: new Date(startOfDay(year, month, day + 1, timeZone).getTime() - 1),
+});
+
+/**
+ * Year and month (1-12) of a moment in a timezone
+ *
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number}}
+ */
+const monthOf = (date, timeZone) => {
+  const { year, month } = zonedFields(new Date(date), timeZone);
+  return { year, month };
+};
+
+/**
+ * First and last moment of a calendar month in a timezone
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {string} timeZone - IANA timezone
+ * @returns {{from: Date, to: Date}}
+ */
+const monthRange = (year, month, timeZone) => ({
+  from: startOfDay(year, month, 1, timeZone),
+  to: new Date(startOfDay(year, month + 1, 1, timeZone).getTime() - 1),
+});
+
+module.exports = {
+  startOfDay,
+  dayOf,
+  dayKey,
+  dayRange,
+  monthOf,
+  monthRange,
+};
@@ -0,0 +1,104 @@
+const createError = require('http-errors');
+
+/**
+ * Optimistic concurrency helpers
+ *
+ * Products, employees and purchases carry a version column (Sequelize
+ * `version: true`) that is incremented on every save. The version is
+ * exposed as a strong ETag ("3") and checked against If-Match on updates.
+ * Changes made by the system rather than through the edit form (stock
+ * movements, scheduled prices) go through updateUnversioned so they never
+ * fail an If-Match.
+ */
+
+const formatETag = version => `"${version}"`;
+
+/**
+ * Parse an If-Match header into the expected version
+ *
+ * @param {string|undefined} header - Raw If-Match header
+ * @returns {{any: boolean, versions: number[]}|null} - null when the header is absent
+ */
+const parseIfMatch = header => {
+  if (header === undefined) {
+    return null;
+  }
+
+  const value = header.trim();
+  if (value === '*') {
+    return { any: true, versions: [] };
+  }
+
+  // Accept "3" and W/"3"; anything else can never match
+  const versions = value
+    .split(',')
+    .map(tag => tag.trim().match(/^(?:W\/)?"(\d+)"$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+
+  return { any: false, versions };
+};
+
+/**
+ * 412 Precondition Failed for a record that changed since it was read
+ *
+ * @param {number} currentVersion - Version now stored
+ * @returns {Error}
+ */
+const preconditionFailed = currentVersion => {
+  const error = createError(412, 'The record was changed by someone else. Reload it and try again.');
+  error.code = 'PRECONDITION_FAILED';
+  error.details = { currentVersion, etag: formatETag(currentVersion) };
+  return error;
+};
+
+/**
+ * Throw 412 unless the instance still has one of the expected versions
+ *
+ * @param {Object} instance - Model instance with a version attribute
+ * @param {{any: boolean, versions: number[]}|null} ifMatch - From parseIfMatch (null skips the check)
+ */
+const assertVersion = (instance, ifMatch) => {
+  if (!ifMatch || ifMatch.any) {
+    return;
+  }
+
+  if (!ifMatch.versions.includes(instance.version)) {
+    throw preconditionFailed(instance.version);
+  }
+};
+
+/**
+ * Whether a save lost the race against a concurrent update
+ */
+const isOptimisticLockError = error => error?.name === 'SequelizeOptimisticLockError';
+
+/**
+ * Save some fields of an instance without incrementing its version
+ * A static update skips the version bump; the instance is kept in sync.
+ *
+ * @param {Object} instance - Model instance with a version attribute
+ * @param {Object} values - Fields to save
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} - The instance
+ */
+const updateUnversioned = async (instance, values, { transaction } = {}) => {
+  await instance.constructor.update(values, {
+    where: { id: instance.id },
+    paranoid: false,
+    transaction,
+  });
+
+  Object.entries(values).forEach(([field, value]) => instance.setDataValue(field, value));
+  return instance;
+};
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+  preconditionFailed,
+  assertVersion,
+  isOptimisticLockError,
+  updateUnversioned,
+};
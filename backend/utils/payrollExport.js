@@ -0,0 +1,102 @@
+const { AMOUNT_FIELDS } = require('../config/payroll');
+
+/**
+ * Payroll export formatters
+ *
+ * Turn payroll period entries into the deduction file for the payroll
+ * system. Both formatters are pure: rows in, file contents out. Column
+ * setup comes from config/payroll.js.
+ */
+
+const formatAmount = value => (Number(value) || 0).toFixed(2);
+
+const formatCents = value => String(Math.round((Number(value) || 0) * 100));
+
+/**
+ * Quote a CSV value when it contains the delimiter, a quote or a line break
+ */
+const escapeCsv = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * CSV with a header row
+ *
+ * @param {Array<Object>} rows - Export rows keyed by field
+ * @param {Object} options - { delimiter, columns, lineEnding }
+ * @returns {string}
+ */
+const toCsv = (rows, { delimiter, columns, lineEnding }) => {
+  const lines = [columns.map(column => escapeCsv(column, delimiter)).join(delimiter)];
+
+  rows.forEach(row => {
+    lines.push(
+      columns
+        .map(column => {
+          const value = AMOUNT_FIELDS.includes(column) ? formatAmount(row[column]) : row[column];
+          return escapeCsv(value, delimiter);
+        })
+        .join(delimiter),
+    );
+  });
+
+  return lines.join(lineEnding) + lineEnding;
+};
+
+/**
+ * Render one fixed-width column
+ * Text is truncated to the width; an amount that does not fit throws,
+ * since a cut-off number would deduct the wrong value.
+ */
+const formatColumn = (row, { field, width, align = 'left', pad = ' ', format = 'text' }) => {
+  let text;
+  if (format === 'cents') {
+    text = formatCents(row[field]);
+  } else if (format === 'amount') {
+    text = formatAmount(row[field]);
+  } else {
+    text = row[field] === null || row[field] === undefined ? '' : String(row[field]);
+  }
+
+  if (text.length > width) {
+    if (format !== 'text') {
+      throw new Error(`Value ${text} of ${field} does not fit in ${width} characters`);
+    }
+    text = text.slice(0, width);
+  }
+
+  if (align !== 'right') {
+    return text.padEnd(width, pad);
+  }
+
+  // Keep the sign in front of zero padding: -0000123
+  if (pad === '0' && text.startsWith('-')) {
+    return `-${text.slice(1).padStart(width - 1, '0')}`;
+  }
+
+  return text.padStart(width, pad);
+};
+
+/**
+ * Fixed-width records, one line per row, no header
+ *
+ * @param {Array<Object>} rows - Export rows keyed by field
+ * @param {Object} options - { layout, lineEnding }
+ * @returns {string}
+ */
+const toFixedWidth = (rows, { layout, lineEnding }) => {
+  return rows
+    .map(row => layout.map(column => formatColumn(row, column)).join('') + lineEnding)
+    .join('');
+};
+
+module.exports = {
+  toCsv,
+  toFixedWidth,
+};
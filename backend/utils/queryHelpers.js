@@ -182,9 +182,43 @@ const buildQueryOptions = ({
   return options;
 };
 
+// Positive integer ID from a query parameter, undefined when absent
+const parseIdParam = (query, param) => {
+  if (query[param] === undefined || query[param] === '') {
+    return undefined;
+  }
+
+  const id = Number(query[param]);
+  if (!Number.isInteger(id) || id < 1) {
+    throw createError(400, `Invalid ${param}: ${query[param]}`);
+  }
+  return id;
+};
+
+// ?department=3&costCenter=5 as { departmentId, costCenterId }, sub-units
+// are added by organization.service.js
+const parseUnitFilters = query => {
+  const filters = {};
+  const units = { department: 'departmentId', costCenter: 'costCenterId' };
+
+  Object.entries(units).forEach(([param, key]) => {
+    const id = parseIdParam(query, param);
+    if (id !== undefined) {
+      filters[key] = id;
+    }
+  });
+
+  return filters;
+};
+
+// ?location=2 as a location ID, undefined when absent
+const parseLocationFilter = query => parseIdParam(query, 'location');
+
 module.exports = {
   parseSort,
   parseFilters,
+  parseUnitFilters,
+  parseLocationFilter,
   paginatedResponse,
   buildQueryOptions,
   OPERATORS,
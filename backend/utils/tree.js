@@ -0,0 +1,84 @@
+/**
+ * Tree helpers
+ *
+ * Categories, departments and cost centers are small hierarchies (tens of
+ * rows) linked by parentId. They are loaded in one query and walked in
+ * memory with these helpers for paths, subtrees and cycle checks.
+ */
+
+/**
+ * Names from the root down to the node
+ *
+ * @param {Map} byId - Rows by ID
+ * @param {number} id - Node ID
+ * @returns {string[]}
+ */
+const pathOf = (byId, id) => {
+  const path = [];
+  let node = byId.get(id);
+
+  while (node) {
+    path.unshift(node.name);
+    node = byId.get(node.parentId);
+  }
+
+  return path;
+};
+
+/**
+ * IDs of the node and all of its descendants
+ *
+ * @param {Array} rows - All rows
+ * @param {number} id - Node ID
+ * @returns {number[]}
+ */
+const subtreeIds = (rows, id) => {
+  const ids = [id];
+
+  for (let i = 0; i < ids.length; i++) {
+    rows.filter(row => row.parentId === ids[i]).forEach(row => ids.push(row.id));
+  }
+
+  return ids;
+};
+
+/**
+ * Rows nested under children, each with its depth and path
+ *
+ * @param {Array} rows - All rows, in the order siblings should appear
+ * @param {Function} [extend] - Extra fields of a node, (row) => Object
+ * @returns {Array}
+ */
+const buildTree = (rows, extend = () => ({})) => {
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  const build = (parentId, depth) =>
+    rows
+      .filter(row => row.parentId === parentId)
+      .map(row => ({
+        ...row,
+        depth,
+        path: pathOf(byId, row.id),
+        ...extend(row),
+        children: build(row.id, depth + 1),
+      }));
+
+  return build(null, 0);
+};
+
+/**
+ * Nested nodes as a flat list in tree order (each node followed by its
+ * descendants), without children
+ *
+ * @param {Array} nodes - Nodes from buildTree()
+ * @returns {Array}
+ */
+const flattenTree = nodes =>
+  nodes.flatMap(({ children, ...node }) => [node, ...flattenTree(children)]);
+
+module.exports = {
+  pathOf,
+  subtreeIds,
+  buildTree,
+  flattenTree,
+};
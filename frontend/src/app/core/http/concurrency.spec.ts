@@ -0,0 +1,51 @@
+import { HttpErrorResponse } from '@angular/common/http';
+import {
+  ConcurrencyConflictError,
+  isConcurrencyConflict,
+  ifMatchHeaders,
+  toConcurrencyConflict
+} from './concurrency';
+
+describe('concurrency helpers', () => {
+  describe('ifMatchHeaders', () => {
+    it('should quote the version as an ETag', () => {
+      expect(ifMatchHeaders(3)?.get('If-Match')).toBe('"3"');
+      expect(ifMatchHeaders(0)?.get('If-Match')).toBe('"0"');
+    });
+
+    it('should return undefined without a version', () => {
+      expect(ifMatchHeaders()).toBeUndefined();
+      expect(ifMatchHeaders(null)).toBeUndefined();
+    });
+  });
+
+  describe('toConcurrencyConflict', () => {
+    it('should map a 412 response to a ConcurrencyConflictError', () => {
+      const error = new HttpErrorResponse({
+        status: 412,
+        error: { error: { message: 'Changed', details: { currentVersion: 7, etag: '"7"' } } }
+      });
+
+      const conflict = toConcurrencyConflict(error);
+
+      expect(conflict).toBeInstanceOf(ConcurrencyConflictError);
+      expect(conflict?.message).toBe('Changed');
+      expect(conflict?.currentVersion).toBe(7);
+    });
+
+    it('should use the default message when the body has none', () => {
+      const conflict = toConcurrencyConflict(new HttpErrorResponse({ status: 412 }));
+
+      expect(conflict?.message).toContain('changed by someone else');
+    });
+
+    it('should return null for other statuses', () => {
+      expect(toConcurrencyConflict(new HttpErrorResponse({ status: 409 }))).toBeNull();
+    });
+  });
+
+  it('isConcurrencyConflict should only match conflict errors', () => {
+    expect(isConcurrencyConflict(new ConcurrencyConflictError())).toBe(true);
+    expect(isConcurrencyConflict(new Error('Other'))).toBe(false);
+  });
+});
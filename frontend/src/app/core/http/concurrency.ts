@@ -0,0 +1,54 @@
+import { HttpErrorResponse, HttpHeaders } from '@angular/common/http';
+
+/**
+ * Optimistic concurrency helpers.
+ *
+ * Products, employees and purchases carry a `version` that the API also
+ * returns as the ETag header. Sending it back as If-Match makes the update
+ * fail with 412 Precondition Failed when someone else saved the record in
+ * the meantime, instead of silently overwriting their change.
+ */
+
+/**
+ * Thrown by the data services when an update was rejected with 412.
+ */
+export class ConcurrencyConflictError extends Error {
+  constructor(
+    message = 'The record was changed by someone else. Reload it and try again.',
+    public readonly currentVersion?: number
+  ) {
+    super(message);
+    this.name = 'ConcurrencyConflictError';
+  }
+}
+
+/**
+ * Type guard for errors emitted by update calls
+ */
+export function isConcurrencyConflict(error: unknown): error is ConcurrencyConflictError {
+  return error instanceof ConcurrencyConflictError;
+}
+
+/**
+ * If-Match header for the version the edit is based on.
+ * Without a version the update is sent unconditionally.
+ */
+export function ifMatchHeaders(version?: number | null): HttpHeaders | undefined {
+  if (version === undefined || version === null) {
+    return undefined;
+  }
+  return new HttpHeaders({ 'If-Match': `"${version}"` });
+}
+
+/**
+ * Map a 412 response to a ConcurrencyConflictError (null for other errors)
+ */
+export function toConcurrencyConflict(error: HttpErrorResponse): ConcurrencyConflictError | null {
+  if (error.status !== 412) {
+    return null;
+  }
+  return new ConcurrencyConflictError(
+    error.error?.error?.message,
+    error.error?.error?.details?.currentVersion
+  );
+}
@@ -5,3 +5,11 @@ export { CustomPreloadingStrategy } from './preloading/custom-preloading.strateg
 // Interceptors
 export { errorInterceptorFn } from './interceptors/error.interceptor';
 export { loadingInterceptorFn } from './interceptors/loading.interceptor';
+
+// HTTP helpers
+export {
+  ConcurrencyConflictError,
+  isConcurrencyConflict,
+  ifMatchHeaders,
+  toConcurrencyConflict
+} from './http/concurrency';
@@ -52,6 +52,7 @@ const SKIP_ERROR_HANDLING = [
  * - 403: Forbidden - navigates to /unauthorized
  * - 404: Not Found
  * - 409: Conflict - shows API message
+ * - 412: Precondition Failed - skipped (forms show a reload dialog)
  * - 422: Validation - formats field errors
  * - 500: Server Error
  * - 0: Network Error
@@ -106,6 +107,12 @@ export const errorInterceptorFn: HttpInterceptorFn = (req, next) => {
             || 'A conflict occurred. The resource may already exist.';
           break;
 
+        case 412:
+          // Precondition Failed - the record changed since it was loaded.
+          // The form shows a "record changed, reload?" dialog instead.
+          shouldShowToast = false;
+          break;
+
         case 422:
           // Validation Error
           message = formatValidationErrors(errorBody?.error?.details);
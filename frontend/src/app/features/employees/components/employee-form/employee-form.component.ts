@@ -2,7 +2,7 @@ import { Component, Input, Output, EventEmitter, OnInit, OnChanges, SimpleChange
 import { CommonModule } from '@angular/common';
 import { ReactiveFormsModule, FormBuilder, FormGroup, Validators } from '@angular/forms';
 import { Employee, CreateEmployeeDto, UpdateEmployeeDto } from 'src/app/model/employee';
-import { BaseFormComponent, FormFieldComponent } from 'src/app/shared/components';
+import { BaseFormComponent, ConfirmDialogComponent, FormFieldComponent } from 'src/app/shared/components';
 import { CustomValidators } from 'src/app/shared/validators';
 
 /**
@@ -22,7 +22,7 @@ import { CustomValidators } from 'src/app/shared/validators';
 @Component({
   selector: 'app-employee-form',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent],
+  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent, ConfirmDialogComponent],
   template: `
     <form 
       [formGroup]="form" 
@@ -152,6 +152,18 @@ import { CustomValidators } from 'src/app/shared/validators';
         </div>
       }
     </form>
+
+    <!-- Shown when the save was rejected because the record changed -->
+    <app-confirm-dialog
+      [show]="conflict"
+      [title]="conflictTitle"
+      [message]="conflictMessage"
+      confirmText="Reload"
+      cancelText="Keep editing"
+      confirmClass="btn-warning"
+      (confirmed)="onConflictReload()"
+      (cancelled)="onConflictDismiss()">
+    </app-confirm-dialog>
   `,
   styles: [`
     .employee-form {
@@ -151,7 +151,11 @@ describe('ProductFormComponent', () => {
 
       expect(saveSpy).toHaveBeenCalledWith({
         name: 'New Product',
-        price: 19.99
+        sku: null,
+        barcodes: [],
+        price: 19.99,
+        categoryId: null,
+        tags: []
       });
     });
 
@@ -172,8 +176,145 @@ describe('ProductFormComponent', () => {
 
       expect(saveSpy).toHaveBeenCalledWith({
         name: 'Updated Name',
-        price: 25.00
+        sku: null,
+        barcodes: [],
+        price: 25.00,
+        categoryId: null,
+        tags: []
+      });
+    });
+
+    it('should prefill the category and tags in edit mode', () => {
+      const product: Product = {
+        id: 1,
+        name: 'Oat Latte',
+        price: 3.2,
+        categoryId: 2,
+        tags: [{ id: 1, name: 'vegan' }, { id: 2, name: 'hot' }]
+      };
+      component.product = product;
+      component.ngOnChanges({
+        product: { currentValue: product, previousValue: null, firstChange: false, isFirstChange: () => false }
       });
+
+      expect(component.form.get('categoryId')?.value).toBe(2);
+      expect(component.form.get('tags')?.value).toBe('vegan, hot');
+    });
+
+    it('should emit the category and the parsed tag list', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+
+      component.form.patchValue({
+        name: 'Oat Latte',
+        price: 3.2,
+        categoryId: 2,
+        tags: ' Vegan, hot,, vegan '
+      });
+
+      component.onFormSubmit();
+
+      expect(saveSpy).toHaveBeenCalledWith({
+        name: 'Oat Latte',
+        sku: null,
+        barcodes: [],
+        price: 3.2,
+        categoryId: 2,
+        tags: ['vegan', 'hot']
+      });
+    });
+  });
+
+  describe('SKU and barcodes', () => {
+    it('should prefill the SKU and barcodes in edit mode', () => {
+      const product: Product = {
+        id: 1,
+        name: 'Cola',
+        price: 1.8,
+        sku: 'DRK-COLA',
+        barcodes: [{ code: '5449000000996' }, { code: '96385074' }]
+      };
+      component.product = product;
+      component.ngOnChanges({
+        product: { currentValue: product, previousValue: null, firstChange: false, isFirstChange: () => false }
+      });
+
+      expect(component.form.get('sku')?.value).toBe('DRK-COLA');
+      expect(component.form.get('barcodes')?.value).toBe('5449000000996, 96385074');
+    });
+
+    it('should emit the uppercase SKU and the parsed barcode list', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+
+      component.form.patchValue({
+        name: 'Cola',
+        price: 1.8,
+        sku: ' drk-cola ',
+        barcodes: '5449000000996, 96385074,, 5449000000996'
+      });
+
+      component.onFormSubmit();
+
+      expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        sku: 'DRK-COLA',
+        barcodes: ['5449000000996', '96385074']
+      }));
+    });
+
+    it('should not emit with an invalid barcode', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+
+      component.form.patchValue({ name: 'Cola', price: 1.8, barcodes: '5449000000997' });
+      component.onFormSubmit();
+
+      expect(saveSpy).not.toHaveBeenCalled();
+      expect(component.getFieldError('barcodes')).toBe('5449000000997 is not a valid EAN-8, UPC-A or EAN-13 barcode');
+    });
+  });
+
+  describe('Category select', () => {
+    it('should list the categories indented by depth', () => {
+      fixture.componentRef.setInput('categories', [
+        { id: 1, name: 'Drinks', parentId: null, depth: 0 },
+        { id: 2, name: 'Coffee', parentId: 1, depth: 1 }
+      ]);
+      fixture.detectChanges();
+
+      const options = fixture.nativeElement.querySelectorAll('#product-category option');
+      expect(options.length).toBe(3);
+      expect(options[0].textContent.trim()).toBe('No category');
+      expect(options[2].textContent).toBe('   Coffee');
+    });
+  });
+
+  describe('Concurrency conflict', () => {
+    it('should not show the conflict dialog by default', () => {
+      expect(fixture.nativeElement.querySelector('[role="dialog"]')).toBeNull();
+    });
+
+    it('should show the conflict dialog when conflict is set', () => {
+      fixture.componentRef.setInput('conflict', true);
+      fixture.detectChanges();
+
+      const dialog = fixture.nativeElement.querySelector('[role="dialog"]');
+      expect(dialog).not.toBeNull();
+      expect(dialog.textContent).toContain('Record changed');
+      expect(dialog.textContent).toContain('Reload');
+    });
+
+    it('should emit reloadRequested on reload', () => {
+      const reloadSpy = jest.spyOn(component.reloadRequested, 'emit');
+
+      component.onConflictReload();
+
+      expect(reloadSpy).toHaveBeenCalled();
+    });
+
+    it('should emit conflictDismissed on dismiss', () => {
+      const dismissSpy = jest.spyOn(component.conflictDismissed, 'emit');
+
+      component.onConflictDismiss();
+
+      expect(dismissSpy).toHaveBeenCalled();
     });
   });
 
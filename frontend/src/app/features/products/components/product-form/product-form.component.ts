@@ -2,7 +2,8 @@ import { Component, Input, Output, EventEmitter, OnInit, OnChanges, SimpleChange
 import { CommonModule } from '@angular/common';
 import { ReactiveFormsModule, FormBuilder, FormGroup, Validators } from '@angular/forms';
 import { Product, CreateProductDto, UpdateProductDto } from 'src/app/model/product';
-import { BaseFormComponent, FormFieldComponent } from 'src/app/shared/components';
+import { Category } from 'src/app/model/category';
+import { BaseFormComponent, ConfirmDialogComponent, FormFieldComponent } from 'src/app/shared/components';
 import { CustomValidators } from 'src/app/shared/validators';
 
 /**
@@ -13,6 +14,7 @@ import { CustomValidators } from 'src/app/shared/validators';
  * ```html
  * <app-product-form
  *   [product]="existingProduct"
+ *   [categories]="categories"
  *   [loading]="isSaving"
  *   (save)="onSave($event)"
  *   (cancel)="onCancel()"
@@ -22,7 +24,7 @@ import { CustomValidators } from 'src/app/shared/validators';
 @Component({
   selector: 'app-product-form',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent],
+  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent, ConfirmDialogComponent],
   template: `
     <form 
       [formGroup]="form" 
@@ -54,6 +56,47 @@ import { CustomValidators } from 'src/app/shared/validators';
         >
       </app-form-field>
 
+      <!-- SKU Field -->
+      <app-form-field
+        label="SKU"
+        fieldId="product-sku"
+        [showError]="isFieldInvalid('sku')"
+        [errorMessage]="getFieldError('sku')"
+        hint="Optional article number, unique across products">
+        <input
+          type="text"
+          id="product-sku"
+          class="form-control text-uppercase"
+          formControlName="sku"
+          [class.is-invalid]="isFieldInvalid('sku')"
+          placeholder="e.g., DRK-COLA-033"
+          autocomplete="off"
+          [attr.aria-invalid]="isFieldInvalid('sku')"
+          [attr.aria-describedby]="isFieldInvalid('sku') ? 'product-sku-error' : 'product-sku-hint'"
+        >
+      </app-form-field>
+
+      <!-- Barcodes Field -->
+      <app-form-field
+        label="Barcodes"
+        fieldId="product-barcodes"
+        [showError]="isFieldInvalid('barcodes')"
+        [errorMessage]="getFieldError('barcodes')"
+        hint="Comma-separated EAN-8, UPC-A or EAN-13 codes; scan into the field">
+        <input
+          type="text"
+          id="product-barcodes"
+          class="form-control"
+          formControlName="barcodes"
+          [class.is-invalid]="isFieldInvalid('barcodes')"
+          placeholder="e.g., 5449000000996"
+          autocomplete="off"
+          inputmode="numeric"
+          [attr.aria-invalid]="isFieldInvalid('barcodes')"
+          [attr.aria-describedby]="isFieldInvalid('barcodes') ? 'product-barcodes-error' : 'product-barcodes-hint'"
+        >
+      </app-form-field>
+
       <!-- Price Field -->
       <app-form-field
         label="Price"
@@ -83,6 +126,40 @@ import { CustomValidators } from 'src/app/shared/validators';
         </div>
       </app-form-field>
 
+      <!-- Category Field -->
+      <app-form-field
+        label="Category"
+        fieldId="product-category"
+        hint="Pick the most specific category; filtering by a category includes its subcategories">
+        <select
+          id="product-category"
+          class="form-select"
+          formControlName="categoryId"
+          aria-describedby="product-category-hint"
+        >
+          <option [ngValue]="null">No category</option>
+          @for (category of categories; track category.id) {
+            <option [ngValue]="category.id">{{ categoryLabel(category) }}</option>
+          }
+        </select>
+      </app-form-field>
+
+      <!-- Tags Field -->
+      <app-form-field
+        label="Tags"
+        fieldId="product-tags"
+        hint="Comma-separated, e.g. vegan, spicy. New tags are created automatically">
+        <input
+          type="text"
+          id="product-tags"
+          class="form-control"
+          formControlName="tags"
+          placeholder="e.g., vegan, spicy"
+          autocomplete="off"
+          aria-describedby="product-tags-hint"
+        >
+      </app-form-field>
+
       <!-- Form Actions -->
       <div class="form-actions d-flex gap-2 mt-4" role="group" aria-label="Form actions">
         <button
@@ -120,6 +197,18 @@ import { CustomValidators } from 'src/app/shared/validators';
         </div>
       }
     </form>
+
+    <!-- Shown when the save was rejected because the record changed -->
+    <app-confirm-dialog
+      [show]="conflict"
+      [title]="conflictTitle"
+      [message]="conflictMessage"
+      confirmText="Reload"
+      cancelText="Keep editing"
+      confirmClass="btn-warning"
+      (confirmed)="onConflictReload()"
+      (cancelled)="onConflictDismiss()">
+    </app-confirm-dialog>
   `,
   styles: [`
     .product-form {
@@ -141,6 +230,9 @@ export class ProductFormComponent extends BaseFormComponent implements OnInit, O
   /** Product to edit (null for create mode) */
   @Input() product: Product | null = null;
   
+  /** Categories for the select, in tree order (as returned by CategoryService) */
+  @Input() categories: Category[] = [];
+
   /** Loading state for submit button */
   @Input() loading = false;
   
@@ -191,13 +283,17 @@ export class ProductFormComponent extends BaseFormComponent implements OnInit, O
           CustomValidators.noWhitespace
         ]
       ],
+      sku: [this.product?.sku || '', [CustomValidators.sku]],
+      barcodes: [(this.product?.barcodes || []).map(barcode => barcode.code).join(', '), [CustomValidators.barcodes]],
       price: [
         this.product?.price ?? null,
         [
           Validators.required,
           CustomValidators.price
         ]
-      ]
+      ],
+      categoryId: [this.product?.categoryId ?? null],
+      tags: [(this.product?.tags || []).map(tag => tag.name).join(', ')]
     });
   }
 
@@ -212,15 +308,48 @@ export class ProductFormComponent extends BaseFormComponent implements OnInit, O
 
     const formValue = this.form.value;
     
-    // Trim string values and parse price
+    // Trim string values, parse price and split the tag and barcode lists
     const dto: CreateProductDto | UpdateProductDto = {
       name: formValue.name.trim(),
-      price: parseFloat(formValue.price)
+      sku: formValue.sku?.trim().toUpperCase() || null,
+      barcodes: this.parseBarcodes(formValue.barcodes),
+      price: parseFloat(formValue.price),
+      categoryId: formValue.categoryId ?? null,
+      tags: this.parseTags(formValue.tags)
     };
 
     this.save.emit(dto);
   }
 
+  /**
+   * Option label indented by the category's depth
+   */
+  categoryLabel(category: Category): string {
+    return '\u00A0\u00A0\u00A0'.repeat(category.depth ?? 0) + category.name;
+  }
+
+  /**
+   * Split a comma-separated tag list into unique lowercase names
+   */
+  private parseTags(value: string | null): string[] {
+    const names = (value || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name.length > 0);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Split a comma-separated barcode list into unique codes
+   */
+  private parseBarcodes(value: string | null): string[] {
+    const codes = (value || '')
+      .split(',')
+      .map(code => code.trim())
+      .filter(code => code.length > 0);
+    return [...new Set(codes)];
+  }
+
   /**
    * Handle cancel click
    */
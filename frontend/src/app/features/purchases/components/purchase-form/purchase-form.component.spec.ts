@@ -239,8 +239,7 @@ describe('PurchaseFormComponent', () => {
       expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
         employeeId: 1,
         date: '2024-01-15',
-        closed: false,
-        total: 20.00,
+        status: 'open',
         items: expect.arrayContaining([
           expect.objectContaining({
             productId: 1,
@@ -250,6 +249,55 @@ describe('PurchaseFormComponent', () => {
         ])
       }));
     });
+
+    it('should not send the calculated total', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+
+      component.form.patchValue({ employeeId: 1, date: '2024-01-15' });
+      component.addItem();
+      component.itemsArray.at(0).patchValue({ productId: 1, quantity: 2, price: 10.00 });
+      component.recalculateTotal();
+
+      component.onFormSubmit();
+
+      expect(component.calculatedTotal).toBe(20.00);
+      expect(saveSpy.mock.calls[0][0]).not.toHaveProperty('total');
+    });
+
+    it('should send today\'s purchase with the current time', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+      const today = new Date().toISOString().split('T')[0];
+
+      component.form.patchValue({ employeeId: 1, date: today });
+      component.onFormSubmit();
+
+      const sent = saveSpy.mock.calls[0][0]?.date as string;
+      expect(sent.startsWith(`${today}T`)).toBe(true);
+      expect(Math.abs(new Date(sent).getTime() - Date.now())).toBeLessThan(60000);
+    });
+
+    it('should keep the original time when the date is unchanged', () => {
+      const saveSpy = jest.spyOn(component.save, 'emit');
+      const purchase: Purchase = {
+        id: 1,
+        employeeId: 2,
+        date: '2024-01-15T07:45:00.000Z',
+        status: 'open',
+        closed: false,
+        total: 0
+      };
+      component.purchase = purchase;
+      component.ngOnChanges({
+        purchase: { currentValue: purchase, previousValue: null, firstChange: false, isFirstChange: () => false }
+      });
+
+      component.onFormSubmit();
+      expect(saveSpy.mock.calls[0][0]?.date).toBe('2024-01-15T07:45:00.000Z');
+
+      component.form.patchValue({ date: '2024-01-16' });
+      component.onFormSubmit();
+      expect(saveSpy.mock.calls[1][0]?.date).toBe('2024-01-16');
+    });
   });
 
   describe('Edit Mode', () => {
@@ -258,11 +306,12 @@ describe('PurchaseFormComponent', () => {
         id: 1,
         employeeId: 2,
         date: '2024-01-15T00:00:00',
+        status: 'open',
         closed: false,
         total: 50.00,
         purchaseItems: [
-          { id: 1, purchaseId: 1, productId: 1, quantity: 2, product: { id: 1, name: 'Product A', price: 10.00 } },
-          { id: 2, purchaseId: 1, productId: 2, quantity: 1, product: { id: 2, name: 'Product B', price: 30.00 } }
+          { id: 1, purchaseId: 1, productId: 1, quantity: 2, unitPrice: 10.00, productName: 'Product A', product: { id: 1, name: 'Product A', price: 10.00 } },
+          { id: 2, purchaseId: 1, productId: 2, quantity: 1, unitPrice: 30.00, productName: 'Product B', product: { id: 2, name: 'Product B', price: 30.00 } }
         ]
       };
 
@@ -282,6 +331,7 @@ describe('PurchaseFormComponent', () => {
         id: 1,
         employeeId: 2,
         date: '2024-01-15T00:00:00',
+        status: 'closed',
         closed: true,
         total: 50.00
       };
@@ -293,6 +343,85 @@ describe('PurchaseFormComponent', () => {
 
       expect(component.form.disabled).toBe(true);
     });
+
+    it('should disable form when purchase is voided', () => {
+      const purchase: Purchase = {
+        id: 1,
+        employeeId: 2,
+        date: '2024-01-15T00:00:00',
+        status: 'voided',
+        closed: false,
+        total: 50.00
+      };
+
+      component.purchase = purchase;
+      component.ngOnChanges({
+        purchase: { currentValue: purchase, previousValue: null, firstChange: false, isFirstChange: () => false }
+      });
+
+      expect(component.form.disabled).toBe(true);
+    });
+  });
+
+  describe('Price snapshot', () => {
+    it('should use the item unit price instead of the current product price', () => {
+      const purchase: Purchase = {
+        id: 1,
+        employeeId: 2,
+        date: '2024-01-15T00:00:00',
+        status: 'open',
+        closed: false,
+        total: 20.00,
+        purchaseItems: [
+          { id: 1, purchaseId: 1, productId: 1, quantity: 2, unitPrice: 10.00, productName: 'Product A', product: { id: 1, name: 'Product A', price: 15.00 } }
+        ]
+      };
+
+      component.purchase = purchase;
+      component.ngOnChanges({
+        purchase: { currentValue: purchase, previousValue: null, firstChange: false, isFirstChange: () => false }
+      });
+
+      expect(component.itemsArray.at(0).get('price')?.value).toBe(10.00);
+      expect(component.calculatedTotal).toBe(20.00);
+    });
+  });
+
+  describe('Dietary warnings', () => {
+    beforeEach(() => {
+      component.employees = [
+        { id: 3, name: 'Alice', employee_number: 'EMP003', monthlyConsumptionValue: 500, allergies: ['milk'], dietaryRestrictions: ['vegetarian'] }
+      ];
+      component.products = [
+        { id: 3, name: 'Cheese Pizza', price: 8, allergens: ['gluten', 'milk'], dietaryLabels: ['vegetarian'] },
+        { id: 4, name: 'Green Salad', price: 5, allergens: [], dietaryLabels: ['vegan'] },
+        { id: 5, name: 'Chicken Soup', price: 4, allergens: null }
+      ];
+      component.form.patchValue({ employeeId: 3 });
+    });
+
+    it('should warn about items conflicting with the employee profile', () => {
+      component.addItem();
+      component.itemsArray.at(0).patchValue({ productId: 3 });
+      component.addItem();
+      component.itemsArray.at(1).patchValue({ productId: 4 });
+      fixture.detectChanges();
+
+      const warnings = fixture.nativeElement.querySelectorAll('.dietary-warning');
+      expect(warnings.length).toBe(1);
+      expect(warnings[0].textContent).toContain('Cheese Pizza contains milk');
+      expect(warnings[0].classList).toContain('text-warning');
+    });
+
+    it('should flag warnings blocked by the employee policy', () => {
+      component.employees[0].dietaryConflictPolicy = 'block';
+      component.addItem();
+      component.itemsArray.at(0).patchValue({ productId: 5 });
+
+      const warnings = component.getItemWarnings(0);
+
+      expect(warnings.map(w => [w.type, w.blocking])).toEqual([['undeclared', false], ['diet', true]]);
+    });
   });
 
   describe('Cancel', () => {
@@ -2,13 +2,13 @@ import { Component, Input, Output, EventEmitter, OnInit, OnChanges, OnDestroy, S
 import { CommonModule } from '@angular/common';
 import { ReactiveFormsModule, FormBuilder, FormGroup, FormArray, Validators } from '@angular/forms';
 import { Subject, takeUntil } from 'rxjs';
-import { Purchase, CreatePurchaseDto } from 'src/app/model/purchase';
+import { Purchase, CreatePurchaseDto, DietaryWarning, EDITABLE_PURCHASE_STATUSES } from 'src/app/model/purchase';
 import { PurchaseItem } from 'src/app/model/purchase-item';
 import { Employee } from 'src/app/model/employee';
-import { Product } from 'src/app/model/product';
+import { Product, satisfiesDietaryLabel } from 'src/app/model/product';
 import { EmployeeService } from 'src/app/service/employee.service';
 import { ProductService } from 'src/app/service/product.service';
-import { BaseFormComponent, FormFieldComponent } from 'src/app/shared/components';
+import { BaseFormComponent, ConfirmDialogComponent, FormFieldComponent } from 'src/app/shared/components';
 import { CustomValidators } from 'src/app/shared/validators';
 
 /**
@@ -36,13 +36,14 @@ export interface CreatePurchaseWithItemsDto extends CreatePurchaseDto {
  * - Date picker with validation
  * - Closed status checkbox
  * - Dynamic item list (FormArray)
- * - Auto-calculated total
+ * - Total preview (the stored total is calculated by the backend)
  * - Product dropdown per item with price auto-fill
+ * - Dietary warnings per item from the employee's profile (checked again on save)
  */
 @Component({
   selector: 'app-purchase-form',
   standalone: true,
-  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent],
+  imports: [CommonModule, ReactiveFormsModule, FormFieldComponent, ConfirmDialogComponent],
   template: `
     <form [formGroup]="form" (ngSubmit)="onFormSubmit()" class="purchase-form" novalidate aria-label="Purchase information form">
       
@@ -94,22 +95,24 @@ export interface CreatePurchaseWithItemsDto extends CreatePurchaseDto {
         >
       </app-form-field>
 
-      <!-- Closed Status -->
-      <div class="form-check mb-3">
-        <input
-          type="checkbox"
-          class="form-check-input"
-          id="purchase-closed"
-          formControlName="closed"
-          aria-describedby="closed-help"
-        >
-        <label class="form-check-label" for="purchase-closed">
-          Mark as closed (finalized)
-        </label>
-        <small id="closed-help" class="d-block text-muted">
-          Closed purchases cannot be modified
-        </small>
-      </div>
+      <!-- Closed Status (new purchases only - existing ones change status through close/void/reopen) -->
+      @if (!isEditMode) {
+        <div class="form-check mb-3">
+          <input
+            type="checkbox"
+            class="form-check-input"
+            id="purchase-closed"
+            formControlName="closed"
+            aria-describedby="closed-help"
+          >
+          <label class="form-check-label" for="purchase-closed">
+            Mark as closed (finalized)
+          </label>
+          <small id="closed-help" class="d-block text-muted">
+            Closed purchases cannot be modified
+          </small>
+        </div>
+      }
 
       <hr class="my-4">
 
@@ -224,6 +227,20 @@ export interface CreatePurchaseWithItemsDto extends CreatePurchaseDto {
                     </button>
                   </div>
                 </div>
+
+                <!-- Dietary warnings for the selected employee -->
+                @for (warning of getItemWarnings(i); track warning.type) {
+                  <div
+                    class="dietary-warning small mt-1"
+                    [class.text-danger]="warning.blocking"
+                    [class.text-warning]="!warning.blocking"
+                    role="alert">
+                    <span aria-hidden="true">⚠</span> {{ warning.message }}
+                    @if (warning.blocking) {
+                      (will be rejected on save)
+                    }
+                  </div>
+                }
               </div>
             </div>
           }
@@ -279,6 +296,18 @@ export interface CreatePurchaseWithItemsDto extends CreatePurchaseDto {
         </div>
       }
     </form>
+
+    <!-- Shown when the save was rejected because the record changed -->
+    <app-confirm-dialog
+      [show]="conflict"
+      [title]="conflictTitle"
+      [message]="conflictMessage"
+      confirmText="Reload"
+      cancelText="Keep editing"
+      confirmClass="btn-warning"
+      (confirmed)="onConflictReload()"
+      (cancelled)="onConflictDismiss()">
+    </app-confirm-dialog>
   `,
   styles: [`
     .purchase-form {
@@ -330,7 +359,7 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
   employeesLoading = false;
   productsLoading = false;
 
-  // Calculated total
+  // Total preview - never sent, the backend derives the stored total
   calculatedTotal = 0;
 
   private destroy$ = new Subject<void>();
@@ -385,9 +414,7 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
         this.purchase?.date?.split('T')[0] || today,
         [Validators.required]
       ],
-      closed: [
-        this.purchase?.closed || false
-      ],
+      closed: [false],
       items: this.fb.array([])
     });
 
@@ -399,8 +426,8 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
     // Recalculate total after init
     this.recalculateTotal();
 
-    // Disable form if purchase is closed
-    if (this.purchase?.closed) {
+    // Disable form once the purchase is closed, voided or refunded
+    if (this.purchase && !EDITABLE_PURCHASE_STATUSES.includes(this.purchase.status)) {
       this.form.disable();
     }
   }
@@ -438,11 +465,11 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
 
   /**
    * Create a new item FormGroup
-   * For existing items, price comes from item.product.price
+   * For existing items, price is the snapshot stored on the item
    */
   private createItemGroup(item?: PurchaseItem): FormGroup {
-    // Get price from product if item exists and has product loaded
-    const price = item?.product?.price ?? null;
+    // Existing items keep the price they were sold at, not the current product price
+    const price = item?.unitPrice ?? item?.product?.price ?? null;
     return this.fb.group({
       productId: [item?.productId || null, [Validators.required]],
       quantity: [item?.quantity || 1, [Validators.required, Validators.min(1)]],
@@ -492,6 +519,41 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
     return quantity * price;
   }
 
+  /**
+   * Dietary warnings for an item against the selected employee's profile
+   * Mirrors the backend check; blocking items are rejected on save.
+   */
+  getItemWarnings(index: number): DietaryWarning[] {
+    const employee = this.employees.find(e => e.id === this.form.get('employeeId')?.value);
+    const productId = (this.itemsArray.at(index) as FormGroup).get('productId')?.value;
+    const product = this.products.find(p => p.id === productId);
+
+    if (!employee || !product) {
+      return [];
+    }
+
+    const allergies = employee.allergies ?? [];
+    const blocking = employee.dietaryConflictPolicy === 'block';
+    const base = { productId: product.id, productName: product.name };
+    const warnings: DietaryWarning[] = [];
+
+    if (allergies.length > 0 && !product.allergens) {
+      warnings.push({ ...base, type: 'undeclared', message: `${product.name} has no declared allergens`, blocking: false });
+    } else {
+      const allergens = allergies.filter(a => product.allergens!.includes(a));
+      if (allergens.length > 0) {
+        warnings.push({ ...base, type: 'allergen', allergens, message: `${product.name} contains ${allergens.join(', ')}`, blocking });
+      }
+    }
+
+    const labels = (employee.dietaryRestrictions ?? []).filter(l => !satisfiesDietaryLabel(product.dietaryLabels, l));
+    if (labels.length > 0) {
+      warnings.push({ ...base, type: 'diet', labels, message: `${product.name} is not ${labels.join(', ')}`, blocking });
+    }
+
+    return warnings;
+  }
+
   /**
    * Recalculate the grand total
    */
@@ -538,9 +600,7 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
       // Update - include items so backend can replace them
       const updateDto: CreatePurchaseWithItemsDto = {
         employeeId: this.purchase!.employeeId, // Keep original employeeId
-        date: formValue.date,
-        closed: formValue.closed,
-        total: this.calculatedTotal,
+        date: this.purchaseDate(formValue.date),
         items: items
       };
       this.save.emit(updateDto);
@@ -548,15 +608,28 @@ export class PurchaseFormComponent extends BaseFormComponent implements OnInit,
       // Create - include items
       const createDto: CreatePurchaseWithItemsDto = {
         employeeId: formValue.employeeId,
-        date: formValue.date,
-        closed: formValue.closed,
-        total: this.calculatedTotal,
+        date: this.purchaseDate(formValue.date),
+        status: formValue.closed ? 'closed' : 'open',
         items: items
       };
       this.save.emit(createDto);
     }
   }
 
+  /**
+   * Timestamp to send for the selected day
+   * Product availability is checked at the time of day, so today's purchases
+   * are sent as now and an unchanged date keeps the purchase's original time.
+   */
+  private purchaseDate(date: string): string {
+    if (this.purchase?.date && this.purchase.date.split('T')[0] === date) {
+      return this.purchase.date;
+    }
+
+    const now = new Date().toISOString();
+    return now.startsWith(date) ? now : date;
+  }
+
   /**
    * Handle cancel click
    */
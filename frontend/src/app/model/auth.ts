@@ -4,6 +4,7 @@ export interface User {
   email: string;
   name: string;
   role: UserRole;
+  employeeId?: number | null; // Linked employee record
   lastLogin?: string;
   createdAt?: string;
 }
@@ -0,0 +1,37 @@
+export interface Category {
+  id: number;
+  name: string;
+  parentId: number | null;
+  path?: string[]; // Names from the top-level category down
+  depth?: number; // 0 for top-level categories
+  productCount?: number;
+  children?: Category[];
+}
+
+
+export interface Tag {
+  id: number;
+  name: string; // Always lowercase
+  productCount?: number;
+}
+
+
+export interface CategoryFacet {
+  id: number | null; // null counts the uncategorized products
+  name: string | null;
+  path: string[];
+  count: number;
+}
+
+
+export interface TagFacet {
+  id: number;
+  name: string;
+  count: number;
+}
+
+
+export interface ProductFacets {
+  categories: CategoryFacet[];
+  tags: TagFacet[];
+}
@@ -1,23 +1,70 @@
-export interface Employee {
+import { Allergen, DietaryLabel } from './product';
+
+export type DietaryConflictPolicy = 'warn' | 'block';
+
+// Dietary profile, checked against the products of each purchase
+export interface DietaryProfile {
+  allergies?: Allergen[];
+  dietaryRestrictions?: DietaryLabel[]; // Labels every product bought must carry
+  dietaryConflictPolicy?: DietaryConflictPolicy; // block rejects conflicting items
+}
+
+
+export interface Employee extends DietaryProfile {
   id: number;
+  version?: number; // Optimistic locking, sent back as If-Match on update
   name: string;
   employee_number: string;
   monthlyConsumptionValue: number;
+  email?: string | null;
+  userId?: number | null; // Linked user account
+  subsidyPolicyId?: number | null; // Employer meal subsidy group, null when paying in full
+  badgeNumber?: string | null; // Badge/card identifier read at the POS terminals
+  departmentId?: number | null; // Current department, history in /employees/:id/assignments
+  costCenterId?: number | null; // Current cost center
   createdAt?: string;
   updatedAt?: string;
   deletedAt?: string | null; // Soft delete timestamp
 }
 
 
-export interface CreateEmployeeDto {
+export interface CreateEmployeeDto extends DietaryProfile {
   name: string;
   employee_number: string;
   monthlyConsumptionValue: number;
+  email?: string | null;
+  subsidyPolicyId?: number | null;
+  badgeNumber?: string | null;
+  departmentId?: number | null;
+  costCenterId?: number | null;
 }
 
 
-export interface UpdateEmployeeDto {
+export interface UpdateEmployeeDto extends DietaryProfile {
   name?: string;
   employee_number?: string;
   monthlyConsumptionValue?: number;
-}
\ No newline at end of file
+  email?: string | null;
+  subsidyPolicyId?: number | null;
+  badgeNumber?: string | null;
+  departmentId?: number | null;
+  costCenterId?: number | null;
+}
+
+
+export type AllowancePolicy = 'hard' | 'soft' | 'overdraft';
+
+
+export interface EmployeeBalance {
+  employeeId: number;
+  policy: AllowancePolicy;
+  allowance: number;
+  spent: number;
+  remaining: number;
+  overdraftLimit: number;
+  available: number; // What can still be spent before the policy blocks
+  period: {
+    from: string;
+    to: string;
+  };
+}
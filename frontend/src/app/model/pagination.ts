@@ -1,4 +1,5 @@
-
+import { PurchaseStatus } from './purchase';
+import { ProductFacets } from './category';
 
 
 export interface PaginationMeta {
@@ -17,6 +18,11 @@ export interface PaginatedResponse<T> {
 }
 
 
+export interface PaginatedProductResponse<T> extends PaginatedResponse<T> {
+  facets?: ProductFacets; // Only when requested with facets
+}
+
+
 export interface PaginationParams {
   page?: number;
   limit?: number;
@@ -28,6 +34,9 @@ export interface ProductQueryParams extends PaginationParams {
   name?: string;
   minPrice?: number;
   maxPrice?: number;
+  category?: number; // Subcategories included
+  tag?: string[]; // Products must carry all tags
+  facets?: boolean;
 }
 
 
@@ -41,7 +50,7 @@ export interface EmployeeQueryParams extends PaginationParams {
 
 export interface PurchaseQueryParams extends PaginationParams {
   employeeId?: number;
-  closed?: boolean;
+  status?: PurchaseStatus[];
   dateFrom?: string;
   dateTo?: string;
   minTotal?: number;
@@ -1,21 +1,115 @@
 import { PurchaseItem } from './purchase-item';
+import { Category, Tag } from './category';
 
+// The 14 EU allergens, as the API names them
+export type Allergen =
+  | 'gluten' | 'crustaceans' | 'eggs' | 'fish' | 'peanuts' | 'soybeans' | 'milk'
+  | 'nuts' | 'celery' | 'mustard' | 'sesame' | 'sulphites' | 'lupin' | 'molluscs';
 
-export interface Product {
+export type DietaryLabel = 'vegan' | 'vegetarian' | 'halal';
+
+// Labels that also satisfy a required label
+const IMPLIED_BY: Partial<Record<DietaryLabel, DietaryLabel[]>> = {
+  vegetarian: ['vegan']
+};
+
+/** Whether dietary labels satisfy a required label (vegan counts as vegetarian) */
+export function satisfiesDietaryLabel(labels: DietaryLabel[] | undefined, label: DietaryLabel): boolean {
+  return [label, ...(IMPLIED_BY[label] ?? [])].some(l => (labels ?? []).includes(l));
+}
+
+export const ALLERGEN_NAMES: Record<Allergen, string> = {
+  gluten: 'Gluten',
+  crustaceans: 'Crustaceans',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  peanuts: 'Peanuts',
+  soybeans: 'Soybeans',
+  milk: 'Milk',
+  nuts: 'Tree nuts',
+  celery: 'Celery',
+  mustard: 'Mustard',
+  sesame: 'Sesame',
+  sulphites: 'Sulphites',
+  lupin: 'Lupin',
+  molluscs: 'Molluscs'
+};
+
+// Allergens, dietary labels and nutrition per serving (null when unknown)
+export interface DietaryInfo {
+  allergens?: Allergen[] | null; // null until declared, [] for none
+  dietaryLabels?: DietaryLabel[];
+  calories?: number | null; // kcal
+  protein?: number | null; // grams
+  carbohydrates?: number | null;
+  fat?: number | null;
+}
+
+// URL of each generated image size (WebP)
+export interface ProductImages {
+  thumbnail: string; // 150x150, cropped
+  small: string;
+  medium: string;
+  large: string;
+}
+
+// VAT rate a product is sold at
+export interface TaxRate {
   id: number;
   name: string;
-  price: number;
+  rate: number; // Percent
+  productCount?: number; // List only
+}
+
+// EAN-8 or EAN-13 code; UPC-A codes come back in their EAN-13 form
+export interface ProductBarcode {
+  code: string;
+}
+
+export interface Product extends DietaryInfo {
+  id: number;
+  version?: number; // Optimistic locking, sent back as If-Match on update
+  name: string;
+  sku?: string | null; // Article number, uppercase
+  barcodes?: ProductBarcode[];
+  price: number; // VAT included; the location price in the menu of a location (?location=)
+  catalogPrice?: number; // Only in the menu of a location
+  trackStock?: boolean; // Sales are limited by and deducted from stock
+  stockQuantity?: number; // Changed through stock movements only
+  lowStockThreshold?: number;
+  categoryId?: number | null;
+  category?: Pick<Category, 'id' | 'name' | 'parentId'> | null;
+  taxRateId?: number | null; // null until set
+  taxRate?: Omit<TaxRate, 'productCount'> | null;
+  tags?: Tag[];
   purchaseItems?: PurchaseItem[];
+  imageHash?: string | null;
+  images?: ProductImages | null; // null without an image
+  deletedAt?: string | null; // Archived: out of the catalog, still on past purchases
 }
 
 
-export interface CreateProductDto {
+export interface CreateProductDto extends DietaryInfo {
   name: string;
+  sku?: string | null;
+  barcodes?: string[]; // EAN-8, UPC-A or EAN-13
   price: number;
+  trackStock?: boolean;
+  lowStockThreshold?: number;
+  categoryId?: number | null;
+  taxRateId?: number | null;
+  tags?: string[]; // Tag names, unknown tags are created
 }
 
 
-export interface UpdateProductDto {
+export interface UpdateProductDto extends DietaryInfo {
   name?: string;
+  sku?: string | null; // null removes the SKU
+  barcodes?: string[]; // Replaces the barcodes
   price?: number;
+  trackStock?: boolean;
+  lowStockThreshold?: number;
+  categoryId?: number | null;
+  taxRateId?: number | null; // null removes the rate
+  tags?: string[]; // Tag names, unknown tags are created
 }
\ No newline at end of file
@@ -6,7 +6,9 @@ describe('PurchaseItem Interface', () => {
       id: 1,
       productId: 10,
       purchaseId: 5,
-      quantity: 2
+      quantity: 2,
+      unitPrice: 25.00,
+      productName: 'Test Product'
     };
 
     expect(item.id).toBe(1);
@@ -21,6 +23,8 @@ describe('PurchaseItem Interface', () => {
       productId: 10,
       purchaseId: 5,
       quantity: 2,
+      unitPrice: 25.00,
+      productName: 'Test Product',
       product: { id: 10, name: 'Test Product', price: 25.00 }
     };
 
@@ -28,6 +32,21 @@ describe('PurchaseItem Interface', () => {
     expect(item.product?.price).toBe(25.00);
   });
 
+  it('should keep the price snapshot independent of the product', () => {
+    const item: PurchaseItem = {
+      id: 1,
+      productId: 10,
+      purchaseId: 5,
+      quantity: 1,
+      unitPrice: 20.00,
+      productName: 'Old Name',
+      product: { id: 10, name: 'New Name', price: 25.00 }
+    };
+
+    expect(item.unitPrice).toBe(20.00);
+    expect(item.productName).toBe('Old Name');
+  });
+
   it('should allow creating valid CreatePurchaseItemDto', () => {
     const dto: CreatePurchaseItemDto = {
       productId: 10,
@@ -5,6 +5,12 @@ export interface PurchaseItem {
   productId: number;
   purchaseId: number;
   quantity: number;
+  unitPrice: number; // Product price when the item was added
+  productName: string; // Product name when the item was added
+  taxRate?: number | null; // VAT percent when the item was added
+  net?: number | null; // Before discounts, null without a rate
+  vat?: number | null;
+  gross?: number; // Line total
   product?: Product; // Populated by backend with eager loading
 }
 
@@ -5,6 +5,7 @@ describe('Purchase Interface', () => {
     const purchase: Purchase = {
       id: 1,
       date: '2024-01-15T10:00:00Z',
+      status: 'open',
       closed: false,
       employeeId: 1,
       total: 50.00
@@ -21,6 +22,7 @@ describe('Purchase Interface', () => {
     const purchase: Purchase = {
       id: 1,
       date: '2024-01-15T10:00:00Z',
+      status: 'open',
       closed: false,
       employeeId: 1,
       total: 50.00,
@@ -38,17 +40,15 @@ describe('Purchase Interface', () => {
 
     expect(dto.date).toBe('2024-01-20T10:00:00Z');
     expect(dto.employeeId).toBe(1);
-    expect(dto.total).toBeUndefined();
-    expect(dto.closed).toBeUndefined();
+    expect(dto.status).toBeUndefined();
   });
 
   it('should allow partial UpdatePurchaseDto', () => {
     const dto: UpdatePurchaseDto = {
-      closed: true
+      date: '2024-01-21T10:00:00Z'
     };
 
-    expect(dto.closed).toBe(true);
-    expect(dto.date).toBeUndefined();
-    expect(dto.total).toBeUndefined();
+    expect(dto.date).toBe('2024-01-21T10:00:00Z');
+    expect(dto.employeeId).toBeUndefined();
   });
 });
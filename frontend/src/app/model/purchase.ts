@@ -1,31 +1,96 @@
 import { PurchaseItem } from './purchase-item';
 import { Employee } from './employee';
 
+export type PurchaseStatus = 'draft' | 'open' | 'closed' | 'voided' | 'refunded';
+
+/** Statuses whose items can still be changed */
+export const EDITABLE_PURCHASE_STATUSES: PurchaseStatus[] = ['draft', 'open'];
+
+
+/** Item conflicting with the employee's dietary profile */
+export interface DietaryWarning {
+  productId: number;
+  productName: string;
+  type: 'allergen' | 'diet' | 'undeclared'; // undeclared: product allergens unknown, never blocks
+  allergens?: string[];
+  labels?: string[];
+  message: string;
+  blocking: boolean; // Rejected on save under the employee's block policy
+}
+
+
+/** VAT by rate, rounded per rate under the currency's rule */
+export interface TaxBreakdown {
+  currency: string;
+  rates: { taxRate: number | null; net: number | null; vat: number | null; gross: number }[]; // null rate: sold without one
+  net: number;
+  vat: number;
+  gross: number;
+}
+
+
 export interface Purchase {
   id: number;
+  version?: number; // Optimistic locking, sent back as If-Match on update
   date: string;
-  closed: boolean;
+  status: PurchaseStatus;
+  statusReason?: string | null; // Reason given for the last status change
+  statusChangedAt?: string | null;
+  closed: boolean; // Derived by the backend: status === 'closed'
   employeeId: number;
   userId?: number;
-  total: number;
+  locationId?: number | null; // Canteen the purchase was made at
+  location?: { id: number; name: string } | null;
+  total: number; // Calculated by the backend from the items
+  companyShare?: number; // Part of the total paid by the employer (subsidy)
+  employeeShare?: number; // Part of the total paid by the employee
   purchaseItems?: PurchaseItem[];
+  tax?: TaxBreakdown; // Single purchase responses, net of discounts
   employee?: Employee; // Populated by backend with eager loading
+  dietaryWarnings?: DietaryWarning[]; // Returned when items were added
 }
 
 
 export interface CreatePurchaseDto {
   date: string;
   employeeId: number;
-  total?: number;
-  closed?: boolean;
+  status?: 'draft' | 'open' | 'closed';
+  locationId?: number | null; // Defaults to the user's only location
 }
 
 
 export interface UpdatePurchaseDto {
   date?: string;
   employeeId?: number;
-  closed?: boolean;
-  total?: number;
+}
+
+export interface RefundItem {
+  id: number;
+  purchaseItemId: number;
+  quantity: number;
+  unitPrice: number; // Snapshot price of the purchase item
+  amount: number;
+}
+
+
+/** Refund issued against a closed purchase, credited back to the employee */
+export interface Refund {
+  id: number;
+  purchaseId: number;
+  employeeId: number;
+  userId?: number | null;
+  date: string;
+  total: number;
+  companyShare?: number; // Part going back to the employer
+  employeeShare?: number; // Part going back to the employee
+  reason: string;
+  items: RefundItem[];
+}
+
+
+export interface CreateRefundDto {
+  reason: string;
+  items: { purchaseItemId: number; quantity: number }[];
 }
 
 /**
@@ -33,6 +98,9 @@ export interface UpdatePurchaseDto {
  */
 export interface EmployeeSummary {
   employeeId: number;
-  totalSpending: number;
+  totalSpending: number; // Net of refunds issued in the range
+  totalRefunded: number;
+  companyShare?: number; // Part of totalSpending paid by the employer
+  employeeShare?: number; // Part of totalSpending paid by the employee
   purchaseCount: number;
 }
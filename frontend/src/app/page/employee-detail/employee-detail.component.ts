@@ -4,6 +4,7 @@ import { RouterLink, ActivatedRoute, Router } from '@angular/router';
 import { Subject, takeUntil } from 'rxjs';
 import { Employee, CreateEmployeeDto, UpdateEmployeeDto } from 'src/app/model/employee';
 import { EmployeeService } from 'src/app/service/employee.service';
+import { isConcurrencyConflict } from 'src/app/core';
 import { FormSkeletonComponent, ErrorStateComponent } from 'src/app/shared/components';
 import { ToastService } from 'src/app/shared/services';
 import { EmployeeFormComponent } from 'src/app/features/employees/components';
@@ -27,6 +28,7 @@ export class EmployeeDetailComponent implements OnInit, OnDestroy {
   employee: Employee | null = null;
   isLoading = false;
   isSaving = false;
+  saveConflict = false; // Update rejected because the record changed meanwhile
   error: string | null = null;
   mode: ViewMode = 'view';
   
@@ -134,7 +136,7 @@ export class EmployeeDetailComponent implements OnInit, OnDestroy {
 
     this.isSaving = true;
 
-    this.employeeService.updateEmployee(this.employee.id, dto)
+    this.employeeService.updateEmployee(this.employee.id, dto, this.employee.version)
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: (employee) => {
@@ -144,11 +146,30 @@ export class EmployeeDetailComponent implements OnInit, OnDestroy {
         },
         error: (err) => {
           this.isSaving = false;
+          if (isConcurrencyConflict(err)) {
+            this.saveConflict = true;
+            return;
+          }
           this.toastService.error(err.message || 'Failed to update employee');
         }
       });
   }
 
+  /**
+   * Reload the employee after a save conflict (drops the local edits)
+   */
+  onConflictReload(): void {
+    this.saveConflict = false;
+    this.loadEmployee();
+  }
+
+  /**
+   * Keep editing after a save conflict
+   */
+  onConflictDismiss(): void {
+    this.saveConflict = false;
+  }
+
   /**
    * Handle form cancel
    */
@@ -23,9 +23,9 @@ describe('EmployeeReportComponent', () => {
 
   // Mock summaries from optimized backend endpoint
   const mockSummaries: EmployeeSummary[] = [
-    { employeeId: 1, totalSpending: 25000, purchaseCount: 2 },
-    { employeeId: 2, totalSpending: 20000, purchaseCount: 1 },
-    { employeeId: 3, totalSpending: 5000, purchaseCount: 1 }
+    { employeeId: 1, totalSpending: 25000, totalRefunded: 0, purchaseCount: 2 },
+    { employeeId: 2, totalSpending: 20000, totalRefunded: 0, purchaseCount: 1 },
+    { employeeId: 3, totalSpending: 5000, totalRefunded: 0, purchaseCount: 1 }
   ];
 
   beforeEach(async () => {
@@ -265,7 +265,7 @@ describe('EmployeeReportComponent', () => {
     it('should initialize employees with zero when not in summaries', fakeAsync(() => {
       // Backend returns summaries for only 2 employees
       const partialSummaries: EmployeeSummary[] = [
-        { employeeId: 1, totalSpending: 25000, purchaseCount: 2 }
+        { employeeId: 1, totalSpending: 25000, totalRefunded: 0, purchaseCount: 2 }
       ];
 
       purchaseService.getEmployeeSummaries.mockReturnValue(of(partialSummaries));
@@ -284,7 +284,7 @@ describe('EmployeeReportComponent', () => {
       // Backend returns summary for unknown employee
       const summariesWithUnknown: EmployeeSummary[] = [
         ...mockSummaries,
-        { employeeId: 999, totalSpending: 100000, purchaseCount: 5 }
+        { employeeId: 999, totalSpending: 100000, totalRefunded: 0, purchaseCount: 5 }
       ];
 
       purchaseService.getEmployeeSummaries.mockReturnValue(of(summariesWithUnknown));
@@ -152,7 +152,7 @@ describe('EmployeesComponent', () => {
       component.onSave(updateDto);
       tick();
 
-      expect(employeeService.updateEmployee).toHaveBeenCalledWith(1, updateDto);
+      expect(employeeService.updateEmployee).toHaveBeenCalledWith(1, updateDto, mockEmployees[0].version);
       expect(toastService.success).toHaveBeenCalledWith('Employee "Updated John" updated successfully');
       expect(component.showModal).toBe(false);
     }));
@@ -4,6 +4,7 @@ import { FormsModule } from '@angular/forms';
 import { Subject, takeUntil, debounceTime } from 'rxjs';
 import { Employee, CreateEmployeeDto, UpdateEmployeeDto } from 'src/app/model/employee';
 import { EmployeeService } from 'src/app/service/employee.service';
+import { isConcurrencyConflict } from 'src/app/core';
 import { TableSkeletonComponent, ErrorStateComponent, ModalComponent } from 'src/app/shared/components';
 import { ToastService } from 'src/app/shared/services';
 import { EmployeeFormComponent } from 'src/app/features/employees/components';
@@ -44,6 +45,7 @@ export class EmployeesComponent implements OnInit, OnDestroy {
   modalMode: 'create' | 'edit' = 'create';
   selectedEmployee: Employee | null = null;
   isSaving = false;
+  saveConflict = false;
 
   private destroy$ = new Subject<void>();
   private filterSubject$ = new Subject<void>();
@@ -181,6 +183,7 @@ export class EmployeesComponent implements OnInit, OnDestroy {
     this.showModal = false;
     this.selectedEmployee = null;
     this.isSaving = false;
+    this.saveConflict = false;
   }
 
   onSave(dto: CreateEmployeeDto | UpdateEmployeeDto): void {
@@ -201,7 +204,7 @@ export class EmployeesComponent implements OnInit, OnDestroy {
           }
         });
     } else if (this.selectedEmployee) {
-      this.employeeService.updateEmployee(this.selectedEmployee.id, dto as UpdateEmployeeDto)
+      this.employeeService.updateEmployee(this.selectedEmployee.id, dto as UpdateEmployeeDto, this.selectedEmployee.version)
         .pipe(takeUntil(this.destroy$))
         .subscribe({
           next: (employee) => {
@@ -211,12 +214,34 @@ export class EmployeesComponent implements OnInit, OnDestroy {
           },
           error: (err) => {
             this.isSaving = false;
+            if (isConcurrencyConflict(err)) {
+              this.saveConflict = true;
+              return;
+            }
             this.toastService.error(err.message || 'Failed to update employee');
           }
         });
     }
   }
 
+  /** Load the latest version into the edit form after a save conflict */
+  onConflictReload(): void {
+    this.saveConflict = false;
+    if (!this.selectedEmployee) return;
+
+    this.employeeService.getEmployee(this.selectedEmployee.id)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (employee) => {
+          this.selectedEmployee = employee;
+          this.loadEmployees();
+        },
+        error: (err) => {
+          this.toastService.error(err.message || 'Failed to reload employee');
+        }
+      });
+  }
+
   // ==================== DELETE ====================
 
   deleteEmployee(employee: Employee): void {
@@ -4,22 +4,34 @@ import { provideHttpClientTesting } from '@angular/common/http/testing';
 import { provideRouter, ActivatedRoute } from '@angular/router';
 import { ProductDetailComponent } from './product-detail.component';
 import { ProductService } from '../../service/product.service';
-import { of } from 'rxjs';
+import { CategoryService } from '../../service/category.service';
+import { Category } from '../../model/category';
+import { of, throwError } from 'rxjs';
 import { Product } from '../../model/product';
+import { ConcurrencyConflictError } from '../../core/http/concurrency';
 
 describe('ProductDetailComponent', () => {
   let component: ProductDetailComponent;
   let fixture: ComponentFixture<ProductDetailComponent>;
+  let productSpy: { [key: string]: jest.Mock };
+
+  const mockCategories: Category[] = [
+    { id: 1, name: 'Drinks', parentId: null, depth: 0 },
+    { id: 2, name: 'Coffee', parentId: 1, depth: 1 }
+  ];
 
   beforeEach(async () => {
-    const mockProduct: Product = { id: 1, name: 'Test', price: 100 };
+    const mockProduct: Product = { id: 1, name: 'Test', price: 100, version: 2 };
     
     
-    const productSpy = {
+    productSpy = {
       getProduct: jest.fn().mockReturnValue(of(mockProduct)),
       getProducts: jest.fn().mockReturnValue(of([mockProduct])),
       updateProduct: jest.fn(),
-      deleteProduct: jest.fn()
+      deleteProduct: jest.fn(),
+      uploadImage: jest.fn(),
+      removeImage: jest.fn(),
+      imageUrl: jest.fn((url: string) => `http://api.test${url}`)
     };
 
     await TestBed.configureTestingModule({
@@ -29,6 +41,7 @@ describe('ProductDetailComponent', () => {
         provideHttpClient(),
         provideHttpClientTesting(),
         { provide: ProductService, useValue: productSpy },
+        { provide: CategoryService, useValue: { getCategories: jest.fn().mockReturnValue(of(mockCategories)) } },
         { provide: ActivatedRoute, useValue: {
           paramMap: of({ get: (key: string) => '1' }),
           params: of({ id: 1 }),
@@ -48,4 +61,75 @@ describe('ProductDetailComponent', () => {
   it('should create', () => {
     expect(component).toBeTruthy();
   });
+
+  it('should send the loaded version with the update', () => {
+    productSpy['updateProduct'].mockReturnValue(of({ id: 1, name: 'Test', price: 120, version: 3 }));
+
+    component.onSave({ price: 120 });
+
+    expect(productSpy['updateProduct']).toHaveBeenCalledWith(1, { price: 120 }, 2);
+    expect(component.product?.version).toBe(3);
+  });
+
+  it('should show the conflict dialog when the product changed meanwhile', () => {
+    productSpy['updateProduct'].mockReturnValue(throwError(() => new ConcurrencyConflictError()));
+
+    component.onSave({ price: 120 });
+
+    expect(component.saveConflict).toBe(true);
+    expect(component.isSaving).toBe(false);
+  });
+
+  it('should reload the product after a conflict', () => {
+    component.saveConflict = true;
+    productSpy['getProduct'].mockClear();
+
+    component.onConflictReload();
+
+    expect(component.saveConflict).toBe(false);
+    expect(productSpy['getProduct']).toHaveBeenCalledWith(1);
+  });
+
+  it('should show the allergens, dietary labels and nutrition', () => {
+    productSpy['getProduct'].mockReturnValue(of({
+      id: 1, name: 'Test', price: 100, version: 2,
+      allergens: ['gluten', 'nuts'], dietaryLabels: ['vegan'], calories: 420, protein: 12.5
+    }));
+
+    component.loadProduct(1);
+    fixture.detectChanges();
+
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('.allergens')?.textContent).toContain('Tree nuts');
+    expect(element.querySelector('.dietary-labels')?.textContent).toContain('Vegan');
+    expect(element.querySelector('.nutrition')?.textContent).toContain('420 kcal');
+  });
+
+  it('should say when the allergens are not declared', () => {
+    expect(component.allergenNames).toBeNull();
+    expect(component.hasNutrition).toBe(false);
+    expect(fixture.nativeElement.querySelector('.allergens')?.textContent).toContain('Not declared');
+  });
+
+  it('should upload the picked image and show it', () => {
+    const images = {
+      thumbnail: '/uploads/products/1/abc-thumbnail.webp',
+      small: '/uploads/products/1/abc-small.webp',
+      medium: '/uploads/products/1/abc-medium.webp',
+      large: '/uploads/products/1/abc-large.webp'
+    };
+    productSpy['uploadImage'].mockReturnValue(of({ id: 1, name: 'Test', price: 100, version: 3, imageHash: 'abc', images }));
+    const file = new File(['image'], 'photo.png', { type: 'image/png' });
+
+    expect(fixture.nativeElement.querySelector('.no-image')).toBeTruthy();
+
+    component.onImageSelected({ target: { files: [file], value: 'photo.png' } } as unknown as Event);
+    fixture.detectChanges();
+
+    expect(productSpy['uploadImage']).toHaveBeenCalledWith(1, file);
+    expect(component.isUploading).toBe(false);
+    const img: HTMLImageElement = fixture.nativeElement.querySelector('.product-image img');
+    expect(img.src).toBe('http://api.test/uploads/products/1/abc-medium.webp');
+    expect(fixture.nativeElement.querySelector('.remove-image')).toBeTruthy();
+  });
 });
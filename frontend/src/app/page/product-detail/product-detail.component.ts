@@ -2,8 +2,11 @@ import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule, Location } from '@angular/common';
 import { RouterLink, ActivatedRoute, Router } from '@angular/router';
 import { Subject, takeUntil } from 'rxjs';
-import { Product, CreateProductDto, UpdateProductDto } from 'src/app/model/product';
+import { Product, CreateProductDto, UpdateProductDto, ALLERGEN_NAMES } from 'src/app/model/product';
 import { ProductService } from 'src/app/service/product.service';
+import { CategoryService } from 'src/app/service/category.service';
+import { Category } from 'src/app/model/category';
+import { isConcurrencyConflict } from 'src/app/core';
 import { CardSkeletonComponent, ErrorStateComponent } from 'src/app/shared/components';
 import { ToastService } from 'src/app/shared/services';
 import { ProductFormComponent } from 'src/app/features/products/components';
@@ -25,8 +28,11 @@ type ViewMode = 'view' | 'create' | 'edit';
 })
 export class ProductDetailComponent implements OnInit, OnDestroy {
   product: Product | null = null;
+  categories: Category[] = [];
   isLoading = false;
   isSaving = false;
+  isUploading = false;
+  saveConflict = false; // Update rejected because the record changed meanwhile
   error: string | null = null;
   mode: ViewMode = 'view';
   
@@ -34,6 +40,7 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
 
   constructor(
     private productService: ProductService,
+    private categoryService: CategoryService,
     private route: ActivatedRoute,
     private router: Router,
     private location: Location,
@@ -41,6 +48,8 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
   ) {}
 
   ngOnInit(): void {
+    this.loadCategories();
+
     // Subscribe to route params reactively - fixes spinner issue on navigation
     this.route.paramMap.pipe(
       takeUntil(this.destroy$)
@@ -67,6 +76,22 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
     this.destroy$.complete();
   }
 
+  /**
+   * Load the categories for the form's category select
+   */
+  loadCategories(): void {
+    this.categoryService.getCategories()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (categories) => {
+          this.categories = categories;
+        },
+        error: (err) => {
+          this.toastService.error(err.message || 'Failed to load categories');
+        }
+      });
+  }
+
   /**
    * Load product from API
    */
@@ -134,7 +159,7 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
 
     this.isSaving = true;
 
-    this.productService.updateProduct(this.product.id, dto)
+    this.productService.updateProduct(this.product.id, dto, this.product.version)
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: (product) => {
@@ -144,11 +169,86 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
         },
         error: (err) => {
           this.isSaving = false;
+          if (isConcurrencyConflict(err)) {
+            this.saveConflict = true;
+            return;
+          }
           this.toastService.error(err.message || 'Failed to update product');
         }
       });
   }
 
+  /**
+   * Reload the product after a save conflict (drops the local edits)
+   */
+  onConflictReload(): void {
+    this.saveConflict = false;
+    this.loadProduct();
+  }
+
+  /**
+   * Keep editing after a save conflict
+   */
+  onConflictDismiss(): void {
+    this.saveConflict = false;
+  }
+
+  /**
+   * Upload the file picked for the product image
+   */
+  onImageSelected(event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    input.value = ''; // Picking the same file again should upload it again
+    if (!file || !this.product?.id) return;
+
+    this.isUploading = true;
+
+    this.productService.uploadImage(this.product.id, file)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (product) => {
+          this.isUploading = false;
+          this.product = product;
+          this.toastService.success('Image uploaded successfully!');
+        },
+        error: (err) => {
+          this.isUploading = false;
+          this.toastService.error(err.message || 'Failed to upload image');
+        }
+      });
+  }
+
+  /**
+   * Remove the product image
+   */
+  removeImage(): void {
+    if (!this.product?.id) return;
+
+    this.isUploading = true;
+
+    this.productService.removeImage(this.product.id)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (product) => {
+          this.isUploading = false;
+          this.product = product;
+          this.toastService.success('Image removed');
+        },
+        error: (err) => {
+          this.isUploading = false;
+          this.toastService.error(err.message || 'Failed to remove image');
+        }
+      });
+  }
+
+  /**
+   * Absolute URL of a product image
+   */
+  imageUrl(url: string): string {
+    return this.productService.imageUrl(url);
+  }
+
   /**
    * Handle form cancel
    */
@@ -163,6 +263,22 @@ export class ProductDetailComponent implements OnInit, OnDestroy {
     this.location.back();
   }
 
+  /**
+   * Display names of the product's allergens, null when not declared
+   */
+  get allergenNames(): string[] | null {
+    if (!this.product?.allergens) return null;
+    return this.product.allergens.map(allergen => ALLERGEN_NAMES[allergen] ?? allergen);
+  }
+
+  /**
+   * Whether any nutrition value is known
+   */
+  get hasNutrition(): boolean {
+    const p = this.product;
+    return !!p && [p.calories, p.protein, p.carbohydrates, p.fat].some(value => value !== null && value !== undefined);
+  }
+
   /**
    * Get page title based on mode
    */
@@ -4,10 +4,13 @@ import { provideHttpClientTesting } from '@angular/common/http/testing';
 import { provideRouter } from '@angular/router';
 import { ProductsComponent } from './products.component';
 import { ProductService } from '../../service/product.service';
+import { CategoryService } from '../../service/category.service';
+import { Category } from '../../model/category';
 import { ToastService } from '../../shared/services';
 import { of, throwError } from 'rxjs';
 import { Product, CreateProductDto, UpdateProductDto } from '../../model/product';
 import { PaginatedResponse } from '../../model/pagination';
+import { ConcurrencyConflictError } from '../../core/http/concurrency';
 
 describe('ProductsComponent', () => {
   let component: ProductsComponent;
@@ -33,6 +36,11 @@ describe('ProductsComponent', () => {
     }
   };
 
+  const mockCategories: Category[] = [
+    { id: 1, name: 'Drinks', parentId: null, depth: 0 },
+    { id: 2, name: 'Coffee', parentId: 1, depth: 1 }
+  ];
+
   beforeEach(async () => {
     const productSpy = {
       getProducts: jest.fn().mockReturnValue(of(mockPaginatedResponse)),
@@ -56,6 +64,7 @@ describe('ProductsComponent', () => {
         provideHttpClient(),
         provideHttpClientTesting(),
         { provide: ProductService, useValue: productSpy },
+        { provide: CategoryService, useValue: { getCategories: jest.fn().mockReturnValue(of(mockCategories)) } },
         { provide: ToastService, useValue: toastSpy }
       ]
     }).compileComponents();
@@ -152,7 +161,7 @@ describe('ProductsComponent', () => {
       component.onSave(updateDto);
       tick();
 
-      expect(productService.updateProduct).toHaveBeenCalledWith(1, updateDto);
+      expect(productService.updateProduct).toHaveBeenCalledWith(1, updateDto, mockProducts[0].version);
       expect(toastService.success).toHaveBeenCalledWith('Product "Updated Coffee" updated successfully');
       expect(component.showModal).toBe(false);
     }));
@@ -169,6 +178,34 @@ describe('ProductsComponent', () => {
       expect(component.isSaving).toBe(false);
     }));
 
+    it('should keep the modal open and flag a conflict on 412', fakeAsync(() => {
+      productService.updateProduct.mockReturnValue(throwError(() => new ConcurrencyConflictError()));
+      component.modalMode = 'edit';
+      component.selectedProduct = mockProducts[0];
+      component.showModal = true;
+
+      component.onSave({ price: 3.00 });
+      tick();
+
+      expect(component.saveConflict).toBe(true);
+      expect(component.showModal).toBe(true);
+      expect(toastService.error).not.toHaveBeenCalled();
+    }));
+
+    it('should load the latest product into the form after a conflict', fakeAsync(() => {
+      const latest: Product = { id: 1, name: 'Coffee', price: 2.80, version: 5 };
+      productService.getProduct.mockReturnValue(of(latest));
+      component.selectedProduct = mockProducts[0];
+      component.saveConflict = true;
+
+      component.onConflictReload();
+      tick();
+
+      expect(productService.getProduct).toHaveBeenCalledWith(1);
+      expect(component.selectedProduct).toEqual(latest);
+      expect(component.saveConflict).toBe(false);
+    }));
+
     it('should delete product after confirmation', fakeAsync(() => {
       jest.spyOn(window, 'confirm').mockReturnValue(true);
       const product = mockProducts[0];
@@ -177,7 +214,7 @@ describe('ProductsComponent', () => {
       tick();
 
       expect(productService.deleteProduct).toHaveBeenCalledWith(1);
-      expect(toastService.success).toHaveBeenCalledWith('Product "Coffee" deleted successfully');
+      expect(toastService.success).toHaveBeenCalledWith('Product "Coffee" archived successfully');
     }));
 
     it('should not delete product if not confirmed', () => {
@@ -253,6 +290,35 @@ describe('ProductsComponent', () => {
       expect(productService.getProducts).toHaveBeenCalled();
     }));
 
+    it('should load the categories for the filter', () => {
+      expect(component.categories).toEqual(mockCategories);
+      expect(component.categoryLabel(mockCategories[1])).toBe('   Coffee');
+    });
+
+    it('should filter by category', fakeAsync(() => {
+      productService.getProducts.mockClear();
+
+      component.filters.category = 1;
+      component.onFilterChange();
+      tick(300);
+
+      expect(productService.getProducts).toHaveBeenCalledWith(
+        expect.objectContaining({ category: 1 })
+      );
+    }));
+
+    it('should clear the category filter', fakeAsync(() => {
+      component.filters = { name: '', minPrice: null, maxPrice: null, category: 2 };
+
+      component.clearFilters();
+      tick();
+
+      expect(component.filters.category).toBeNull();
+      expect(productService.getProducts).toHaveBeenLastCalledWith(
+        expect.not.objectContaining({ category: expect.anything() })
+      );
+    }));
+
     it('should reset page to 1 when filter changes', fakeAsync(() => {
       component.meta.page = 3;
 
@@ -4,6 +4,9 @@ import { FormsModule } from '@angular/forms';
 import { Subject, takeUntil, debounceTime } from 'rxjs';
 import { Product, CreateProductDto, UpdateProductDto } from 'src/app/model/product';
 import { ProductService } from 'src/app/service/product.service';
+import { CategoryService } from 'src/app/service/category.service';
+import { Category } from 'src/app/model/category';
+import { isConcurrencyConflict } from 'src/app/core';
 import { PaginationMeta, PAGE_SIZE_OPTIONS, ProductQueryParams } from 'src/app/model/pagination';
 import { TableSkeletonComponent, ErrorStateComponent, ModalComponent } from 'src/app/shared/components';
 import { ToastService } from 'src/app/shared/services';
@@ -25,6 +28,7 @@ import { ProductFormComponent } from 'src/app/features/products/components';
 })
 export class ProductsComponent implements OnInit, OnDestroy {
   products: Product[] = [];
+  categories: Category[] = [];
   isLoading = false;
   error: string | null = null;
 
@@ -43,10 +47,12 @@ export class ProductsComponent implements OnInit, OnDestroy {
     name: string;
     minPrice: number | string | null;
     maxPrice: number | string | null;
+    category?: number | null; // Includes subcategories
   } = {
     name: '',
     minPrice: null,
     maxPrice: null,
+    category: null,
   };
 
   // Sorting
@@ -61,12 +67,14 @@ export class ProductsComponent implements OnInit, OnDestroy {
   modalMode: 'create' | 'edit' = 'create';
   selectedProduct: Product | null = null;
   isSaving = false;
+  saveConflict = false;
 
   private destroy$ = new Subject<void>();
   private filterSubject$ = new Subject<void>();
 
   constructor(
     private productService: ProductService,
+    private categoryService: CategoryService,
     private toastService: ToastService
   ) {}
 
@@ -80,6 +88,7 @@ export class ProductsComponent implements OnInit, OnDestroy {
       this.loadProducts();
     });
 
+    this.loadCategories();
     this.loadProducts();
   }
 
@@ -90,6 +99,20 @@ export class ProductsComponent implements OnInit, OnDestroy {
 
   // ==================== DATA LOADING ====================
 
+  loadCategories(): void {
+    this.categoryService.getCategories()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (categories) => {
+          this.categories = categories;
+        },
+        error: (err) => {
+          // The list still works without the category filter
+          this.toastService.error(err.message || 'Failed to load categories');
+        }
+      });
+  }
+
   loadProducts(): void {
     this.isLoading = true;
     this.error = null;
@@ -110,6 +133,9 @@ export class ProductsComponent implements OnInit, OnDestroy {
     if (this.filters.maxPrice != null && this.filters.maxPrice !== '') {
       params.maxPrice = Number(this.filters.maxPrice);
     }
+    if (this.filters.category) {
+      params.category = this.filters.category;
+    }
 
     this.productService.getProducts(params)
       .pipe(takeUntil(this.destroy$))
@@ -186,6 +212,7 @@ export class ProductsComponent implements OnInit, OnDestroy {
       name: '',
       minPrice: null,
       maxPrice: null,
+      category: null,
     };
     this.meta.page = 1;
     this.loadProducts();
@@ -209,6 +236,7 @@ export class ProductsComponent implements OnInit, OnDestroy {
     this.showModal = false;
     this.selectedProduct = null;
     this.isSaving = false;
+    this.saveConflict = false;
   }
 
   onSave(dto: CreateProductDto | UpdateProductDto): void {
@@ -229,7 +257,7 @@ export class ProductsComponent implements OnInit, OnDestroy {
           }
         });
     } else if (this.selectedProduct) {
-      this.productService.updateProduct(this.selectedProduct.id, dto as UpdateProductDto)
+      this.productService.updateProduct(this.selectedProduct.id, dto as UpdateProductDto, this.selectedProduct.version)
         .pipe(takeUntil(this.destroy$))
         .subscribe({
           next: (product) => {
@@ -239,16 +267,38 @@ export class ProductsComponent implements OnInit, OnDestroy {
           },
           error: (err) => {
             this.isSaving = false;
+            if (isConcurrencyConflict(err)) {
+              this.saveConflict = true;
+              return;
+            }
             this.toastService.error(err.message || 'Failed to update product');
           }
         });
     }
   }
 
+  /** Load the latest version into the edit form after a save conflict */
+  onConflictReload(): void {
+    this.saveConflict = false;
+    if (!this.selectedProduct) return;
+
+    this.productService.getProduct(this.selectedProduct.id)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (product) => {
+          this.selectedProduct = product;
+          this.loadProducts();
+        },
+        error: (err) => {
+          this.toastService.error(err.message || 'Failed to reload product');
+        }
+      });
+  }
+
   // ==================== DELETE ====================
 
   deleteProduct(product: Product): void {
-    if (!confirm(`Are you sure you want to delete "${product.name}"?`)) {
+    if (!confirm(`Archive "${product.name}"? It leaves the catalog but stays on past purchases.`)) {
       return;
     }
 
@@ -256,11 +306,11 @@ export class ProductsComponent implements OnInit, OnDestroy {
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: () => {
-          this.toastService.success(`Product "${product.name}" deleted successfully`);
+          this.toastService.success(`Product "${product.name}" archived successfully`);
           this.loadProducts();
         },
         error: (err) => {
-          const errorMsg = err.message || 'Failed to delete product';
+          const errorMsg = err.message || 'Failed to archive product';
           this.error = errorMsg;
           this.toastService.error(errorMsg);
         }
@@ -269,6 +319,20 @@ export class ProductsComponent implements OnInit, OnDestroy {
 
   // ==================== HELPERS ====================
 
+  /** Option label indented by the category's depth */
+  categoryLabel(category: Category): string {
+    return '\u00A0\u00A0\u00A0'.repeat(category.depth ?? 0) + category.name;
+  }
+
+  get hasActiveFilters(): boolean {
+    return !!(this.filters.name || this.filters.minPrice || this.filters.maxPrice || this.filters.category);
+  }
+
+  /** Absolute URL of a product image */
+  imageUrl(url: string): string {
+    return this.productService.imageUrl(url);
+  }
+
   trackByProductId(index: number, product: Product): number {
     return product.id;
   }
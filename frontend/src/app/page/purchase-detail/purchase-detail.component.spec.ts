@@ -17,6 +17,7 @@ describe('PurchaseDetailComponent', () => {
       employeeId: 1,
       total: 1000,
       date: '2024-01-01',
+      status: 'open',
       closed: false
     };
     
@@ -2,8 +2,9 @@ import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule, Location } from '@angular/common';
 import { ActivatedRoute, Router } from '@angular/router';
 import { Subject, takeUntil } from 'rxjs';
-import { Purchase } from 'src/app/model/purchase';
+import { Purchase, EDITABLE_PURCHASE_STATUSES } from 'src/app/model/purchase';
 import { PurchaseService } from 'src/app/service/purchase.service';
+import { isConcurrencyConflict } from 'src/app/core';
 import { ToastService } from 'src/app/shared/services';
 import { CardSkeletonComponent, ErrorStateComponent } from 'src/app/shared/components';
 import { PurchaseFormComponent, CreatePurchaseWithItemsDto } from 'src/app/features/purchases/components';
@@ -26,6 +27,7 @@ export class PurchaseDetailComponent implements OnInit, OnDestroy {
   purchase: Purchase | null = null;
   isLoading = false;
   isSaving = false;
+  saveConflict = false; // Update rejected because the purchase changed meanwhile
   error: string | null = null;
   mode: PageMode = 'view';
 
@@ -60,6 +62,10 @@ export class PurchaseDetailComponent implements OnInit, OnDestroy {
     return this.mode === 'view';
   }
 
+  get isEditable(): boolean {
+    return !!this.purchase && EDITABLE_PURCHASE_STATUSES.includes(this.purchase.status);
+  }
+
   get pageTitle(): string {
     switch (this.mode) {
       case 'create': return 'New Purchase';
@@ -159,9 +165,7 @@ export class PurchaseDetailComponent implements OnInit, OnDestroy {
 
     // Build update payload - include items if they were modified
     const payload: any = {
-      date: data.date,
-      closed: data.closed,
-      total: data.total
+      date: data.date
     };
 
     // Include items for replacement if provided
@@ -172,7 +176,7 @@ export class PurchaseDetailComponent implements OnInit, OnDestroy {
       }));
     }
 
-    this.purchaseService.updatePurchase(id, payload)
+    this.purchaseService.updatePurchase(id, payload, this.purchase?.version)
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: () => {
@@ -182,11 +186,30 @@ export class PurchaseDetailComponent implements OnInit, OnDestroy {
         },
         error: (err) => {
           this.isSaving = false;
+          if (isConcurrencyConflict(err)) {
+            this.saveConflict = true;
+            return;
+          }
           this.toastService.error(err.message || 'Failed to update purchase');
         }
       });
   }
 
+  /**
+   * Reload the purchase after a save conflict (drops the local edits)
+   */
+  onConflictReload(): void {
+    this.saveConflict = false;
+    this.retry();
+  }
+
+  /**
+   * Keep editing after a save conflict
+   */
+  onConflictDismiss(): void {
+    this.saveConflict = false;
+  }
+
   /**
    * Handle form cancel
    */
@@ -22,6 +22,7 @@ describe('PurchasesComponent', () => {
       employeeId: 1,
       date: '2024-01-15',
       total: 150.00,
+      status: 'open',
       closed: false,
       employee: { id: 1, name: 'John Doe', employee_number: 'EMP001', monthlyConsumptionValue: 50000 }
     },
@@ -30,6 +31,7 @@ describe('PurchasesComponent', () => {
       employeeId: 2,
       date: '2024-01-16',
       total: 200.00,
+      status: 'closed',
       closed: true,
       employee: { id: 2, name: 'Jane Smith', employee_number: 'EMP002', monthlyConsumptionValue: 45000 }
     },
@@ -38,6 +40,7 @@ describe('PurchasesComponent', () => {
       employeeId: 1,
       date: '2024-01-17',
       total: 75.50,
+      status: 'open',
       closed: false,
       employee: { id: 1, name: 'John Doe', employee_number: 'EMP001', monthlyConsumptionValue: 50000 }
     }
@@ -0,0 +1,73 @@
+import { TestBed, fakeAsync, tick } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { CategoryService } from './category.service';
+import { Category, Tag } from '../model/category';
+import { environment } from '../../environments/environment';
+
+describe('CategoryService', () => {
+  let service: CategoryService;
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        CategoryService
+      ]
+    });
+
+    service = TestBed.inject(CategoryService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should get the category list', fakeAsync(() => {
+    const categories: Category[] = [
+      { id: 1, name: 'Drinks', parentId: null, depth: 0, path: ['Drinks'] },
+      { id: 2, name: 'Coffee', parentId: 1, depth: 1, path: ['Drinks', 'Coffee'] },
+    ];
+
+    service.getCategories().subscribe((result) => {
+      expect(result).toEqual(categories);
+    });
+
+    const req = httpMock.expectOne(`${environment.apiUrl}/categories`);
+    expect(req.request.method).toBe('GET');
+    req.flush(categories);
+    tick();
+  }));
+
+  it('should get the tags', fakeAsync(() => {
+    const tags: Tag[] = [{ id: 1, name: 'vegan', productCount: 3 }];
+
+    service.getTags().subscribe((result) => {
+      expect(result).toEqual(tags);
+    });
+
+    const req = httpMock.expectOne(`${environment.apiUrl}/tags`);
+    req.flush(tags);
+    tick();
+  }));
+
+  it('should surface the API error message', fakeAsync(() => {
+    let error: Error | undefined;
+
+    service.getCategories().subscribe({
+      error: (err) => (error = err),
+    });
+
+    for (let attempt = 0; attempt <= environment.retryAttempts; attempt++) {
+      httpMock
+        .expectOne(`${environment.apiUrl}/categories`)
+        .flush({ error: { message: 'Boom' } }, { status: 500, statusText: 'Server Error' });
+    }
+    tick();
+
+    expect(error?.message).toBe('Boom');
+  }));
+});
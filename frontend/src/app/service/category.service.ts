@@ -0,0 +1,51 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, retry } from 'rxjs/operators';
+import { Category, Tag } from '../model/category';
+import { environment } from '../../environments/environment';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class CategoryService {
+  private readonly categoriesUrl = `${environment.apiUrl}/categories`;
+  private readonly tagsUrl = `${environment.apiUrl}/tags`;
+
+  constructor(private http: HttpClient) {}
+
+  // Flat list in tree order, with depth and path for indented selects
+  getCategories(): Observable<Category[]> {
+    return this.http.get<Category[]>(this.categoriesUrl).pipe(
+      retry(environment.retryAttempts),
+      catchError(this.handleError)
+    );
+  }
+
+  
+  getTags(): Observable<Tag[]> {
+    return this.http.get<Tag[]>(this.tagsUrl).pipe(
+      retry(environment.retryAttempts),
+      catchError(this.handleError)
+    );
+  }
+
+  
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    let errorMessage = 'An unknown error occurred';
+
+    if (error.error instanceof ErrorEvent) {
+      
+      errorMessage = `Client error: ${error.error.message}`;
+    } else {
+      
+      errorMessage = error.error?.error?.message || `Server error: ${error.status} - ${error.statusText}`;
+    }
+
+    if (environment.enableLogging) {
+      console.error('CategoryService Error:', errorMessage, error);
+    }
+
+    return throwError(() => new Error(errorMessage));
+  }
+}
@@ -2,7 +2,7 @@ import { TestBed, fakeAsync, tick } from '@angular/core/testing';
 import { provideHttpClient } from '@angular/common/http';
 import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
 import { EmployeeService } from './employee.service';
-import { Employee } from '../model/employee';
+import { Employee, EmployeeBalance } from '../model/employee';
 import { PaginatedResponse } from '../model/pagination';
 import { environment } from '../../environments/environment';
 
@@ -84,4 +84,26 @@ describe('EmployeeService', () => {
     req.flush(mockEmployee);
     tick();
   }));
+
+  it('should get the allowance balance for a month', fakeAsync(() => {
+    const mockBalance: EmployeeBalance = {
+      employeeId: 1,
+      policy: 'hard',
+      allowance: 50000,
+      spent: 12500,
+      remaining: 37500,
+      overdraftLimit: 0,
+      available: 37500,
+      period: { from: '2026-10-01T00:00:00.000Z', to: '2026-10-31T23:59:59.999Z' }
+    };
+
+    service.getBalance(1, '2026-10-15').subscribe((balance: EmployeeBalance) => {
+      expect(balance).toEqual(mockBalance);
+    });
+
+    const req = httpMock.expectOne(`${apiUrl}/1/balance?date=2026-10-15`);
+    expect(req.request.method).toBe('GET');
+    req.flush(mockBalance);
+    tick();
+  }));
 });
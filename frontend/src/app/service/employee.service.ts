@@ -2,9 +2,10 @@ import { Injectable } from '@angular/core';
 import { HttpClient, HttpErrorResponse, HttpParams } from '@angular/common/http';
 import { Observable, throwError, BehaviorSubject } from 'rxjs';
 import { catchError, tap, retry, map } from 'rxjs/operators';
-import { Employee } from '../model/employee';
+import { Employee, EmployeeBalance } from '../model/employee';
 import { PaginatedResponse, EmployeeQueryParams } from '../model/pagination';
 import { environment } from '../../environments/environment';
+import { ifMatchHeaders, toConcurrencyConflict } from '../core/http/concurrency';
 
 @Injectable({
   providedIn: 'root'
@@ -44,6 +45,15 @@ export class EmployeeService {
   }
 
   
+  getBalance(id: number, date?: string): Observable<EmployeeBalance> {
+    const params = date ? new HttpParams().set('date', date) : undefined;
+
+    return this.http.get<EmployeeBalance>(`${this.apiUrl}/${id}/balance`, { params }).pipe(
+      catchError(this.handleError)
+    );
+  }
+
+  
   createEmployee(employee: Partial<Employee>): Observable<Employee> {
     return this.http.post<Employee>(this.apiUrl, employee).pipe(
       tap(() => this.refreshEmployees()),
@@ -52,8 +62,8 @@ export class EmployeeService {
   }
 
   
-  updateEmployee(id: number, employee: Partial<Employee>): Observable<Employee> {
-    return this.http.put<Employee>(`${this.apiUrl}/${id}`, employee).pipe(
+  updateEmployee(id: number, employee: Partial<Employee>, version?: number): Observable<Employee> {
+    return this.http.put<Employee>(`${this.apiUrl}/${id}`, employee, { headers: ifMatchHeaders(version) }).pipe(
       tap(() => this.refreshEmployees()),
       catchError(this.handleError)
     );
@@ -105,6 +115,11 @@ export class EmployeeService {
 
   
   private handleError(error: HttpErrorResponse): Observable<never> {
+    const conflict = toConcurrencyConflict(error);
+    if (conflict) {
+      return throwError(() => conflict);
+    }
+
     let errorMessage = 'An unknown error occurred';
 
     if (error.error instanceof ErrorEvent) {
@@ -5,6 +5,7 @@ import { ProductService } from './product.service';
 import { Product } from '../model/product';
 import { PaginatedResponse } from '../model/pagination';
 import { environment } from '../../environments/environment';
+import { ConcurrencyConflictError } from '../core/http/concurrency';
 
 describe('ProductService', () => {
   let service: ProductService;
@@ -155,6 +156,21 @@ describe('ProductService', () => {
       tick();
     }));
 
+    it('should send category, tag and facet params', fakeAsync(() => {
+      const mockResponse = {
+        ...createMockPaginatedResponse([]),
+        facets: { categories: [], tags: [{ id: 1, name: 'vegan', count: 0 }] },
+      };
+
+      service.getProducts({ category: 3, tag: ['vegan', 'hot'], facets: true }).subscribe((response) => {
+        expect(response.facets?.tags[0].name).toBe('vegan');
+      });
+
+      const req = httpMock.expectOne(`${apiUrl}?category=3&tag=vegan,hot&facets=true`);
+      req.flush(mockResponse);
+      tick();
+    }));
+
     it('should update BehaviorSubject with fetched data', fakeAsync(() => {
       const mockProducts: Product[] = [{ id: 1, name: 'Test', price: 100 }];
       const mockResponse = createMockPaginatedResponse(mockProducts);
@@ -254,6 +270,55 @@ describe('ProductService', () => {
     }));
   });
 
+  describe('updateProduct with version', () => {
+    it('should send the version as If-Match', fakeAsync(() => {
+      const updatedProduct: Product = { id: 1, name: 'Updated', price: 150, version: 4 };
+
+      service.updateProduct(1, { price: 150 }, 3).subscribe();
+
+      const putReq = httpMock.expectOne(`${apiUrl}/1`);
+      expect(putReq.request.headers.get('If-Match')).toBe('"3"');
+      putReq.flush(updatedProduct);
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(createMockPaginatedResponse([updatedProduct]));
+      tick();
+    }));
+
+    it('should not send If-Match without a version', fakeAsync(() => {
+      service.updateProduct(1, { price: 150 }).subscribe();
+
+      const putReq = httpMock.expectOne(`${apiUrl}/1`);
+      expect(putReq.request.headers.has('If-Match')).toBe(false);
+      putReq.flush({ id: 1, name: 'Updated', price: 150 });
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(createMockPaginatedResponse([]));
+      tick();
+    }));
+
+    it('should emit ConcurrencyConflictError on 412', fakeAsync(() => {
+      let error: unknown;
+
+      service.updateProduct(1, { price: 150 }, 3).subscribe({ error: (err) => (error = err) });
+
+      httpMock.expectOne(`${apiUrl}/1`).flush(
+        {
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'The record was changed by someone else. Reload it and try again.',
+            details: { currentVersion: 5, etag: '"5"' },
+          },
+        },
+        { status: 412, statusText: 'Precondition Failed' }
+      );
+      tick();
+
+      expect(error).toBeInstanceOf(ConcurrencyConflictError);
+      expect((error as ConcurrencyConflictError).currentVersion).toBe(5);
+    }));
+  });
+
   describe('deleteProduct', () => {
     it('should delete product', fakeAsync(() => {
       service.deleteProduct(1).subscribe();
@@ -272,6 +337,43 @@ describe('ProductService', () => {
     }));
   });
 
+  describe('product images', () => {
+    it('should upload the image as multipart form data', fakeAsync(() => {
+      const file = new File(['png'], 'soup.png', { type: 'image/png' });
+      service.uploadImage(1, file).subscribe();
+
+      const req = httpMock.expectOne(`${apiUrl}/1/image`);
+      expect(req.request.method).toBe('POST');
+      expect((req.request.body as FormData).get('image')).toBe(file);
+      req.flush({ id: 1, name: 'Soup', price: 4 });
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(createMockPaginatedResponse([]));
+      tick();
+    }));
+
+    it('should resolve local image paths against the API host', () => {
+      const origin = new URL(environment.apiUrl).origin;
+
+      expect(service.imageUrl('/uploads/products/1/ab-small.webp')).toBe(`${origin}/uploads/products/1/ab-small.webp`);
+      expect(service.imageUrl('https://cdn.example.com/ab-small.webp')).toBe('https://cdn.example.com/ab-small.webp');
+    });
+  });
+
+  describe('lookupProduct', () => {
+    it('should look up a scanned code', () => {
+      const mockProduct: Product = { id: 1, name: 'Cola', price: 1.8, sku: 'DRK-COLA', barcodes: [{ code: '5449000000996' }] };
+
+      service.lookupProduct(' 5449000000996 ').subscribe(product => {
+        expect(product).toEqual(mockProduct);
+      });
+
+      const req = httpMock.expectOne(`${apiUrl}/lookup?code=5449000000996`);
+      expect(req.request.method).toBe('GET');
+      req.flush(mockProduct);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle HTTP errors', fakeAsync(() => {
       let errorMessage = '';
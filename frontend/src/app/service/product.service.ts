@@ -1,10 +1,11 @@
 import { Injectable } from '@angular/core';
 import { HttpClient, HttpErrorResponse, HttpParams } from '@angular/common/http';
-import { Product } from '../model/product';
-import { PaginatedResponse, ProductQueryParams } from '../model/pagination';
+import { Product, CreateProductDto, UpdateProductDto } from '../model/product';
+import { PaginatedProductResponse, ProductQueryParams } from '../model/pagination';
 import { Observable, throwError, BehaviorSubject } from 'rxjs';
 import { catchError, tap, retry, map } from 'rxjs/operators';
 import { environment } from '../../environments/environment';
+import { ifMatchHeaders, toConcurrencyConflict } from '../core/http/concurrency';
 
 @Injectable({
   providedIn: 'root'
@@ -18,10 +19,10 @@ export class ProductService {
   constructor(private http: HttpClient) {}
 
   
-  getProducts(params?: ProductQueryParams): Observable<PaginatedResponse<Product>> {
+  getProducts(params?: ProductQueryParams): Observable<PaginatedProductResponse<Product>> {
     const httpParams = this.buildHttpParams(params);
     
-    return this.http.get<PaginatedResponse<Product>>(this.apiUrl, { params: httpParams }).pipe(
+    return this.http.get<PaginatedProductResponse<Product>>(this.apiUrl, { params: httpParams }).pipe(
       retry(environment.retryAttempts),
       tap(response => this.productsSubject.next(response.data)),
       catchError(this.handleError)
@@ -43,8 +44,16 @@ export class ProductService {
     );
   }
 
+  /** Product with a barcode or SKU (case-insensitive), e.g. from a scanner */
+  lookupProduct(code: string): Observable<Product> {
+    const params = new HttpParams().set('code', code.trim());
+    return this.http.get<Product>(`${this.apiUrl}/lookup`, { params }).pipe(
+      catchError(this.handleError)
+    );
+  }
+
   
-  createProduct(product: Partial<Product>): Observable<Product> {
+  createProduct(product: CreateProductDto | Partial<Product>): Observable<Product> {
     return this.http.post<Product>(this.apiUrl, product).pipe(
       tap(() => this.refreshProducts()),
       catchError(this.handleError)
@@ -52,8 +61,8 @@ export class ProductService {
   }
 
   
-  updateProduct(id: number, product: Partial<Product>): Observable<Product> {
-    return this.http.put<Product>(`${this.apiUrl}/${id}`, product).pipe(
+  updateProduct(id: number, product: UpdateProductDto | Partial<Product>, version?: number): Observable<Product> {
+    return this.http.put<Product>(`${this.apiUrl}/${id}`, product, { headers: ifMatchHeaders(version) }).pipe(
       tap(() => this.refreshProducts()),
       catchError(this.handleError)
     );
@@ -68,6 +77,30 @@ export class ProductService {
   }
 
   
+  uploadImage(id: number, file: File): Observable<Product> {
+    const body = new FormData();
+    body.append('image', file);
+
+    return this.http.post<Product>(`${this.apiUrl}/${id}/image`, body).pipe(
+      tap(() => this.refreshProducts()),
+      catchError(this.handleError)
+    );
+  }
+
+  
+  removeImage(id: number): Observable<Product> {
+    return this.http.delete<Product>(`${this.apiUrl}/${id}/image`).pipe(
+      tap(() => this.refreshProducts()),
+      catchError(this.handleError)
+    );
+  }
+
+  /** Absolute URL of a product image; local storage returns paths on the API host */
+  imageUrl(url: string): string {
+    return new URL(url, environment.apiUrl).href;
+  }
+
+  
   getProductReport(): Observable<Product[]> {
     return this.getAllProducts();
   }
@@ -96,6 +129,15 @@ export class ProductService {
     if (params.maxPrice !== undefined) {
       httpParams = httpParams.set('maxPrice', params.maxPrice.toString());
     }
+    if (params.category !== undefined) {
+      httpParams = httpParams.set('category', params.category.toString());
+    }
+    if (params.tag?.length) {
+      httpParams = httpParams.set('tag', params.tag.join(','));
+    }
+    if (params.facets) {
+      httpParams = httpParams.set('facets', 'true');
+    }
 
     return httpParams;
   }
@@ -107,6 +149,11 @@ export class ProductService {
 
   
   private handleError(error: HttpErrorResponse): Observable<never> {
+    const conflict = toConcurrencyConflict(error);
+    if (conflict) {
+      return throwError(() => conflict);
+    }
+
     let errorMessage = 'An unknown error occurred';
 
     if (error.error instanceof ErrorEvent) {
@@ -11,9 +11,9 @@ describe('PurchaseService', () => {
   const apiUrl = `${environment.apiUrl}/purchases`;
 
   const mockPurchases: Purchase[] = [
-    { id: 1, date: '2024-01-15T10:00:00Z', closed: false, employeeId: 1, total: 25.50 },
-    { id: 2, date: '2024-01-16T11:00:00Z', closed: true, employeeId: 1, total: 50.00 },
-    { id: 3, date: '2024-01-17T12:00:00Z', closed: false, employeeId: 2, total: 75.00 },
+    { id: 1, date: '2024-01-15T10:00:00Z', status: 'open', closed: false, employeeId: 1, total: 25.50 },
+    { id: 2, date: '2024-01-16T11:00:00Z', status: 'closed', closed: true, employeeId: 1, total: 50.00 },
+    { id: 3, date: '2024-01-17T12:00:00Z', status: 'open', closed: false, employeeId: 2, total: 75.00 },
   ];
 
   const mockPaginatedResponse: PaginatedResponse<Purchase> = {
@@ -90,6 +90,97 @@ describe('PurchaseService', () => {
     }));
   });
 
+  describe('status changes', () => {
+    it('should filter by a list of statuses', fakeAsync(() => {
+      service.getPurchases({ status: ['open', 'draft'] }).subscribe();
+
+      const req = httpMock.expectOne(`${apiUrl}?status=open,draft`);
+      req.flush(mockPaginatedResponse);
+      tick();
+    }));
+
+    it('should void a purchase with a reason', fakeAsync(() => {
+      const voided: Purchase = { ...mockPurchases[1], status: 'voided', closed: false, statusReason: 'Duplicate' };
+
+      service.voidPurchase(2, 'Duplicate').subscribe(purchase => {
+        expect(purchase.status).toBe('voided');
+      });
+
+      const req = httpMock.expectOne(`${apiUrl}/2/void`);
+      expect(req.request.method).toBe('POST');
+      expect(req.request.body).toEqual({ reason: 'Duplicate' });
+      req.flush(voided);
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(mockPaginatedResponse);
+      tick();
+    }));
+
+    it('should reopen a purchase with a reason', fakeAsync(() => {
+      service.reopenPurchase(2, 'Missing item').subscribe();
+
+      const req = httpMock.expectOne(`${apiUrl}/2/reopen`);
+      expect(req.request.body).toEqual({ reason: 'Missing item' });
+      req.flush({ ...mockPurchases[1], status: 'open', closed: false });
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(mockPaginatedResponse);
+      tick();
+    }));
+
+    it('should close a purchase without a body', fakeAsync(() => {
+      service.closePurchase(1).subscribe();
+
+      const req = httpMock.expectOne(`${apiUrl}/1/close`);
+      expect(req.request.body).toEqual({});
+      req.flush({ ...mockPurchases[0], status: 'closed', closed: true });
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(mockPaginatedResponse);
+      tick();
+    }));
+  });
+
+  describe('refunds', () => {
+    const refund = {
+      id: 1,
+      purchaseId: 2,
+      employeeId: 1,
+      date: '2024-01-20T10:00:00Z',
+      total: 4.5,
+      reason: 'Spoiled',
+      items: [{ id: 1, purchaseItemId: 7, quantity: 1, unitPrice: 4.5, amount: 4.5 }]
+    };
+
+    it('should load the refunds of a purchase', fakeAsync(() => {
+      service.getRefunds(2).subscribe(refunds => {
+        expect(refunds).toEqual([refund]);
+      });
+
+      const req = httpMock.expectOne(`${apiUrl}/2/refunds`);
+      expect(req.request.method).toBe('GET');
+      req.flush([refund]);
+      tick();
+    }));
+
+    it('should post a refund and refresh purchases', fakeAsync(() => {
+      const dto = { reason: 'Spoiled', items: [{ purchaseItemId: 7, quantity: 1 }] };
+
+      service.createRefund(2, dto).subscribe(created => {
+        expect(created.total).toBe(4.5);
+      });
+
+      const req = httpMock.expectOne(`${apiUrl}/2/refunds`);
+      expect(req.request.method).toBe('POST');
+      expect(req.request.body).toEqual(dto);
+      req.flush(refund);
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(mockPaginatedResponse);
+      tick();
+    }));
+  });
+
   describe('getAllPurchases', () => {
     it('should return all purchases array', fakeAsync(() => {
       service.getAllPurchases().subscribe(purchases => {
@@ -126,6 +217,7 @@ describe('PurchaseService', () => {
         date: '2024-01-20T10:00:00Z',
         employeeId: 1,
         total: 100.00,
+        status: 'open' as const,
         closed: false
       };
       const createdPurchase: Purchase = { id: 4, ...newPurchase };
@@ -152,12 +244,11 @@ describe('PurchaseService', () => {
 
   describe('updatePurchase', () => {
     it('should update an existing purchase', fakeAsync(() => {
-      const updates = { total: 150.00, closed: true };
+      const updates = { date: '2024-02-01T10:00:00Z' };
       const updatedPurchase: Purchase = { ...mockPurchases[0], ...updates };
 
       service.updatePurchase(1, updates).subscribe(purchase => {
-        expect(purchase.total).toBe(150.00);
-        expect(purchase.closed).toBe(true);
+        expect(purchase.date).toBe('2024-02-01T10:00:00Z');
       });
 
       const putReq = httpMock.expectOne(`${apiUrl}/1`);
@@ -170,6 +261,18 @@ describe('PurchaseService', () => {
       refreshReq.flush(mockPaginatedResponse);
       tick();
     }));
+
+    it('should send the version as If-Match', fakeAsync(() => {
+      service.updatePurchase(1, { date: '2024-02-01T10:00:00Z' }, 2).subscribe();
+
+      const putReq = httpMock.expectOne(`${apiUrl}/1`);
+      expect(putReq.request.headers.get('If-Match')).toBe('"2"');
+      putReq.flush(mockPurchases[0]);
+      tick();
+
+      httpMock.expectOne(apiUrl).flush(mockPaginatedResponse);
+      tick();
+    }));
   });
 
   describe('deletePurchase', () => {
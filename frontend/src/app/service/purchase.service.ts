@@ -1,10 +1,11 @@
 import { Injectable } from '@angular/core';
 import { HttpClient, HttpErrorResponse, HttpParams } from '@angular/common/http';
-import { Purchase, EmployeeSummary } from '../model/purchase';
+import { Purchase, EmployeeSummary, Refund, CreateRefundDto } from '../model/purchase';
 import { PaginatedResponse, PurchaseQueryParams } from '../model/pagination';
 import { Observable, throwError, BehaviorSubject } from 'rxjs';
 import { catchError, tap, retry, map } from 'rxjs/operators';
 import { environment } from '../../environments/environment';
+import { ifMatchHeaders, toConcurrencyConflict } from '../core/http/concurrency';
 
 @Injectable({
   providedIn: 'root'
@@ -52,8 +53,45 @@ export class PurchaseService {
   }
 
   
-  updatePurchase(id: number, purchase: Partial<Purchase>): Observable<Purchase> {
-    return this.http.put<Purchase>(`${this.apiUrl}/${id}`, purchase).pipe(
+  updatePurchase(id: number, purchase: Partial<Purchase>, version?: number): Observable<Purchase> {
+    return this.http.put<Purchase>(`${this.apiUrl}/${id}`, purchase, { headers: ifMatchHeaders(version) }).pipe(
+      tap(() => this.refreshPurchases()),
+      catchError(this.handleError)
+    );
+  }
+
+
+  openPurchase(id: number): Observable<Purchase> {
+    return this.changeStatus(id, 'open');
+  }
+
+
+  closePurchase(id: number): Observable<Purchase> {
+    return this.changeStatus(id, 'close');
+  }
+
+
+  voidPurchase(id: number, reason: string): Observable<Purchase> {
+    return this.changeStatus(id, 'void', reason);
+  }
+
+
+  reopenPurchase(id: number, reason: string): Observable<Purchase> {
+    return this.changeStatus(id, 'reopen', reason);
+  }
+
+
+
+  getRefunds(purchaseId: number): Observable<Refund[]> {
+    return this.http.get<Refund[]>(`${this.apiUrl}/${purchaseId}/refunds`).pipe(
+      retry(environment.retryAttempts),
+      catchError(this.handleError)
+    );
+  }
+
+
+  createRefund(purchaseId: number, refund: CreateRefundDto): Observable<Refund> {
+    return this.http.post<Refund>(`${this.apiUrl}/${purchaseId}/refunds`, refund).pipe(
       tap(() => this.refreshPurchases()),
       catchError(this.handleError)
     );
@@ -107,8 +145,8 @@ export class PurchaseService {
     if (params.employeeId !== undefined) {
       httpParams = httpParams.set('employeeId', params.employeeId.toString());
     }
-    if (params.closed !== undefined) {
-      httpParams = httpParams.set('closed', params.closed.toString());
+    if (params.status?.length) {
+      httpParams = httpParams.set('status', params.status.join(','));
     }
     if (params.dateFrom) {
       httpParams = httpParams.set('dateFrom', params.dateFrom);
@@ -131,8 +169,23 @@ export class PurchaseService {
     this.getPurchases().subscribe();
   }
 
+
+  private changeStatus(id: number, action: 'open' | 'close' | 'void' | 'reopen', reason?: string): Observable<Purchase> {
+    const body = reason !== undefined ? { reason } : {};
+
+    return this.http.post<Purchase>(`${this.apiUrl}/${id}/${action}`, body).pipe(
+      tap(() => this.refreshPurchases()),
+      catchError(this.handleError)
+    );
+  }
+
   
   private handleError(error: HttpErrorResponse): Observable<never> {
+    const conflict = toConcurrencyConflict(error);
+    if (conflict) {
+      return throwError(() => conflict);
+    }
+
     let errorMessage = 'An unknown error occurred';
 
     if (error.error instanceof ErrorEvent) {
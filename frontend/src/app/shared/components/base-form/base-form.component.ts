@@ -1,4 +1,4 @@
-import { Directive } from '@angular/core';
+import { Directive, EventEmitter, Input, Output } from '@angular/core';
 import { FormGroup, FormArray, AbstractControl } from '@angular/forms';
 
 /**
@@ -18,11 +18,36 @@ import { FormGroup, FormArray, AbstractControl } from '@angular/forms';
  * <input [class.is-invalid]="isFieldInvalid('name')">
  * <div class="invalid-feedback">{{ getFieldError('name') }}</div>
  * ```
+ *
+ * Concurrency conflicts: the parent sets [conflict] when an update fails with
+ * a ConcurrencyConflictError and handles (reloadRequested) / (conflictDismissed).
+ * Child templates render the dialog:
+ * ```html
+ * <app-confirm-dialog [show]="conflict" [title]="conflictTitle" [message]="conflictMessage"
+ *   confirmText="Reload" (confirmed)="onConflictReload()" (cancelled)="onConflictDismiss()">
+ * </app-confirm-dialog>
+ * ```
  */
 @Directive() // Required for Angular to recognize it as injectable
 export abstract class BaseFormComponent {
   abstract form: FormGroup;
 
+  /**
+   * Set by the parent when a save was rejected because someone else changed
+   * the record in the meantime (HTTP 412). Shows the "record changed" dialog.
+   */
+  @Input() conflict = false;
+
+  /** Emitted when the user chooses to reload the record after a conflict */
+  @Output() reloadRequested = new EventEmitter<void>();
+
+  /** Emitted when the user closes the conflict dialog to keep their edits */
+  @Output() conflictDismissed = new EventEmitter<void>();
+
+  readonly conflictTitle = 'Record changed';
+  readonly conflictMessage =
+    'Someone else changed this record while you were editing it. Reload to see the latest version? Your unsaved changes will be lost.';
+
   /**
    * Error messages mapped to validation error keys.
    * Override in child class to customize messages.
@@ -54,6 +79,8 @@ export abstract class BaseFormComponent {
     whitespace: 'This field cannot be only whitespace',
     invalidUrl: 'Please enter a valid URL',
     invalidCreditCard: 'Invalid credit card number',
+    invalidSku: 'Only letters, digits, dots, dashes and underscores (max 32)',
+    invalidBarcode: (error) => `${error?.code} is not a valid EAN-8, UPC-A or EAN-13 barcode`,
   };
 
   /**
@@ -186,6 +213,20 @@ export abstract class BaseFormComponent {
     return this.form.getRawValue();
   }
 
+  /**
+   * Reload the record after a conflict (discards the current edits)
+   */
+  onConflictReload(): void {
+    this.reloadRequested.emit();
+  }
+
+  /**
+   * Close the conflict dialog and keep editing
+   */
+  onConflictDismiss(): void {
+    this.conflictDismissed.emit();
+  }
+
   /**
    * Utility method to check if we're in edit mode (has an ID or existing data).
    * Override in child class if needed.
@@ -336,4 +336,27 @@ describe('CustomValidators', () => {
       expect(group.errors).toBeNull();
     });
   });
+
+  describe('sku', () => {
+    it('should return null for a valid SKU', () => {
+      expect(CustomValidators.sku(new FormControl('DRK-COLA_0.33'))).toBeNull();
+    });
+
+    it('should return error for spaces or a leading dash', () => {
+      expect(CustomValidators.sku(new FormControl('DRK COLA'))).toEqual({ invalidSku: true });
+      expect(CustomValidators.sku(new FormControl('-COLA'))).toEqual({ invalidSku: true });
+    });
+  });
+
+  describe('barcodes', () => {
+    it('should return null for EAN-8, UPC-A and EAN-13 codes', () => {
+      const control = new FormControl('96385074, 036000291452, 4006381333931');
+      expect(CustomValidators.barcodes(control)).toBeNull();
+    });
+
+    it('should report the first code with a wrong check digit or length', () => {
+      const control = new FormControl('4006381333931, 4006381333932, 123');
+      expect(CustomValidators.barcodes(control)).toEqual({ invalidBarcode: { code: '4006381333932' } });
+    });
+  });
 });
@@ -321,4 +321,45 @@ export class CustomValidators {
 
     return sum % 10 === 0 ? null : { invalidCreditCard: true };
   }
+
+  /**
+   * SKU validator - letters, digits, dots, dashes and underscores (max 32)
+   */
+  static sku(control: AbstractControl): ValidationErrors | null {
+    const value = control.value;
+    if (!value) return null;
+
+    const pattern = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+    return pattern.test(value.toString().trim()) ? null : { invalidSku: true };
+  }
+
+  /**
+   * Barcode list validator - comma-separated EAN-8, UPC-A or EAN-13 codes
+   * with a valid GS1 check digit. Reports the first invalid code.
+   */
+  static barcodes(control: AbstractControl): ValidationErrors | null {
+    const value = control.value;
+    if (!value) return null;
+
+    const codes = value.toString().split(',').map((code: string) => code.trim()).filter(Boolean);
+    const invalid = codes.find((code: string) => !isValidBarcode(code));
+
+    return invalid ? { invalidBarcode: { code: invalid } } : null;
+  }
+}
+
+/**
+ * Whether a code is an EAN-8, UPC-A or EAN-13 barcode with a valid check digit
+ * (weights 3 and 1 alternating from the right, check digit excluded)
+ */
+export function isValidBarcode(code: string): boolean {
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) return false;
+
+  const digits = code.split('').map(Number);
+  const check = digits.pop()!;
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === check;
 }